@@ -0,0 +1,139 @@
+'use client';
+
+import { Suspense, useState } from 'react';
+import { useRouter, useSearchParams } from 'next/navigation';
+import { useSession } from 'next-auth/react';
+import PasswordRules from '@/app/components/PasswordRules';
+
+const inputClass =
+  'w-full px-3 py-2 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-emerald-500 focus:border-emerald-500';
+const labelClass = 'block text-xs sm:text-sm font-medium text-gray-700 mb-1.5';
+
+function PasswordSettings() {
+  const router = useRouter();
+  const searchParams = useSearchParams();
+  const { data: session, update } = useSession();
+  const [form, setForm] = useState({ currentPassword: '', newPassword: '', confirmation: '' });
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+  const [changed, setChanged] = useState(false);
+
+  const set = (key) => (e) => setForm((current) => ({ ...current, [key]: e.target.value }));
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    if (form.newPassword !== form.confirmation) {
+      setError('The new passwords do not match');
+      return;
+    }
+
+    setBusy(true);
+    try {
+      const res = await fetch('/api/account/password', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ currentPassword: form.currentPassword, newPassword: form.newPassword }),
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Failed to change the password');
+
+      setForm({ currentPassword: '', newPassword: '', confirmation: '' });
+      setChanged(true);
+      // Refresh the session so its mustChangePassword claim clears and the
+      // rest of the app opens again
+      if (session?.user?.mustChangePassword) {
+        await update();
+        router.push('/');
+      }
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const required = searchParams.get('required') && session?.user?.mustChangePassword;
+
+  return (
+    <div className="max-w-md space-y-4 sm:space-y-5">
+      <div>
+        <h2 className="text-base sm:text-lg md:text-xl font-semibold text-gray-900">Change password</h2>
+        <p className="text-xs sm:text-sm text-gray-500 mt-0.5">You&apos;ll need your current password.</p>
+      </div>
+
+      {required && (
+        <div className="p-3 bg-amber-50 border border-amber-200 rounded-lg">
+          <p className="text-sm text-amber-800">You must choose a new password before you continue.</p>
+        </div>
+      )}
+
+      {error && (
+        <div className="p-3 bg-red-50 border border-red-200 rounded-lg">
+          <p className="text-sm text-red-800">{error}</p>
+        </div>
+      )}
+
+      {changed && !error && (
+        <div className="p-3 bg-emerald-50 border border-emerald-200 rounded-lg">
+          <p className="text-sm text-emerald-800">Your password has been changed.</p>
+        </div>
+      )}
+
+      <form onSubmit={handleSubmit} className="space-y-4">
+        <div>
+          <label htmlFor="currentPassword" className={labelClass}>Current Password</label>
+          <input
+            id="currentPassword"
+            type="password"
+            value={form.currentPassword}
+            onChange={set('currentPassword')}
+            required
+            autoComplete="current-password"
+            className={inputClass}
+          />
+        </div>
+        <div>
+          <label htmlFor="newPassword" className={labelClass}>New Password</label>
+          <input
+            id="newPassword"
+            type="password"
+            value={form.newPassword}
+            onChange={set('newPassword')}
+            required
+            autoComplete="new-password"
+            className={inputClass}
+          />
+          <PasswordRules password={form.newPassword} email={session?.user?.email} />
+        </div>
+        <div>
+          <label htmlFor="confirmation" className={labelClass}>Confirm New Password</label>
+          <input
+            id="confirmation"
+            type="password"
+            value={form.confirmation}
+            onChange={set('confirmation')}
+            required
+            autoComplete="new-password"
+            className={inputClass}
+          />
+        </div>
+        <button
+          type="submit"
+          disabled={busy}
+          className="px-4 py-2 text-sm font-medium text-white bg-emerald-600 rounded-lg hover:bg-emerald-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          {busy ? 'Saving...' : 'Change Password'}
+        </button>
+      </form>
+    </div>
+  );
+}
+
+export default function PasswordPage() {
+  return (
+    <Suspense fallback={<p className="text-sm text-gray-500 py-8 text-center">Loading...</p>}>
+      <PasswordSettings />
+    </Suspense>
+  );
+}
@@ -0,0 +1,276 @@
+'use client';
+
+import { Suspense, useEffect, useState } from 'react';
+import Image from 'next/image';
+import Link from 'next/link';
+import { useSearchParams } from 'next/navigation';
+import { signOut, useSession } from 'next-auth/react';
+
+const inputClass =
+  'w-40 px-3 py-2 text-sm font-mono border border-gray-300 rounded-lg focus:ring-2 focus:ring-emerald-500 focus:border-emerald-500';
+const primaryButtonClass =
+  'px-4 py-2 text-sm font-medium text-white bg-emerald-600 rounded-lg hover:bg-emerald-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed';
+const secondaryButtonClass =
+  'px-4 py-2 text-sm font-medium text-gray-700 bg-white border border-gray-300 rounded-lg hover:bg-gray-50 transition-colors disabled:opacity-50 disabled:cursor-not-allowed';
+
+const REQUIRED_MESSAGES = {
+  role: 'Your role requires two-factor authentication. Set it up, then sign in again to continue.',
+  route: 'The page you opened needs two-factor authentication. Set it up, then sign in again to open it.',
+};
+
+function RecoveryCodes({ codes }) {
+  const download = () => {
+    const blob = new Blob([`Draive recovery codes\n\n${codes.join('\n')}\n`], { type: 'text/plain' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = 'draive-recovery-codes.txt';
+    link.click();
+    URL.revokeObjectURL(link.href);
+  };
+
+  return (
+    <div className="p-4 bg-amber-50 border border-amber-200 rounded-lg">
+      <h3 className="text-sm font-semibold text-gray-900">Recovery codes</h3>
+      <p className="text-xs text-gray-600 mt-1 mb-3">
+        Keep these somewhere safe. Each one signs you in once if you lose your phone. They won&apos;t be shown again.
+      </p>
+      <ul className="grid grid-cols-2 gap-x-6 gap-y-1 font-mono text-sm text-gray-900 mb-3 max-w-xs">
+        {codes.map((code) => (
+          <li key={code}>{code}</li>
+        ))}
+      </ul>
+      <button onClick={download} className={secondaryButtonClass}>
+        Download
+      </button>
+    </div>
+  );
+}
+
+function SecuritySettings() {
+  const searchParams = useSearchParams();
+  const { data: session } = useSession();
+  const [mfa, setMfa] = useState(null);
+  const [enrollment, setEnrollment] = useState(null);
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  const [code, setCode] = useState('');
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    fetch('/api/account/mfa')
+      .then((res) => (res.ok ? res.json() : Promise.reject(new Error('Failed to load two-factor settings'))))
+      .then((data) => setMfa(data.mfa))
+      .catch((err) => setError(err.message));
+  }, []);
+
+  const send = async (url, method, body) => {
+    setError('');
+    setBusy(true);
+    try {
+      const res = await fetch(url, {
+        method,
+        headers: { 'Content-Type': 'application/json' },
+        body: body ? JSON.stringify(body) : undefined,
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Request failed');
+      return data;
+    } catch (err) {
+      setError(err.message);
+      return null;
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const startEnrollment = async () => {
+    const data = await send('/api/account/mfa/setup', 'POST');
+    if (data) setEnrollment(data.enrollment);
+  };
+
+  const confirmEnrollment = async (e) => {
+    e.preventDefault();
+    const data = await send('/api/account/mfa', 'POST', { code });
+    if (!data) return;
+    setMfa(data.mfa);
+    setRecoveryCodes(data.recoveryCodes);
+    setEnrollment(null);
+    setCode('');
+  };
+
+  const newRecoveryCodes = async () => {
+    const data = await send('/api/account/mfa/recovery-codes', 'POST', { code });
+    if (!data) return;
+    setMfa(data.mfa);
+    setRecoveryCodes(data.recoveryCodes);
+    setCode('');
+  };
+
+  const turnOff = async () => {
+    if (!confirm('Turn off two-factor authentication? Signing in will only need your password.')) return;
+    const data = await send('/api/account/mfa', 'DELETE', { code });
+    if (!data) return;
+    setMfa(data.mfa);
+    setRecoveryCodes(null);
+    setCode('');
+  };
+
+  const required = REQUIRED_MESSAGES[searchParams.get('required')];
+  // Turning 2FA on doesn't upgrade the current session; the `mfa` claim
+  // only comes from signing in with a code, or for company accounts from
+  // confirming one on the verify page
+  const needsSignIn = mfa?.enabled && session?.user && !session.user.mfa;
+
+  return (
+    <div className="max-w-2xl space-y-4 sm:space-y-5">
+      <div>
+        <h2 className="text-base sm:text-lg md:text-xl font-semibold text-gray-900">Two-factor authentication</h2>
+        <p className="text-xs sm:text-sm text-gray-500 mt-0.5">
+          Sign in with a code from an authenticator app (such as Google Authenticator or 1Password) as well as your password.
+        </p>
+      </div>
+
+      {required && !mfa?.enabled && (
+        <div className="p-3 bg-amber-50 border border-amber-200 rounded-lg">
+          <p className="text-sm text-amber-800">{required}</p>
+        </div>
+      )}
+
+      {error && (
+        <div className="p-3 bg-red-50 border border-red-200 rounded-lg">
+          <p className="text-sm text-red-800">{error}</p>
+        </div>
+      )}
+
+      {recoveryCodes && <RecoveryCodes codes={recoveryCodes} />}
+
+      {needsSignIn && (
+        <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3 p-3 bg-emerald-50 border border-emerald-200 rounded-lg">
+          {session.user.sso ? (
+            <>
+              <p className="text-sm text-emerald-800">
+                Two-factor authentication is on. Enter a code to open pages that need it.
+              </p>
+              <Link href="/account/verify" className={`${primaryButtonClass} whitespace-nowrap text-center`}>
+                Enter a code
+              </Link>
+            </>
+          ) : (
+            <>
+              <p className="text-sm text-emerald-800">
+                Two-factor authentication is on. Sign in again with a code to open pages that need it.
+              </p>
+              <button onClick={() => signOut({ callbackUrl: '/login' })} className={`${primaryButtonClass} whitespace-nowrap`}>
+                Sign in again
+              </button>
+            </>
+          )}
+        </div>
+      )}
+
+      {!mfa ? (
+        !error && <p className="text-sm text-gray-500 py-8 text-center">Loading...</p>
+      ) : mfa.enabled ? (
+        <div className="space-y-4">
+          <dl className="grid grid-cols-1 sm:grid-cols-2 gap-3 text-sm">
+            <div>
+              <dt className="text-xs font-medium text-gray-500">Status</dt>
+              <dd className="text-gray-900">
+                On since {new Date(`${mfa.enabledAt.replace(' ', 'T')}Z`).toLocaleDateString()}
+              </dd>
+            </div>
+            <div>
+              <dt className="text-xs font-medium text-gray-500">Recovery codes left</dt>
+              <dd className={mfa.recoveryCodesLeft <= 2 ? 'text-red-700 font-medium' : 'text-gray-900'}>
+                {mfa.recoveryCodesLeft}
+              </dd>
+            </div>
+          </dl>
+          <div className="pt-4 border-t border-gray-200">
+            <label htmlFor="code" className="block text-xs sm:text-sm font-medium text-gray-700 mb-1.5">
+              Authentication or recovery code
+            </label>
+            <div className="flex flex-wrap items-center gap-2">
+              <input
+                id="code"
+                value={code}
+                onChange={(e) => setCode(e.target.value)}
+                autoComplete="one-time-code"
+                className={inputClass}
+              />
+              <button onClick={newRecoveryCodes} disabled={busy || !code.trim()} className={secondaryButtonClass}>
+                New recovery codes
+              </button>
+              {!mfa.required && (
+                <button
+                  onClick={turnOff}
+                  disabled={busy || !code.trim()}
+                  className="px-4 py-2 text-sm font-medium text-red-700 bg-red-50 border border-red-200 rounded-lg hover:bg-red-100 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  Turn off
+                </button>
+              )}
+            </div>
+            {mfa.required && (
+              <p className="text-xs text-gray-500 mt-2">Your role requires two-factor authentication, so it can&apos;t be turned off.</p>
+            )}
+          </div>
+        </div>
+      ) : enrollment ? (
+        <form onSubmit={confirmEnrollment} className="space-y-4">
+          <ol className="list-decimal list-inside space-y-1 text-sm text-gray-700">
+            <li>Scan the QR code with your authenticator app, or enter the key by hand.</li>
+            <li>Enter the 6-digit code the app shows.</li>
+          </ol>
+          <div className="flex flex-col sm:flex-row sm:items-center gap-4">
+            <Image
+              src={enrollment.qrCode}
+              alt="QR code for your authenticator app"
+              width={200}
+              height={200}
+              unoptimized
+              className="border border-gray-200 rounded-lg"
+            />
+            <div className="min-w-0">
+              <p className="text-xs font-medium text-gray-500">Key</p>
+              <p className="font-mono text-sm text-gray-900 break-all">{enrollment.secret.match(/.{1,4}/g).join(' ')}</p>
+            </div>
+          </div>
+          <div className="flex flex-wrap items-center gap-2">
+            <input
+              value={code}
+              onChange={(e) => setCode(e.target.value)}
+              inputMode="numeric"
+              autoComplete="one-time-code"
+              placeholder="123456"
+              className={inputClass}
+            />
+            <button type="submit" disabled={busy || !code.trim()} className={primaryButtonClass}>
+              Turn On
+            </button>
+            <button type="button" onClick={() => setEnrollment(null)} className={secondaryButtonClass}>
+              Cancel
+            </button>
+          </div>
+        </form>
+      ) : (
+        <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3">
+          <p className="text-sm text-gray-700">
+            Two-factor authentication is off{mfa.required ? ', but your role requires it' : ''}.
+          </p>
+          <button onClick={startEnrollment} disabled={busy} className={`${primaryButtonClass} whitespace-nowrap`}>
+            Set Up
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default function SecurityPage() {
+  return (
+    <Suspense fallback={<p className="text-sm text-gray-500 py-8 text-center">Loading...</p>}>
+      <SecuritySettings />
+    </Suspense>
+  );
+}
@@ -0,0 +1,128 @@
+'use client';
+
+import { Suspense, useEffect, useState } from 'react';
+import { useRouter, useSearchParams } from 'next/navigation';
+import { signOut, useSession } from 'next-auth/react';
+
+const inputClass =
+  'w-40 px-3 py-2 text-sm font-mono border border-gray-300 rounded-lg focus:ring-2 focus:ring-emerald-500 focus:border-emerald-500';
+const primaryButtonClass =
+  'px-4 py-2 text-sm font-medium text-white bg-emerald-600 rounded-lg hover:bg-emerald-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed';
+
+const REQUIRED_MESSAGES = {
+  role: 'Your role requires two-factor authentication.',
+  route: 'The page you opened needs two-factor authentication.',
+};
+
+// Only go back to pages on this site
+function safeCallbackUrl(url) {
+  return url?.startsWith('/') && !url.startsWith('//') ? url : '/';
+}
+
+// Company account sessions get their second factor from the identity
+// provider. When it signed the user in without one, a code from an
+// authenticator enrolled in Draive confirms the session instead.
+function VerifySession() {
+  const router = useRouter();
+  const searchParams = useSearchParams();
+  const { data: session, update } = useSession();
+  const [mfa, setMfa] = useState(null);
+  const [code, setCode] = useState('');
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+
+  const callbackUrl = safeCallbackUrl(searchParams.get('callbackUrl'));
+  const verified = Boolean(session?.user?.mfa);
+
+  useEffect(() => {
+    fetch('/api/account/mfa')
+      .then((res) => (res.ok ? res.json() : Promise.reject(new Error('Failed to load two-factor settings'))))
+      .then((data) => setMfa(data.mfa))
+      .catch((err) => setError(err.message));
+  }, []);
+
+  useEffect(() => {
+    if (verified) router.replace(callbackUrl);
+  }, [verified, callbackUrl, router]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setBusy(true);
+    try {
+      const updated = await update({ mfaCode: code.trim() });
+      if (!updated?.user?.mfa) {
+        setError("That code didn't work. Check your authenticator app and try again.");
+      }
+    } finally {
+      setCode('');
+      setBusy(false);
+    }
+  };
+
+  const required = REQUIRED_MESSAGES[searchParams.get('required')];
+
+  return (
+    <div className="max-w-md space-y-4 sm:space-y-5">
+      <div>
+        <h2 className="text-base sm:text-lg md:text-xl font-semibold text-gray-900">Confirm it&apos;s you</h2>
+        <p className="text-xs sm:text-sm text-gray-500 mt-0.5">
+          Your company account signed you in without a second factor.
+        </p>
+      </div>
+
+      {required && (
+        <div className="p-3 bg-amber-50 border border-amber-200 rounded-lg">
+          <p className="text-sm text-amber-800">{required}</p>
+        </div>
+      )}
+
+      {error && (
+        <div className="p-3 bg-red-50 border border-red-200 rounded-lg">
+          <p className="text-sm text-red-800">{error}</p>
+        </div>
+      )}
+
+      {!mfa || verified ? (
+        !error && <p className="text-sm text-gray-500 py-8 text-center">Loading...</p>
+      ) : mfa.enabled ? (
+        <form onSubmit={handleSubmit} className="space-y-3">
+          <label htmlFor="code" className="block text-xs sm:text-sm font-medium text-gray-700">
+            Authentication or recovery code
+          </label>
+          <div className="flex flex-wrap items-center gap-2">
+            <input
+              id="code"
+              value={code}
+              onChange={(e) => setCode(e.target.value)}
+              autoComplete="one-time-code"
+              autoFocus
+              className={inputClass}
+            />
+            <button type="submit" disabled={busy || !code.trim()} className={primaryButtonClass}>
+              {busy ? 'Checking...' : 'Continue'}
+            </button>
+          </div>
+        </form>
+      ) : (
+        <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3 p-3 bg-red-50 border border-red-200 rounded-lg">
+          <p className="text-sm text-red-800">
+            Your company&apos;s identity provider has to ask for a second factor when you sign in to Draive. Ask your
+            IT team to turn it on, then sign in again.
+          </p>
+          <button onClick={() => signOut({ callbackUrl: '/login' })} className={`${primaryButtonClass} whitespace-nowrap`}>
+            Sign out
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default function VerifyPage() {
+  return (
+    <Suspense fallback={<p className="text-sm text-gray-500 py-8 text-center">Loading...</p>}>
+      <VerifySession />
+    </Suspense>
+  );
+}
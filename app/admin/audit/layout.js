@@ -0,0 +1,6 @@
+import { requireRouteAccess } from '@/app/lib/session';
+
+export default async function AdminAuditLayout({ children }) {
+  await requireRouteAccess('/admin/audit');
+  return children;
+}
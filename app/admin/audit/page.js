@@ -0,0 +1,233 @@
+'use client';
+
+import { Fragment, useEffect, useState } from 'react';
+import ExportButton from '@/app/components/ExportButton';
+import { getRoleLabel } from '@/app/utils/auth';
+import {
+  AUDIT_ACTION_OPTIONS,
+  ENTITY_TYPE_OPTIONS,
+  actionLabel,
+  entityTypeLabel,
+  formatChangeValue,
+} from '../components/auditOptions';
+
+const PAGE_SIZE = 50;
+const selectClass =
+  'px-3 py-2 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-emerald-500 focus:border-emerald-500';
+
+const ACTION_STYLES = {
+  login_failed: 'text-red-700 bg-red-50',
+  lockout: 'text-red-700 bg-red-50',
+  delete: 'text-red-700 bg-red-50',
+  create: 'text-emerald-700 bg-emerald-50',
+  update: 'text-blue-700 bg-blue-50',
+};
+
+function formatTime(timestamp) {
+  return new Date(`${timestamp.replace(' ', 'T')}Z`).toLocaleString();
+}
+
+function Changes({ entry }) {
+  const changes = Object.entries(entry.changes || {});
+
+  return (
+    <div className="space-y-3">
+      {changes.length > 0 && (
+        <table className="text-xs">
+          <thead>
+            <tr className="text-left text-gray-500">
+              <th className="pr-4 pb-1 font-medium">Field</th>
+              <th className="pr-4 pb-1 font-medium">Before</th>
+              <th className="pb-1 font-medium">After</th>
+            </tr>
+          </thead>
+          <tbody>
+            {changes.map(([field, { from, to }]) => (
+              <tr key={field} className="align-top">
+                <td className="pr-4 py-0.5 font-medium text-gray-700">{field}</td>
+                <td className="pr-4 py-0.5 text-red-700 font-mono break-all">{formatChangeValue(from)}</td>
+                <td className="py-0.5 text-emerald-700 font-mono break-all">{formatChangeValue(to)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+      <dl className="grid grid-cols-1 sm:grid-cols-3 gap-2 text-xs text-gray-600">
+        <div>
+          <dt className="font-medium text-gray-500">Actor scope</dt>
+          <dd>{entry.actorScope || 'All regions'}</dd>
+        </div>
+        <div>
+          <dt className="font-medium text-gray-500">IP address</dt>
+          <dd className="font-mono">{entry.ip || '—'}</dd>
+        </div>
+        <div>
+          <dt className="font-medium text-gray-500">Browser</dt>
+          <dd className="truncate" title={entry.userAgent || ''}>{entry.userAgent || '—'}</dd>
+        </div>
+      </dl>
+    </div>
+  );
+}
+
+export default function AuditLogPage() {
+  const [filters, setFilters] = useState({ action: '', entityType: '', actor: '', entityId: '', from: '', to: '', page: 1 });
+  const [search, setSearch] = useState({ actor: '', entityId: '' });
+  const [result, setResult] = useState({ entries: [], total: 0 });
+  const [expanded, setExpanded] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    const query = new URLSearchParams({ page: filters.page, pageSize: PAGE_SIZE });
+    for (const field of ['action', 'entityType', 'actor', 'entityId', 'from', 'to']) {
+      if (filters[field]) query.set(field, filters[field]);
+    }
+
+    fetch(`/api/admin/audit?${query}`)
+      .then((res) => (res.ok ? res.json() : Promise.reject(new Error('Failed to load the audit log'))))
+      .then((data) => setResult(data))
+      .catch((err) => setError(err.message))
+      .finally(() => setLoading(false));
+  }, [filters]);
+
+  const updateFilter = (field, value) => setFilters((prev) => ({ ...prev, [field]: value, page: 1 }));
+  const totalPages = Math.max(1, Math.ceil(result.total / PAGE_SIZE));
+
+  return (
+    <div>
+      <div className="flex flex-col md:flex-row md:items-start md:justify-between gap-3 mb-4 sm:mb-6">
+        <form
+          onSubmit={(e) => {
+            e.preventDefault();
+            setFilters((prev) => ({ ...prev, actor: search.actor.trim(), entityId: search.entityId.trim(), page: 1 }));
+          }}
+          className="flex flex-1 flex-wrap items-center gap-2"
+        >
+          <input
+            value={search.actor}
+            onChange={(e) => setSearch((prev) => ({ ...prev, actor: e.target.value }))}
+            placeholder="Actor name or email"
+            className="flex-1 min-w-[10rem] px-3 py-2 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-emerald-500 focus:border-emerald-500"
+          />
+          <input
+            value={search.entityId}
+            onChange={(e) => setSearch((prev) => ({ ...prev, entityId: e.target.value }))}
+            placeholder="Record ID"
+            className="w-36 px-3 py-2 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-emerald-500 focus:border-emerald-500"
+          />
+          <button type="submit" className="sr-only">Search</button>
+          <select value={filters.action} onChange={(e) => updateFilter('action', e.target.value)} className={selectClass}>
+            <option value="">All actions</option>
+            {AUDIT_ACTION_OPTIONS.map((option) => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+          <select value={filters.entityType} onChange={(e) => updateFilter('entityType', e.target.value)} className={selectClass}>
+            <option value="">All records</option>
+            {ENTITY_TYPE_OPTIONS.map((option) => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+          <label className="flex items-center gap-1.5 text-xs sm:text-sm text-gray-600">
+            From
+            <input type="date" value={filters.from} onChange={(e) => updateFilter('from', e.target.value)} className={selectClass} />
+          </label>
+          <label className="flex items-center gap-1.5 text-xs sm:text-sm text-gray-600">
+            To
+            <input type="date" value={filters.to} onChange={(e) => updateFilter('to', e.target.value)} className={selectClass} />
+          </label>
+        </form>
+        <ExportButton report="audit" filters={filters} />
+      </div>
+
+      {error && (
+        <div className="mb-4 p-3 bg-red-50 border border-red-200 rounded-lg">
+          <p className="text-sm text-red-800">{error}</p>
+        </div>
+      )}
+
+      {loading ? (
+        <p className="text-sm text-gray-500 py-8 text-center">Loading...</p>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-xs font-medium text-gray-500 uppercase tracking-wide border-b border-gray-200">
+                <th className="py-2 pr-4">Time</th>
+                <th className="py-2 pr-4">Actor</th>
+                <th className="py-2 pr-4">Action</th>
+                <th className="py-2 pr-4 hidden sm:table-cell">Record</th>
+                <th className="py-2 pr-4 hidden md:table-cell">Changed</th>
+                <th className="py-2 hidden lg:table-cell">IP</th>
+              </tr>
+            </thead>
+            <tbody>
+              {result.entries.map((entry) => (
+                <Fragment key={entry.id}>
+                  <tr
+                    onClick={() => setExpanded(expanded === entry.id ? null : entry.id)}
+                    className="border-b border-gray-100 hover:bg-emerald-50/50 cursor-pointer transition-colors"
+                  >
+                    <td className="py-3 pr-4 text-gray-600 whitespace-nowrap">{formatTime(entry.createdAt)}</td>
+                    <td className="py-3 pr-4">
+                      <p className="font-medium text-gray-900">{entry.actorName || entry.actorEmail || 'Unknown'}</p>
+                      {entry.actorRole && <p className="text-xs text-gray-500">{getRoleLabel(entry.actorRole)}</p>}
+                    </td>
+                    <td className="py-3 pr-4">
+                      <span className={`px-2 py-0.5 rounded text-xs font-medium ${ACTION_STYLES[entry.action] || 'text-gray-700 bg-gray-100'}`}>
+                        {actionLabel(entry.action)}
+                      </span>
+                    </td>
+                    <td className="py-3 pr-4 hidden sm:table-cell text-gray-600">
+                      {entry.entityType ? (
+                        <>
+                          {entityTypeLabel(entry.entityType)} <span className="font-mono text-xs">{entry.entityId}</span>
+                        </>
+                      ) : (
+                        '—'
+                      )}
+                    </td>
+                    <td className="py-3 pr-4 hidden md:table-cell text-gray-600">
+                      {entry.changes ? Object.keys(entry.changes).join(', ') || '—' : '—'}
+                    </td>
+                    <td className="py-3 hidden lg:table-cell text-gray-600 font-mono text-xs">{entry.ip || '—'}</td>
+                  </tr>
+                  {expanded === entry.id && (
+                    <tr className="border-b border-gray-100 bg-gray-50">
+                      <td colSpan={6} className="px-3 py-3">
+                        <Changes entry={entry} />
+                      </td>
+                    </tr>
+                  )}
+                </Fragment>
+              ))}
+            </tbody>
+          </table>
+          {result.entries.length === 0 && <p className="text-sm text-gray-500 py-8 text-center">No audit entries found.</p>}
+        </div>
+      )}
+
+      <div className="flex items-center justify-between mt-4 text-xs sm:text-sm text-gray-600">
+        <span>{result.total} entr{result.total === 1 ? 'y' : 'ies'}</span>
+        <div className="flex items-center gap-2">
+          <button
+            onClick={() => setFilters((prev) => ({ ...prev, page: prev.page - 1 }))}
+            disabled={filters.page <= 1}
+            className="px-3 py-1.5 border border-gray-300 rounded-lg hover:bg-gray-50 disabled:opacity-40 disabled:cursor-not-allowed"
+          >
+            Previous
+          </button>
+          <span>Page {filters.page} of {totalPages}</span>
+          <button
+            onClick={() => setFilters((prev) => ({ ...prev, page: prev.page + 1 }))}
+            disabled={filters.page >= totalPages}
+            className="px-3 py-1.5 border border-gray-300 rounded-lg hover:bg-gray-50 disabled:opacity-40 disabled:cursor-not-allowed"
+          >
+            Next
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,69 @@
+'use client';
+
+import Link from 'next/link';
+import { usePathname } from 'next/navigation';
+import { useSession } from 'next-auth/react';
+import { canAccessRoute } from '@/app/utils/permissions';
+
+export default function AdminTabs() {
+  const pathname = usePathname();
+  const { data: session } = useSession();
+
+  const tabs = [
+    {
+      href: '/admin/users',
+      label: 'Users',
+      icon: (
+        <svg className="w-4 h-4 sm:w-5 sm:h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 4.354a4 4 0 110 5.292M15 21H3v-1a6 6 0 0112 0v1zm0 0h6v-1a6 6 0 00-9-5.197M13 7a4 4 0 11-8 0 4 4 0 018 0z" />
+        </svg>
+      )
+    },
+    {
+      href: '/admin/hierarchy',
+      label: 'Hierarchy',
+      icon: (
+        <svg className="w-4 h-4 sm:w-5 sm:h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 6h16M4 12h16M4 18h7" />
+        </svg>
+      )
+    },
+    {
+      href: '/admin/audit',
+      label: 'Audit Log',
+      icon: (
+        <svg className="w-4 h-4 sm:w-5 sm:h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 5H7a2 2 0 00-2 2v12a2 2 0 002 2h10a2 2 0 002-2V7a2 2 0 00-2-2h-2M9 5a2 2 0 002 2h2a2 2 0 002-2M9 5a2 2 0 012-2h2a2 2 0 012 2m-3 7h3m-3 4h3m-6-4h.01M9 16h.01" />
+        </svg>
+      )
+    },
+  ].filter((tab) => canAccessRoute(session?.user, tab.href));
+
+  const isActive = (href) => {
+    return pathname === href || pathname?.startsWith(href + '/');
+  };
+
+  return (
+    <div className="border-b border-gray-200 bg-white">
+      <div className="flex space-x-0.5 sm:space-x-1 overflow-x-auto scrollbar-hide px-2 sm:px-4">
+        {tabs.map((tab) => {
+          const active = isActive(tab.href);
+          return (
+            <Link
+              key={tab.href}
+              href={tab.href}
+              className={`flex items-center space-x-1 sm:space-x-2 px-2.5 sm:px-3 md:px-4 py-2 sm:py-2.5 md:py-3 text-xs sm:text-sm font-medium border-b-2 transition-all whitespace-nowrap min-w-fit ${
+                active
+                  ? 'border-emerald-600 text-emerald-600 bg-emerald-50/50'
+                  : 'border-transparent text-gray-600 hover:text-gray-900 hover:border-gray-300 hover:bg-gray-50/50'
+              }`}
+            >
+              <span className={`flex-shrink-0 ${active ? 'text-emerald-600' : 'text-gray-500'}`}>{tab.icon}</span>
+              <span>{tab.label}</span>
+            </Link>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,180 @@
+'use client';
+
+import { useState } from 'react';
+import { useHierarchy } from '@/app/hooks/useHierarchy';
+import PasswordRules from '@/app/components/PasswordRules';
+import { ROLES, getRoleLabel } from '@/app/utils/auth';
+
+const inputClass =
+  'w-full px-3 sm:px-4 py-2.5 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-emerald-500 focus:border-emerald-500 transition-colors disabled:bg-gray-50 disabled:text-gray-400';
+const labelClass = 'block text-xs sm:text-sm font-medium text-gray-700 mb-1.5';
+
+const needsRegion = (role) => role !== ROLES.SUPER_ADMIN;
+const needsCircle = (role) => role === ROLES.CIRCLE_HEAD || role === ROLES.AREA_HEAD;
+const needsArea = (role) => role === ROLES.AREA_HEAD;
+
+/**
+ * Create/edit form for a user account.
+ * Circle options are limited to the selected region, area options to the selected circle.
+ */
+export default function UserForm({ initialUser, onSubmit, submitLabel }) {
+  const [form, setForm] = useState({
+    name: initialUser?.name || '',
+    email: initialUser?.email || '',
+    password: '',
+    role: initialUser?.role || ROLES.AREA_HEAD,
+    region: initialUser?.region || '',
+    circle: initialUser?.circle || '',
+    area: initialUser?.area || '',
+    mustChangePassword: initialUser ? initialUser.mustChangePassword : true,
+  });
+  const [error, setError] = useState('');
+  const [saving, setSaving] = useState(false);
+  const { hierarchy, error: hierarchyError } = useHierarchy();
+
+  const circles = Object.keys(hierarchy.circles).filter((c) => hierarchy.circles[c] === form.region);
+  const areas = Object.keys(hierarchy.areas).filter((a) => hierarchy.areas[a] === form.circle);
+
+  const update = (field, value) => {
+    setForm((prev) => {
+      const next = { ...prev, [field]: value };
+      // Clear child scope when the parent changes
+      if (field === 'role' || field === 'region') next.circle = '';
+      if (field === 'role' || field === 'region' || field === 'circle') next.area = '';
+      if (field === 'role' && !needsRegion(value)) next.region = '';
+      return next;
+    });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setSaving(true);
+
+    try {
+      await onSubmit({
+        ...form,
+        region: needsRegion(form.role) ? form.region : null,
+        circle: needsCircle(form.role) ? form.circle : null,
+        area: needsArea(form.role) ? form.area : null,
+      });
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4 max-w-xl">
+      {(error || hierarchyError) && (
+        <div className="p-3 bg-red-50 border border-red-200 rounded-lg">
+          <p className="text-sm text-red-800">{error || hierarchyError}</p>
+        </div>
+      )}
+
+      <div>
+        <label htmlFor="name" className={labelClass}>Name</label>
+        <input id="name" value={form.name} onChange={(e) => update('name', e.target.value)} required className={inputClass} />
+      </div>
+
+      <div>
+        <label htmlFor="email" className={labelClass}>Email Address</label>
+        <input id="email" type="email" value={form.email} onChange={(e) => update('email', e.target.value)} required className={inputClass} />
+      </div>
+
+      <div>
+        <label htmlFor="password" className={labelClass}>
+          {initialUser ? 'New Password (leave blank to keep current)' : 'Password'}
+        </label>
+        <input
+          id="password"
+          type="password"
+          value={form.password}
+          onChange={(e) => update('password', e.target.value)}
+          required={!initialUser}
+          autoComplete="new-password"
+          className={inputClass}
+        />
+        {form.password && <PasswordRules password={form.password} email={form.email} />}
+        <label className="flex items-center gap-2 mt-2 text-xs sm:text-sm text-gray-700">
+          <input
+            type="checkbox"
+            checked={form.mustChangePassword}
+            onChange={(e) => update('mustChangePassword', e.target.checked)}
+            className="rounded border-gray-300 text-emerald-600 focus:ring-emerald-500"
+          />
+          Must choose a new password at next sign-in
+        </label>
+      </div>
+
+      <div>
+        <label htmlFor="role" className={labelClass}>Role</label>
+        <select id="role" value={form.role} onChange={(e) => update('role', e.target.value)} className={inputClass}>
+          {Object.values(ROLES).map((role) => (
+            <option key={role} value={role}>{getRoleLabel(role)}</option>
+          ))}
+        </select>
+      </div>
+
+      <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+        <div>
+          <label htmlFor="region" className={labelClass}>Region</label>
+          <select
+            id="region"
+            value={form.region}
+            onChange={(e) => update('region', e.target.value)}
+            disabled={!needsRegion(form.role)}
+            required={needsRegion(form.role)}
+            className={inputClass}
+          >
+            <option value="">Select region</option>
+            {hierarchy.regions.map((region) => (
+              <option key={region} value={region}>{hierarchy.names.region[region] || region.toUpperCase()}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label htmlFor="circle" className={labelClass}>Circle</label>
+          <select
+            id="circle"
+            value={form.circle}
+            onChange={(e) => update('circle', e.target.value)}
+            disabled={!needsCircle(form.role)}
+            required={needsCircle(form.role)}
+            className={inputClass}
+          >
+            <option value="">Select circle</option>
+            {circles.map((circle) => (
+              <option key={circle} value={circle}>{hierarchy.names.circle[circle] || circle}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label htmlFor="area" className={labelClass}>Area</label>
+          <select
+            id="area"
+            value={form.area}
+            onChange={(e) => update('area', e.target.value)}
+            disabled={!needsArea(form.role)}
+            required={needsArea(form.role)}
+            className={inputClass}
+          >
+            <option value="">Select area</option>
+            {areas.map((area) => (
+              <option key={area} value={area}>{hierarchy.names.area[area] || area}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      <button
+        type="submit"
+        disabled={saving}
+        className="px-5 py-2.5 bg-emerald-600 text-white rounded-lg text-sm font-semibold hover:bg-emerald-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+      >
+        {saving ? 'Saving...' : submitLabel}
+      </button>
+    </form>
+  );
+}
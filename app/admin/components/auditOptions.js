@@ -0,0 +1,56 @@
+// Option lists and labels for the audit log viewer
+
+export const AUDIT_ACTION_OPTIONS = [
+  { value: 'login', label: 'Signed in' },
+  { value: 'login_failed', label: 'Failed sign-in' },
+  { value: 'lockout', label: 'Locked out' },
+  { value: 'unlock', label: 'Unlocked' },
+  { value: 'logout', label: 'Signed out' },
+  { value: 'password_change', label: 'Changed password' },
+  { value: 'password_reset', label: 'Reset password' },
+  { value: 'create', label: 'Created' },
+  { value: 'update', label: 'Updated' },
+  { value: 'delete', label: 'Deleted / retired' },
+];
+
+export const ENTITY_TYPE_OPTIONS = [
+  { value: 'user', label: 'User' },
+  { value: 'vehicle', label: 'Vehicle' },
+  { value: 'battery', label: 'Battery' },
+  { value: 'station', label: 'Station' },
+  { value: 'station_slot', label: 'Station slot' },
+  { value: 'tcu_device', label: 'TCU' },
+  { value: 'work_order', label: 'Work order' },
+  { value: 'work_order_checklist_item', label: 'Work order checklist item' },
+  { value: 'work_order_comment', label: 'Work order comment' },
+  { value: 'work_order_attachment', label: 'Work order attachment' },
+  { value: 'maintenance_plan', label: 'Maintenance plan' },
+  { value: 'maintenance_run', label: 'Maintenance scheduler run' },
+  { value: 'customer_plan', label: 'Customer plan' },
+  { value: 'customer', label: 'Customer' },
+  { value: 'rider', label: 'Rider' },
+  { value: 'subscription', label: 'Subscription' },
+  { value: 'payment', label: 'Payment / refund' },
+  { value: 'billing_run', label: 'Billing run' },
+  { value: 'swap', label: 'Battery swap' },
+  { value: 'swap_target', label: 'Swap target' },
+  { value: 'hierarchy_node', label: 'Hierarchy node' },
+  { value: 'report_subscription', label: 'Report subscription' },
+  { value: 'export', label: 'Export' },
+];
+
+export function actionLabel(value) {
+  return AUDIT_ACTION_OPTIONS.find((option) => option.value === value)?.label || value;
+}
+
+export function entityTypeLabel(value) {
+  return ENTITY_TYPE_OPTIONS.find((option) => option.value === value)?.label || value;
+}
+
+/**
+ * A changed value as shown in the diff: objects as JSON, null as a dash
+ */
+export function formatChangeValue(value) {
+  if (value === null || value === undefined) return '—';
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
@@ -0,0 +1,6 @@
+import { requireRouteAccess } from '@/app/lib/session';
+
+export default async function AdminHierarchyLayout({ children }) {
+  await requireRouteAccess('/admin/hierarchy');
+  return children;
+}
@@ -0,0 +1,203 @@
+'use client';
+
+import { useCallback, useEffect, useState } from 'react';
+
+const CHILD_TYPE = { region: 'circle', circle: 'area', area: 'hub', hub: null };
+
+const TYPE_STYLES = {
+  region: 'bg-emerald-100 text-emerald-800 border-emerald-200',
+  circle: 'bg-blue-100 text-blue-800 border-blue-200',
+  area: 'bg-yellow-100 text-yellow-800 border-yellow-200',
+  hub: 'bg-gray-100 text-gray-700 border-gray-200',
+};
+
+const inputClass =
+  'px-3 py-1.5 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-emerald-500 focus:border-emerald-500';
+
+async function request(url, options) {
+  const res = await fetch(url, {
+    ...options,
+    headers: { 'Content-Type': 'application/json' },
+  });
+  if (res.status === 204) return null;
+
+  const data = await res.json();
+  if (!res.ok) throw new Error(data.error || 'Request failed');
+  return data;
+}
+
+function NodeForm({ type, initialName = '', withCode, onSubmit, onCancel }) {
+  const [name, setName] = useState(initialName);
+  const [code, setCode] = useState('');
+
+  return (
+    <form
+      onSubmit={(e) => {
+        e.preventDefault();
+        onSubmit({ name, code });
+      }}
+      className="flex flex-wrap items-center gap-2 mt-2"
+    >
+      {withCode && (
+        <input value={code} onChange={(e) => setCode(e.target.value)} placeholder={`${type} code`} required className={inputClass} />
+      )}
+      <input value={name} onChange={(e) => setName(e.target.value)} placeholder={`${type} name`} required className={inputClass} />
+      <button type="submit" className="px-3 py-1.5 text-sm font-medium text-white bg-emerald-600 rounded-lg hover:bg-emerald-700">
+        Save
+      </button>
+      <button type="button" onClick={onCancel} className="px-3 py-1.5 text-sm text-gray-600 hover:text-gray-900">
+        Cancel
+      </button>
+    </form>
+  );
+}
+
+function TreeNode({ node, onChange, onError }) {
+  const [expanded, setExpanded] = useState(node.type === 'region');
+  const [mode, setMode] = useState(null); // 'add' | 'rename'
+  const childType = CHILD_TYPE[node.type];
+
+  const run = async (action) => {
+    try {
+      await action();
+      setMode(null);
+      onChange();
+    } catch (err) {
+      onError(err.message);
+    }
+  };
+
+  return (
+    <li>
+      <div className="flex items-center gap-2 py-1.5 group">
+        <button
+          onClick={() => setExpanded(!expanded)}
+          className={`w-5 h-5 text-gray-400 hover:text-gray-700 ${node.children.length ? '' : 'invisible'}`}
+          aria-label={expanded ? 'Collapse' : 'Expand'}
+        >
+          <svg className={`w-4 h-4 transition-transform ${expanded ? 'rotate-90' : ''}`} fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 5l7 7-7 7" />
+          </svg>
+        </button>
+        <span className={`text-[10px] uppercase font-semibold px-1.5 py-0.5 rounded border ${TYPE_STYLES[node.type]}`}>
+          {node.type}
+        </span>
+        <span className="text-sm font-medium text-gray-900">{node.name}</span>
+        <span className="text-xs text-gray-400">{node.code}</span>
+        <div className="ml-auto flex items-center gap-2 text-xs opacity-0 group-hover:opacity-100 transition-opacity">
+          {childType && (
+            <button onClick={() => setMode('add')} className="text-emerald-600 hover:text-emerald-700 font-medium">
+              + {childType}
+            </button>
+          )}
+          <button onClick={() => setMode('rename')} className="text-gray-600 hover:text-gray-900">Rename</button>
+          <button
+            onClick={() => confirm(`Delete ${node.type} "${node.name}"?`) && run(() => request(`/api/hierarchy/${node.id}`, { method: 'DELETE' }))}
+            className="text-red-600 hover:text-red-700"
+          >
+            Delete
+          </button>
+        </div>
+      </div>
+
+      {mode === 'rename' && (
+        <NodeForm
+          type={node.type}
+          initialName={node.name}
+          onCancel={() => setMode(null)}
+          onSubmit={({ name }) => run(() => request(`/api/hierarchy/${node.id}`, { method: 'PATCH', body: JSON.stringify({ name }) }))}
+        />
+      )}
+      {mode === 'add' && (
+        <NodeForm
+          type={childType}
+          withCode
+          onCancel={() => setMode(null)}
+          onSubmit={({ name, code }) =>
+            run(async () => {
+              await request('/api/hierarchy', {
+                method: 'POST',
+                body: JSON.stringify({ type: childType, code, name, parentId: node.id }),
+              });
+              setExpanded(true);
+            })
+          }
+        />
+      )}
+
+      {expanded && node.children.length > 0 && (
+        <ul className="ml-6 border-l border-gray-100 pl-3">
+          {node.children.map((child) => (
+            <TreeNode key={child.id} node={child} onChange={onChange} onError={onError} />
+          ))}
+        </ul>
+      )}
+    </li>
+  );
+}
+
+export default function HierarchyPage() {
+  const [tree, setTree] = useState([]);
+  const [error, setError] = useState('');
+  const [adding, setAdding] = useState(false);
+
+  const load = useCallback(() => {
+    request('/api/hierarchy')
+      .then((data) => setTree(data.tree))
+      .catch((err) => setError(err.message));
+  }, []);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  const refresh = () => {
+    setError('');
+    load();
+  };
+
+  const addRegion = async ({ name, code }) => {
+    try {
+      await request('/api/hierarchy', { method: 'POST', body: JSON.stringify({ type: 'region', code, name }) });
+      setAdding(false);
+      refresh();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <div>
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3 mb-4 sm:mb-6">
+        <div>
+          <h2 className="text-base sm:text-lg md:text-xl font-semibold text-gray-900">Organisation Hierarchy</h2>
+          <p className="text-xs sm:text-sm text-gray-500 mt-0.5">Region → Circle → Area → Hub</p>
+        </div>
+        <button
+          onClick={() => setAdding(true)}
+          className="px-4 py-2 text-sm font-medium text-white bg-emerald-600 rounded-lg hover:bg-emerald-700 transition-colors whitespace-nowrap"
+        >
+          New Region
+        </button>
+      </div>
+
+      {error && (
+        <div className="mb-4 p-3 bg-red-50 border border-red-200 rounded-lg">
+          <p className="text-sm text-red-800">{error}</p>
+        </div>
+      )}
+
+      {adding && (
+        <div className="mb-4">
+          <NodeForm type="region" withCode onSubmit={addRegion} onCancel={() => setAdding(false)} />
+        </div>
+      )}
+
+      <ul>
+        {tree.map((node) => (
+          <TreeNode key={node.id} node={node} onChange={refresh} onError={setError} />
+        ))}
+      </ul>
+    </div>
+  );
+}
@@ -0,0 +1,26 @@
+import { requirePageRole } from '@/app/lib/session';
+import AdminTabs from './components/AdminTabs';
+
+export default async function AdminLayout({ children }) {
+  // Most of the admin console is for super admins only, but regional heads
+  // can open the audit log; each section checks its own ROUTE_PERMISSIONS
+  // entry in its layout
+  await requirePageRole();
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <div className="p-3 sm:p-4 md:p-6 lg:p-8">
+        <div className="mb-3 sm:mb-4 md:mb-6">
+          <h1 className="text-xl sm:text-2xl md:text-3xl font-bold text-gray-900 mb-1 sm:mb-2">Admin</h1>
+          <p className="text-gray-600 text-xs sm:text-sm md:text-base">Manage users, their access scope and the organisation hierarchy, and review the audit log</p>
+        </div>
+        <div className="bg-white rounded-lg sm:rounded-xl shadow-sm border border-gray-200 overflow-hidden">
+          <AdminTabs />
+          <div className="p-3 sm:p-4 md:p-6">
+            {children}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,139 @@
+'use client';
+
+import { use, useEffect, useState } from 'react';
+import Link from 'next/link';
+import { useRouter } from 'next/navigation';
+import StatusBadge from '@/app/components/StatusBadge';
+import UserForm from '../../components/UserForm';
+
+export default function EditUserPage({ params }) {
+  const { id } = use(params);
+  const router = useRouter();
+  const [user, setUser] = useState(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    fetch(`/api/admin/users/${id}`)
+      .then(async (res) => {
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || 'Failed to load user');
+        setUser(data.user);
+      })
+      .catch((err) => setError(err.message));
+  }, [id]);
+
+  const saveUser = async (form) => {
+    const res = await fetch(`/api/admin/users/${id}`, {
+      method: 'PATCH',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(form),
+    });
+    const data = await res.json();
+    if (!res.ok) throw new Error(data.error || 'Failed to save user');
+
+    router.push('/admin/users');
+    router.refresh();
+  };
+
+  const setEnabled = async (enabled) => {
+    setError('');
+    const res = enabled
+      ? await fetch(`/api/admin/users/${id}`, {
+          method: 'PATCH',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ enabled: true }),
+        })
+      : await fetch(`/api/admin/users/${id}`, { method: 'DELETE' });
+    const data = await res.json();
+    if (!res.ok) {
+      setError(data.error || 'Failed to update user');
+      return;
+    }
+    setUser((prev) => ({ ...prev, ...data.user }));
+  };
+
+  const unlock = async () => {
+    setError('');
+    const res = await fetch(`/api/admin/users/${id}/unlock`, { method: 'POST' });
+    const data = await res.json();
+    if (!res.ok) {
+      setError(data.error || 'Failed to unlock user');
+      return;
+    }
+    setUser(data.user);
+  };
+
+  const resetMfa = async () => {
+    if (!confirm(`Reset two-factor authentication for ${user.name}? They will sign in with their password alone until they set it up again.`)) return;
+    setError('');
+    const res = await fetch(`/api/admin/users/${id}/mfa`, { method: 'DELETE' });
+    const data = await res.json();
+    if (!res.ok) {
+      setError(data.error || 'Failed to reset two-factor authentication');
+      return;
+    }
+    setUser((prev) => ({ ...prev, ...data.user }));
+  };
+
+  return (
+    <div>
+      <Link href="/admin/users" className="text-sm text-emerald-600 hover:text-emerald-700 font-medium">
+        ← Back to users
+      </Link>
+
+      {error && (
+        <div className="mt-4 p-3 bg-red-50 border border-red-200 rounded-lg">
+          <p className="text-sm text-red-800">{error}</p>
+        </div>
+      )}
+
+      {user && (
+        <>
+          <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3 mt-3 mb-4 sm:mb-6">
+            <div className="flex items-center gap-3">
+              <h2 className="text-base sm:text-lg md:text-xl font-semibold text-gray-900">{user.name}</h2>
+              {user.lockedUntil && <StatusBadge status="locked" size="sm" />}
+              <StatusBadge status={user.enabled ? 'active' : 'inactive'} size="sm" />
+            </div>
+            <button
+              onClick={() => setEnabled(!user.enabled)}
+              className={`px-4 py-2 text-sm font-medium rounded-lg border transition-colors ${
+                user.enabled
+                  ? 'text-red-700 bg-red-50 border-red-200 hover:bg-red-100'
+                  : 'text-emerald-700 bg-emerald-50 border-emerald-200 hover:bg-emerald-100'
+              }`}
+            >
+              {user.enabled ? 'Deactivate' : 'Reactivate'}
+            </button>
+          </div>
+          {user.lockedUntil && (
+            <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3 mb-4 sm:mb-6 p-3 bg-red-50 border border-red-200 rounded-lg">
+              <p className="text-sm text-red-800">
+                Locked out after too many failed sign-in attempts, until{' '}
+                {new Date(`${user.lockedUntil.replace(' ', 'T')}Z`).toLocaleTimeString()}.
+              </p>
+              <button
+                onClick={unlock}
+                className="px-4 py-2 text-sm font-medium text-red-700 bg-white border border-red-200 rounded-lg hover:bg-red-100 transition-colors whitespace-nowrap"
+              >
+                Unlock
+              </button>
+            </div>
+          )}
+          {user.mfaEnabled && (
+            <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3 mb-4 sm:mb-6 p-3 bg-gray-50 border border-gray-200 rounded-lg">
+              <p className="text-sm text-gray-700">Two-factor authentication is on.</p>
+              <button
+                onClick={resetMfa}
+                className="px-4 py-2 text-sm font-medium text-gray-700 bg-white border border-gray-300 rounded-lg hover:bg-gray-100 transition-colors whitespace-nowrap"
+              >
+                Reset Two-Factor
+              </button>
+            </div>
+          )}
+          <UserForm key={user.id} initialUser={user} onSubmit={saveUser} submitLabel="Save Changes" />
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,6 @@
+import { requireRouteAccess } from '@/app/lib/session';
+
+export default async function AdminUsersLayout({ children }) {
+  await requireRouteAccess('/admin/users');
+  return children;
+}
@@ -0,0 +1,32 @@
+'use client';
+
+import Link from 'next/link';
+import { useRouter } from 'next/navigation';
+import UserForm from '../../components/UserForm';
+
+export default function NewUserPage() {
+  const router = useRouter();
+
+  const createUser = async (form) => {
+    const res = await fetch('/api/admin/users', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(form),
+    });
+    const data = await res.json();
+    if (!res.ok) throw new Error(data.error || 'Failed to create user');
+
+    router.push('/admin/users');
+    router.refresh();
+  };
+
+  return (
+    <div>
+      <Link href="/admin/users" className="text-sm text-emerald-600 hover:text-emerald-700 font-medium">
+        ← Back to users
+      </Link>
+      <h2 className="text-base sm:text-lg md:text-xl font-semibold text-gray-900 mt-3 mb-4 sm:mb-6">New User</h2>
+      <UserForm onSubmit={createUser} submitLabel="Create User" />
+    </div>
+  );
+}
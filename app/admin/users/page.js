@@ -0,0 +1,88 @@
+'use client';
+
+import { useEffect, useState } from 'react';
+import Link from 'next/link';
+import StatusBadge from '@/app/components/StatusBadge';
+import { ROLES, getRoleLabel, getUserScope } from '@/app/utils/auth';
+
+export default function AdminUsersPage() {
+  const [users, setUsers] = useState([]);
+  const [role, setRole] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    const query = role ? `?role=${role}` : '';
+    fetch(`/api/admin/users${query}`)
+      .then((res) => (res.ok ? res.json() : Promise.reject(new Error('Failed to load users'))))
+      .then((data) => setUsers(data.users))
+      .catch((err) => setError(err.message))
+      .finally(() => setLoading(false));
+  }, [role]);
+
+  return (
+    <div>
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3 mb-4 sm:mb-6">
+        <div>
+          <h2 className="text-base sm:text-lg md:text-xl font-semibold text-gray-900">Users</h2>
+          <p className="text-xs sm:text-sm text-gray-500 mt-0.5">Region, circle and area heads</p>
+        </div>
+        <div className="flex items-center gap-2">
+          <select
+            value={role}
+            onChange={(e) => setRole(e.target.value)}
+            className="px-3 py-2 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-emerald-500 focus:border-emerald-500"
+          >
+            <option value="">All roles</option>
+            {Object.values(ROLES).map((r) => (
+              <option key={r} value={r}>{getRoleLabel(r)}</option>
+            ))}
+          </select>
+          <Link
+            href="/admin/users/new"
+            className="px-4 py-2 text-sm font-medium text-white bg-emerald-600 rounded-lg hover:bg-emerald-700 transition-colors whitespace-nowrap"
+          >
+            New User
+          </Link>
+        </div>
+      </div>
+
+      {error && (
+        <div className="mb-4 p-3 bg-red-50 border border-red-200 rounded-lg">
+          <p className="text-sm text-red-800">{error}</p>
+        </div>
+      )}
+
+      {loading ? (
+        <p className="text-sm text-gray-500 py-8 text-center">Loading...</p>
+      ) : (
+        <div className="space-y-3">
+          {users.map((user) => (
+            <Link
+              key={user.id}
+              href={`/admin/users/${user.id}`}
+              className="block border border-gray-100 rounded-lg p-3 hover:border-emerald-200 hover:bg-emerald-50/50 transition-colors"
+            >
+              <div className="flex items-start justify-between gap-3">
+                <div className="flex-1 min-w-0">
+                  <h3 className="font-semibold text-gray-900 text-sm truncate">{user.name}</h3>
+                  <p className="text-xs text-gray-600 mt-0.5 truncate">{user.email}</p>
+                  <p className="text-xs text-emerald-600 mt-1">
+                    {getRoleLabel(user.role)} • {getUserScope(user)}
+                  </p>
+                </div>
+                <div className="flex items-center gap-1.5">
+                  {user.lockedUntil && <StatusBadge status="locked" size="sm" />}
+                  <StatusBadge status={user.enabled ? 'active' : 'inactive'} size="sm" />
+                </div>
+              </div>
+            </Link>
+          ))}
+          {users.length === 0 && (
+            <p className="text-sm text-gray-500 py-8 text-center">No users found.</p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,43 @@
+import { NextResponse } from 'next/server';
+import { requireRole } from '@/app/lib/session';
+import { getMfaStatus, regenerateRecoveryCodes, verifyMfaCode } from '@/app/lib/mfa';
+import { checkLoginAllowed, clearLoginFailures, recordLoginFailure } from '@/app/lib/loginThrottle';
+import { clientIp, recordAudit } from '@/app/lib/audit';
+
+/**
+ * Replace the recovery codes, invalidating the old ones.
+ * Body: { code } - a current code or a recovery code. Wrong codes count
+ * towards the sign-in lockout, like failed sign-ins.
+ */
+export async function POST(request) {
+  const { user, error } = await requireRole();
+  if (error) return error;
+
+  if (!getMfaStatus(user).enabled) {
+    return NextResponse.json({ error: 'Two-factor authentication is not on' }, { status: 409 });
+  }
+
+  const { code } = await request.json();
+  const ip = clientIp(request.headers);
+
+  if (checkLoginAllowed(user.email, ip)) {
+    return NextResponse.json({ error: 'Too many failed attempts. Try again later.' }, { status: 429 });
+  }
+  if (!verifyMfaCode(user.id, code)) {
+    recordLoginFailure(user.email, ip);
+    return NextResponse.json({ error: 'Invalid authentication code' }, { status: 400 });
+  }
+  clearLoginFailures(user.email);
+
+  const before = getMfaStatus(user);
+  const recoveryCodes = regenerateRecoveryCodes(user.id);
+  const mfa = getMfaStatus(user);
+  recordAudit(request.headers, user, {
+    action: 'update',
+    entityType: 'user',
+    entityId: user.id,
+    before: { recoveryCodesLeft: before.recoveryCodesLeft },
+    after: { recoveryCodesLeft: mfa.recoveryCodesLeft, recoveryCodes },
+  });
+  return NextResponse.json({ mfa, recoveryCodes });
+}
@@ -0,0 +1,74 @@
+import { NextResponse } from 'next/server';
+import { requireRole } from '@/app/lib/session';
+import { findUserById } from '@/app/lib/users';
+import { confirmMfaEnrollment, disableMfa, getMfaStatus, verifyMfaCode } from '@/app/lib/mfa';
+import { checkLoginAllowed, clearLoginFailures, recordLoginFailure } from '@/app/lib/loginThrottle';
+import { clientIp, recordAudit } from '@/app/lib/audit';
+
+/**
+ * The signed-in user's two-factor status
+ */
+export async function GET() {
+  const { user, error } = await requireRole();
+  if (error) return error;
+
+  return NextResponse.json({ mfa: getMfaStatus(user) });
+}
+
+/**
+ * Finish enrolling with a code from the authenticator app.
+ * Body: { code }. Returns the recovery codes, which are only shown once.
+ */
+export async function POST(request) {
+  const { user, error } = await requireRole();
+  if (error) return error;
+
+  const before = findUserById(user.id);
+  if (before.mfaEnabled) {
+    return NextResponse.json({ error: 'Two-factor authentication is already on' }, { status: 409 });
+  }
+
+  const { code } = await request.json();
+  const recoveryCodes = confirmMfaEnrollment(user.id, code);
+  if (!recoveryCodes) {
+    return NextResponse.json({ error: 'Invalid authentication code' }, { status: 400 });
+  }
+
+  recordAudit(request.headers, user, { action: 'update', entityType: 'user', entityId: user.id, before, after: findUserById(user.id) });
+  return NextResponse.json({ mfa: getMfaStatus(user), recoveryCodes }, { status: 201 });
+}
+
+/**
+ * Turn two-factor authentication off. Body: { code } - a current code or
+ * a recovery code. Not allowed for roles that require it. Wrong codes
+ * count towards the sign-in lockout, like failed sign-ins.
+ */
+export async function DELETE(request) {
+  const { user, error } = await requireRole();
+  if (error) return error;
+
+  const status = getMfaStatus(user);
+  if (status.required) {
+    return NextResponse.json({ error: 'Two-factor authentication is required for your role' }, { status: 400 });
+  }
+  if (!status.enabled) {
+    return NextResponse.json({ error: 'Two-factor authentication is not on' }, { status: 409 });
+  }
+
+  const { code } = await request.json();
+  const ip = clientIp(request.headers);
+
+  if (checkLoginAllowed(user.email, ip)) {
+    return NextResponse.json({ error: 'Too many failed attempts. Try again later.' }, { status: 429 });
+  }
+  if (!verifyMfaCode(user.id, code)) {
+    recordLoginFailure(user.email, ip);
+    return NextResponse.json({ error: 'Invalid authentication code' }, { status: 400 });
+  }
+  clearLoginFailures(user.email);
+
+  const before = findUserById(user.id);
+  disableMfa(user.id);
+  recordAudit(request.headers, user, { action: 'update', entityType: 'user', entityId: user.id, before, after: findUserById(user.id) });
+  return NextResponse.json({ mfa: getMfaStatus(user) });
+}
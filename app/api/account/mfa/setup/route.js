@@ -0,0 +1,20 @@
+import { NextResponse } from 'next/server';
+import { requireRole } from '@/app/lib/session';
+import { findUserById } from '@/app/lib/users';
+import { startMfaEnrollment } from '@/app/lib/mfa';
+
+/**
+ * Start enrolling in two-factor authentication: a new secret with its QR
+ * code, confirmed by POSTing a code to /api/account/mfa
+ */
+export async function POST() {
+  const { user, error } = await requireRole();
+  if (error) return error;
+
+  if (findUserById(user.id).mfaEnabled) {
+    return NextResponse.json({ error: 'Two-factor authentication is already on' }, { status: 409 });
+  }
+
+  const enrollment = await startMfaEnrollment(user);
+  return NextResponse.json({ enrollment });
+}
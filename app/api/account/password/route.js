@@ -0,0 +1,39 @@
+import { NextResponse } from 'next/server';
+import { requireRole } from '@/app/lib/session';
+import { authenticateUser, setUserPassword } from '@/app/lib/users';
+import { checkLoginAllowed, recordLoginFailure } from '@/app/lib/loginThrottle';
+import { clientIp, recordAudit } from '@/app/lib/audit';
+import { validatePassword } from '@/app/utils/passwordPolicy';
+
+/**
+ * Change the signed-in user's password.
+ * Body: { currentPassword, newPassword }. Wrong current passwords count
+ * towards the sign-in lockout, like failed sign-ins.
+ */
+export async function POST(request) {
+  const { user, error } = await requireRole();
+  if (error) return error;
+
+  const { currentPassword, newPassword } = await request.json();
+  const ip = clientIp(request.headers);
+
+  if (checkLoginAllowed(user.email, ip)) {
+    return NextResponse.json({ error: 'Too many failed attempts. Try again later.' }, { status: 429 });
+  }
+  if (!authenticateUser(user.email, currentPassword)) {
+    recordLoginFailure(user.email, ip);
+    return NextResponse.json({ error: 'Your current password is incorrect' }, { status: 400 });
+  }
+
+  const passwordError = validatePassword(newPassword, user);
+  if (passwordError) {
+    return NextResponse.json({ error: passwordError }, { status: 400 });
+  }
+  if (newPassword === currentPassword) {
+    return NextResponse.json({ error: 'Choose a password different from your current one' }, { status: 400 });
+  }
+
+  setUserPassword(user.id, newPassword);
+  recordAudit(request.headers, user, { action: 'password_change', entityType: 'user', entityId: user.id });
+  return NextResponse.json({ ok: true });
+}
@@ -0,0 +1,30 @@
+import { NextResponse } from 'next/server';
+import { requireRole } from '@/app/lib/session';
+import { listAudit } from '@/app/lib/audit';
+import { ROLES } from '@/app/utils/auth';
+
+/**
+ * Audit log entries in the user's scope, newest first.
+ * Query: action, entityType, entityId, actor, from, to (YYYY-MM-DD), page, pageSize
+ */
+export async function GET(request) {
+  const { user, error } = await requireRole(ROLES.SUPER_ADMIN, ROLES.REGIONAL_HEAD);
+  if (error) return error;
+
+  const { searchParams } = new URL(request.url);
+  const page = Math.max(1, parseInt(searchParams.get('page'), 10) || 1);
+  const pageSize = Math.min(100, Math.max(1, parseInt(searchParams.get('pageSize'), 10) || 50));
+
+  const result = listAudit(user, {
+    action: searchParams.get('action') || undefined,
+    entityType: searchParams.get('entityType') || undefined,
+    entityId: searchParams.get('entityId')?.trim() || undefined,
+    actor: searchParams.get('actor')?.trim() || undefined,
+    from: searchParams.get('from') || undefined,
+    to: searchParams.get('to') || undefined,
+    page,
+    pageSize,
+  });
+
+  return NextResponse.json(result);
+}
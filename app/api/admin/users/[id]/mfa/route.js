@@ -0,0 +1,27 @@
+import { NextResponse } from 'next/server';
+import { requireRole } from '@/app/lib/session';
+import { findUserById } from '@/app/lib/users';
+import { disableMfa } from '@/app/lib/mfa';
+import { recordAudit } from '@/app/lib/audit';
+import { ROLES } from '@/app/utils/auth';
+
+/**
+ * Reset a user's two-factor authentication, for when they have lost both
+ * their authenticator app and their recovery codes. They sign in with
+ * their password alone until they enroll again.
+ */
+export async function DELETE(request, { params }) {
+  const { user: admin, error } = await requireRole(ROLES.SUPER_ADMIN);
+  if (error) return error;
+
+  const { id } = await params;
+  const before = findUserById(id);
+  if (!before) {
+    return NextResponse.json({ error: 'User not found' }, { status: 404 });
+  }
+
+  disableMfa(id);
+  const user = findUserById(id);
+  recordAudit(request.headers, admin, { action: 'update', entityType: 'user', entityId: id, before, after: user });
+  return NextResponse.json({ user });
+}
@@ -0,0 +1,92 @@
+import { NextResponse } from 'next/server';
+import { requireRole } from '@/app/lib/session';
+import { findUserByEmail, findUserById, setUserEnabled, updateUser, validateUserScope } from '@/app/lib/users';
+import { getAccountLock } from '@/app/lib/loginThrottle';
+import { recordAudit } from '@/app/lib/audit';
+import { ROLES } from '@/app/utils/auth';
+import { validatePassword } from '@/app/utils/passwordPolicy';
+
+export async function GET(request, { params }) {
+  const { error } = await requireRole(ROLES.SUPER_ADMIN);
+  if (error) return error;
+
+  const { id } = await params;
+  const user = findUserById(id);
+  if (!user) {
+    return NextResponse.json({ error: 'User not found' }, { status: 404 });
+  }
+
+  return NextResponse.json({ user: { ...user, lockedUntil: getAccountLock(user.email) } });
+}
+
+export async function PATCH(request, { params }) {
+  const { user: admin, error } = await requireRole(ROLES.SUPER_ADMIN);
+  if (error) return error;
+
+  const { id } = await params;
+  const existing = findUserById(id);
+  if (!existing) {
+    return NextResponse.json({ error: 'User not found' }, { status: 404 });
+  }
+
+  const body = await request.json();
+  const fields = {};
+  for (const key of ['email', 'name', 'role', 'region', 'circle', 'area', 'enabled', 'password', 'mustChangePassword']) {
+    if (key in body) fields[key] = typeof body[key] === 'string' ? body[key].trim() || null : body[key];
+  }
+
+  if (('email' in fields && !fields.email) || ('name' in fields && !fields.name)) {
+    return NextResponse.json({ error: 'Name and email cannot be empty' }, { status: 400 });
+  }
+
+  if (fields.password) {
+    const passwordError = validatePassword(fields.password, { ...existing, ...fields });
+    if (passwordError) {
+      return NextResponse.json({ error: passwordError }, { status: 400 });
+    }
+  }
+
+  const scopeError = validateUserScope({ ...existing, ...fields });
+  if (scopeError) {
+    return NextResponse.json({ error: scopeError }, { status: 400 });
+  }
+
+  if (fields.email && fields.email.toLowerCase() !== existing.email.toLowerCase() && findUserByEmail(fields.email)) {
+    return NextResponse.json({ error: 'A user with this email already exists' }, { status: 409 });
+  }
+
+  if (existing.id === admin.id && (fields.enabled === false || (fields.role && fields.role !== existing.role))) {
+    return NextResponse.json({ error: 'You cannot deactivate or demote your own account' }, { status: 400 });
+  }
+
+  const user = updateUser(id, fields);
+  // A new password shows in the entry as changed, without its value
+  recordAudit(request.headers, admin, {
+    action: 'update',
+    entityType: 'user',
+    entityId: id,
+    before: existing,
+    after: fields.password ? { ...user, password: fields.password } : user,
+  });
+  return NextResponse.json({ user });
+}
+
+// Users are never hard-deleted; DELETE deactivates the account
+export async function DELETE(request, { params }) {
+  const { user: admin, error } = await requireRole(ROLES.SUPER_ADMIN);
+  if (error) return error;
+
+  const { id } = await params;
+  const existing = findUserById(id);
+  if (!existing) {
+    return NextResponse.json({ error: 'User not found' }, { status: 404 });
+  }
+
+  if (id === admin.id) {
+    return NextResponse.json({ error: 'You cannot deactivate your own account' }, { status: 400 });
+  }
+
+  const user = setUserEnabled(id, false);
+  recordAudit(request.headers, admin, { action: 'delete', entityType: 'user', entityId: id, before: existing, after: user });
+  return NextResponse.json({ user });
+}
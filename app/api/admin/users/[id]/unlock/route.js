@@ -0,0 +1,25 @@
+import { NextResponse } from 'next/server';
+import { requireRole } from '@/app/lib/session';
+import { findUserById } from '@/app/lib/users';
+import { clearLoginFailures } from '@/app/lib/loginThrottle';
+import { recordAudit } from '@/app/lib/audit';
+import { ROLES } from '@/app/utils/auth';
+
+/**
+ * Lift a lockout after too many failed sign-ins, and clear the account's
+ * failed attempts
+ */
+export async function POST(request, { params }) {
+  const { user: admin, error } = await requireRole(ROLES.SUPER_ADMIN);
+  if (error) return error;
+
+  const { id } = await params;
+  const user = findUserById(id);
+  if (!user) {
+    return NextResponse.json({ error: 'User not found' }, { status: 404 });
+  }
+
+  clearLoginFailures(user.email);
+  recordAudit(request.headers, admin, { action: 'unlock', entityType: 'user', entityId: id, scope: user });
+  return NextResponse.json({ user: { ...user, lockedUntil: null } });
+}
@@ -0,0 +1,61 @@
+import { NextResponse } from 'next/server';
+import { requireRole } from '@/app/lib/session';
+import { createUser, findUserByEmail, listUsers, validateUserScope } from '@/app/lib/users';
+import { getAccountLock } from '@/app/lib/loginThrottle';
+import { recordAudit } from '@/app/lib/audit';
+import { ROLES } from '@/app/utils/auth';
+import { validatePassword } from '@/app/utils/passwordPolicy';
+
+export async function GET(request) {
+  const { error } = await requireRole(ROLES.SUPER_ADMIN);
+  if (error) return error;
+
+  const { searchParams } = new URL(request.url);
+  const enabled = searchParams.get('enabled');
+
+  const users = listUsers({
+    role: searchParams.get('role') || undefined,
+    enabled: enabled === null ? undefined : enabled === 'true',
+  });
+
+  return NextResponse.json({ users: users.map((user) => ({ ...user, lockedUntil: getAccountLock(user.email) })) });
+}
+
+export async function POST(request) {
+  const { user: admin, error } = await requireRole(ROLES.SUPER_ADMIN);
+  if (error) return error;
+
+  const body = await request.json();
+  const input = {
+    email: body.email?.trim(),
+    password: body.password,
+    name: body.name?.trim(),
+    role: body.role,
+    region: body.region || null,
+    circle: body.circle || null,
+    area: body.area || null,
+    mustChangePassword: body.mustChangePassword !== false,
+  };
+
+  if (!input.email || !input.name || !input.password) {
+    return NextResponse.json({ error: 'Name, email and password are required' }, { status: 400 });
+  }
+
+  const passwordError = validatePassword(input.password, input);
+  if (passwordError) {
+    return NextResponse.json({ error: passwordError }, { status: 400 });
+  }
+
+  const scopeError = validateUserScope(input);
+  if (scopeError) {
+    return NextResponse.json({ error: scopeError }, { status: 400 });
+  }
+
+  if (findUserByEmail(input.email)) {
+    return NextResponse.json({ error: 'A user with this email already exists' }, { status: 409 });
+  }
+
+  const user = createUser(input);
+  recordAudit(request.headers, admin, { action: 'create', entityType: 'user', entityId: user.id, after: user });
+  return NextResponse.json({ user }, { status: 201 });
+}
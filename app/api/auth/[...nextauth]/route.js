@@ -1,89 +1,87 @@
-import NextAuth from 'next-auth';
+import NextAuth, { CredentialsSignin } from 'next-auth';
 import CredentialsProvider from 'next-auth/providers/credentials';
+import { headers } from 'next/headers';
+import { authenticateUser, findUserByEmail, findUserById } from '@/app/lib/users';
+import { clientIp, recordAudit } from '@/app/lib/audit';
+import { authSecret } from '@/app/lib/authSecret';
+import { checkLoginAllowed, clearLoginFailures, recordLoginFailure } from '@/app/lib/loginThrottle';
+import { isMfaRequired, verifyMfaCode } from '@/app/lib/mfa';
+import { provisionSsoUser, ssoProvider, usedSecondFactor } from '@/app/lib/sso';
 
-// Mock user database
-const users = [
-  {
-    id: '1',
-    email: 'regional.west@voltup.com',
-    password: 'password123',
-    name: 'West Regional Head',
-    role: 'regional_head',
-    region: 'west',
-    circle: null,
-    area: null,
-  },
-  {
-    id: '2',
-    email: 'regional.east@voltup.com',
-    password: 'password123',
-    name: 'East Regional Head',
-    role: 'regional_head',
-    region: 'east',
-    circle: null,
-    area: null,
-  },
-  {
-    id: '3',
-    email: 'regional.north@voltup.com',
-    password: 'password123',
-    name: 'North Regional Head',
-    role: 'regional_head',
-    region: 'north',
-    circle: null,
-    area: null,
-  },
-  {
-    id: '4',
-    email: 'regional.south@voltup.com',
-    password: 'password123',
-    name: 'South Regional Head',
-    role: 'regional_head',
-    region: 'south',
-    circle: null,
-    area: null,
-  },
-  {
-    id: '5',
-    email: 'circle.mumbai@voltup.com',
-    password: 'password123',
-    name: 'Mumbai Circle Head',
-    role: 'circle_head',
-    region: 'west',
-    circle: 'mumbai',
-    area: null,
-  },
-  {
-    id: '6',
-    email: 'circle.delhi@voltup.com',
-    password: 'password123',
-    name: 'Delhi Circle Head',
-    role: 'circle_head',
-    region: 'north',
-    circle: 'delhi',
-    area: null,
-  },
-  {
-    id: '7',
-    email: 'area.andheri@voltup.com',
-    password: 'password123',
-    name: 'Andheri Area Head',
-    role: 'area_head',
-    region: 'west',
-    circle: 'mumbai',
-    area: 'andheri',
-  },
-  {
-    id: '8',
-    email: 'area.bandra@voltup.com',
-    password: 'password123',
-    name: 'Bandra Area Head',
-    role: 'area_head',
-    region: 'west',
-    circle: 'mumbai',
-    area: 'bandra',
-  },
-];
+// A refused sign-in. The login page reads the reason from the error code,
+// "<reason>:<value>": seconds to wait for a lockout or throttle, or the
+// attempts left before a lockout for a wrong password or code.
+class LoginRefused extends CredentialsSignin {
+  constructor(reason, value = 0) {
+    super();
+    this.code = `${reason}:${value}`;
+  }
+}
+
+// Record a failed attempt (wrong password, or wrong second-factor code),
+// auditing the lockout if it caused one. Returns the attempts left and
+// the lockout or throttle now in force, if any.
+function recordFailedLogin(requestHeaders, email, ip) {
+  const account = findUserByEmail(email);
+  recordAudit(requestHeaders, account, { action: 'login_failed', email });
+
+  const remaining = recordLoginFailure(email, ip);
+  const lockout = checkLoginAllowed(email, ip);
+  if (lockout?.reason === 'account_locked') {
+    recordAudit(requestHeaders, account, {
+      action: 'lockout',
+      entityType: account ? 'user' : null,
+      entityId: account?.id ?? null,
+      email,
+    });
+  }
+  return { remaining, lockout };
+}
+
+// Record a failed attempt and build the refusal to throw: a lockout if
+// this failure caused one, else `reason` with the attempts left
+function refuseFailedLogin(request, email, ip, reason) {
+  const { remaining, lockout } = recordFailedLogin(request.headers, email, ip);
+  if (lockout && lockout.reason !== 'throttled') {
+    return new LoginRefused(lockout.reason, lockout.retryAfter);
+  }
+  return new LoginRefused(reason, remaining);
+}
+
+// A company account session the IdP signed in without a second factor
+// confirms a code from the authenticator enrolled here instead, sent with
+// the session update. Wrong codes count towards the sign-in lockout.
+async function verifyStepUpCode(user, code) {
+  const requestHeaders = await headers();
+  const ip = clientIp(requestHeaders);
+  if (checkLoginAllowed(user.email, ip)) return false;
+
+  if (!verifyMfaCode(user.id, code)) {
+    recordFailedLogin(requestHeaders, user.email, ip);
+    return false;
+  }
+  clearLoginFailures(user.email);
+  return true;
+}
+
+// The claims a session carries for a signed-in user
+function sessionUser(user, { mfa, sso = false, mustChangePassword = user.mustChangePassword }) {
+  return {
+    id: user.id,
+    email: user.email,
+    name: user.name,
+    role: user.role,
+    region: user.region,
+    circle: user.circle,
+    area: user.area,
+    mfa,
+    mfaRequired: isMfaRequired(user.role),
+    sso,
+    mustChangePassword,
+  };
+}
+
+const sso = ssoProvider();
 
 export const { handlers, auth, signIn, signOut } = NextAuth({
   providers: [
@@ -91,40 +89,116 @@ export const { handlers, auth, signIn, signOut } = NextAuth({
       credentials: {
         email: { label: 'Email', type: 'email' },
         password: { label: 'Password', type: 'password' },
+        code: { label: 'Authentication code', type: 'text' },
       },
-      async authorize(credentials) {
+      async authorize(credentials, request) {
         if (!credentials?.email || !credentials?.password) {
           return null;
         }
 
-        const user = users.find(
-          (u) => u.email === credentials.email && u.password === credentials.password
-        );
+        const email = String(credentials.email);
+        const ip = clientIp(request.headers);
+        const refusal = checkLoginAllowed(email, ip);
+        if (refusal) {
+          throw new LoginRefused(refusal.reason, refusal.retryAfter);
+        }
+
+        const user = authenticateUser(email, credentials.password);
 
         if (!user) {
-          return null;
+          throw refuseFailedLogin(request, email, ip, 'invalid');
+        }
+
+        // Enrolled users sign in in two steps: the login page sends the
+        // password again with the code from their authenticator app
+        if (user.mfaEnabled) {
+          if (!credentials.code) {
+            throw new LoginRefused('mfa_required');
+          }
+          if (!verifyMfaCode(user.id, credentials.code)) {
+            throw refuseFailedLogin(request, email, ip, 'mfa_invalid');
+          }
         }
 
-        return {
-          id: user.id,
-          email: user.email,
-          name: user.name,
-          role: user.role,
-          region: user.region,
-          circle: user.circle,
-          area: user.area,
-        };
+        clearLoginFailures(email);
+        recordAudit(request.headers, user, { action: 'login' });
+
+        return sessionUser(user, { mfa: user.mfaEnabled });
       },
     }),
+    ...(sso ? [sso] : []),
   ],
   callbacks: {
-    async jwt({ token, user }) {
+    // Company account sign-ins: create or update the local account from
+    // the IdP's groups, or send the user back to the login page with the
+    // reason they can't sign in
+    async signIn({ account, profile }) {
+      if (account?.provider !== sso?.id) return true;
+
+      const { user, before, error } = provisionSsoUser(profile);
+      if (error) {
+        return `/login?error=AccessDenied&code=${error}`;
+      }
+
+      const requestHeaders = await headers();
+      if (!before || ['name', 'role', 'region', 'circle', 'area'].some((field) => before[field] !== user[field])) {
+        recordAudit(requestHeaders, user, {
+          action: before ? 'update' : 'create',
+          entityType: 'user',
+          entityId: user.id,
+          before,
+          after: user,
+        });
+      }
+      recordAudit(requestHeaders, user, { action: 'login' });
+      return true;
+    },
+    async jwt({ token, user, account, profile, trigger, session }) {
       if (user) {
-        token.id = user.id;
-        token.role = user.role;
-        token.region = user.region;
-        token.circle = user.circle;
-        token.area = user.area;
+        // The IdP looks after passwords and second factors for company
+        // accounts; the claims come from the local account signIn updated
+        const claims = account?.provider === sso?.id
+          ? sessionUser(findUserByEmail(user.email), {
+              mfa: usedSecondFactor(profile),
+              sso: true,
+              mustChangePassword: false,
+            })
+          : user;
+        token.id = claims.id;
+        token.role = claims.role;
+        token.region = claims.region;
+        token.circle = claims.circle;
+        token.area = claims.area;
+        token.mfa = claims.mfa;
+        token.mfaRequired = claims.mfaRequired;
+        token.sso = claims.sso;
+        token.mustChangePassword = claims.mustChangePassword;
+        return token;
+      }
+
+      // Every later request re-reads the account, so deactivating a user
+      // ends their session and a new role or scope applies at once rather
+      // than when the session expires
+      const current = findUserById(token.id);
+      if (!current?.enabled) return null;
+
+      token.role = current.role;
+      token.region = current.region;
+      token.circle = current.circle;
+      token.area = current.area;
+      token.mfaRequired = isMfaRequired(current.role);
+      // Turning two-factor off (or a super admin resetting it) takes the
+      // second factor away from password sessions, and from company account
+      // sessions that confirmed a code from here; the IdP's own stays
+      if (!current.mfaEnabled && (!token.sso || token.stepUp)) token.mfa = false;
+      // The change-password page refreshes the session once the password
+      // is changed; the flag is re-read from the store, never taken from
+      // the client
+      if (trigger === 'update') {
+        token.mustChangePassword = current.mustChangePassword;
+        if (token.sso && !token.mfa && session?.mfaCode) {
+          token.mfa = token.stepUp = await verifyStepUpCode(current, session.mfaCode);
+        }
       }
       return token;
     },
@@ -135,10 +209,20 @@ export const { handlers, auth, signIn, signOut } = NextAuth({
         session.user.region = token.region;
         session.user.circle = token.circle;
         session.user.area = token.area;
+        session.user.mfa = Boolean(token.mfa);
+        session.user.mfaRequired = Boolean(token.mfaRequired);
+        session.user.sso = Boolean(token.sso);
+        session.user.mustChangePassword = Boolean(token.mustChangePassword);
       }
       return session;
     },
   },
+  events: {
+    // The JWT still carries the user's id, role and scope at this point
+    async signOut({ token }) {
+      if (token) recordAudit(await headers(), token, { action: 'logout' });
+    },
+  },
   pages: {
     signIn: '/login',
   },
@@ -146,7 +230,7 @@ export const { handlers, auth, signIn, signOut } = NextAuth({
     strategy: 'jwt',
     maxAge: 24 * 60 * 60,
   },
-  secret: process.env.NEXTAUTH_SECRET || 'draive-secret-key-2024',
+  secret: authSecret(),
   trustHost: true,
 });
 
@@ -0,0 +1,47 @@
+import { NextResponse } from 'next/server';
+import { requireRole } from '@/app/lib/session';
+import { checkRecordAccess } from '@/app/lib/access';
+import { getBattery, getCustodyHistory, updateBattery, validateBattery } from '@/app/lib/batteries';
+import { recordAudit } from '@/app/lib/audit';
+
+export async function GET(request, { params }) {
+  const { user, error } = await requireRole();
+  if (error) return error;
+
+  const { serial } = await params;
+  const battery = getBattery(serial);
+  const accessError = checkRecordAccess(user, battery, 'Battery');
+  if (accessError) return accessError;
+
+  return NextResponse.json({ battery, history: getCustodyHistory(serial) });
+}
+
+export async function PATCH(request, { params }) {
+  const { user, error } = await requireRole();
+  if (error) return error;
+
+  const { serial } = await params;
+  const battery = getBattery(serial);
+  const accessError = checkRecordAccess(user, battery, 'Battery');
+  if (accessError) return accessError;
+
+  if (battery.lifecycleState === 'retired') {
+    return NextResponse.json({ error: 'Retired batteries cannot be edited' }, { status: 409 });
+  }
+
+  const body = await request.json();
+  const fields = {};
+  if ('chemistry' in body) fields.chemistry = body.chemistry;
+  if ('ratedCapacityKwh' in body) fields.ratedCapacityKwh = Number(body.ratedCapacityKwh);
+  if ('stateOfHealth' in body) fields.stateOfHealth = Number(body.stateOfHealth);
+  if ('cycleCount' in body) fields.cycleCount = Number(body.cycleCount);
+
+  const validationError = validateBattery(fields, battery);
+  if (validationError) {
+    return NextResponse.json({ error: validationError }, { status: 400 });
+  }
+
+  const updated = updateBattery(serial, fields);
+  recordAudit(request.headers, user, { action: 'update', entityType: 'battery', entityId: serial, before: battery, after: updated });
+  return NextResponse.json({ battery: updated });
+}
@@ -0,0 +1,47 @@
+import { NextResponse } from 'next/server';
+import { requireRole } from '@/app/lib/session';
+import { checkRecordAccess, checkWriteScope } from '@/app/lib/access';
+import { resolveHubScope } from '@/app/lib/hierarchy';
+import { recordAudit } from '@/app/lib/audit';
+import { LIFECYCLE_STATES, getBattery, resolveLocation, transferBattery, validateTransfer } from '@/app/lib/batteries';
+
+/**
+ * Move a battery and/or change its lifecycle state.
+ * Body: { locationType, locationRef, lifecycleState, note? }
+ * Omitted location fields keep the battery where it is.
+ */
+export async function POST(request, { params }) {
+  const { user, error } = await requireRole();
+  if (error) return error;
+
+  const { serial } = await params;
+  const battery = getBattery(serial);
+  const accessError = checkRecordAccess(user, battery, 'Battery');
+  if (accessError) return accessError;
+
+  const body = await request.json();
+  const location = resolveLocation({
+    locationType: body.locationType || battery.locationType,
+    locationRef: body.locationRef?.trim() || (body.locationType ? '' : battery.locationRef),
+  });
+  if (location.error) {
+    return NextResponse.json({ error: location.error }, { status: 400 });
+  }
+
+  const lifecycleState = body.lifecycleState || battery.lifecycleState;
+  if (!LIFECYCLE_STATES.includes(lifecycleState)) {
+    return NextResponse.json({ error: `Lifecycle state must be one of: ${LIFECYCLE_STATES.join(', ')}` }, { status: 400 });
+  }
+
+  const transferError = validateTransfer(battery, { location, lifecycleState });
+  if (transferError) {
+    return NextResponse.json({ error: transferError }, { status: 409 });
+  }
+
+  const scopeError = checkWriteScope(user, resolveHubScope(location.hub));
+  if (scopeError) return scopeError;
+
+  const updated = transferBattery(serial, { location, lifecycleState, note: body.note?.trim() }, user);
+  recordAudit(request.headers, user, { action: 'update', entityType: 'battery', entityId: serial, before: battery, after: updated });
+  return NextResponse.json({ battery: updated });
+}
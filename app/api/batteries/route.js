@@ -0,0 +1,52 @@
+import { NextResponse } from 'next/server';
+import { requireRole } from '@/app/lib/session';
+import { checkWriteScope } from '@/app/lib/access';
+import { resolveHubScope } from '@/app/lib/hierarchy';
+import { recordAudit } from '@/app/lib/audit';
+import { createBattery, listBatteries, validateBattery } from '@/app/lib/batteries';
+
+export async function GET(request) {
+  const { user, error } = await requireRole();
+  if (error) return error;
+
+  const { searchParams } = new URL(request.url);
+  const page = Math.max(1, parseInt(searchParams.get('page'), 10) || 1);
+  const pageSize = Math.min(100, Math.max(1, parseInt(searchParams.get('pageSize'), 10) || 20));
+
+  const result = listBatteries(user, {
+    q: searchParams.get('q')?.trim() || undefined,
+    lifecycleState: searchParams.get('lifecycleState') || undefined,
+    locationType: searchParams.get('locationType') || undefined,
+    page,
+    pageSize,
+  });
+
+  return NextResponse.json(result);
+}
+
+export async function POST(request) {
+  const { user, error } = await requireRole();
+  if (error) return error;
+
+  const body = await request.json();
+  const input = {
+    serial: body.serial?.trim().toUpperCase(),
+    chemistry: body.chemistry,
+    ratedCapacityKwh: Number(body.ratedCapacityKwh),
+    stateOfHealth: body.stateOfHealth === undefined || body.stateOfHealth === '' ? 100 : Number(body.stateOfHealth),
+    cycleCount: body.cycleCount === undefined || body.cycleCount === '' ? 0 : Number(body.cycleCount),
+    hub: body.hub,
+  };
+
+  const validationError = validateBattery(input);
+  if (validationError) {
+    return NextResponse.json({ error: validationError }, { status: 400 });
+  }
+
+  const scopeError = checkWriteScope(user, resolveHubScope(input.hub));
+  if (scopeError) return scopeError;
+
+  const battery = createBattery(input, user);
+  recordAudit(request.headers, user, { action: 'create', entityType: 'battery', entityId: battery.serial, after: battery });
+  return NextResponse.json({ battery }, { status: 201 });
+}
@@ -0,0 +1,68 @@
+import { NextResponse } from 'next/server';
+import { requireRole } from '@/app/lib/session';
+import { checkRecordAccess, notFound } from '@/app/lib/access';
+import { recordAudit } from '@/app/lib/audit';
+import { GATEWAY_ACTOR, getGatewayPayment, handleGatewayWebhook } from '@/app/lib/billing';
+import { getPaymentGateway, signMockWebhook } from '@/app/lib/paymentGateway';
+
+// Local stand-in for a gateway's hosted checkout: shows the payment and
+// lets the signed-in user approve or decline it, which is sent back
+// through the same signed webhook a real gateway would call.
+
+async function loadPayment(paymentId) {
+  const { user, error } = await requireRole();
+  if (error) return { error };
+
+  const payment = getGatewayPayment(paymentId);
+  if (!payment || payment.gateway !== 'mock' || !getPaymentGateway('mock')) return { error: notFound('Payment not found') };
+
+  const accessError = checkRecordAccess(user, payment.invoice, 'Invoice');
+  if (accessError) return { error: accessError };
+
+  return { payment };
+}
+
+export async function GET(request, { params }) {
+  const { paymentId } = await params;
+  const { payment, error } = await loadPayment(paymentId);
+  if (error) return error;
+
+  return NextResponse.json({ payment });
+}
+
+/**
+ * Complete the mock payment.
+ * Body: { outcome: 'succeeded' | 'failed' }
+ */
+export async function POST(request, { params }) {
+  const { paymentId } = await params;
+  const { payment, error } = await loadPayment(paymentId);
+  if (error) return error;
+
+  const { outcome } = await request.json();
+  if (!['succeeded', 'failed'].includes(outcome)) {
+    return NextResponse.json({ error: 'Outcome must be succeeded or failed' }, { status: 400 });
+  }
+  if (payment.status !== 'pending') {
+    return NextResponse.json({ error: `This payment has already ${payment.status}` }, { status: 409 });
+  }
+
+  const { rawBody, headers } = signMockWebhook({
+    gatewayPaymentId: payment.gatewayPaymentId,
+    status: outcome,
+    reference: `MOCK-${payment.gatewayPaymentId.slice(-8).toUpperCase()}`,
+  });
+
+  const settlement = handleGatewayWebhook('mock', rawBody, headers);
+  if (settlement.before) {
+    recordAudit(request.headers, GATEWAY_ACTOR, {
+      action: 'update',
+      entityType: 'payment',
+      entityId: settlement.payment.id,
+      before: settlement.before,
+      after: settlement.payment,
+      scope: payment.invoice,
+    });
+  }
+  return NextResponse.json({ payment: settlement.payment });
+}
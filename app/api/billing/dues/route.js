@@ -0,0 +1,19 @@
+import { NextResponse } from 'next/server';
+import { requireRole } from '@/app/lib/session';
+import { getOutstandingDues } from '@/app/lib/billing';
+
+/**
+ * Outstanding dues per customer in the user's scope, with ageing
+ */
+export async function GET(request) {
+  const { user, error } = await requireRole();
+  if (error) return error;
+
+  const { searchParams } = new URL(request.url);
+  return NextResponse.json(
+    getOutstandingDues(user, {
+      hub: searchParams.get('hub') || undefined,
+      overdue: searchParams.get('overdue') === 'true',
+    })
+  );
+}
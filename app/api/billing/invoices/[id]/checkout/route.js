@@ -0,0 +1,39 @@
+import { NextResponse } from 'next/server';
+import { requireRole } from '@/app/lib/session';
+import { checkRecordAccess } from '@/app/lib/access';
+import { getInvoice, getPayment, startCheckout } from '@/app/lib/billing';
+import { getPaymentGateway } from '@/app/lib/paymentGateway';
+import { recordAudit } from '@/app/lib/audit';
+
+/**
+ * Start an online payment of the balance through the payment gateway.
+ * Returns { paymentId, checkoutUrl } to send the payer to.
+ */
+export async function POST(request, { params }) {
+  const { user, error } = await requireRole();
+  if (error) return error;
+
+  const { id } = await params;
+  const invoice = getInvoice(id);
+  const accessError = checkRecordAccess(user, invoice, 'Invoice');
+  if (accessError) return accessError;
+
+  if (invoice.status === 'paid') {
+    return NextResponse.json({ error: 'This invoice has already been paid' }, { status: 409 });
+  }
+  if (!getPaymentGateway()) {
+    return NextResponse.json({ error: 'Online payment is not configured' }, { status: 503 });
+  }
+
+  const { paymentId, checkoutUrl, created } = startCheckout(invoice, user);
+  if (created) {
+    recordAudit(request.headers, user, {
+      action: 'create',
+      entityType: 'payment',
+      entityId: paymentId,
+      after: getPayment(paymentId),
+      scope: invoice,
+    });
+  }
+  return NextResponse.json({ paymentId, checkoutUrl }, { status: 201 });
+}
@@ -0,0 +1,28 @@
+import { requireRole } from '@/app/lib/session';
+import { checkRecordAccess } from '@/app/lib/access';
+import { getInvoice, getInvoiceLines, getSupplier } from '@/app/lib/billing';
+import { renderInvoicePdf } from '@/app/lib/invoicePdf';
+
+/**
+ * The invoice as a PDF download
+ */
+export async function GET(request, { params }) {
+  const { user, error } = await requireRole();
+  if (error) return error;
+
+  const { id } = await params;
+  const invoice = getInvoice(id);
+  const accessError = checkRecordAccess(user, invoice, 'Invoice');
+  if (accessError) return accessError;
+
+  const pdf = await renderInvoicePdf(invoice, getInvoiceLines(id), getSupplier());
+  const fileName = `${invoice.number.replaceAll('/', '-')}.pdf`;
+
+  return new Response(pdf, {
+    headers: {
+      'Content-Type': 'application/pdf',
+      'Content-Length': String(pdf.length),
+      'Content-Disposition': `attachment; filename="${fileName}"`,
+    },
+  });
+}
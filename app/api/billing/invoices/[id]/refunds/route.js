@@ -0,0 +1,43 @@
+import { NextResponse } from 'next/server';
+import { requireRole } from '@/app/lib/session';
+import { checkRecordAccess } from '@/app/lib/access';
+import { recordAudit } from '@/app/lib/audit';
+import { getInvoice, getPayments, recordRefund, validateRefund } from '@/app/lib/billing';
+
+/**
+ * Refund some or all of a deposit once the subscription is over.
+ * Body: { amount, method, reference?, paidOn? }
+ */
+export async function POST(request, { params }) {
+  const { user, error } = await requireRole();
+  if (error) return error;
+
+  const { id } = await params;
+  const invoice = getInvoice(id);
+  const accessError = checkRecordAccess(user, invoice, 'Invoice');
+  if (accessError) return accessError;
+
+  const body = await request.json();
+  const input = {
+    amount: body.amount,
+    method: body.method,
+    reference: body.reference?.trim() || null,
+    paidOn: body.paidOn || null,
+  };
+
+  const validationError = validateRefund(invoice, input);
+  if (validationError) {
+    return NextResponse.json({ error: validationError }, { status: 400 });
+  }
+
+  const updated = recordRefund(invoice, input, user);
+  const payment = getPayments(invoice.id).at(-1);
+  recordAudit(request.headers, user, {
+    action: 'create',
+    entityType: 'payment',
+    entityId: payment.id,
+    after: payment,
+    scope: invoice,
+  });
+  return NextResponse.json({ invoice: updated }, { status: 201 });
+}
@@ -0,0 +1,19 @@
+import { NextResponse } from 'next/server';
+import { requireRole } from '@/app/lib/session';
+import { checkRecordAccess } from '@/app/lib/access';
+import { getInvoice, getInvoiceLines, getPayments } from '@/app/lib/billing';
+
+/**
+ * An invoice with its lines and the payments and refunds against it
+ */
+export async function GET(request, { params }) {
+  const { user, error } = await requireRole();
+  if (error) return error;
+
+  const { id } = await params;
+  const invoice = getInvoice(id);
+  const accessError = checkRecordAccess(user, invoice, 'Invoice');
+  if (accessError) return accessError;
+
+  return NextResponse.json({ invoice, lines: getInvoiceLines(id), payments: getPayments(id) });
+}
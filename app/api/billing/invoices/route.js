@@ -0,0 +1,25 @@
+import { NextResponse } from 'next/server';
+import { requireRole } from '@/app/lib/session';
+import { listInvoices } from '@/app/lib/billing';
+
+export async function GET(request) {
+  const { user, error } = await requireRole();
+  if (error) return error;
+
+  const { searchParams } = new URL(request.url);
+  const page = Math.max(1, parseInt(searchParams.get('page'), 10) || 1);
+  const pageSize = Math.min(100, Math.max(1, parseInt(searchParams.get('pageSize'), 10) || 20));
+
+  const result = listInvoices(user, {
+    q: searchParams.get('q')?.trim() || undefined,
+    customer: searchParams.get('customer') || undefined,
+    kind: searchParams.get('kind') || undefined,
+    status: searchParams.get('status') || undefined,
+    from: searchParams.get('from') || undefined,
+    to: searchParams.get('to') || undefined,
+    page,
+    pageSize,
+  });
+
+  return NextResponse.json(result);
+}
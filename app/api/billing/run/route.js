@@ -0,0 +1,18 @@
+import { NextResponse } from 'next/server';
+import { requireRole } from '@/app/lib/session';
+import { runBilling } from '@/app/lib/billing';
+import { recordAudit } from '@/app/lib/audit';
+import { ROLES } from '@/app/utils/auth';
+
+/**
+ * Run billing now rather than waiting for the next timed run.
+ * Returns the invoice numbers issued.
+ */
+export async function POST(request) {
+  const { user, error } = await requireRole(ROLES.SUPER_ADMIN);
+  if (error) return error;
+
+  const issued = runBilling();
+  recordAudit(request.headers, user, { action: 'create', entityType: 'billing_run', after: { issued } });
+  return NextResponse.json({ issued });
+}
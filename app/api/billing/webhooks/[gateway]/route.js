@@ -0,0 +1,33 @@
+import { NextResponse } from 'next/server';
+import { notFound } from '@/app/lib/access';
+import { recordAudit } from '@/app/lib/audit';
+import { GATEWAY_ACTOR, getInvoice, handleGatewayWebhook } from '@/app/lib/billing';
+import { getPaymentGateway } from '@/app/lib/paymentGateway';
+
+/**
+ * Payment gateway webhook. Authenticated by the gateway's signature
+ * instead of a session, so the raw body is passed through untouched.
+ */
+export async function POST(request, { params }) {
+  const { gateway } = await params;
+  if (!getPaymentGateway(gateway)) return notFound('Unknown payment gateway');
+
+  const settlement = handleGatewayWebhook(gateway, await request.text(), Object.fromEntries(request.headers));
+  if (!settlement) {
+    return NextResponse.json({ error: 'Invalid or unknown payment event' }, { status: 400 });
+  }
+
+  const { payment, before } = settlement;
+  if (before) {
+    recordAudit(request.headers, GATEWAY_ACTOR, {
+      action: 'update',
+      entityType: 'payment',
+      entityId: payment.id,
+      before,
+      after: payment,
+      scope: getInvoice(payment.invoiceId),
+    });
+  }
+
+  return NextResponse.json({ received: true, status: payment.status });
+}
@@ -0,0 +1,50 @@
+import { NextResponse } from 'next/server';
+import { requireRole } from '@/app/lib/session';
+import { notFound } from '@/app/lib/access';
+import { getCustomerPlan, updateCustomerPlan, validateCustomerPlan } from '@/app/lib/customerPlans';
+import { recordAudit } from '@/app/lib/audit';
+import { ROLES } from '@/app/utils/auth';
+
+export async function GET(request, { params }) {
+  const { error } = await requireRole();
+  if (error) return error;
+
+  const { id } = await params;
+  const plan = getCustomerPlan(id);
+  if (!plan) return notFound('Plan not found');
+
+  return NextResponse.json({ plan });
+}
+
+/**
+ * Edit a plan's terms (new enrollments only), or withdraw/reinstate it.
+ * Body: { name?, monthlyFee?, swapQuota?, perSwapPrice?, deposit?, validityDays?, active? }
+ */
+export async function PATCH(request, { params }) {
+  const { user, error } = await requireRole(ROLES.SUPER_ADMIN);
+  if (error) return error;
+
+  const { id } = await params;
+  const plan = getCustomerPlan(id);
+  if (!plan) return notFound('Plan not found');
+
+  const body = await request.json();
+  const fields = {};
+  if ('name' in body) fields.name = body.name?.trim();
+  for (const field of ['monthlyFee', 'perSwapPrice', 'deposit', 'validityDays']) {
+    if (field in body) fields[field] = Number(body[field]);
+  }
+  if ('swapQuota' in body) {
+    fields.swapQuota = body.swapQuota === null || body.swapQuota === '' ? null : Number(body.swapQuota);
+  }
+  if ('active' in body) fields.active = body.active === true;
+
+  const validationError = validateCustomerPlan(fields, plan);
+  if (validationError) {
+    return NextResponse.json({ error: validationError }, { status: 400 });
+  }
+
+  const updated = updateCustomerPlan(id, fields);
+  recordAudit(request.headers, user, { action: 'update', entityType: 'customer_plan', entityId: id, before: plan, after: updated });
+  return NextResponse.json({ plan: updated });
+}
@@ -0,0 +1,43 @@
+import { NextResponse } from 'next/server';
+import { requireRole } from '@/app/lib/session';
+import { createCustomerPlan, listCustomerPlans, validateCustomerPlan } from '@/app/lib/customerPlans';
+import { recordAudit } from '@/app/lib/audit';
+import { ROLES } from '@/app/utils/auth';
+
+export async function GET(request) {
+  const { error } = await requireRole();
+  if (error) return error;
+
+  const { searchParams } = new URL(request.url);
+  return NextResponse.json({ plans: listCustomerPlans({ includeInactive: searchParams.get('active') !== 'true' }) });
+}
+
+/**
+ * Create a plan. The catalogue is shared by every area, so only super
+ * admins manage it.
+ * Body: { name, kind, monthlyFee, swapQuota (null = unlimited), perSwapPrice, deposit, validityDays }
+ */
+export async function POST(request) {
+  const { user, error } = await requireRole(ROLES.SUPER_ADMIN);
+  if (error) return error;
+
+  const body = await request.json();
+  const input = {
+    name: body.name?.trim(),
+    kind: body.kind,
+    monthlyFee: Number(body.monthlyFee),
+    swapQuota: body.swapQuota === null || body.swapQuota === '' ? null : Number(body.swapQuota),
+    perSwapPrice: Number(body.perSwapPrice),
+    deposit: Number(body.deposit),
+    validityDays: Number(body.validityDays),
+  };
+
+  const validationError = validateCustomerPlan(input);
+  if (validationError) {
+    return NextResponse.json({ error: validationError }, { status: 400 });
+  }
+
+  const plan = createCustomerPlan(input, user);
+  recordAudit(request.headers, user, { action: 'create', entityType: 'customer_plan', entityId: plan.id, after: plan });
+  return NextResponse.json({ plan }, { status: 201 });
+}
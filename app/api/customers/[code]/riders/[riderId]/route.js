@@ -0,0 +1,51 @@
+import { NextResponse } from 'next/server';
+import { requireRole } from '@/app/lib/session';
+import { checkRecordAccess, notFound } from '@/app/lib/access';
+import { getVehicle } from '@/app/lib/vehicles';
+import { recordAudit } from '@/app/lib/audit';
+import { getCustomer, getRider, normalizePhone, updateRider, validateRider } from '@/app/lib/customers';
+
+/**
+ * Edit a rider, hand them a vehicle (null takes it back) or deactivate them.
+ * Body: { name?, phone?, vehicle?, active? }
+ */
+export async function PATCH(request, { params }) {
+  const { user, error } = await requireRole();
+  if (error) return error;
+
+  const { code, riderId } = await params;
+  const customer = getCustomer(code);
+  const accessError = checkRecordAccess(user, customer, 'Customer');
+  if (accessError) return accessError;
+
+  const rider = getRider(code, riderId);
+  if (!rider) return notFound('Rider not found');
+
+  const body = await request.json();
+  const fields = {};
+  if ('name' in body) fields.name = body.name?.trim();
+  if ('phone' in body) fields.phone = normalizePhone(body.phone);
+  if ('vehicle' in body) fields.vehicle = body.vehicle?.trim().toUpperCase() || null;
+  if ('active' in body) fields.active = body.active === true;
+
+  const validationError = validateRider(fields, rider);
+  if (validationError) {
+    return NextResponse.json({ error: validationError }, { status: 400 });
+  }
+
+  if (fields.vehicle && fields.vehicle !== rider.vehicle) {
+    const vehicleError = checkRecordAccess(user, getVehicle(fields.vehicle), 'Vehicle');
+    if (vehicleError) return vehicleError;
+  }
+
+  const updated = updateRider(code, riderId, fields, user);
+  recordAudit(request.headers, user, {
+    action: 'update',
+    entityType: 'rider',
+    entityId: rider.id,
+    before: rider,
+    after: updated,
+    scope: customer,
+  });
+  return NextResponse.json({ rider: updated });
+}
@@ -0,0 +1,41 @@
+import { NextResponse } from 'next/server';
+import { requireRole } from '@/app/lib/session';
+import { checkRecordAccess } from '@/app/lib/access';
+import { getVehicle } from '@/app/lib/vehicles';
+import { recordAudit } from '@/app/lib/audit';
+import { addRider, getCustomer, normalizePhone, validateRider } from '@/app/lib/customers';
+
+/**
+ * Add a rider, optionally with the vehicle they ride.
+ * Body: { name, phone, vehicle? }
+ */
+export async function POST(request, { params }) {
+  const { user, error } = await requireRole();
+  if (error) return error;
+
+  const { code } = await params;
+  const customer = getCustomer(code);
+  const accessError = checkRecordAccess(user, customer, 'Customer');
+  if (accessError) return accessError;
+
+  const body = await request.json();
+  const input = {
+    name: body.name?.trim(),
+    phone: normalizePhone(body.phone),
+    vehicle: body.vehicle?.trim().toUpperCase() || null,
+  };
+
+  const validationError = validateRider(input);
+  if (validationError) {
+    return NextResponse.json({ error: validationError }, { status: 400 });
+  }
+
+  if (input.vehicle) {
+    const vehicleError = checkRecordAccess(user, getVehicle(input.vehicle), 'Vehicle');
+    if (vehicleError) return vehicleError;
+  }
+
+  const rider = addRider(code, input, user);
+  recordAudit(request.headers, user, { action: 'create', entityType: 'rider', entityId: rider.id, after: rider, scope: customer });
+  return NextResponse.json({ rider }, { status: 201 });
+}
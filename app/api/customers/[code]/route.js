@@ -0,0 +1,82 @@
+import { NextResponse } from 'next/server';
+import { requireRole } from '@/app/lib/session';
+import { checkRecordAccess, checkWriteScope } from '@/app/lib/access';
+import { resolveHubScope } from '@/app/lib/hierarchy';
+import { getCustomerBalance } from '@/app/lib/billing';
+import { recordAudit } from '@/app/lib/audit';
+import {
+  getCustomer,
+  getCustomerSwaps,
+  getRiders,
+  getSubscriptionUsage,
+  getSubscriptions,
+  normalizePhone,
+  updateCustomer,
+  validateCustomer,
+} from '@/app/lib/customers';
+
+/**
+ * A customer with their riders, subscriptions, recent swaps, the
+ * per-cycle usage of their current (or latest) subscription and their
+ * billing balance
+ */
+export async function GET(request, { params }) {
+  const { user, error } = await requireRole();
+  if (error) return error;
+
+  const { code } = await params;
+  const customer = getCustomer(code);
+  const accessError = checkRecordAccess(user, customer, 'Customer');
+  if (accessError) return accessError;
+
+  const subscriptions = getSubscriptions(code);
+  const current =
+    subscriptions.find((subscription) => subscription.status === 'active') ||
+    subscriptions.find((subscription) => subscription.status !== 'scheduled');
+
+  return NextResponse.json({
+    customer,
+    riders: getRiders(code),
+    subscriptions,
+    usage: current ? { subscriptionId: current.id, cycles: getSubscriptionUsage(code, current) } : null,
+    swaps: getCustomerSwaps(code),
+    billing: getCustomerBalance(code),
+  });
+}
+
+/**
+ * Edit customer details.
+ * Body: { name?, type?, phone?, email?, gstin?, hub? }
+ */
+export async function PATCH(request, { params }) {
+  const { user, error } = await requireRole();
+  if (error) return error;
+
+  const { code } = await params;
+  const customer = getCustomer(code);
+  const accessError = checkRecordAccess(user, customer, 'Customer');
+  if (accessError) return accessError;
+
+  const body = await request.json();
+  const fields = {};
+  if ('name' in body) fields.name = body.name?.trim();
+  if ('type' in body) fields.type = body.type;
+  if ('phone' in body) fields.phone = normalizePhone(body.phone);
+  if ('email' in body) fields.email = body.email?.trim() || null;
+  if ('gstin' in body) fields.gstin = body.gstin?.trim().toUpperCase() || null;
+  if ('hub' in body) fields.hub = body.hub;
+
+  const validationError = validateCustomer(fields, customer);
+  if (validationError) {
+    return NextResponse.json({ error: validationError }, { status: 400 });
+  }
+
+  if (fields.hub && fields.hub !== customer.hub) {
+    const scopeError = checkWriteScope(user, resolveHubScope(fields.hub));
+    if (scopeError) return scopeError;
+  }
+
+  const updated = updateCustomer(code, fields);
+  recordAudit(request.headers, user, { action: 'update', entityType: 'customer', entityId: code, before: customer, after: updated });
+  return NextResponse.json({ customer: updated });
+}
@@ -0,0 +1,54 @@
+import { NextResponse } from 'next/server';
+import { requireRole } from '@/app/lib/session';
+import { checkRecordAccess, notFound } from '@/app/lib/access';
+import { recordAudit } from '@/app/lib/audit';
+import { cancelSubscription, getCustomer, getSubscription, getSubscriptionUsage } from '@/app/lib/customers';
+
+/**
+ * A subscription with its swap usage per cycle
+ */
+export async function GET(request, { params }) {
+  const { user, error } = await requireRole();
+  if (error) return error;
+
+  const { code, subscriptionId } = await params;
+  const customer = getCustomer(code);
+  const accessError = checkRecordAccess(user, customer, 'Customer');
+  if (accessError) return accessError;
+
+  const subscription = getSubscription(code, subscriptionId);
+  if (!subscription) return notFound('Subscription not found');
+
+  return NextResponse.json({ subscription, cycles: getSubscriptionUsage(code, subscription) });
+}
+
+/**
+ * Cancel a scheduled or active subscription
+ */
+export async function DELETE(request, { params }) {
+  const { user, error } = await requireRole();
+  if (error) return error;
+
+  const { code, subscriptionId } = await params;
+  const customer = getCustomer(code);
+  const accessError = checkRecordAccess(user, customer, 'Customer');
+  if (accessError) return accessError;
+
+  const subscription = getSubscription(code, subscriptionId);
+  if (!subscription) return notFound('Subscription not found');
+
+  if (subscription.status === 'cancelled' || subscription.status === 'expired') {
+    return NextResponse.json({ error: `This subscription has already ${subscription.status === 'cancelled' ? 'been cancelled' : 'expired'}` }, { status: 409 });
+  }
+
+  const cancelled = cancelSubscription(code, subscriptionId);
+  recordAudit(request.headers, user, {
+    action: 'delete',
+    entityType: 'subscription',
+    entityId: subscriptionId,
+    before: subscription,
+    after: cancelled,
+    scope: customer,
+  });
+  return NextResponse.json({ subscription: cancelled });
+}
@@ -0,0 +1,37 @@
+import { NextResponse } from 'next/server';
+import { requireRole } from '@/app/lib/session';
+import { checkRecordAccess } from '@/app/lib/access';
+import { recordAudit } from '@/app/lib/audit';
+import { createSubscription, getCustomer, validateSubscription } from '@/app/lib/customers';
+
+/**
+ * Enroll the customer on a plan.
+ * Body: { planId, startsOn: 'YYYY-MM-DD' }
+ */
+export async function POST(request, { params }) {
+  const { user, error } = await requireRole();
+  if (error) return error;
+
+  const { code } = await params;
+  const customer = getCustomer(code);
+  const accessError = checkRecordAccess(user, customer, 'Customer');
+  if (accessError) return accessError;
+
+  const body = await request.json();
+  const input = { planId: body.planId ? String(body.planId) : null, startsOn: body.startsOn };
+
+  const validationError = validateSubscription(input, code);
+  if (validationError) {
+    return NextResponse.json({ error: validationError }, { status: 400 });
+  }
+
+  const subscription = createSubscription(code, input, user);
+  recordAudit(request.headers, user, {
+    action: 'create',
+    entityType: 'subscription',
+    entityId: subscription.id,
+    after: subscription,
+    scope: customer,
+  });
+  return NextResponse.json({ subscription }, { status: 201 });
+}
@@ -0,0 +1,57 @@
+import { NextResponse } from 'next/server';
+import { requireRole } from '@/app/lib/session';
+import { checkWriteScope } from '@/app/lib/access';
+import { resolveHubScope } from '@/app/lib/hierarchy';
+import { recordAudit } from '@/app/lib/audit';
+import { createCustomer, listCustomers, normalizePhone, validateCustomer } from '@/app/lib/customers';
+
+export async function GET(request) {
+  const { user, error } = await requireRole();
+  if (error) return error;
+
+  const { searchParams } = new URL(request.url);
+  const page = Math.max(1, parseInt(searchParams.get('page'), 10) || 1);
+  const pageSize = Math.min(100, Math.max(1, parseInt(searchParams.get('pageSize'), 10) || 20));
+
+  const result = listCustomers(user, {
+    q: searchParams.get('q')?.trim() || undefined,
+    hub: searchParams.get('hub') || undefined,
+    planId: searchParams.get('planId') || undefined,
+    subscription: searchParams.get('subscription') || undefined,
+    page,
+    pageSize,
+  });
+
+  return NextResponse.json(result);
+}
+
+/**
+ * Enroll a customer.
+ * Body: { name, type, phone, email?, gstin?, hub }
+ */
+export async function POST(request) {
+  const { user, error } = await requireRole();
+  if (error) return error;
+
+  const body = await request.json();
+  const input = {
+    name: body.name?.trim(),
+    type: body.type,
+    phone: normalizePhone(body.phone),
+    email: body.email?.trim() || null,
+    gstin: body.gstin?.trim().toUpperCase() || null,
+    hub: body.hub,
+  };
+
+  const validationError = validateCustomer(input);
+  if (validationError) {
+    return NextResponse.json({ error: validationError }, { status: 400 });
+  }
+
+  const scopeError = checkWriteScope(user, resolveHubScope(input.hub));
+  if (scopeError) return scopeError;
+
+  const customer = createCustomer(input, user);
+  recordAudit(request.headers, user, { action: 'create', entityType: 'customer', entityId: customer.id, after: customer });
+  return NextResponse.json({ customer }, { status: 201 });
+}
@@ -0,0 +1,10 @@
+import { NextResponse } from 'next/server';
+import { requireRole } from '@/app/lib/session';
+import { getAssetAvailability, getWorkOrderStats } from '@/app/lib/dashboard';
+
+export async function GET() {
+  const { user, error } = await requireRole();
+  if (error) return error;
+
+  return NextResponse.json({ availability: getAssetAvailability(user), workOrders: getWorkOrderStats(user) });
+}
@@ -0,0 +1,74 @@
+import { requireRole } from '@/app/lib/session';
+import { latestEventId, listEventsSince, pruneEvents } from '@/app/lib/liveEvents';
+
+export const dynamic = 'force-dynamic';
+
+const POLL_INTERVAL_MS = 2000;
+const HEARTBEAT_MS = 25000;
+// Streams are closed after this long so the browser reconnects and the
+// session (and its scope) is checked again
+const MAX_STREAM_MS = 15 * 60 * 1000;
+
+/**
+ * Server-Sent Events stream of live changes in the user's scope.
+ * Each message carries the event id, so a reconnecting EventSource
+ * resumes from its Last-Event-ID without missing anything.
+ */
+export async function GET(request) {
+  const { user, error } = await requireRole();
+  if (error) return error;
+
+  pruneEvents();
+  const resumeFrom = Number(request.headers.get('last-event-id'));
+  let cursor = Number.isInteger(resumeFrom) && resumeFrom > 0 ? resumeFrom : latestEventId();
+
+  const encoder = new TextEncoder();
+  let close;
+
+  const stream = new ReadableStream({
+    start(controller) {
+      let closed = false;
+      const send = (text) => controller.enqueue(encoder.encode(text));
+
+      const poll = () => {
+        for (const event of listEventsSince(user, cursor)) {
+          cursor = event.id;
+          send(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`);
+        }
+      };
+
+      const timers = [
+        setInterval(poll, POLL_INTERVAL_MS),
+        setInterval(() => send(': keep-alive\n\n'), HEARTBEAT_MS),
+      ];
+      const expiry = setTimeout(() => close(), MAX_STREAM_MS);
+
+      close = () => {
+        if (closed) return;
+        closed = true;
+        timers.forEach(clearInterval);
+        clearTimeout(expiry);
+        try {
+          controller.close();
+        } catch {
+          // Already cancelled by the client
+        }
+      };
+
+      request.signal.addEventListener('abort', close);
+      send('retry: 5000\n\n');
+    },
+    cancel() {
+      close();
+    },
+  });
+
+  return new Response(stream, {
+    headers: {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no',
+    },
+  });
+}
@@ -0,0 +1,32 @@
+import { Readable } from 'node:stream';
+import { NextResponse } from 'next/server';
+import { requireRole } from '@/app/lib/session';
+import { notFound } from '@/app/lib/access';
+import { getExport, readExport } from '@/app/lib/exports';
+
+/**
+ * Download a finished export
+ */
+export async function GET(request, { params }) {
+  const { user, error } = await requireRole();
+  if (error) return error;
+
+  const { id } = await params;
+  const job = getExport(id);
+  if (!job || job.userId !== user.id) return notFound('Export not found');
+  if (job.status !== 'done') {
+    return NextResponse.json({ error: `This export is ${job.status}` }, { status: 409 });
+  }
+
+  const file = readExport(job);
+  if (!file) return notFound('Export has expired');
+
+  return new Response(Readable.toWeb(file.stream), {
+    headers: {
+      'Content-Type': file.contentType,
+      'Content-Length': String(file.sizeBytes),
+      'Content-Disposition': `attachment; filename="${file.fileName}"`,
+      'X-Content-Type-Options': 'nosniff',
+    },
+  });
+}
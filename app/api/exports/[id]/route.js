@@ -0,0 +1,18 @@
+import { NextResponse } from 'next/server';
+import { requireRole } from '@/app/lib/session';
+import { notFound } from '@/app/lib/access';
+import { getExport } from '@/app/lib/exports';
+
+/**
+ * An export's progress. Exports belong to the user who asked for them.
+ */
+export async function GET(request, { params }) {
+  const { user, error } = await requireRole();
+  if (error) return error;
+
+  const { id } = await params;
+  const job = getExport(id);
+  if (!job || job.userId !== user.id) return notFound('Export not found');
+
+  return NextResponse.json({ export: job });
+}
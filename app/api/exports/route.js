@@ -0,0 +1,42 @@
+import { NextResponse } from 'next/server';
+import { requireRole } from '@/app/lib/session';
+import { forbidden } from '@/app/lib/access';
+import { recordAudit } from '@/app/lib/audit';
+import { createExport, listExports, validateExport } from '@/app/lib/exports';
+import { canRunReport } from '@/app/lib/reports';
+
+/**
+ * The user's recent exports
+ */
+export async function GET() {
+  const { user, error } = await requireRole();
+  if (error) return error;
+
+  return NextResponse.json({ exports: listExports(user) });
+}
+
+/**
+ * Export a report with the filters the page has applied.
+ * Body: { report, format: 'csv' | 'xlsx' | 'pdf', filters? }
+ * Small exports come back done with a downloadUrl; large ones come back
+ * queued, to be polled at /api/exports/[id].
+ */
+export async function POST(request) {
+  const { user, error } = await requireRole();
+  if (error) return error;
+
+  const body = await request.json();
+  const input = { report: body.report, format: body.format, filters: body.filters || {} };
+
+  const validationError = validateExport(input);
+  if (validationError) {
+    return NextResponse.json({ error: validationError }, { status: 400 });
+  }
+  if (!canRunReport(user, input.report)) {
+    return forbidden('This report is not available to you');
+  }
+
+  const job = await createExport(user, input);
+  recordAudit(request.headers, user, { action: 'create', entityType: 'export', entityId: job.id, after: job });
+  return NextResponse.json({ export: job }, { status: 201 });
+}
@@ -0,0 +1,61 @@
+import { NextResponse } from 'next/server';
+import { requireRole } from '@/app/lib/session';
+import { deleteNode, getNode, updateNode } from '@/app/lib/hierarchy';
+import { recordAudit } from '@/app/lib/audit';
+import { ROLES } from '@/app/utils/auth';
+
+export async function GET(request, { params }) {
+  const { error } = await requireRole();
+  if (error) return error;
+
+  const { id } = await params;
+  const node = getNode(id);
+  if (!node) {
+    return NextResponse.json({ error: 'Node not found' }, { status: 404 });
+  }
+
+  return NextResponse.json({ node });
+}
+
+export async function PATCH(request, { params }) {
+  const { user, error } = await requireRole(ROLES.SUPER_ADMIN);
+  if (error) return error;
+
+  const { id } = await params;
+  const node = getNode(id);
+  if (!node) {
+    return NextResponse.json({ error: 'Node not found' }, { status: 404 });
+  }
+
+  const body = await request.json();
+  const updateError = updateNode(id, {
+    name: body.name?.trim(),
+    parentId: 'parentId' in body ? body.parentId || null : undefined,
+  });
+  if (updateError) {
+    return NextResponse.json({ error: updateError }, { status: 400 });
+  }
+
+  const updated = getNode(id);
+  recordAudit(request.headers, user, { action: 'update', entityType: 'hierarchy_node', entityId: id, before: node, after: updated });
+  return NextResponse.json({ node: updated });
+}
+
+export async function DELETE(request, { params }) {
+  const { user, error } = await requireRole(ROLES.SUPER_ADMIN);
+  if (error) return error;
+
+  const { id } = await params;
+  const node = getNode(id);
+  if (!node) {
+    return NextResponse.json({ error: 'Node not found' }, { status: 404 });
+  }
+
+  const deleteError = deleteNode(id);
+  if (deleteError) {
+    return NextResponse.json({ error: deleteError }, { status: 409 });
+  }
+
+  recordAudit(request.headers, user, { action: 'delete', entityType: 'hierarchy_node', entityId: id, before: node });
+  return new NextResponse(null, { status: 204 });
+}
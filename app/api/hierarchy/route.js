@@ -0,0 +1,36 @@
+import { NextResponse } from 'next/server';
+import { requireRole } from '@/app/lib/session';
+import { buildTree, createNode, getHierarchyMap, listNodes, validateNode } from '@/app/lib/hierarchy';
+import { recordAudit } from '@/app/lib/audit';
+import { ROLES } from '@/app/utils/auth';
+
+// Any signed-in user can read the hierarchy; only super admins change it
+export async function GET() {
+  const { error } = await requireRole();
+  if (error) return error;
+
+  const nodes = listNodes();
+  return NextResponse.json({ tree: buildTree(nodes), map: getHierarchyMap(nodes) });
+}
+
+export async function POST(request) {
+  const { user, error } = await requireRole(ROLES.SUPER_ADMIN);
+  if (error) return error;
+
+  const body = await request.json();
+  const input = {
+    type: body.type,
+    code: body.code?.trim().toLowerCase(),
+    name: body.name?.trim(),
+    parentId: body.parentId || null,
+  };
+
+  const validationError = validateNode(input);
+  if (validationError) {
+    return NextResponse.json({ error: validationError }, { status: 400 });
+  }
+
+  const node = createNode(input);
+  recordAudit(request.headers, user, { action: 'create', entityType: 'hierarchy_node', entityId: node.id, after: node });
+  return NextResponse.json({ node }, { status: 201 });
+}
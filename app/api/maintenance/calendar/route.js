@@ -0,0 +1,29 @@
+import { NextResponse } from 'next/server';
+import { requireRole } from '@/app/lib/session';
+import { getMaintenanceCalendar } from '@/app/lib/maintenance';
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+// Forecasting is per asset and occurrence; keep ranges to a few months
+const MAX_RANGE_DAYS = 93;
+
+/**
+ * Upcoming maintenance in the user's scope (`?from=&to=`, YYYY-MM-DD)
+ */
+export async function GET(request) {
+  const { user, error } = await requireRole();
+  if (error) return error;
+
+  const { searchParams } = new URL(request.url);
+  const from = searchParams.get('from');
+  const to = searchParams.get('to');
+
+  if (!DATE_PATTERN.test(from || '') || !DATE_PATTERN.test(to || '') || Number.isNaN(Date.parse(from)) || Number.isNaN(Date.parse(to))) {
+    return NextResponse.json({ error: 'from and to must be YYYY-MM-DD dates' }, { status: 400 });
+  }
+  const days = (Date.parse(to) - Date.parse(from)) / 86400000;
+  if (days < 0 || days > MAX_RANGE_DAYS) {
+    return NextResponse.json({ error: `The range must run forwards and span at most ${MAX_RANGE_DAYS} days` }, { status: 400 });
+  }
+
+  return NextResponse.json(getMaintenanceCalendar(user, { from, to }));
+}
@@ -0,0 +1,52 @@
+import { NextResponse } from 'next/server';
+import { requireRole } from '@/app/lib/session';
+import { notFound } from '@/app/lib/access';
+import { getPlan, updatePlan, validatePlan } from '@/app/lib/maintenance';
+import { recordAudit } from '@/app/lib/audit';
+import { ROLES } from '@/app/utils/auth';
+
+export async function GET(request, { params }) {
+  const { error } = await requireRole();
+  if (error) return error;
+
+  const { id } = await params;
+  const plan = getPlan(id);
+  if (!plan) return notFound('Maintenance plan not found');
+
+  return NextResponse.json({ plan });
+}
+
+/**
+ * Edit a plan, or pause/resume it.
+ * Body: { name?, every?, lead?, priority?, checklist?, active? }
+ */
+export async function PATCH(request, { params }) {
+  const { user, error } = await requireRole(ROLES.SUPER_ADMIN);
+  if (error) return error;
+
+  const { id } = await params;
+  const plan = getPlan(id);
+  if (!plan) return notFound('Maintenance plan not found');
+
+  const body = await request.json();
+  const fields = {};
+  if ('name' in body) fields.name = body.name?.trim();
+  if ('every' in body) fields.every = Number(body.every);
+  if ('lead' in body) fields.lead = Number(body.lead) || 0;
+  if ('priority' in body) fields.priority = body.priority;
+  if ('checklist' in body) {
+    fields.checklist = Array.isArray(body.checklist)
+      ? body.checklist.map((label) => String(label).trim()).filter(Boolean)
+      : body.checklist;
+  }
+  if ('active' in body) fields.active = body.active === true;
+
+  const validationError = validatePlan(fields, plan);
+  if (validationError) {
+    return NextResponse.json({ error: validationError }, { status: 400 });
+  }
+
+  const updated = updatePlan(id, fields);
+  recordAudit(request.headers, user, { action: 'update', entityType: 'maintenance_plan', entityId: id, before: plan, after: updated });
+  return NextResponse.json({ plan: updated });
+}
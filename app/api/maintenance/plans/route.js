@@ -0,0 +1,41 @@
+import { NextResponse } from 'next/server';
+import { requireRole } from '@/app/lib/session';
+import { createPlan, listPlans, validatePlan } from '@/app/lib/maintenance';
+import { recordAudit } from '@/app/lib/audit';
+import { ROLES } from '@/app/utils/auth';
+
+export async function GET() {
+  const { error } = await requireRole();
+  if (error) return error;
+
+  return NextResponse.json({ plans: listPlans() });
+}
+
+/**
+ * Create a plan. Plans apply fleet-wide, so only super admins manage them.
+ * Body: { name, assetType, trigger, every, lead?, priority, checklist? }
+ */
+export async function POST(request) {
+  const { user, error } = await requireRole(ROLES.SUPER_ADMIN);
+  if (error) return error;
+
+  const body = await request.json();
+  const input = {
+    name: body.name?.trim(),
+    assetType: body.assetType,
+    trigger: body.trigger,
+    every: Number(body.every),
+    lead: Number(body.lead) || 0,
+    priority: body.priority,
+    checklist: Array.isArray(body.checklist) ? body.checklist.map((label) => String(label).trim()).filter(Boolean) : [],
+  };
+
+  const validationError = validatePlan(input);
+  if (validationError) {
+    return NextResponse.json({ error: validationError }, { status: 400 });
+  }
+
+  const plan = createPlan(input, user);
+  recordAudit(request.headers, user, { action: 'create', entityType: 'maintenance_plan', entityId: plan.id, after: plan });
+  return NextResponse.json({ plan }, { status: 201 });
+}
@@ -0,0 +1,18 @@
+import { NextResponse } from 'next/server';
+import { requireRole } from '@/app/lib/session';
+import { runMaintenanceScheduler } from '@/app/lib/maintenance';
+import { recordAudit } from '@/app/lib/audit';
+import { ROLES } from '@/app/utils/auth';
+
+/**
+ * Run a scheduler pass now rather than waiting for the next timed one.
+ * The work orders raised are attributed to the admin. Returns their codes.
+ */
+export async function POST(request) {
+  const { user, error } = await requireRole(ROLES.SUPER_ADMIN);
+  if (error) return error;
+
+  const created = runMaintenanceScheduler(user, request.headers);
+  recordAudit(request.headers, user, { action: 'create', entityType: 'maintenance_run', after: { created } });
+  return NextResponse.json({ created });
+}
@@ -0,0 +1,17 @@
+import { NextResponse } from 'next/server';
+import { requireRole } from '@/app/lib/session';
+import { getMapAssets } from '@/app/lib/fleetMap';
+
+export async function GET(request) {
+  const { user, error } = await requireRole();
+  if (error) return error;
+
+  const { searchParams } = new URL(request.url);
+  const result = getMapAssets(user, {
+    region: searchParams.get('region') || undefined,
+    circle: searchParams.get('circle') || undefined,
+    area: searchParams.get('area') || undefined,
+  });
+
+  return NextResponse.json(result);
+}
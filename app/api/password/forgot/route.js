@@ -0,0 +1,28 @@
+import { NextResponse } from 'next/server';
+import { requestPasswordReset } from '@/app/lib/passwordReset';
+
+/**
+ * Email a password reset link. Body: { email }. The answer is the same,
+ * and as quick, whether or not the address has an account.
+ * Links always point at APP_URL: the request's own origin comes from its
+ * Host header, which whoever asks for the reset controls.
+ */
+export async function POST(request) {
+  if (!process.env.APP_URL) {
+    console.error('Password reset email not sent: APP_URL is not set');
+    return NextResponse.json({ error: 'Password reset by email is not set up on this server' }, { status: 503 });
+  }
+
+  const { email } = await request.json();
+  if (typeof email !== 'string' || !email.trim()) {
+    return NextResponse.json({ error: 'Email is required' }, { status: 400 });
+  }
+
+  // Not awaited: only real accounts get an email, so waiting for the mail
+  // server would tell them apart by how long the answer takes
+  requestPasswordReset(email.trim(), process.env.APP_URL).catch((err) => {
+    console.error('Password reset email failed:', err);
+  });
+
+  return NextResponse.json({ ok: true });
+}
@@ -0,0 +1,42 @@
+import { NextResponse } from 'next/server';
+import { resetPassword, verifyResetToken } from '@/app/lib/passwordReset';
+import { clearLoginFailures } from '@/app/lib/loginThrottle';
+import { recordAudit } from '@/app/lib/audit';
+import { validatePassword } from '@/app/utils/passwordPolicy';
+
+const INVALID_LINK = 'This reset link is invalid or has expired. Ask for a new one.';
+
+/**
+ * Check a reset token before showing the form: ?token=
+ */
+export async function GET(request) {
+  const user = verifyResetToken(new URL(request.url).searchParams.get('token'));
+  if (!user) {
+    return NextResponse.json({ error: INVALID_LINK }, { status: 400 });
+  }
+
+  return NextResponse.json({ email: user.email });
+}
+
+/**
+ * Choose a new password with a reset token. Body: { token, password }.
+ * Also lifts any sign-in lockout on the account.
+ */
+export async function POST(request) {
+  const { token, password } = await request.json();
+
+  const user = verifyResetToken(token);
+  if (!user) {
+    return NextResponse.json({ error: INVALID_LINK }, { status: 400 });
+  }
+
+  const passwordError = validatePassword(password, user);
+  if (passwordError) {
+    return NextResponse.json({ error: passwordError }, { status: 400 });
+  }
+
+  resetPassword(token, password);
+  clearLoginFailures(user.email);
+  recordAudit(request.headers, user, { action: 'password_reset', entityType: 'user', entityId: user.id });
+  return NextResponse.json({ ok: true });
+}
@@ -0,0 +1,81 @@
+import { NextResponse } from 'next/server';
+import { requireRole } from '@/app/lib/session';
+import { notFound } from '@/app/lib/access';
+import { recordAudit } from '@/app/lib/audit';
+import {
+  deleteSubscription,
+  getSubscription,
+  normalizeRecipients,
+  updateSubscription,
+  validateSubscription,
+} from '@/app/lib/reportSubscriptions';
+
+// Subscriptions belong to the user who set them up
+async function ownSubscription(params, user) {
+  const { id } = await params;
+  const subscription = getSubscription(id);
+  return subscription?.userId === user.id ? subscription : null;
+}
+
+export async function GET(request, { params }) {
+  const { user, error } = await requireRole();
+  if (error) return error;
+
+  const subscription = await ownSubscription(params, user);
+  if (!subscription) return notFound('Subscription not found');
+
+  return NextResponse.json({ subscription });
+}
+
+/**
+ * Edit a subscription, or pause/resume it.
+ * Body: { name?, report?, format?, schedule?, recipients?, enabled? }
+ */
+export async function PATCH(request, { params }) {
+  const { user, error } = await requireRole();
+  if (error) return error;
+
+  const subscription = await ownSubscription(params, user);
+  if (!subscription) return notFound('Subscription not found');
+
+  const body = await request.json();
+  const fields = {};
+  if ('name' in body) fields.name = body.name?.trim();
+  if ('report' in body) fields.report = body.report;
+  if ('format' in body) fields.format = body.format;
+  if ('schedule' in body) fields.schedule = body.schedule?.trim();
+  if ('recipients' in body) fields.recipients = normalizeRecipients(body.recipients);
+  if ('enabled' in body) fields.enabled = body.enabled === true;
+
+  const validationError = validateSubscription(fields, subscription);
+  if (validationError) {
+    return NextResponse.json({ error: validationError }, { status: 400 });
+  }
+
+  const updated = updateSubscription(subscription.id, fields);
+  recordAudit(request.headers, user, {
+    action: 'update',
+    entityType: 'report_subscription',
+    entityId: subscription.id,
+    before: subscription,
+    after: updated,
+  });
+  return NextResponse.json({ subscription: updated });
+}
+
+export async function DELETE(request, { params }) {
+  const { user, error } = await requireRole();
+  if (error) return error;
+
+  const subscription = await ownSubscription(params, user);
+  if (!subscription) return notFound('Subscription not found');
+
+  deleteSubscription(subscription.id);
+  recordAudit(request.headers, user, {
+    action: 'delete',
+    entityType: 'report_subscription',
+    entityId: subscription.id,
+    before: subscription,
+  });
+  return new NextResponse(null, { status: 204 });
+}
@@ -0,0 +1,28 @@
+import { NextResponse } from 'next/server';
+import { requireRole } from '@/app/lib/session';
+import { notFound } from '@/app/lib/access';
+import { recordAudit } from '@/app/lib/audit';
+import { deliverSubscription, getSubscription } from '@/app/lib/reportSubscriptions';
+
+/**
+ * Send a subscription's report now, outside its schedule. The outcome is
+ * on the returned subscription (lastStatus, lastError).
+ */
+export async function POST(request, { params }) {
+  const { user, error } = await requireRole();
+  if (error) return error;
+
+  const { id } = await params;
+  const subscription = getSubscription(id);
+  if (subscription?.userId !== user.id) return notFound('Subscription not found');
+
+  const delivered = await deliverSubscription(subscription.id);
+  recordAudit(request.headers, user, {
+    action: 'update',
+    entityType: 'report_subscription',
+    entityId: subscription.id,
+    before: subscription,
+    after: delivered,
+  });
+  return NextResponse.json({ subscription: delivered });
+}
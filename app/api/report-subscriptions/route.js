@@ -0,0 +1,46 @@
+import { NextResponse } from 'next/server';
+import { requireRole } from '@/app/lib/session';
+import { recordAudit } from '@/app/lib/audit';
+import { createSubscription, listSubscriptions, normalizeRecipients, validateSubscription } from '@/app/lib/reportSubscriptions';
+
+/**
+ * The user's scheduled report subscriptions
+ */
+export async function GET() {
+  const { user, error } = await requireRole();
+  if (error) return error;
+
+  return NextResponse.json({ subscriptions: listSubscriptions(user) });
+}
+
+/**
+ * Subscribe to a report.
+ * Body: { name, report, format, schedule (cron, local time), recipients: [email] }
+ */
+export async function POST(request) {
+  const { user, error } = await requireRole();
+  if (error) return error;
+
+  const body = await request.json();
+  const input = {
+    name: body.name?.trim(),
+    report: body.report,
+    format: body.format,
+    schedule: body.schedule?.trim(),
+    recipients: normalizeRecipients(body.recipients),
+  };
+
+  const validationError = validateSubscription(input);
+  if (validationError) {
+    return NextResponse.json({ error: validationError }, { status: 400 });
+  }
+
+  const subscription = createSubscription(input, user);
+  recordAudit(request.headers, user, {
+    action: 'create',
+    entityType: 'report_subscription',
+    entityId: subscription.id,
+    after: subscription,
+  });
+  return NextResponse.json({ subscription }, { status: 201 });
+}
@@ -0,0 +1,82 @@
+import { NextResponse } from 'next/server';
+import { requireRole } from '@/app/lib/session';
+import { checkRecordAccess, checkWriteScope } from '@/app/lib/access';
+import { resolveHubScope } from '@/app/lib/hierarchy';
+import { countDockedBatteries, getStation, retireStation, updateStation, validateStation } from '@/app/lib/stations';
+import { recordAudit } from '@/app/lib/audit';
+
+export async function GET(request, { params }) {
+  const { user, error } = await requireRole();
+  if (error) return error;
+
+  const { code } = await params;
+  const station = getStation(code);
+  const accessError = checkRecordAccess(user, station, 'Station');
+  if (accessError) return accessError;
+
+  return NextResponse.json({ station });
+}
+
+export async function PATCH(request, { params }) {
+  const { user, error } = await requireRole();
+  if (error) return error;
+
+  const { code } = await params;
+  const station = getStation(code);
+  const accessError = checkRecordAccess(user, station, 'Station');
+  if (accessError) return accessError;
+
+  if (station.retiredAt) {
+    return NextResponse.json({ error: 'Retired stations cannot be edited' }, { status: 409 });
+  }
+
+  const body = await request.json();
+  const fields = {};
+  if ('name' in body) fields.name = body.name?.trim();
+  if ('address' in body) fields.address = body.address?.trim() || null;
+  if ('latitude' in body) fields.latitude = Number(body.latitude);
+  if ('longitude' in body) fields.longitude = Number(body.longitude);
+  if ('powerKw' in body) fields.powerKw = Number(body.powerKw);
+  if ('energyDeliveredKwh' in body) fields.energyDeliveredKwh = Number(body.energyDeliveredKwh);
+  if ('opensAt' in body) fields.opensAt = body.opensAt;
+  if ('closesAt' in body) fields.closesAt = body.closesAt;
+  if ('hub' in body) fields.hub = body.hub;
+
+  const validationError = validateStation(fields, station);
+  if (validationError) {
+    return NextResponse.json({ error: validationError }, { status: 400 });
+  }
+
+  if (fields.hub && fields.hub !== station.hub) {
+    const scopeError = checkWriteScope(user, resolveHubScope(fields.hub));
+    if (scopeError) return scopeError;
+  }
+
+  const updated = updateStation(code, fields);
+  recordAudit(request.headers, user, { action: 'update', entityType: 'station', entityId: code, before: station, after: updated });
+  return NextResponse.json({ station: updated });
+}
+
+// Stations are never deleted; DELETE retires them
+export async function DELETE(request, { params }) {
+  const { user, error } = await requireRole();
+  if (error) return error;
+
+  const { code } = await params;
+  const station = getStation(code);
+  const accessError = checkRecordAccess(user, station, 'Station');
+  if (accessError) return accessError;
+
+  if (station.retiredAt) {
+    return NextResponse.json({ error: 'Station is already retired' }, { status: 409 });
+  }
+
+  const docked = countDockedBatteries(code);
+  if (docked) {
+    return NextResponse.json({ error: `Move the ${docked} batter${docked === 1 ? 'y' : 'ies'} docked here before retiring` }, { status: 409 });
+  }
+
+  const retired = retireStation(code);
+  recordAudit(request.headers, user, { action: 'delete', entityType: 'station', entityId: code, before: station, after: retired });
+  return NextResponse.json({ station: retired });
+}
@@ -0,0 +1,80 @@
+import { NextResponse } from 'next/server';
+import { requireRole } from '@/app/lib/session';
+import { checkRecordAccess, notFound } from '@/app/lib/access';
+import { countDockedBatteries, getStation, removeSlot, updateSlot, validateSlot } from '@/app/lib/stations';
+import { recordAudit } from '@/app/lib/audit';
+
+async function loadSlot(user, params) {
+  const { code, label } = await params;
+  const station = getStation(code);
+  const accessError = checkRecordAccess(user, station, 'Station');
+  if (accessError) return { error: accessError };
+
+  if (station.retiredAt) {
+    return { error: NextResponse.json({ error: 'Retired stations cannot be edited' }, { status: 409 }) };
+  }
+
+  const slot = station.slots.find((candidate) => candidate.label === label.toUpperCase());
+  if (!slot) return { error: notFound('Slot not found') };
+
+  return { station, slot };
+}
+
+/**
+ * Update a slot's connector, power rating or live status.
+ * Body: { connectorType?, powerKw?, status? }
+ */
+export async function PATCH(request, { params }) {
+  const { user, error } = await requireRole();
+  if (error) return error;
+
+  const { station, slot, error: slotError } = await loadSlot(user, params);
+  if (slotError) return slotError;
+
+  const body = await request.json();
+  const fields = {};
+  if ('connectorType' in body) fields.connectorType = body.connectorType;
+  if ('powerKw' in body) fields.powerKw = Number(body.powerKw);
+  if ('status' in body) fields.status = body.status;
+
+  const validationError = validateSlot(fields);
+  if (validationError) {
+    return NextResponse.json({ error: validationError }, { status: 400 });
+  }
+
+  const updated = updateSlot(station.code, slot.label, fields);
+  recordAudit(request.headers, user, {
+    action: 'update',
+    entityType: 'station_slot',
+    entityId: `${station.code}/${slot.label}`,
+    before: slot,
+    after: updated.slots.find((candidate) => candidate.label === slot.label),
+    scope: station,
+  });
+  return NextResponse.json({ station: updated });
+}
+
+export async function DELETE(request, { params }) {
+  const { user, error } = await requireRole();
+  if (error) return error;
+
+  const { station, slot, error: slotError } = await loadSlot(user, params);
+  if (slotError) return slotError;
+
+  if (countDockedBatteries(station.code, slot.label)) {
+    return NextResponse.json({ error: `Move the battery out of slot ${slot.label} first` }, { status: 409 });
+  }
+  if (station.slots.length === 1) {
+    return NextResponse.json({ error: 'A station needs at least one slot' }, { status: 409 });
+  }
+
+  const updated = removeSlot(station.code, slot.label);
+  recordAudit(request.headers, user, {
+    action: 'delete',
+    entityType: 'station_slot',
+    entityId: `${station.code}/${slot.label}`,
+    before: slot,
+    scope: station,
+  });
+  return NextResponse.json({ station: updated });
+}
@@ -0,0 +1,42 @@
+import { NextResponse } from 'next/server';
+import { requireRole } from '@/app/lib/session';
+import { checkRecordAccess } from '@/app/lib/access';
+import { addSlot, getStation, validateSlot } from '@/app/lib/stations';
+import { recordAudit } from '@/app/lib/audit';
+
+/**
+ * Add a slot. Body: { connectorType, powerKw, label? }
+ */
+export async function POST(request, { params }) {
+  const { user, error } = await requireRole();
+  if (error) return error;
+
+  const { code } = await params;
+  const station = getStation(code);
+  const accessError = checkRecordAccess(user, station, 'Station');
+  if (accessError) return accessError;
+
+  if (station.retiredAt) {
+    return NextResponse.json({ error: 'Retired stations cannot be edited' }, { status: 409 });
+  }
+
+  const body = await request.json();
+  const input = { connectorType: body.connectorType, powerKw: Number(body.powerKw) };
+  if (body.label) input.label = String(body.label).trim().toUpperCase();
+
+  const validationError = validateSlot(input, station);
+  if (validationError) {
+    return NextResponse.json({ error: validationError }, { status: 400 });
+  }
+
+  const updated = addSlot(code, input);
+  const slot = updated.slots.find((candidate) => !station.slots.some((existing) => existing.label === candidate.label));
+  recordAudit(request.headers, user, {
+    action: 'create',
+    entityType: 'station_slot',
+    entityId: `${code}/${slot.label}`,
+    after: slot,
+    scope: station,
+  });
+  return NextResponse.json({ station: updated }, { status: 201 });
+}
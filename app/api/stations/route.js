@@ -0,0 +1,63 @@
+import { NextResponse } from 'next/server';
+import { requireRole } from '@/app/lib/session';
+import { checkWriteScope } from '@/app/lib/access';
+import { resolveHubScope } from '@/app/lib/hierarchy';
+import { createStation, listStations, validateStation } from '@/app/lib/stations';
+import { recordAudit } from '@/app/lib/audit';
+
+// The map view loads every station in scope in one page
+const MAX_PAGE_SIZE = 500;
+
+const toNumber = (value) => (value === undefined || value === null || value === '' ? NaN : Number(value));
+
+export async function GET(request) {
+  const { user, error } = await requireRole();
+  if (error) return error;
+
+  const { searchParams } = new URL(request.url);
+  const page = Math.max(1, parseInt(searchParams.get('page'), 10) || 1);
+  const pageSize = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(searchParams.get('pageSize'), 10) || 20));
+
+  const result = listStations(user, {
+    q: searchParams.get('q')?.trim() || undefined,
+    hub: searchParams.get('hub') || undefined,
+    slotStatus: searchParams.get('slotStatus') || undefined,
+    includeRetired: searchParams.get('includeRetired') === 'true',
+    page,
+    pageSize,
+  });
+
+  return NextResponse.json(result);
+}
+
+export async function POST(request) {
+  const { user, error } = await requireRole();
+  if (error) return error;
+
+  const body = await request.json();
+  const input = {
+    name: body.name?.trim(),
+    address: body.address?.trim() || null,
+    latitude: toNumber(body.latitude),
+    longitude: toNumber(body.longitude),
+    powerKw: toNumber(body.powerKw),
+    opensAt: body.opensAt || '00:00',
+    closesAt: body.closesAt || '24:00',
+    hub: body.hub,
+    slots: Array.isArray(body.slots)
+      ? body.slots.map((slot) => ({ connectorType: slot?.connectorType, powerKw: toNumber(slot?.powerKw) }))
+      : [],
+  };
+
+  const validationError = validateStation(input);
+  if (validationError) {
+    return NextResponse.json({ error: validationError }, { status: 400 });
+  }
+
+  const scopeError = checkWriteScope(user, resolveHubScope(input.hub));
+  if (scopeError) return scopeError;
+
+  const station = createStation(input);
+  recordAudit(request.headers, user, { action: 'create', entityType: 'station', entityId: station.code, after: station });
+  return NextResponse.json({ station }, { status: 201 });
+}
@@ -0,0 +1,96 @@
+import { NextResponse } from 'next/server';
+import { requireRole } from '@/app/lib/session';
+import { hasSwapEvent, listSwaps, recordSwap, validateSwap, validateSwapScope } from '@/app/lib/swaps';
+import { recordAudit } from '@/app/lib/audit';
+
+const MAX_BATCH = 500;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const trimmed = (value) => (typeof value === 'string' ? value.trim() : value);
+const upper = (value) => trimmed(value)?.toUpperCase();
+
+export async function GET(request) {
+  const { user, error } = await requireRole();
+  if (error) return error;
+
+  const { searchParams } = new URL(request.url);
+  const page = Math.max(1, parseInt(searchParams.get('page'), 10) || 1);
+  const pageSize = Math.min(100, Math.max(1, parseInt(searchParams.get('pageSize'), 10) || 20));
+  const from = searchParams.get('from');
+  const to = searchParams.get('to');
+
+  if ((from && !DATE_PATTERN.test(from)) || (to && !DATE_PATTERN.test(to))) {
+    return NextResponse.json({ error: 'Dates must be YYYY-MM-DD' }, { status: 400 });
+  }
+
+  const result = listSwaps(user, {
+    q: searchParams.get('q')?.trim() || undefined,
+    station: searchParams.get('station') || undefined,
+    from: from || undefined,
+    to: to || undefined,
+    page,
+    pageSize,
+  });
+
+  return NextResponse.json(result);
+}
+
+/**
+ * Ingest a batch of swap events.
+ * Body: { events: [{ eventId?, station, slot, batteryOut, batteryIn, vehicle, operator?, swappedAt? }] }
+ * Each event is validated and recorded on its own; the response lists
+ * how many were accepted, how many were retries of already-recorded
+ * event ids, and why any were rejected.
+ */
+export async function POST(request) {
+  const { user, error } = await requireRole();
+  if (error) return error;
+
+  const body = await request.json();
+  if (!Array.isArray(body.events) || body.events.length === 0) {
+    return NextResponse.json({ error: 'Body must contain a non-empty events array' }, { status: 400 });
+  }
+  if (body.events.length > MAX_BATCH) {
+    return NextResponse.json({ error: `At most ${MAX_BATCH} events per request` }, { status: 400 });
+  }
+
+  let accepted = 0;
+  let duplicates = 0;
+  const rejected = [];
+
+  body.events.forEach((event, index) => {
+    const input = {
+      eventId: trimmed(event?.eventId) || undefined,
+      station: upper(event?.station),
+      slot: upper(event?.slot),
+      batteryOut: upper(event?.batteryOut),
+      batteryIn: upper(event?.batteryIn),
+      vehicle: upper(event?.vehicle),
+      operator: trimmed(event?.operator) || user.name,
+      swappedAt: event?.swappedAt,
+    };
+
+    // A retry of a recorded event would fail validation (its packs have
+    // already moved), so recognise it first
+    if (input.eventId && hasSwapEvent(input.eventId)) {
+      duplicates++;
+      return;
+    }
+
+    const validationError = validateSwap(input) || validateSwapScope(input, user);
+    if (validationError) {
+      rejected.push({ index, eventId: input.eventId, error: validationError });
+      return;
+    }
+
+    const { swap, duplicate } = recordSwap(input, user);
+    if (duplicate) {
+      duplicates++;
+    } else {
+      recordAudit(request.headers, user, { action: 'create', entityType: 'swap', entityId: swap.id, after: swap });
+      accepted++;
+    }
+  });
+
+  return NextResponse.json({ accepted, duplicates, rejected });
+}
@@ -0,0 +1,55 @@
+import { NextResponse } from 'next/server';
+import { requireRole } from '@/app/lib/session';
+import { forbidden } from '@/app/lib/access';
+import { getHierarchyMap } from '@/app/lib/hierarchy';
+import { recordAudit } from '@/app/lib/audit';
+import { canSetSwapTarget, listSwapTargets, setSwapTarget } from '@/app/lib/swaps';
+
+export async function GET() {
+  const { user, error } = await requireRole();
+  if (error) return error;
+
+  const hierarchy = getHierarchyMap();
+  const targets = listSwapTargets(user, hierarchy).map((row) => ({
+    ...row,
+    editable: canSetSwapTarget(user, row.circle, hierarchy),
+  }));
+
+  return NextResponse.json({ targets });
+}
+
+/**
+ * Set or clear a circle's daily swap target.
+ * Body: { circle, dailyTarget } - a null or empty target clears it.
+ */
+export async function PUT(request) {
+  const { user, error } = await requireRole();
+  if (error) return error;
+
+  const body = await request.json();
+  const hierarchy = getHierarchyMap();
+
+  if (!(body.circle in hierarchy.circles)) {
+    return NextResponse.json({ error: `Unknown circle: ${body.circle || ''}` }, { status: 400 });
+  }
+  if (!canSetSwapTarget(user, body.circle, hierarchy)) {
+    return forbidden('You cannot set targets for this circle');
+  }
+
+  const dailyTarget = body.dailyTarget === null || body.dailyTarget === '' ? null : Number(body.dailyTarget);
+  if (dailyTarget !== null && !(Number.isInteger(dailyTarget) && dailyTarget > 0)) {
+    return NextResponse.json({ error: 'Daily target must be a positive whole number' }, { status: 400 });
+  }
+
+  const before = listSwapTargets(user, hierarchy).find((row) => row.circle === body.circle);
+  setSwapTarget(body.circle, dailyTarget, user);
+  recordAudit(request.headers, user, {
+    action: 'update',
+    entityType: 'swap_target',
+    entityId: body.circle,
+    before: { dailyTarget: before.dailyTarget },
+    after: { dailyTarget },
+    scope: { region: before.region, circle: body.circle },
+  });
+  return NextResponse.json({ circle: body.circle, dailyTarget });
+}
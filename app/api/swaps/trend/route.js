@@ -0,0 +1,20 @@
+import { NextResponse } from 'next/server';
+import { requireRole } from '@/app/lib/session';
+import { TREND_WINDOWS, getSwapTrend } from '@/app/lib/swaps';
+
+/**
+ * Daily swap trend for the battery dashboard chart: ?days=7|30|90
+ */
+export async function GET(request) {
+  const { user, error } = await requireRole();
+  if (error) return error;
+
+  const { searchParams } = new URL(request.url);
+  const days = parseInt(searchParams.get('days') || '30', 10);
+
+  if (!TREND_WINDOWS.includes(days)) {
+    return NextResponse.json({ error: `Window must be one of: ${TREND_WINDOWS.join(', ')} days` }, { status: 400 });
+  }
+
+  return NextResponse.json(getSwapTrend(user, days));
+}
@@ -0,0 +1,27 @@
+import { NextResponse } from 'next/server';
+import { requireRole } from '@/app/lib/session';
+import { checkRecordAccess } from '@/app/lib/access';
+import { getDevice, rotateApiKey } from '@/app/lib/tcu';
+import { recordAudit } from '@/app/lib/audit';
+
+/**
+ * Issue a new API key for the device. The old key stops working at once.
+ */
+export async function POST(request, { params }) {
+  const { user, error } = await requireRole();
+  if (error) return error;
+
+  const { deviceId } = await params;
+  const device = getDevice(deviceId);
+  const accessError = checkRecordAccess(user, device, 'TCU');
+  if (accessError) return accessError;
+
+  if (device.decommissionedAt) {
+    return NextResponse.json({ error: 'Decommissioned devices cannot be issued keys' }, { status: 409 });
+  }
+
+  const apiKey = rotateApiKey(deviceId);
+  const updated = getDevice(deviceId);
+  recordAudit(request.headers, user, { action: 'update', entityType: 'tcu_device', entityId: deviceId, before: device, after: updated });
+  return NextResponse.json({ device: updated, apiKey });
+}
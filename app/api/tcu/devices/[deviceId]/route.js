@@ -0,0 +1,84 @@
+import { NextResponse } from 'next/server';
+import { requireRole } from '@/app/lib/session';
+import { checkRecordAccess, checkWriteScope } from '@/app/lib/access';
+import { resolveHubScope } from '@/app/lib/hierarchy';
+import { decommissionDevice, getDevice, resolveDeviceHub, updateDevice, validateDevice } from '@/app/lib/tcu';
+import { listTelemetry } from '@/app/lib/telemetry';
+import { recordAudit } from '@/app/lib/audit';
+
+export async function GET(request, { params }) {
+  const { user, error } = await requireRole();
+  if (error) return error;
+
+  const { deviceId } = await params;
+  const device = getDevice(deviceId);
+  const accessError = checkRecordAccess(user, device, 'TCU');
+  if (accessError) return accessError;
+
+  return NextResponse.json({ device, telemetry: listTelemetry(deviceId) });
+}
+
+/**
+ * Pair/unpair a vehicle, move an unpaired device to another hub,
+ * or correct its firmware version.
+ * Body: { vehicle?, hub?, firmwareVersion? }
+ */
+export async function PATCH(request, { params }) {
+  const { user, error } = await requireRole();
+  if (error) return error;
+
+  const { deviceId } = await params;
+  const device = getDevice(deviceId);
+  const accessError = checkRecordAccess(user, device, 'TCU');
+  if (accessError) return accessError;
+
+  if (device.decommissionedAt) {
+    return NextResponse.json({ error: 'Decommissioned devices cannot be edited' }, { status: 409 });
+  }
+
+  const body = await request.json();
+  const fields = {};
+  if ('vehicle' in body) fields.vehicle = body.vehicle?.trim().toUpperCase() || null;
+  if ('hub' in body) fields.hub = body.hub;
+  if ('firmwareVersion' in body) fields.firmwareVersion = body.firmwareVersion?.trim() || null;
+
+  const validationError = validateDevice(fields, device);
+  if (validationError) {
+    return NextResponse.json({ error: validationError }, { status: 400 });
+  }
+
+  const hub = resolveDeviceHub(fields);
+  if (hub && hub !== device.hub) {
+    const scopeError = checkWriteScope(user, resolveHubScope(hub));
+    if (scopeError) return scopeError;
+  }
+
+  const updated = updateDevice(deviceId, fields);
+  recordAudit(request.headers, user, { action: 'update', entityType: 'tcu_device', entityId: deviceId, before: device, after: updated });
+  return NextResponse.json({ device: updated });
+}
+
+// Devices are never deleted; DELETE decommissions them
+export async function DELETE(request, { params }) {
+  const { user, error } = await requireRole();
+  if (error) return error;
+
+  const { deviceId } = await params;
+  const device = getDevice(deviceId);
+  const accessError = checkRecordAccess(user, device, 'TCU');
+  if (accessError) return accessError;
+
+  if (device.decommissionedAt) {
+    return NextResponse.json({ error: 'Device is already decommissioned' }, { status: 409 });
+  }
+
+  const decommissioned = decommissionDevice(deviceId);
+  recordAudit(request.headers, user, {
+    action: 'delete',
+    entityType: 'tcu_device',
+    entityId: deviceId,
+    before: device,
+    after: decommissioned,
+  });
+  return NextResponse.json({ device: decommissioned });
+}
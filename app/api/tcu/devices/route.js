@@ -0,0 +1,60 @@
+import { NextResponse } from 'next/server';
+import { requireRole } from '@/app/lib/session';
+import { checkWriteScope } from '@/app/lib/access';
+import { resolveHubScope } from '@/app/lib/hierarchy';
+import { createDevice, listDevices, resolveDeviceHub, validateDevice } from '@/app/lib/tcu';
+import { recordAudit } from '@/app/lib/audit';
+
+export async function GET(request) {
+  const { user, error } = await requireRole();
+  if (error) return error;
+
+  const { searchParams } = new URL(request.url);
+  const page = Math.max(1, parseInt(searchParams.get('page'), 10) || 1);
+  const pageSize = Math.min(100, Math.max(1, parseInt(searchParams.get('pageSize'), 10) || 20));
+
+  const result = listDevices(user, {
+    q: searchParams.get('q')?.trim() || undefined,
+    state: searchParams.get('state') || undefined,
+    hub: searchParams.get('hub') || undefined,
+    includeDecommissioned: searchParams.get('includeDecommissioned') === 'true',
+    page,
+    pageSize,
+  });
+
+  return NextResponse.json(result);
+}
+
+/**
+ * Register a device. The response carries its API key, which is not
+ * retrievable afterwards (only rotated).
+ */
+export async function POST(request) {
+  const { user, error } = await requireRole();
+  if (error) return error;
+
+  const body = await request.json();
+  const input = {
+    deviceId: body.deviceId?.trim(),
+    vehicle: body.vehicle?.trim().toUpperCase() || null,
+    firmwareVersion: body.firmwareVersion?.trim() || null,
+    hub: body.hub,
+  };
+
+  const validationError = validateDevice(input);
+  if (validationError) {
+    return NextResponse.json({ error: validationError }, { status: 400 });
+  }
+
+  const scopeError = checkWriteScope(user, resolveHubScope(resolveDeviceHub(input)));
+  if (scopeError) return scopeError;
+
+  const created = createDevice(input);
+  recordAudit(request.headers, user, {
+    action: 'create',
+    entityType: 'tcu_device',
+    entityId: created.device.deviceId,
+    after: created.device,
+  });
+  return NextResponse.json(created, { status: 201 });
+}
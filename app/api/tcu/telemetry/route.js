@@ -0,0 +1,43 @@
+import { NextResponse } from 'next/server';
+import { authenticateDevice } from '@/app/lib/tcu';
+import { MAX_TELEMETRY_BATCH, ingestTelemetry } from '@/app/lib/telemetry';
+
+/**
+ * Telemetry upload from a TCU, authenticated by the device's own API key
+ * (`Authorization: Bearer tcu_...`) rather than a user session.
+ * Body: { deviceId, firmwareVersion?, records: [{ recordedAt, latitude?, longitude?,
+ *   speedKmh?, soc?, packVoltage?, packCurrent?, packTempC?, ignition? }] }
+ */
+export async function POST(request) {
+  const apiKey = request.headers.get('authorization')?.match(/^Bearer\s+(\S+)$/i)?.[1];
+  const device = authenticateDevice(apiKey);
+  if (!device) {
+    return NextResponse.json({ error: 'Invalid or missing device API key' }, { status: 401 });
+  }
+
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return NextResponse.json({ error: 'Body must be JSON' }, { status: 400 });
+  }
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return NextResponse.json({ error: 'Body must be a JSON object' }, { status: 400 });
+  }
+
+  // Catches a unit flashed with another unit's key
+  if (body.deviceId !== device.deviceId) {
+    return NextResponse.json({ error: 'API key does not belong to this device' }, { status: 403 });
+  }
+  if (!Array.isArray(body.records) || body.records.length === 0) {
+    return NextResponse.json({ error: 'Body must contain a non-empty records array' }, { status: 400 });
+  }
+  if (body.records.length > MAX_TELEMETRY_BATCH) {
+    return NextResponse.json({ error: `At most ${MAX_TELEMETRY_BATCH} records per request` }, { status: 400 });
+  }
+  if (body.firmwareVersion !== undefined && !(typeof body.firmwareVersion === 'string' && body.firmwareVersion.length <= 32)) {
+    return NextResponse.json({ error: 'firmwareVersion must be a string of at most 32 characters' }, { status: 400 });
+  }
+
+  return NextResponse.json(ingestTelemetry(device.deviceId, body.records, { firmwareVersion: body.firmwareVersion }));
+}
@@ -0,0 +1,84 @@
+import { NextResponse } from 'next/server';
+import { requireRole } from '@/app/lib/session';
+import { checkRecordAccess, checkWriteScope } from '@/app/lib/access';
+import { resolveHubScope } from '@/app/lib/hierarchy';
+import { getVehicle, normalizeRegistration, retireVehicle, updateVehicle, validateVehicle } from '@/app/lib/vehicles';
+import { getPairedDevice } from '@/app/lib/tcu';
+import { recordAudit } from '@/app/lib/audit';
+
+export async function GET(request, { params }) {
+  const { user, error } = await requireRole();
+  if (error) return error;
+
+  const { id } = await params;
+  const vehicle = getVehicle(id);
+  const accessError = checkRecordAccess(user, vehicle, 'Vehicle');
+  if (accessError) return accessError;
+
+  return NextResponse.json({ vehicle });
+}
+
+export async function PATCH(request, { params }) {
+  const { user, error } = await requireRole();
+  if (error) return error;
+
+  const { id } = await params;
+  const vehicle = getVehicle(id);
+  const accessError = checkRecordAccess(user, vehicle, 'Vehicle');
+  if (accessError) return accessError;
+
+  if (vehicle.retiredAt) {
+    return NextResponse.json({ error: 'Retired vehicles cannot be edited' }, { status: 409 });
+  }
+
+  const body = await request.json();
+  const fields = {};
+  if ('vin' in body) fields.vin = body.vin?.trim().toUpperCase();
+  if ('registrationNumber' in body) fields.registrationNumber = normalizeRegistration(body.registrationNumber);
+  if ('model' in body) fields.model = body.model?.trim();
+  if ('hub' in body) fields.hub = body.hub;
+  if ('status' in body) fields.status = body.status;
+  if ('odometerKm' in body) fields.odometerKm = Number(body.odometerKm);
+
+  const validationError = validateVehicle(fields, vehicle);
+  if (validationError) {
+    return NextResponse.json({ error: validationError }, { status: 400 });
+  }
+
+  if (fields.hub && fields.hub !== vehicle.hub) {
+    const scopeError = checkWriteScope(user, resolveHubScope(fields.hub));
+    if (scopeError) return scopeError;
+  }
+
+  const updated = updateVehicle(id, fields);
+  recordAudit(request.headers, user, { action: 'update', entityType: 'vehicle', entityId: id, before: vehicle, after: updated });
+  return NextResponse.json({ vehicle: updated });
+}
+
+// Vehicles are never deleted; DELETE retires them
+export async function DELETE(request, { params }) {
+  const { user, error } = await requireRole();
+  if (error) return error;
+
+  const { id } = await params;
+  const vehicle = getVehicle(id);
+  const accessError = checkRecordAccess(user, vehicle, 'Vehicle');
+  if (accessError) return accessError;
+
+  if (vehicle.retiredAt) {
+    return NextResponse.json({ error: 'Vehicle is already retired' }, { status: 409 });
+  }
+
+  if (vehicle.batterySerial) {
+    return NextResponse.json({ error: `Remove battery ${vehicle.batterySerial} before retiring` }, { status: 409 });
+  }
+
+  const device = getPairedDevice(id);
+  if (device) {
+    return NextResponse.json({ error: `Unpair TCU ${device.deviceId} before retiring` }, { status: 409 });
+  }
+
+  const retired = retireVehicle(id);
+  recordAudit(request.headers, user, { action: 'delete', entityType: 'vehicle', entityId: id, before: vehicle, after: retired });
+  return NextResponse.json({ vehicle: retired });
+}
@@ -0,0 +1,53 @@
+import { NextResponse } from 'next/server';
+import { requireRole } from '@/app/lib/session';
+import { checkWriteScope } from '@/app/lib/access';
+import { resolveHubScope } from '@/app/lib/hierarchy';
+import { recordAudit } from '@/app/lib/audit';
+import { createVehicle, listVehicles, normalizeRegistration, validateVehicle } from '@/app/lib/vehicles';
+
+export async function GET(request) {
+  const { user, error } = await requireRole();
+  if (error) return error;
+
+  const { searchParams } = new URL(request.url);
+  const page = Math.max(1, parseInt(searchParams.get('page'), 10) || 1);
+  const pageSize = Math.min(100, Math.max(1, parseInt(searchParams.get('pageSize'), 10) || 20));
+
+  const result = listVehicles(user, {
+    q: searchParams.get('q')?.trim() || undefined,
+    status: searchParams.get('status') || undefined,
+    hub: searchParams.get('hub') || undefined,
+    includeRetired: searchParams.get('includeRetired') === 'true',
+    page,
+    pageSize,
+  });
+
+  return NextResponse.json(result);
+}
+
+export async function POST(request) {
+  const { user, error } = await requireRole();
+  if (error) return error;
+
+  const body = await request.json();
+  const input = {
+    vin: body.vin?.trim().toUpperCase(),
+    registrationNumber: normalizeRegistration(body.registrationNumber),
+    model: body.model?.trim(),
+    hub: body.hub,
+    status: body.status || 'available',
+    odometerKm: body.odometerKm === undefined || body.odometerKm === '' ? 0 : Number(body.odometerKm),
+  };
+
+  const validationError = validateVehicle(input);
+  if (validationError) {
+    return NextResponse.json({ error: validationError }, { status: 400 });
+  }
+
+  const scopeError = checkWriteScope(user, resolveHubScope(input.hub));
+  if (scopeError) return scopeError;
+
+  const vehicle = createVehicle(input);
+  recordAudit(request.headers, user, { action: 'create', entityType: 'vehicle', entityId: vehicle.id, after: vehicle });
+  return NextResponse.json({ vehicle }, { status: 201 });
+}
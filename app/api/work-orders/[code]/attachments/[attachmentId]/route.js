@@ -0,0 +1,58 @@
+import { NextResponse } from 'next/server';
+import { requireRole } from '@/app/lib/session';
+import { checkRecordAccess, notFound } from '@/app/lib/access';
+import { getAttachments, getWorkOrder, readAttachment, removeAttachment } from '@/app/lib/workOrders';
+import { recordAudit } from '@/app/lib/audit';
+
+/**
+ * Download an attachment. Always served as a download, never inline,
+ * so uploaded HTML or SVG can't run in the app's origin.
+ */
+export async function GET(request, { params }) {
+  const { user, error } = await requireRole();
+  if (error) return error;
+
+  const { code, attachmentId } = await params;
+  const accessError = checkRecordAccess(user, getWorkOrder(code), 'Work order');
+  if (accessError) return accessError;
+
+  const attachment = readAttachment(code, attachmentId);
+  if (!attachment) return notFound('Attachment not found');
+
+  return new Response(attachment.data, {
+    headers: {
+      'Content-Type': attachment.contentType,
+      'Content-Length': String(attachment.sizeBytes),
+      'Content-Disposition': `attachment; filename*=UTF-8''${encodeURIComponent(attachment.fileName)}`,
+      'X-Content-Type-Options': 'nosniff',
+    },
+  });
+}
+
+export async function DELETE(request, { params }) {
+  const { user, error } = await requireRole();
+  if (error) return error;
+
+  const { code, attachmentId } = await params;
+  const workOrder = getWorkOrder(code);
+  const accessError = checkRecordAccess(user, workOrder, 'Work order');
+  if (accessError) return accessError;
+
+  if (!workOrder.nextStatuses.length) {
+    return NextResponse.json({ error: `This work order is ${workOrder.status} and can no longer be edited` }, { status: 409 });
+  }
+  const attachment = getAttachments(code).find((candidate) => candidate.id === attachmentId);
+  if (!attachment) {
+    return notFound('Attachment not found');
+  }
+
+  const attachments = removeAttachment(code, attachmentId);
+  recordAudit(request.headers, user, {
+    action: 'delete',
+    entityType: 'work_order_attachment',
+    entityId: `${code}/${attachmentId}`,
+    before: attachment,
+    scope: workOrder,
+  });
+  return NextResponse.json({ attachments });
+}
@@ -0,0 +1,48 @@
+import { NextResponse } from 'next/server';
+import { requireRole } from '@/app/lib/session';
+import { checkRecordAccess } from '@/app/lib/access';
+import { addAttachment, getWorkOrder, validateAttachment } from '@/app/lib/workOrders';
+import { recordAudit } from '@/app/lib/audit';
+
+/**
+ * Upload an attachment as multipart form data (field `file`)
+ */
+export async function POST(request, { params }) {
+  const { user, error } = await requireRole();
+  if (error) return error;
+
+  const { code } = await params;
+  const workOrder = getWorkOrder(code);
+  const accessError = checkRecordAccess(user, workOrder, 'Work order');
+  if (accessError) return accessError;
+
+  if (!workOrder.nextStatuses.length) {
+    return NextResponse.json({ error: `This work order is ${workOrder.status} and can no longer be edited` }, { status: 409 });
+  }
+
+  const form = await request.formData().catch(() => null);
+  const file = form?.get('file');
+  if (!file || typeof file === 'string') {
+    return NextResponse.json({ error: 'Upload a file in the `file` field' }, { status: 400 });
+  }
+
+  const validationError = validateAttachment(workOrder, { fileName: file.name, sizeBytes: file.size });
+  if (validationError) {
+    return NextResponse.json({ error: validationError }, { status: 400 });
+  }
+
+  const attachments = addAttachment(
+    code,
+    { fileName: file.name, contentType: file.type, data: Buffer.from(await file.arrayBuffer()) },
+    user
+  );
+  const attachment = attachments.at(-1);
+  recordAudit(request.headers, user, {
+    action: 'create',
+    entityType: 'work_order_attachment',
+    entityId: `${code}/${attachment.id}`,
+    after: attachment,
+    scope: workOrder,
+  });
+  return NextResponse.json({ attachments }, { status: 201 });
+}
@@ -0,0 +1,79 @@
+import { NextResponse } from 'next/server';
+import { requireRole } from '@/app/lib/session';
+import { checkRecordAccess, notFound } from '@/app/lib/access';
+import {
+  getChecklist,
+  getWorkOrder,
+  removeChecklistItem,
+  updateChecklistItem,
+  validateChecklistItem,
+} from '@/app/lib/workOrders';
+import { recordAudit } from '@/app/lib/audit';
+
+async function loadItem(user, params) {
+  const { code, itemId } = await params;
+  const workOrder = getWorkOrder(code);
+  const accessError = checkRecordAccess(user, workOrder, 'Work order');
+  if (accessError) return { error: accessError };
+
+  if (!workOrder.nextStatuses.length) {
+    return {
+      error: NextResponse.json({ error: `This work order is ${workOrder.status} and can no longer be edited` }, { status: 409 }),
+    };
+  }
+
+  const item = getChecklist(code).find((candidate) => candidate.id === itemId);
+  if (!item) return { error: notFound('Checklist item not found') };
+
+  return { workOrder, item };
+}
+
+/**
+ * Relabel or tick off an item. Body: { label?, done? }
+ */
+export async function PATCH(request, { params }) {
+  const { user, error } = await requireRole();
+  if (error) return error;
+
+  const { workOrder, item, error: itemError } = await loadItem(user, params);
+  if (itemError) return itemError;
+
+  const body = await request.json();
+  const fields = {};
+  if ('label' in body) fields.label = body.label?.trim();
+  if ('done' in body) fields.done = body.done === true;
+
+  const validationError = validateChecklistItem(fields);
+  if (validationError) {
+    return NextResponse.json({ error: validationError }, { status: 400 });
+  }
+
+  const checklist = updateChecklistItem(workOrder.id, item.id, fields, user);
+  recordAudit(request.headers, user, {
+    action: 'update',
+    entityType: 'work_order_checklist_item',
+    entityId: `${workOrder.id}/${item.id}`,
+    before: item,
+    after: checklist.find((candidate) => candidate.id === item.id),
+    scope: workOrder,
+  });
+  return NextResponse.json({ checklist });
+}
+
+export async function DELETE(request, { params }) {
+  const { user, error } = await requireRole();
+  if (error) return error;
+
+  const { workOrder, item, error: itemError } = await loadItem(user, params);
+  if (itemError) return itemError;
+
+  const checklist = removeChecklistItem(workOrder.id, item.id);
+  recordAudit(request.headers, user, {
+    action: 'delete',
+    entityType: 'work_order_checklist_item',
+    entityId: `${workOrder.id}/${item.id}`,
+    before: item,
+    scope: workOrder,
+  });
+  return NextResponse.json({ checklist });
+}
@@ -0,0 +1,41 @@
+import { NextResponse } from 'next/server';
+import { requireRole } from '@/app/lib/session';
+import { checkRecordAccess } from '@/app/lib/access';
+import { addChecklistItem, getWorkOrder, validateChecklistItem } from '@/app/lib/workOrders';
+import { recordAudit } from '@/app/lib/audit';
+
+/**
+ * Add a checklist item. Body: { label }
+ */
+export async function POST(request, { params }) {
+  const { user, error } = await requireRole();
+  if (error) return error;
+
+  const { code } = await params;
+  const workOrder = getWorkOrder(code);
+  const accessError = checkRecordAccess(user, workOrder, 'Work order');
+  if (accessError) return accessError;
+
+  if (!workOrder.nextStatuses.length) {
+    return NextResponse.json({ error: `This work order is ${workOrder.status} and can no longer be edited` }, { status: 409 });
+  }
+
+  const body = await request.json();
+  const label = body.label?.trim();
+
+  const validationError = validateChecklistItem({ label }, workOrder);
+  if (validationError) {
+    return NextResponse.json({ error: validationError }, { status: 400 });
+  }
+
+  const checklist = addChecklistItem(code, label);
+  const item = checklist.at(-1);
+  recordAudit(request.headers, user, {
+    action: 'create',
+    entityType: 'work_order_checklist_item',
+    entityId: `${code}/${item.id}`,
+    after: item,
+    scope: workOrder,
+  });
+  return NextResponse.json({ checklist }, { status: 201 });
+}
@@ -0,0 +1,38 @@
+import { NextResponse } from 'next/server';
+import { requireRole } from '@/app/lib/session';
+import { checkRecordAccess } from '@/app/lib/access';
+import { addComment, getWorkOrder, validateComment } from '@/app/lib/workOrders';
+import { recordAudit } from '@/app/lib/audit';
+
+/**
+ * Post a comment. Closed work orders still take comments.
+ * Body: { body }
+ */
+export async function POST(request, { params }) {
+  const { user, error } = await requireRole();
+  if (error) return error;
+
+  const { code } = await params;
+  const workOrder = getWorkOrder(code);
+  const accessError = checkRecordAccess(user, workOrder, 'Work order');
+  if (accessError) return accessError;
+
+  const body = await request.json();
+  const text = body.body?.trim();
+
+  const validationError = validateComment(text);
+  if (validationError) {
+    return NextResponse.json({ error: validationError }, { status: 400 });
+  }
+
+  const comments = addComment(code, text, user);
+  const comment = comments.at(-1);
+  recordAudit(request.headers, user, {
+    action: 'create',
+    entityType: 'work_order_comment',
+    entityId: `${code}/${comment.id}`,
+    after: comment,
+    scope: workOrder,
+  });
+  return NextResponse.json({ comments }, { status: 201 });
+}
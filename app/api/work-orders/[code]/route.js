@@ -0,0 +1,65 @@
+import { NextResponse } from 'next/server';
+import { requireRole } from '@/app/lib/session';
+import { checkRecordAccess } from '@/app/lib/access';
+import {
+  getAttachments,
+  getChecklist,
+  getComments,
+  getWorkOrder,
+  updateWorkOrder,
+  validateWorkOrder,
+} from '@/app/lib/workOrders';
+import { recordAudit } from '@/app/lib/audit';
+
+export async function GET(request, { params }) {
+  const { user, error } = await requireRole();
+  if (error) return error;
+
+  const { code } = await params;
+  const workOrder = getWorkOrder(code);
+  const accessError = checkRecordAccess(user, workOrder, 'Work order');
+  if (accessError) return accessError;
+
+  return NextResponse.json({
+    workOrder,
+    checklist: getChecklist(code),
+    comments: getComments(code),
+    attachments: getAttachments(code),
+  });
+}
+
+/**
+ * Edit details, reassign or change status.
+ * Body: { title?, description?, priority?, assigneeId?, dueDate?, status? }
+ */
+export async function PATCH(request, { params }) {
+  const { user, error } = await requireRole();
+  if (error) return error;
+
+  const { code } = await params;
+  const workOrder = getWorkOrder(code);
+  const accessError = checkRecordAccess(user, workOrder, 'Work order');
+  if (accessError) return accessError;
+
+  if (!workOrder.nextStatuses.length) {
+    return NextResponse.json({ error: `This work order is ${workOrder.status} and can no longer be edited` }, { status: 409 });
+  }
+
+  const body = await request.json();
+  const fields = {};
+  if ('title' in body) fields.title = body.title?.trim();
+  if ('description' in body) fields.description = body.description?.trim();
+  if ('priority' in body) fields.priority = body.priority;
+  if ('assigneeId' in body) fields.assigneeId = body.assigneeId || null;
+  if ('dueDate' in body) fields.dueDate = body.dueDate || null;
+  if ('status' in body) fields.status = body.status;
+
+  const validationError = validateWorkOrder(fields, workOrder);
+  if (validationError) {
+    return NextResponse.json({ error: validationError }, { status: 400 });
+  }
+
+  const updated = updateWorkOrder(code, fields, user);
+  recordAudit(request.headers, user, { action: 'update', entityType: 'work_order', entityId: code, before: workOrder, after: updated });
+  return NextResponse.json({ workOrder: updated });
+}
@@ -0,0 +1,26 @@
+import { NextResponse } from 'next/server';
+import { requireRole } from '@/app/lib/session';
+import { checkWriteScope } from '@/app/lib/access';
+import { resolveHubScope } from '@/app/lib/hierarchy';
+import { listAssignees, resolveAsset } from '@/app/lib/workOrders';
+
+/**
+ * Users a work order on the given asset can be assigned to
+ * (`?assetType=&assetRef=`)
+ */
+export async function GET(request) {
+  const { user, error } = await requireRole();
+  if (error) return error;
+
+  const { searchParams } = new URL(request.url);
+  const asset = resolveAsset(searchParams.get('assetType'), searchParams.get('assetRef')?.trim());
+  if (!asset) {
+    return NextResponse.json({ error: 'Unknown asset' }, { status: 404 });
+  }
+
+  const scope = resolveHubScope(asset.hub);
+  const scopeError = checkWriteScope(user, scope);
+  if (scopeError) return scopeError;
+
+  return NextResponse.json({ assignees: listAssignees(scope) });
+}
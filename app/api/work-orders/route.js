@@ -0,0 +1,65 @@
+import { NextResponse } from 'next/server';
+import { requireRole } from '@/app/lib/session';
+import { checkWriteScope } from '@/app/lib/access';
+import { resolveHubScope } from '@/app/lib/hierarchy';
+import { createWorkOrder, listWorkOrders, resolveAsset, validateWorkOrder } from '@/app/lib/workOrders';
+import { recordAudit } from '@/app/lib/audit';
+
+export async function GET(request) {
+  const { user, error } = await requireRole();
+  if (error) return error;
+
+  const { searchParams } = new URL(request.url);
+  const page = Math.max(1, parseInt(searchParams.get('page'), 10) || 1);
+  const pageSize = Math.min(100, Math.max(1, parseInt(searchParams.get('pageSize'), 10) || 20));
+  const assignee = searchParams.get('assignee');
+
+  const result = listWorkOrders(user, {
+    q: searchParams.get('q')?.trim() || undefined,
+    status: searchParams.get('status') || undefined,
+    priority: searchParams.get('priority') || undefined,
+    assetType: searchParams.get('assetType') || undefined,
+    assigneeId: assignee === 'me' ? user.id : assignee || undefined,
+    hub: searchParams.get('hub') || undefined,
+    overdue: searchParams.get('overdue') === 'true',
+    page,
+    pageSize,
+  });
+
+  return NextResponse.json(result);
+}
+
+/**
+ * Raise a work order against an asset.
+ * Body: { assetType, assetRef, title, description?, priority, assigneeId?, dueDate?, checklist?: string[] }
+ */
+export async function POST(request) {
+  const { user, error } = await requireRole();
+  if (error) return error;
+
+  const body = await request.json();
+  const input = {
+    assetType: body.assetType,
+    assetRef: body.assetRef?.trim(),
+    title: body.title?.trim(),
+    description: body.description?.trim(),
+    priority: body.priority,
+    assigneeId: body.assigneeId || null,
+    dueDate: body.dueDate || null,
+    checklist: Array.isArray(body.checklist)
+      ? body.checklist.map((label) => String(label).trim()).filter(Boolean)
+      : body.checklist,
+  };
+
+  const validationError = validateWorkOrder(input);
+  if (validationError) {
+    return NextResponse.json({ error: validationError }, { status: 400 });
+  }
+
+  const scopeError = checkWriteScope(user, resolveHubScope(resolveAsset(input.assetType, input.assetRef).hub));
+  if (scopeError) return scopeError;
+
+  const workOrder = createWorkOrder(input, user);
+  recordAudit(request.headers, user, { action: 'create', entityType: 'work_order', entityId: workOrder.id, after: workOrder });
+  return NextResponse.json({ workOrder }, { status: 201 });
+}
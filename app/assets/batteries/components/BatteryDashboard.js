@@ -0,0 +1,113 @@
+"use client";
+
+import { useEffect, useRef, useState } from "react";
+import { useRouter } from "next/navigation";
+import MetricCard from "@/app/components/MetricCard"; // ✅ YOUR METRIC CARD FILE
+import SwapBreakdown from "./SwapBreakdown";
+import SwapTrendChart from "./SwapTrendChart";
+import { useLiveEvents } from "@/app/hooks/useLiveEvents";
+
+// Swaps arrive in bursts from station controllers; reload once per burst
+const REFRESH_DEBOUNCE_MS = 2000;
+
+const formatNumber = (value) => value.toLocaleString("en-US");
+
+export default function BatteryDashboard({ metrics, scopeLabel, canSetTargets }) {
+  const router = useRouter();
+  const [refreshKey, setRefreshKey] = useState(0);
+  const refreshTimer = useRef(null);
+
+  // New swaps in scope re-render the server-computed metrics and reload the trend
+  useLiveEvents(["swap.recorded"], () => {
+    clearTimeout(refreshTimer.current);
+    refreshTimer.current = setTimeout(() => {
+      router.refresh();
+      setRefreshKey((key) => key + 1);
+    }, REFRESH_DEBOUNCE_MS);
+  });
+
+  useEffect(() => () => clearTimeout(refreshTimer.current), []);
+
+  const growth =
+    metrics.growth === null ? undefined : `${metrics.growth >= 0 ? "+" : ""}${metrics.growth.toFixed(1)}%`;
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <main className="p-4 sm:p-6 lg:p-8">
+        <div className="space-y-6">
+
+          {/* PAGE HEADER */}
+          <div className="flex items-center justify-between">
+            <h1 className="text-3xl font-bold text-emerald-700">
+              Battery Swap Dashboard
+            </h1>
+            <svg className="w-8 h-8 text-emerald-600" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M5 8h14M5 8a2 2 0 110-4h14a2 2 0 110 4M5 8v10a2 2 0 002 2h10a2 2 0 002-2V8m-9 4h4" />
+            </svg>
+          </div>
+
+          {/* METRIC CARDS GRID */}
+          <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-5">
+
+            <MetricCard
+              icon={
+                <svg className="text-emerald-700" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M5 8h14M5 8a2 2 0 110-4h14a2 2 0 110 4M5 8v10a2 2 0 002 2h10a2 2 0 002-2V8m-9 4h4" />
+                </svg>
+              }
+              title="Today Swaps"
+              value={formatNumber(metrics.today)}
+              subtitle={scopeLabel}
+            />
+
+            <MetricCard
+              icon={
+                <svg className="text-blue-500" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M13 7h8m0 0v8m0-8l-8 8-4-4-6 6" />
+                </svg>
+              }
+              title="Yesterday"
+              value={formatNumber(metrics.yesterday)}
+              subtitle="Yesterday Growth"
+              trend={growth}
+            />
+
+            <MetricCard
+              icon={
+                <svg className="text-orange-500" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 19v-6a2 2 0 00-2-2H5a2 2 0 00-2 2v6a2 2 0 002 2h2a2 2 0 002-2zm0 0V9a2 2 0 012-2h2a2 2 0 012 2v10m-6 0a2 2 0 002 2h2a2 2 0 002-2m0 0V5a2 2 0 012-2h2a2 2 0 012 2v14a2 2 0 01-2 2h-2a2 2 0 01-2-2z" />
+                </svg>
+              }
+              title="Weekly Avg"
+              value={formatNumber(metrics.weeklyAverage)}
+              subtitle="swaps/day"
+            />
+
+            <MetricCard
+              icon={
+                <svg className="text-purple-500" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 12l2 2 4-4m6 2a9 9 0 11-18 0 9 9 0 0118 0z" />
+                </svg>
+              }
+              title="Target Achievement"
+              value={metrics.target ? `${metrics.targetAchievement}%` : "—"}
+              subtitle={metrics.target ? `Target ${formatNumber(metrics.target)}/day` : "No target set"}
+            />
+
+          </div>
+
+          {/* CIRCLE BREAKDOWN */}
+          <SwapBreakdown
+            breakdownBy={metrics.breakdownBy}
+            rows={metrics.breakdown}
+            canSetTargets={canSetTargets}
+          />
+
+          {/* SWAP TREND */}
+          <SwapTrendChart refreshKey={refreshKey} />
+
+        </div>
+      </main>
+    </div>
+  );
+}
@@ -0,0 +1,39 @@
+'use client';
+
+import Link from 'next/link';
+import { usePathname } from 'next/navigation';
+import { useSession } from 'next-auth/react';
+import { canAccessRoute } from '@/app/utils/permissions';
+
+export default function BatteryTabs() {
+  const pathname = usePathname();
+  const { data: session } = useSession();
+
+  const tabs = [
+    { href: '/assets/batteries', label: 'Swap Dashboard', exact: true },
+    { href: '/assets/batteries/swaps', label: 'Swap Ledger' },
+    { href: '/assets/batteries/inventory', label: 'Inventory' },
+  ].filter((tab) => canAccessRoute(session?.user, tab.href));
+
+  const isActive = (tab) => {
+    return tab.exact ? pathname === tab.href : pathname === tab.href || pathname?.startsWith(tab.href + '/');
+  };
+
+  return (
+    <div className="flex items-center gap-2 mb-4 sm:mb-6">
+      {tabs.map((tab) => (
+        <Link
+          key={tab.href}
+          href={tab.href}
+          className={`px-3 sm:px-4 py-1.5 sm:py-2 text-xs sm:text-sm font-medium rounded-full border transition-colors ${
+            isActive(tab)
+              ? 'bg-emerald-600 text-white border-emerald-600'
+              : 'bg-white text-gray-600 border-gray-200 hover:border-emerald-200 hover:text-emerald-700'
+          }`}
+        >
+          {tab.label}
+        </Link>
+      ))}
+    </div>
+  );
+}
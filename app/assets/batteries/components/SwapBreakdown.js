@@ -0,0 +1,115 @@
+"use client";
+
+import { useState } from "react";
+import { useRouter } from "next/navigation";
+
+const formatNumber = (value) => value.toLocaleString("en-US");
+
+// Today's swaps per circle (or area for circle heads), with each circle's
+// progress against its daily target. Targets are editable in place for
+// users allowed to set them.
+export default function SwapBreakdown({ breakdownBy, rows, canSetTargets }) {
+  const router = useRouter();
+  const [editing, setEditing] = useState(null);
+  const [value, setValue] = useState("");
+  const [error, setError] = useState("");
+  const [saving, setSaving] = useState(false);
+
+  const startEditing = (row) => {
+    setEditing(row.code);
+    setValue(row.target ?? "");
+    setError("");
+  };
+
+  const saveTarget = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setError("");
+
+    try {
+      const res = await fetch("/api/swaps/targets", {
+        method: "PUT",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ circle: editing, dailyTarget: value === "" ? null : Number(value) }),
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || "Failed to save target");
+
+      setEditing(null);
+      router.refresh();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="p-6 bg-white rounded-xl shadow border">
+      <h2 className="text-xl font-semibold mb-4 text-gray-700">
+        {breakdownBy === "area" ? "Area Breakdown" : "Circle Breakdown"}
+      </h2>
+
+      {error && (
+        <div className="mb-3 p-3 bg-red-50 border border-red-200 rounded-lg">
+          <p className="text-sm text-red-800">{error}</p>
+        </div>
+      )}
+
+      <div className="space-y-3 text-gray-800">
+        {rows.map((row) => (
+          <div key={row.code}>
+            <div className="flex flex-wrap items-center justify-between gap-2">
+              <p>
+                {row.name}: <b>{formatNumber(row.swaps)} swaps</b>
+              </p>
+
+              {breakdownBy === "circle" && editing !== row.code && (
+                <div className="flex items-center gap-2 text-sm text-gray-500">
+                  <span>
+                    {row.target ? `${row.achievement}% of ${formatNumber(row.target)}/day` : "No target set"}
+                  </span>
+                  {canSetTargets && (
+                    <button onClick={() => startEditing(row)} className="text-emerald-600 hover:text-emerald-700 font-medium">
+                      Edit
+                    </button>
+                  )}
+                </div>
+              )}
+
+              {editing === row.code && (
+                <form onSubmit={saveTarget} className="flex items-center gap-2 text-sm">
+                  <input
+                    type="number"
+                    min={1}
+                    value={value}
+                    onChange={(e) => setValue(e.target.value)}
+                    placeholder="No target"
+                    aria-label={`Daily target for ${row.name}`}
+                    className="w-28 px-2 py-1 border border-gray-300 rounded-lg focus:ring-2 focus:ring-emerald-500 focus:border-emerald-500"
+                  />
+                  <span className="text-gray-500">/day</span>
+                  <button type="submit" disabled={saving} className="text-emerald-600 hover:text-emerald-700 font-medium disabled:opacity-50">
+                    Save
+                  </button>
+                  <button type="button" onClick={() => setEditing(null)} className="text-gray-500 hover:text-gray-700">
+                    Cancel
+                  </button>
+                </form>
+              )}
+            </div>
+
+            {row.target && (
+              <div className="mt-1 h-1.5 bg-gray-100 rounded-full overflow-hidden">
+                <div className="h-full bg-emerald-500 rounded-full" style={{ width: `${Math.min(100, row.achievement)}%` }}></div>
+              </div>
+            )}
+          </div>
+        ))}
+        {rows.length === 0 && (
+          <p className="text-gray-500">No swaps recorded today.</p>
+        )}
+      </div>
+    </div>
+  );
+}
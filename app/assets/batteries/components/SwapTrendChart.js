@@ -0,0 +1,256 @@
+"use client";
+
+import { useEffect, useState } from "react";
+
+const WINDOWS = [7, 30, 90];
+const COLORS = ["#059669", "#3b82f6", "#f97316", "#8b5cf6", "#ec4899", "#94a3b8"];
+
+// Chart geometry in SVG user units; the SVG scales to its container
+const WIDTH = 800;
+const HEIGHT = 260;
+const PAD = { top: 12, right: 12, bottom: 28, left: 44 };
+const PLOT_WIDTH = WIDTH - PAD.left - PAD.right;
+const PLOT_HEIGHT = HEIGHT - PAD.top - PAD.bottom;
+
+const formatNumber = (value) => value.toLocaleString("en-US");
+
+const formatDay = (day) =>
+  new Date(`${day}T00:00:00Z`).toLocaleDateString("en-IN", { day: "numeric", month: "short", timeZone: "UTC" });
+
+// Axis maximum split into four ticks of 1, 2 or 5 × a power of ten
+function niceMax(value) {
+  const rawStep = Math.max(1, value / 4);
+  const magnitude = 10 ** Math.floor(Math.log10(rawStep));
+  const step = [1, 2, 5, 10].find((m) => m * magnitude >= rawStep);
+  return step * magnitude * 4;
+}
+
+function change(current, previous) {
+  if (!previous) return null;
+  return ((current - previous) / previous) * 100;
+}
+
+/**
+ * `refreshKey` reloads the trend when it changes (e.g. on a live swap event)
+ */
+export default function SwapTrendChart({ refreshKey = 0 }) {
+  const [days, setDays] = useState(30);
+  const [trend, setTrend] = useState(null);
+  const [error, setError] = useState("");
+  const [hovered, setHovered] = useState(null);
+
+  useEffect(() => {
+    fetch(`/api/swaps/trend?days=${days}`)
+      .then(async (res) => {
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || "Failed to load swap trend");
+        setTrend(data);
+        setError("");
+      })
+      .catch((err) => setError(err.message));
+  }, [days, refreshKey]);
+
+  const points = trend?.points ?? [];
+  const step = points.length ? PLOT_WIDTH / points.length : PLOT_WIDTH;
+  const maxValue = niceMax(
+    Math.max(trend?.target || 0, ...points.map((point) => Math.max(point.total, point.previous)))
+  );
+  const y = (value) => PAD.top + PLOT_HEIGHT - (value / maxValue) * PLOT_HEIGHT;
+  const xCenter = (i) => PAD.left + step * i + step / 2;
+  const labelEvery = days <= 7 ? 1 : days <= 30 ? 5 : 15;
+  const periodChange = trend ? change(trend.total, trend.previousTotal) : null;
+  const hoveredPoint = hovered === null ? null : points[hovered];
+
+  return (
+    <div className="p-6 bg-white rounded-xl shadow border">
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3 mb-4">
+        <div>
+          <h2 className="text-xl font-semibold text-gray-700">{days}-Day Swap Trend</h2>
+          {trend && (
+            <p className="text-sm text-gray-500">
+              {formatNumber(trend.total)} swaps
+              {periodChange !== null && (
+                <span className={periodChange >= 0 ? "text-emerald-600" : "text-red-600"}>
+                  {" "}({periodChange >= 0 ? "+" : ""}{periodChange.toFixed(1)}%)
+                </span>
+              )}
+              {" "}vs {formatNumber(trend.previousTotal)} in the previous {days} days
+            </p>
+          )}
+        </div>
+        <div className="flex items-center gap-1 self-start">
+          {WINDOWS.map((window) => (
+            <button
+              key={window}
+              onClick={() => setDays(window)}
+              className={`px-3 py-1.5 text-xs font-medium rounded-full border transition-colors ${
+                days === window
+                  ? "bg-emerald-600 text-white border-emerald-600"
+                  : "bg-white text-gray-600 border-gray-200 hover:border-emerald-200 hover:text-emerald-700"
+              }`}
+            >
+              {window} days
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {error && (
+        <div className="mb-3 p-3 bg-red-50 border border-red-200 rounded-lg">
+          <p className="text-sm text-red-800">{error}</p>
+        </div>
+      )}
+
+      {!trend ? (
+        <div className="h-64 bg-gray-100 rounded-lg flex items-center justify-center text-gray-500">
+          Loading...
+        </div>
+      ) : (
+        <>
+          <div className="relative" onMouseLeave={() => setHovered(null)}>
+            <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} className="w-full h-auto" role="img" aria-label={`Daily swaps over the last ${days} days`}>
+              {/* Y axis grid */}
+              {[0, 0.25, 0.5, 0.75, 1].map((fraction) => (
+                <g key={fraction}>
+                  <line
+                    x1={PAD.left}
+                    x2={WIDTH - PAD.right}
+                    y1={y(maxValue * fraction)}
+                    y2={y(maxValue * fraction)}
+                    stroke="#e5e7eb"
+                  />
+                  <text x={PAD.left - 6} y={y(maxValue * fraction) + 4} textAnchor="end" fontSize="11" fill="#6b7280">
+                    {formatNumber(maxValue * fraction)}
+                  </text>
+                </g>
+              ))}
+
+              {hovered !== null && (
+                <rect x={PAD.left + step * hovered} y={PAD.top} width={step} height={PLOT_HEIGHT} fill="#ecfdf5" />
+              )}
+
+              {/* Stacked daily bars, one segment per circle/area */}
+              {points.map((point, i) => {
+                let stacked = 0;
+                return (
+                  <g key={point.date}>
+                    {trend.series.map((series, s) => {
+                      const value = point.byGroup[series.code] || 0;
+                      if (!value) return null;
+                      const top = y(stacked + value);
+                      const height = y(stacked) - top;
+                      stacked += value;
+                      return (
+                        <rect
+                          key={series.code}
+                          x={xCenter(i) - step * 0.35}
+                          y={top}
+                          width={step * 0.7}
+                          height={height}
+                          fill={COLORS[s % COLORS.length]}
+                        />
+                      );
+                    })}
+                  </g>
+                );
+              })}
+
+              {/* Previous period, aligned day by day */}
+              <polyline
+                points={points.map((point, i) => `${xCenter(i)},${y(point.previous)}`).join(" ")}
+                fill="none"
+                stroke="#9ca3af"
+                strokeWidth="2"
+                strokeDasharray="4 3"
+              />
+
+              {trend.target && (
+                <g>
+                  <line x1={PAD.left} x2={WIDTH - PAD.right} y1={y(trend.target)} y2={y(trend.target)} stroke="#dc2626" strokeDasharray="6 4" />
+                  <text x={WIDTH - PAD.right} y={y(trend.target) - 4} textAnchor="end" fontSize="11" fill="#dc2626">
+                    Target {formatNumber(trend.target)}/day
+                  </text>
+                </g>
+              )}
+
+              {/* X axis labels, counted back from today so today is always labelled */}
+              {points.map((point, i) =>
+                (points.length - 1 - i) % labelEvery === 0 ? (
+                  <text key={point.date} x={xCenter(i)} y={HEIGHT - 8} textAnchor="middle" fontSize="11" fill="#6b7280">
+                    {formatDay(point.date)}
+                  </text>
+                ) : null
+              )}
+
+              {/* Hover targets */}
+              {points.map((point, i) => (
+                <rect
+                  key={point.date}
+                  x={PAD.left + step * i}
+                  y={PAD.top}
+                  width={step}
+                  height={PLOT_HEIGHT}
+                  fill="transparent"
+                  onMouseEnter={() => setHovered(i)}
+                />
+              ))}
+            </svg>
+
+            {hoveredPoint && (
+              <div
+                className="absolute top-0 z-10 pointer-events-none -translate-x-1/2 min-w-[11rem] p-3 bg-white border border-gray-200 rounded-lg shadow-lg text-xs"
+                style={{ left: `${Math.min(85, Math.max(15, (xCenter(hovered) / WIDTH) * 100))}%` }}
+              >
+                <p className="font-semibold text-gray-900 mb-1">{formatDay(hoveredPoint.date)}</p>
+                {trend.series.map((series, s) => (
+                  <p key={series.code} className="flex items-center justify-between gap-3 text-gray-700">
+                    <span className="flex items-center gap-1.5">
+                      <span className="w-2 h-2 rounded-sm" style={{ backgroundColor: COLORS[s % COLORS.length] }}></span>
+                      {series.name}
+                    </span>
+                    <span>{formatNumber(hoveredPoint.byGroup[series.code] || 0)}</span>
+                  </p>
+                ))}
+                <p className="flex justify-between gap-3 mt-1 pt-1 border-t border-gray-100 font-semibold text-gray-900">
+                  <span>Total</span>
+                  <span>{formatNumber(hoveredPoint.total)}</span>
+                </p>
+                <p className="flex justify-between gap-3 text-gray-500">
+                  <span>{formatDay(hoveredPoint.previousDate)} (prev.)</span>
+                  <span>{formatNumber(hoveredPoint.previous)}</span>
+                </p>
+                {trend.target && (
+                  <p className="flex justify-between gap-3 text-gray-500">
+                    <span>Of target</span>
+                    <span>{Math.round((hoveredPoint.total / trend.target) * 100)}%</span>
+                  </p>
+                )}
+              </div>
+            )}
+          </div>
+
+          {/* Legend */}
+          <div className="flex flex-wrap items-center gap-x-4 gap-y-2 mt-3 text-xs text-gray-600">
+            {trend.series.map((series, s) => (
+              <span key={series.code} className="flex items-center gap-1.5">
+                <span className="w-3 h-3 rounded-sm" style={{ backgroundColor: COLORS[s % COLORS.length] }}></span>
+                {series.name}
+              </span>
+            ))}
+            <span className="flex items-center gap-1.5">
+              <span className="w-4 border-t-2 border-dashed border-gray-400"></span>
+              Previous {days} days
+            </span>
+            {trend.target && (
+              <span className="flex items-center gap-1.5">
+                <span className="w-4 border-t-2 border-dashed border-red-600"></span>
+                Target
+              </span>
+            )}
+            {trend.series.length === 0 && <span>No swaps in this period.</span>}
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,30 @@
+// Option lists for battery forms and filters
+
+export const CHEMISTRY_OPTIONS = ['LFP', 'NMC', 'LTO'];
+
+export const LIFECYCLE_OPTIONS = [
+  { value: 'in_service', label: 'In Service' },
+  { value: 'charging', label: 'Charging' },
+  { value: 'maintenance', label: 'Maintenance' },
+  { value: 'quarantined', label: 'Quarantined' },
+  { value: 'retired', label: 'Retired' },
+];
+
+export const LOCATION_OPTIONS = [
+  { value: 'vehicle', label: 'Vehicle' },
+  { value: 'station', label: 'Station Slot' },
+  { value: 'warehouse', label: 'Warehouse' },
+];
+
+export function describeLocation(battery, hubNames = {}) {
+  switch (battery.locationType) {
+    case 'vehicle':
+      return `Vehicle ${battery.locationRef}`;
+    case 'station':
+      return `Station slot ${battery.locationRef}`;
+    case 'warehouse':
+      return `${hubNames[battery.locationRef] || battery.locationRef} warehouse`;
+    default:
+      return battery.locationRef;
+  }
+}
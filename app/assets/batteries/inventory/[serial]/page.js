@@ -0,0 +1,247 @@
+'use client';
+
+import { use, useCallback, useEffect, useState } from 'react';
+import Link from 'next/link';
+import { useSession } from 'next-auth/react';
+import StatusBadge from '@/app/components/StatusBadge';
+import { useHierarchy } from '@/app/hooks/useHierarchy';
+import { hasHubAccess } from '@/app/utils/auth';
+import { LIFECYCLE_OPTIONS, LOCATION_OPTIONS, describeLocation } from '../../components/batteryOptions';
+
+const inputClass =
+  'w-full px-3 py-2 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-emerald-500 focus:border-emerald-500 transition-colors';
+const labelClass = 'block text-xs font-medium text-gray-700 mb-1';
+
+const EVENT_LABELS = {
+  registered: 'Registered',
+  installed: 'Installed',
+  moved: 'Moved',
+  state_changed: 'State changed',
+  retired: 'Retired',
+};
+
+function Detail({ label, value, mono }) {
+  return (
+    <div>
+      <dt className="text-xs font-medium text-gray-500 uppercase tracking-wide">{label}</dt>
+      <dd className={`mt-1 text-sm text-gray-900 ${mono ? 'font-mono' : ''}`}>{value ?? '—'}</dd>
+    </div>
+  );
+}
+
+async function send(url, method, body) {
+  const res = await fetch(url, {
+    method,
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+  });
+  const data = await res.json();
+  if (!res.ok) throw new Error(data.error || 'Request failed');
+  return data;
+}
+
+export default function BatteryDetailPage({ params }) {
+  const { serial } = use(params);
+  const { data: session } = useSession();
+  const { hierarchy } = useHierarchy();
+  const [battery, setBattery] = useState(null);
+  const [history, setHistory] = useState([]);
+  const [error, setError] = useState('');
+  const [health, setHealth] = useState(null);
+  const [transfer, setTransfer] = useState(null);
+
+  const load = useCallback(() => {
+    fetch(`/api/batteries/${serial}`)
+      .then(async (res) => {
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || 'Failed to load battery');
+        setBattery(data.battery);
+        setHistory(data.history);
+      })
+      .catch((err) => setError(err.message));
+  }, [serial]);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  const hubs = Object.keys(hierarchy.hubs).filter((hub) => hasHubAccess(session?.user, hub, hierarchy));
+
+  const run = async (action) => {
+    setError('');
+    try {
+      await action();
+      setHealth(null);
+      setTransfer(null);
+      load();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const saveHealth = (e) => {
+    e.preventDefault();
+    run(() =>
+      send(`/api/batteries/${serial}`, 'PATCH', {
+        stateOfHealth: Number(health.stateOfHealth),
+        cycleCount: Number(health.cycleCount),
+      })
+    );
+  };
+
+  const saveTransfer = (e) => {
+    e.preventDefault();
+    run(() => send(`/api/batteries/${serial}/transfer`, 'POST', transfer));
+  };
+
+  const retired = battery?.lifecycleState === 'retired';
+
+  return (
+    <div>
+      <Link href="/assets/batteries/inventory" className="text-sm text-emerald-600 hover:text-emerald-700 font-medium">
+        ← Back to inventory
+      </Link>
+
+      {error && (
+        <div className="mt-4 p-3 bg-red-50 border border-red-200 rounded-lg">
+          <p className="text-sm text-red-800">{error}</p>
+        </div>
+      )}
+
+      {battery && (
+        <>
+          <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3 mt-3 mb-4 sm:mb-6">
+            <div className="flex items-center gap-3">
+              <h2 className="text-base sm:text-lg md:text-xl font-semibold text-gray-900 font-mono">{battery.serial}</h2>
+              <StatusBadge status={battery.lifecycleState} size="sm" />
+            </div>
+            {!retired && (
+              <div className="flex items-center gap-2">
+                <button
+                  onClick={() => setHealth({ stateOfHealth: battery.stateOfHealth, cycleCount: battery.cycleCount })}
+                  className="px-4 py-2 text-sm font-medium text-gray-700 bg-white border border-gray-300 rounded-lg hover:bg-gray-50 transition-colors"
+                >
+                  Update Health
+                </button>
+                <button
+                  onClick={() =>
+                    setTransfer({
+                      locationType: battery.locationType,
+                      locationRef: battery.locationRef,
+                      lifecycleState: battery.lifecycleState,
+                      note: '',
+                    })
+                  }
+                  className="px-4 py-2 text-sm font-medium text-white bg-emerald-600 rounded-lg hover:bg-emerald-700 transition-colors"
+                >
+                  Move / Change State
+                </button>
+              </div>
+            )}
+          </div>
+
+          <dl className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-4 sm:gap-6 mb-6">
+            <Detail label="Chemistry" value={battery.chemistry} />
+            <Detail label="Rated Capacity" value={`${battery.ratedCapacityKwh} kWh`} />
+            <Detail label="State of Health" value={`${battery.stateOfHealth}%`} />
+            <Detail label="Cycle Count" value={battery.cycleCount.toLocaleString()} />
+            <Detail label="Location" value={describeLocation(battery, hierarchy.names.hub)} />
+            <Detail label="Hub" value={hierarchy.names.hub[battery.hub] || battery.hub} />
+          </dl>
+
+          {health && (
+            <form onSubmit={saveHealth} className="mb-6 p-4 border border-gray-200 rounded-lg grid grid-cols-1 sm:grid-cols-3 gap-3 items-end">
+              <div>
+                <label htmlFor="stateOfHealth" className={labelClass}>State of Health (%)</label>
+                <input id="stateOfHealth" type="number" min={0} max={100} step="0.1" value={health.stateOfHealth} onChange={(e) => setHealth({ ...health, stateOfHealth: e.target.value })} className={inputClass} />
+              </div>
+              <div>
+                <label htmlFor="cycleCount" className={labelClass}>Cycle Count</label>
+                <input id="cycleCount" type="number" min={0} value={health.cycleCount} onChange={(e) => setHealth({ ...health, cycleCount: e.target.value })} className={inputClass} />
+              </div>
+              <div className="flex items-center gap-2">
+                <button type="submit" className="px-4 py-2 text-sm font-medium text-white bg-emerald-600 rounded-lg hover:bg-emerald-700">Save</button>
+                <button type="button" onClick={() => setHealth(null)} className="px-3 py-2 text-sm text-gray-600 hover:text-gray-900">Cancel</button>
+              </div>
+            </form>
+          )}
+
+          {transfer && (
+            <form onSubmit={saveTransfer} className="mb-6 p-4 border border-gray-200 rounded-lg grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-3 items-end">
+              <div>
+                <label htmlFor="locationType" className={labelClass}>Location</label>
+                <select
+                  id="locationType"
+                  value={transfer.locationType}
+                  onChange={(e) => setTransfer({ ...transfer, locationType: e.target.value, locationRef: '' })}
+                  className={inputClass}
+                >
+                  {LOCATION_OPTIONS.map((option) => (
+                    <option key={option.value} value={option.value}>{option.label}</option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label htmlFor="locationRef" className={labelClass}>
+                  {transfer.locationType === 'vehicle' ? 'Vehicle Asset ID' : transfer.locationType === 'station' ? 'Station Slot' : 'Warehouse'}
+                </label>
+                {transfer.locationType === 'warehouse' ? (
+                  <select id="locationRef" value={transfer.locationRef} onChange={(e) => setTransfer({ ...transfer, locationRef: e.target.value })} required className={inputClass}>
+                    <option value="">Select hub</option>
+                    {hubs.map((hub) => (
+                      <option key={hub} value={hub}>{hierarchy.names.hub[hub] || hub}</option>
+                    ))}
+                  </select>
+                ) : (
+                  <input
+                    id="locationRef"
+                    value={transfer.locationRef}
+                    onChange={(e) => setTransfer({ ...transfer, locationRef: e.target.value })}
+                    required
+                    placeholder={transfer.locationType === 'vehicle' ? 'EV-2024-001' : 'CS-001/2'}
+                    className={inputClass}
+                  />
+                )}
+              </div>
+              <div>
+                <label htmlFor="lifecycleState" className={labelClass}>Lifecycle State</label>
+                <select id="lifecycleState" value={transfer.lifecycleState} onChange={(e) => setTransfer({ ...transfer, lifecycleState: e.target.value })} className={inputClass}>
+                  {LIFECYCLE_OPTIONS.map((option) => (
+                    <option key={option.value} value={option.value}>{option.label}</option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label htmlFor="note" className={labelClass}>Note</label>
+                <input id="note" value={transfer.note} onChange={(e) => setTransfer({ ...transfer, note: e.target.value })} className={inputClass} />
+              </div>
+              <div className="flex items-center gap-2">
+                <button type="submit" className="px-4 py-2 text-sm font-medium text-white bg-emerald-600 rounded-lg hover:bg-emerald-700">Save</button>
+                <button type="button" onClick={() => setTransfer(null)} className="px-3 py-2 text-sm text-gray-600 hover:text-gray-900">Cancel</button>
+              </div>
+            </form>
+          )}
+
+          <h3 className="text-sm sm:text-base font-semibold text-gray-900 mb-3">Custody History</h3>
+          <ol className="border-l border-gray-200 ml-2 space-y-4">
+            {history.map((entry) => (
+              <li key={entry.id} className="ml-4 relative">
+                <span className="absolute -left-[1.3rem] top-1.5 w-2.5 h-2.5 bg-emerald-500 rounded-full border-2 border-white"></span>
+                <div className="flex flex-wrap items-center gap-2">
+                  <span className="text-sm font-medium text-gray-900">{EVENT_LABELS[entry.event] || entry.event}</span>
+                  <StatusBadge status={entry.lifecycleState} size="sm" />
+                </div>
+                <p className="text-xs text-gray-600 mt-0.5">{describeLocation(entry, hierarchy.names.hub)}</p>
+                {entry.note && <p className="text-xs text-gray-500 mt-0.5 italic">{entry.note}</p>}
+                <p className="text-xs text-gray-400 mt-0.5">
+                  {new Date(`${entry.createdAt}Z`).toLocaleString()}
+                  {entry.actorName && ` • ${entry.actorName}`}
+                </p>
+              </li>
+            ))}
+          </ol>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,116 @@
+'use client';
+
+import { useState } from 'react';
+import Link from 'next/link';
+import { useRouter } from 'next/navigation';
+import { useSession } from 'next-auth/react';
+import { useHierarchy } from '@/app/hooks/useHierarchy';
+import { hasHubAccess } from '@/app/utils/auth';
+import { CHEMISTRY_OPTIONS } from '../../components/batteryOptions';
+
+const inputClass =
+  'w-full px-3 sm:px-4 py-2.5 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-emerald-500 focus:border-emerald-500 transition-colors';
+const labelClass = 'block text-xs sm:text-sm font-medium text-gray-700 mb-1.5';
+
+export default function NewBatteryPage() {
+  const router = useRouter();
+  const { data: session } = useSession();
+  const { hierarchy } = useHierarchy();
+  const [form, setForm] = useState({
+    serial: '',
+    chemistry: 'LFP',
+    ratedCapacityKwh: '',
+    stateOfHealth: 100,
+    cycleCount: 0,
+    hub: '',
+  });
+  const [error, setError] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  const hubs = Object.keys(hierarchy.hubs).filter((hub) => hasHubAccess(session?.user, hub, hierarchy));
+  const update = (field, value) => setForm((prev) => ({ ...prev, [field]: value }));
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setSaving(true);
+
+    try {
+      const res = await fetch('/api/batteries', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(form),
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Failed to register battery');
+
+      router.push(`/assets/batteries/inventory/${data.battery.serial}`);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div>
+      <Link href="/assets/batteries/inventory" className="text-sm text-emerald-600 hover:text-emerald-700 font-medium">
+        ← Back to inventory
+      </Link>
+      <h2 className="text-base sm:text-lg md:text-xl font-semibold text-gray-900 mt-3 mb-1">Register Battery</h2>
+      <p className="text-xs sm:text-sm text-gray-500 mb-4 sm:mb-6">New packs start in the selected hub&apos;s warehouse.</p>
+
+      <form onSubmit={handleSubmit} className="space-y-4 max-w-2xl">
+        {error && (
+          <div className="p-3 bg-red-50 border border-red-200 rounded-lg">
+            <p className="text-sm text-red-800">{error}</p>
+          </div>
+        )}
+
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+          <div>
+            <label htmlFor="serial" className={labelClass}>Serial Number</label>
+            <input id="serial" value={form.serial} onChange={(e) => update('serial', e.target.value)} required className={`${inputClass} font-mono uppercase`} />
+          </div>
+          <div>
+            <label htmlFor="chemistry" className={labelClass}>Chemistry</label>
+            <select id="chemistry" value={form.chemistry} onChange={(e) => update('chemistry', e.target.value)} className={inputClass}>
+              {CHEMISTRY_OPTIONS.map((chemistry) => (
+                <option key={chemistry} value={chemistry}>{chemistry}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label htmlFor="ratedCapacityKwh" className={labelClass}>Rated Capacity (kWh)</label>
+            <input id="ratedCapacityKwh" type="number" min={0} step="0.1" value={form.ratedCapacityKwh} onChange={(e) => update('ratedCapacityKwh', e.target.value)} required className={inputClass} />
+          </div>
+          <div>
+            <label htmlFor="hub" className={labelClass}>Hub</label>
+            <select id="hub" value={form.hub} onChange={(e) => update('hub', e.target.value)} required className={inputClass}>
+              <option value="">Select hub</option>
+              {hubs.map((hub) => (
+                <option key={hub} value={hub}>{hierarchy.names.hub[hub] || hub}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label htmlFor="stateOfHealth" className={labelClass}>State of Health (%)</label>
+            <input id="stateOfHealth" type="number" min={0} max={100} step="0.1" value={form.stateOfHealth} onChange={(e) => update('stateOfHealth', e.target.value)} className={inputClass} />
+          </div>
+          <div>
+            <label htmlFor="cycleCount" className={labelClass}>Cycle Count</label>
+            <input id="cycleCount" type="number" min={0} value={form.cycleCount} onChange={(e) => update('cycleCount', e.target.value)} className={inputClass} />
+          </div>
+        </div>
+
+        <button
+          type="submit"
+          disabled={saving}
+          className="px-5 py-2.5 bg-emerald-600 text-white rounded-lg text-sm font-semibold hover:bg-emerald-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          {saving ? 'Saving...' : 'Register Battery'}
+        </button>
+      </form>
+    </div>
+  );
+}
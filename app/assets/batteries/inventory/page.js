@@ -0,0 +1,151 @@
+'use client';
+
+import { useEffect, useState } from 'react';
+import Link from 'next/link';
+import { useRouter } from 'next/navigation';
+import ExportButton from '@/app/components/ExportButton';
+import StatusBadge from '@/app/components/StatusBadge';
+import { useHierarchy } from '@/app/hooks/useHierarchy';
+import { LIFECYCLE_OPTIONS, LOCATION_OPTIONS, describeLocation } from '../components/batteryOptions';
+
+const PAGE_SIZE = 20;
+
+export default function BatteryInventoryPage() {
+  const router = useRouter();
+  const { hierarchy } = useHierarchy();
+  const [filters, setFilters] = useState({ q: '', lifecycleState: '', locationType: '', page: 1 });
+  const [search, setSearch] = useState('');
+  const [result, setResult] = useState({ batteries: [], total: 0 });
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    const query = new URLSearchParams({ page: filters.page, pageSize: PAGE_SIZE });
+    if (filters.q) query.set('q', filters.q);
+    if (filters.lifecycleState) query.set('lifecycleState', filters.lifecycleState);
+    if (filters.locationType) query.set('locationType', filters.locationType);
+
+    fetch(`/api/batteries?${query}`)
+      .then((res) => (res.ok ? res.json() : Promise.reject(new Error('Failed to load batteries'))))
+      .then((data) => setResult(data))
+      .catch((err) => setError(err.message))
+      .finally(() => setLoading(false));
+  }, [filters]);
+
+  const updateFilter = (field, value) => setFilters((prev) => ({ ...prev, [field]: value, page: 1 }));
+  const totalPages = Math.max(1, Math.ceil(result.total / PAGE_SIZE));
+
+  const selectClass =
+    'px-3 py-2 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-emerald-500 focus:border-emerald-500';
+
+  return (
+    <div>
+      <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-3 mb-4 sm:mb-6">
+        <form
+          onSubmit={(e) => {
+            e.preventDefault();
+            updateFilter('q', search.trim());
+          }}
+          className="flex flex-1 flex-wrap items-center gap-2"
+        >
+          <input
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+            placeholder="Search serial or location"
+            className="flex-1 min-w-[12rem] px-3 py-2 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-emerald-500 focus:border-emerald-500"
+          />
+          <select value={filters.lifecycleState} onChange={(e) => updateFilter('lifecycleState', e.target.value)} className={selectClass}>
+            <option value="">All states</option>
+            {LIFECYCLE_OPTIONS.map((option) => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+          <select value={filters.locationType} onChange={(e) => updateFilter('locationType', e.target.value)} className={selectClass}>
+            <option value="">All locations</option>
+            {LOCATION_OPTIONS.map((option) => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+        </form>
+        <div className="flex items-center gap-2">
+          <ExportButton report="batteries" filters={filters} />
+          <Link
+            href="/assets/batteries/inventory/new"
+            className="px-4 py-2 text-sm font-medium text-white bg-emerald-600 rounded-lg hover:bg-emerald-700 transition-colors whitespace-nowrap text-center"
+          >
+            Register Battery
+          </Link>
+        </div>
+      </div>
+
+      {error && (
+        <div className="mb-4 p-3 bg-red-50 border border-red-200 rounded-lg">
+          <p className="text-sm text-red-800">{error}</p>
+        </div>
+      )}
+
+      {loading ? (
+        <p className="text-sm text-gray-500 py-8 text-center">Loading...</p>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-xs font-medium text-gray-500 uppercase tracking-wide border-b border-gray-200">
+                <th className="py-2 pr-4">Serial</th>
+                <th className="py-2 pr-4 hidden sm:table-cell">Chemistry</th>
+                <th className="py-2 pr-4 hidden md:table-cell text-right">SoH</th>
+                <th className="py-2 pr-4 hidden md:table-cell text-right">Cycles</th>
+                <th className="py-2 pr-4 hidden lg:table-cell">Location</th>
+                <th className="py-2">State</th>
+              </tr>
+            </thead>
+            <tbody>
+              {result.batteries.map((battery) => (
+                <tr
+                  key={battery.serial}
+                  onClick={() => router.push(`/assets/batteries/inventory/${battery.serial}`)}
+                  className="border-b border-gray-100 hover:bg-emerald-50/50 cursor-pointer transition-colors"
+                >
+                  <td className="py-3 pr-4 font-mono font-semibold text-gray-900">{battery.serial}</td>
+                  <td className="py-3 pr-4 hidden sm:table-cell text-gray-700">
+                    {battery.chemistry} • {battery.ratedCapacityKwh} kWh
+                  </td>
+                  <td className="py-3 pr-4 hidden md:table-cell text-right text-gray-700">{battery.stateOfHealth}%</td>
+                  <td className="py-3 pr-4 hidden md:table-cell text-right text-gray-700">{battery.cycleCount.toLocaleString()}</td>
+                  <td className="py-3 pr-4 hidden lg:table-cell text-gray-600">{describeLocation(battery, hierarchy.names.hub)}</td>
+                  <td className="py-3">
+                    <StatusBadge status={battery.lifecycleState} size="sm" />
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {result.batteries.length === 0 && (
+            <p className="text-sm text-gray-500 py-8 text-center">No batteries found.</p>
+          )}
+        </div>
+      )}
+
+      <div className="flex items-center justify-between mt-4 text-xs sm:text-sm text-gray-600">
+        <span>{result.total} batter{result.total === 1 ? 'y' : 'ies'}</span>
+        <div className="flex items-center gap-2">
+          <button
+            onClick={() => setFilters((prev) => ({ ...prev, page: prev.page - 1 }))}
+            disabled={filters.page <= 1}
+            className="px-3 py-1.5 border border-gray-300 rounded-lg hover:bg-gray-50 disabled:opacity-40 disabled:cursor-not-allowed"
+          >
+            Previous
+          </button>
+          <span>Page {filters.page} of {totalPages}</span>
+          <button
+            onClick={() => setFilters((prev) => ({ ...prev, page: prev.page + 1 }))}
+            disabled={filters.page >= totalPages}
+            className="px-3 py-1.5 border border-gray-300 rounded-lg hover:bg-gray-50 disabled:opacity-40 disabled:cursor-not-allowed"
+          >
+            Next
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
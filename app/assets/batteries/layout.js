@@ -0,0 +1,10 @@
+import BatteryTabs from './components/BatteryTabs';
+
+export default function BatteriesLayout({ children }) {
+  return (
+    <div>
+      <BatteryTabs />
+      {children}
+    </div>
+  );
+}
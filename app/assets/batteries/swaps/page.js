@@ -0,0 +1,130 @@
+'use client';
+
+import { useEffect, useState } from 'react';
+import Link from 'next/link';
+import { useHierarchy } from '@/app/hooks/useHierarchy';
+
+const PAGE_SIZE = 20;
+
+export default function SwapLedgerPage() {
+  const { hierarchy } = useHierarchy();
+  const [filters, setFilters] = useState({ q: '', from: '', to: '', page: 1 });
+  const [search, setSearch] = useState('');
+  const [result, setResult] = useState({ swaps: [], total: 0 });
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    const query = new URLSearchParams({ page: filters.page, pageSize: PAGE_SIZE });
+    if (filters.q) query.set('q', filters.q);
+    if (filters.from) query.set('from', filters.from);
+    if (filters.to) query.set('to', filters.to);
+
+    fetch(`/api/swaps?${query}`)
+      .then(async (res) => {
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || 'Failed to load swaps');
+        setResult(data);
+        setError('');
+      })
+      .catch((err) => setError(err.message))
+      .finally(() => setLoading(false));
+  }, [filters]);
+
+  const updateFilter = (field, value) => setFilters((prev) => ({ ...prev, [field]: value, page: 1 }));
+  const totalPages = Math.max(1, Math.ceil(result.total / PAGE_SIZE));
+
+  const inputClass =
+    'px-3 py-2 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-emerald-500 focus:border-emerald-500';
+
+  return (
+    <div>
+      <form
+        onSubmit={(e) => {
+          e.preventDefault();
+          updateFilter('q', search.trim());
+        }}
+        className="flex flex-wrap items-center gap-2 mb-4 sm:mb-6"
+      >
+        <input
+          value={search}
+          onChange={(e) => setSearch(e.target.value)}
+          placeholder="Search vehicle, battery or station"
+          className={`flex-1 min-w-[12rem] ${inputClass}`}
+        />
+        <input type="date" value={filters.from} onChange={(e) => updateFilter('from', e.target.value)} aria-label="From" className={inputClass} />
+        <span className="text-sm text-gray-500">to</span>
+        <input type="date" value={filters.to} onChange={(e) => updateFilter('to', e.target.value)} aria-label="To" className={inputClass} />
+      </form>
+
+      {error && (
+        <div className="mb-4 p-3 bg-red-50 border border-red-200 rounded-lg">
+          <p className="text-sm text-red-800">{error}</p>
+        </div>
+      )}
+
+      {loading ? (
+        <p className="text-sm text-gray-500 py-8 text-center">Loading...</p>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-xs font-medium text-gray-500 uppercase tracking-wide border-b border-gray-200">
+                <th className="py-2 pr-4">Time</th>
+                <th className="py-2 pr-4">Station / Slot</th>
+                <th className="py-2 pr-4">Vehicle</th>
+                <th className="py-2 pr-4 hidden md:table-cell">Battery Out → In</th>
+                <th className="py-2 pr-4 hidden lg:table-cell">Hub</th>
+                <th className="py-2 hidden sm:table-cell">Operator</th>
+              </tr>
+            </thead>
+            <tbody>
+              {result.swaps.map((swap) => (
+                <tr key={swap.id} className="border-b border-gray-100">
+                  <td className="py-3 pr-4 text-gray-700 whitespace-nowrap">{new Date(`${swap.swappedAt}Z`).toLocaleString()}</td>
+                  <td className="py-3 pr-4 text-gray-900">{swap.station} / {swap.slot}</td>
+                  <td className="py-3 pr-4">
+                    <Link href={`/assets/vehicles/${swap.vehicle}`} className="font-mono text-emerald-700 hover:text-emerald-800">
+                      {swap.vehicle}
+                    </Link>
+                  </td>
+                  <td className="py-3 pr-4 hidden md:table-cell font-mono text-gray-700">
+                    <Link href={`/assets/batteries/inventory/${swap.batteryOut}`} className="hover:text-emerald-700">{swap.batteryOut}</Link>
+                    {' → '}
+                    <Link href={`/assets/batteries/inventory/${swap.batteryIn}`} className="hover:text-emerald-700">{swap.batteryIn}</Link>
+                  </td>
+                  <td className="py-3 pr-4 hidden lg:table-cell text-gray-600">{hierarchy.names.hub[swap.hub] || swap.hub}</td>
+                  <td className="py-3 hidden sm:table-cell text-gray-600">{swap.operator}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {result.swaps.length === 0 && (
+            <p className="text-sm text-gray-500 py-8 text-center">No swaps found.</p>
+          )}
+        </div>
+      )}
+
+      <div className="flex items-center justify-between mt-4 text-xs sm:text-sm text-gray-600">
+        <span>{result.total} swap{result.total === 1 ? '' : 's'}</span>
+        <div className="flex items-center gap-2">
+          <button
+            onClick={() => setFilters((prev) => ({ ...prev, page: prev.page - 1 }))}
+            disabled={filters.page <= 1}
+            className="px-3 py-1.5 border border-gray-300 rounded-lg hover:bg-gray-50 disabled:opacity-40 disabled:cursor-not-allowed"
+          >
+            Previous
+          </button>
+          <span>Page {filters.page} of {totalPages}</span>
+          <button
+            onClick={() => setFilters((prev) => ({ ...prev, page: prev.page + 1 }))}
+            disabled={filters.page >= totalPages}
+            className="px-3 py-1.5 border border-gray-300 rounded-lg hover:bg-gray-50 disabled:opacity-40 disabled:cursor-not-allowed"
+          >
+            Next
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,240 @@
+'use client';
+
+import { use, useEffect, useMemo, useState } from 'react';
+import Link from 'next/link';
+import AssetMap from '@/app/components/AssetMap';
+import StatusBadge, { getStatusColor } from '@/app/components/StatusBadge';
+import { useHierarchy } from '@/app/hooks/useHierarchy';
+import StationForm from '../components/StationForm';
+import { CONNECTOR_OPTIONS, SLOT_STATUS_OPTIONS, connectorLabel, formatHours, stationStatus } from '../components/stationOptions';
+
+const inputClass =
+  'px-3 py-2 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-emerald-500 focus:border-emerald-500';
+
+function Detail({ label, value, mono }) {
+  return (
+    <div>
+      <dt className="text-xs font-medium text-gray-500 uppercase tracking-wide">{label}</dt>
+      <dd className={`mt-1 text-sm text-gray-900 ${mono ? 'font-mono' : ''}`}>{value ?? '—'}</dd>
+    </div>
+  );
+}
+
+export default function StationDetailPage({ params }) {
+  const { code } = use(params);
+  const { hierarchy } = useHierarchy();
+  const [station, setStation] = useState(null);
+  const [editing, setEditing] = useState(false);
+  const [newSlot, setNewSlot] = useState({ connectorType: 'swap_dock', powerKw: 3.3 });
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    fetch(`/api/stations/${code}`)
+      .then(async (res) => {
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || 'Failed to load station');
+        setStation(data.station);
+      })
+      .catch((err) => setError(err.message));
+  }, [code]);
+
+  const markers = useMemo(
+    () =>
+      station
+        ? [{
+            id: station.code,
+            latitude: station.latitude,
+            longitude: station.longitude,
+            color: getStatusColor(stationStatus(station)),
+            title: station.name,
+          }]
+        : [],
+    [station]
+  );
+
+  // Every station/slot mutation answers with the refreshed station
+  const send = async (url, method, body, fallbackError) => {
+    setError('');
+    const res = await fetch(url, {
+      method,
+      headers: { 'Content-Type': 'application/json' },
+      body: body && JSON.stringify(body),
+    });
+    const data = await res.json();
+    if (!res.ok) {
+      setError(data.error || fallbackError);
+      return false;
+    }
+    setStation(data.station);
+    return true;
+  };
+
+  const saveStation = async (form) => {
+    const res = await fetch(`/api/stations/${code}`, {
+      method: 'PATCH',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(form),
+    });
+    const data = await res.json();
+    if (!res.ok) throw new Error(data.error || 'Failed to save station');
+
+    setStation(data.station);
+    setEditing(false);
+  };
+
+  const retire = () => {
+    if (!confirm(`Retire ${code}? All of its slots will be taken offline.`)) return;
+    send(`/api/stations/${code}`, 'DELETE', null, 'Failed to retire station');
+  };
+
+  const removeSlot = (label) => {
+    if (!confirm(`Remove slot ${label} from ${code}?`)) return;
+    send(`/api/stations/${code}/slots/${label}`, 'DELETE', null, 'Failed to remove slot');
+  };
+
+  const addSlot = (e) => {
+    e.preventDefault();
+    send(`/api/stations/${code}/slots`, 'POST', { ...newSlot, powerKw: Number(newSlot.powerKw) }, 'Failed to add slot');
+  };
+
+  const active = station && !station.retiredAt;
+
+  return (
+    <div>
+      <Link href="/assets/charging-stations" className="text-sm text-emerald-600 hover:text-emerald-700 font-medium">
+        ← Back to stations
+      </Link>
+
+      {error && (
+        <div className="mt-4 p-3 bg-red-50 border border-red-200 rounded-lg">
+          <p className="text-sm text-red-800">{error}</p>
+        </div>
+      )}
+
+      {station && (
+        <>
+          <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3 mt-3 mb-4 sm:mb-6">
+            <div>
+              <div className="flex items-center gap-3">
+                <h2 className="text-base sm:text-lg md:text-xl font-semibold text-gray-900">{station.code}</h2>
+                <StatusBadge status={stationStatus(station)} size="sm" />
+              </div>
+              <p className="text-xs sm:text-sm text-gray-500 mt-0.5">{station.name}</p>
+            </div>
+            {active && !editing && (
+              <div className="flex items-center gap-2">
+                <button
+                  onClick={() => setEditing(true)}
+                  className="px-4 py-2 text-sm font-medium text-gray-700 bg-white border border-gray-300 rounded-lg hover:bg-gray-50 transition-colors"
+                >
+                  Edit
+                </button>
+                <button
+                  onClick={retire}
+                  className="px-4 py-2 text-sm font-medium text-red-700 bg-red-50 border border-red-200 rounded-lg hover:bg-red-100 transition-colors"
+                >
+                  Retire
+                </button>
+              </div>
+            )}
+          </div>
+
+          {editing ? (
+            <StationForm
+              initialStation={station}
+              onSubmit={saveStation}
+              onCancel={() => setEditing(false)}
+              submitLabel="Save Changes"
+            />
+          ) : (
+            <div className="grid grid-cols-1 lg:grid-cols-2 gap-4 sm:gap-6">
+              <dl className="grid grid-cols-1 sm:grid-cols-2 gap-4 sm:gap-6 content-start">
+                <Detail label="Address" value={station.address} />
+                <Detail label="Hub" value={hierarchy.names.hub[station.hub] || station.hub} />
+                <Detail label="Scope" value={`${station.area}, ${station.circle} (${station.region.toUpperCase()})`} />
+                <Detail label="Coordinates" value={`${station.latitude}, ${station.longitude}`} mono />
+                <Detail label="Grid Connection" value={`${station.powerKw} kW`} />
+                <Detail label="Energy Delivered" value={`${station.energyDeliveredKwh.toLocaleString()} kWh`} />
+                <Detail label="Operating Hours" value={formatHours(station)} />
+                <Detail label="Registered" value={new Date(`${station.createdAt}Z`).toLocaleDateString()} />
+                {station.retiredAt && <Detail label="Retired" value={new Date(`${station.retiredAt}Z`).toLocaleDateString()} />}
+              </dl>
+              <AssetMap markers={markers} className="h-64" />
+            </div>
+          )}
+
+          <h3 className="text-sm sm:text-base font-semibold text-gray-900 mt-6 sm:mt-8 mb-3">
+            Slots <span className="font-normal text-gray-500">({station.slotSummary.free} of {station.slots.length} free)</span>
+          </h3>
+          <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-3">
+            {station.slots.map((slot) => (
+              <div key={slot.label} className="p-4 bg-white border border-gray-200 rounded-lg">
+                <div className="flex items-center justify-between">
+                  <span className="font-semibold text-gray-900">Slot {slot.label}</span>
+                  <StatusBadge status={slot.status} size="sm" />
+                </div>
+                <p className="text-xs text-gray-500 mt-1">
+                  {connectorLabel(slot.connectorType)} · {slot.powerKw} kW
+                </p>
+                <p className="text-xs text-gray-400 mt-0.5">
+                  Since {new Date(`${slot.statusChangedAt}Z`).toLocaleString()}
+                </p>
+                {active && (
+                  <div className="flex items-center justify-between gap-2 mt-3">
+                    <select
+                      aria-label={`Slot ${slot.label} status`}
+                      value={slot.status}
+                      onChange={(e) =>
+                        send(`/api/stations/${code}/slots/${slot.label}`, 'PATCH', { status: e.target.value }, 'Failed to update slot')
+                      }
+                      className={inputClass}
+                    >
+                      {SLOT_STATUS_OPTIONS.map((option) => (
+                        <option key={option.value} value={option.value}>{option.label}</option>
+                      ))}
+                    </select>
+                    <button onClick={() => removeSlot(slot.label)} className="text-xs text-red-600 hover:text-red-700">
+                      Remove
+                    </button>
+                  </div>
+                )}
+              </div>
+            ))}
+          </div>
+
+          {active && (
+            <form onSubmit={addSlot} className="flex flex-wrap items-center gap-2 mt-4">
+              <select
+                aria-label="New slot connector"
+                value={newSlot.connectorType}
+                onChange={(e) => setNewSlot((prev) => ({ ...prev, connectorType: e.target.value }))}
+                className={inputClass}
+              >
+                {CONNECTOR_OPTIONS.map((option) => (
+                  <option key={option.value} value={option.value}>{option.label}</option>
+                ))}
+              </select>
+              <input
+                aria-label="New slot power (kW)"
+                type="number"
+                step="any"
+                min={0}
+                value={newSlot.powerKw}
+                onChange={(e) => setNewSlot((prev) => ({ ...prev, powerKw: e.target.value }))}
+                required
+                className={`${inputClass} w-24`}
+              />
+              <span className="text-sm text-gray-500">kW</span>
+              <button
+                type="submit"
+                className="px-4 py-2 text-sm font-medium text-emerald-700 bg-emerald-50 border border-emerald-200 rounded-lg hover:bg-emerald-100 transition-colors"
+              >
+                Add Slot
+              </button>
+            </form>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
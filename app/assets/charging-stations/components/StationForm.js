@@ -0,0 +1,259 @@
+'use client';
+
+import { useState } from 'react';
+import { useSession } from 'next-auth/react';
+import { useHierarchy } from '@/app/hooks/useHierarchy';
+import { hasHubAccess } from '@/app/utils/auth';
+import { CONNECTOR_OPTIONS } from './stationOptions';
+
+const inputClass =
+  'w-full px-3 sm:px-4 py-2.5 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-emerald-500 focus:border-emerald-500 transition-colors';
+const labelClass = 'block text-xs sm:text-sm font-medium text-gray-700 mb-1.5';
+
+const newSlot = () => ({ connectorType: 'swap_dock', powerKw: 3.3 });
+
+/**
+ * Create/edit form for a station. The slot builder is only shown when
+ * creating; afterwards slots are managed from the station detail page.
+ */
+export default function StationForm({ initialStation, onSubmit, onCancel, submitLabel }) {
+  const { data: session } = useSession();
+  const { hierarchy, error: hierarchyError } = useHierarchy();
+  const [form, setForm] = useState({
+    name: initialStation?.name || '',
+    address: initialStation?.address || '',
+    hub: initialStation?.hub || '',
+    latitude: initialStation?.latitude ?? '',
+    longitude: initialStation?.longitude ?? '',
+    powerKw: initialStation?.powerKw ?? '',
+    opensAt: initialStation?.opensAt || '00:00',
+    closesAt: initialStation?.closesAt || '24:00',
+    energyDeliveredKwh: initialStation?.energyDeliveredKwh ?? 0,
+  });
+  const [slots, setSlots] = useState([newSlot()]);
+  const [error, setError] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  const hubs = Object.keys(hierarchy.hubs).filter((hub) => hasHubAccess(session?.user, hub, hierarchy));
+  const allDay = form.opensAt === '00:00' && form.closesAt === '24:00';
+
+  const update = (field, value) => setForm((prev) => ({ ...prev, [field]: value }));
+  const updateSlot = (index, field, value) =>
+    setSlots((prev) => prev.map((slot, i) => (i === index ? { ...slot, [field]: value } : slot)));
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setSaving(true);
+
+    const payload = {
+      ...form,
+      latitude: Number(form.latitude),
+      longitude: Number(form.longitude),
+      powerKw: Number(form.powerKw),
+      energyDeliveredKwh: Number(form.energyDeliveredKwh),
+    };
+    if (!initialStation) {
+      payload.slots = slots.map((slot) => ({ ...slot, powerKw: Number(slot.powerKw) }));
+    }
+
+    try {
+      await onSubmit(payload);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4 max-w-2xl">
+      {(error || hierarchyError) && (
+        <div className="p-3 bg-red-50 border border-red-200 rounded-lg">
+          <p className="text-sm text-red-800">{error || hierarchyError}</p>
+        </div>
+      )}
+
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+        <div>
+          <label htmlFor="name" className={labelClass}>Name</label>
+          <input id="name" value={form.name} onChange={(e) => update('name', e.target.value)} required className={inputClass} />
+        </div>
+        <div>
+          <label htmlFor="hub" className={labelClass}>Hub</label>
+          <select id="hub" value={form.hub} onChange={(e) => update('hub', e.target.value)} required className={inputClass}>
+            <option value="">Select hub</option>
+            {hubs.map((hub) => (
+              <option key={hub} value={hub}>{hierarchy.names.hub[hub] || hub}</option>
+            ))}
+          </select>
+        </div>
+        <div className="sm:col-span-2">
+          <label htmlFor="address" className={labelClass}>Address</label>
+          <input id="address" value={form.address} onChange={(e) => update('address', e.target.value)} className={inputClass} />
+        </div>
+        <div>
+          <label htmlFor="latitude" className={labelClass}>Latitude</label>
+          <input
+            id="latitude"
+            type="number"
+            step="any"
+            min={-90}
+            max={90}
+            value={form.latitude}
+            onChange={(e) => update('latitude', e.target.value)}
+            required
+            placeholder="19.1197"
+            className={inputClass}
+          />
+        </div>
+        <div>
+          <label htmlFor="longitude" className={labelClass}>Longitude</label>
+          <input
+            id="longitude"
+            type="number"
+            step="any"
+            min={-180}
+            max={180}
+            value={form.longitude}
+            onChange={(e) => update('longitude', e.target.value)}
+            required
+            placeholder="72.8468"
+            className={inputClass}
+          />
+        </div>
+        <div>
+          <label htmlFor="powerKw" className={labelClass}>Grid Connection (kW)</label>
+          <input
+            id="powerKw"
+            type="number"
+            step="any"
+            min={0}
+            value={form.powerKw}
+            onChange={(e) => update('powerKw', e.target.value)}
+            required
+            className={inputClass}
+          />
+        </div>
+        {initialStation && (
+          <div>
+            <label htmlFor="energyDeliveredKwh" className={labelClass}>Energy Meter (kWh delivered)</label>
+            <input
+              id="energyDeliveredKwh"
+              type="number"
+              step="any"
+              min={initialStation.energyDeliveredKwh}
+              value={form.energyDeliveredKwh}
+              onChange={(e) => update('energyDeliveredKwh', e.target.value)}
+              required
+              className={inputClass}
+            />
+          </div>
+        )}
+        <div>
+          <span className={labelClass}>Operating Hours</span>
+          <div className="flex items-center gap-2">
+            <input
+              type="time"
+              aria-label="Opens at"
+              value={allDay ? '' : form.opensAt}
+              onChange={(e) => update('opensAt', e.target.value)}
+              disabled={allDay}
+              required={!allDay}
+              className={inputClass}
+            />
+            <span className="text-gray-400">–</span>
+            <input
+              type="time"
+              aria-label="Closes at"
+              value={allDay ? '' : form.closesAt}
+              onChange={(e) => update('closesAt', e.target.value)}
+              disabled={allDay}
+              required={!allDay}
+              className={inputClass}
+            />
+          </div>
+          <label className="flex items-center gap-1.5 mt-1.5 text-xs sm:text-sm text-gray-600">
+            <input
+              type="checkbox"
+              checked={allDay}
+              onChange={(e) =>
+                setForm((prev) => ({
+                  ...prev,
+                  opensAt: e.target.checked ? '00:00' : '06:00',
+                  closesAt: e.target.checked ? '24:00' : '22:00',
+                }))
+              }
+              className="rounded border-gray-300 text-emerald-600 focus:ring-emerald-500"
+            />
+            Open 24 hours
+          </label>
+        </div>
+      </div>
+
+      {!initialStation && (
+        <div>
+          <span className={labelClass}>Slots</span>
+          <div className="space-y-2">
+            {slots.map((slot, index) => (
+              <div key={index} className="flex items-center gap-2">
+                <span className="w-8 text-sm font-semibold text-gray-500 text-right">{index + 1}</span>
+                <select
+                  aria-label={`Slot ${index + 1} connector`}
+                  value={slot.connectorType}
+                  onChange={(e) => updateSlot(index, 'connectorType', e.target.value)}
+                  className={inputClass}
+                >
+                  {CONNECTOR_OPTIONS.map((option) => (
+                    <option key={option.value} value={option.value}>{option.label}</option>
+                  ))}
+                </select>
+                <input
+                  aria-label={`Slot ${index + 1} power (kW)`}
+                  type="number"
+                  step="any"
+                  min={0}
+                  value={slot.powerKw}
+                  onChange={(e) => updateSlot(index, 'powerKw', e.target.value)}
+                  required
+                  className={`${inputClass} max-w-[7rem]`}
+                />
+                <span className="text-sm text-gray-500">kW</span>
+                <button
+                  type="button"
+                  onClick={() => setSlots((prev) => prev.filter((_, i) => i !== index))}
+                  disabled={slots.length === 1}
+                  className="px-2 py-1 text-sm text-red-600 hover:text-red-700 disabled:opacity-30 disabled:cursor-not-allowed"
+                >
+                  Remove
+                </button>
+              </div>
+            ))}
+          </div>
+          <button
+            type="button"
+            onClick={() => setSlots((prev) => [...prev, { ...prev[prev.length - 1] }])}
+            className="mt-2 text-sm text-emerald-600 hover:text-emerald-700 font-medium"
+          >
+            + Add slot
+          </button>
+        </div>
+      )}
+
+      <div className="flex items-center gap-3">
+        <button
+          type="submit"
+          disabled={saving}
+          className="px-5 py-2.5 bg-emerald-600 text-white rounded-lg text-sm font-semibold hover:bg-emerald-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          {saving ? 'Saving...' : submitLabel}
+        </button>
+        {onCancel && (
+          <button type="button" onClick={onCancel} className="px-4 py-2.5 text-sm text-gray-600 hover:text-gray-900">
+            Cancel
+          </button>
+        )}
+      </div>
+    </form>
+  );
+}
@@ -0,0 +1,41 @@
+// Option lists and display helpers for station forms, lists and maps
+
+export const CONNECTOR_OPTIONS = [
+  { value: 'swap_dock', label: 'Battery Swap Dock' },
+  { value: 'ccs2', label: 'CCS2' },
+  { value: 'type2', label: 'Type 2 AC' },
+  { value: 'bharat_ac001', label: 'Bharat AC-001' },
+  { value: 'bharat_dc001', label: 'Bharat DC-001' },
+];
+
+export const SLOT_STATUS_OPTIONS = [
+  { value: 'free', label: 'Free' },
+  { value: 'charging', label: 'Charging' },
+  { value: 'faulted', label: 'Faulted' },
+  { value: 'offline', label: 'Offline' },
+];
+
+export function connectorLabel(value) {
+  return CONNECTOR_OPTIONS.find((option) => option.value === value)?.label || value;
+}
+
+export function formatHours(station) {
+  if (station.opensAt === '00:00' && station.closesAt === '24:00') return 'Open 24 hours';
+  return `${station.opensAt} – ${station.closesAt}`;
+}
+
+/**
+ * One status for a whole station, for its badge and map marker:
+ * inactive once retired, offline when every slot is, faulted when any
+ * slot is, free while a slot is free, otherwise charging (all slots busy)
+ */
+export function stationStatus(station) {
+  const { slotSummary, slots } = station;
+
+  if (station.retiredAt) return 'inactive';
+  if (station.maintenanceSince) return 'maintenance';
+  if (slotSummary.offline === slots.length) return 'offline';
+  if (slotSummary.faulted) return 'faulted';
+  if (slotSummary.free) return 'free';
+  return 'charging';
+}
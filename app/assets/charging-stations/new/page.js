@@ -0,0 +1,31 @@
+'use client';
+
+import Link from 'next/link';
+import { useRouter } from 'next/navigation';
+import StationForm from '../components/StationForm';
+
+export default function NewStationPage() {
+  const router = useRouter();
+
+  const createStation = async (form) => {
+    const res = await fetch('/api/stations', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(form),
+    });
+    const data = await res.json();
+    if (!res.ok) throw new Error(data.error || 'Failed to create station');
+
+    router.push(`/assets/charging-stations/${data.station.code}`);
+  };
+
+  return (
+    <div>
+      <Link href="/assets/charging-stations" className="text-sm text-emerald-600 hover:text-emerald-700 font-medium">
+        ← Back to stations
+      </Link>
+      <h2 className="text-base sm:text-lg md:text-xl font-semibold text-gray-900 mt-3 mb-4 sm:mb-6">New Charging Station</h2>
+      <StationForm onSubmit={createStation} submitLabel="Register Station" />
+    </div>
+  );
+}
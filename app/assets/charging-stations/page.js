@@ -1,16 +1,225 @@
+'use client';
+
+import { useEffect, useMemo, useState } from 'react';
+import Link from 'next/link';
+import { useRouter } from 'next/navigation';
+import { useSession } from 'next-auth/react';
+import AssetMap from '@/app/components/AssetMap';
+import ExportButton from '@/app/components/ExportButton';
+import StatusBadge, { getStatusColor } from '@/app/components/StatusBadge';
+import { useHierarchy } from '@/app/hooks/useHierarchy';
+import { hasHubAccess } from '@/app/utils/auth';
+import { SLOT_STATUS_OPTIONS, formatHours, stationStatus } from './components/stationOptions';
+
+const PAGE_SIZE = 20;
+// The map plots every station in scope rather than one page of them
+const MAP_PAGE_SIZE = 500;
+
 export default function ChargingStationsPage() {
+  const router = useRouter();
+  const { data: session } = useSession();
+  const { hierarchy } = useHierarchy();
+  const [view, setView] = useState('list');
+  const [filters, setFilters] = useState({ q: '', slotStatus: '', hub: '', includeRetired: false, page: 1 });
+  const [search, setSearch] = useState('');
+  const [result, setResult] = useState({ stations: [], total: 0 });
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    const mapView = view === 'map';
+    const query = new URLSearchParams({
+      page: mapView ? 1 : filters.page,
+      pageSize: mapView ? MAP_PAGE_SIZE : PAGE_SIZE,
+    });
+    if (filters.q) query.set('q', filters.q);
+    if (filters.slotStatus) query.set('slotStatus', filters.slotStatus);
+    if (filters.hub) query.set('hub', filters.hub);
+    if (filters.includeRetired) query.set('includeRetired', 'true');
+
+    fetch(`/api/stations?${query}`)
+      .then((res) => (res.ok ? res.json() : Promise.reject(new Error('Failed to load stations'))))
+      .then((data) => setResult(data))
+      .catch((err) => setError(err.message))
+      .finally(() => setLoading(false));
+  }, [filters, view]);
+
+  const markers = useMemo(
+    () =>
+      result.stations.map((station) => ({
+        id: station.code,
+        latitude: station.latitude,
+        longitude: station.longitude,
+        color: getStatusColor(stationStatus(station)),
+        title: `${station.code} · ${station.name} (${station.slotSummary.free}/${station.slots.length} free)`,
+      })),
+    [result.stations]
+  );
+
+  const updateFilter = (field, value) => setFilters((prev) => ({ ...prev, [field]: value, page: 1 }));
+  const totalPages = Math.max(1, Math.ceil(result.total / PAGE_SIZE));
+  const hubs = Object.keys(hierarchy.hubs).filter((hub) => hasHubAccess(session?.user, hub, hierarchy));
+
   return (
-    <div className="text-center py-6 sm:py-8 md:py-12">
-      <div className="w-14 h-14 sm:w-16 sm:h-16 md:w-20 md:h-20 bg-emerald-100 rounded-full flex items-center justify-center mx-auto mb-3 sm:mb-4">
-        <svg className="w-7 h-7 sm:w-8 sm:h-8 md:w-10 md:h-10 text-emerald-600" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M13 10V3L4 14h7v7l9-11h-7z" />
-        </svg>
+    <div>
+      <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-3 mb-4 sm:mb-6">
+        <form
+          onSubmit={(e) => {
+            e.preventDefault();
+            updateFilter('q', search.trim());
+          }}
+          className="flex flex-1 flex-wrap items-center gap-2"
+        >
+          <input
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+            placeholder="Search code, name, address"
+            className="flex-1 min-w-[12rem] px-3 py-2 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-emerald-500 focus:border-emerald-500"
+          />
+          <select
+            value={filters.slotStatus}
+            onChange={(e) => updateFilter('slotStatus', e.target.value)}
+            className="px-3 py-2 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-emerald-500 focus:border-emerald-500"
+          >
+            <option value="">Any slot status</option>
+            {SLOT_STATUS_OPTIONS.map((option) => (
+              <option key={option.value} value={option.value}>Has {option.label.toLowerCase()} slot</option>
+            ))}
+          </select>
+          <select
+            value={filters.hub}
+            onChange={(e) => updateFilter('hub', e.target.value)}
+            className="px-3 py-2 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-emerald-500 focus:border-emerald-500"
+          >
+            <option value="">All hubs</option>
+            {hubs.map((hub) => (
+              <option key={hub} value={hub}>{hierarchy.names.hub[hub] || hub}</option>
+            ))}
+          </select>
+          <label className="flex items-center gap-1.5 text-xs sm:text-sm text-gray-600">
+            <input
+              type="checkbox"
+              checked={filters.includeRetired}
+              onChange={(e) => updateFilter('includeRetired', e.target.checked)}
+              className="rounded border-gray-300 text-emerald-600 focus:ring-emerald-500"
+            />
+            Show retired
+          </label>
+        </form>
+        <div className="flex items-center gap-2">
+          <ExportButton report="stations" filters={filters} />
+          <div className="flex rounded-lg border border-gray-300 overflow-hidden text-sm">
+            {['list', 'map'].map((mode) => (
+              <button
+                key={mode}
+                onClick={() => setView(mode)}
+                className={`px-3 py-2 font-medium capitalize transition-colors ${
+                  view === mode ? 'bg-emerald-600 text-white' : 'bg-white text-gray-600 hover:bg-gray-50'
+                }`}
+              >
+                {mode}
+              </button>
+            ))}
+          </div>
+          <Link
+            href="/assets/charging-stations/new"
+            className="px-4 py-2 text-sm font-medium text-white bg-emerald-600 rounded-lg hover:bg-emerald-700 transition-colors whitespace-nowrap text-center"
+          >
+            Add Station
+          </Link>
+        </div>
       </div>
-      <h2 className="text-base sm:text-lg md:text-xl font-semibold text-gray-900 mb-1 sm:mb-2">Charging Stations</h2>
-      <p className="text-gray-500 text-xs sm:text-sm md:text-base max-w-md mx-auto px-3 sm:px-4">
-        Charging station data will be displayed here. This section is ready for database integration.
-      </p>
+
+      {error && (
+        <div className="mb-4 p-3 bg-red-50 border border-red-200 rounded-lg">
+          <p className="text-sm text-red-800">{error}</p>
+        </div>
+      )}
+
+      {view === 'map' ? (
+        <>
+          <AssetMap
+            markers={markers}
+            onMarkerClick={(marker) => router.push(`/assets/charging-stations/${marker.id}`)}
+            fitKey={JSON.stringify(filters)}
+            className="h-[28rem]"
+          />
+          <div className="flex flex-wrap items-center gap-x-4 gap-y-2 mt-3 text-xs text-gray-600">
+            {SLOT_STATUS_OPTIONS.map((option) => (
+              <span key={option.value} className="flex items-center gap-1.5">
+                <span className="w-3 h-3 rounded-full" style={{ backgroundColor: getStatusColor(option.value) }}></span>
+                {option.label}
+              </span>
+            ))}
+            <span className="ml-auto">{result.total} station{result.total === 1 ? '' : 's'}</span>
+          </div>
+        </>
+      ) : loading ? (
+        <p className="text-sm text-gray-500 py-8 text-center">Loading...</p>
+      ) : (
+        <>
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-left text-xs font-medium text-gray-500 uppercase tracking-wide border-b border-gray-200">
+                  <th className="py-2 pr-4">Station</th>
+                  <th className="py-2 pr-4">Name</th>
+                  <th className="py-2 pr-4 hidden sm:table-cell">Hub</th>
+                  <th className="py-2 pr-4 hidden lg:table-cell">Hours</th>
+                  <th className="py-2 pr-4 hidden md:table-cell text-right">Power</th>
+                  <th className="py-2 pr-4 text-right">Free Slots</th>
+                  <th className="py-2">Status</th>
+                </tr>
+              </thead>
+              <tbody>
+                {result.stations.map((station) => (
+                  <tr
+                    key={station.code}
+                    onClick={() => router.push(`/assets/charging-stations/${station.code}`)}
+                    className="border-b border-gray-100 hover:bg-emerald-50/50 cursor-pointer transition-colors"
+                  >
+                    <td className="py-3 pr-4 font-semibold text-gray-900">{station.code}</td>
+                    <td className="py-3 pr-4 text-gray-700">{station.name}</td>
+                    <td className="py-3 pr-4 hidden sm:table-cell text-gray-600">{hierarchy.names.hub[station.hub] || station.hub}</td>
+                    <td className="py-3 pr-4 hidden lg:table-cell text-gray-600">{formatHours(station)}</td>
+                    <td className="py-3 pr-4 hidden md:table-cell text-right text-gray-600">{station.powerKw} kW</td>
+                    <td className="py-3 pr-4 text-right text-gray-700">
+                      {station.slotSummary.free} / {station.slots.length}
+                    </td>
+                    <td className="py-3">
+                      <StatusBadge status={stationStatus(station)} size="sm" />
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            {result.stations.length === 0 && (
+              <p className="text-sm text-gray-500 py-8 text-center">No stations found.</p>
+            )}
+          </div>
+
+          <div className="flex items-center justify-between mt-4 text-xs sm:text-sm text-gray-600">
+            <span>{result.total} station{result.total === 1 ? '' : 's'}</span>
+            <div className="flex items-center gap-2">
+              <button
+                onClick={() => setFilters((prev) => ({ ...prev, page: prev.page - 1 }))}
+                disabled={filters.page <= 1}
+                className="px-3 py-1.5 border border-gray-300 rounded-lg hover:bg-gray-50 disabled:opacity-40 disabled:cursor-not-allowed"
+              >
+                Previous
+              </button>
+              <span>Page {filters.page} of {totalPages}</span>
+              <button
+                onClick={() => setFilters((prev) => ({ ...prev, page: prev.page + 1 }))}
+                disabled={filters.page >= totalPages}
+                className="px-3 py-1.5 border border-gray-300 rounded-lg hover:bg-gray-50 disabled:opacity-40 disabled:cursor-not-allowed"
+              >
+                Next
+              </button>
+            </div>
+          </div>
+        </>
+      )}
     </div>
   );
 }
-
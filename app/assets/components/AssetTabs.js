@@ -2,9 +2,12 @@
 
 import Link from 'next/link';
 import { usePathname } from 'next/navigation';
+import { useSession } from 'next-auth/react';
+import { canAccessRoute } from '@/app/utils/permissions';
 
 export default function AssetTabs() {
   const pathname = usePathname();
+  const { data: session } = useSession();
 
   const tabs = [
     { 
@@ -19,6 +22,8 @@ export default function AssetTabs() {
     },
     { 
       href: '/assets/batteries', 
+      // Area heads can't open the swap dashboard, only the inventory
+      fallbackHref: '/assets/batteries/inventory',
       label: 'Batteries',
       shortLabel: 'Batteries',
       icon: (
@@ -47,7 +52,9 @@ export default function AssetTabs() {
         </svg>
       )
     },
-  ];
+  ]
+    .map((tab) => (tab.fallbackHref && !canAccessRoute(session?.user, tab.href) ? { ...tab, href: tab.fallbackHref } : tab))
+    .filter((tab) => canAccessRoute(session?.user, tab.href));
 
   const isActive = (href) => {
     return pathname === href || pathname?.startsWith(href + '/');
@@ -0,0 +1,216 @@
+'use client';
+
+import { use, useEffect, useState } from 'react';
+import Link from 'next/link';
+import StatusBadge from '@/app/components/StatusBadge';
+import { useHierarchy } from '@/app/hooks/useHierarchy';
+import ApiKeyNotice from '../components/ApiKeyNotice';
+import DeviceForm from '../components/DeviceForm';
+import { deviceStatus, formatLastSeen } from '../components/tcuOptions';
+
+function Detail({ label, value, mono }) {
+  return (
+    <div>
+      <dt className="text-xs font-medium text-gray-500 uppercase tracking-wide">{label}</dt>
+      <dd className={`mt-1 text-sm text-gray-900 ${mono ? 'font-mono' : ''}`}>{value ?? '—'}</dd>
+    </div>
+  );
+}
+
+const reading = (value, unit) => (value === null ? '—' : `${value}${unit}`);
+
+export default function DeviceDetailPage({ params }) {
+  const { deviceId } = use(params);
+  const { hierarchy } = useHierarchy();
+  const [device, setDevice] = useState(null);
+  const [telemetry, setTelemetry] = useState([]);
+  const [apiKey, setApiKey] = useState('');
+  const [editing, setEditing] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    fetch(`/api/tcu/devices/${deviceId}`)
+      .then(async (res) => {
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || 'Failed to load TCU');
+        setDevice(data.device);
+        setTelemetry(data.telemetry);
+      })
+      .catch((err) => setError(err.message));
+  }, [deviceId]);
+
+  const saveDevice = async (form) => {
+    const res = await fetch(`/api/tcu/devices/${deviceId}`, {
+      method: 'PATCH',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(form),
+    });
+    const data = await res.json();
+    if (!res.ok) throw new Error(data.error || 'Failed to save TCU');
+
+    setDevice(data.device);
+    setEditing(false);
+  };
+
+  const rotateKey = async () => {
+    if (!confirm(`Issue a new API key for ${deviceId}? The unit stops uploading until it is reconfigured.`)) return;
+
+    setError('');
+    const res = await fetch(`/api/tcu/devices/${deviceId}/key`, { method: 'POST' });
+    const data = await res.json();
+    if (!res.ok) {
+      setError(data.error || 'Failed to rotate API key');
+      return;
+    }
+    setDevice(data.device);
+    setApiKey(data.apiKey);
+  };
+
+  const decommission = async () => {
+    if (!confirm(`Decommission ${deviceId}? It will be unpaired and its API key revoked.`)) return;
+
+    setError('');
+    const res = await fetch(`/api/tcu/devices/${deviceId}`, { method: 'DELETE' });
+    const data = await res.json();
+    if (!res.ok) {
+      setError(data.error || 'Failed to decommission TCU');
+      return;
+    }
+    setDevice(data.device);
+    setApiKey('');
+  };
+
+  const latest = telemetry[0];
+
+  return (
+    <div>
+      <Link href="/assets/tcu" className="text-sm text-emerald-600 hover:text-emerald-700 font-medium">
+        ← Back to TCUs
+      </Link>
+
+      {error && (
+        <div className="mt-4 p-3 bg-red-50 border border-red-200 rounded-lg">
+          <p className="text-sm text-red-800">{error}</p>
+        </div>
+      )}
+
+      {device && (
+        <>
+          <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3 mt-3 mb-4 sm:mb-6">
+            <div>
+              <div className="flex items-center gap-3">
+                <h2 className="text-base sm:text-lg md:text-xl font-semibold text-gray-900 font-mono">{device.deviceId}</h2>
+                <StatusBadge status={deviceStatus(device)} size="sm" />
+              </div>
+              <p className="text-xs sm:text-sm text-gray-500 mt-0.5">Last seen {formatLastSeen(device.lastSeenAt).toLowerCase()}</p>
+            </div>
+            {!device.decommissionedAt && !editing && (
+              <div className="flex items-center gap-2">
+                <button
+                  onClick={() => setEditing(true)}
+                  className="px-4 py-2 text-sm font-medium text-gray-700 bg-white border border-gray-300 rounded-lg hover:bg-gray-50 transition-colors"
+                >
+                  Edit
+                </button>
+                <button
+                  onClick={rotateKey}
+                  className="px-4 py-2 text-sm font-medium text-gray-700 bg-white border border-gray-300 rounded-lg hover:bg-gray-50 transition-colors"
+                >
+                  Rotate Key
+                </button>
+                <button
+                  onClick={decommission}
+                  className="px-4 py-2 text-sm font-medium text-red-700 bg-red-50 border border-red-200 rounded-lg hover:bg-red-100 transition-colors"
+                >
+                  Decommission
+                </button>
+              </div>
+            )}
+          </div>
+
+          {apiKey && (
+            <div className="mb-4 sm:mb-6">
+              <ApiKeyNotice apiKey={apiKey} />
+            </div>
+          )}
+
+          {editing ? (
+            <DeviceForm
+              initialDevice={device}
+              onSubmit={saveDevice}
+              onCancel={() => setEditing(false)}
+              submitLabel="Save Changes"
+            />
+          ) : (
+            <dl className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-4 sm:gap-6">
+              <Detail
+                label="Vehicle"
+                value={device.vehicle && (
+                  <Link href={`/assets/vehicles/${device.vehicle}`} className="text-emerald-600 hover:text-emerald-700">
+                    {device.vehicle}
+                  </Link>
+                )}
+              />
+              <Detail label="Hub" value={hierarchy.names.hub[device.hub] || device.hub} />
+              <Detail label="Scope" value={`${device.area}, ${device.circle} (${device.region.toUpperCase()})`} />
+              <Detail label="Firmware" value={device.firmwareVersion} mono />
+              <Detail label="API Key" value={`tcu_…${device.apiKeyHint}`} mono />
+              <Detail label="Registered" value={new Date(`${device.createdAt}Z`).toLocaleDateString()} />
+              {latest && (
+                <>
+                  <Detail
+                    label="Last Position"
+                    value={latest.latitude === null ? null : `${latest.latitude.toFixed(5)}, ${latest.longitude.toFixed(5)}`}
+                    mono
+                  />
+                  <Detail label="State of Charge" value={reading(latest.soc, '%')} />
+                  <Detail label="Ignition" value={latest.ignition === null ? null : latest.ignition ? 'On' : 'Off'} />
+                </>
+              )}
+              {device.decommissionedAt && (
+                <Detail label="Decommissioned" value={new Date(`${device.decommissionedAt}Z`).toLocaleDateString()} />
+              )}
+            </dl>
+          )}
+
+          <h3 className="text-sm sm:text-base font-semibold text-gray-900 mt-6 sm:mt-8 mb-3">Recent Telemetry</h3>
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-left text-xs font-medium text-gray-500 uppercase tracking-wide border-b border-gray-200">
+                  <th className="py-2 pr-4">Recorded</th>
+                  <th className="py-2 pr-4 hidden md:table-cell">Position</th>
+                  <th className="py-2 pr-4 text-right">Speed</th>
+                  <th className="py-2 pr-4 text-right">SoC</th>
+                  <th className="py-2 pr-4 hidden sm:table-cell text-right">Pack V / A</th>
+                  <th className="py-2 pr-4 hidden sm:table-cell text-right">Temp</th>
+                  <th className="py-2">Ignition</th>
+                </tr>
+              </thead>
+              <tbody>
+                {telemetry.map((record) => (
+                  <tr key={record.recordedAt} className="border-b border-gray-100">
+                    <td className="py-2 pr-4 text-gray-700 whitespace-nowrap">{new Date(`${record.recordedAt}Z`).toLocaleString()}</td>
+                    <td className="py-2 pr-4 hidden md:table-cell font-mono text-xs text-gray-600">
+                      {record.latitude === null ? '—' : `${record.latitude.toFixed(5)}, ${record.longitude.toFixed(5)}`}
+                    </td>
+                    <td className="py-2 pr-4 text-right text-gray-700">{reading(record.speedKmh, ' km/h')}</td>
+                    <td className="py-2 pr-4 text-right text-gray-700">{reading(record.soc, '%')}</td>
+                    <td className="py-2 pr-4 hidden sm:table-cell text-right text-gray-600">
+                      {reading(record.packVoltage, ' V')} / {reading(record.packCurrent, ' A')}
+                    </td>
+                    <td className="py-2 pr-4 hidden sm:table-cell text-right text-gray-600">{reading(record.packTempC, ' °C')}</td>
+                    <td className="py-2 text-gray-600">{record.ignition === null ? '—' : record.ignition ? 'On' : 'Off'}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            {telemetry.length === 0 && (
+              <p className="text-sm text-gray-500 py-8 text-center">No telemetry received yet.</p>
+            )}
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
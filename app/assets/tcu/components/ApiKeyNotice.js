@@ -0,0 +1,38 @@
+'use client';
+
+import { useState } from 'react';
+
+/**
+ * Shows a freshly issued device API key. The server only keeps its hash,
+ * so this is the one chance to copy it.
+ */
+export default function ApiKeyNotice({ apiKey, children }) {
+  const [copied, setCopied] = useState(false);
+
+  const copy = async () => {
+    await navigator.clipboard.writeText(apiKey);
+    setCopied(true);
+  };
+
+  return (
+    <div className="p-4 bg-amber-50 border border-amber-200 rounded-lg max-w-2xl">
+      <p className="text-sm font-semibold text-amber-900">Copy this API key now — it won&apos;t be shown again.</p>
+      <p className="text-xs text-amber-800 mt-1">
+        Configure it on the unit; it uploads telemetry with <code>Authorization: Bearer &lt;key&gt;</code>.
+      </p>
+      <div className="flex items-center gap-2 mt-3">
+        <code className="flex-1 px-3 py-2 text-xs sm:text-sm bg-white border border-amber-200 rounded-lg font-mono break-all">
+          {apiKey}
+        </code>
+        <button
+          type="button"
+          onClick={copy}
+          className="px-3 py-2 text-sm font-medium text-amber-900 bg-white border border-amber-300 rounded-lg hover:bg-amber-100 transition-colors"
+        >
+          {copied ? 'Copied' : 'Copy'}
+        </button>
+      </div>
+      {children}
+    </div>
+  );
+}
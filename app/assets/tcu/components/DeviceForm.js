@@ -0,0 +1,127 @@
+'use client';
+
+import { useState } from 'react';
+import { useSession } from 'next-auth/react';
+import { useHierarchy } from '@/app/hooks/useHierarchy';
+import { hasHubAccess } from '@/app/utils/auth';
+
+const inputClass =
+  'w-full px-3 sm:px-4 py-2.5 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-emerald-500 focus:border-emerald-500 transition-colors';
+const labelClass = 'block text-xs sm:text-sm font-medium text-gray-700 mb-1.5';
+
+/**
+ * Create/edit form for a TCU. A paired device follows its vehicle's hub,
+ * so the hub picker only applies to unpaired devices.
+ */
+export default function DeviceForm({ initialDevice, onSubmit, onCancel, submitLabel }) {
+  const { data: session } = useSession();
+  const { hierarchy, error: hierarchyError } = useHierarchy();
+  const [form, setForm] = useState({
+    deviceId: initialDevice?.deviceId || '',
+    vehicle: initialDevice?.vehicle || '',
+    hub: initialDevice?.hub || '',
+    firmwareVersion: initialDevice?.firmwareVersion || '',
+  });
+  const [error, setError] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  const hubs = Object.keys(hierarchy.hubs).filter((hub) => hasHubAccess(session?.user, hub, hierarchy));
+
+  const update = (field, value) => setForm((prev) => ({ ...prev, [field]: value }));
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setSaving(true);
+
+    const { deviceId, hub, ...fields } = form;
+    const payload = initialDevice ? fields : { deviceId, ...fields };
+    if (!form.vehicle) payload.hub = hub;
+
+    try {
+      await onSubmit(payload);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4 max-w-2xl">
+      {(error || hierarchyError) && (
+        <div className="p-3 bg-red-50 border border-red-200 rounded-lg">
+          <p className="text-sm text-red-800">{error || hierarchyError}</p>
+        </div>
+      )}
+
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+        <div>
+          <label htmlFor="deviceId" className={labelClass}>IMEI / Device ID</label>
+          <input
+            id="deviceId"
+            value={form.deviceId}
+            onChange={(e) => update('deviceId', e.target.value)}
+            required
+            disabled={!!initialDevice}
+            maxLength={32}
+            placeholder="356938035643809"
+            className={`${inputClass} font-mono disabled:bg-gray-50 disabled:text-gray-500`}
+          />
+        </div>
+        <div>
+          <label htmlFor="firmwareVersion" className={labelClass}>Firmware Version</label>
+          <input
+            id="firmwareVersion"
+            value={form.firmwareVersion}
+            onChange={(e) => update('firmwareVersion', e.target.value)}
+            maxLength={32}
+            placeholder="Reported by the unit if left blank"
+            className={inputClass}
+          />
+        </div>
+        <div>
+          <label htmlFor="vehicle" className={labelClass}>Paired Vehicle</label>
+          <input
+            id="vehicle"
+            value={form.vehicle}
+            onChange={(e) => update('vehicle', e.target.value)}
+            placeholder="EV-2026-001 (leave blank if unpaired)"
+            className={`${inputClass} uppercase`}
+          />
+        </div>
+        <div>
+          <label htmlFor="hub" className={labelClass}>Hub</label>
+          <select
+            id="hub"
+            value={form.vehicle ? '' : form.hub}
+            onChange={(e) => update('hub', e.target.value)}
+            required={!form.vehicle}
+            disabled={!!form.vehicle}
+            className={`${inputClass} disabled:bg-gray-50 disabled:text-gray-500`}
+          >
+            <option value="">{form.vehicle ? "Vehicle's hub" : 'Select hub'}</option>
+            {hubs.map((hub) => (
+              <option key={hub} value={hub}>{hierarchy.names.hub[hub] || hub}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      <div className="flex items-center gap-3">
+        <button
+          type="submit"
+          disabled={saving}
+          className="px-5 py-2.5 bg-emerald-600 text-white rounded-lg text-sm font-semibold hover:bg-emerald-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          {saving ? 'Saving...' : submitLabel}
+        </button>
+        {onCancel && (
+          <button type="button" onClick={onCancel} className="px-4 py-2.5 text-sm text-gray-600 hover:text-gray-900">
+            Cancel
+          </button>
+        )}
+      </div>
+    </form>
+  );
+}
@@ -0,0 +1,25 @@
+// Display helpers for the TCU list and detail pages
+
+export const STATE_OPTIONS = [
+  { value: 'online', label: 'Online' },
+  { value: 'offline', label: 'Offline' },
+];
+
+export function deviceStatus(device) {
+  if (device.decommissionedAt) return 'inactive';
+  if (device.maintenanceSince) return 'maintenance';
+  return device.online ? 'online' : 'offline';
+}
+
+/**
+ * "3 min ago" style age of a UTC SQLite timestamp
+ */
+export function formatLastSeen(timestamp) {
+  if (!timestamp) return 'Never';
+
+  const minutes = Math.floor((Date.now() - new Date(`${timestamp.replace(' ', 'T')}Z`).getTime()) / 60000);
+  if (minutes < 1) return 'Just now';
+  if (minutes < 60) return `${minutes} min ago`;
+  if (minutes < 24 * 60) return `${Math.floor(minutes / 60)} h ago`;
+  return new Date(`${timestamp.replace(' ', 'T')}Z`).toLocaleString();
+}
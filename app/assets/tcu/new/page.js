@@ -0,0 +1,43 @@
+'use client';
+
+import { useState } from 'react';
+import Link from 'next/link';
+import ApiKeyNotice from '../components/ApiKeyNotice';
+import DeviceForm from '../components/DeviceForm';
+
+export default function NewDevicePage() {
+  const [created, setCreated] = useState(null);
+
+  const createDevice = async (form) => {
+    const res = await fetch('/api/tcu/devices', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(form),
+    });
+    const data = await res.json();
+    if (!res.ok) throw new Error(data.error || 'Failed to register device');
+
+    setCreated(data);
+  };
+
+  return (
+    <div>
+      <Link href="/assets/tcu" className="text-sm text-emerald-600 hover:text-emerald-700 font-medium">
+        ← Back to TCUs
+      </Link>
+      <h2 className="text-base sm:text-lg md:text-xl font-semibold text-gray-900 mt-3 mb-4 sm:mb-6">Register TCU</h2>
+      {created ? (
+        <ApiKeyNotice apiKey={created.apiKey}>
+          <Link
+            href={`/assets/tcu/${created.device.deviceId}`}
+            className="inline-block mt-3 text-sm text-emerald-600 hover:text-emerald-700 font-medium"
+          >
+            Continue to {created.device.deviceId} →
+          </Link>
+        </ApiKeyNotice>
+      ) : (
+        <DeviceForm onSubmit={createDevice} submitLabel="Register Device" />
+      )}
+    </div>
+  );
+}
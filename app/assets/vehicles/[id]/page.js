@@ -0,0 +1,133 @@
+'use client';
+
+import { use, useEffect, useState } from 'react';
+import Link from 'next/link';
+import StatusBadge from '@/app/components/StatusBadge';
+import { useHierarchy } from '@/app/hooks/useHierarchy';
+import VehicleForm from '../components/VehicleForm';
+
+function Detail({ label, value, mono }) {
+  return (
+    <div>
+      <dt className="text-xs font-medium text-gray-500 uppercase tracking-wide">{label}</dt>
+      <dd className={`mt-1 text-sm text-gray-900 ${mono ? 'font-mono' : ''}`}>{value ?? '—'}</dd>
+    </div>
+  );
+}
+
+export default function VehicleDetailPage({ params }) {
+  const { id } = use(params);
+  const { hierarchy } = useHierarchy();
+  const [vehicle, setVehicle] = useState(null);
+  const [editing, setEditing] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    fetch(`/api/vehicles/${id}`)
+      .then(async (res) => {
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || 'Failed to load vehicle');
+        setVehicle(data.vehicle);
+      })
+      .catch((err) => setError(err.message));
+  }, [id]);
+
+  const saveVehicle = async (form) => {
+    const res = await fetch(`/api/vehicles/${id}`, {
+      method: 'PATCH',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(form),
+    });
+    const data = await res.json();
+    if (!res.ok) throw new Error(data.error || 'Failed to save vehicle');
+
+    setVehicle(data.vehicle);
+    setEditing(false);
+  };
+
+  const retire = async () => {
+    if (!confirm(`Retire ${id}? Retired vehicles can no longer be edited.`)) return;
+
+    setError('');
+    const res = await fetch(`/api/vehicles/${id}`, { method: 'DELETE' });
+    const data = await res.json();
+    if (!res.ok) {
+      setError(data.error || 'Failed to retire vehicle');
+      return;
+    }
+    setVehicle(data.vehicle);
+  };
+
+  return (
+    <div>
+      <Link href="/assets/vehicles" className="text-sm text-emerald-600 hover:text-emerald-700 font-medium">
+        ← Back to vehicles
+      </Link>
+
+      {error && (
+        <div className="mt-4 p-3 bg-red-50 border border-red-200 rounded-lg">
+          <p className="text-sm text-red-800">{error}</p>
+        </div>
+      )}
+
+      {vehicle && (
+        <>
+          <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3 mt-3 mb-4 sm:mb-6">
+            <div>
+              <div className="flex items-center gap-3">
+                <h2 className="text-base sm:text-lg md:text-xl font-semibold text-gray-900">{vehicle.id}</h2>
+                <StatusBadge status={vehicle.retiredAt ? 'inactive' : vehicle.status} size="sm" />
+              </div>
+              <p className="text-xs sm:text-sm text-gray-500 mt-0.5">{vehicle.model}</p>
+            </div>
+            {!vehicle.retiredAt && !editing && (
+              <div className="flex items-center gap-2">
+                <button
+                  onClick={() => setEditing(true)}
+                  className="px-4 py-2 text-sm font-medium text-gray-700 bg-white border border-gray-300 rounded-lg hover:bg-gray-50 transition-colors"
+                >
+                  Edit
+                </button>
+                <button
+                  onClick={retire}
+                  className="px-4 py-2 text-sm font-medium text-red-700 bg-red-50 border border-red-200 rounded-lg hover:bg-red-100 transition-colors"
+                >
+                  Retire
+                </button>
+              </div>
+            )}
+          </div>
+
+          {editing ? (
+            <VehicleForm
+              initialVehicle={vehicle}
+              onSubmit={saveVehicle}
+              onCancel={() => setEditing(false)}
+              submitLabel="Save Changes"
+            />
+          ) : (
+            <dl className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-4 sm:gap-6">
+              <Detail label="VIN" value={vehicle.vin} mono />
+              <Detail label="Registration" value={vehicle.registrationNumber} mono />
+              <Detail label="Model" value={vehicle.model} />
+              <Detail label="Hub" value={hierarchy.names.hub[vehicle.hub] || vehicle.hub} />
+              <Detail label="Scope" value={`${vehicle.area}, ${vehicle.circle} (${vehicle.region.toUpperCase()})`} />
+              <Detail label="Odometer" value={`${vehicle.odometerKm.toLocaleString()} km`} />
+              <Detail
+                label="Current Battery"
+                value={vehicle.batterySerial && (
+                  <Link href={`/assets/batteries/inventory/${vehicle.batterySerial}`} className="text-emerald-600 hover:text-emerald-700">
+                    {vehicle.batterySerial}
+                  </Link>
+                )}
+                mono
+              />
+              <Detail label="Registered" value={new Date(`${vehicle.createdAt}Z`).toLocaleDateString()} />
+              {vehicle.retiredAt && <Detail label="Retired" value={new Date(`${vehicle.retiredAt}Z`).toLocaleDateString()} />}
+            </dl>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,120 @@
+'use client';
+
+import { useState } from 'react';
+import { useSession } from 'next-auth/react';
+import { useHierarchy } from '@/app/hooks/useHierarchy';
+import { hasHubAccess } from '@/app/utils/auth';
+
+const inputClass =
+  'w-full px-3 sm:px-4 py-2.5 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-emerald-500 focus:border-emerald-500 transition-colors';
+const labelClass = 'block text-xs sm:text-sm font-medium text-gray-700 mb-1.5';
+
+export const VEHICLE_STATUS_OPTIONS = [
+  { value: 'available', label: 'Available' },
+  { value: 'inuse', label: 'In Use' },
+  { value: 'maintenance', label: 'Maintenance' },
+];
+
+/**
+ * Create/edit form for a vehicle. Hub options are limited to hubs in the user's scope.
+ */
+export default function VehicleForm({ initialVehicle, onSubmit, onCancel, submitLabel }) {
+  const { data: session } = useSession();
+  const { hierarchy, error: hierarchyError } = useHierarchy();
+  const [form, setForm] = useState({
+    vin: initialVehicle?.vin || '',
+    registrationNumber: initialVehicle?.registrationNumber || '',
+    model: initialVehicle?.model || '',
+    hub: initialVehicle?.hub || '',
+    status: initialVehicle?.status || 'available',
+    odometerKm: initialVehicle?.odometerKm ?? 0,
+  });
+  const [error, setError] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  const hubs = Object.keys(hierarchy.hubs).filter((hub) => hasHubAccess(session?.user, hub, hierarchy));
+
+  const update = (field, value) => setForm((prev) => ({ ...prev, [field]: value }));
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setSaving(true);
+
+    try {
+      await onSubmit({ ...form, odometerKm: Number(form.odometerKm) });
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4 max-w-2xl">
+      {(error || hierarchyError) && (
+        <div className="p-3 bg-red-50 border border-red-200 rounded-lg">
+          <p className="text-sm text-red-800">{error || hierarchyError}</p>
+        </div>
+      )}
+
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+        <div>
+          <label htmlFor="vin" className={labelClass}>VIN</label>
+          <input id="vin" value={form.vin} onChange={(e) => update('vin', e.target.value)} required maxLength={17} className={`${inputClass} font-mono uppercase`} />
+        </div>
+        <div>
+          <label htmlFor="registrationNumber" className={labelClass}>Registration Number</label>
+          <input
+            id="registrationNumber"
+            value={form.registrationNumber}
+            onChange={(e) => update('registrationNumber', e.target.value)}
+            required
+            placeholder="MH01AB1234"
+            className={`${inputClass} uppercase`}
+          />
+        </div>
+        <div>
+          <label htmlFor="model" className={labelClass}>Model</label>
+          <input id="model" value={form.model} onChange={(e) => update('model', e.target.value)} required className={inputClass} />
+        </div>
+        <div>
+          <label htmlFor="hub" className={labelClass}>Assigned Hub</label>
+          <select id="hub" value={form.hub} onChange={(e) => update('hub', e.target.value)} required className={inputClass}>
+            <option value="">Select hub</option>
+            {hubs.map((hub) => (
+              <option key={hub} value={hub}>{hierarchy.names.hub[hub] || hub}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label htmlFor="status" className={labelClass}>Status</label>
+          <select id="status" value={form.status} onChange={(e) => update('status', e.target.value)} className={inputClass}>
+            {VEHICLE_STATUS_OPTIONS.map((option) => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label htmlFor="odometerKm" className={labelClass}>Odometer (km)</label>
+          <input id="odometerKm" type="number" min={0} value={form.odometerKm} onChange={(e) => update('odometerKm', e.target.value)} className={inputClass} />
+        </div>
+      </div>
+
+      <div className="flex items-center gap-3">
+        <button
+          type="submit"
+          disabled={saving}
+          className="px-5 py-2.5 bg-emerald-600 text-white rounded-lg text-sm font-semibold hover:bg-emerald-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          {saving ? 'Saving...' : submitLabel}
+        </button>
+        {onCancel && (
+          <button type="button" onClick={onCancel} className="px-4 py-2.5 text-sm text-gray-600 hover:text-gray-900">
+            Cancel
+          </button>
+        )}
+      </div>
+    </form>
+  );
+}
@@ -0,0 +1,31 @@
+'use client';
+
+import Link from 'next/link';
+import { useRouter } from 'next/navigation';
+import VehicleForm from '../components/VehicleForm';
+
+export default function NewVehiclePage() {
+  const router = useRouter();
+
+  const createVehicle = async (form) => {
+    const res = await fetch('/api/vehicles', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(form),
+    });
+    const data = await res.json();
+    if (!res.ok) throw new Error(data.error || 'Failed to create vehicle');
+
+    router.push(`/assets/vehicles/${data.vehicle.id}`);
+  };
+
+  return (
+    <div>
+      <Link href="/assets/vehicles" className="text-sm text-emerald-600 hover:text-emerald-700 font-medium">
+        ← Back to vehicles
+      </Link>
+      <h2 className="text-base sm:text-lg md:text-xl font-semibold text-gray-900 mt-3 mb-4 sm:mb-6">New Vehicle</h2>
+      <VehicleForm onSubmit={createVehicle} submitLabel="Register Vehicle" />
+    </div>
+  );
+}
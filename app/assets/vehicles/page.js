@@ -1,16 +1,168 @@
+'use client';
+
+import { useEffect, useState } from 'react';
+import Link from 'next/link';
+import { useRouter } from 'next/navigation';
+import { useSession } from 'next-auth/react';
+import ExportButton from '@/app/components/ExportButton';
+import StatusBadge from '@/app/components/StatusBadge';
+import { useHierarchy } from '@/app/hooks/useHierarchy';
+import { hasHubAccess } from '@/app/utils/auth';
+import { VEHICLE_STATUS_OPTIONS } from './components/VehicleForm';
+
+const PAGE_SIZE = 20;
+
 export default function VehiclesPage() {
+  const router = useRouter();
+  const { data: session } = useSession();
+  const { hierarchy } = useHierarchy();
+  const [filters, setFilters] = useState({ q: '', status: '', hub: '', includeRetired: false, page: 1 });
+  const [search, setSearch] = useState('');
+  const [result, setResult] = useState({ vehicles: [], total: 0 });
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    const query = new URLSearchParams({ page: filters.page, pageSize: PAGE_SIZE });
+    if (filters.q) query.set('q', filters.q);
+    if (filters.status) query.set('status', filters.status);
+    if (filters.hub) query.set('hub', filters.hub);
+    if (filters.includeRetired) query.set('includeRetired', 'true');
+
+    fetch(`/api/vehicles?${query}`)
+      .then((res) => (res.ok ? res.json() : Promise.reject(new Error('Failed to load vehicles'))))
+      .then((data) => setResult(data))
+      .catch((err) => setError(err.message))
+      .finally(() => setLoading(false));
+  }, [filters]);
+
+  const updateFilter = (field, value) => setFilters((prev) => ({ ...prev, [field]: value, page: 1 }));
+  const totalPages = Math.max(1, Math.ceil(result.total / PAGE_SIZE));
+  const hubs = Object.keys(hierarchy.hubs).filter((hub) => hasHubAccess(session?.user, hub, hierarchy));
+
   return (
-    <div className="text-center py-6 sm:py-8 md:py-12">
-      <div className="w-14 h-14 sm:w-16 sm:h-16 md:w-20 md:h-20 bg-emerald-100 rounded-full flex items-center justify-center mx-auto mb-3 sm:mb-4">
-        <svg className="w-7 h-7 sm:w-8 sm:h-8 md:w-10 md:h-10 text-emerald-600" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M8 7h12m0 0l-4-4m4 4l-4 4m0 6H4m0 0l4 4m-4-4l4-4" />
-        </svg>
+    <div>
+      <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-3 mb-4 sm:mb-6">
+        <form
+          onSubmit={(e) => {
+            e.preventDefault();
+            updateFilter('q', search.trim());
+          }}
+          className="flex flex-1 flex-wrap items-center gap-2"
+        >
+          <input
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+            placeholder="Search asset id, VIN, registration, model"
+            className="flex-1 min-w-[12rem] px-3 py-2 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-emerald-500 focus:border-emerald-500"
+          />
+          <select
+            value={filters.status}
+            onChange={(e) => updateFilter('status', e.target.value)}
+            className="px-3 py-2 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-emerald-500 focus:border-emerald-500"
+          >
+            <option value="">All statuses</option>
+            {VEHICLE_STATUS_OPTIONS.map((option) => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+          <select
+            value={filters.hub}
+            onChange={(e) => updateFilter('hub', e.target.value)}
+            className="px-3 py-2 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-emerald-500 focus:border-emerald-500"
+          >
+            <option value="">All hubs</option>
+            {hubs.map((hub) => (
+              <option key={hub} value={hub}>{hierarchy.names.hub[hub] || hub}</option>
+            ))}
+          </select>
+          <label className="flex items-center gap-1.5 text-xs sm:text-sm text-gray-600">
+            <input
+              type="checkbox"
+              checked={filters.includeRetired}
+              onChange={(e) => updateFilter('includeRetired', e.target.checked)}
+              className="rounded border-gray-300 text-emerald-600 focus:ring-emerald-500"
+            />
+            Show retired
+          </label>
+        </form>
+        <div className="flex items-center gap-2">
+          <ExportButton report="vehicles" filters={filters} />
+          <Link
+            href="/assets/vehicles/new"
+            className="px-4 py-2 text-sm font-medium text-white bg-emerald-600 rounded-lg hover:bg-emerald-700 transition-colors whitespace-nowrap text-center"
+          >
+            Add Vehicle
+          </Link>
+        </div>
+      </div>
+
+      {error && (
+        <div className="mb-4 p-3 bg-red-50 border border-red-200 rounded-lg">
+          <p className="text-sm text-red-800">{error}</p>
+        </div>
+      )}
+
+      {loading ? (
+        <p className="text-sm text-gray-500 py-8 text-center">Loading...</p>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-xs font-medium text-gray-500 uppercase tracking-wide border-b border-gray-200">
+                <th className="py-2 pr-4">Asset</th>
+                <th className="py-2 pr-4">Registration</th>
+                <th className="py-2 pr-4 hidden md:table-cell">Model</th>
+                <th className="py-2 pr-4 hidden sm:table-cell">Hub</th>
+                <th className="py-2 pr-4 hidden lg:table-cell text-right">Odometer</th>
+                <th className="py-2">Status</th>
+              </tr>
+            </thead>
+            <tbody>
+              {result.vehicles.map((vehicle) => (
+                <tr
+                  key={vehicle.id}
+                  onClick={() => router.push(`/assets/vehicles/${vehicle.id}`)}
+                  className="border-b border-gray-100 hover:bg-emerald-50/50 cursor-pointer transition-colors"
+                >
+                  <td className="py-3 pr-4 font-semibold text-gray-900">{vehicle.id}</td>
+                  <td className="py-3 pr-4 font-mono text-xs text-gray-700">{vehicle.registrationNumber}</td>
+                  <td className="py-3 pr-4 hidden md:table-cell text-gray-700">{vehicle.model}</td>
+                  <td className="py-3 pr-4 hidden sm:table-cell text-gray-600">{hierarchy.names.hub[vehicle.hub] || vehicle.hub}</td>
+                  <td className="py-3 pr-4 hidden lg:table-cell text-right text-gray-600">{vehicle.odometerKm.toLocaleString()} km</td>
+                  <td className="py-3">
+                    <StatusBadge status={vehicle.retiredAt ? 'inactive' : vehicle.status} size="sm" />
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {result.vehicles.length === 0 && (
+            <p className="text-sm text-gray-500 py-8 text-center">No vehicles found.</p>
+          )}
+        </div>
+      )}
+
+      <div className="flex items-center justify-between mt-4 text-xs sm:text-sm text-gray-600">
+        <span>{result.total} vehicle{result.total === 1 ? '' : 's'}</span>
+        <div className="flex items-center gap-2">
+          <button
+            onClick={() => setFilters((prev) => ({ ...prev, page: prev.page - 1 }))}
+            disabled={filters.page <= 1}
+            className="px-3 py-1.5 border border-gray-300 rounded-lg hover:bg-gray-50 disabled:opacity-40 disabled:cursor-not-allowed"
+          >
+            Previous
+          </button>
+          <span>Page {filters.page} of {totalPages}</span>
+          <button
+            onClick={() => setFilters((prev) => ({ ...prev, page: prev.page + 1 }))}
+            disabled={filters.page >= totalPages}
+            className="px-3 py-1.5 border border-gray-300 rounded-lg hover:bg-gray-50 disabled:opacity-40 disabled:cursor-not-allowed"
+          >
+            Next
+          </button>
+        </div>
       </div>
-      <h2 className="text-base sm:text-lg md:text-xl font-semibold text-gray-900 mb-1 sm:mb-2">Vehicles</h2>
-      <p className="text-gray-500 text-xs sm:text-sm md:text-base max-w-md mx-auto px-3 sm:px-4">
-        Vehicle data will be displayed here. This section is ready for database integration.
-      </p>
     </div>
   );
 }
-
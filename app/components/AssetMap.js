@@ -0,0 +1,144 @@
+'use client';
+
+import { useEffect, useRef, useState } from 'react';
+import 'leaflet/dist/leaflet.css';
+
+// Tiles come from the environment so the map can run against a
+// self-hosted tile server when there's no internet access
+const TILE_URL = process.env.NEXT_PUBLIC_MAP_TILE_URL || 'https://tile.openstreetmap.org/{z}/{x}/{y}.png';
+const TILE_ATTRIBUTION =
+  process.env.NEXT_PUBLIC_MAP_TILE_ATTRIBUTION || '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors';
+const MAX_ZOOM = Number(process.env.NEXT_PUBLIC_MAP_MAX_ZOOM) || 19;
+
+// Centre of India, shown until there are markers to fit
+const DEFAULT_CENTER = [22.5, 79];
+const DEFAULT_ZOOM = 5;
+
+// Clustering: markers closer than one grid cell (in screen pixels) are
+// drawn as a single counted bubble, until the map is zoomed in this far
+const CLUSTER_CELL_PX = 56;
+const CLUSTER_MAX_ZOOM = 15;
+
+function markerIcon(L, marker) {
+  const radius = marker.shape === 'square' ? '3px' : '50%';
+  return L.divIcon({
+    className: '',
+    iconSize: [18, 18],
+    html: `<span style="display:block;width:18px;height:18px;border-radius:${radius};background:${marker.color};border:2px solid #fff;box-shadow:0 1px 3px rgba(0,0,0,.4)"></span>`,
+  });
+}
+
+function clusterIcon(L, count) {
+  const size = count < 10 ? 30 : count < 100 ? 36 : 44;
+  return L.divIcon({
+    className: '',
+    iconSize: [size, size],
+    html: `<span style="display:flex;align-items:center;justify-content:center;width:${size}px;height:${size}px;border-radius:50%;background:rgba(5,150,105,.85);border:3px solid rgba(209,250,229,.9);color:#fff;font:600 12px sans-serif">${count}</span>`,
+  });
+}
+
+// Group markers that fall in the same pixel grid cell at the current zoom
+function groupMarkers(map, markers) {
+  const zoom = map.getZoom();
+  if (zoom >= CLUSTER_MAX_ZOOM) return markers.map((marker) => [marker]);
+
+  const cells = new Map();
+  for (const marker of markers) {
+    const point = map.project([marker.latitude, marker.longitude], zoom);
+    const key = `${Math.floor(point.x / CLUSTER_CELL_PX)}:${Math.floor(point.y / CLUSTER_CELL_PX)}`;
+    if (!cells.has(key)) cells.set(key, []);
+    cells.get(key).push(marker);
+  }
+  return [...cells.values()];
+}
+
+/**
+ * Leaflet map of coloured asset markers.
+ * markers: [{ id, latitude, longitude, color, title, shape?: 'circle' | 'square' }]
+ * `cluster` groups nearby markers into counted bubbles at low zoom.
+ * The view fits the markers the first time there are any, and again
+ * whenever `fitKey` changes (e.g. when filters change), but not on
+ * every marker update, so live updates don't yank the view around.
+ * Leaflet touches `window`, so it is loaded only in the browser.
+ */
+export default function AssetMap({ markers, onMarkerClick, cluster = false, fitKey, className = 'h-96' }) {
+  const containerRef = useRef(null);
+  const mapRef = useRef(null);
+  const layerRef = useRef(null);
+  const clickRef = useRef(onMarkerClick);
+  const fittedRef = useRef(null);
+  const [ready, setReady] = useState(false);
+
+  useEffect(() => {
+    clickRef.current = onMarkerClick;
+  }, [onMarkerClick]);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    import('leaflet').then((L) => {
+      if (cancelled || mapRef.current) return;
+
+      const map = L.map(containerRef.current).setView(DEFAULT_CENTER, DEFAULT_ZOOM);
+      L.tileLayer(TILE_URL, { attribution: TILE_ATTRIBUTION, maxZoom: MAX_ZOOM }).addTo(map);
+      mapRef.current = { L, map };
+      layerRef.current = L.layerGroup().addTo(map);
+      setReady(true);
+    });
+
+    return () => {
+      cancelled = true;
+      mapRef.current?.map.remove();
+      mapRef.current = null;
+    };
+  }, []);
+
+  useEffect(() => {
+    if (!ready) return;
+    const { L, map } = mapRef.current;
+
+    const draw = () => {
+      layerRef.current.clearLayers();
+      const groups = cluster ? groupMarkers(map, markers) : markers.map((marker) => [marker]);
+
+      for (const group of groups) {
+        if (group.length === 1) {
+          const [marker] = group;
+          L.marker([marker.latitude, marker.longitude], { icon: markerIcon(L, marker) })
+            .bindTooltip(marker.title)
+            .on('click', () => clickRef.current?.(marker))
+            .addTo(layerRef.current);
+          continue;
+        }
+
+        const bounds = L.latLngBounds(group.map((marker) => [marker.latitude, marker.longitude]));
+        L.marker(bounds.getCenter(), { icon: clusterIcon(L, group.length) })
+          .bindTooltip(`${group.length} assets`)
+          .on('click', () => {
+            // Markers at the same spot never separate by fitting; step in instead
+            if (bounds.getNorthEast().equals(bounds.getSouthWest())) {
+              map.setView(bounds.getCenter(), Math.min(map.getZoom() + 2, CLUSTER_MAX_ZOOM));
+            } else {
+              map.fitBounds(bounds, { padding: [32, 32] });
+            }
+          })
+          .addTo(layerRef.current);
+      }
+    };
+
+    const fitKeyChanged = fittedRef.current !== null && fittedRef.current !== String(fitKey);
+    if (markers.length && (fittedRef.current === null || fitKeyChanged)) {
+      fittedRef.current = String(fitKey);
+      map.fitBounds(
+        markers.map((marker) => [marker.latitude, marker.longitude]),
+        { padding: [32, 32], maxZoom: 14 }
+      );
+    }
+
+    draw();
+    map.on('zoomend', draw);
+    return () => map.off('zoomend', draw);
+  }, [ready, markers, cluster, fitKey]);
+
+  return <div ref={containerRef} className={`${className} w-full rounded-lg border border-gray-200 z-0`} />;
+}
@@ -2,9 +2,12 @@
 
 import Link from 'next/link';
 import { usePathname } from 'next/navigation';
+import { useSession } from 'next-auth/react';
+import { canAccessRoute } from '../utils/permissions';
 
 export default function BottomNavbar() {
   const pathname = usePathname();
+  const { data: session } = useSession();
 
   const navItems = [
     { 
@@ -25,6 +28,15 @@ export default function BottomNavbar() {
         </svg>
       )
     },
+    { 
+      href: '/map', 
+      label: 'Map', 
+      icon: (
+        <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 20l-5.447-2.724A1 1 0 013 16.382V5.618a1 1 0 011.447-.894L9 7m0 13l6-3m-6 3V7m6 10l4.553 2.276A1 1 0 0021 18.382V7.618a1 1 0 00-.553-.894L15 4m0 13V4m0 0L9 7" />
+        </svg>
+      )
+    },
     { 
       href: '/work-orders', 
       label: 'Orders', 
@@ -43,7 +55,16 @@ export default function BottomNavbar() {
         </svg>
       )
     },
-  ];
+    { 
+      href: '/admin', 
+      label: 'Admin', 
+      icon: (
+        <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 12l2 2 4-4m5.618-4.016A11.955 11.955 0 0112 2.944a11.955 11.955 0 01-8.618 3.04A12.02 12.02 0 003 9c0 5.591 3.824 10.29 9 11.622 5.176-1.332 9-6.03 9-11.622 0-1.042-.133-2.052-.382-3.016z" />
+        </svg>
+      )
+    },
+  ].filter((item) => canAccessRoute(session?.user, item.href));
 
   const isActive = (href) => {
     if (href === '/') {
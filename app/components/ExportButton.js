@@ -0,0 +1,116 @@
+'use client';
+
+import { useEffect, useRef, useState } from 'react';
+
+const FORMATS = [
+  { value: 'csv', label: 'CSV' },
+  { value: 'xlsx', label: 'Excel (XLSX)' },
+  { value: 'pdf', label: 'PDF' },
+];
+
+const POLL_INTERVAL_MS = 2000;
+
+/**
+ * Export a report (see app/lib/reports.js) with the filters the page has
+ * applied. Small exports download straight away; large ones are prepared
+ * in the background and offered as a download link when ready.
+ */
+export default function ExportButton({ report, filters }) {
+  const [open, setOpen] = useState(false);
+  const [job, setJob] = useState(null);
+  const [starting, setStarting] = useState(false);
+  const [error, setError] = useState('');
+  const menu = useRef(null);
+
+  // Close the menu on a click anywhere else
+  useEffect(() => {
+    if (!open) return;
+    const close = (e) => {
+      if (!menu.current?.contains(e.target)) setOpen(false);
+    };
+    document.addEventListener('mousedown', close);
+    return () => document.removeEventListener('mousedown', close);
+  }, [open]);
+
+  // Poll a background export until it's done or has failed
+  const pending = !!job && (job.status === 'queued' || job.status === 'running');
+  useEffect(() => {
+    if (!pending) return;
+    const timer = setInterval(() => {
+      fetch(`/api/exports/${job.id}`)
+        .then((res) => (res.ok ? res.json() : Promise.reject(new Error('Failed to check the export'))))
+        .then((data) => setJob(data.export))
+        .catch((err) => {
+          setError(err.message);
+          setJob(null);
+        });
+    }, POLL_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, [pending, job?.id]);
+
+  const start = async (format) => {
+    setOpen(false);
+    setError('');
+    setJob(null);
+    setStarting(true);
+    try {
+      const res = await fetch('/api/exports', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ report, format, filters }),
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Export failed');
+
+      if (data.export.status === 'done') {
+        window.location.assign(data.export.downloadUrl);
+      } else {
+        setJob(data.export);
+      }
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setStarting(false);
+    }
+  };
+
+  return (
+    <div ref={menu} className="relative flex items-center gap-3">
+      {job?.status === 'done' && (
+        <a href={job.downloadUrl} onClick={() => setJob(null)} className="text-sm font-medium text-emerald-600 hover:text-emerald-700 whitespace-nowrap">
+          Download ready
+        </a>
+      )}
+      {job?.status === 'failed' && <span className="text-sm text-red-600">{job.error || 'Export failed'}</span>}
+      {error && <span className="text-sm text-red-600">{error}</span>}
+      {pending && (
+        <span className="text-sm text-gray-500 whitespace-nowrap">Preparing {job.rowCount.toLocaleString()} rows...</span>
+      )}
+
+      <button
+        onClick={() => setOpen((value) => !value)}
+        disabled={starting || pending}
+        className="px-4 py-2 text-sm font-medium text-gray-700 bg-white border border-gray-300 rounded-lg hover:bg-gray-50 transition-colors whitespace-nowrap disabled:opacity-50"
+      >
+        <svg className="w-4 h-4 inline mr-1.5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 10v6m0 0l-3-3m3 3l3-3m2 8H7a2 2 0 01-2-2V5a2 2 0 012-2h5.586a1 1 0 01.707.293l5.414 5.414a1 1 0 01.293.707V19a2 2 0 01-2 2z" />
+        </svg>
+        {starting || pending ? 'Exporting...' : 'Export'}
+      </button>
+
+      {open && (
+        <div className="absolute right-0 top-full mt-1 z-20 w-40 py-1 bg-white border border-gray-200 rounded-lg shadow-lg">
+          {FORMATS.map((format) => (
+            <button
+              key={format.value}
+              onClick={() => start(format.value)}
+              className="block w-full px-4 py-2 text-left text-sm text-gray-700 hover:bg-emerald-50"
+            >
+              {format.label}
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -14,17 +14,19 @@ export default function LayoutWrapper({ children }) {
   const pathname = usePathname();
   const { data: session, status } = useSession();
   const router = useRouter();
+  // The login page and its forgot/reset password pages
+  const isLoginPage = pathname?.startsWith('/login');
   
   // Redirect to login if not authenticated (defense in depth)
   // This hook must be called on every render, even for login page
   useEffect(() => {
-    if (status === 'unauthenticated' && pathname !== '/login') {
+    if (status === 'unauthenticated' && !isLoginPage) {
       router.push('/login');
     }
-  }, [status, pathname, router]);
+  }, [status, isLoginPage, router]);
 
   // Don't show sidebar/navbar on login page
-  if (pathname === '/login') {
+  if (isLoginPage) {
     return <>{children}</>;
   }
 
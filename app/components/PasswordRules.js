@@ -0,0 +1,27 @@
+import { PASSWORD_RULES } from '../utils/passwordPolicy';
+
+/**
+ * Checklist of the password strength rules, ticked off as the password
+ * is typed
+ */
+export default function PasswordRules({ password, email }) {
+  return (
+    <ul className="mt-2 space-y-0.5">
+      {PASSWORD_RULES.map((rule) => {
+        const met = Boolean(password) && rule.test(password, { email });
+        return (
+          <li key={rule.label} className={`flex items-center gap-1.5 text-xs ${met ? 'text-emerald-700' : 'text-gray-500'}`}>
+            <svg className="w-3.5 h-3.5 flex-shrink-0" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              {met ? (
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M5 13l4 4L19 7" />
+              ) : (
+                <circle cx="12" cy="12" r="4" strokeWidth={2} />
+              )}
+            </svg>
+            {rule.label}
+          </li>
+        );
+      })}
+    </ul>
+  );
+}
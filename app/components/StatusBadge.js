@@ -1,54 +1,165 @@
-export default function StatusBadge({ status, size = 'md' }) {
-  const statusConfig = {
-    active: { 
-      color: 'bg-emerald-100 text-emerald-800 border-emerald-200', 
-      label: 'Active',
-      dot: 'bg-emerald-500'
-    },
-    available: { 
-      color: 'bg-emerald-100 text-emerald-800 border-emerald-200', 
-      label: 'Available',
-      dot: 'bg-emerald-500'
-    },
-    inuse: { 
-      color: 'bg-blue-100 text-blue-800 border-blue-200', 
-      label: 'In Use',
-      dot: 'bg-blue-500'
-    },
-    'in-use': { 
-      color: 'bg-blue-100 text-blue-800 border-blue-200', 
-      label: 'In Use',
-      dot: 'bg-blue-500'
-    },
-    'in-progress': { 
-      color: 'bg-blue-100 text-blue-800 border-blue-200', 
-      label: 'In Progress',
-      dot: 'bg-blue-500'
-    },
-    maintenance: { 
-      color: 'bg-yellow-100 text-yellow-800 border-yellow-200', 
-      label: 'Maintenance',
-      dot: 'bg-yellow-500'
-    },
-    pending: { 
-      color: 'bg-orange-100 text-orange-800 border-orange-200', 
-      label: 'Pending',
-      dot: 'bg-orange-500'
-    },
-    completed: { 
-      color: 'bg-emerald-100 text-emerald-800 border-emerald-200', 
-      label: 'Completed',
-      dot: 'bg-emerald-500'
-    },
-    cancelled: { 
-      color: 'bg-red-100 text-red-800 border-red-200', 
-      label: 'Cancelled',
-      dot: 'bg-red-500'
-    },
-  };
+// Hex equivalents of the badge dot colours, for map markers
+const DOT_COLORS = {
+  emerald: '#10b981',
+  blue: '#3b82f6',
+  yellow: '#eab308',
+  orange: '#f97316',
+  red: '#ef4444',
+  gray: '#9ca3af',
+};
 
+const statusConfig = {
+  active: { 
+    color: 'bg-emerald-100 text-emerald-800 border-emerald-200', 
+    label: 'Active',
+    dot: 'bg-emerald-500'
+  },
+  available: { 
+    color: 'bg-emerald-100 text-emerald-800 border-emerald-200', 
+    label: 'Available',
+    dot: 'bg-emerald-500'
+  },
+  inuse: { 
+    color: 'bg-blue-100 text-blue-800 border-blue-200', 
+    label: 'In Use',
+    dot: 'bg-blue-500'
+  },
+  'in-use': { 
+    color: 'bg-blue-100 text-blue-800 border-blue-200', 
+    label: 'In Use',
+    dot: 'bg-blue-500'
+  },
+  'in-progress': { 
+    color: 'bg-blue-100 text-blue-800 border-blue-200', 
+    label: 'In Progress',
+    dot: 'bg-blue-500'
+  },
+  maintenance: { 
+    color: 'bg-yellow-100 text-yellow-800 border-yellow-200', 
+    label: 'Maintenance',
+    dot: 'bg-yellow-500'
+  },
+  pending: { 
+    color: 'bg-orange-100 text-orange-800 border-orange-200', 
+    label: 'Pending',
+    dot: 'bg-orange-500'
+  },
+  completed: { 
+    color: 'bg-emerald-100 text-emerald-800 border-emerald-200', 
+    label: 'Completed',
+    dot: 'bg-emerald-500'
+  },
+  cancelled: { 
+    color: 'bg-red-100 text-red-800 border-red-200', 
+    label: 'Cancelled',
+    dot: 'bg-red-500'
+  },
+  inactive: { 
+    color: 'bg-gray-100 text-gray-700 border-gray-200', 
+    label: 'Inactive',
+    dot: 'bg-gray-400'
+  },
+  locked: { 
+    color: 'bg-red-100 text-red-800 border-red-200', 
+    label: 'Locked',
+    dot: 'bg-red-500'
+  },
+  in_service: { 
+    color: 'bg-emerald-100 text-emerald-800 border-emerald-200', 
+    label: 'In Service',
+    dot: 'bg-emerald-500'
+  },
+  charging: { 
+    color: 'bg-blue-100 text-blue-800 border-blue-200', 
+    label: 'Charging',
+    dot: 'bg-blue-500'
+  },
+  quarantined: { 
+    color: 'bg-red-100 text-red-800 border-red-200', 
+    label: 'Quarantined',
+    dot: 'bg-red-500'
+  },
+  retired: { 
+    color: 'bg-gray-100 text-gray-700 border-gray-200', 
+    label: 'Retired',
+    dot: 'bg-gray-400'
+  },
+  scheduled: { 
+    color: 'bg-blue-100 text-blue-800 border-blue-200', 
+    label: 'Scheduled',
+    dot: 'bg-blue-500'
+  },
+  expired: { 
+    color: 'bg-gray-100 text-gray-700 border-gray-200', 
+    label: 'Expired',
+    dot: 'bg-gray-400'
+  },
+  free: { 
+    color: 'bg-emerald-100 text-emerald-800 border-emerald-200', 
+    label: 'Free',
+    dot: 'bg-emerald-500'
+  },
+  faulted: { 
+    color: 'bg-red-100 text-red-800 border-red-200', 
+    label: 'Faulted',
+    dot: 'bg-red-500'
+  },
+  offline: { 
+    color: 'bg-gray-100 text-gray-700 border-gray-200', 
+    label: 'Offline',
+    dot: 'bg-gray-400'
+  },
+  online: { 
+    color: 'bg-emerald-100 text-emerald-800 border-emerald-200', 
+    label: 'Online',
+    dot: 'bg-emerald-500'
+  },
+  paid: { 
+    color: 'bg-emerald-100 text-emerald-800 border-emerald-200', 
+    label: 'Paid',
+    dot: 'bg-emerald-500'
+  },
+  partially_paid: { 
+    color: 'bg-blue-100 text-blue-800 border-blue-200', 
+    label: 'Partially Paid',
+    dot: 'bg-blue-500'
+  },
+  unpaid: { 
+    color: 'bg-orange-100 text-orange-800 border-orange-200', 
+    label: 'Unpaid',
+    dot: 'bg-orange-500'
+  },
+  overdue: { 
+    color: 'bg-red-100 text-red-800 border-red-200', 
+    label: 'Overdue',
+    dot: 'bg-red-500'
+  },
+  succeeded: { 
+    color: 'bg-emerald-100 text-emerald-800 border-emerald-200', 
+    label: 'Succeeded',
+    dot: 'bg-emerald-500'
+  },
+  failed: { 
+    color: 'bg-red-100 text-red-800 border-red-200', 
+    label: 'Failed',
+    dot: 'bg-red-500'
+  },
+};
+
+function getConfig(status) {
   const normalizedStatus = status.toLowerCase().replace(/\s+/g, '-');
-  const config = statusConfig[normalizedStatus] || statusConfig.pending;
+  return statusConfig[normalizedStatus] || statusConfig.pending;
+}
+
+/**
+ * Marker colour matching a status's badge dot
+ */
+export function getStatusColor(status) {
+  return DOT_COLORS[getConfig(status).dot.split('-')[1]];
+}
+
+export default function StatusBadge({ status, size = 'md' }) {
+  const config = getConfig(status);
 
   const sizeClasses = {
     sm: 'px-2 py-0.5 text-xs',
@@ -1,26 +1,14 @@
 'use client';
 
+import Link from 'next/link';
 import { useSession, signOut } from 'next-auth/react';
-import { getUserScope } from '../utils/auth';
+import { getRoleLabel, getUserScope } from '../utils/auth';
 
 export default function UserProfile() {
   const { data: session } = useSession();
 
   if (!session?.user) return null;
 
-  const getRoleLabel = (role) => {
-    switch (role) {
-      case 'regional_head':
-        return 'Regional Head';
-      case 'circle_head':
-        return 'Circle Head';
-      case 'area_head':
-        return 'Area Head';
-      default:
-        return role;
-    }
-  };
-
   return (
     <div className="flex items-center space-x-3 px-4 py-2 border-t border-gray-200">
       <div className="flex-1 min-w-0">
@@ -28,6 +16,15 @@ export default function UserProfile() {
         <p className="text-xs text-gray-500 truncate">{getRoleLabel(session.user.role)}</p>
         <p className="text-xs text-emerald-600 truncate">{getUserScope(session.user)}</p>
       </div>
+      <Link
+        href="/account/security"
+        className="p-2 text-gray-500 hover:text-gray-700 hover:bg-gray-100 rounded-lg transition-colors"
+        title="Account security"
+      >
+        <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 15v2m-6 4h12a2 2 0 002-2v-6a2 2 0 00-2-2H6a2 2 0 00-2 2v6a2 2 0 002 2zm10-10V7a4 4 0 00-8 0v4h8z" />
+        </svg>
+      </Link>
       <button
         onClick={() => signOut({ callbackUrl: '/login' })}
         className="p-2 text-gray-500 hover:text-gray-700 hover:bg-gray-100 rounded-lg transition-colors"
@@ -0,0 +1,494 @@
+'use client';
+
+import { use, useEffect, useState } from 'react';
+import Link from 'next/link';
+import StatusBadge from '@/app/components/StatusBadge';
+import { useHierarchy } from '@/app/hooks/useHierarchy';
+import CustomerForm from '../components/CustomerForm';
+import { CUSTOMER_TYPE_OPTIONS, describeQuota, formatAmount, formatDate, invoiceKindLabel } from '../components/customerOptions';
+
+const inputClass =
+  'px-3 py-2 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-emerald-500 focus:border-emerald-500';
+
+function Detail({ label, value, mono }) {
+  return (
+    <div>
+      <dt className="text-xs font-medium text-gray-500 uppercase tracking-wide">{label}</dt>
+      <dd className={`mt-1 text-sm text-gray-900 ${mono ? 'font-mono' : ''}`}>{value || '—'}</dd>
+    </div>
+  );
+}
+
+function Section({ title, children }) {
+  return (
+    <section className="mt-6 sm:mt-8">
+      <h3 className="text-sm sm:text-base font-semibold text-gray-900 mb-3">{title}</h3>
+      {children}
+    </section>
+  );
+}
+
+function dateKey(date) {
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+// Renewals start the day after the latest subscription ends
+function nextStartDate(subscriptions) {
+  const latest = subscriptions.find((subscription) => subscription.status !== 'cancelled');
+  if (!latest || latest.status === 'expired') return dateKey(new Date());
+
+  const next = new Date(`${latest.endsOn}T00:00:00`);
+  next.setDate(next.getDate() + 1);
+  return dateKey(next);
+}
+
+function RiderRow({ rider, busy, onSave }) {
+  const [editing, setEditing] = useState(false);
+  const [vehicle, setVehicle] = useState(rider.vehicle || '');
+
+  const save = async (e) => {
+    e.preventDefault();
+    if (await onSave(rider, { vehicle })) setEditing(false);
+  };
+
+  return (
+    <tr className="border-b border-gray-100">
+      <td className="py-3 pr-4 font-medium text-gray-900">{rider.name}</td>
+      <td className="py-3 pr-4 hidden sm:table-cell font-mono text-xs text-gray-700">{rider.phone}</td>
+      <td className="py-3 pr-4">
+        {editing ? (
+          <form onSubmit={save} className="flex items-center gap-2">
+            <input
+              value={vehicle}
+              onChange={(e) => setVehicle(e.target.value)}
+              placeholder="EV-2026-001 (empty to take back)"
+              className={`${inputClass} w-44 font-mono uppercase`}
+            />
+            <button type="submit" disabled={busy} className="text-sm font-medium text-emerald-600 hover:text-emerald-700 disabled:opacity-50">
+              Save
+            </button>
+            <button type="button" onClick={() => setEditing(false)} className="text-sm text-gray-500 hover:text-gray-700">
+              Cancel
+            </button>
+          </form>
+        ) : rider.vehicle ? (
+          <Link href={`/assets/vehicles/${rider.vehicle}`} className="font-mono text-emerald-600 hover:text-emerald-700">
+            {rider.vehicle}
+          </Link>
+        ) : (
+          <span className="text-gray-400">None</span>
+        )}
+      </td>
+      <td className="py-3 pr-4">
+        <StatusBadge status={rider.active ? 'active' : 'inactive'} size="sm" />
+      </td>
+      <td className="py-3 text-right whitespace-nowrap">
+        {!editing && rider.active && (
+          <button onClick={() => setEditing(true)} className="text-sm font-medium text-emerald-600 hover:text-emerald-700 mr-3">
+            {rider.vehicle ? 'Change vehicle' : 'Assign vehicle'}
+          </button>
+        )}
+        {!editing && (
+          <button
+            onClick={() => onSave(rider, { active: !rider.active })}
+            disabled={busy}
+            className="text-sm text-gray-500 hover:text-gray-800 disabled:opacity-50"
+          >
+            {rider.active ? 'Deactivate' : 'Reactivate'}
+          </button>
+        )}
+      </td>
+    </tr>
+  );
+}
+
+export default function CustomerDetailPage({ params }) {
+  const { code } = use(params);
+  const { hierarchy } = useHierarchy();
+  const [record, setRecord] = useState(null);
+  const [plans, setPlans] = useState([]);
+  const [invoices, setInvoices] = useState([]);
+  const [reloadKey, setReloadKey] = useState(0);
+  const [editing, setEditing] = useState(false);
+  const [rider, setRider] = useState({ name: '', phone: '', vehicle: '' });
+  const [enrollment, setEnrollment] = useState({ planId: '', startsOn: '' });
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    fetch(`/api/customers/${code}`)
+      .then(async (res) => {
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || 'Failed to load customer');
+        setRecord(data);
+      })
+      .catch((err) => setError(err.message));
+  }, [code, reloadKey]);
+
+  useEffect(() => {
+    fetch(`/api/billing/invoices?customer=${code}&pageSize=10`)
+      .then((res) => (res.ok ? res.json() : Promise.reject(new Error('Failed to load invoices'))))
+      .then((data) => setInvoices(data.invoices))
+      .catch((err) => setError(err.message));
+  }, [code, reloadKey]);
+
+  useEffect(() => {
+    fetch('/api/customer-plans?active=true')
+      .then((res) => (res.ok ? res.json() : Promise.reject(new Error('Failed to load plans'))))
+      .then((data) => setPlans(data.plans))
+      .catch((err) => setError(err.message));
+  }, []);
+
+  // Riders and subscriptions feed the counts and usage, so every change reloads the record
+  const send = async (path, method, body) => {
+    setError('');
+    setBusy(true);
+    try {
+      const res = await fetch(`/api/customers/${code}${path}`, {
+        method,
+        headers: { 'Content-Type': 'application/json' },
+        body: body && JSON.stringify(body),
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Request failed');
+
+      setReloadKey((key) => key + 1);
+      return true;
+    } catch (err) {
+      setError(err.message);
+      return false;
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const saveCustomer = async (form) => {
+    const res = await fetch(`/api/customers/${code}`, {
+      method: 'PATCH',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(form),
+    });
+    const data = await res.json();
+    if (!res.ok) throw new Error(data.error || 'Failed to save customer');
+
+    setEditing(false);
+    setReloadKey((key) => key + 1);
+  };
+
+  const addRider = async (e) => {
+    e.preventDefault();
+    if (await send('/riders', 'POST', rider)) setRider({ name: '', phone: '', vehicle: '' });
+  };
+
+  const updateRider = (target, fields) => {
+    if (fields.active === false && target.vehicle && !confirm(`Deactivate ${target.name}? ${target.vehicle} will be taken back.`)) {
+      return false;
+    }
+    return send(`/riders/${target.id}`, 'PATCH', fields);
+  };
+
+  const enroll = async (e) => {
+    e.preventDefault();
+    const startsOn = enrollment.startsOn || nextStartDate(record.subscriptions);
+    if (await send('/subscriptions', 'POST', { planId: enrollment.planId, startsOn })) {
+      setEnrollment({ planId: '', startsOn: '' });
+    }
+  };
+
+  const cancelSubscription = (subscription) => {
+    if (!confirm(`Cancel the ${subscription.planName} subscription?`)) return;
+    send(`/subscriptions/${subscription.id}`, 'DELETE');
+  };
+
+  const customer = record?.customer;
+  const usageSubscription = record?.usage && record.subscriptions.find((s) => s.id === record.usage.subscriptionId);
+
+  return (
+    <div>
+      <Link href="/customer-plans" className="text-sm text-emerald-600 hover:text-emerald-700 font-medium">
+        ← Back to customers
+      </Link>
+
+      {error && (
+        <div className="mt-4 p-3 bg-red-50 border border-red-200 rounded-lg">
+          <p className="text-sm text-red-800">{error}</p>
+        </div>
+      )}
+
+      {customer && (
+        <>
+          <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3 mt-3 mb-4 sm:mb-6">
+            <div>
+              <h2 className="text-base sm:text-lg md:text-xl font-semibold text-gray-900">{customer.name}</h2>
+              <p className="font-mono text-xs text-gray-500">{customer.id}</p>
+            </div>
+            {!editing && (
+              <button
+                onClick={() => setEditing(true)}
+                className="px-4 py-2 text-sm font-medium text-gray-700 bg-white border border-gray-300 rounded-lg hover:bg-gray-50 transition-colors"
+              >
+                Edit
+              </button>
+            )}
+          </div>
+
+          {editing ? (
+            <CustomerForm initialCustomer={customer} onSubmit={saveCustomer} onCancel={() => setEditing(false)} submitLabel="Save Changes" />
+          ) : (
+            <dl className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-4 sm:gap-6">
+              <Detail label="Type" value={CUSTOMER_TYPE_OPTIONS.find((option) => option.value === customer.type)?.label} />
+              <Detail label="Mobile" value={customer.phone} mono />
+              <Detail label="Email" value={customer.email} />
+              <Detail label="GSTIN" value={customer.gstin} mono />
+              <Detail label="Home Hub" value={hierarchy.names.hub[customer.hub] || customer.hub} />
+              <Detail label="Current Plan" value={customer.planName && `${customer.planName} (until ${formatDate(customer.planEndsOn)})`} />
+            </dl>
+          )}
+
+          {usageSubscription && (
+            <Section title={`Usage — ${usageSubscription.planName}`}>
+              <p className="text-xs sm:text-sm text-gray-500 mb-3">
+                {describeQuota(usageSubscription)} · {formatAmount(usageSubscription.monthlyFee)}/month
+              </p>
+              <div className="overflow-x-auto">
+                <table className="w-full text-sm">
+                  <thead>
+                    <tr className="text-left text-xs font-medium text-gray-500 uppercase tracking-wide border-b border-gray-200">
+                      <th className="py-2 pr-4">Cycle</th>
+                      <th className="py-2 pr-4 text-right">Swaps</th>
+                      <th className="py-2 pr-4 text-right">Included</th>
+                      <th className="py-2 pr-4 text-right">Over Quota</th>
+                      <th className="py-2 text-right">Extra Charge</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {[...record.usage.cycles].reverse().map((cycle) => (
+                      <tr key={cycle.start} className={`border-b border-gray-100 ${cycle.current ? 'bg-emerald-50/50' : ''}`}>
+                        <td className="py-3 pr-4 text-gray-700">
+                          {formatDate(cycle.start)} – {formatDate(cycle.end)}
+                          {cycle.current && <span className="ml-2 text-xs text-emerald-700 font-medium">Current</span>}
+                        </td>
+                        <td className="py-3 pr-4 text-right text-gray-900">{cycle.swaps}</td>
+                        <td className="py-3 pr-4 text-right text-gray-600">{cycle.quota ?? 'Unlimited'}</td>
+                        <td className={`py-3 pr-4 text-right ${cycle.overQuota ? 'text-red-600 font-medium' : 'text-gray-600'}`}>{cycle.overQuota}</td>
+                        <td className="py-3 text-right text-gray-900">{formatAmount(cycle.overageCharge)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </Section>
+          )}
+
+          <Section title="Billing">
+            <dl className="grid grid-cols-1 sm:grid-cols-3 gap-4 sm:gap-6 mb-4">
+              <Detail label="Outstanding" value={formatAmount(record.billing.outstanding)} />
+              <Detail label="Overdue" value={formatAmount(record.billing.overdue)} />
+              <Detail label="Deposit Held" value={formatAmount(record.billing.depositHeld)} />
+            </dl>
+            {invoices.length ? (
+              <div className="overflow-x-auto">
+                <table className="w-full text-sm">
+                  <thead>
+                    <tr className="text-left text-xs font-medium text-gray-500 uppercase tracking-wide border-b border-gray-200">
+                      <th className="py-2 pr-4">Invoice</th>
+                      <th className="py-2 pr-4 hidden sm:table-cell">Kind</th>
+                      <th className="py-2 pr-4 hidden md:table-cell">Issued</th>
+                      <th className="py-2 pr-4 text-right">Total</th>
+                      <th className="py-2 pr-4 hidden sm:table-cell text-right">Balance</th>
+                      <th className="py-2">Status</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {invoices.map((invoice) => (
+                      <tr key={invoice.id} className="border-b border-gray-100">
+                        <td className="py-3 pr-4">
+                          <Link href={`/customer-plans/invoices/${invoice.id}`} className="font-mono text-emerald-600 hover:text-emerald-700">
+                            {invoice.number}
+                          </Link>
+                        </td>
+                        <td className="py-3 pr-4 hidden sm:table-cell text-gray-600">{invoiceKindLabel(invoice.kind)}</td>
+                        <td className="py-3 pr-4 hidden md:table-cell text-gray-600">{formatDate(invoice.issueDate)}</td>
+                        <td className="py-3 pr-4 text-right text-gray-900">{formatAmount(invoice.total)}</td>
+                        <td className="py-3 pr-4 hidden sm:table-cell text-right text-gray-600">{formatAmount(Math.max(invoice.balance, 0))}</td>
+                        <td className="py-3">
+                          <StatusBadge status={invoice.overdue ? 'overdue' : invoice.status} size="sm" />
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            ) : (
+              <p className="text-sm text-gray-500">No invoices yet. Deposits are invoiced when a subscription starts and each month when its cycle ends.</p>
+            )}
+          </Section>
+
+          <Section title="Subscriptions">
+            {record.subscriptions.length > 0 && (
+              <div className="overflow-x-auto mb-4">
+                <table className="w-full text-sm">
+                  <thead>
+                    <tr className="text-left text-xs font-medium text-gray-500 uppercase tracking-wide border-b border-gray-200">
+                      <th className="py-2 pr-4">Plan</th>
+                      <th className="py-2 pr-4">Period</th>
+                      <th className="py-2 pr-4 hidden md:table-cell">Terms</th>
+                      <th className="py-2 pr-4 hidden sm:table-cell text-right">Deposit</th>
+                      <th className="py-2 pr-4">Status</th>
+                      <th className="py-2" />
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {record.subscriptions.map((subscription) => (
+                      <tr key={subscription.id} className="border-b border-gray-100">
+                        <td className="py-3 pr-4 font-medium text-gray-900">{subscription.planName}</td>
+                        <td className="py-3 pr-4 text-gray-600 whitespace-nowrap">
+                          {formatDate(subscription.startsOn)} – {formatDate(subscription.endsOn)}
+                        </td>
+                        <td className="py-3 pr-4 hidden md:table-cell text-gray-600">
+                          {formatAmount(subscription.monthlyFee)}/month · {describeQuota(subscription)}
+                        </td>
+                        <td className="py-3 pr-4 hidden sm:table-cell text-right text-gray-600">{formatAmount(subscription.deposit)}</td>
+                        <td className="py-3 pr-4">
+                          <StatusBadge status={subscription.status} size="sm" />
+                        </td>
+                        <td className="py-3 text-right">
+                          {(subscription.status === 'active' || subscription.status === 'scheduled') && (
+                            <button
+                              onClick={() => cancelSubscription(subscription)}
+                              disabled={busy}
+                              className="text-sm text-red-600 hover:text-red-700 disabled:opacity-50"
+                            >
+                              Cancel
+                            </button>
+                          )}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+            <form onSubmit={enroll} className="flex flex-wrap items-center gap-2">
+              <select
+                value={enrollment.planId}
+                onChange={(e) => setEnrollment((prev) => ({ ...prev, planId: e.target.value }))}
+                required
+                className={inputClass}
+              >
+                <option value="">Choose a plan</option>
+                {plans.map((plan) => (
+                  <option key={plan.id} value={plan.id}>
+                    {plan.name} — {formatAmount(plan.monthlyFee)}/month, {plan.validityDays} days
+                  </option>
+                ))}
+              </select>
+              <label className="flex items-center gap-2 text-sm text-gray-600">
+                Starts
+                <input
+                  type="date"
+                  value={enrollment.startsOn || nextStartDate(record.subscriptions)}
+                  onChange={(e) => setEnrollment((prev) => ({ ...prev, startsOn: e.target.value }))}
+                  required
+                  className={inputClass}
+                />
+              </label>
+              <button
+                type="submit"
+                disabled={busy}
+                className="px-4 py-2 text-sm font-medium text-white bg-emerald-600 rounded-lg hover:bg-emerald-700 transition-colors disabled:opacity-50"
+              >
+                {record.subscriptions.length ? 'Add Subscription' : 'Subscribe'}
+              </button>
+            </form>
+          </Section>
+
+          <Section title={`Riders (${customer.riders} active)`}>
+            {record.riders.length > 0 && (
+              <div className="overflow-x-auto mb-4">
+                <table className="w-full text-sm">
+                  <thead>
+                    <tr className="text-left text-xs font-medium text-gray-500 uppercase tracking-wide border-b border-gray-200">
+                      <th className="py-2 pr-4">Rider</th>
+                      <th className="py-2 pr-4 hidden sm:table-cell">Mobile</th>
+                      <th className="py-2 pr-4">Vehicle</th>
+                      <th className="py-2 pr-4">Status</th>
+                      <th className="py-2" />
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {record.riders.map((entry) => (
+                      <RiderRow key={`${entry.id}:${entry.vehicle}`} rider={entry} busy={busy} onSave={updateRider} />
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+            <form onSubmit={addRider} className="flex flex-wrap items-center gap-2">
+              <input
+                value={rider.name}
+                onChange={(e) => setRider((prev) => ({ ...prev, name: e.target.value }))}
+                required
+                placeholder="Rider name"
+                className={inputClass}
+              />
+              <input
+                type="tel"
+                value={rider.phone}
+                onChange={(e) => setRider((prev) => ({ ...prev, phone: e.target.value }))}
+                required
+                placeholder="Mobile number"
+                className={inputClass}
+              />
+              <input
+                value={rider.vehicle}
+                onChange={(e) => setRider((prev) => ({ ...prev, vehicle: e.target.value }))}
+                placeholder="Vehicle (optional)"
+                className={`${inputClass} font-mono uppercase`}
+              />
+              <button
+                type="submit"
+                disabled={busy}
+                className="px-4 py-2 text-sm font-medium text-white bg-emerald-600 rounded-lg hover:bg-emerald-700 transition-colors disabled:opacity-50"
+              >
+                Add Rider
+              </button>
+            </form>
+          </Section>
+
+          <Section title="Recent Swaps">
+            {record.swaps.length ? (
+              <div className="overflow-x-auto">
+                <table className="w-full text-sm">
+                  <thead>
+                    <tr className="text-left text-xs font-medium text-gray-500 uppercase tracking-wide border-b border-gray-200">
+                      <th className="py-2 pr-4">When</th>
+                      <th className="py-2 pr-4">Rider</th>
+                      <th className="py-2 pr-4 hidden sm:table-cell">Vehicle</th>
+                      <th className="py-2 pr-4">Station</th>
+                      <th className="py-2 hidden md:table-cell">Battery In</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {record.swaps.map((swap) => (
+                      <tr key={swap.id} className="border-b border-gray-100">
+                        <td className="py-3 pr-4 text-gray-600 whitespace-nowrap">{new Date(`${swap.swappedAt}Z`).toLocaleString()}</td>
+                        <td className="py-3 pr-4 text-gray-900">{swap.rider}</td>
+                        <td className="py-3 pr-4 hidden sm:table-cell font-mono text-xs text-gray-700">{swap.vehicle}</td>
+                        <td className="py-3 pr-4 font-mono text-xs text-gray-700">{swap.station}</td>
+                        <td className="py-3 hidden md:table-cell font-mono text-xs text-gray-700">{swap.batteryIn}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            ) : (
+              <p className="text-sm text-gray-500">No swaps by this customer&apos;s riders yet.</p>
+            )}
+          </Section>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,96 @@
+'use client';
+
+import { use, useEffect, useState } from 'react';
+import Link from 'next/link';
+import StatusBadge from '@/app/components/StatusBadge';
+import { formatAmount } from '../../components/customerOptions';
+
+// Hosted checkout of the mock payment gateway. A real gateway would show
+// its own page and call the webhook; this one lets you pick the outcome.
+export default function MockCheckoutPage({ params }) {
+  const { paymentId } = use(params);
+  const [payment, setPayment] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    fetch(`/api/billing/checkout/mock/${paymentId}`)
+      .then(async (res) => {
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || 'Failed to load payment');
+        setPayment(data.payment);
+      })
+      .catch((err) => setError(err.message));
+  }, [paymentId]);
+
+  const complete = async (outcome) => {
+    setError('');
+    setBusy(true);
+    try {
+      const res = await fetch(`/api/billing/checkout/mock/${paymentId}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ outcome }),
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Payment failed');
+
+      setPayment((prev) => ({ ...prev, ...data.payment }));
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="max-w-md">
+      {payment && (
+        <Link href={`/customer-plans/invoices/${payment.invoiceId}`} className="text-sm text-emerald-600 hover:text-emerald-700 font-medium">
+          ← Back to invoice
+        </Link>
+      )}
+
+      {error && (
+        <div className="mt-4 p-3 bg-red-50 border border-red-200 rounded-lg">
+          <p className="text-sm text-red-800">{error}</p>
+        </div>
+      )}
+
+      {payment && (
+        <div className="mt-4 rounded-lg border border-dashed border-gray-300 p-4 sm:p-6">
+          <p className="text-xs font-medium text-gray-500 uppercase tracking-wide">Mock payment gateway</p>
+          <p className="mt-2 text-2xl font-semibold text-gray-900">{formatAmount(payment.amount)}</p>
+          <p className="mt-1 text-sm text-gray-600">
+            Invoice <span className="font-mono">{payment.invoice.number}</span> · {payment.invoice.customerName}
+          </p>
+          <p className="mt-1 font-mono text-xs text-gray-400">{payment.gatewayPaymentId}</p>
+
+          {payment.status === 'pending' ? (
+            <div className="mt-5 flex items-center gap-2">
+              <button
+                onClick={() => complete('succeeded')}
+                disabled={busy}
+                className="px-5 py-2.5 text-sm font-medium text-white bg-emerald-600 rounded-lg hover:bg-emerald-700 transition-colors disabled:opacity-50"
+              >
+                Pay
+              </button>
+              <button
+                onClick={() => complete('failed')}
+                disabled={busy}
+                className="px-5 py-2.5 text-sm font-medium text-gray-700 bg-white border border-gray-300 rounded-lg hover:bg-gray-50 transition-colors disabled:opacity-50"
+              >
+                Decline
+              </button>
+            </div>
+          ) : (
+            <div className="mt-5 flex items-center gap-2 text-sm text-gray-600">
+              <StatusBadge status={payment.status} size="sm" />
+              {payment.reference && <span className="font-mono text-xs">{payment.reference}</span>}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
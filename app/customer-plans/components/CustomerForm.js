@@ -0,0 +1,123 @@
+'use client';
+
+import { useState } from 'react';
+import { useSession } from 'next-auth/react';
+import { useHierarchy } from '@/app/hooks/useHierarchy';
+import { hasHubAccess } from '@/app/utils/auth';
+import { CUSTOMER_TYPE_OPTIONS } from './customerOptions';
+
+const inputClass =
+  'w-full px-3 sm:px-4 py-2.5 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-emerald-500 focus:border-emerald-500 transition-colors';
+const labelClass = 'block text-xs sm:text-sm font-medium text-gray-700 mb-1.5';
+
+/**
+ * Create/edit form for a customer. Hub options are limited to hubs in the user's scope.
+ */
+export default function CustomerForm({ initialCustomer, onSubmit, onCancel, submitLabel }) {
+  const { data: session } = useSession();
+  const { hierarchy, error: hierarchyError } = useHierarchy();
+  const [form, setForm] = useState({
+    name: initialCustomer?.name || '',
+    type: initialCustomer?.type || 'individual',
+    phone: initialCustomer?.phone || '',
+    email: initialCustomer?.email || '',
+    gstin: initialCustomer?.gstin || '',
+    hub: initialCustomer?.hub || '',
+  });
+  const [error, setError] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  const hubs = Object.keys(hierarchy.hubs).filter((hub) => hasHubAccess(session?.user, hub, hierarchy));
+
+  const update = (field, value) => setForm((prev) => ({ ...prev, [field]: value }));
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setSaving(true);
+
+    try {
+      await onSubmit(form);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4 max-w-2xl">
+      {(error || hierarchyError) && (
+        <div className="p-3 bg-red-50 border border-red-200 rounded-lg">
+          <p className="text-sm text-red-800">{error || hierarchyError}</p>
+        </div>
+      )}
+
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+        <div>
+          <label htmlFor="name" className={labelClass}>Name</label>
+          <input id="name" value={form.name} onChange={(e) => update('name', e.target.value)} required maxLength={120} className={inputClass} />
+        </div>
+        <div>
+          <label htmlFor="type" className={labelClass}>Type</label>
+          <select id="type" value={form.type} onChange={(e) => update('type', e.target.value)} className={inputClass}>
+            {CUSTOMER_TYPE_OPTIONS.map((option) => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label htmlFor="phone" className={labelClass}>Mobile Number</label>
+          <input
+            id="phone"
+            type="tel"
+            value={form.phone}
+            onChange={(e) => update('phone', e.target.value)}
+            required
+            placeholder="98765 43210"
+            className={inputClass}
+          />
+        </div>
+        <div>
+          <label htmlFor="email" className={labelClass}>Email (optional)</label>
+          <input id="email" type="email" value={form.email} onChange={(e) => update('email', e.target.value)} className={inputClass} />
+        </div>
+        <div>
+          <label htmlFor="gstin" className={labelClass}>GSTIN (optional)</label>
+          <input
+            id="gstin"
+            value={form.gstin}
+            onChange={(e) => update('gstin', e.target.value)}
+            maxLength={15}
+            placeholder="27AAPFU0939F1ZV"
+            className={`${inputClass} font-mono uppercase`}
+          />
+        </div>
+        <div>
+          <label htmlFor="hub" className={labelClass}>Home Hub</label>
+          <select id="hub" value={form.hub} onChange={(e) => update('hub', e.target.value)} required className={inputClass}>
+            <option value="">Select hub</option>
+            {hubs.map((hub) => (
+              <option key={hub} value={hub}>{hierarchy.names.hub[hub] || hub}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      <div className="flex items-center gap-3">
+        <button
+          type="submit"
+          disabled={saving}
+          className="px-5 py-2.5 bg-emerald-600 text-white rounded-lg text-sm font-semibold hover:bg-emerald-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          {saving ? 'Saving...' : submitLabel}
+        </button>
+        {onCancel && (
+          <button type="button" onClick={onCancel} className="px-4 py-2.5 text-sm text-gray-600 hover:text-gray-900">
+            Cancel
+          </button>
+        )}
+      </div>
+    </form>
+  );
+}
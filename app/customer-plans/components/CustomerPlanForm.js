@@ -0,0 +1,134 @@
+'use client';
+
+import { useState } from 'react';
+import { PLAN_KIND_OPTIONS } from './customerOptions';
+
+const inputClass =
+  'w-full px-3 sm:px-4 py-2.5 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-emerald-500 focus:border-emerald-500 transition-colors';
+const labelClass = 'block text-xs sm:text-sm font-medium text-gray-700 mb-1.5';
+
+/**
+ * Create/edit form for a customer plan. The kind can only be chosen
+ * when creating one; an empty swap quota means unlimited swaps.
+ */
+export default function CustomerPlanForm({ initialPlan, onSubmit, onCancel, submitLabel }) {
+  const editing = Boolean(initialPlan);
+  const [form, setForm] = useState({
+    name: initialPlan?.name || '',
+    kind: initialPlan?.kind || 'swap',
+    monthlyFee: initialPlan?.monthlyFee ?? '',
+    swapQuota: initialPlan?.swapQuota ?? '',
+    perSwapPrice: initialPlan?.perSwapPrice ?? 0,
+    deposit: initialPlan?.deposit ?? 0,
+    validityDays: initialPlan?.validityDays ?? 30,
+  });
+  const [error, setError] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  const update = (field, value) => setForm((prev) => ({ ...prev, [field]: value }));
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setSaving(true);
+
+    const terms = {
+      name: form.name,
+      monthlyFee: Number(form.monthlyFee),
+      swapQuota: form.swapQuota === '' ? null : Number(form.swapQuota),
+      perSwapPrice: Number(form.perSwapPrice),
+      deposit: Number(form.deposit),
+      validityDays: Number(form.validityDays),
+    };
+
+    try {
+      await onSubmit(editing ? terms : { ...terms, kind: form.kind });
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4 max-w-2xl">
+      {error && (
+        <div className="p-3 bg-red-50 border border-red-200 rounded-lg">
+          <p className="text-sm text-red-800">{error}</p>
+        </div>
+      )}
+      {editing && (
+        <p className="text-xs sm:text-sm text-gray-500">Changes apply to new enrollments; existing subscriptions keep their terms.</p>
+      )}
+
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+        <div className={editing ? 'sm:col-span-2' : ''}>
+          <label htmlFor="name" className={labelClass}>Name</label>
+          <input
+            id="name"
+            value={form.name}
+            onChange={(e) => update('name', e.target.value)}
+            required
+            maxLength={80}
+            placeholder="Swap 60"
+            className={inputClass}
+          />
+        </div>
+        {!editing && (
+          <div>
+            <label htmlFor="kind" className={labelClass}>Kind</label>
+            <select id="kind" value={form.kind} onChange={(e) => update('kind', e.target.value)} className={inputClass}>
+              {PLAN_KIND_OPTIONS.map((option) => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+          </div>
+        )}
+        <div>
+          <label htmlFor="monthlyFee" className={labelClass}>Monthly Fee (₹)</label>
+          <input id="monthlyFee" type="number" min={0} step="0.01" value={form.monthlyFee} onChange={(e) => update('monthlyFee', e.target.value)} required className={inputClass} />
+        </div>
+        <div>
+          <label htmlFor="swapQuota" className={labelClass}>Swaps Included per Month</label>
+          <input
+            id="swapQuota"
+            type="number"
+            min={0}
+            step={1}
+            value={form.swapQuota}
+            onChange={(e) => update('swapQuota', e.target.value)}
+            placeholder="Unlimited"
+            className={inputClass}
+          />
+        </div>
+        <div>
+          <label htmlFor="perSwapPrice" className={labelClass}>Price per Extra Swap (₹)</label>
+          <input id="perSwapPrice" type="number" min={0} step="0.01" value={form.perSwapPrice} onChange={(e) => update('perSwapPrice', e.target.value)} required className={inputClass} />
+        </div>
+        <div>
+          <label htmlFor="deposit" className={labelClass}>Deposit (₹)</label>
+          <input id="deposit" type="number" min={0} step="0.01" value={form.deposit} onChange={(e) => update('deposit', e.target.value)} required className={inputClass} />
+        </div>
+        <div>
+          <label htmlFor="validityDays" className={labelClass}>Validity (days)</label>
+          <input id="validityDays" type="number" min={1} step={1} value={form.validityDays} onChange={(e) => update('validityDays', e.target.value)} required className={inputClass} />
+        </div>
+      </div>
+
+      <div className="flex items-center gap-3">
+        <button
+          type="submit"
+          disabled={saving}
+          className="px-5 py-2.5 bg-emerald-600 text-white rounded-lg text-sm font-semibold hover:bg-emerald-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          {saving ? 'Saving...' : submitLabel}
+        </button>
+        {onCancel && (
+          <button type="button" onClick={onCancel} className="px-4 py-2.5 text-sm text-gray-600 hover:text-gray-900">
+            Cancel
+          </button>
+        )}
+      </div>
+    </form>
+  );
+}
@@ -0,0 +1,40 @@
+'use client';
+
+import Link from 'next/link';
+import { usePathname } from 'next/navigation';
+
+const TABS = [
+  { href: '/customer-plans', label: 'Customers' },
+  { href: '/customer-plans/plans', label: 'Plans' },
+  { href: '/customer-plans/invoices', label: 'Invoices' },
+  { href: '/customer-plans/dues', label: 'Dues' },
+];
+
+// Sections with their own tab; everything else (including the mock checkout) is customers
+const SECTIONS = ['/customer-plans/plans', '/customer-plans/invoices', '/customer-plans/dues'];
+
+export default function CustomerPlanTabs() {
+  const pathname = usePathname();
+
+  const active = SECTIONS.find((section) => pathname?.startsWith(section)) || '/customer-plans';
+
+  return (
+    <div className="border-b border-gray-200 bg-white">
+      <div className="flex space-x-0.5 sm:space-x-1 overflow-x-auto scrollbar-hide px-2 sm:px-4">
+        {TABS.map((tab) => (
+          <Link
+            key={tab.href}
+            href={tab.href}
+            className={`px-2.5 sm:px-3 md:px-4 py-2 sm:py-2.5 md:py-3 text-xs sm:text-sm font-medium border-b-2 transition-all whitespace-nowrap ${
+              active === tab.href
+                ? 'border-emerald-600 text-emerald-600 bg-emerald-50/50'
+                : 'border-transparent text-gray-600 hover:text-gray-900 hover:border-gray-300 hover:bg-gray-50/50'
+            }`}
+          >
+            {tab.label}
+          </Link>
+        ))}
+      </div>
+    </div>
+  );
+}
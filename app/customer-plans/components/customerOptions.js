@@ -0,0 +1,59 @@
+// Option lists and display helpers for customers, riders, plans and billing
+
+export const CUSTOMER_TYPE_OPTIONS = [
+  { value: 'individual', label: 'Individual' },
+  { value: 'business', label: 'Business' },
+];
+
+export const PLAN_KIND_OPTIONS = [
+  { value: 'swap', label: 'Battery swap' },
+  { value: 'rental', label: 'Vehicle rental' },
+];
+
+export function planKindLabel(value) {
+  return PLAN_KIND_OPTIONS.find((option) => option.value === value)?.label || value;
+}
+
+export const INVOICE_KIND_OPTIONS = [
+  { value: 'cycle', label: 'Monthly' },
+  { value: 'deposit', label: 'Deposit' },
+  { value: 'late_fee', label: 'Late fee' },
+];
+
+export function invoiceKindLabel(value) {
+  return INVOICE_KIND_OPTIONS.find((option) => option.value === value)?.label || value;
+}
+
+export const PAYMENT_METHOD_OPTIONS = [
+  { value: 'upi', label: 'UPI' },
+  { value: 'cash', label: 'Cash' },
+  { value: 'card', label: 'Card' },
+  { value: 'bank_transfer', label: 'Bank transfer' },
+  { value: 'cheque', label: 'Cheque' },
+];
+
+export function paymentMethodLabel(value) {
+  if (value === 'online') return 'Online';
+  return PAYMENT_METHOD_OPTIONS.find((option) => option.value === value)?.label || value;
+}
+
+/**
+ * "₹1,499" / "₹12.50"
+ */
+export function formatAmount(amount) {
+  return amount.toLocaleString('en-IN', { style: 'currency', currency: 'INR', minimumFractionDigits: 0, maximumFractionDigits: 2 });
+}
+
+/**
+ * "60 swaps/month, then ₹40 each" for a plan or subscription
+ */
+export function describeQuota(terms) {
+  if (terms.swapQuota === null) return 'Unlimited swaps';
+  if (terms.swapQuota === 0) return `${formatAmount(terms.perSwapPrice)} per swap`;
+  const extra = terms.perSwapPrice ? `, then ${formatAmount(terms.perSwapPrice)} each` : '';
+  return `${terms.swapQuota} swaps/month${extra}`;
+}
+
+export function formatDate(date) {
+  return date ? new Date(`${date}T00:00:00`).toLocaleDateString() : '—';
+}
@@ -0,0 +1,138 @@
+'use client';
+
+import { useEffect, useState } from 'react';
+import { useRouter } from 'next/navigation';
+import { useSession } from 'next-auth/react';
+import { useHierarchy } from '@/app/hooks/useHierarchy';
+import { hasHubAccess } from '@/app/utils/auth';
+import { formatAmount, formatDate } from '../components/customerOptions';
+
+const AGEING_COLUMNS = [
+  { key: 'notDue', label: 'Not Due' },
+  { key: 'days1To30', label: '1–30 Days' },
+  { key: 'days31To60', label: '31–60 Days' },
+  { key: 'days61To90', label: '61–90 Days' },
+  { key: 'over90', label: '90+ Days' },
+];
+
+function Total({ label, amount, highlight }) {
+  return (
+    <div className="rounded-lg border border-gray-200 p-3 sm:p-4">
+      <p className="text-xs font-medium text-gray-500 uppercase tracking-wide">{label}</p>
+      <p className={`mt-1 text-lg sm:text-xl font-semibold ${highlight ? 'text-red-600' : 'text-gray-900'}`}>{formatAmount(amount)}</p>
+    </div>
+  );
+}
+
+export default function DuesPage() {
+  const router = useRouter();
+  const { data: session } = useSession();
+  const { hierarchy } = useHierarchy();
+  const [filters, setFilters] = useState({ hub: '', overdue: false });
+  const [dues, setDues] = useState({ customers: [], totals: { outstanding: 0, overdue: 0 } });
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    const query = new URLSearchParams();
+    if (filters.hub) query.set('hub', filters.hub);
+    if (filters.overdue) query.set('overdue', 'true');
+
+    fetch(`/api/billing/dues?${query}`)
+      .then((res) => (res.ok ? res.json() : Promise.reject(new Error('Failed to load dues'))))
+      .then((data) => setDues(data))
+      .catch((err) => setError(err.message))
+      .finally(() => setLoading(false));
+  }, [filters]);
+
+  const hubs = Object.keys(hierarchy.hubs).filter((hub) => hasHubAccess(session?.user, hub, hierarchy));
+
+  return (
+    <div>
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3 mb-4 sm:mb-6">
+        <p className="text-xs sm:text-sm text-gray-500">Unpaid invoice balances per customer, aged by days past the due date.</p>
+        <div className="flex flex-wrap items-center gap-3">
+          <select
+            value={filters.hub}
+            onChange={(e) => setFilters((prev) => ({ ...prev, hub: e.target.value }))}
+            className="px-3 py-2 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-emerald-500 focus:border-emerald-500"
+          >
+            <option value="">All hubs</option>
+            {hubs.map((hub) => (
+              <option key={hub} value={hub}>{hierarchy.names.hub[hub] || hub}</option>
+            ))}
+          </select>
+          <label className="flex items-center gap-2 text-sm text-gray-600">
+            <input
+              type="checkbox"
+              checked={filters.overdue}
+              onChange={(e) => setFilters((prev) => ({ ...prev, overdue: e.target.checked }))}
+              className="rounded border-gray-300 text-emerald-600 focus:ring-emerald-500"
+            />
+            Overdue only
+          </label>
+        </div>
+      </div>
+
+      {error && (
+        <div className="mb-4 p-3 bg-red-50 border border-red-200 rounded-lg">
+          <p className="text-sm text-red-800">{error}</p>
+        </div>
+      )}
+
+      <div className="grid grid-cols-2 gap-3 sm:gap-4 mb-4 sm:mb-6">
+        <Total label="Outstanding" amount={dues.totals.outstanding} />
+        <Total label="Overdue" amount={dues.totals.overdue} highlight={dues.totals.overdue > 0} />
+      </div>
+
+      {loading ? (
+        <p className="text-sm text-gray-500 py-8 text-center">Loading...</p>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-xs font-medium text-gray-500 uppercase tracking-wide border-b border-gray-200">
+                <th className="py-2 pr-4">Customer</th>
+                <th className="py-2 pr-4 hidden md:table-cell">Hub</th>
+                <th className="py-2 pr-4 hidden sm:table-cell">Oldest Due</th>
+                {AGEING_COLUMNS.map((column) => (
+                  <th key={column.key} className="py-2 pr-4 hidden lg:table-cell text-right">{column.label}</th>
+                ))}
+                <th className="py-2 text-right">Outstanding</th>
+              </tr>
+            </thead>
+            <tbody>
+              {dues.customers.map((customer) => (
+                <tr
+                  key={customer.id}
+                  onClick={() => router.push(`/customer-plans/${customer.id}`)}
+                  className="border-b border-gray-100 hover:bg-emerald-50/50 cursor-pointer transition-colors"
+                >
+                  <td className="py-3 pr-4">
+                    <p className="font-semibold text-gray-900">{customer.name}</p>
+                    <p className="font-mono text-xs text-gray-500">
+                      {customer.id} · {customer.invoices} invoice{customer.invoices === 1 ? '' : 's'}
+                    </p>
+                  </td>
+                  <td className="py-3 pr-4 hidden md:table-cell text-gray-600">{hierarchy.names.hub[customer.hub] || customer.hub}</td>
+                  <td className={`py-3 pr-4 hidden sm:table-cell ${customer.overdue > 0 ? 'text-red-600 font-medium' : 'text-gray-600'}`}>
+                    {formatDate(customer.oldestDue)}
+                  </td>
+                  {AGEING_COLUMNS.map((column) => (
+                    <td key={column.key} className="py-3 pr-4 hidden lg:table-cell text-right text-gray-600">
+                      {customer.ageing[column.key] ? formatAmount(customer.ageing[column.key]) : '—'}
+                    </td>
+                  ))}
+                  <td className="py-3 text-right font-semibold text-gray-900">{formatAmount(customer.outstanding)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {dues.customers.length === 0 && (
+            <p className="text-sm text-gray-500 py-8 text-center">No outstanding dues.</p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,291 @@
+'use client';
+
+import { use, useEffect, useState } from 'react';
+import Link from 'next/link';
+import { useRouter } from 'next/navigation';
+import StatusBadge from '@/app/components/StatusBadge';
+import { PAYMENT_METHOD_OPTIONS, formatAmount, formatDate, invoiceKindLabel, paymentMethodLabel } from '../../components/customerOptions';
+
+const inputClass =
+  'px-3 py-2 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-emerald-500 focus:border-emerald-500';
+
+function Detail({ label, value, mono }) {
+  return (
+    <div>
+      <dt className="text-xs font-medium text-gray-500 uppercase tracking-wide">{label}</dt>
+      <dd className={`mt-1 text-sm text-gray-900 ${mono ? 'font-mono' : ''}`}>{value || '—'}</dd>
+    </div>
+  );
+}
+
+function Section({ title, children }) {
+  return (
+    <section className="mt-6 sm:mt-8">
+      <h3 className="text-sm sm:text-base font-semibold text-gray-900 mb-3">{title}</h3>
+      {children}
+    </section>
+  );
+}
+
+// Amount, method, reference and date for a payment in or a refund out
+function PaymentForm({ defaultAmount, submitLabel, busy, onSubmit }) {
+  const [form, setForm] = useState({ amount: String(defaultAmount), method: 'upi', reference: '', paidOn: '' });
+  const update = (field) => (e) => setForm((prev) => ({ ...prev, [field]: e.target.value }));
+
+  const submit = async (e) => {
+    e.preventDefault();
+    await onSubmit({ ...form, amount: Number(form.amount), paidOn: form.paidOn || undefined });
+  };
+
+  return (
+    <form onSubmit={submit} className="flex flex-wrap items-center gap-2">
+      <input type="number" min="0.01" step="0.01" value={form.amount} onChange={update('amount')} required aria-label="Amount" className={`${inputClass} w-32`} />
+      <select value={form.method} onChange={update('method')} aria-label="Method" className={inputClass}>
+        {PAYMENT_METHOD_OPTIONS.map((option) => (
+          <option key={option.value} value={option.value}>{option.label}</option>
+        ))}
+      </select>
+      <input value={form.reference} onChange={update('reference')} placeholder="Reference (UTR, cheque no.)" className={inputClass} />
+      <input type="date" value={form.paidOn} onChange={update('paidOn')} aria-label="Date" className={inputClass} />
+      <button
+        type="submit"
+        disabled={busy}
+        className="px-4 py-2 text-sm font-medium text-white bg-emerald-600 rounded-lg hover:bg-emerald-700 transition-colors disabled:opacity-50"
+      >
+        {submitLabel}
+      </button>
+    </form>
+  );
+}
+
+export default function InvoiceDetailPage({ params }) {
+  const { id } = use(params);
+  const router = useRouter();
+  const [record, setRecord] = useState(null);
+  const [reloadKey, setReloadKey] = useState(0);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    fetch(`/api/billing/invoices/${id}`)
+      .then(async (res) => {
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || 'Failed to load invoice');
+        setRecord(data);
+      })
+      .catch((err) => setError(err.message));
+  }, [id, reloadKey]);
+
+  const send = async (path, body) => {
+    setError('');
+    setBusy(true);
+    try {
+      const res = await fetch(`/api/billing/invoices/${id}${path}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: body && JSON.stringify(body),
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Request failed');
+      return data;
+    } catch (err) {
+      setError(err.message);
+      return null;
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const recordPayment = async (payment) => {
+    if (await send('/payments', payment)) setReloadKey((key) => key + 1);
+  };
+
+  const refundDeposit = async (refund) => {
+    if (!confirm(`Refund ${formatAmount(refund.amount)} of the deposit?`)) return;
+    if (await send('/refunds', refund)) setReloadKey((key) => key + 1);
+  };
+
+  const payOnline = async () => {
+    const checkout = await send('/checkout');
+    if (checkout) router.push(checkout.checkoutUrl);
+  };
+
+  const invoice = record?.invoice;
+  const depositHeld = invoice ? Math.round((invoice.paid - invoice.refunded) * 100) / 100 : 0;
+
+  return (
+    <div>
+      <Link href="/customer-plans/invoices" className="text-sm text-emerald-600 hover:text-emerald-700 font-medium">
+        ← Back to invoices
+      </Link>
+
+      {error && (
+        <div className="mt-4 p-3 bg-red-50 border border-red-200 rounded-lg">
+          <p className="text-sm text-red-800">{error}</p>
+        </div>
+      )}
+
+      {invoice && (
+        <>
+          <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3 mt-3 mb-4 sm:mb-6">
+            <div>
+              <h2 className="text-base sm:text-lg md:text-xl font-semibold text-gray-900 font-mono">{invoice.number}</h2>
+              <div className="mt-1 flex items-center gap-2">
+                <StatusBadge status={invoice.status} size="sm" />
+                {invoice.overdue && <StatusBadge status="overdue" size="sm" />}
+              </div>
+            </div>
+            <div className="flex items-center gap-2">
+              <a
+                href={`/api/billing/invoices/${invoice.id}/pdf`}
+                className="px-4 py-2 text-sm font-medium text-gray-700 bg-white border border-gray-300 rounded-lg hover:bg-gray-50 transition-colors whitespace-nowrap"
+              >
+                Download PDF
+              </a>
+              {invoice.balance > 0 && (
+                <button
+                  onClick={payOnline}
+                  disabled={busy}
+                  className="px-4 py-2 text-sm font-medium text-white bg-emerald-600 rounded-lg hover:bg-emerald-700 transition-colors whitespace-nowrap disabled:opacity-50"
+                >
+                  Pay Online
+                </button>
+              )}
+            </div>
+          </div>
+
+          <dl className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-4 sm:gap-6">
+            <Detail
+              label="Customer"
+              value={
+                <Link href={`/customer-plans/${invoice.customerId}`} className="text-emerald-600 hover:text-emerald-700">
+                  {invoice.billToName} ({invoice.customerId})
+                </Link>
+              }
+            />
+            <Detail label="Customer GSTIN" value={invoice.billToGstin} mono />
+            <Detail label="Kind" value={invoiceKindLabel(invoice.kind)} />
+            <Detail label="Issued" value={formatDate(invoice.issueDate)} />
+            <Detail label="Due" value={formatDate(invoice.dueDate)} />
+            <Detail label="Place of Supply" value={`${invoice.placeOfSupplyName || 'State'} (${invoice.placeOfSupply})`} />
+            {invoice.periodStart && <Detail label="Billing Period" value={`${formatDate(invoice.periodStart)} – ${formatDate(invoice.periodEnd)}`} />}
+            {invoice.overdueInvoiceId && (
+              <Detail
+                label="Late Fee For"
+                value={
+                  <Link href={`/customer-plans/invoices/${invoice.overdueInvoiceId}`} className="text-emerald-600 hover:text-emerald-700">
+                    Overdue invoice
+                  </Link>
+                }
+              />
+            )}
+          </dl>
+
+          <Section title="Lines">
+            <div className="overflow-x-auto">
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="text-left text-xs font-medium text-gray-500 uppercase tracking-wide border-b border-gray-200">
+                    <th className="py-2 pr-4">Description</th>
+                    <th className="py-2 pr-4 hidden sm:table-cell">SAC</th>
+                    <th className="py-2 pr-4 text-right">Qty</th>
+                    <th className="py-2 pr-4 hidden sm:table-cell text-right">Rate</th>
+                    <th className="py-2 text-right">Amount</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {record.lines.map((line) => (
+                    <tr key={line.id} className="border-b border-gray-100">
+                      <td className="py-3 pr-4 text-gray-900">{line.description}</td>
+                      <td className="py-3 pr-4 hidden sm:table-cell font-mono text-xs text-gray-600">{line.sac || '—'}</td>
+                      <td className="py-3 pr-4 text-right text-gray-600">{line.quantity}</td>
+                      <td className="py-3 pr-4 hidden sm:table-cell text-right text-gray-600">{formatAmount(line.unitPrice)}</td>
+                      <td className="py-3 text-right text-gray-900">{formatAmount(line.amount)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+            <dl className="mt-3 ml-auto max-w-xs space-y-1 text-sm">
+              {[
+                ['Taxable value', invoice.taxableAmount],
+                ['Not subject to GST', invoice.exemptAmount],
+                ['CGST @ 9%', invoice.cgst],
+                ['SGST @ 9%', invoice.sgst],
+                ['IGST @ 18%', invoice.igst],
+              ]
+                .filter(([, amount]) => amount)
+                .map(([label, amount]) => (
+                  <div key={label} className="flex justify-between text-gray-600">
+                    <dt>{label}</dt>
+                    <dd>{formatAmount(amount)}</dd>
+                  </div>
+                ))}
+              <div className="flex justify-between font-semibold text-gray-900 border-t border-gray-200 pt-1">
+                <dt>Total</dt>
+                <dd>{formatAmount(invoice.total)}</dd>
+              </div>
+              <div className="flex justify-between text-gray-600">
+                <dt>Balance due</dt>
+                <dd>{formatAmount(Math.max(invoice.balance, 0))}</dd>
+              </div>
+            </dl>
+          </Section>
+
+          <Section title="Payments">
+            {record.payments.length > 0 && (
+              <div className="overflow-x-auto mb-4">
+                <table className="w-full text-sm">
+                  <thead>
+                    <tr className="text-left text-xs font-medium text-gray-500 uppercase tracking-wide border-b border-gray-200">
+                      <th className="py-2 pr-4">Date</th>
+                      <th className="py-2 pr-4">Method</th>
+                      <th className="py-2 pr-4 hidden md:table-cell">Reference</th>
+                      <th className="py-2 pr-4 hidden sm:table-cell">Recorded By</th>
+                      <th className="py-2 pr-4 text-right">Amount</th>
+                      <th className="py-2">Status</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {record.payments.map((payment) => (
+                      <tr key={payment.id} className="border-b border-gray-100">
+                        <td className="py-3 pr-4 text-gray-600">{formatDate(payment.paidOn)}</td>
+                        <td className="py-3 pr-4 text-gray-900">
+                          {payment.kind === 'refund' ? 'Refund · ' : ''}
+                          {paymentMethodLabel(payment.method)}
+                        </td>
+                        <td className="py-3 pr-4 hidden md:table-cell font-mono text-xs text-gray-600">{payment.reference || '—'}</td>
+                        <td className="py-3 pr-4 hidden sm:table-cell text-gray-600">{payment.recordedBy || '—'}</td>
+                        <td className={`py-3 pr-4 text-right ${payment.kind === 'refund' ? 'text-red-600' : 'text-gray-900'}`}>
+                          {payment.kind === 'refund' ? '−' : ''}
+                          {formatAmount(payment.amount)}
+                        </td>
+                        <td className="py-3">
+                          <StatusBadge status={payment.status} size="sm" />
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+            {invoice.balance > 0 ? (
+              <PaymentForm key={`pay:${invoice.balance}`} defaultAmount={invoice.balance} submitLabel="Record Payment" busy={busy} onSubmit={recordPayment} />
+            ) : (
+              record.payments.length === 0 && <p className="text-sm text-gray-500">Nothing to pay on this invoice.</p>
+            )}
+          </Section>
+
+          {invoice.kind === 'deposit' && depositHeld > 0 && (
+            <Section title="Refund Deposit">
+              <p className="text-xs sm:text-sm text-gray-500 mb-3">
+                {formatAmount(depositHeld)} held. Refundable once the subscription has ended or been cancelled; refund less to settle other dues.
+              </p>
+              <PaymentForm key={`refund:${depositHeld}`} defaultAmount={depositHeld} submitLabel="Refund" busy={busy} onSubmit={refundDeposit} />
+            </Section>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
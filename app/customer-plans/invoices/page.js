@@ -0,0 +1,197 @@
+'use client';
+
+import { useEffect, useState } from 'react';
+import { useRouter } from 'next/navigation';
+import { useSession } from 'next-auth/react';
+import StatusBadge from '@/app/components/StatusBadge';
+import { isSuperAdmin } from '@/app/utils/auth';
+import { INVOICE_KIND_OPTIONS, formatAmount, formatDate, invoiceKindLabel } from '../components/customerOptions';
+
+const PAGE_SIZE = 20;
+
+export default function InvoicesPage() {
+  const router = useRouter();
+  const { data: session } = useSession();
+  const canRun = isSuperAdmin(session?.user);
+  const [filters, setFilters] = useState({ q: '', kind: '', status: '', from: '', to: '', page: 1 });
+  const [search, setSearch] = useState('');
+  const [result, setResult] = useState({ invoices: [], total: 0 });
+  const [reloadKey, setReloadKey] = useState(0);
+  const [loading, setLoading] = useState(true);
+  const [running, setRunning] = useState(false);
+  const [notice, setNotice] = useState('');
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    const query = new URLSearchParams({ page: filters.page, pageSize: PAGE_SIZE });
+    for (const field of ['q', 'kind', 'status', 'from', 'to']) {
+      if (filters[field]) query.set(field, filters[field]);
+    }
+
+    fetch(`/api/billing/invoices?${query}`)
+      .then((res) => (res.ok ? res.json() : Promise.reject(new Error('Failed to load invoices'))))
+      .then((data) => setResult(data))
+      .catch((err) => setError(err.message))
+      .finally(() => setLoading(false));
+  }, [filters, reloadKey]);
+
+  const runBilling = async () => {
+    setError('');
+    setNotice('');
+    setRunning(true);
+    try {
+      const res = await fetch('/api/billing/run', { method: 'POST' });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Billing run failed');
+
+      setNotice(data.issued.length ? `Issued ${data.issued.join(', ')}` : 'Nothing is due for billing right now');
+      setReloadKey((key) => key + 1);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setRunning(false);
+    }
+  };
+
+  const updateFilter = (field, value) => setFilters((prev) => ({ ...prev, [field]: value, page: 1 }));
+  const totalPages = Math.max(1, Math.ceil(result.total / PAGE_SIZE));
+  const selectClass =
+    'px-3 py-2 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-emerald-500 focus:border-emerald-500';
+
+  return (
+    <div>
+      <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-3 mb-4 sm:mb-6">
+        <form
+          onSubmit={(e) => {
+            e.preventDefault();
+            updateFilter('q', search.trim());
+          }}
+          className="flex flex-1 flex-wrap items-center gap-2"
+        >
+          <input
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+            placeholder="Search invoice number, customer"
+            className="flex-1 min-w-[12rem] px-3 py-2 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-emerald-500 focus:border-emerald-500"
+          />
+          <select value={filters.kind} onChange={(e) => updateFilter('kind', e.target.value)} className={selectClass}>
+            <option value="">All kinds</option>
+            {INVOICE_KIND_OPTIONS.map((option) => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+          <select value={filters.status} onChange={(e) => updateFilter('status', e.target.value)} className={selectClass}>
+            <option value="">Any status</option>
+            <option value="outstanding">Outstanding</option>
+            <option value="overdue">Overdue</option>
+            <option value="paid">Paid</option>
+          </select>
+          <input
+            type="date"
+            value={filters.from}
+            onChange={(e) => updateFilter('from', e.target.value)}
+            aria-label="Issued from"
+            className={selectClass}
+          />
+          <input
+            type="date"
+            value={filters.to}
+            onChange={(e) => updateFilter('to', e.target.value)}
+            aria-label="Issued to"
+            className={selectClass}
+          />
+        </form>
+        {canRun && (
+          <button
+            onClick={runBilling}
+            disabled={running}
+            className="px-4 py-2 text-sm font-medium text-gray-700 bg-white border border-gray-300 rounded-lg hover:bg-gray-50 transition-colors whitespace-nowrap disabled:opacity-50"
+          >
+            {running ? 'Running...' : 'Run Billing Now'}
+          </button>
+        )}
+      </div>
+
+      {error && (
+        <div className="mb-4 p-3 bg-red-50 border border-red-200 rounded-lg">
+          <p className="text-sm text-red-800">{error}</p>
+        </div>
+      )}
+      {notice && (
+        <div className="mb-4 p-3 bg-emerald-50 border border-emerald-200 rounded-lg">
+          <p className="text-sm text-emerald-800">{notice}</p>
+        </div>
+      )}
+
+      {loading ? (
+        <p className="text-sm text-gray-500 py-8 text-center">Loading...</p>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-xs font-medium text-gray-500 uppercase tracking-wide border-b border-gray-200">
+                <th className="py-2 pr-4">Invoice</th>
+                <th className="py-2 pr-4">Customer</th>
+                <th className="py-2 pr-4 hidden md:table-cell">Kind</th>
+                <th className="py-2 pr-4 hidden lg:table-cell">Issued</th>
+                <th className="py-2 pr-4 hidden sm:table-cell">Due</th>
+                <th className="py-2 pr-4 text-right">Total</th>
+                <th className="py-2 pr-4 hidden sm:table-cell text-right">Balance</th>
+                <th className="py-2">Status</th>
+              </tr>
+            </thead>
+            <tbody>
+              {result.invoices.map((invoice) => (
+                <tr
+                  key={invoice.id}
+                  onClick={() => router.push(`/customer-plans/invoices/${invoice.id}`)}
+                  className="border-b border-gray-100 hover:bg-emerald-50/50 cursor-pointer transition-colors"
+                >
+                  <td className="py-3 pr-4 font-mono text-xs font-semibold text-gray-900">{invoice.number}</td>
+                  <td className="py-3 pr-4">
+                    <p className="text-gray-900">{invoice.customerName}</p>
+                    <p className="font-mono text-xs text-gray-500">{invoice.customerId}</p>
+                  </td>
+                  <td className="py-3 pr-4 hidden md:table-cell text-gray-600">{invoiceKindLabel(invoice.kind)}</td>
+                  <td className="py-3 pr-4 hidden lg:table-cell text-gray-600">{formatDate(invoice.issueDate)}</td>
+                  <td className={`py-3 pr-4 hidden sm:table-cell ${invoice.overdue ? 'text-red-600 font-medium' : 'text-gray-600'}`}>
+                    {formatDate(invoice.dueDate)}
+                  </td>
+                  <td className="py-3 pr-4 text-right text-gray-900">{formatAmount(invoice.total)}</td>
+                  <td className="py-3 pr-4 hidden sm:table-cell text-right text-gray-600">{formatAmount(Math.max(invoice.balance, 0))}</td>
+                  <td className="py-3">
+                    <StatusBadge status={invoice.overdue ? 'overdue' : invoice.status} size="sm" />
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {result.invoices.length === 0 && (
+            <p className="text-sm text-gray-500 py-8 text-center">No invoices found.</p>
+          )}
+        </div>
+      )}
+
+      <div className="flex items-center justify-between mt-4 text-xs sm:text-sm text-gray-600">
+        <span>{result.total} invoice{result.total === 1 ? '' : 's'}</span>
+        <div className="flex items-center gap-2">
+          <button
+            onClick={() => setFilters((prev) => ({ ...prev, page: prev.page - 1 }))}
+            disabled={filters.page <= 1}
+            className="px-3 py-1.5 border border-gray-300 rounded-lg hover:bg-gray-50 disabled:opacity-40 disabled:cursor-not-allowed"
+          >
+            Previous
+          </button>
+          <span>Page {filters.page} of {totalPages}</span>
+          <button
+            onClick={() => setFilters((prev) => ({ ...prev, page: prev.page + 1 }))}
+            disabled={filters.page >= totalPages}
+            className="px-3 py-1.5 border border-gray-300 rounded-lg hover:bg-gray-50 disabled:opacity-40 disabled:cursor-not-allowed"
+          >
+            Next
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,31 @@
+'use client';
+
+import Link from 'next/link';
+import { useRouter } from 'next/navigation';
+import CustomerForm from '../components/CustomerForm';
+
+export default function NewCustomerPage() {
+  const router = useRouter();
+
+  const createCustomer = async (form) => {
+    const res = await fetch('/api/customers', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(form),
+    });
+    const data = await res.json();
+    if (!res.ok) throw new Error(data.error || 'Failed to enroll customer');
+
+    router.push(`/customer-plans/${data.customer.id}`);
+  };
+
+  return (
+    <div>
+      <Link href="/customer-plans" className="text-sm text-emerald-600 hover:text-emerald-700 font-medium">
+        ← Back to customers
+      </Link>
+      <h2 className="text-base sm:text-lg md:text-xl font-semibold text-gray-900 mt-3 mb-4 sm:mb-6">Enroll Customer</h2>
+      <CustomerForm onSubmit={createCustomer} submitLabel="Enroll Customer" />
+    </div>
+  );
+}
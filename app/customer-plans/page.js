@@ -0,0 +1,187 @@
+'use client';
+
+import { useEffect, useState } from 'react';
+import Link from 'next/link';
+import { useRouter } from 'next/navigation';
+import { useSession } from 'next-auth/react';
+import { useHierarchy } from '@/app/hooks/useHierarchy';
+import { hasHubAccess } from '@/app/utils/auth';
+
+const PAGE_SIZE = 20;
+
+function UsageCell({ usage }) {
+  if (!usage) return <span className="text-gray-400">—</span>;
+  if (usage.quota === null) return <span className="text-gray-600">{usage.swaps} swaps</span>;
+
+  return (
+    <span className={usage.overQuota ? 'text-red-600 font-medium' : 'text-gray-600'}>
+      {usage.swaps} / {usage.quota}
+      {usage.overQuota > 0 && ` (+${usage.overQuota})`}
+    </span>
+  );
+}
+
+export default function CustomersPage() {
+  const router = useRouter();
+  const { data: session } = useSession();
+  const { hierarchy } = useHierarchy();
+  const [filters, setFilters] = useState({ q: '', hub: '', planId: '', subscription: '', page: 1 });
+  const [search, setSearch] = useState('');
+  const [plans, setPlans] = useState([]);
+  const [result, setResult] = useState({ customers: [], total: 0 });
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    fetch('/api/customer-plans')
+      .then((res) => (res.ok ? res.json() : Promise.reject(new Error('Failed to load plans'))))
+      .then((data) => setPlans(data.plans))
+      .catch((err) => setError(err.message));
+  }, []);
+
+  useEffect(() => {
+    const query = new URLSearchParams({ page: filters.page, pageSize: PAGE_SIZE });
+    if (filters.q) query.set('q', filters.q);
+    if (filters.hub) query.set('hub', filters.hub);
+    if (filters.planId) query.set('planId', filters.planId);
+    if (filters.subscription) query.set('subscription', filters.subscription);
+
+    fetch(`/api/customers?${query}`)
+      .then((res) => (res.ok ? res.json() : Promise.reject(new Error('Failed to load customers'))))
+      .then((data) => setResult(data))
+      .catch((err) => setError(err.message))
+      .finally(() => setLoading(false));
+  }, [filters]);
+
+  const updateFilter = (field, value) => setFilters((prev) => ({ ...prev, [field]: value, page: 1 }));
+  const totalPages = Math.max(1, Math.ceil(result.total / PAGE_SIZE));
+  const hubs = Object.keys(hierarchy.hubs).filter((hub) => hasHubAccess(session?.user, hub, hierarchy));
+
+  return (
+    <div>
+      <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-3 mb-4 sm:mb-6">
+        <form
+          onSubmit={(e) => {
+            e.preventDefault();
+            updateFilter('q', search.trim());
+          }}
+          className="flex flex-1 flex-wrap items-center gap-2"
+        >
+          <input
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+            placeholder="Search code, name, phone, email"
+            className="flex-1 min-w-[12rem] px-3 py-2 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-emerald-500 focus:border-emerald-500"
+          />
+          <select
+            value={filters.planId}
+            onChange={(e) => updateFilter('planId', e.target.value)}
+            className="px-3 py-2 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-emerald-500 focus:border-emerald-500"
+          >
+            <option value="">All plans</option>
+            {plans.map((plan) => (
+              <option key={plan.id} value={plan.id}>{plan.name}</option>
+            ))}
+          </select>
+          <select
+            value={filters.subscription}
+            onChange={(e) => updateFilter('subscription', e.target.value)}
+            className="px-3 py-2 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-emerald-500 focus:border-emerald-500"
+          >
+            <option value="">Any subscription</option>
+            <option value="active">On a plan</option>
+            <option value="none">No current plan</option>
+          </select>
+          <select
+            value={filters.hub}
+            onChange={(e) => updateFilter('hub', e.target.value)}
+            className="px-3 py-2 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-emerald-500 focus:border-emerald-500"
+          >
+            <option value="">All hubs</option>
+            {hubs.map((hub) => (
+              <option key={hub} value={hub}>{hierarchy.names.hub[hub] || hub}</option>
+            ))}
+          </select>
+        </form>
+        <Link
+          href="/customer-plans/new"
+          className="px-4 py-2 text-sm font-medium text-white bg-emerald-600 rounded-lg hover:bg-emerald-700 transition-colors whitespace-nowrap text-center"
+        >
+          Enroll Customer
+        </Link>
+      </div>
+
+      {error && (
+        <div className="mb-4 p-3 bg-red-50 border border-red-200 rounded-lg">
+          <p className="text-sm text-red-800">{error}</p>
+        </div>
+      )}
+
+      {loading ? (
+        <p className="text-sm text-gray-500 py-8 text-center">Loading...</p>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-xs font-medium text-gray-500 uppercase tracking-wide border-b border-gray-200">
+                <th className="py-2 pr-4">Customer</th>
+                <th className="py-2 pr-4 hidden md:table-cell">Phone</th>
+                <th className="py-2 pr-4">Plan</th>
+                <th className="py-2 pr-4 hidden sm:table-cell">Swaps This Cycle</th>
+                <th className="py-2 pr-4 hidden lg:table-cell text-right">Riders</th>
+                <th className="py-2 pr-4 hidden lg:table-cell text-right">Vehicles</th>
+                <th className="py-2 hidden sm:table-cell">Hub</th>
+              </tr>
+            </thead>
+            <tbody>
+              {result.customers.map((customer) => (
+                <tr
+                  key={customer.id}
+                  onClick={() => router.push(`/customer-plans/${customer.id}`)}
+                  className="border-b border-gray-100 hover:bg-emerald-50/50 cursor-pointer transition-colors"
+                >
+                  <td className="py-3 pr-4">
+                    <p className="font-semibold text-gray-900">{customer.name}</p>
+                    <p className="font-mono text-xs text-gray-500">{customer.id}</p>
+                  </td>
+                  <td className="py-3 pr-4 hidden md:table-cell font-mono text-xs text-gray-700">{customer.phone}</td>
+                  <td className="py-3 pr-4 text-gray-700">{customer.planName || <span className="text-gray-400">None</span>}</td>
+                  <td className="py-3 pr-4 hidden sm:table-cell">
+                    <UsageCell usage={customer.usage} />
+                  </td>
+                  <td className="py-3 pr-4 hidden lg:table-cell text-right text-gray-600">{customer.riders}</td>
+                  <td className="py-3 pr-4 hidden lg:table-cell text-right text-gray-600">{customer.vehicles}</td>
+                  <td className="py-3 hidden sm:table-cell text-gray-600">{hierarchy.names.hub[customer.hub] || customer.hub}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {result.customers.length === 0 && (
+            <p className="text-sm text-gray-500 py-8 text-center">No customers found.</p>
+          )}
+        </div>
+      )}
+
+      <div className="flex items-center justify-between mt-4 text-xs sm:text-sm text-gray-600">
+        <span>{result.total} customer{result.total === 1 ? '' : 's'}</span>
+        <div className="flex items-center gap-2">
+          <button
+            onClick={() => setFilters((prev) => ({ ...prev, page: prev.page - 1 }))}
+            disabled={filters.page <= 1}
+            className="px-3 py-1.5 border border-gray-300 rounded-lg hover:bg-gray-50 disabled:opacity-40 disabled:cursor-not-allowed"
+          >
+            Previous
+          </button>
+          <span>Page {filters.page} of {totalPages}</span>
+          <button
+            onClick={() => setFilters((prev) => ({ ...prev, page: prev.page + 1 }))}
+            disabled={filters.page >= totalPages}
+            className="px-3 py-1.5 border border-gray-300 rounded-lg hover:bg-gray-50 disabled:opacity-40 disabled:cursor-not-allowed"
+          >
+            Next
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,119 @@
+'use client';
+
+import { use, useEffect, useState } from 'react';
+import Link from 'next/link';
+import { useSession } from 'next-auth/react';
+import StatusBadge from '@/app/components/StatusBadge';
+import { isSuperAdmin } from '@/app/utils/auth';
+import CustomerPlanForm from '../../components/CustomerPlanForm';
+import { describeQuota, formatAmount, planKindLabel } from '../../components/customerOptions';
+
+function Detail({ label, value }) {
+  return (
+    <div>
+      <dt className="text-xs font-medium text-gray-500 uppercase tracking-wide">{label}</dt>
+      <dd className="mt-1 text-sm text-gray-900">{value ?? '—'}</dd>
+    </div>
+  );
+}
+
+export default function CustomerPlanPage({ params }) {
+  const { id } = use(params);
+  const { data: session } = useSession();
+  const canManage = isSuperAdmin(session?.user);
+  const [plan, setPlan] = useState(null);
+  const [editing, setEditing] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    fetch(`/api/customer-plans/${id}`)
+      .then(async (res) => {
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || 'Failed to load plan');
+        setPlan(data.plan);
+      })
+      .catch((err) => setError(err.message));
+  }, [id]);
+
+  const patchPlan = async (fields) => {
+    const res = await fetch(`/api/customer-plans/${id}`, {
+      method: 'PATCH',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(fields),
+    });
+    const data = await res.json();
+    if (!res.ok) throw new Error(data.error || 'Failed to save plan');
+
+    setPlan(data.plan);
+    setEditing(false);
+  };
+
+  const toggleActive = async () => {
+    setError('');
+    try {
+      await patchPlan({ active: !plan.active });
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <div>
+      <Link href="/customer-plans/plans" className="text-sm text-emerald-600 hover:text-emerald-700 font-medium">
+        ← Back to plans
+      </Link>
+
+      {error && (
+        <div className="mt-4 p-3 bg-red-50 border border-red-200 rounded-lg">
+          <p className="text-sm text-red-800">{error}</p>
+        </div>
+      )}
+
+      {plan && (
+        <>
+          <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3 mt-3 mb-4 sm:mb-6">
+            <div className="flex items-center gap-3">
+              <h2 className="text-base sm:text-lg md:text-xl font-semibold text-gray-900">{plan.name}</h2>
+              <StatusBadge status={plan.active ? 'active' : 'inactive'} size="sm" />
+            </div>
+            {canManage && !editing && (
+              <div className="flex items-center gap-2">
+                <button
+                  onClick={() => setEditing(true)}
+                  className="px-4 py-2 text-sm font-medium text-gray-700 bg-white border border-gray-300 rounded-lg hover:bg-gray-50 transition-colors"
+                >
+                  Edit
+                </button>
+                <button
+                  onClick={toggleActive}
+                  className={`px-4 py-2 text-sm font-medium rounded-lg transition-colors ${
+                    plan.active
+                      ? 'text-red-700 bg-red-50 border border-red-200 hover:bg-red-100'
+                      : 'text-white bg-emerald-600 hover:bg-emerald-700'
+                  }`}
+                >
+                  {plan.active ? 'Withdraw' : 'Reinstate'}
+                </button>
+              </div>
+            )}
+          </div>
+
+          {editing ? (
+            <CustomerPlanForm initialPlan={plan} onSubmit={patchPlan} onCancel={() => setEditing(false)} submitLabel="Save Changes" />
+          ) : (
+            <dl className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-4 sm:gap-6">
+              <Detail label="Kind" value={planKindLabel(plan.kind)} />
+              <Detail label="Monthly Fee" value={formatAmount(plan.monthlyFee)} />
+              <Detail label="Swaps" value={describeQuota(plan)} />
+              <Detail label="Deposit" value={formatAmount(plan.deposit)} />
+              <Detail label="Validity" value={`${plan.validityDays} days`} />
+              <Detail label="Customers on Plan" value={plan.subscribers} />
+              <Detail label="Created By" value={plan.createdBy} />
+              <Detail label="Created" value={new Date(`${plan.createdAt}Z`).toLocaleDateString()} />
+            </dl>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,31 @@
+'use client';
+
+import Link from 'next/link';
+import { useRouter } from 'next/navigation';
+import CustomerPlanForm from '../../components/CustomerPlanForm';
+
+export default function NewCustomerPlanPage() {
+  const router = useRouter();
+
+  const createPlan = async (form) => {
+    const res = await fetch('/api/customer-plans', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(form),
+    });
+    const data = await res.json();
+    if (!res.ok) throw new Error(data.error || 'Failed to create plan');
+
+    router.push(`/customer-plans/plans/${data.plan.id}`);
+  };
+
+  return (
+    <div>
+      <Link href="/customer-plans/plans" className="text-sm text-emerald-600 hover:text-emerald-700 font-medium">
+        ← Back to plans
+      </Link>
+      <h2 className="text-base sm:text-lg md:text-xl font-semibold text-gray-900 mt-3 mb-4 sm:mb-6">New Plan</h2>
+      <CustomerPlanForm onSubmit={createPlan} submitLabel="Create Plan" />
+    </div>
+  );
+}
@@ -0,0 +1,92 @@
+'use client';
+
+import { useEffect, useState } from 'react';
+import Link from 'next/link';
+import { useRouter } from 'next/navigation';
+import { useSession } from 'next-auth/react';
+import StatusBadge from '@/app/components/StatusBadge';
+import { isSuperAdmin } from '@/app/utils/auth';
+import { describeQuota, formatAmount, planKindLabel } from '../components/customerOptions';
+
+export default function CustomerPlanCataloguePage() {
+  const router = useRouter();
+  const { data: session } = useSession();
+  const canManage = isSuperAdmin(session?.user);
+  const [plans, setPlans] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    fetch('/api/customer-plans')
+      .then((res) => (res.ok ? res.json() : Promise.reject(new Error('Failed to load plans'))))
+      .then((data) => setPlans(data.plans))
+      .catch((err) => setError(err.message))
+      .finally(() => setLoading(false));
+  }, []);
+
+  return (
+    <div>
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3 mb-4 sm:mb-6">
+        <p className="text-xs sm:text-sm text-gray-500">
+          Plans customers can be enrolled on. Swap quotas reset every month of a subscription.
+        </p>
+        {canManage && (
+          <Link
+            href="/customer-plans/plans/new"
+            className="px-4 py-2 text-sm font-medium text-white bg-emerald-600 rounded-lg hover:bg-emerald-700 transition-colors whitespace-nowrap text-center"
+          >
+            New Plan
+          </Link>
+        )}
+      </div>
+
+      {error && (
+        <div className="mb-4 p-3 bg-red-50 border border-red-200 rounded-lg">
+          <p className="text-sm text-red-800">{error}</p>
+        </div>
+      )}
+
+      {loading ? (
+        <p className="text-sm text-gray-500 py-8 text-center">Loading...</p>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-xs font-medium text-gray-500 uppercase tracking-wide border-b border-gray-200">
+                <th className="py-2 pr-4">Plan</th>
+                <th className="py-2 pr-4 hidden sm:table-cell">Kind</th>
+                <th className="py-2 pr-4 text-right">Monthly Fee</th>
+                <th className="py-2 pr-4 hidden md:table-cell">Swaps</th>
+                <th className="py-2 pr-4 hidden lg:table-cell text-right">Deposit</th>
+                <th className="py-2 pr-4 hidden lg:table-cell text-right">Validity</th>
+                <th className="py-2 pr-4 hidden sm:table-cell text-right">Customers</th>
+                <th className="py-2">Status</th>
+              </tr>
+            </thead>
+            <tbody>
+              {plans.map((plan) => (
+                <tr
+                  key={plan.id}
+                  onClick={() => router.push(`/customer-plans/plans/${plan.id}`)}
+                  className="border-b border-gray-100 hover:bg-emerald-50/50 cursor-pointer transition-colors"
+                >
+                  <td className="py-3 pr-4 font-semibold text-gray-900">{plan.name}</td>
+                  <td className="py-3 pr-4 hidden sm:table-cell text-gray-600">{planKindLabel(plan.kind)}</td>
+                  <td className="py-3 pr-4 text-right text-gray-700">{formatAmount(plan.monthlyFee)}</td>
+                  <td className="py-3 pr-4 hidden md:table-cell text-gray-600">{describeQuota(plan)}</td>
+                  <td className="py-3 pr-4 hidden lg:table-cell text-right text-gray-600">{formatAmount(plan.deposit)}</td>
+                  <td className="py-3 pr-4 hidden lg:table-cell text-right text-gray-600">{plan.validityDays} days</td>
+                  <td className="py-3 pr-4 hidden sm:table-cell text-right text-gray-600">{plan.subscribers}</td>
+                  <td className="py-3">
+                    <StatusBadge status={plan.active ? 'active' : 'inactive'} size="sm" />
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {plans.length === 0 && <p className="text-sm text-gray-500 py-8 text-center">No plans yet.</p>}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,30 @@
+import Link from 'next/link';
+
+export const metadata = {
+  title: '403 Forbidden - Draive',
+};
+
+export default function ForbiddenPage() {
+  return (
+    <div className="min-h-screen bg-gray-50 flex items-center justify-center p-4">
+      <div className="text-center">
+        <div className="w-14 h-14 sm:w-16 sm:h-16 md:w-20 md:h-20 bg-red-100 rounded-full flex items-center justify-center mx-auto mb-3 sm:mb-4">
+          <svg className="w-7 h-7 sm:w-8 sm:h-8 md:w-10 md:h-10 text-red-600" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 15v2m-6 4h12a2 2 0 002-2v-6a2 2 0 00-2-2H6a2 2 0 00-2 2v6a2 2 0 002 2zm10-10V7a4 4 0 00-8 0v4h8z" />
+          </svg>
+        </div>
+        <p className="text-sm font-semibold text-red-600 mb-1">403 Forbidden</p>
+        <h1 className="text-xl sm:text-2xl font-bold text-gray-900 mb-2">You don&apos;t have access to this page</h1>
+        <p className="text-gray-500 text-xs sm:text-sm md:text-base max-w-md mx-auto mb-6">
+          Your role doesn&apos;t include this section. Contact your administrator if you think this is a mistake.
+        </p>
+        <Link
+          href="/"
+          className="inline-block px-4 py-2 text-sm font-medium text-white bg-emerald-600 rounded-lg hover:bg-emerald-700 transition-colors"
+        >
+          Back to Dashboard
+        </Link>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,23 @@
+'use client';
+
+import { useEffect, useState } from 'react';
+
+const EMPTY = { regions: [], circles: {}, areas: {}, hubs: {}, names: { region: {}, circle: {}, area: {}, hub: {} } };
+
+/**
+ * Load the organisation hierarchy map from /api/hierarchy
+ * (child → parent codes plus display names)
+ */
+export function useHierarchy() {
+  const [hierarchy, setHierarchy] = useState(EMPTY);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    fetch('/api/hierarchy')
+      .then((res) => (res.ok ? res.json() : Promise.reject(new Error('Failed to load hierarchy'))))
+      .then((data) => setHierarchy(data.map))
+      .catch((err) => setError(err.message));
+  }, []);
+
+  return { hierarchy, error };
+}
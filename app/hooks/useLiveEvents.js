@@ -0,0 +1,63 @@
+'use client';
+
+import { useEffect, useRef, useState } from 'react';
+
+// One EventSource per browser tab, shared by every component that
+// subscribes, and closed once the last one unsubscribes
+let source = null;
+let subscribers = 0;
+
+function acquire() {
+  if (!source) source = new EventSource('/api/events');
+  subscribers++;
+  return source;
+}
+
+function release() {
+  subscribers--;
+  if (subscribers === 0) {
+    source.close();
+    source = null;
+  }
+}
+
+/**
+ * Subscribe to live events from /api/events (already scoped to the
+ * signed-in user) and call `handler(type, data)` for each one of the
+ * given types. Returns whether the stream is currently connected.
+ *
+ *   useLiveEvents(['swap.recorded'], (type, swap) => ...);
+ */
+export function useLiveEvents(types, handler) {
+  const handlerRef = useRef(handler);
+  const [connected, setConnected] = useState(false);
+  const key = types.join(',');
+
+  useEffect(() => {
+    handlerRef.current = handler;
+  });
+
+  useEffect(() => {
+    const eventSource = acquire();
+    const listeners = key.split(',').map((type) => [
+      type,
+      (event) => handlerRef.current(type, JSON.parse(event.data)),
+    ]);
+    const onOpen = () => setConnected(true);
+    const onError = () => setConnected(eventSource.readyState === EventSource.OPEN);
+
+    listeners.forEach(([type, listener]) => eventSource.addEventListener(type, listener));
+    eventSource.addEventListener('open', onOpen);
+    eventSource.addEventListener('error', onError);
+    if (eventSource.readyState === EventSource.OPEN) queueMicrotask(onOpen);
+
+    return () => {
+      listeners.forEach(([type, listener]) => eventSource.removeEventListener(type, listener));
+      eventSource.removeEventListener('open', onOpen);
+      eventSource.removeEventListener('error', onError);
+      release();
+    };
+  }, [key]);
+
+  return connected;
+}
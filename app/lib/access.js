@@ -0,0 +1,53 @@
+import { NextResponse } from 'next/server';
+import { getScopeFilter, isInUserScope } from '../utils/auth.js';
+
+// Server-side scope enforcement for queries and records.
+// Scoped tables carry denormalised region/circle/area columns, the same
+// fields filterDataByUserAccess() matches on in the browser.
+
+/**
+ * Build a SQL condition restricting rows to the user's scope.
+ * `alias` prefixes the columns when the query joins several tables.
+ *
+ *   const scope = scopeWhere(user, 'v');
+ *   db.prepare(`SELECT * FROM vehicles v WHERE ${scope.sql}`).all(...scope.params);
+ */
+export function scopeWhere(user, alias) {
+  const filter = getScopeFilter(user);
+  if (!filter) return { sql: '0', params: [] };
+
+  const prefix = alias ? `${alias}.` : '';
+  const entries = Object.entries(filter);
+  if (!entries.length) return { sql: '1', params: [] };
+
+  return {
+    sql: entries.map(([column]) => `${prefix}${column} = ?`).join(' AND '),
+    params: entries.map(([, value]) => value),
+  };
+}
+
+export function forbidden(message = 'Forbidden') {
+  return NextResponse.json({ error: message }, { status: 403 });
+}
+
+export function notFound(message = 'Not found') {
+  return NextResponse.json({ error: message }, { status: 404 });
+}
+
+/**
+ * Check a loaded record against the user's scope.
+ * Returns a 404 response if it doesn't exist, 403 if it's out of scope,
+ * or null when the user may access it.
+ */
+export function checkRecordAccess(user, record, label = 'Record') {
+  if (!record) return notFound(`${label} not found`);
+  if (!isInUserScope(record, user)) return forbidden(`${label} is outside your scope`);
+  return null;
+}
+
+/**
+ * Check that a record being created or moved lands inside the user's scope
+ */
+export function checkWriteScope(user, scope) {
+  return isInUserScope(scope, user) ? null : forbidden('Target is outside your scope');
+}
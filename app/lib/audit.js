@@ -0,0 +1,198 @@
+import { getDb, LOCAL_TIME_OFFSET } from './db.js';
+import { scopeWhere } from './access.js';
+
+// Audit trail of sign-ins and changes. Entries are only ever added: the
+// table's triggers refuse updates and deletes. Each records who acted
+// (with their role and scope as they were at the time), what changed as
+// a field-by-field diff, and where the request came from. An entry is
+// scoped like the record it concerns - or like the actor, for sign-ins -
+// so a regional head reviewing the log sees only their own region.
+
+export const AUDIT_ACTIONS = [
+  'login', 'login_failed', 'lockout', 'unlock', 'logout', 'password_change', 'password_reset', 'create', 'update', 'delete',
+];
+
+// Bookkeeping and derived fields left out of diffs
+const IGNORED_FIELDS = new Set([
+  'createdAt', 'updatedAt', 'nextStatuses', 'overdue', 'online', 'lastSeenAt', 'slotSummary', 'statusChangedAt',
+]);
+
+// Recorded as changed without their values
+const REDACTED_FIELDS = new Set(['apiKey', 'password', 'passwordHash', 'recoveryCodes', 'token']);
+
+function toEntry(row) {
+  return {
+    id: String(row.id),
+    action: row.action,
+    entityType: row.entity_type,
+    entityId: row.entity_id,
+    actorId: row.actor_id,
+    actorEmail: row.actor_email,
+    actorName: row.actor_name,
+    actorRole: row.actor_role,
+    actorScope: [row.actor_region, row.actor_circle, row.actor_area].filter(Boolean).join(' / ') || null,
+    region: row.region,
+    circle: row.circle,
+    area: row.area,
+    changes: row.changes ? JSON.parse(row.changes) : null,
+    ip: row.ip,
+    userAgent: row.user_agent,
+    createdAt: row.created_at,
+  };
+}
+
+// How many reverse proxies in front of the app append to X-Forwarded-For
+// (TRUST_PROXY, usually 1). Unset when clients reach the app directly.
+function trustedProxies() {
+  const hops = parseInt(process.env.TRUST_PROXY, 10);
+  return hops > 0 ? hops : 0;
+}
+
+/**
+ * The client's IP address as the outermost trusted proxy saw it: each
+ * proxy appends the address it was reached from, so it's the TRUST_PROXY-th
+ * address from the end of X-Forwarded-For (anything before that came from
+ * the client and may be forged), falling back to X-Real-IP.
+ *
+ * Without TRUST_PROXY it's the peer address, which Next.js's server puts
+ * in X-Forwarded-For when the request doesn't bring its own. A client
+ * connecting directly could send one, which is why a production server
+ * won't start without TRUST_PROXY (checkTrustProxy()).
+ */
+export function clientIp(headers) {
+  const forwarded = (headers?.get('x-forwarded-for') || '')
+    .split(',')
+    .map((address) => address.trim())
+    .filter(Boolean);
+
+  const hops = trustedProxies();
+  if (!hops) return forwarded.at(-1) || null;
+  return forwarded[Math.max(forwarded.length - hops, 0)] || headers?.get('x-real-ip') || null;
+}
+
+/**
+ * Refuse to run a production server without TRUST_PROXY, so the per-IP
+ * sign-in limits (loginThrottle.js) never go by an address the client
+ * chose. Called at startup from instrumentation.js.
+ */
+export function checkTrustProxy() {
+  if (process.env.NODE_ENV === 'production' && !trustedProxies()) {
+    throw new Error(
+      'TRUST_PROXY must be set in production: the number of reverse proxies in front of the app that append to X-Forwarded-For (usually 1)'
+    );
+  }
+}
+
+/**
+ * Field-by-field changes between two versions of a record, as
+ * { field: { from, to } }. Either side may be null for a create or delete.
+ */
+export function diffRecords(before, after) {
+  const changes = {};
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+  for (const field of fields) {
+    if (IGNORED_FIELDS.has(field)) continue;
+
+    const from = before?.[field] ?? null;
+    const to = after?.[field] ?? null;
+    if (JSON.stringify(from) === JSON.stringify(to)) continue;
+
+    changes[field] = REDACTED_FIELDS.has(field)
+      ? { from: from === null ? null : '[redacted]', to: to === null ? null : '[redacted]' }
+      : { from, to };
+  }
+  return changes;
+}
+
+/**
+ * Append an entry to the audit log.
+ *
+ *   recordAudit(request.headers, user, { action: 'update', entityType: 'vehicle', entityId: id, before, after });
+ *
+ * `actor` is the signed-in user, or for a failed login the account that
+ * was tried (null when no such account exists, with `email` the address
+ * that was typed). The entry takes the region/circle/area of `scope`
+ * (for parts of a record, such as a station's slot), else of the record
+ * itself, else of the actor. A change that changed nothing leaves no entry.
+ */
+export function recordAudit(
+  headers,
+  actor,
+  { action, entityType = null, entityId = null, before = null, after = null, scope = null, email } = {}
+) {
+  const record = after || before;
+  const changes = record ? diffRecords(before, after) : null;
+  if (action === 'update' && changes && !Object.keys(changes).length) return;
+
+  scope ??= record && 'region' in record ? record : actor || {};
+
+  getDb()
+    .prepare(
+      `INSERT INTO audit_log (action, entity_type, entity_id, actor_id, actor_email, actor_name, actor_role,
+         actor_region, actor_circle, actor_area, region, circle, area, changes, ip, user_agent)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`
+    )
+    .run(
+      action,
+      entityType,
+      entityId === null ? null : String(entityId),
+      actor?.id ?? null,
+      email ?? actor?.email ?? null,
+      actor?.name ?? null,
+      actor?.role ?? null,
+      actor?.region ?? null,
+      actor?.circle ?? null,
+      actor?.area ?? null,
+      scope.region ?? null,
+      scope.circle ?? null,
+      scope.area ?? null,
+      changes ? JSON.stringify(changes) : null,
+      clientIp(headers),
+      headers?.get('user-agent')?.slice(0, 300) ?? null
+    );
+}
+
+/**
+ * Audit entries in the user's scope, newest first. `from`/`to` are local
+ * dates; `actor` matches the actor's name or email, `entityId` the record.
+ */
+export function listAudit(user, { action, entityType, entityId, actor, from, to, page = 1, pageSize = 50 } = {}) {
+  const scope = scopeWhere(user);
+  const where = [scope.sql];
+  const params = [...scope.params];
+
+  if (action) {
+    where.push('action = ?');
+    params.push(action);
+  }
+  if (entityType) {
+    where.push('entity_type = ?');
+    params.push(entityType);
+  }
+  if (entityId) {
+    where.push('entity_id LIKE ?');
+    params.push(`%${entityId}%`);
+  }
+  if (actor) {
+    where.push('(actor_name LIKE ? OR actor_email LIKE ?)');
+    params.push(`%${actor}%`, `%${actor}%`);
+  }
+  if (from) {
+    where.push('date(created_at, ?) >= ?');
+    params.push(LOCAL_TIME_OFFSET, from);
+  }
+  if (to) {
+    where.push('date(created_at, ?) <= ?');
+    params.push(LOCAL_TIME_OFFSET, to);
+  }
+
+  const db = getDb();
+  const sql = where.join(' AND ');
+  const total = db.prepare(`SELECT COUNT(*) AS count FROM audit_log WHERE ${sql}`).get(...params).count;
+  const rows = db
+    .prepare(`SELECT * FROM audit_log WHERE ${sql} ORDER BY created_at DESC, id DESC LIMIT ? OFFSET ?`)
+    .all(...params, pageSize, (page - 1) * pageSize);
+
+  return { entries: rows.map(toEntry), total, page, pageSize };
+}
@@ -0,0 +1,25 @@
+// The secret NextAuth signs sessions with (NEXTAUTH_SECRET), which also
+// signs password reset links. Development servers fall back to a fixed
+// one; anyone could forge sessions with it, so a production server won't
+// start without NEXTAUTH_SECRET (checkAuthSecret()).
+
+const DEVELOPMENT_SECRET = 'draive-secret-key-2024';
+
+/**
+ * The session signing secret. Undefined on a production server without
+ * NEXTAUTH_SECRET, which then refuses to start.
+ */
+export function authSecret() {
+  if (process.env.NEXTAUTH_SECRET) return process.env.NEXTAUTH_SECRET;
+  return process.env.NODE_ENV === 'production' ? undefined : DEVELOPMENT_SECRET;
+}
+
+/**
+ * Refuse to run a production server without NEXTAUTH_SECRET. Called at
+ * startup from instrumentation.js.
+ */
+export function checkAuthSecret() {
+  if (process.env.NODE_ENV === 'production' && !process.env.NEXTAUTH_SECRET) {
+    throw new Error('NEXTAUTH_SECRET must be set in production: a long random string, e.g. from `openssl rand -base64 32`');
+  }
+}
@@ -0,0 +1,289 @@
+import { getDb } from './db.js';
+import { scopeWhere } from './access.js';
+import { resolveHubScope } from './hierarchy.js';
+import { getVehicle } from './vehicles.js';
+import { findStationSlot, syncSlotOccupancy } from './stations.js';
+import { publishEvent } from './liveEvents.js';
+
+// Battery pack inventory, lifecycle and custody history
+
+export const BATTERY_CHEMISTRIES = ['LFP', 'NMC', 'LTO'];
+export const LIFECYCLE_STATES = ['in_service', 'charging', 'maintenance', 'quarantined', 'retired'];
+export const LOCATION_TYPES = ['vehicle', 'station', 'warehouse'];
+
+function toBattery(row) {
+  if (!row) return null;
+
+  return {
+    serial: row.serial,
+    chemistry: row.chemistry,
+    ratedCapacityKwh: row.rated_capacity_kwh,
+    stateOfHealth: row.state_of_health,
+    cycleCount: row.cycle_count,
+    lifecycleState: row.lifecycle_state,
+    locationType: row.location_type,
+    locationRef: row.location_ref,
+    hub: row.hub,
+    region: row.region,
+    circle: row.circle,
+    area: row.area,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+function toCustodyEntry(row) {
+  return {
+    id: String(row.id),
+    event: row.event,
+    locationType: row.location_type,
+    locationRef: row.location_ref,
+    lifecycleState: row.lifecycle_state,
+    hub: row.hub,
+    note: row.note,
+    actorName: row.actor_name,
+    createdAt: row.created_at,
+  };
+}
+
+/**
+ * List batteries in the user's scope with search, filters and pagination
+ */
+export function listBatteries(user, { q, lifecycleState, locationType, page = 1, pageSize = 20 } = {}) {
+  const scope = scopeWhere(user);
+  const where = [scope.sql];
+  const params = [...scope.params];
+
+  if (lifecycleState) {
+    where.push('lifecycle_state = ?');
+    params.push(lifecycleState);
+  }
+  if (locationType) {
+    where.push('location_type = ?');
+    params.push(locationType);
+  }
+  if (q) {
+    where.push('(serial LIKE ? OR location_ref LIKE ?)');
+    params.push(`%${q}%`, `%${q}%`);
+  }
+
+  const db = getDb();
+  const sql = where.join(' AND ');
+  const total = db.prepare(`SELECT COUNT(*) AS count FROM batteries WHERE ${sql}`).get(...params).count;
+  const rows = db
+    .prepare(`SELECT * FROM batteries WHERE ${sql} ORDER BY serial LIMIT ? OFFSET ?`)
+    .all(...params, pageSize, (page - 1) * pageSize);
+
+  return { batteries: rows.map(toBattery), total, page, pageSize };
+}
+
+export function getBattery(serial) {
+  return toBattery(getDb().prepare('SELECT * FROM batteries WHERE serial = ?').get(serial));
+}
+
+/**
+ * Full custody history of a battery, newest first
+ */
+export function getCustodyHistory(serial) {
+  return getDb()
+    .prepare(
+      `SELECT c.* FROM battery_custody c JOIN batteries b ON b.id = c.battery_id
+       WHERE b.serial = ? ORDER BY c.created_at DESC, c.id DESC`
+    )
+    .all(serial)
+    .map(toCustodyEntry);
+}
+
+/**
+ * Validate battery attributes. Returns an error message, or null when valid.
+ */
+export function validateBattery(input, existing = null) {
+  if (!existing) {
+    if (!input.serial || !/^[A-Z0-9-]{4,32}$/.test(input.serial)) {
+      return 'Serial must be 4-32 uppercase letters, digits or dashes';
+    }
+    if (getBattery(input.serial)) {
+      return `Battery ${input.serial} is already registered`;
+    }
+    if (!resolveHubScope(input.hub)) {
+      return `Unknown hub: ${input.hub || ''}`;
+    }
+  }
+
+  if ((!existing || 'chemistry' in input) && !BATTERY_CHEMISTRIES.includes(input.chemistry)) {
+    return `Chemistry must be one of: ${BATTERY_CHEMISTRIES.join(', ')}`;
+  }
+  if ((!existing || 'ratedCapacityKwh' in input) && !(input.ratedCapacityKwh > 0)) {
+    return 'Rated capacity must be a positive number of kWh';
+  }
+  if ('stateOfHealth' in input && !(input.stateOfHealth >= 0 && input.stateOfHealth <= 100)) {
+    return 'State of health must be between 0 and 100%';
+  }
+  if ('cycleCount' in input && !(Number.isInteger(input.cycleCount) && input.cycleCount >= 0)) {
+    return 'Cycle count must be a whole number';
+  }
+  if (existing && 'cycleCount' in input && input.cycleCount < existing.cycleCount) {
+    return `Cycle count cannot go backwards (currently ${existing.cycleCount})`;
+  }
+
+  return null;
+}
+
+/**
+ * Resolve a target location to `{ locationType, locationRef, hub }`.
+ * Vehicles, warehouses and station slots (`CS-001/2`) each imply their hub.
+ * Returns `{ error }` when the location is invalid.
+ */
+export function resolveLocation({ locationType, locationRef }) {
+  switch (locationType) {
+    case 'vehicle': {
+      const vehicle = getVehicle(locationRef);
+      if (!vehicle || vehicle.retiredAt) return { error: `Unknown or retired vehicle: ${locationRef || ''}` };
+      return { locationType, locationRef: vehicle.id, hub: vehicle.hub };
+    }
+    case 'warehouse':
+      if (!resolveHubScope(locationRef)) return { error: `Unknown hub warehouse: ${locationRef || ''}` };
+      return { locationType, locationRef, hub: locationRef };
+    case 'station': {
+      const found = findStationSlot(locationRef);
+      if (!found) return { error: `Unknown station slot: ${locationRef || ''} (expected STATION/SLOT, e.g. CS-001/2)` };
+      if (found.station.retiredAt) return { error: `Station ${found.station.code} is retired` };
+      return { locationType, locationRef: `${found.station.code}/${found.slot.label}`, hub: found.station.hub };
+    }
+    default:
+      return { error: `Location must be one of: ${LOCATION_TYPES.join(', ')}` };
+  }
+}
+
+/**
+ * Check a move and/or lifecycle change (to a known state) against the lifecycle rules:
+ * retired is terminal, batteries in vehicles must be in service,
+ * only batteries at a station can be charging, and a vehicle holds one pack.
+ * Returns an error message, or null when allowed.
+ */
+export function validateTransfer(battery, { location, lifecycleState }) {
+  if (battery.lifecycleState === 'retired') {
+    return 'Retired batteries cannot be moved or changed';
+  }
+  if (location.locationType === 'vehicle' && lifecycleState !== 'in_service') {
+    return 'Only in-service batteries can be installed in a vehicle';
+  }
+  if (lifecycleState === 'charging' && location.locationType !== 'station') {
+    return 'Batteries can only charge at a station slot';
+  }
+
+  const movingIntoVehicle =
+    location.locationType === 'vehicle' &&
+    !(battery.locationType === 'vehicle' && battery.locationRef === location.locationRef);
+  if (movingIntoVehicle) {
+    const vehicle = getVehicle(location.locationRef);
+    if (vehicle.batterySerial) {
+      return `${vehicle.id} already has battery ${vehicle.batterySerial} installed`;
+    }
+  }
+
+  return null;
+}
+
+function recordCustody(db, batteryId, event, actor, note) {
+  db.prepare(
+    `INSERT INTO battery_custody
+       (battery_id, event, location_type, location_ref, lifecycle_state, hub, region, circle, area, note, actor_id, actor_name)
+     SELECT id, ?, location_type, location_ref, lifecycle_state, hub, region, circle, area, ?, ?, ?
+     FROM batteries WHERE id = ?`
+  ).run(event, note || null, actor?.id ?? null, actor?.name ?? null, batteryId);
+}
+
+/**
+ * Register a new battery into its hub's warehouse
+ */
+export function createBattery({ serial, chemistry, ratedCapacityKwh, stateOfHealth = 100, cycleCount = 0, hub }, actor) {
+  const scope = resolveHubScope(hub);
+  const db = getDb();
+
+  db.transaction(() => {
+    const result = db
+      .prepare(
+        `INSERT INTO batteries
+           (serial, chemistry, rated_capacity_kwh, state_of_health, cycle_count, location_type, location_ref, hub, region, circle, area)
+         VALUES (?, ?, ?, ?, ?, 'warehouse', ?, ?, ?, ?, ?)`
+      )
+      .run(serial, chemistry, ratedCapacityKwh, stateOfHealth, cycleCount, hub, hub, scope.region, scope.circle, scope.area);
+    recordCustody(db, result.lastInsertRowid, 'registered', actor);
+  })();
+
+  return getBattery(serial);
+}
+
+/**
+ * Update health and spec attributes (not location or lifecycle)
+ */
+export function updateBattery(serial, fields) {
+  const columns = {
+    chemistry: 'chemistry',
+    ratedCapacityKwh: 'rated_capacity_kwh',
+    stateOfHealth: 'state_of_health',
+    cycleCount: 'cycle_count',
+  };
+  const sets = [];
+  const params = [];
+
+  for (const [field, column] of Object.entries(columns)) {
+    if (field in fields) {
+      sets.push(`${column} = ?`);
+      params.push(fields[field]);
+    }
+  }
+
+  if (sets.length) {
+    getDb()
+      .prepare(`UPDATE batteries SET ${sets.join(', ')}, updated_at = datetime('now') WHERE serial = ?`)
+      .run(...params, serial);
+  }
+  return getBattery(serial);
+}
+
+/**
+ * Move a battery and/or change its lifecycle state, keeping the vehicle's
+ * current-battery pointer in sync and appending to the custody history.
+ * Call validateTransfer() first.
+ */
+export function transferBattery(serial, { location, lifecycleState, note }, actor) {
+  const db = getDb();
+  const battery = getBattery(serial);
+  const moved = battery.locationType !== location.locationType || battery.locationRef !== location.locationRef;
+  const scope = resolveHubScope(location.hub);
+
+  let event = 'state_changed';
+  if (moved) event = location.locationType === 'vehicle' ? 'installed' : 'moved';
+  if (lifecycleState === 'retired') event = 'retired';
+
+  db.transaction(() => {
+    if (moved && battery.locationType === 'vehicle') {
+      db.prepare("UPDATE vehicles SET battery_serial = NULL, updated_at = datetime('now') WHERE asset_id = ?")
+        .run(battery.locationRef);
+    }
+    if (moved && location.locationType === 'vehicle') {
+      db.prepare("UPDATE vehicles SET battery_serial = ?, updated_at = datetime('now') WHERE asset_id = ?")
+        .run(serial, location.locationRef);
+    }
+
+    db.prepare(
+      `UPDATE batteries SET lifecycle_state = ?, location_type = ?, location_ref = ?,
+         hub = ?, region = ?, circle = ?, area = ?, updated_at = datetime('now')
+       WHERE serial = ?`
+    ).run(lifecycleState, location.locationType, location.locationRef, location.hub, scope.region, scope.circle, scope.area, serial);
+
+    const { id } = db.prepare('SELECT id FROM batteries WHERE serial = ?').get(serial);
+    recordCustody(db, id, event, actor, note);
+
+    if (moved && battery.locationType === 'station') syncSlotOccupancy(battery.locationRef);
+    if (location.locationType === 'station') syncSlotOccupancy(location.locationRef);
+
+    if (lifecycleState !== battery.lifecycleState) {
+      publishEvent('asset.status', scope, { kind: 'battery', id: serial, status: lifecycleState });
+    }
+  })();
+
+  return getBattery(serial);
+}
@@ -0,0 +1,750 @@
+import { getDb, LOCAL_TIME_OFFSET } from './db.js';
+import { scopeWhere } from './access.js';
+import { getSubscriptions, getSubscriptionUsage } from './customers.js';
+import { getPaymentGateway } from './paymentGateway.js';
+
+// Customer billing. A billing run issues:
+// - a deposit invoice when a subscription with a deposit starts (deposits
+//   are refundable, so they carry no GST)
+// - a cycle invoice when each monthly cycle ends: the plan fee (prorated
+//   when the cycle was cut short) plus swaps beyond the quota
+// - a late fee on a cycle invoice still unpaid after its due date
+// Plan prices exclude GST (18%, SAC 9973): CGST + SGST when the place of
+// supply is the supplier's state, IGST otherwise. Invoice numbers run
+// consecutively per financial year (April to March), e.g. VU/26-27/000042.
+// Payments are recorded by hand or taken through a payment gateway
+// (app/lib/paymentGateway.js); deposit refunds are payments out.
+
+export const INVOICE_KINDS = ['deposit', 'cycle', 'late_fee'];
+export const PAYMENT_METHODS = ['cash', 'upi', 'card', 'bank_transfer', 'cheque'];
+
+const GST_RATE = 0.18;
+const SAC_CODE = '9973';
+
+const PAYMENT_TERMS_DAYS = Number(process.env.BILLING_PAYMENT_TERMS_DAYS ?? 7);
+const LATE_FEE = Number(process.env.BILLING_LATE_FEE ?? 100);
+const INVOICE_PREFIX = (process.env.BILLING_INVOICE_PREFIX || 'VU').slice(0, 3);
+
+// Minutes between billing runs in the server process; 0 turns them off
+const BILLING_INTERVAL_MINUTES = Number(process.env.BILLING_INTERVAL_MINUTES ?? 60);
+
+// Who invoices from billing runs are attributed to
+export const BILLING_ACTOR = { id: null, name: 'Billing run' };
+
+// Who payments settled by a gateway's webhook are attributed to
+export const GATEWAY_ACTOR = { id: null, name: 'Payment gateway' };
+
+// GST state codes, for the place of supply
+export const GST_STATES = {
+  '01': 'Jammu and Kashmir', '02': 'Himachal Pradesh', '03': 'Punjab', '04': 'Chandigarh',
+  '05': 'Uttarakhand', '06': 'Haryana', '07': 'Delhi', '08': 'Rajasthan', '09': 'Uttar Pradesh',
+  '10': 'Bihar', '11': 'Sikkim', '12': 'Arunachal Pradesh', '13': 'Nagaland', '14': 'Manipur',
+  '15': 'Mizoram', '16': 'Tripura', '17': 'Meghalaya', '18': 'Assam', '19': 'West Bengal',
+  '20': 'Jharkhand', '21': 'Odisha', '22': 'Chhattisgarh', '23': 'Madhya Pradesh', '24': 'Gujarat',
+  '26': 'Dadra and Nagar Haveli and Daman and Diu', '27': 'Maharashtra', '29': 'Karnataka', '30': 'Goa',
+  '31': 'Lakshadweep', '32': 'Kerala', '33': 'Tamil Nadu', '34': 'Puducherry',
+  '35': 'Andaman and Nicobar Islands', '36': 'Telangana', '37': 'Andhra Pradesh', '38': 'Ladakh',
+};
+
+/**
+ * The business invoices are issued by (BILLING_SUPPLIER_* settings).
+ * Its state comes from its GSTIN, or BILLING_STATE_CODE without one.
+ */
+export function getSupplier() {
+  const gstin = process.env.BILLING_SUPPLIER_GSTIN || null;
+  return {
+    name: process.env.BILLING_SUPPLIER_NAME || 'Voltup',
+    address: process.env.BILLING_SUPPLIER_ADDRESS || '',
+    gstin,
+    stateCode: gstin ? gstin.slice(0, 2) : process.env.BILLING_STATE_CODE || '27',
+  };
+}
+
+function localToday() {
+  return getDb().prepare("SELECT date('now', ?) AS today").get(LOCAL_TIME_OFFSET).today;
+}
+
+function addDays(date, days) {
+  const next = new Date(`${date}T00:00:00Z`);
+  next.setUTCDate(next.getUTCDate() + days);
+  return next.toISOString().slice(0, 10);
+}
+
+function daysBetween(from, to) {
+  return Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / 86400000);
+}
+
+function roundAmount(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+function isAmount(value) {
+  return typeof value === 'number' && Number.isFinite(value) && value > 0 && Math.round(value * 100) === value * 100;
+}
+
+function invoiceStatus(row) {
+  if (row.balance <= 0) return 'paid';
+  return row.paid > 0 ? 'partially_paid' : 'unpaid';
+}
+
+function toInvoice(row, today) {
+  if (!row) return null;
+
+  return {
+    id: String(row.id),
+    number: row.number,
+    kind: row.kind,
+    customerId: row.customer_code,
+    customerName: row.customer_name,
+    subscriptionId: row.subscription_id === null ? null : String(row.subscription_id),
+    periodStart: row.period_start,
+    periodEnd: row.period_end,
+    overdueInvoiceId: row.overdue_invoice_id === null ? null : String(row.overdue_invoice_id),
+    issueDate: row.issue_date,
+    dueDate: row.due_date,
+    billToName: row.bill_to_name,
+    billToGstin: row.bill_to_gstin,
+    placeOfSupply: row.place_of_supply,
+    placeOfSupplyName: GST_STATES[row.place_of_supply] || null,
+    taxableAmount: row.taxable_amount,
+    exemptAmount: row.exempt_amount,
+    cgst: row.cgst,
+    sgst: row.sgst,
+    igst: row.igst,
+    total: row.total,
+    paid: row.paid,
+    refunded: row.refunded,
+    balance: row.balance,
+    status: invoiceStatus(row),
+    overdue: row.balance > 0 && row.due_date < today,
+    hub: row.hub,
+    region: row.region,
+    circle: row.circle,
+    area: row.area,
+    createdBy: row.created_by,
+    createdAt: row.created_at,
+  };
+}
+
+function toPayment(row) {
+  return {
+    id: String(row.id),
+    invoiceId: String(row.invoice_id),
+    kind: row.kind,
+    amount: row.amount,
+    method: row.method,
+    reference: row.reference,
+    gateway: row.gateway,
+    gatewayPaymentId: row.gateway_payment_id,
+    status: row.status,
+    paidOn: row.paid_on,
+    recordedBy: row.recorded_by,
+    createdAt: row.created_at,
+  };
+}
+
+// Invoices with what has been paid and refunded against them, and the balance due
+const SELECT_INVOICE = `
+  SELECT *, ROUND(total - paid, 2) AS balance FROM (
+    SELECT i.*, c.code AS customer_code, c.name AS customer_name, c.phone AS customer_phone,
+      COALESCE((SELECT SUM(amount) FROM payments
+                WHERE invoice_id = i.id AND kind = 'payment' AND status = 'succeeded'), 0) AS paid,
+      COALESCE((SELECT SUM(amount) FROM payments
+                WHERE invoice_id = i.id AND kind = 'refund' AND status = 'succeeded'), 0) AS refunded
+    FROM invoices i
+    JOIN customers c ON c.id = i.customer_id
+  ) invoice`;
+
+/**
+ * List invoices in the user's scope, newest first.
+ * Supports free-text search (number, customer code or name), `customer`
+ * (code), `kind`, `status` = 'outstanding' | 'overdue' | 'paid', an issue
+ * date range (`from`, `to`) and pagination.
+ */
+export function listInvoices(user, { q, customer, kind, status, from, to, page = 1, pageSize = 20 } = {}) {
+  const db = getDb();
+  const today = localToday();
+  const scope = scopeWhere(user);
+  const where = [scope.sql];
+  const params = [...scope.params];
+
+  if (customer) {
+    where.push('customer_code = ?');
+    params.push(customer);
+  }
+  if (kind) {
+    where.push('kind = ?');
+    params.push(kind);
+  }
+  if (status === 'outstanding') where.push('balance > 0');
+  if (status === 'paid') where.push('balance <= 0');
+  if (status === 'overdue') {
+    where.push('balance > 0 AND due_date < ?');
+    params.push(today);
+  }
+  if (from) {
+    where.push('issue_date >= ?');
+    params.push(from);
+  }
+  if (to) {
+    where.push('issue_date <= ?');
+    params.push(to);
+  }
+  if (q) {
+    where.push('(number LIKE ? OR customer_code LIKE ? OR customer_name LIKE ?)');
+    const like = `%${q}%`;
+    params.push(like, like, like);
+  }
+
+  const sql = where.join(' AND ');
+  const total = db.prepare(`SELECT COUNT(*) AS count FROM (${SELECT_INVOICE}) WHERE ${sql}`).get(...params).count;
+  const invoices = db
+    .prepare(`${SELECT_INVOICE} WHERE ${sql} ORDER BY issue_date DESC, id DESC LIMIT ? OFFSET ?`)
+    .all(...params, pageSize, (page - 1) * pageSize)
+    .map((row) => toInvoice(row, today));
+
+  return { invoices, total, page, pageSize };
+}
+
+export function getInvoice(id) {
+  return toInvoice(getDb().prepare(`${SELECT_INVOICE} WHERE id = ?`).get(id), localToday());
+}
+
+export function getInvoiceLines(invoiceId) {
+  return getDb()
+    .prepare('SELECT * FROM invoice_lines WHERE invoice_id = ? ORDER BY id')
+    .all(invoiceId)
+    .map((row) => ({
+      id: String(row.id),
+      description: row.description,
+      sac: row.sac,
+      quantity: row.quantity,
+      unitPrice: row.unit_price,
+      amount: row.amount,
+      taxable: row.taxable === 1,
+    }));
+}
+
+/**
+ * Payments and refunds against an invoice, oldest first. Gateway
+ * payments that were started but never completed are left out.
+ */
+export function getPayments(invoiceId) {
+  return getDb()
+    .prepare("SELECT * FROM payments WHERE invoice_id = ? AND status != 'pending' ORDER BY id")
+    .all(invoiceId)
+    .map(toPayment);
+}
+
+/**
+ * A customer's outstanding and overdue balance, and the deposit held for them
+ */
+export function getCustomerBalance(code) {
+  const row = getDb()
+    .prepare(
+      `SELECT
+         COALESCE(SUM(CASE WHEN balance > 0 THEN balance END), 0) AS outstanding,
+         COALESCE(SUM(CASE WHEN balance > 0 AND due_date < ? THEN balance END), 0) AS overdue,
+         COALESCE(SUM(CASE WHEN kind = 'deposit' THEN paid - refunded END), 0) AS deposit_held
+       FROM (${SELECT_INVOICE}) WHERE customer_code = ?`
+    )
+    .get(localToday(), code);
+
+  return {
+    outstanding: roundAmount(row.outstanding),
+    overdue: roundAmount(row.overdue),
+    depositHeld: roundAmount(row.deposit_held),
+  };
+}
+
+/**
+ * Outstanding dues per customer in the user's scope, most overdue first,
+ * aged by days past the due date. Filters: `hub`, `overdue=true` for
+ * customers with something past due.
+ */
+export function getOutstandingDues(user, { hub, overdue } = {}) {
+  const today = localToday();
+  const scope = scopeWhere(user);
+  const where = [scope.sql, 'balance > 0'];
+  const params = [...scope.params];
+
+  if (hub) {
+    where.push('hub = ?');
+    params.push(hub);
+  }
+
+  const pastDue = (min, max) =>
+    `COALESCE(SUM(CASE WHEN julianday(:today) - julianday(due_date) BETWEEN ${min} AND ${max} THEN balance END), 0)`;
+
+  const rows = getDb()
+    .prepare(
+      `SELECT customer_code, customer_name, customer_phone, hub,
+         COUNT(*) AS invoices, SUM(balance) AS outstanding, MIN(due_date) AS oldest_due,
+         COALESCE(SUM(CASE WHEN due_date >= :today THEN balance END), 0) AS not_due,
+         ${pastDue(1, 30)} AS days_1_30,
+         ${pastDue(31, 60)} AS days_31_60,
+         ${pastDue(61, 90)} AS days_61_90,
+         COALESCE(SUM(CASE WHEN julianday(:today) - julianday(due_date) > 90 THEN balance END), 0) AS days_over_90
+       FROM (${SELECT_INVOICE})
+       WHERE ${where.join(' AND ')}
+       GROUP BY customer_id
+       ${overdue ? 'HAVING MIN(due_date) < :today' : ''}
+       ORDER BY oldest_due, customer_name`
+    )
+    .all(...params, { today });
+
+  const customers = rows.map((row) => ({
+    id: row.customer_code,
+    name: row.customer_name,
+    phone: row.customer_phone,
+    hub: row.hub,
+    invoices: row.invoices,
+    outstanding: roundAmount(row.outstanding),
+    overdue: roundAmount(row.outstanding - row.not_due),
+    oldestDue: row.oldest_due,
+    ageing: {
+      notDue: roundAmount(row.not_due),
+      days1To30: roundAmount(row.days_1_30),
+      days31To60: roundAmount(row.days_31_60),
+      days61To90: roundAmount(row.days_61_90),
+      over90: roundAmount(row.days_over_90),
+    },
+  }));
+
+  const totals = customers.reduce(
+    (sum, customer) => ({
+      outstanding: roundAmount(sum.outstanding + customer.outstanding),
+      overdue: roundAmount(sum.overdue + customer.overdue),
+    }),
+    { outstanding: 0, overdue: 0 }
+  );
+
+  return { customers, totals };
+}
+
+// Issuing invoices
+
+/**
+ * Financial year of a date as "26-27" (April to March)
+ */
+function financialYear(date) {
+  const [year, month] = date.split('-').map(Number);
+  const start = month >= 4 ? year : year - 1;
+  return `${String(start % 100).padStart(2, '0')}-${String((start + 1) % 100).padStart(2, '0')}`;
+}
+
+/**
+ * Take the next invoice number for the date's financial year. Must run
+ * inside the transaction that inserts the invoice, so a rolled-back
+ * invoice doesn't leave a gap in the series.
+ */
+function nextInvoiceNumber(date) {
+  const year = financialYear(date);
+  const { last_number: number } = getDb()
+    .prepare(
+      `INSERT INTO invoice_sequences (financial_year, last_number) VALUES (?, 1)
+       ON CONFLICT (financial_year) DO UPDATE SET last_number = last_number + 1
+       RETURNING last_number`
+    )
+    .get(year);
+  return `${INVOICE_PREFIX}/${year}/${String(number).padStart(6, '0')}`;
+}
+
+/**
+ * GST on a taxable amount, split by whether the supply is within the
+ * supplier's state
+ */
+function taxFor(taxable, placeOfSupply) {
+  if (placeOfSupply === getSupplier().stateCode) {
+    const half = roundAmount((taxable * GST_RATE) / 2);
+    return { cgst: half, sgst: half, igst: 0 };
+  }
+  return { cgst: 0, sgst: 0, igst: roundAmount(taxable * GST_RATE) };
+}
+
+/**
+ * Insert an invoice for a customer with its lines, numbered and taxed.
+ * `lines` are { description, quantity, unitPrice, amount, taxable }.
+ */
+function issueInvoice(customer, { kind, subscriptionId = null, periodStart = null, periodEnd = null, overdueInvoiceId = null }, lines, today) {
+  const db = getDb();
+  const placeOfSupply = customer.gstin ? customer.gstin.slice(0, 2) : getSupplier().stateCode;
+  const taxable = roundAmount(lines.filter((line) => line.taxable).reduce((sum, line) => sum + line.amount, 0));
+  const exempt = roundAmount(lines.filter((line) => !line.taxable).reduce((sum, line) => sum + line.amount, 0));
+  const tax = taxFor(taxable, placeOfSupply);
+  const number = nextInvoiceNumber(today);
+
+  const result = db
+    .prepare(
+      `INSERT INTO invoices
+         (number, kind, customer_id, subscription_id, period_start, period_end, overdue_invoice_id,
+          issue_date, due_date, bill_to_name, bill_to_gstin, place_of_supply,
+          taxable_amount, exempt_amount, cgst, sgst, igst, total, hub, region, circle, area, created_by)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`
+    )
+    .run(
+      number,
+      kind,
+      customer.id,
+      subscriptionId,
+      periodStart,
+      periodEnd,
+      overdueInvoiceId,
+      today,
+      addDays(today, PAYMENT_TERMS_DAYS),
+      customer.name,
+      customer.gstin,
+      placeOfSupply,
+      taxable,
+      exempt,
+      tax.cgst,
+      tax.sgst,
+      tax.igst,
+      roundAmount(taxable + exempt + tax.cgst + tax.sgst + tax.igst),
+      customer.hub,
+      customer.region,
+      customer.circle,
+      customer.area,
+      BILLING_ACTOR.name
+    );
+
+  const insertLine = db.prepare(
+    `INSERT INTO invoice_lines (invoice_id, description, sac, quantity, unit_price, amount, taxable)
+     VALUES (?, ?, ?, ?, ?, ?, ?)`
+  );
+  for (const line of lines) {
+    insertLine.run(result.lastInsertRowid, line.description, line.taxable ? SAC_CODE : null, line.quantity, line.unitPrice, line.amount, line.taxable ? 1 : 0);
+  }
+
+  return number;
+}
+
+/**
+ * Invoice lines for one ended cycle of a subscription: the plan fee,
+ * prorated by days when the subscription ended part-way through the
+ * cycle, and the swaps beyond the quota
+ */
+function cycleLines(subscription, cycle, fullCycleEnd) {
+  const lines = [];
+  const days = daysBetween(cycle.start, cycle.end) + 1;
+  const fullDays = daysBetween(cycle.start, fullCycleEnd) + 1;
+
+  if (subscription.monthlyFee > 0) {
+    const fee = days < fullDays ? roundAmount((subscription.monthlyFee * days) / fullDays) : subscription.monthlyFee;
+    const prorated = days < fullDays ? ` (${days} of ${fullDays} days)` : '';
+    lines.push({
+      description: `${subscription.planName} plan, ${cycle.start} to ${cycle.end}${prorated}`,
+      quantity: 1,
+      unitPrice: fee,
+      amount: fee,
+      taxable: true,
+    });
+  }
+
+  if (cycle.overQuota > 0) {
+    lines.push({
+      description: `Swaps beyond the ${cycle.quota}-swap quota (${cycle.swaps} made)`,
+      quantity: cycle.overQuota,
+      unitPrice: subscription.perSwapPrice,
+      amount: cycle.overageCharge,
+      taxable: true,
+    });
+  }
+
+  return lines;
+}
+
+// Same day of the month `months` later, or the month's last day if it is shorter
+function addMonths(date, months) {
+  const [year, month, day] = date.split('-').map(Number);
+  const lastDay = new Date(Date.UTC(year, month - 1 + months + 1, 0)).getUTCDate();
+  return new Date(Date.UTC(year, month - 1 + months, Math.min(day, lastDay))).toISOString().slice(0, 10);
+}
+
+/**
+ * One billing run: issue every deposit, cycle and late fee invoice that
+ * has fallen due and hasn't been issued yet. Safe to repeat. Returns the
+ * new invoice numbers.
+ */
+export function runBilling() {
+  const db = getDb();
+  const today = localToday();
+  const issued = [];
+
+  const customers = db
+    .prepare(
+      `SELECT DISTINCT c.* FROM customers c
+       JOIN customer_subscriptions s ON s.customer_id = c.id
+       WHERE s.starts_on <= ? AND s.starts_on <= s.ends_on`
+    )
+    .all(today);
+  const hasDepositInvoice = db.prepare("SELECT 1 FROM invoices WHERE kind = 'deposit' AND subscription_id = ?");
+  const hasCycleInvoice = db.prepare(
+    "SELECT 1 FROM invoices WHERE kind = 'cycle' AND subscription_id = ? AND period_start = ?"
+  );
+
+  for (const customer of customers) {
+    const subscriptions = getSubscriptions(customer.code).filter(
+      (subscription) => subscription.startsOn <= today && subscription.startsOn <= subscription.endsOn
+    );
+
+    for (const subscription of subscriptions) {
+      if (subscription.deposit > 0 && !hasDepositInvoice.get(subscription.id)) {
+        const lines = [
+          {
+            description: `Refundable security deposit, ${subscription.planName} plan`,
+            quantity: 1,
+            unitPrice: subscription.deposit,
+            amount: subscription.deposit,
+            taxable: false,
+          },
+        ];
+        issued.push(db.transaction(() => issueInvoice(customer, { kind: 'deposit', subscriptionId: subscription.id }, lines, today))());
+      }
+
+      const cycles = getSubscriptionUsage(customer.code, subscription);
+      cycles.forEach((cycle, n) => {
+        if (cycle.end >= today || hasCycleInvoice.get(subscription.id, cycle.start)) return;
+
+        const lines = cycleLines(subscription, cycle, addDays(addMonths(subscription.startsOn, n + 1), -1));
+        if (!lines.length) return;
+
+        issued.push(
+          db.transaction(() =>
+            issueInvoice(
+              customer,
+              { kind: 'cycle', subscriptionId: subscription.id, periodStart: cycle.start, periodEnd: cycle.end },
+              lines,
+              today
+            )
+          )()
+        );
+      });
+    }
+  }
+
+  if (LATE_FEE > 0) {
+    const overdue = db
+      .prepare(
+        `${SELECT_INVOICE}
+         WHERE kind = 'cycle' AND balance > 0 AND due_date < ?
+           AND NOT EXISTS (SELECT 1 FROM invoices l WHERE l.kind = 'late_fee' AND l.overdue_invoice_id = invoice.id)`
+      )
+      .all(today);
+    const getCustomerRow = db.prepare('SELECT * FROM customers WHERE id = ?');
+
+    for (const invoice of overdue) {
+      const lines = [
+        {
+          description: `Late payment fee, invoice ${invoice.number} due ${invoice.due_date}`,
+          quantity: 1,
+          unitPrice: LATE_FEE,
+          amount: LATE_FEE,
+          taxable: true,
+        },
+      ];
+      issued.push(
+        db.transaction(() =>
+          issueInvoice(
+            getCustomerRow.get(invoice.customer_id),
+            { kind: 'late_fee', subscriptionId: invoice.subscription_id, overdueInvoiceId: invoice.id },
+            lines,
+            today
+          )
+        )()
+      );
+    }
+  }
+
+  return issued;
+}
+
+/**
+ * Run billing now and then every BILLING_INTERVAL_MINUTES in this process
+ * (started from instrumentation.js). Cached on globalThis so dev-mode
+ * reloads don't start a second timer.
+ */
+export function startBillingScheduler(logger = console) {
+  if (!(BILLING_INTERVAL_MINUTES > 0) || globalThis.__draiveBillingTimer) return;
+
+  const runPass = () => {
+    try {
+      const issued = runBilling();
+      if (issued.length) logger.info(`[billing] issued ${issued.join(', ')}`);
+    } catch (err) {
+      logger.error('[billing] billing run failed:', err);
+    }
+  };
+
+  globalThis.__draiveBillingTimer = setInterval(runPass, BILLING_INTERVAL_MINUTES * 60 * 1000);
+  globalThis.__draiveBillingTimer.unref();
+  runPass();
+}
+
+// Payments
+
+function isDate(value) {
+  return /^\d{4}-\d{2}-\d{2}$/.test(value || '') && !Number.isNaN(Date.parse(`${value}T00:00:00Z`)) && addDays(value, 0) === value;
+}
+
+function validatePaymentDetails({ amount, method, reference, paidOn }, limit, limitMessage) {
+  if (!isAmount(amount)) return 'Amount must be more than 0 with at most 2 decimals';
+  if (amount > limit) return limitMessage;
+  if (!PAYMENT_METHODS.includes(method)) return `Method must be one of: ${PAYMENT_METHODS.join(', ')}`;
+  if (reference && reference.length > 100) return 'Reference must be at most 100 characters';
+  if (paidOn !== undefined && paidOn !== null && (!isDate(paidOn) || paidOn > localToday())) {
+    return 'Date must be a date (YYYY-MM-DD) no later than today';
+  }
+  return null;
+}
+
+/**
+ * Validate a payment recorded by hand: no more than the balance due.
+ * Returns an error message, or null when valid.
+ */
+export function validatePayment(invoice, input) {
+  return validatePaymentDetails(input, invoice.balance, `Amount is more than the ₹${invoice.balance.toFixed(2)} due`);
+}
+
+export function recordPayment(invoice, { amount, method, reference = null, paidOn = null }, actor) {
+  getDb()
+    .prepare(
+      `INSERT INTO payments (invoice_id, kind, amount, method, reference, status, paid_on, recorded_by)
+       VALUES (?, 'payment', ?, ?, ?, 'succeeded', ?, ?)`
+    )
+    .run(invoice.id, amount, method, reference, paidOn || localToday(), actor?.name ?? null);
+  return getInvoice(invoice.id);
+}
+
+/**
+ * Validate a deposit refund: only on a deposit invoice, once the
+ * subscription has ended or been cancelled, and no more than the deposit
+ * still held (less can be refunded to settle other dues).
+ * Returns an error message, or null when valid.
+ */
+export function validateRefund(invoice, input) {
+  if (invoice.kind !== 'deposit') return 'Only deposits can be refunded';
+
+  const subscription = getSubscriptions(invoice.customerId).find((candidate) => candidate.id === invoice.subscriptionId);
+  if (subscription && !['cancelled', 'expired'].includes(subscription.status)) {
+    return 'The deposit can be refunded once the subscription has ended or been cancelled';
+  }
+
+  const held = roundAmount(invoice.paid - invoice.refunded);
+  if (!(held > 0)) return 'No deposit is held on this invoice';
+  return validatePaymentDetails(input, held, `Amount is more than the ₹${held.toFixed(2)} deposit held`);
+}
+
+export function recordRefund(invoice, { amount, method, reference = null, paidOn = null }, actor) {
+  getDb()
+    .prepare(
+      `INSERT INTO payments (invoice_id, kind, amount, method, reference, status, paid_on, recorded_by)
+       VALUES (?, 'refund', ?, ?, ?, 'succeeded', ?, ?)`
+    )
+    .run(invoice.id, amount, method, reference, paidOn || localToday(), actor?.name ?? null);
+  return getInvoice(invoice.id);
+}
+
+/**
+ * Start an online payment of the invoice's balance through the configured
+ * gateway. A checkout still open for the same balance is handed out again
+ * and any other open one is closed as failed, so an invoice never has two
+ * checkouts that could both be paid. Returns where to send the payer,
+ * and whether the checkout was newly `created`.
+ */
+export function startCheckout(invoice, actor) {
+  const db = getDb();
+  const gateway = getPaymentGateway();
+
+  return db.transaction(() => {
+    const open = db
+      .prepare("SELECT * FROM payments WHERE invoice_id = ? AND gateway IS NOT NULL AND status = 'pending' ORDER BY id DESC")
+      .all(invoice.id);
+    const reusable = open.find((row) => row.gateway === gateway.name && row.amount === invoice.balance && row.checkout_url);
+    for (const row of open) {
+      if (row !== reusable) db.prepare("UPDATE payments SET status = 'failed' WHERE id = ?").run(row.id);
+    }
+    if (reusable) return { paymentId: String(reusable.id), checkoutUrl: reusable.checkout_url, created: false };
+
+    const result = db
+      .prepare(
+        `INSERT INTO payments (invoice_id, kind, amount, method, gateway, status, recorded_by)
+         VALUES (?, 'payment', ?, 'online', ?, 'pending', ?)`
+      )
+      .run(invoice.id, invoice.balance, gateway.name, actor?.name ?? null);
+    const paymentId = String(result.lastInsertRowid);
+
+    const checkout = gateway.createCheckout({
+      paymentId,
+      invoiceNumber: invoice.number,
+      amount: invoice.balance,
+      customer: { code: invoice.customerId, name: invoice.customerName },
+    });
+    db.prepare('UPDATE payments SET gateway_payment_id = ?, checkout_url = ? WHERE id = ?').run(
+      checkout.gatewayPaymentId,
+      checkout.checkoutUrl,
+      paymentId
+    );
+
+    return { paymentId, checkoutUrl: checkout.checkoutUrl, created: true };
+  })();
+}
+
+export function getPayment(id) {
+  const row = getDb().prepare('SELECT * FROM payments WHERE id = ?').get(id);
+  return row ? toPayment(row) : null;
+}
+
+/**
+ * A gateway payment with the invoice it pays, for the checkout page
+ */
+export function getGatewayPayment(paymentId) {
+  const row = getDb()
+    .prepare("SELECT * FROM payments WHERE id = ? AND gateway IS NOT NULL")
+    .get(paymentId);
+  return row ? { ...toPayment(row), invoice: getInvoice(row.invoice_id) } : null;
+}
+
+/**
+ * Settle a gateway payment from the gateway's webhook. Events for a
+ * payment that is no longer pending are acknowledged and ignored, so
+ * gateways can redeliver safely. A successful payment is credited up to
+ * the balance still due (a payment recorded since the checkout started
+ * may have lowered it), and refused as failed when nothing is due.
+ * Returns `{ payment, before }`, `before` being the payment as it was
+ * when this event settled it (null for a redelivery), or null when the
+ * event isn't genuine or names no payment we started.
+ */
+export function handleGatewayWebhook(gatewayName, rawBody, headers) {
+  const gateway = getPaymentGateway(gatewayName);
+  const event = gateway?.parseWebhook(rawBody, headers);
+  if (!event) return null;
+
+  const db = getDb();
+  const row = db
+    .prepare('SELECT * FROM payments WHERE gateway = ? AND gateway_payment_id = ?')
+    .get(gateway.name, event.gatewayPaymentId);
+  if (!row) return null;
+
+  let before = null;
+  if (row.status === 'pending') {
+    before = toPayment(row);
+    let { status } = event;
+    let amount = row.amount;
+    if (status === 'succeeded') {
+      const { balance } = getInvoice(row.invoice_id);
+      if (balance > 0) {
+        amount = Math.min(amount, balance);
+      } else {
+        status = 'failed';
+      }
+    }
+
+    db.prepare(
+      `UPDATE payments SET status = ?, amount = ?, reference = ?, paid_on = CASE WHEN ? = 'succeeded' THEN ? END
+       WHERE id = ? AND status = 'pending'`
+    ).run(status, amount, event.reference, status, localToday(), row.id);
+  }
+
+  return { payment: toPayment(db.prepare('SELECT * FROM payments WHERE id = ?').get(row.id)), before };
+}
@@ -0,0 +1,116 @@
+import { LOCAL_TIME_OFFSET } from './db.js';
+
+// Cron schedules, as used by report subscriptions: five fields, minute
+// hour day-of-month month day-of-week, read in local time
+// (LOCAL_TIME_OFFSET). A field is *, a value, a range (1-5), a step
+// (*/15, 8-18/2) or a comma list of those. Days of the week run 0-6 from
+// Sunday (7 is Sunday too). As in cron, when both day fields are
+// restricted a day matching either of them runs. @hourly, @daily,
+// @weekly and @monthly are accepted as shorthands.
+
+const FIELDS = [
+  { min: 0, max: 59 },
+  { min: 0, max: 23 },
+  { min: 1, max: 31 },
+  { min: 1, max: 12 },
+  { min: 0, max: 7 },
+];
+
+const SHORTHANDS = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *',
+};
+
+// How far ahead to look for the next run; 29 February can be four years off
+const SEARCH_YEARS = 5;
+
+function parseField(text, { min, max }) {
+  const values = new Set();
+  for (const part of text.split(',')) {
+    const match = part.match(/^(?:(\*)|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/);
+    if (!match) return null;
+
+    const [, any, start, end, step] = match;
+    const from = any ? min : Number(start);
+    const to = any || (step && end === undefined) ? max : Number(end ?? start);
+    const by = step ? Number(step) : 1;
+    if (from < min || to > max || from > to || by < 1) return null;
+
+    for (let value = from; value <= to; value += by) values.add(value);
+  }
+  return values;
+}
+
+/**
+ * Parse a cron expression, or null when it isn't one
+ */
+export function parseCron(expression) {
+  const trimmed = String(expression ?? '').trim();
+  const fields = (SHORTHANDS[trimmed] || trimmed).split(/\s+/);
+  if (fields.length !== 5) return null;
+
+  const sets = fields.map((field, i) => parseField(field, FIELDS[i]));
+  if (sets.includes(null)) return null;
+
+  const [minutes, hours, days, months, weekdays] = sets;
+  if (weekdays.has(7)) weekdays.add(0);
+  return { minutes, hours, days, months, weekdays, anyDay: fields[2] === '*', anyWeekday: fields[4] === '*' };
+}
+
+function offsetMs() {
+  const [, sign, hours, minutes] = LOCAL_TIME_OFFSET.match(/^([+-])(\d{2}):(\d{2})$/);
+  return (sign === '-' ? -1 : 1) * (Number(hours) * 60 + Number(minutes)) * 60000;
+}
+
+function dayMatches(cron, time) {
+  const day = cron.days.has(time.getUTCDate());
+  const weekday = cron.weekdays.has(time.getUTCDay());
+  if (cron.anyDay && cron.anyWeekday) return true;
+  if (cron.anyDay) return weekday;
+  if (cron.anyWeekday) return day;
+  return day || weekday;
+}
+
+/**
+ * The first time after `after` the schedule runs, or null if it never
+ * does (e.g. 30 February)
+ */
+export function nextCronRun(expression, after = new Date()) {
+  const cron = parseCron(expression);
+  if (!cron) return null;
+
+  // Walk local time, held in the UTC fields of a Date
+  const offset = offsetMs();
+  const time = new Date(after.getTime() + offset);
+  time.setUTCSeconds(0, 0);
+  time.setUTCMinutes(time.getUTCMinutes() + 1);
+  const limit = new Date(time);
+  limit.setUTCFullYear(limit.getUTCFullYear() + SEARCH_YEARS);
+
+  while (time < limit) {
+    if (!cron.months.has(time.getUTCMonth() + 1) || !dayMatches(cron, time)) {
+      time.setUTCDate(time.getUTCDate() + 1);
+      time.setUTCHours(0, 0, 0, 0);
+    } else if (!cron.hours.has(time.getUTCHours())) {
+      time.setUTCHours(time.getUTCHours() + 1, 0, 0, 0);
+    } else if (!cron.minutes.has(time.getUTCMinutes())) {
+      time.setUTCMinutes(time.getUTCMinutes() + 1, 0, 0);
+    } else {
+      return new Date(time.getTime() - offset);
+    }
+  }
+  return null;
+}
+
+/**
+ * Error message for an unusable schedule, or null
+ */
+export function validateCron(expression) {
+  if (!parseCron(expression)) {
+    return 'Schedule must be a cron expression: minute hour day-of-month month day-of-week (e.g. 0 8 * * 1)';
+  }
+  if (!nextCronRun(expression)) return 'Schedule never runs';
+  return null;
+}
@@ -0,0 +1,139 @@
+import { getDb, LOCAL_TIME_OFFSET } from './db.js';
+
+// Customer plan catalogue: battery-swap and vehicle-rental plans with a
+// monthly fee, a monthly swap quota, a price per swap beyond the quota,
+// a refundable deposit and a validity. Subscriptions copy the terms when
+// a customer enrolls (app/lib/customers.js), so editing a plan only
+// changes what new enrollments get.
+
+export const PLAN_KINDS = ['swap', 'rental'];
+
+const MAX_VALIDITY_DAYS = 730;
+
+function toPlan(row) {
+  if (!row) return null;
+
+  return {
+    id: String(row.id),
+    name: row.name,
+    kind: row.kind,
+    monthlyFee: row.monthly_fee,
+    swapQuota: row.swap_quota,
+    perSwapPrice: row.per_swap_price,
+    deposit: row.deposit,
+    validityDays: row.validity_days,
+    active: row.active === 1,
+    subscribers: row.subscribers ?? 0,
+    createdBy: row.created_by,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+// Customers on each plan today
+const SELECT_PLAN = `
+  SELECT p.*,
+    (SELECT COUNT(*) FROM customer_subscriptions s
+     WHERE s.plan_id = p.id AND s.cancelled_at IS NULL
+       AND date('now', ?) BETWEEN s.starts_on AND s.ends_on) AS subscribers
+  FROM customer_plans p`;
+
+export function listCustomerPlans({ includeInactive = true } = {}) {
+  return getDb()
+    .prepare(`${SELECT_PLAN} ${includeInactive ? '' : 'WHERE p.active = 1'} ORDER BY p.kind, p.name`)
+    .all(LOCAL_TIME_OFFSET)
+    .map(toPlan);
+}
+
+export function getCustomerPlan(id) {
+  return toPlan(getDb().prepare(`${SELECT_PLAN} WHERE p.id = ?`).get(LOCAL_TIME_OFFSET, id));
+}
+
+function isAmount(value) {
+  return typeof value === 'number' && Number.isFinite(value) && value >= 0 && Math.round(value * 100) === value * 100;
+}
+
+/**
+ * Validate plan fields. The kind is fixed once a plan exists.
+ * A null swap quota means unlimited swaps.
+ * Returns an error message, or null when valid.
+ */
+export function validateCustomerPlan(input, existing = null) {
+  if (!existing && !PLAN_KINDS.includes(input.kind)) {
+    return `Kind must be one of: ${PLAN_KINDS.join(', ')}`;
+  }
+
+  if (!existing || 'name' in input) {
+    if (!input.name || input.name.length > 80) return 'Name is required (at most 80 characters)';
+    const clash = getDb().prepare('SELECT id FROM customer_plans WHERE name = ?').get(input.name);
+    if (clash && String(clash.id) !== existing?.id) return `A plan named ${input.name} already exists`;
+  }
+
+  for (const [field, label] of [
+    ['monthlyFee', 'Monthly fee'],
+    ['perSwapPrice', 'Per-swap price'],
+    ['deposit', 'Deposit'],
+  ]) {
+    if ((!existing || field in input) && !isAmount(input[field])) {
+      return `${label} must be an amount of at least 0 with at most 2 decimals`;
+    }
+  }
+
+  if ('swapQuota' in input && input.swapQuota !== null && !(Number.isInteger(input.swapQuota) && input.swapQuota >= 0)) {
+    return 'Swap quota must be a whole number of swaps, or empty for unlimited';
+  }
+
+  if (
+    (!existing || 'validityDays' in input) &&
+    !(Number.isInteger(input.validityDays) && input.validityDays >= 1 && input.validityDays <= MAX_VALIDITY_DAYS)
+  ) {
+    return `Validity must be between 1 and ${MAX_VALIDITY_DAYS} days`;
+  }
+
+  return null;
+}
+
+export function createCustomerPlan({ name, kind, monthlyFee, swapQuota = null, perSwapPrice, deposit, validityDays }, actor) {
+  const result = getDb()
+    .prepare(
+      `INSERT INTO customer_plans (name, kind, monthly_fee, swap_quota, per_swap_price, deposit, validity_days, created_by)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`
+    )
+    .run(name, kind, monthlyFee, swapQuota, perSwapPrice, deposit, validityDays, actor?.name ?? null);
+  return getCustomerPlan(result.lastInsertRowid);
+}
+
+/**
+ * Update a plan's terms, or retire/reinstate it with `active`.
+ * Existing subscriptions keep the terms they were enrolled on.
+ */
+export function updateCustomerPlan(id, fields) {
+  const columns = {
+    name: 'name',
+    monthlyFee: 'monthly_fee',
+    swapQuota: 'swap_quota',
+    perSwapPrice: 'per_swap_price',
+    deposit: 'deposit',
+    validityDays: 'validity_days',
+  };
+  const sets = [];
+  const params = [];
+
+  for (const [field, column] of Object.entries(columns)) {
+    if (field in fields) {
+      sets.push(`${column} = ?`);
+      params.push(fields[field]);
+    }
+  }
+  if ('active' in fields) {
+    sets.push('active = ?');
+    params.push(fields.active ? 1 : 0);
+  }
+
+  if (sets.length) {
+    getDb()
+      .prepare(`UPDATE customer_plans SET ${sets.join(', ')}, updated_at = datetime('now') WHERE id = ?`)
+      .run(...params, id);
+  }
+  return getCustomerPlan(id);
+}
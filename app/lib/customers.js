@@ -0,0 +1,560 @@
+import { getDb, LOCAL_TIME_OFFSET } from './db.js';
+import { scopeWhere } from './access.js';
+import { resolveHubScope } from './hierarchy.js';
+import { getVehicle } from './vehicles.js';
+import { getCustomerPlan } from './customerPlans.js';
+
+// Customers (individuals, or businesses with several riders), their
+// riders, the vehicle each rider has, and their plan subscriptions.
+// Swap usage comes from the swap ledger: a swap counts towards the
+// customer whose rider had the vehicle at the time. Quotas reset each
+// monthly cycle, counted from the day the subscription starts.
+
+export const CUSTOMER_TYPES = ['individual', 'business'];
+
+const PHONE_PATTERN = /^[6-9]\d{9}$/;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const GSTIN_PATTERN = /^\d{2}[A-Z]{5}\d{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Ten-digit Indian mobile number, without spaces or the +91 prefix
+ */
+export function normalizePhone(value) {
+  const digits = String(value ?? '').replace(/\D/g, '');
+  return digits.length === 12 && digits.startsWith('91') ? digits.slice(2) : digits;
+}
+
+function localToday() {
+  return getDb().prepare("SELECT date('now', ?) AS today").get(LOCAL_TIME_OFFSET).today;
+}
+
+function addDays(date, days) {
+  const next = new Date(`${date}T00:00:00Z`);
+  next.setUTCDate(next.getUTCDate() + days);
+  return next.toISOString().slice(0, 10);
+}
+
+// Same day of the month `months` later, or the month's last day if it is shorter
+function addMonths(date, months) {
+  const [year, month, day] = date.split('-').map(Number);
+  const lastDay = new Date(Date.UTC(year, month - 1 + months + 1, 0)).getUTCDate();
+  return new Date(Date.UTC(year, month - 1 + months, Math.min(day, lastDay))).toISOString().slice(0, 10);
+}
+
+function isDate(value) {
+  return DATE_PATTERN.test(value || '') && !Number.isNaN(Date.parse(`${value}T00:00:00Z`)) && addDays(value, 0) === value;
+}
+
+function subscriptionStatus(row, today) {
+  if (row.cancelled_at) return 'cancelled';
+  if (row.starts_on > today) return 'scheduled';
+  if (row.ends_on < today) return 'expired';
+  return 'active';
+}
+
+function toCustomer(row) {
+  if (!row) return null;
+
+  return {
+    id: row.code,
+    name: row.name,
+    type: row.type,
+    phone: row.phone,
+    email: row.email,
+    gstin: row.gstin,
+    hub: row.hub,
+    region: row.region,
+    circle: row.circle,
+    area: row.area,
+    planId: row.plan_id === null ? null : String(row.plan_id),
+    planName: row.plan_name,
+    planEndsOn: row.plan_ends_on,
+    riders: row.rider_count,
+    vehicles: row.vehicle_count,
+    createdBy: row.created_by,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+function toRider(row) {
+  return {
+    id: String(row.id),
+    name: row.name,
+    phone: row.phone,
+    active: row.active === 1,
+    vehicle: row.vehicle,
+    linkedAt: row.linked_at,
+    createdAt: row.created_at,
+  };
+}
+
+function toSubscription(row, today) {
+  return {
+    id: String(row.id),
+    planId: String(row.plan_id),
+    planName: row.plan_name,
+    kind: row.kind,
+    startsOn: row.starts_on,
+    endsOn: row.ends_on,
+    monthlyFee: row.monthly_fee,
+    swapQuota: row.swap_quota,
+    perSwapPrice: row.per_swap_price,
+    deposit: row.deposit,
+    status: subscriptionStatus(row, today),
+    cancelledAt: row.cancelled_at,
+    createdBy: row.created_by,
+    createdAt: row.created_at,
+  };
+}
+
+// Customers with the plan they are on today and their rider/vehicle counts
+const SELECT_CUSTOMER = `
+  SELECT c.*, s.plan_id, p.name AS plan_name, s.ends_on AS plan_ends_on,
+    (SELECT COUNT(*) FROM customer_riders r WHERE r.customer_id = c.id AND r.active = 1) AS rider_count,
+    (SELECT COUNT(*) FROM customer_vehicles cv WHERE cv.customer_id = c.id AND cv.unlinked_at IS NULL) AS vehicle_count
+  FROM customers c
+  LEFT JOIN customer_subscriptions s ON s.id = (
+    SELECT id FROM customer_subscriptions
+    WHERE customer_id = c.id AND cancelled_at IS NULL AND ? BETWEEN starts_on AND ends_on
+    ORDER BY starts_on DESC LIMIT 1)
+  LEFT JOIN customer_plans p ON p.id = s.plan_id`;
+
+/**
+ * List customers in the user's scope.
+ * Supports free-text search (code, name, phone, email), hub and plan
+ * filters, `subscription` = 'active' | 'none', and pagination. Customers
+ * on a plan come with their usage in the current cycle.
+ */
+export function listCustomers(user, { q, hub, planId, subscription, page = 1, pageSize = 20 } = {}) {
+  const scope = scopeWhere(user, 'c');
+  const where = [scope.sql];
+  const params = [...scope.params];
+
+  if (hub) {
+    where.push('c.hub = ?');
+    params.push(hub);
+  }
+  if (planId) {
+    where.push('s.plan_id = ?');
+    params.push(planId);
+  }
+  if (subscription === 'active') where.push('s.id IS NOT NULL');
+  if (subscription === 'none') where.push('s.id IS NULL');
+  if (q) {
+    where.push('(c.code LIKE ? OR c.name LIKE ? OR c.phone LIKE ? OR c.email LIKE ?)');
+    const like = `%${q}%`;
+    params.push(like, like, like, like);
+  }
+
+  const db = getDb();
+  const today = localToday();
+  const sql = where.join(' AND ');
+  const total = db.prepare(`SELECT COUNT(*) AS count FROM (${SELECT_CUSTOMER} WHERE ${sql})`).get(today, ...params).count;
+  const customers = db
+    .prepare(`${SELECT_CUSTOMER} WHERE ${sql} ORDER BY c.name LIMIT ? OFFSET ?`)
+    .all(today, ...params, pageSize, (page - 1) * pageSize)
+    .map((row) => ({ ...toCustomer(row), usage: row.plan_id === null ? null : currentCycleUsage(row.code, today) }));
+
+  return { customers, total, page, pageSize };
+}
+
+export function getCustomer(code) {
+  return toCustomer(getDb().prepare(`${SELECT_CUSTOMER} WHERE c.code = ?`).get(localToday(), code));
+}
+
+function customerId(code) {
+  return getDb().prepare('SELECT id FROM customers WHERE code = ?').get(code).id;
+}
+
+/**
+ * Next free CUS-NNNN code
+ */
+function nextCustomerCode() {
+  const row = getDb().prepare('SELECT MAX(CAST(substr(code, 5) AS INTEGER)) AS seq FROM customers').get();
+  return `CUS-${String((row.seq || 0) + 1).padStart(4, '0')}`;
+}
+
+/**
+ * Validate customer fields. Pass the existing customer when editing so
+ * an unchanged phone number doesn't clash with itself.
+ * Returns an error message, or null when valid.
+ */
+export function validateCustomer(input, existing = null) {
+  if ((!existing || 'name' in input) && (!input.name || input.name.length > 120)) {
+    return 'Name is required (at most 120 characters)';
+  }
+
+  if ((!existing || 'type' in input) && !CUSTOMER_TYPES.includes(input.type)) {
+    return `Type must be one of: ${CUSTOMER_TYPES.join(', ')}`;
+  }
+
+  if (!existing || 'phone' in input) {
+    if (!PHONE_PATTERN.test(input.phone || '')) return 'Phone must be a 10-digit mobile number';
+    const clash = getDb().prepare('SELECT code FROM customers WHERE phone = ?').get(input.phone);
+    if (clash && clash.code !== existing?.id) return `Phone number already registered to ${clash.code}`;
+  }
+
+  if (input.email && !EMAIL_PATTERN.test(input.email)) {
+    return 'Email address is not valid';
+  }
+
+  if (input.gstin && !GSTIN_PATTERN.test(input.gstin)) {
+    return 'GSTIN must be 15 characters, like 27AAPFU0939F1ZV';
+  }
+
+  if ((!existing || 'hub' in input) && !resolveHubScope(input.hub)) {
+    return `Unknown hub: ${input.hub || ''}`;
+  }
+
+  return null;
+}
+
+export function createCustomer({ name, type, phone, email = null, gstin = null, hub }, actor) {
+  const scope = resolveHubScope(hub);
+  const code = nextCustomerCode();
+
+  getDb()
+    .prepare(
+      `INSERT INTO customers (code, name, type, phone, email, gstin, hub, region, circle, area, created_by)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`
+    )
+    .run(code, name, type, phone, email, gstin, hub, scope.region, scope.circle, scope.area, actor?.name ?? null);
+  return getCustomer(code);
+}
+
+/**
+ * Update the given fields. Moving a customer to another hub
+ * re-derives its region/circle/area.
+ */
+export function updateCustomer(code, fields) {
+  const columns = { name: 'name', type: 'type', phone: 'phone', email: 'email', gstin: 'gstin' };
+  const sets = [];
+  const params = [];
+
+  for (const [field, column] of Object.entries(columns)) {
+    if (field in fields) {
+      sets.push(`${column} = ?`);
+      params.push(fields[field] ?? null);
+    }
+  }
+  const scope = fields.hub && resolveHubScope(fields.hub);
+  if (scope) {
+    sets.push('hub = ?', 'region = ?', 'circle = ?', 'area = ?');
+    params.push(fields.hub, scope.region, scope.circle, scope.area);
+  }
+
+  if (sets.length) {
+    getDb()
+      .prepare(`UPDATE customers SET ${sets.join(', ')}, updated_at = datetime('now') WHERE code = ?`)
+      .run(...params, code);
+  }
+  return getCustomer(code);
+}
+
+// Riders, with the vehicle each currently has
+
+const SELECT_RIDER = `
+  SELECT r.*, cv.vehicle, cv.linked_at
+  FROM customer_riders r
+  LEFT JOIN customer_vehicles cv ON cv.rider_id = r.id AND cv.unlinked_at IS NULL`;
+
+export function getRiders(code) {
+  return getDb()
+    .prepare(`${SELECT_RIDER} WHERE r.customer_id = ? ORDER BY r.active DESC, r.name`)
+    .all(customerId(code))
+    .map(toRider);
+}
+
+export function getRider(code, riderId) {
+  const row = getDb().prepare(`${SELECT_RIDER} WHERE r.customer_id = ? AND r.id = ?`).get(customerId(code), riderId);
+  return row ? toRider(row) : null;
+}
+
+/**
+ * Validate rider fields, including the vehicle to link (null unlinks).
+ * A vehicle can only be with one rider at a time.
+ * Returns an error message, or null when valid.
+ */
+export function validateRider(input, existing = null) {
+  if ((!existing || 'name' in input) && (!input.name || input.name.length > 120)) {
+    return 'Name is required (at most 120 characters)';
+  }
+
+  if ((!existing || 'phone' in input) && !PHONE_PATTERN.test(input.phone || '')) {
+    return 'Phone must be a 10-digit mobile number';
+  }
+
+  if (input.vehicle && input.vehicle !== existing?.vehicle) {
+    if (existing && !(input.active ?? existing.active)) {
+      return 'Reactivate the rider before linking a vehicle';
+    }
+
+    const vehicle = getVehicle(input.vehicle);
+    if (!vehicle) return `Unknown vehicle: ${input.vehicle}`;
+    if (vehicle.retiredAt) return `${vehicle.id} is retired`;
+
+    const link = getDb()
+      .prepare(
+        `SELECT c.code, r.name FROM customer_vehicles cv
+         JOIN customers c ON c.id = cv.customer_id
+         JOIN customer_riders r ON r.id = cv.rider_id
+         WHERE cv.vehicle = ? AND cv.unlinked_at IS NULL`
+      )
+      .get(vehicle.id);
+    if (link) return `${vehicle.id} is already with ${link.name} (${link.code})`;
+  }
+
+  return null;
+}
+
+function unlinkVehicle(db, riderId) {
+  db.prepare("UPDATE customer_vehicles SET unlinked_at = datetime('now') WHERE rider_id = ? AND unlinked_at IS NULL").run(
+    riderId
+  );
+}
+
+function linkVehicle(db, customerKey, riderId, vehicle, actor) {
+  db.prepare('INSERT INTO customer_vehicles (customer_id, rider_id, vehicle, linked_by) VALUES (?, ?, ?, ?)').run(
+    customerKey,
+    riderId,
+    vehicle,
+    actor?.name ?? null
+  );
+}
+
+export function addRider(code, { name, phone, vehicle = null }, actor) {
+  const db = getDb();
+  const customerKey = customerId(code);
+
+  const riderId = db.transaction(() => {
+    const id = db
+      .prepare('INSERT INTO customer_riders (customer_id, name, phone) VALUES (?, ?, ?)')
+      .run(customerKey, name, phone).lastInsertRowid;
+    if (vehicle) linkVehicle(db, customerKey, id, vehicle, actor);
+    return id;
+  })();
+
+  return getRider(code, riderId);
+}
+
+/**
+ * Update a rider. `vehicle` hands the rider a different vehicle (or
+ * none); deactivating a rider takes their vehicle back. Earlier links
+ * are kept so past swaps stay with the customer they were made for.
+ */
+export function updateRider(code, riderId, fields, actor) {
+  const db = getDb();
+  const customerKey = customerId(code);
+  const existing = getRider(code, riderId);
+
+  db.transaction(() => {
+    const sets = [];
+    const params = [];
+    for (const field of ['name', 'phone']) {
+      if (field in fields) {
+        sets.push(`${field} = ?`);
+        params.push(fields[field]);
+      }
+    }
+    if ('active' in fields) {
+      sets.push('active = ?');
+      params.push(fields.active ? 1 : 0);
+    }
+    if (sets.length) {
+      db.prepare(`UPDATE customer_riders SET ${sets.join(', ')}, updated_at = datetime('now') WHERE id = ?`).run(
+        ...params,
+        riderId
+      );
+    }
+
+    const vehicle = fields.active === false ? null : 'vehicle' in fields ? fields.vehicle : existing.vehicle;
+    if (vehicle !== existing.vehicle) {
+      unlinkVehicle(db, riderId);
+      if (vehicle) linkVehicle(db, customerKey, riderId, vehicle, actor);
+    }
+  })();
+
+  return getRider(code, riderId);
+}
+
+// Subscriptions
+
+const SELECT_SUBSCRIPTION = `
+  SELECT s.*, p.name AS plan_name, p.kind
+  FROM customer_subscriptions s
+  JOIN customer_plans p ON p.id = s.plan_id`;
+
+/**
+ * A customer's subscriptions, latest first
+ */
+export function getSubscriptions(code) {
+  const today = localToday();
+  return getDb()
+    .prepare(`${SELECT_SUBSCRIPTION} WHERE s.customer_id = ? ORDER BY s.starts_on DESC, s.id DESC`)
+    .all(customerId(code))
+    .map((row) => toSubscription(row, today));
+}
+
+export function getSubscription(code, subscriptionId) {
+  const row = getDb()
+    .prepare(`${SELECT_SUBSCRIPTION} WHERE s.customer_id = ? AND s.id = ?`)
+    .get(customerId(code), subscriptionId);
+  return row ? toSubscription(row, localToday()) : null;
+}
+
+/**
+ * Validate an enrollment: an active plan and a start date that doesn't
+ * overlap the customer's other (uncancelled) subscriptions.
+ * Returns an error message, or null when valid.
+ */
+export function validateSubscription({ planId, startsOn }, code) {
+  const plan = planId ? getCustomerPlan(planId) : null;
+  if (!plan) return 'Choose a plan';
+  if (!plan.active) return `${plan.name} is no longer offered`;
+
+  if (!isDate(startsOn)) return 'Start date must be a date (YYYY-MM-DD)';
+
+  const endsOn = addDays(startsOn, plan.validityDays - 1);
+  const clash = getDb()
+    .prepare(
+      `${SELECT_SUBSCRIPTION}
+       WHERE s.customer_id = ? AND s.cancelled_at IS NULL AND s.starts_on <= ? AND s.ends_on >= ?`
+    )
+    .get(customerId(code), endsOn, startsOn);
+  if (clash) return `Overlaps the ${clash.plan_name} subscription (${clash.starts_on} to ${clash.ends_on})`;
+
+  return null;
+}
+
+/**
+ * Enroll a customer on a plan from `startsOn` for the plan's validity,
+ * copying its current terms onto the subscription
+ */
+export function createSubscription(code, { planId, startsOn }, actor) {
+  const plan = getCustomerPlan(planId);
+  const result = getDb()
+    .prepare(
+      `INSERT INTO customer_subscriptions
+         (customer_id, plan_id, starts_on, ends_on, monthly_fee, swap_quota, per_swap_price, deposit, created_by)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`
+    )
+    .run(
+      customerId(code),
+      plan.id,
+      startsOn,
+      addDays(startsOn, plan.validityDays - 1),
+      plan.monthlyFee,
+      plan.swapQuota,
+      plan.perSwapPrice,
+      plan.deposit,
+      actor?.name ?? null
+    );
+  return getSubscription(code, result.lastInsertRowid);
+}
+
+/**
+ * Cancel a scheduled or active subscription. An active one ends today;
+ * a scheduled one ends the day before it would have started, so it has
+ * no cycles at all.
+ */
+export function cancelSubscription(code, subscriptionId) {
+  const today = localToday();
+  getDb()
+    .prepare(
+      `UPDATE customer_subscriptions
+       SET cancelled_at = datetime('now'),
+         ends_on = CASE WHEN starts_on > ? THEN date(starts_on, '-1 day') ELSE MIN(ends_on, ?) END
+       WHERE id = ?`
+    )
+    .run(today, today, subscriptionId);
+  return getSubscription(code, subscriptionId);
+}
+
+// Usage
+
+function countSwaps(customerKey, from, to) {
+  return getDb()
+    .prepare(
+      `SELECT COUNT(*) AS count
+       FROM swap_events se
+       JOIN customer_vehicles cv ON cv.vehicle = se.vehicle
+         AND se.swapped_at >= cv.linked_at AND (cv.unlinked_at IS NULL OR se.swapped_at < cv.unlinked_at)
+       WHERE cv.customer_id = ? AND date(se.swapped_at, ?) BETWEEN ? AND ?`
+    )
+    .get(customerKey, LOCAL_TIME_OFFSET, from, to).count;
+}
+
+/**
+ * The monthly cycles of a subscription, counted from its start date
+ * and cut short at its end
+ */
+export function subscriptionCycles(subscription) {
+  const cycles = [];
+  for (let n = 0; ; n++) {
+    const start = addMonths(subscription.startsOn, n);
+    if (start > subscription.endsOn) return cycles;
+    const end = addDays(addMonths(subscription.startsOn, n + 1), -1);
+    cycles.push({ start, end: end < subscription.endsOn ? end : subscription.endsOn });
+  }
+}
+
+function cycleUsage(customerKey, subscription, cycle, today) {
+  const swaps = countSwaps(customerKey, cycle.start, cycle.end);
+  const overQuota = subscription.swapQuota === null ? 0 : Math.max(0, swaps - subscription.swapQuota);
+
+  return {
+    ...cycle,
+    current: cycle.start <= today && today <= cycle.end,
+    swaps,
+    quota: subscription.swapQuota,
+    overQuota,
+    overageCharge: Math.round(overQuota * subscription.perSwapPrice * 100) / 100,
+  };
+}
+
+/**
+ * Swaps per cycle of a subscription against its quota, for the cycles
+ * that have started
+ */
+export function getSubscriptionUsage(code, subscription) {
+  const today = localToday();
+  const customerKey = customerId(code);
+
+  return subscriptionCycles(subscription)
+    .filter((cycle) => cycle.start <= today)
+    .map((cycle) => cycleUsage(customerKey, subscription, cycle, today));
+}
+
+function currentCycleUsage(code, today) {
+  const subscription = getSubscriptions(code).find((candidate) => candidate.status === 'active');
+  const cycle = subscription && subscriptionCycles(subscription).find((c) => c.start <= today && today <= c.end);
+  return cycle ? cycleUsage(customerId(code), subscription, cycle, today) : null;
+}
+
+/**
+ * The customer's most recent swaps, with the rider who made them
+ */
+export function getCustomerSwaps(code, limit = 20) {
+  return getDb()
+    .prepare(
+      `SELECT se.id, se.station, se.vehicle, se.battery_out, se.battery_in, se.swapped_at, r.name AS rider
+       FROM swap_events se
+       JOIN customer_vehicles cv ON cv.vehicle = se.vehicle
+         AND se.swapped_at >= cv.linked_at AND (cv.unlinked_at IS NULL OR se.swapped_at < cv.unlinked_at)
+       JOIN customer_riders r ON r.id = cv.rider_id
+       WHERE cv.customer_id = ?
+       ORDER BY se.swapped_at DESC LIMIT ?`
+    )
+    .all(customerId(code), limit)
+    .map((row) => ({
+      id: String(row.id),
+      station: row.station,
+      vehicle: row.vehicle,
+      batteryOut: row.battery_out,
+      batteryIn: row.battery_in,
+      swappedAt: row.swapped_at,
+      rider: row.rider,
+    }));
+}
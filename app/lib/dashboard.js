@@ -0,0 +1,47 @@
+import { getDb, LOCAL_TIME_OFFSET } from './db.js';
+import { scopeWhere } from './access.js';
+import { getSlotStatusCounts } from './stations.js';
+import { listWorkOrders } from './workOrders.js';
+
+// Dashboard KPIs for the user's scope
+
+/**
+ * Assets ready for use: available vehicles plus free charging slots,
+ * out of all active vehicles and slots
+ */
+export function getAssetAvailability(user) {
+  const scope = scopeWhere(user);
+  const vehicles = getDb()
+    .prepare(
+      `SELECT COUNT(*) AS total, COALESCE(SUM(status = 'available'), 0) AS available
+       FROM vehicles WHERE ${scope.sql} AND retired_at IS NULL`
+    )
+    .get(...scope.params);
+
+  const slots = getSlotStatusCounts(user);
+  const slotTotal = Object.values(slots).reduce((sum, count) => sum + count, 0);
+
+  return {
+    available: vehicles.available + slots.free,
+    total: vehicles.total + slotTotal,
+    vehicles,
+    slots,
+  };
+}
+
+/**
+ * Open work orders (pending or in progress), how many were raised
+ * today (local time), and the most recent few
+ */
+export function getWorkOrderStats(user, { recent = 3 } = {}) {
+  const scope = scopeWhere(user);
+  const counts = getDb()
+    .prepare(
+      `SELECT COALESCE(SUM(status IN ('pending', 'in-progress')), 0) AS open,
+              COALESCE(SUM(date(created_at, ?) = date('now', ?)), 0) AS today
+       FROM work_orders WHERE ${scope.sql}`
+    )
+    .get(LOCAL_TIME_OFFSET, LOCAL_TIME_OFFSET, ...scope.params);
+
+  return { ...counts, recent: listWorkOrders(user, { pageSize: recent }).workOrders };
+}
@@ -0,0 +1,590 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import Database from 'better-sqlite3';
+
+// SQLite connection shared by all server-side data access
+
+const DEFAULT_DB_PATH = path.join(process.cwd(), 'data', 'draive.db');
+
+// Timestamps are stored in UTC; this offset (an SQLite date modifier)
+// turns them into local calendar days for reporting. Defaults to IST.
+export const LOCAL_TIME_OFFSET = process.env.LOCAL_TIME_OFFSET || '+05:30';
+
+/**
+ * Parse a timestamp into SQLite's UTC `YYYY-MM-DD HH:MM:SS` form, or null
+ */
+export function toSqlTimestamp(value) {
+  const date = value === undefined || value === null || value === '' ? new Date() : new Date(value);
+  if (Number.isNaN(date.getTime())) return null;
+  return date.toISOString().slice(0, 19).replace('T', ' ');
+}
+
+/**
+ * Schema migrations, applied in order and tracked via PRAGMA user_version.
+ * Never edit an entry once it has shipped - append a new one instead.
+ */
+const migrations = [
+  `
+  CREATE TABLE users (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    email TEXT NOT NULL UNIQUE COLLATE NOCASE,
+    password_hash TEXT NOT NULL,
+    name TEXT NOT NULL,
+    role TEXT NOT NULL,
+    region TEXT,
+    circle TEXT,
+    area TEXT,
+    enabled INTEGER NOT NULL DEFAULT 1,
+    created_at TEXT NOT NULL DEFAULT (datetime('now')),
+    updated_at TEXT NOT NULL DEFAULT (datetime('now'))
+  );
+  `,
+  `
+  CREATE TABLE org_nodes (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    type TEXT NOT NULL CHECK (type IN ('region', 'circle', 'area', 'hub')),
+    code TEXT NOT NULL,
+    name TEXT NOT NULL,
+    parent_id INTEGER REFERENCES org_nodes(id) ON DELETE RESTRICT,
+    created_at TEXT NOT NULL DEFAULT (datetime('now')),
+    updated_at TEXT NOT NULL DEFAULT (datetime('now')),
+    UNIQUE (type, code)
+  );
+  CREATE INDEX org_nodes_parent ON org_nodes(parent_id);
+  `,
+  `
+  CREATE TABLE vehicles (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    asset_id TEXT NOT NULL UNIQUE,
+    vin TEXT NOT NULL UNIQUE,
+    registration_number TEXT NOT NULL UNIQUE,
+    model TEXT NOT NULL,
+    hub TEXT NOT NULL,
+    region TEXT NOT NULL,
+    circle TEXT NOT NULL,
+    area TEXT NOT NULL,
+    status TEXT NOT NULL DEFAULT 'available',
+    odometer_km INTEGER NOT NULL DEFAULT 0,
+    battery_serial TEXT,
+    retired_at TEXT,
+    created_at TEXT NOT NULL DEFAULT (datetime('now')),
+    updated_at TEXT NOT NULL DEFAULT (datetime('now'))
+  );
+  CREATE INDEX vehicles_scope ON vehicles(region, circle, area);
+  `,
+  `
+  CREATE TABLE batteries (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    serial TEXT NOT NULL UNIQUE,
+    chemistry TEXT NOT NULL,
+    rated_capacity_kwh REAL NOT NULL,
+    state_of_health REAL NOT NULL DEFAULT 100,
+    cycle_count INTEGER NOT NULL DEFAULT 0,
+    lifecycle_state TEXT NOT NULL DEFAULT 'in_service',
+    location_type TEXT NOT NULL,
+    location_ref TEXT NOT NULL,
+    hub TEXT NOT NULL,
+    region TEXT NOT NULL,
+    circle TEXT NOT NULL,
+    area TEXT NOT NULL,
+    created_at TEXT NOT NULL DEFAULT (datetime('now')),
+    updated_at TEXT NOT NULL DEFAULT (datetime('now'))
+  );
+  CREATE INDEX batteries_scope ON batteries(region, circle, area);
+  CREATE INDEX batteries_location ON batteries(location_type, location_ref);
+
+  CREATE TABLE battery_custody (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    battery_id INTEGER NOT NULL REFERENCES batteries(id),
+    event TEXT NOT NULL,
+    location_type TEXT NOT NULL,
+    location_ref TEXT NOT NULL,
+    lifecycle_state TEXT NOT NULL,
+    hub TEXT NOT NULL,
+    region TEXT NOT NULL,
+    circle TEXT NOT NULL,
+    area TEXT NOT NULL,
+    note TEXT,
+    actor_id TEXT,
+    actor_name TEXT,
+    created_at TEXT NOT NULL DEFAULT (datetime('now'))
+  );
+  CREATE INDEX battery_custody_battery ON battery_custody(battery_id, created_at);
+  CREATE INDEX battery_custody_created ON battery_custody(created_at);
+  `,
+  `
+  CREATE TABLE swap_events (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    event_id TEXT UNIQUE,
+    station TEXT NOT NULL,
+    slot TEXT NOT NULL,
+    battery_out TEXT NOT NULL,
+    battery_in TEXT NOT NULL,
+    vehicle TEXT NOT NULL,
+    operator TEXT NOT NULL,
+    hub TEXT NOT NULL,
+    region TEXT NOT NULL,
+    circle TEXT NOT NULL,
+    area TEXT NOT NULL,
+    swapped_at TEXT NOT NULL,
+    recorded_by TEXT,
+    created_at TEXT NOT NULL DEFAULT (datetime('now'))
+  );
+  CREATE INDEX swap_events_scope ON swap_events(region, circle, area, swapped_at);
+  CREATE INDEX swap_events_swapped ON swap_events(swapped_at);
+
+  CREATE TABLE swap_targets (
+    circle TEXT PRIMARY KEY,
+    daily_target INTEGER NOT NULL,
+    updated_by TEXT,
+    updated_at TEXT NOT NULL DEFAULT (datetime('now'))
+  );
+  `,
+  `
+  CREATE TABLE stations (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    code TEXT NOT NULL UNIQUE,
+    name TEXT NOT NULL,
+    address TEXT,
+    latitude REAL NOT NULL,
+    longitude REAL NOT NULL,
+    power_kw REAL NOT NULL,
+    opens_at TEXT NOT NULL DEFAULT '00:00',
+    closes_at TEXT NOT NULL DEFAULT '24:00',
+    hub TEXT NOT NULL,
+    region TEXT NOT NULL,
+    circle TEXT NOT NULL,
+    area TEXT NOT NULL,
+    retired_at TEXT,
+    created_at TEXT NOT NULL DEFAULT (datetime('now')),
+    updated_at TEXT NOT NULL DEFAULT (datetime('now'))
+  );
+  CREATE INDEX stations_scope ON stations(region, circle, area);
+
+  CREATE TABLE station_slots (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    station_id INTEGER NOT NULL REFERENCES stations(id) ON DELETE CASCADE,
+    label TEXT NOT NULL,
+    connector_type TEXT NOT NULL,
+    power_kw REAL NOT NULL,
+    status TEXT NOT NULL DEFAULT 'free',
+    status_changed_at TEXT NOT NULL DEFAULT (datetime('now')),
+    UNIQUE (station_id, label)
+  );
+  `,
+  `
+  CREATE TABLE tcu_devices (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    device_id TEXT NOT NULL UNIQUE,
+    vehicle TEXT UNIQUE,
+    firmware_version TEXT,
+    api_key_hash TEXT NOT NULL UNIQUE,
+    api_key_hint TEXT NOT NULL,
+    hub TEXT NOT NULL,
+    region TEXT NOT NULL,
+    circle TEXT NOT NULL,
+    area TEXT NOT NULL,
+    last_seen_at TEXT,
+    decommissioned_at TEXT,
+    created_at TEXT NOT NULL DEFAULT (datetime('now')),
+    updated_at TEXT NOT NULL DEFAULT (datetime('now'))
+  );
+  CREATE INDEX tcu_devices_scope ON tcu_devices(region, circle, area);
+
+  CREATE TABLE tcu_telemetry (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    device_id INTEGER NOT NULL REFERENCES tcu_devices(id),
+    vehicle TEXT,
+    recorded_at TEXT NOT NULL,
+    latitude REAL,
+    longitude REAL,
+    speed_kmh REAL,
+    soc REAL,
+    pack_voltage REAL,
+    pack_current REAL,
+    pack_temp_c REAL,
+    ignition INTEGER,
+    received_at TEXT NOT NULL DEFAULT (datetime('now')),
+    UNIQUE (device_id, recorded_at)
+  );
+  CREATE INDEX tcu_telemetry_vehicle ON tcu_telemetry(vehicle, recorded_at);
+  `,
+  `
+  CREATE TABLE live_events (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    type TEXT NOT NULL,
+    payload TEXT NOT NULL,
+    hub TEXT NOT NULL,
+    region TEXT NOT NULL,
+    circle TEXT NOT NULL,
+    area TEXT NOT NULL,
+    created_at TEXT NOT NULL DEFAULT (datetime('now'))
+  );
+  CREATE INDEX live_events_created ON live_events(created_at);
+  `,
+  `
+  CREATE TABLE work_orders (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    code TEXT NOT NULL UNIQUE,
+    title TEXT NOT NULL,
+    description TEXT,
+    asset_type TEXT NOT NULL,
+    asset_ref TEXT NOT NULL,
+    priority TEXT NOT NULL,
+    status TEXT NOT NULL DEFAULT 'pending',
+    assignee_id INTEGER REFERENCES users(id),
+    due_date TEXT,
+    hub TEXT NOT NULL,
+    region TEXT NOT NULL,
+    circle TEXT NOT NULL,
+    area TEXT NOT NULL,
+    created_by TEXT,
+    started_at TEXT,
+    completed_at TEXT,
+    cancelled_at TEXT,
+    created_at TEXT NOT NULL DEFAULT (datetime('now')),
+    updated_at TEXT NOT NULL DEFAULT (datetime('now'))
+  );
+  CREATE INDEX work_orders_scope ON work_orders(region, circle, area);
+  CREATE INDEX work_orders_asset ON work_orders(asset_type, asset_ref);
+
+  CREATE TABLE work_order_checklist (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    work_order_id INTEGER NOT NULL REFERENCES work_orders(id),
+    position INTEGER NOT NULL,
+    label TEXT NOT NULL,
+    done_at TEXT,
+    done_by TEXT
+  );
+  CREATE INDEX work_order_checklist_order ON work_order_checklist(work_order_id, position);
+
+  CREATE TABLE work_order_comments (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    work_order_id INTEGER NOT NULL REFERENCES work_orders(id),
+    kind TEXT NOT NULL DEFAULT 'comment',
+    body TEXT NOT NULL,
+    author_id INTEGER,
+    author_name TEXT,
+    created_at TEXT NOT NULL DEFAULT (datetime('now'))
+  );
+  CREATE INDEX work_order_comments_order ON work_order_comments(work_order_id, created_at);
+
+  CREATE TABLE work_order_attachments (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    work_order_id INTEGER NOT NULL REFERENCES work_orders(id),
+    file_name TEXT NOT NULL,
+    content_type TEXT NOT NULL,
+    size_bytes INTEGER NOT NULL,
+    storage_key TEXT NOT NULL UNIQUE,
+    uploaded_by TEXT,
+    created_at TEXT NOT NULL DEFAULT (datetime('now'))
+  );
+  CREATE INDEX work_order_attachments_order ON work_order_attachments(work_order_id);
+  `,
+  `
+  CREATE TABLE maintenance_plans (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL,
+    asset_type TEXT NOT NULL,
+    trigger_type TEXT NOT NULL,
+    every_value REAL NOT NULL,
+    lead_value REAL NOT NULL DEFAULT 0,
+    priority TEXT NOT NULL DEFAULT 'medium',
+    checklist TEXT NOT NULL DEFAULT '[]',
+    active INTEGER NOT NULL DEFAULT 1,
+    created_by TEXT,
+    created_at TEXT NOT NULL DEFAULT (datetime('now')),
+    updated_at TEXT NOT NULL DEFAULT (datetime('now'))
+  );
+
+  CREATE TABLE maintenance_schedule (
+    plan_id INTEGER NOT NULL REFERENCES maintenance_plans(id),
+    asset_ref TEXT NOT NULL,
+    last_due_date TEXT,
+    last_due_reading REAL,
+    work_order_id INTEGER REFERENCES work_orders(id),
+    updated_at TEXT NOT NULL DEFAULT (datetime('now')),
+    PRIMARY KEY (plan_id, asset_ref)
+  );
+
+  ALTER TABLE work_orders ADD COLUMN plan_id INTEGER REFERENCES maintenance_plans(id);
+
+  ALTER TABLE stations ADD COLUMN energy_delivered_kwh REAL NOT NULL DEFAULT 0;
+  ALTER TABLE stations ADD COLUMN maintenance_since TEXT;
+  ALTER TABLE tcu_devices ADD COLUMN maintenance_since TEXT;
+  `,
+  `
+  CREATE TABLE customer_plans (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL UNIQUE COLLATE NOCASE,
+    kind TEXT NOT NULL CHECK (kind IN ('swap', 'rental')),
+    monthly_fee REAL NOT NULL DEFAULT 0,
+    swap_quota INTEGER,
+    per_swap_price REAL NOT NULL DEFAULT 0,
+    deposit REAL NOT NULL DEFAULT 0,
+    validity_days INTEGER NOT NULL,
+    active INTEGER NOT NULL DEFAULT 1,
+    created_by TEXT,
+    created_at TEXT NOT NULL DEFAULT (datetime('now')),
+    updated_at TEXT NOT NULL DEFAULT (datetime('now'))
+  );
+
+  CREATE TABLE customers (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    code TEXT NOT NULL UNIQUE,
+    name TEXT NOT NULL,
+    type TEXT NOT NULL CHECK (type IN ('individual', 'business')),
+    phone TEXT NOT NULL UNIQUE,
+    email TEXT,
+    gstin TEXT,
+    hub TEXT NOT NULL,
+    region TEXT NOT NULL,
+    circle TEXT NOT NULL,
+    area TEXT NOT NULL,
+    created_by TEXT,
+    created_at TEXT NOT NULL DEFAULT (datetime('now')),
+    updated_at TEXT NOT NULL DEFAULT (datetime('now'))
+  );
+  CREATE INDEX customers_scope ON customers(region, circle, area);
+
+  CREATE TABLE customer_riders (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    customer_id INTEGER NOT NULL REFERENCES customers(id),
+    name TEXT NOT NULL,
+    phone TEXT NOT NULL,
+    active INTEGER NOT NULL DEFAULT 1,
+    created_at TEXT NOT NULL DEFAULT (datetime('now')),
+    updated_at TEXT NOT NULL DEFAULT (datetime('now'))
+  );
+  CREATE INDEX customer_riders_customer ON customer_riders(customer_id);
+
+  CREATE TABLE customer_vehicles (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    customer_id INTEGER NOT NULL REFERENCES customers(id),
+    rider_id INTEGER NOT NULL REFERENCES customer_riders(id),
+    vehicle TEXT NOT NULL,
+    linked_at TEXT NOT NULL DEFAULT (datetime('now')),
+    unlinked_at TEXT,
+    linked_by TEXT
+  );
+  CREATE UNIQUE INDEX customer_vehicles_current ON customer_vehicles(vehicle) WHERE unlinked_at IS NULL;
+  CREATE INDEX customer_vehicles_customer ON customer_vehicles(customer_id, vehicle);
+
+  CREATE TABLE customer_subscriptions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    customer_id INTEGER NOT NULL REFERENCES customers(id),
+    plan_id INTEGER NOT NULL REFERENCES customer_plans(id),
+    starts_on TEXT NOT NULL,
+    ends_on TEXT NOT NULL,
+    monthly_fee REAL NOT NULL,
+    swap_quota INTEGER,
+    per_swap_price REAL NOT NULL,
+    deposit REAL NOT NULL,
+    cancelled_at TEXT,
+    created_by TEXT,
+    created_at TEXT NOT NULL DEFAULT (datetime('now'))
+  );
+  CREATE INDEX customer_subscriptions_customer ON customer_subscriptions(customer_id, starts_on);
+  `,
+  `
+  CREATE TABLE invoice_sequences (
+    financial_year TEXT PRIMARY KEY,
+    last_number INTEGER NOT NULL
+  );
+
+  CREATE TABLE invoices (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    number TEXT NOT NULL UNIQUE,
+    kind TEXT NOT NULL CHECK (kind IN ('deposit', 'cycle', 'late_fee')),
+    customer_id INTEGER NOT NULL REFERENCES customers(id),
+    subscription_id INTEGER REFERENCES customer_subscriptions(id),
+    period_start TEXT,
+    period_end TEXT,
+    overdue_invoice_id INTEGER REFERENCES invoices(id),
+    issue_date TEXT NOT NULL,
+    due_date TEXT NOT NULL,
+    bill_to_name TEXT NOT NULL,
+    bill_to_gstin TEXT,
+    place_of_supply TEXT NOT NULL,
+    taxable_amount REAL NOT NULL,
+    exempt_amount REAL NOT NULL DEFAULT 0,
+    cgst REAL NOT NULL DEFAULT 0,
+    sgst REAL NOT NULL DEFAULT 0,
+    igst REAL NOT NULL DEFAULT 0,
+    total REAL NOT NULL,
+    hub TEXT NOT NULL,
+    region TEXT NOT NULL,
+    circle TEXT NOT NULL,
+    area TEXT NOT NULL,
+    created_by TEXT,
+    created_at TEXT NOT NULL DEFAULT (datetime('now'))
+  );
+  CREATE UNIQUE INDEX invoices_deposit ON invoices(subscription_id) WHERE kind = 'deposit';
+  CREATE UNIQUE INDEX invoices_cycle ON invoices(subscription_id, period_start) WHERE kind = 'cycle';
+  CREATE UNIQUE INDEX invoices_late_fee ON invoices(overdue_invoice_id) WHERE kind = 'late_fee';
+  CREATE INDEX invoices_scope ON invoices(region, circle, area, due_date);
+  CREATE INDEX invoices_customer ON invoices(customer_id, issue_date);
+
+  CREATE TABLE invoice_lines (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    invoice_id INTEGER NOT NULL REFERENCES invoices(id),
+    description TEXT NOT NULL,
+    sac TEXT,
+    quantity REAL NOT NULL,
+    unit_price REAL NOT NULL,
+    amount REAL NOT NULL,
+    taxable INTEGER NOT NULL
+  );
+  CREATE INDEX invoice_lines_invoice ON invoice_lines(invoice_id);
+
+  CREATE TABLE payments (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    invoice_id INTEGER NOT NULL REFERENCES invoices(id),
+    kind TEXT NOT NULL CHECK (kind IN ('payment', 'refund')),
+    amount REAL NOT NULL,
+    method TEXT NOT NULL,
+    reference TEXT,
+    gateway TEXT,
+    gateway_payment_id TEXT UNIQUE,
+    status TEXT NOT NULL CHECK (status IN ('pending', 'succeeded', 'failed')),
+    paid_on TEXT,
+    recorded_by TEXT,
+    created_at TEXT NOT NULL DEFAULT (datetime('now'))
+  );
+  CREATE INDEX payments_invoice ON payments(invoice_id);
+  `,
+  `
+  CREATE TABLE export_jobs (
+    id TEXT PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id),
+    report TEXT NOT NULL,
+    format TEXT NOT NULL,
+    filters TEXT NOT NULL,
+    status TEXT NOT NULL CHECK (status IN ('queued', 'running', 'done', 'failed')),
+    row_count INTEGER,
+    file_name TEXT,
+    error TEXT,
+    created_at TEXT NOT NULL DEFAULT (datetime('now')),
+    finished_at TEXT
+  );
+  CREATE INDEX export_jobs_user ON export_jobs(user_id, created_at);
+  `,
+  `
+  CREATE TABLE report_subscriptions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL REFERENCES users(id),
+    name TEXT NOT NULL,
+    report TEXT NOT NULL,
+    format TEXT NOT NULL,
+    schedule TEXT NOT NULL,
+    recipients TEXT NOT NULL,
+    enabled INTEGER NOT NULL DEFAULT 1,
+    next_run_at TEXT,
+    last_run_at TEXT,
+    last_status TEXT CHECK (last_status IN ('sent', 'failed')),
+    last_error TEXT,
+    created_at TEXT NOT NULL DEFAULT (datetime('now')),
+    updated_at TEXT NOT NULL DEFAULT (datetime('now'))
+  );
+  CREATE INDEX report_subscriptions_user ON report_subscriptions(user_id);
+  CREATE INDEX report_subscriptions_due ON report_subscriptions(enabled, next_run_at);
+  `,
+  `
+  CREATE TABLE audit_log (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    action TEXT NOT NULL,
+    entity_type TEXT,
+    entity_id TEXT,
+    actor_id TEXT,
+    actor_email TEXT,
+    actor_name TEXT,
+    actor_role TEXT,
+    actor_region TEXT,
+    actor_circle TEXT,
+    actor_area TEXT,
+    region TEXT,
+    circle TEXT,
+    area TEXT,
+    changes TEXT,
+    ip TEXT,
+    user_agent TEXT,
+    created_at TEXT NOT NULL DEFAULT (datetime('now'))
+  );
+  CREATE INDEX audit_log_created ON audit_log(created_at);
+  CREATE INDEX audit_log_scope ON audit_log(region, circle, area, created_at);
+  CREATE INDEX audit_log_entity ON audit_log(entity_type, entity_id);
+  CREATE TRIGGER audit_log_no_update BEFORE UPDATE ON audit_log
+    BEGIN SELECT RAISE(ABORT, 'audit_log is append-only'); END;
+  CREATE TRIGGER audit_log_no_delete BEFORE DELETE ON audit_log
+    BEGIN SELECT RAISE(ABORT, 'audit_log is append-only'); END;
+  `,
+  `
+  CREATE TABLE login_throttle (
+    key TEXT PRIMARY KEY,
+    failures INTEGER NOT NULL DEFAULT 0,
+    last_failure_at TEXT NOT NULL,
+    retry_at TEXT,
+    locked_until TEXT
+  );
+  `,
+  `
+  ALTER TABLE users ADD COLUMN mfa_secret TEXT;
+  ALTER TABLE users ADD COLUMN mfa_pending_secret TEXT;
+  ALTER TABLE users ADD COLUMN mfa_enabled_at TEXT;
+  ALTER TABLE users ADD COLUMN mfa_last_step INTEGER;
+  CREATE TABLE mfa_recovery_codes (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    code_hash TEXT NOT NULL,
+    used_at TEXT
+  );
+  CREATE INDEX mfa_recovery_codes_user ON mfa_recovery_codes(user_id);
+  `,
+  `
+  ALTER TABLE users ADD COLUMN must_change_password INTEGER NOT NULL DEFAULT 0;
+  ALTER TABLE users ADD COLUMN password_reset_sent_at TEXT;
+  `,
+  `
+  ALTER TABLE users ADD COLUMN sso_subject TEXT;
+  CREATE UNIQUE INDEX users_sso_subject ON users(sso_subject);
+  `,
+  `
+  ALTER TABLE payments ADD COLUMN checkout_url TEXT;
+  `,
+];
+
+function migrate(db) {
+  const current = db.pragma('user_version', { simple: true });
+
+  for (let version = current; version < migrations.length; version++) {
+    db.transaction(() => {
+      db.exec(migrations[version]);
+      db.pragma(`user_version = ${version + 1}`);
+    })();
+  }
+}
+
+function open() {
+  const file = process.env.DATABASE_PATH || DEFAULT_DB_PATH;
+
+  if (file !== ':memory:') {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+  }
+
+  const db = new Database(file);
+  db.pragma('journal_mode = WAL');
+  db.pragma('foreign_keys = ON');
+  migrate(db);
+  return db;
+}
+
+/**
+ * Get the shared database connection.
+ * Cached on globalThis so dev-mode hot reloads don't leak connections.
+ */
+export function getDb() {
+  if (!globalThis.__draiveDb) {
+    globalThis.__draiveDb = open();
+  }
+  return globalThis.__draiveDb;
+}
@@ -0,0 +1,196 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import { randomUUID } from 'node:crypto';
+import { getDb, LOCAL_TIME_OFFSET } from './db.js';
+import { findUserById } from './users.js';
+import { REPORT_FORMATS, REPORT_NAMES, buildReport, renderReport, reportFilters } from './reports.js';
+
+// Export jobs. Every export is a job rendered to a file under EXPORT_DIR
+// and downloaded by the user who asked for it. Small ones are rendered
+// during the request; anything over EXPORT_INLINE_MAX_ROWS is queued and
+// rendered one at a time in the background while the page polls for it.
+// The job keeps the filters, not the rows: it reads the data again as its
+// user when it runs, so a background export is scoped like the page was.
+
+const EXPORT_DIR = process.env.EXPORT_DIR || path.join(process.cwd(), 'data', 'exports');
+const INLINE_MAX_ROWS = Number(process.env.EXPORT_INLINE_MAX_ROWS ?? 2000);
+
+// Hours an export stays downloadable
+const RETENTION_HOURS = Number(process.env.EXPORT_RETENTION_HOURS ?? 24);
+
+function localToday() {
+  return getDb().prepare("SELECT date('now', ?) AS today").get(LOCAL_TIME_OFFSET).today;
+}
+
+function toExport(row) {
+  if (!row) return null;
+
+  return {
+    id: row.id,
+    userId: String(row.user_id),
+    report: row.report,
+    format: row.format,
+    filters: JSON.parse(row.filters),
+    status: row.status,
+    rowCount: row.row_count,
+    fileName: row.file_name,
+    error: row.error,
+    createdAt: row.created_at,
+    finishedAt: row.finished_at,
+    downloadUrl: row.status === 'done' ? `/api/exports/${row.id}/download` : null,
+  };
+}
+
+function filePath(row) {
+  return path.join(EXPORT_DIR, `${row.id}.${REPORT_FORMATS[row.format].extension}`);
+}
+
+export function validateExport({ report, format }) {
+  if (!REPORT_NAMES.includes(report)) return `Report must be one of: ${REPORT_NAMES.join(', ')}`;
+  if (!REPORT_FORMATS[format]) return `Format must be one of: ${Object.keys(REPORT_FORMATS).join(', ')}`;
+  return null;
+}
+
+export function getExport(id) {
+  return toExport(getDb().prepare('SELECT * FROM export_jobs WHERE id = ?').get(id));
+}
+
+/**
+ * The user's exports that can still be downloaded, newest first
+ */
+export function listExports(user, { limit = 10 } = {}) {
+  return getDb()
+    .prepare(
+      `SELECT * FROM export_jobs WHERE user_id = ? AND created_at > datetime('now', ?)
+       ORDER BY created_at DESC, rowid DESC LIMIT ?`
+    )
+    .all(user.id, `-${RETENTION_HOURS} hours`, limit)
+    .map(toExport);
+}
+
+function finishJob(id, fields) {
+  getDb()
+    .prepare(
+      `UPDATE export_jobs SET status = @status, row_count = @rowCount, file_name = @fileName, error = @error,
+         finished_at = datetime('now')
+       WHERE id = @id`
+    )
+    .run({ id, rowCount: null, fileName: null, error: null, ...fields });
+}
+
+// Render one job to its file, as its user as they are now: someone
+// disabled or moved since asking gets nothing, or only their new scope
+async function runJob(row, logger = console) {
+  const db = getDb();
+  db.prepare("UPDATE export_jobs SET status = 'running' WHERE id = ?").run(row.id);
+
+  const target = filePath(row);
+  const partial = `${target}.partial`;
+  try {
+    const user = findUserById(row.user_id);
+    if (!user?.enabled) throw new Error('Your account is disabled');
+
+    const report = buildReport(user, row.report, JSON.parse(row.filters));
+    fs.mkdirSync(EXPORT_DIR, { recursive: true });
+    await renderReport(report, row.format, fs.createWriteStream(partial), user);
+    fs.renameSync(partial, target);
+
+    finishJob(row.id, {
+      status: 'done',
+      rowCount: report.rowCount,
+      fileName: `${row.report}-${localToday()}.${REPORT_FORMATS[row.format].extension}`,
+    });
+  } catch (err) {
+    fs.rmSync(partial, { force: true });
+    logger.error(`[exports] export ${row.id} failed:`, err);
+    finishJob(row.id, { status: 'failed', error: err.message || 'Export failed' });
+  }
+}
+
+// Work through queued jobs oldest first. One runner per process, cached on
+// globalThis so dev-mode reloads don't start a second.
+function runQueue(logger = console) {
+  if (globalThis.__draiveExportRunning) return;
+  globalThis.__draiveExportRunning = true;
+
+  const next = getDb().prepare("SELECT * FROM export_jobs WHERE status = 'queued' ORDER BY created_at, rowid LIMIT 1");
+  (async () => {
+    let row;
+    while ((row = next.get())) await runJob(row, logger);
+  })()
+    .catch((err) => logger.error('[exports] export queue failed:', err))
+    .finally(() => {
+      globalThis.__draiveExportRunning = false;
+    });
+}
+
+/**
+ * Delete exports past EXPORT_RETENTION_HOURS, with their files
+ */
+export function pruneExports() {
+  const db = getDb();
+  const expired = db
+    .prepare("SELECT id, format FROM export_jobs WHERE created_at <= datetime('now', ?) AND status IN ('done', 'failed')")
+    .all(`-${RETENTION_HOURS} hours`);
+
+  for (const row of expired) {
+    fs.rmSync(filePath(row), { force: true });
+    db.prepare('DELETE FROM export_jobs WHERE id = ?').run(row.id);
+  }
+  return expired.length;
+}
+
+/**
+ * Start an export of a report with the filters the page has applied.
+ * Returns the job: finished when it was small enough to render now,
+ * otherwise queued.
+ */
+export async function createExport(user, { report, format, filters }) {
+  pruneExports();
+
+  const applied = reportFilters(report, filters, user);
+  const { rowCount } = buildReport(user, report, applied);
+  const id = randomUUID();
+  getDb()
+    .prepare(
+      `INSERT INTO export_jobs (id, user_id, report, format, filters, status, row_count)
+       VALUES (?, ?, ?, ?, ?, 'queued', ?)`
+    )
+    .run(id, user.id, report, format, JSON.stringify(applied), rowCount);
+
+  const row = getDb().prepare('SELECT * FROM export_jobs WHERE id = ?').get(id);
+  if (rowCount <= INLINE_MAX_ROWS) {
+    await runJob(row);
+  } else {
+    runQueue();
+  }
+  return getExport(id);
+}
+
+/**
+ * The file of a finished export, as a stream
+ */
+export function readExport(job) {
+  const file = filePath(job);
+  if (job.status !== 'done' || !fs.existsSync(file)) return null;
+
+  return {
+    stream: fs.createReadStream(file),
+    sizeBytes: fs.statSync(file).size,
+    contentType: REPORT_FORMATS[job.format].contentType,
+    fileName: job.fileName,
+  };
+}
+
+/**
+ * Pick up exports a restart interrupted and clear out expired ones
+ * (started from instrumentation.js)
+ */
+export function startExportWorker(logger = console) {
+  if (globalThis.__draiveExportRunning) return;
+
+  getDb().prepare("UPDATE export_jobs SET status = 'queued' WHERE status = 'running'").run();
+  const pruned = pruneExports();
+  if (pruned) logger.info(`[exports] removed ${pruned} expired export${pruned === 1 ? '' : 's'}`);
+  runQueue(logger);
+}
@@ -0,0 +1,66 @@
+import { getDb } from './db.js';
+import { scopeWhere } from './access.js';
+import { listStations } from './stations.js';
+
+// Assets for the live fleet map: vehicles at their latest TCU position
+// and charging stations, in the user's scope
+
+// Every station in scope is plotted; this only guards against runaway responses
+const MAX_STATIONS = 2000;
+
+/**
+ * Vehicles and stations to plot, optionally narrowed to a region,
+ * circle or area (always within the user's own scope). Vehicles with no
+ * reported position are counted in `unlocated` rather than plotted.
+ */
+export function getMapAssets(user, { region, circle, area } = {}) {
+  const scope = scopeWhere(user, 'v');
+  const where = [scope.sql, 'v.retired_at IS NULL'];
+  const params = [...scope.params];
+
+  for (const [column, value] of Object.entries({ region, circle, area })) {
+    if (value) {
+      where.push(`v.${column} = ?`);
+      params.push(value);
+    }
+  }
+
+  const rows = getDb()
+    .prepare(
+      `SELECT v.asset_id, v.registration_number, v.model, v.status, v.hub, v.region, v.circle, v.area,
+              v.battery_serial, t.latitude, t.longitude, t.recorded_at, t.soc, t.speed_kmh, t.ignition
+       FROM vehicles v
+       LEFT JOIN tcu_telemetry t ON t.id = (
+         SELECT id FROM tcu_telemetry
+         WHERE vehicle = v.asset_id AND latitude IS NOT NULL
+         ORDER BY recorded_at DESC LIMIT 1
+       )
+       WHERE ${where.join(' AND ')}
+       ORDER BY v.asset_id`
+    )
+    .all(...params);
+
+  const vehicles = rows
+    .filter((row) => row.latitude !== null)
+    .map((row) => ({
+      id: row.asset_id,
+      registrationNumber: row.registration_number,
+      model: row.model,
+      status: row.status,
+      hub: row.hub,
+      region: row.region,
+      circle: row.circle,
+      area: row.area,
+      batterySerial: row.battery_serial,
+      latitude: row.latitude,
+      longitude: row.longitude,
+      positionAt: row.recorded_at,
+      soc: row.soc,
+      speedKmh: row.speed_kmh,
+      ignition: row.ignition === null ? null : row.ignition === 1,
+    }));
+
+  const { stations } = listStations(user, { region, circle, area, pageSize: MAX_STATIONS });
+
+  return { vehicles, stations, unlocated: rows.length - vehicles.length };
+}
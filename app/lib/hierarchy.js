@@ -0,0 +1,244 @@
+import { getDb } from './db.js';
+
+// Organisational hierarchy: region → circle → area → hub
+
+export const NODE_TYPES = ['region', 'circle', 'area', 'hub'];
+
+// The node type each type must hang under (regions are roots)
+const PARENT_TYPE = {
+  region: null,
+  circle: 'region',
+  area: 'circle',
+  hub: 'area',
+};
+
+const CODE_PATTERN = /^[a-z0-9]+(-[a-z0-9]+)*$/;
+
+// Tables whose rows store their hub and the area/circle/region above it,
+// named as in error messages. Moving a node rewrites the chain
+// on their rows; a node they reference can't be deleted. History (custody,
+// swap ledger, live events, audit log) keeps the scope it was recorded in.
+const SCOPED_TABLES = {
+  vehicles: 'vehicles',
+  batteries: 'batteries',
+  stations: 'stations',
+  tcu_devices: 'TCUs',
+  work_orders: 'work orders',
+  customers: 'customers',
+  invoices: 'invoices',
+};
+
+function toNode(row) {
+  if (!row) return null;
+
+  return {
+    id: String(row.id),
+    type: row.type,
+    code: row.code,
+    name: row.name,
+    parentId: row.parent_id === null ? null : String(row.parent_id),
+  };
+}
+
+export function listNodes() {
+  return getDb().prepare('SELECT * FROM org_nodes ORDER BY type, name').all().map(toNode);
+}
+
+export function getNode(id) {
+  return toNode(getDb().prepare('SELECT * FROM org_nodes WHERE id = ?').get(id));
+}
+
+export function findNode(type, code) {
+  return toNode(getDb().prepare('SELECT * FROM org_nodes WHERE type = ? AND code = ?').get(type, code));
+}
+
+/**
+ * Nest nodes into a tree of regions, each with `children` down to hubs
+ */
+export function buildTree(nodes = listNodes()) {
+  const byId = new Map(nodes.map((node) => [node.id, { ...node, children: [] }]));
+  const roots = [];
+
+  for (const node of byId.values()) {
+    const parent = node.parentId && byId.get(node.parentId);
+    if (parent) {
+      parent.children.push(node);
+    } else {
+      roots.push(node);
+    }
+  }
+
+  return roots;
+}
+
+/**
+ * Child → parent code lookups, the shape the access helpers in
+ * app/utils/auth.js expect:
+ * { regions: ['west', ...], circles: { mumbai: 'west' }, areas: { andheri: 'mumbai' }, hubs: { ... } }
+ * plus display names per type: names.hub['andheri-hub'] === 'Mumbai Hub'
+ */
+export function getHierarchyMap(nodes = listNodes()) {
+  const byId = new Map(nodes.map((node) => [node.id, node]));
+  const map = { regions: [], circles: {}, areas: {}, hubs: {}, names: { region: {}, circle: {}, area: {}, hub: {} } };
+
+  for (const node of nodes) {
+    map.names[node.type][node.code] = node.name;
+
+    if (node.type === 'region') {
+      map.regions.push(node.code);
+    } else {
+      map[`${node.type}s`][node.code] = byId.get(node.parentId)?.code ?? null;
+    }
+  }
+
+  return map;
+}
+
+/**
+ * Resolve the full region/circle/area chain above a hub.
+ * Returns null if the hub doesn't exist.
+ */
+export function resolveHubScope(hubCode) {
+  const map = getHierarchyMap();
+  if (!(hubCode in map.hubs)) return null;
+
+  const area = map.hubs[hubCode];
+  const circle = map.areas[area];
+  const region = map.circles[circle];
+  return { region, circle, area, hub: hubCode };
+}
+
+/**
+ * Validate a new node. Returns an error message, or null when valid.
+ */
+export function validateNode({ type, code, name, parentId }) {
+  if (!NODE_TYPES.includes(type)) {
+    return `Unknown node type: ${type}`;
+  }
+  if (!code || !CODE_PATTERN.test(code)) {
+    return 'Code must be lowercase letters, digits and dashes';
+  }
+  if (!name) {
+    return 'Name is required';
+  }
+  if (findNode(type, code)) {
+    return `The ${type} code "${code}" is already in use`;
+  }
+
+  return validateParent(type, parentId);
+}
+
+function validateParent(type, parentId) {
+  const parentType = PARENT_TYPE[type];
+
+  if (!parentType) {
+    return parentId ? 'Regions cannot have a parent' : null;
+  }
+
+  const parent = parentId && getNode(parentId);
+  if (!parent || parent.type !== parentType) {
+    return `Each ${type} must belong to a ${parentType}`;
+  }
+
+  return null;
+}
+
+export function createNode({ type, code, name, parentId = null }) {
+  const result = getDb()
+    .prepare('INSERT INTO org_nodes (type, code, name, parent_id) VALUES (?, ?, ?, ?)')
+    .run(type, code, name, parentId);
+
+  return getNode(result.lastInsertRowid);
+}
+
+/**
+ * Count users whose scope points at this node (hubs have no users)
+ */
+export function countScopedUsers(node) {
+  if (node.type === 'hub') return 0;
+
+  return getDb().prepare(`SELECT COUNT(*) AS count FROM users WHERE ${node.type} = ?`).get(node.code).count;
+}
+
+/**
+ * Count the records in each scoped table that belong to this node, as
+ * { vehicles: 3, ... } (tables with none are left out)
+ */
+export function countScopedRecords(node) {
+  const db = getDb();
+  const counts = {};
+  for (const table of Object.keys(SCOPED_TABLES)) {
+    const { count } = db.prepare(`SELECT COUNT(*) AS count FROM ${table} WHERE ${node.type} = ?`).get(node.code);
+    if (count) counts[table] = count;
+  }
+  return counts;
+}
+
+// Rewrite the levels above a moved node on the records under it, from
+// its new parent chain
+function cascadeScope(db, node, parentId) {
+  const levels = NODE_TYPES.slice(0, NODE_TYPES.indexOf(node.type));
+  const chain = {};
+  for (let parent = getNode(parentId); parent; parent = parent.parentId && getNode(parent.parentId)) {
+    chain[parent.type] = parent.code;
+  }
+
+  const sets = levels.map((level) => `${level} = ?`).join(', ');
+  for (const table of Object.keys(SCOPED_TABLES)) {
+    db.prepare(`UPDATE ${table} SET ${sets} WHERE ${node.type} = ?`).run(...levels.map((level) => chain[level]), node.code);
+  }
+}
+
+/**
+ * Rename or re-parent a node. Returns an error message, or null on success.
+ * Nodes with scoped users can't be moved, since the users' stored
+ * region/circle chain would no longer match. Moving a node re-scopes the
+ * assets, work orders, customers and invoices under it to the new chain.
+ */
+export function updateNode(id, { name, parentId }) {
+  const node = getNode(id);
+  const moving = parentId !== undefined && parentId !== node.parentId;
+
+  if (moving) {
+    const parentError = validateParent(node.type, parentId);
+    if (parentError) return parentError;
+
+    if (countScopedUsers(node) > 0) {
+      return `Reassign the users scoped to this ${node.type} before moving it`;
+    }
+  }
+
+  const db = getDb();
+  db.transaction(() => {
+    db.prepare("UPDATE org_nodes SET name = ?, parent_id = ?, updated_at = datetime('now') WHERE id = ?")
+      .run(name || node.name, moving ? parentId : node.parentId, id);
+    if (moving) cascadeScope(db, node, parentId);
+  })();
+
+  return null;
+}
+
+/**
+ * Delete a leaf node. Returns an error message, or null on success.
+ */
+export function deleteNode(id) {
+  const node = getNode(id);
+
+  const children = getDb().prepare('SELECT COUNT(*) AS count FROM org_nodes WHERE parent_id = ?').get(id).count;
+  if (children > 0) {
+    return `This ${node.type} still has ${children} child node(s)`;
+  }
+
+  if (countScopedUsers(node) > 0) {
+    return `Reassign the users scoped to this ${node.type} before deleting it`;
+  }
+
+  const records = Object.entries(countScopedRecords(node));
+  if (records.length) {
+    const list = records.map(([table, count]) => `${SCOPED_TABLES[table]} (${count})`).join(', ');
+    return `This ${node.type} still has ${list}; move them to another hub before deleting it`;
+  }
+
+  getDb().prepare('DELETE FROM org_nodes WHERE id = ?').run(id);
+  return null;
+}
@@ -0,0 +1,113 @@
+import PDFDocument from 'pdfkit';
+
+// Renders an invoice as an A4 PDF with the particulars a GST tax invoice
+// needs: supplier and recipient GSTIN, a consecutive number, the date,
+// place of supply, SAC per line, taxable value and the tax split.
+// The built-in PDF fonts have no rupee sign, so amounts read "Rs. 1,234.00".
+
+const TITLES = {
+  deposit: 'DEPOSIT RECEIPT',
+  cycle: 'TAX INVOICE',
+  late_fee: 'TAX INVOICE',
+};
+
+const COLUMNS = [
+  { label: 'Description', key: 'description', x: 50, width: 235 },
+  { label: 'SAC', key: 'sac', x: 290, width: 45 },
+  { label: 'Qty', key: 'quantity', x: 340, width: 40, align: 'right' },
+  { label: 'Rate', key: 'unitPrice', x: 385, width: 75, align: 'right' },
+  { label: 'Amount', key: 'amount', x: 465, width: 80, align: 'right' },
+];
+
+function money(amount) {
+  return `Rs. ${amount.toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+}
+
+function cellText(line, key) {
+  if (key === 'unitPrice' || key === 'amount') return money(line[key]);
+  return String(line[key] ?? '');
+}
+
+/**
+ * Render an invoice (from getInvoice()) with its lines and the supplier
+ * (getSupplier()). Resolves to the PDF as a Buffer.
+ */
+export function renderInvoicePdf(invoice, lines, supplier) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', margin: 50, info: { Title: `Invoice ${invoice.number}` } });
+    const chunks = [];
+    doc.on('data', (chunk) => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    // Supplier and invoice particulars
+    doc.font('Helvetica-Bold').fontSize(16).text(supplier.name, 50, 50);
+    doc.font('Helvetica').fontSize(9);
+    if (supplier.address) doc.text(supplier.address, { width: 250 });
+    if (supplier.gstin) doc.text(`GSTIN: ${supplier.gstin}`);
+
+    doc.font('Helvetica-Bold').fontSize(14).text(TITLES[invoice.kind], 300, 50, { width: 245, align: 'right' });
+    doc.font('Helvetica').fontSize(9);
+    for (const [label, value] of [
+      ['Number', invoice.number],
+      ['Date', invoice.issueDate],
+      ['Due', invoice.dueDate],
+      ['Place of supply', `${invoice.placeOfSupplyName || 'State'} (${invoice.placeOfSupply})`],
+    ]) {
+      doc.text(`${label}: ${value}`, 300, doc.y, { width: 245, align: 'right' });
+    }
+
+    // Recipient
+    doc.font('Helvetica-Bold').fontSize(10).text('Bill to', 50, 150);
+    doc.font('Helvetica').fontSize(9).text(`${invoice.billToName} (${invoice.customerId})`);
+    if (invoice.billToGstin) doc.text(`GSTIN: ${invoice.billToGstin}`);
+    if (invoice.periodStart) doc.text(`Billing period: ${invoice.periodStart} to ${invoice.periodEnd}`);
+
+    // Lines
+    let y = 215;
+    doc.font('Helvetica-Bold');
+    for (const column of COLUMNS) doc.text(column.label, column.x, y, { width: column.width, align: column.align });
+    doc.moveTo(50, y + 13).lineTo(545, y + 13).stroke();
+    y += 20;
+
+    doc.font('Helvetica');
+    for (const line of lines) {
+      const height = doc.heightOfString(line.description, { width: COLUMNS[0].width });
+      for (const column of COLUMNS) {
+        doc.text(cellText(line, column.key), column.x, y, { width: column.width, align: column.align });
+      }
+      y += height + 6;
+    }
+    doc.moveTo(50, y).lineTo(545, y).stroke();
+    y += 8;
+
+    // Totals
+    const totals = [];
+    if (invoice.taxableAmount) totals.push(['Taxable value', invoice.taxableAmount]);
+    if (invoice.exemptAmount) totals.push(['Not subject to GST', invoice.exemptAmount]);
+    if (invoice.cgst) totals.push(['CGST @ 9%', invoice.cgst], ['SGST @ 9%', invoice.sgst]);
+    if (invoice.igst) totals.push(['IGST @ 18%', invoice.igst]);
+    totals.push(['Total', invoice.total]);
+    if (invoice.paid) totals.push(['Paid', invoice.paid], ['Balance due', Math.max(invoice.balance, 0)]);
+
+    for (const [label, amount] of totals) {
+      doc.font(label === 'Total' ? 'Helvetica-Bold' : 'Helvetica');
+      doc.text(label, 340, y, { width: 120, align: 'right' });
+      doc.text(money(amount), 465, y, { width: 80, align: 'right' });
+      y += 14;
+    }
+
+    doc.font('Helvetica').fontSize(8).fillColor('#555555');
+    doc.text(
+      invoice.kind === 'deposit'
+        ? 'Refundable security deposit. Not a supply of service, so no GST is charged.'
+        : 'Whether tax is payable under reverse charge: No.',
+      50,
+      y + 20,
+      { width: 495 }
+    );
+    doc.text('This is a computer-generated document and needs no signature.', { width: 495 });
+
+    doc.end();
+  });
+}
@@ -0,0 +1,46 @@
+import { getDb } from './db.js';
+import { scopeWhere } from './access.js';
+
+// Live event feed behind the Server-Sent Events stream (/api/events).
+// Writers append events here, inside the same transaction as the change
+// they describe, and every open stream polls for new rows in its user's
+// scope. Going through SQLite rather than an in-process emitter means
+// changes made by other processes (the MQTT bridge, a second server
+// instance) reach every browser too.
+
+// Streams resume from the browser's Last-Event-ID, so events only need
+// to outlive a reconnect
+const RETENTION = '-1 day';
+
+/**
+ * Publish an event to users whose scope covers `scope`
+ * (any record carrying hub/region/circle/area)
+ */
+export function publishEvent(type, scope, data) {
+  getDb()
+    .prepare('INSERT INTO live_events (type, payload, hub, region, circle, area) VALUES (?, ?, ?, ?, ?, ?)')
+    .run(type, JSON.stringify(data), scope.hub, scope.region, scope.circle, scope.area);
+}
+
+/**
+ * Id of the newest event, where a fresh stream starts from
+ */
+export function latestEventId() {
+  return getDb().prepare('SELECT COALESCE(MAX(id), 0) AS id FROM live_events').get().id;
+}
+
+/**
+ * Events after `afterId` in the user's scope, oldest first
+ */
+export function listEventsSince(user, afterId, { limit = 200 } = {}) {
+  const scope = scopeWhere(user);
+  const rows = getDb()
+    .prepare(`SELECT * FROM live_events WHERE id > ? AND ${scope.sql} ORDER BY id LIMIT ?`)
+    .all(afterId, ...scope.params, limit);
+
+  return rows.map((row) => ({ id: row.id, type: row.type, data: JSON.parse(row.payload), createdAt: row.created_at }));
+}
+
+export function pruneEvents() {
+  getDb().prepare(`DELETE FROM live_events WHERE created_at < datetime('now', '${RETENTION}')`).run();
+}
@@ -0,0 +1,114 @@
+import { getDb, toSqlTimestamp } from './db.js';
+
+// Brute-force protection for the credentials sign-in. Failed attempts are
+// counted per account - by the email typed, whether or not such an account
+// exists, so a lockout doesn't reveal which accounts are real - and per
+// client IP. After a few free attempts each failure doubles the wait before
+// the next try, and too many failures lock the account or IP out for
+// LOCKOUT_MINUTES. Failures are forgotten once that long passes without
+// one. A successful sign-in clears the account's count, as does a super
+// admin unlocking it.
+
+export const LOCKOUT_MINUTES = Number(process.env.LOGIN_LOCKOUT_MINUTES || 15);
+
+const LIMITS = {
+  account: { freeAttempts: 2, maxFailures: 5 },
+  ip: { freeAttempts: 10, maxFailures: 30 },
+};
+
+const MAX_DELAY_SECONDS = 30;
+const WINDOW_MS = LOCKOUT_MINUTES * 60 * 1000;
+
+function accountKey(email) {
+  return `account:${String(email).trim().toLowerCase()}`;
+}
+
+function ipKey(ip) {
+  return `ip:${ip}`;
+}
+
+function parseTime(value) {
+  return value ? new Date(`${value.replace(' ', 'T')}Z`) : null;
+}
+
+function secondsUntil(value, now) {
+  const time = parseTime(value);
+  return time && time > now ? Math.ceil((time - now) / 1000) : 0;
+}
+
+// The counter for a key, or null once its last failure has aged out
+function getCounter(db, key, now) {
+  const row = db.prepare('SELECT * FROM login_throttle WHERE key = ?').get(key);
+  return row && now - parseTime(row.last_failure_at) < WINDOW_MS ? row : null;
+}
+
+function addFailure(db, key, { freeAttempts, maxFailures }, now) {
+  const failures = (getCounter(db, key, now)?.failures || 0) + 1;
+  const delay = Math.min(2 ** (failures - freeAttempts), MAX_DELAY_SECONDS);
+
+  db.prepare(
+    `INSERT INTO login_throttle (key, failures, last_failure_at, retry_at, locked_until)
+     VALUES (?, ?, ?, ?, ?)
+     ON CONFLICT(key) DO UPDATE SET failures = excluded.failures, last_failure_at = excluded.last_failure_at,
+       retry_at = excluded.retry_at, locked_until = excluded.locked_until`
+  ).run(
+    key,
+    failures,
+    toSqlTimestamp(now),
+    failures > freeAttempts ? toSqlTimestamp(now.getTime() + delay * 1000) : null,
+    failures >= maxFailures ? toSqlTimestamp(now.getTime() + WINDOW_MS) : null
+  );
+  return failures;
+}
+
+/**
+ * Whether a sign-in attempt may go ahead: null, or
+ * { reason: 'account_locked' | 'ip_locked' | 'throttled', retryAfter }
+ * with retryAfter in seconds.
+ */
+export function checkLoginAllowed(email, ip, now = new Date()) {
+  const db = getDb();
+  const account = getCounter(db, accountKey(email), now);
+  const client = ip ? getCounter(db, ipKey(ip), now) : null;
+
+  for (const [reason, counter] of [['account_locked', account], ['ip_locked', client]]) {
+    const retryAfter = secondsUntil(counter?.locked_until, now);
+    if (retryAfter) return { reason, retryAfter };
+  }
+
+  const retryAfter = Math.max(secondsUntil(account?.retry_at, now), secondsUntil(client?.retry_at, now));
+  return retryAfter ? { reason: 'throttled', retryAfter } : null;
+}
+
+/**
+ * Count a failed attempt against the account and the IP. Returns how many
+ * more failures the account may take before it is locked (0 once locked).
+ */
+export function recordLoginFailure(email, ip, now = new Date()) {
+  const db = getDb();
+
+  return db.transaction(() => {
+    db.prepare('DELETE FROM login_throttle WHERE last_failure_at < ?').run(toSqlTimestamp(now.getTime() - WINDOW_MS));
+
+    const failures = addFailure(db, accountKey(email), LIMITS.account, now);
+    if (ip) addFailure(db, ipKey(ip), LIMITS.ip, now);
+    return Math.max(0, LIMITS.account.maxFailures - failures);
+  })();
+}
+
+/**
+ * Clear an account's failures, lifting any lockout. The IP's count is
+ * left alone, so signing in to one account can't reset the count of
+ * guesses made against others.
+ */
+export function clearLoginFailures(email) {
+  getDb().prepare('DELETE FROM login_throttle WHERE key = ?').run(accountKey(email));
+}
+
+/**
+ * When the account's lockout ends, or null if it isn't locked
+ */
+export function getAccountLock(email, now = new Date()) {
+  const counter = getCounter(getDb(), accountKey(email), now);
+  return secondsUntil(counter?.locked_until, now) ? counter.locked_until : null;
+}
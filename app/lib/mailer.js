@@ -0,0 +1,52 @@
+import nodemailer from 'nodemailer';
+
+// Outgoing email. Everything that sends mail goes through one interface:
+//
+//   send({ to, subject, text, attachments? }) → { messageId }
+//     to: array of addresses; attachments: [{ filename, content, contentType }]
+//
+// The SMTP adapter talks to SMTP_HOST:SMTP_PORT, by default the local test
+// server (npm run smtp:server) on port 2525. The log adapter only writes
+// to the server log, for setups without any mail server.
+
+const FROM = process.env.MAIL_FROM || 'Draive <no-reply@draive.local>';
+
+function smtpMailer() {
+  const transport = nodemailer.createTransport({
+    host: process.env.SMTP_HOST || 'localhost',
+    port: Number(process.env.SMTP_PORT) || 2525,
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD } : undefined,
+  });
+
+  return {
+    label: 'SMTP',
+    async send({ to, subject, text, attachments = [] }) {
+      const info = await transport.sendMail({ from: FROM, to, subject, text, attachments });
+      return { messageId: info.messageId };
+    },
+  };
+}
+
+const logMailer = {
+  label: 'Server log',
+  async send({ to, subject, attachments = [] }) {
+    const files = attachments.map((attachment) => attachment.filename).join(', ');
+    console.info(`[mail] to ${to.join(', ')}: ${subject}${files ? ` (${files})` : ''}`);
+    return { messageId: null };
+  },
+};
+
+const ADAPTERS = { smtp: smtpMailer, log: () => logMailer };
+
+/**
+ * The configured mailer (MAIL_TRANSPORT, default `smtp`). Cached on
+ * globalThis so SMTP connections are reused across dev-mode reloads.
+ */
+export function getMailer() {
+  const name = process.env.MAIL_TRANSPORT || 'smtp';
+  if (!ADAPTERS[name]) throw new Error(`Unknown MAIL_TRANSPORT: ${name}`);
+
+  globalThis.__draiveMailer ??= ADAPTERS[name]();
+  return globalThis.__draiveMailer;
+}
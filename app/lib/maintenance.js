@@ -0,0 +1,368 @@
+import { getDb, LOCAL_TIME_OFFSET } from './db.js';
+import { scopeWhere } from './access.js';
+import { ASSET_TYPES, PRIORITIES, createWorkOrder } from './workOrders.js';
+import { recordAudit } from './audit.js';
+
+// Preventive maintenance: plans per asset class that fall due on a
+// calendar interval or a usage reading (odometer, battery cycles,
+// station energy throughput). The scheduler raises a work order for
+// each asset as a plan comes due; maintenance_schedule remembers the
+// last occurrence raised per plan and asset, and the next one is
+// counted from it.
+
+// Triggers, the asset classes they apply to and the unit they count in
+export const TRIGGERS = {
+  interval: { label: 'Calendar interval', unit: 'days', assetTypes: ASSET_TYPES },
+  odometer: { label: 'Odometer', unit: 'km', assetTypes: ['vehicle'] },
+  cycles: { label: 'Cycle count', unit: 'cycles', assetTypes: ['battery'] },
+  throughput: { label: 'Energy throughput', unit: 'kWh', assetTypes: ['station'] },
+};
+
+// Usage-triggered orders have no natural due date; they get this long
+const USAGE_DUE_DAYS = 7;
+const MAX_CHECKLIST_ITEMS = 50;
+
+// Who the scheduler's work orders and activity are attributed to
+export const SCHEDULER_ACTOR = { id: null, name: 'Maintenance scheduler' };
+
+// Minutes between scheduler passes in the server process; 0 turns it off
+const SCHEDULER_INTERVAL_MINUTES = Number(process.env.MAINTENANCE_SCHEDULER_INTERVAL_MINUTES ?? 60);
+
+// In-service assets of each class with the usage reading plans count against
+const ASSET_QUERIES = {
+  vehicle: `SELECT asset_id AS ref, hub, region, circle, area, created_at, odometer_km AS reading
+            FROM vehicles WHERE retired_at IS NULL`,
+  battery: `SELECT serial AS ref, hub, region, circle, area, created_at, cycle_count AS reading
+            FROM batteries WHERE lifecycle_state != 'retired'`,
+  station: `SELECT code AS ref, hub, region, circle, area, created_at, energy_delivered_kwh AS reading
+            FROM stations WHERE retired_at IS NULL`,
+  tcu: `SELECT device_id AS ref, hub, region, circle, area, created_at, NULL AS reading
+        FROM tcu_devices WHERE decommissioned_at IS NULL`,
+};
+
+function toPlan(row) {
+  if (!row) return null;
+
+  return {
+    id: String(row.id),
+    name: row.name,
+    assetType: row.asset_type,
+    trigger: row.trigger_type,
+    every: row.every_value,
+    lead: row.lead_value,
+    unit: TRIGGERS[row.trigger_type].unit,
+    priority: row.priority,
+    checklist: JSON.parse(row.checklist),
+    active: row.active === 1,
+    createdBy: row.created_by,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+function localToday() {
+  return getDb().prepare("SELECT date('now', ?) AS today").get(LOCAL_TIME_OFFSET).today;
+}
+
+function addDays(date, days) {
+  const next = new Date(`${date}T00:00:00Z`);
+  next.setUTCDate(next.getUTCDate() + days);
+  return next.toISOString().slice(0, 10);
+}
+
+function daysBetween(from, to) {
+  return Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / 86400000);
+}
+
+export function listPlans({ includeInactive = true } = {}) {
+  return getDb()
+    .prepare(`SELECT * FROM maintenance_plans ${includeInactive ? '' : 'WHERE active = 1'} ORDER BY asset_type, name`)
+    .all()
+    .map(toPlan);
+}
+
+export function getPlan(id) {
+  return toPlan(getDb().prepare('SELECT * FROM maintenance_plans WHERE id = ?').get(id));
+}
+
+/**
+ * Validate plan fields. The asset class and trigger are fixed once a
+ * plan exists (its schedule is counted in the trigger's unit).
+ * Returns an error message, or null when valid.
+ */
+export function validatePlan(input, existing = null) {
+  if (!existing) {
+    if (!ASSET_TYPES.includes(input.assetType)) {
+      return `Asset type must be one of: ${ASSET_TYPES.join(', ')}`;
+    }
+    if (!TRIGGERS[input.trigger]?.assetTypes.includes(input.assetType)) {
+      const allowed = Object.keys(TRIGGERS).filter((trigger) => TRIGGERS[trigger].assetTypes.includes(input.assetType));
+      return `A ${input.assetType} plan can be triggered by: ${allowed.join(', ')}`;
+    }
+  }
+
+  const trigger = existing?.trigger ?? input.trigger;
+  const every = input.every ?? existing?.every;
+  const lead = input.lead ?? existing?.lead ?? 0;
+
+  if ((!existing || 'name' in input) && (!input.name || input.name.length > 120)) {
+    return 'Name is required (at most 120 characters)';
+  }
+  if (!(every > 0) || (trigger === 'interval' && !Number.isInteger(every))) {
+    return `Interval must be a positive ${trigger === 'interval' ? 'whole number of days' : `number of ${TRIGGERS[trigger].unit}`}`;
+  }
+  if (!(lead >= 0 && lead < every)) {
+    return 'Lead must be at least 0 and less than the interval';
+  }
+  if ((!existing || 'priority' in input) && !PRIORITIES.includes(input.priority)) {
+    return `Priority must be one of: ${PRIORITIES.join(', ')}`;
+  }
+  if ('checklist' in input) {
+    if (!Array.isArray(input.checklist) || input.checklist.length > MAX_CHECKLIST_ITEMS) {
+      return `Checklist must be a list of at most ${MAX_CHECKLIST_ITEMS} items`;
+    }
+    if (input.checklist.some((label) => !label || label.length > 200)) {
+      return 'Checklist items must be 1-200 characters';
+    }
+  }
+
+  return null;
+}
+
+export function createPlan({ name, assetType, trigger, every, lead = 0, priority, checklist = [] }, actor) {
+  const result = getDb()
+    .prepare(
+      `INSERT INTO maintenance_plans (name, asset_type, trigger_type, every_value, lead_value, priority, checklist, created_by)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`
+    )
+    .run(name, assetType, trigger, every, lead, priority, JSON.stringify(checklist), actor?.name ?? null);
+  return getPlan(result.lastInsertRowid);
+}
+
+/**
+ * Update a plan's details, or pause/resume it with `active`.
+ * Work orders already raised are left as they are.
+ */
+export function updatePlan(id, fields) {
+  const columns = { name: 'name', every: 'every_value', lead: 'lead_value', priority: 'priority' };
+  const sets = [];
+  const params = [];
+
+  for (const [field, column] of Object.entries(columns)) {
+    if (field in fields) {
+      sets.push(`${column} = ?`);
+      params.push(fields[field]);
+    }
+  }
+  if ('checklist' in fields) {
+    sets.push('checklist = ?');
+    params.push(JSON.stringify(fields.checklist));
+  }
+  if ('active' in fields) {
+    sets.push('active = ?');
+    params.push(fields.active ? 1 : 0);
+  }
+
+  if (sets.length) {
+    getDb()
+      .prepare(`UPDATE maintenance_plans SET ${sets.join(', ')}, updated_at = datetime('now') WHERE id = ?`)
+      .run(...params, id);
+  }
+  return getPlan(id);
+}
+
+/**
+ * The assets a plan covers (in the user's scope when given), each with
+ * its last raised occurrence and the open work order for it, if any
+ */
+function planAssets(plan, user) {
+  const scope = user ? scopeWhere(user, 'a') : { sql: '1', params: [] };
+
+  return getDb()
+    .prepare(
+      `SELECT a.*, ms.last_due_date, ms.last_due_reading,
+         CASE WHEN wo.status IN ('pending', 'in-progress') THEN wo.code END AS open_work_order
+       FROM (${ASSET_QUERIES[plan.assetType]}) a
+       LEFT JOIN maintenance_schedule ms ON ms.plan_id = ? AND ms.asset_ref = a.ref
+       LEFT JOIN work_orders wo ON wo.id = ms.work_order_id
+       WHERE ${scope.sql}
+       ORDER BY a.ref`
+    )
+    .all(plan.id, ...scope.params);
+}
+
+/**
+ * When a plan next falls due for an asset: `{ dueDate }` for interval
+ * plans, `{ dueReading }` for usage plans, plus `raiseNow` once the asset
+ * is within the plan's lead. Occurrences more than one interval in the
+ * past are skipped rather than raised one after another.
+ */
+function nextDue(plan, asset, today = localToday()) {
+  if (plan.trigger === 'interval') {
+    // Unserviced assets are first due one interval after they (or the plan) appeared
+    const start = [asset.created_at.slice(0, 10), plan.createdAt.slice(0, 10)].sort()[1];
+    let dueDate = addDays(asset.last_due_date || start, plan.every);
+    while (addDays(dueDate, plan.every) <= today) dueDate = addDays(dueDate, plan.every);
+
+    return { dueDate, raiseNow: daysBetween(today, dueDate) <= plan.lead };
+  }
+
+  // Unserviced assets are first due at the next multiple of the interval
+  const reading = asset.reading;
+  let dueReading =
+    asset.last_due_reading === null ? (Math.floor(reading / plan.every) + 1) * plan.every : asset.last_due_reading + plan.every;
+  while (dueReading + plan.every <= reading) dueReading += plan.every;
+
+  return { dueReading, raiseNow: reading >= dueReading - plan.lead };
+}
+
+function describeDue(plan, due) {
+  if (due.dueDate) return `every ${plan.every} days, due ${due.dueDate}`;
+  return `every ${plan.every.toLocaleString()} ${plan.unit}, due at ${due.dueReading.toLocaleString()} ${plan.unit}`;
+}
+
+/**
+ * One scheduler pass: raise a work order for every asset whose plan has
+ * come due and has no order still open for it. Returns the new orders' codes.
+ * The orders are attributed to `actor`: the scheduler itself, or the
+ * admin who ran a pass by hand (with their request's headers).
+ */
+export function runMaintenanceScheduler(actor = SCHEDULER_ACTOR, requestHeaders = null) {
+  const db = getDb();
+  const today = localToday();
+  const created = [];
+
+  for (const plan of listPlans({ includeInactive: false })) {
+    for (const asset of planAssets(plan)) {
+      if (asset.open_work_order) continue;
+
+      const due = nextDue(plan, asset, today);
+      if (!due.raiseNow) continue;
+
+      db.transaction(() => {
+        const workOrder = createWorkOrder(
+          {
+            assetType: plan.assetType,
+            assetRef: asset.ref,
+            title: plan.name,
+            description: `Preventive maintenance (${describeDue(plan, due)})`,
+            priority: plan.priority,
+            dueDate: due.dueDate || addDays(today, USAGE_DUE_DAYS),
+            checklist: plan.checklist,
+            planId: plan.id,
+          },
+          actor
+        );
+        recordAudit(requestHeaders, actor, { action: 'create', entityType: 'work_order', entityId: workOrder.id, after: workOrder });
+        db.prepare(
+          `INSERT INTO maintenance_schedule (plan_id, asset_ref, last_due_date, last_due_reading, work_order_id)
+           VALUES (?, ?, ?, ?, (SELECT id FROM work_orders WHERE code = ?))
+           ON CONFLICT (plan_id, asset_ref) DO UPDATE SET
+             last_due_date = excluded.last_due_date, last_due_reading = excluded.last_due_reading,
+             work_order_id = excluded.work_order_id, updated_at = datetime('now')`
+        ).run(plan.id, asset.ref, due.dueDate ?? null, due.dueReading ?? null, workOrder.id);
+        created.push(workOrder.id);
+      })();
+    }
+  }
+
+  return created;
+}
+
+/**
+ * Run a scheduler pass now and then every SCHEDULER_INTERVAL_MINUTES in
+ * this process (started from instrumentation.js). Cached on globalThis so
+ * dev-mode reloads don't start a second timer.
+ */
+export function startMaintenanceScheduler(logger = console) {
+  if (!(SCHEDULER_INTERVAL_MINUTES > 0) || globalThis.__draiveMaintenanceTimer) return;
+
+  const runPass = () => {
+    try {
+      const created = runMaintenanceScheduler();
+      if (created.length) logger.info(`[maintenance] raised ${created.join(', ')}`);
+    } catch (err) {
+      logger.error('[maintenance] scheduler pass failed:', err);
+    }
+  };
+
+  globalThis.__draiveMaintenanceTimer = setInterval(runPass, SCHEDULER_INTERVAL_MINUTES * 60 * 1000);
+  globalThis.__draiveMaintenanceTimer.unref();
+  runPass();
+}
+
+/**
+ * Upcoming maintenance in the user's scope between two YYYY-MM-DD dates:
+ * - `scheduled`: open work orders due in the range, plus forecast
+ *   occurrences of interval plans not raised yet
+ * - `usage`: usage-triggered plans per asset with the current and due
+ *   reading, closest to due first
+ */
+export function getMaintenanceCalendar(user, { from, to }) {
+  const db = getDb();
+  const today = localToday();
+  const scope = scopeWhere(user, 'wo');
+
+  const scheduled = db
+    .prepare(
+      `SELECT wo.code, wo.title, wo.asset_type, wo.asset_ref, wo.status, wo.priority, wo.due_date, wo.plan_id, wo.hub
+       FROM work_orders wo
+       WHERE ${scope.sql} AND wo.status IN ('pending', 'in-progress') AND wo.due_date BETWEEN ? AND ?
+       ORDER BY wo.due_date, wo.code`
+    )
+    .all(...scope.params, from, to)
+    .map((row) => ({
+      date: row.due_date,
+      kind: 'work-order',
+      workOrderId: row.code,
+      title: row.title,
+      assetType: row.asset_type,
+      assetRef: row.asset_ref,
+      status: row.status,
+      priority: row.priority,
+      planId: row.plan_id === null ? null : String(row.plan_id),
+      hub: row.hub,
+      overdue: row.due_date < today,
+    }));
+  const usage = [];
+
+  for (const plan of listPlans({ includeInactive: false })) {
+    for (const asset of planAssets(plan, user)) {
+      const due = nextDue(plan, asset, today);
+
+      if (plan.trigger !== 'interval') {
+        usage.push({
+          planId: plan.id,
+          planName: plan.name,
+          assetType: plan.assetType,
+          assetRef: asset.ref,
+          hub: asset.hub,
+          unit: plan.unit,
+          reading: asset.reading,
+          dueReading: asset.open_work_order ? asset.last_due_reading : due.dueReading,
+          workOrderId: asset.open_work_order,
+        });
+        continue;
+      }
+
+      // The open order covers the occurrence it was raised for; forecast the ones after it
+      for (let date = due.dueDate; date <= to; date = addDays(date, plan.every)) {
+        if (date < from) continue;
+        scheduled.push({
+          date,
+          kind: 'forecast',
+          title: plan.name,
+          assetType: plan.assetType,
+          assetRef: asset.ref,
+          priority: plan.priority,
+          planId: plan.id,
+          hub: asset.hub,
+        });
+      }
+    }
+  }
+
+  scheduled.sort((a, b) => a.date.localeCompare(b.date) || a.assetRef.localeCompare(b.assetRef));
+  usage.sort((a, b) => (a.dueReading - a.reading) / a.dueReading - (b.dueReading - b.reading) / b.dueReading);
+  return { from, to, today, scheduled, usage };
+}
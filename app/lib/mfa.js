@@ -0,0 +1,149 @@
+import crypto from 'node:crypto';
+import QRCode from 'qrcode';
+import { getDb } from './db.js';
+import { generateTotpSecret, totpUri, verifyTotp } from './totp.js';
+
+// Two-factor authentication with an authenticator app (TOTP), plus
+// single-use recovery codes for when the phone is lost. Enrolling is two
+// steps: a pending secret is shown as a QR code, and only becomes the
+// user's secret once they enter a code from it. Roles listed in
+// MFA_REQUIRED_ROLES (comma separated, e.g. "regional_head,circle_head")
+// must enroll; for everyone else it's optional.
+
+const ISSUER = 'Draive';
+const RECOVERY_CODE_COUNT = 10;
+
+const REQUIRED_ROLES = (process.env.MFA_REQUIRED_ROLES || '')
+  .split(',')
+  .map((role) => role.trim())
+  .filter(Boolean);
+
+function hashRecoveryCode(code) {
+  return crypto.createHash('sha256').update(code.replace(/[\s-]/g, '').toLowerCase()).digest('hex');
+}
+
+// Ten random hex digits, shown as xxxxx-xxxxx
+function newRecoveryCode() {
+  const hex = crypto.randomBytes(5).toString('hex');
+  return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+}
+
+function replaceRecoveryCodes(db, userId) {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, newRecoveryCode);
+  db.prepare('DELETE FROM mfa_recovery_codes WHERE user_id = ?').run(userId);
+
+  const insert = db.prepare('INSERT INTO mfa_recovery_codes (user_id, code_hash) VALUES (?, ?)');
+  for (const code of codes) insert.run(userId, hashRecoveryCode(code));
+  return codes;
+}
+
+/**
+ * Whether users with this role must use two-factor authentication
+ */
+export function isMfaRequired(role) {
+  return REQUIRED_ROLES.includes(role);
+}
+
+/**
+ * The user's two-factor status: { enabled, enabledAt, required, recoveryCodesLeft }
+ */
+export function getMfaStatus(user) {
+  const db = getDb();
+  const row = db.prepare('SELECT mfa_enabled_at FROM users WHERE id = ?').get(user.id);
+  const { count } = db
+    .prepare('SELECT COUNT(*) AS count FROM mfa_recovery_codes WHERE user_id = ? AND used_at IS NULL')
+    .get(user.id);
+
+  return {
+    enabled: Boolean(row?.mfa_enabled_at),
+    enabledAt: row?.mfa_enabled_at ?? null,
+    required: isMfaRequired(user.role),
+    recoveryCodesLeft: count,
+  };
+}
+
+/**
+ * Start enrolling: store a new pending secret and return it with its
+ * otpauth:// URI and a QR code (as a data URL) for the authenticator app
+ */
+export async function startMfaEnrollment(user) {
+  const secret = generateTotpSecret();
+  getDb().prepare('UPDATE users SET mfa_pending_secret = ? WHERE id = ?').run(secret, user.id);
+
+  const uri = totpUri(secret, { issuer: ISSUER, account: user.email });
+  const qrCode = await QRCode.toDataURL(uri, { margin: 1, width: 200 });
+  return { secret, uri, qrCode };
+}
+
+/**
+ * Finish enrolling with a code from the pending secret. Returns the new
+ * recovery codes (shown once; only their hashes are kept), or null when
+ * the code is wrong or no enrollment was started.
+ */
+export function confirmMfaEnrollment(userId, code) {
+  const db = getDb();
+
+  return db.transaction(() => {
+    const row = db.prepare('SELECT mfa_pending_secret FROM users WHERE id = ?').get(userId);
+    const step = row?.mfa_pending_secret ? verifyTotp(row.mfa_pending_secret, code) : null;
+    if (step === null) return null;
+
+    db.prepare(
+      `UPDATE users SET mfa_secret = mfa_pending_secret, mfa_pending_secret = NULL, mfa_last_step = ?,
+         mfa_enabled_at = datetime('now'), updated_at = datetime('now') WHERE id = ?`
+    ).run(step, userId);
+    return replaceRecoveryCodes(db, userId);
+  })();
+}
+
+/**
+ * Check a second-factor code at sign-in: a TOTP code (each usable once) or
+ * an unused recovery code, which is then spent. Returns 'totp',
+ * 'recovery' or null.
+ */
+export function verifyMfaCode(userId, code) {
+  const db = getDb();
+  const input = String(code || '').trim();
+
+  return db.transaction(() => {
+    const row = db.prepare('SELECT mfa_secret, mfa_last_step FROM users WHERE id = ?').get(userId);
+    if (!row?.mfa_secret || !input) return null;
+
+    const step = verifyTotp(row.mfa_secret, input, { after: row.mfa_last_step ?? -1 });
+    if (step !== null) {
+      db.prepare('UPDATE users SET mfa_last_step = ? WHERE id = ?').run(step, userId);
+      return 'totp';
+    }
+
+    const spent = db
+      .prepare(
+        `UPDATE mfa_recovery_codes SET used_at = datetime('now')
+         WHERE user_id = ? AND code_hash = ? AND used_at IS NULL`
+      )
+      .run(userId, hashRecoveryCode(input));
+    return spent.changes ? 'recovery' : null;
+  })();
+}
+
+/**
+ * Replace the user's recovery codes, returning the new ones
+ */
+export function regenerateRecoveryCodes(userId) {
+  const db = getDb();
+  return db.transaction(() => replaceRecoveryCodes(db, userId))();
+}
+
+/**
+ * Turn two-factor authentication off, dropping the secret and recovery codes
+ */
+export function disableMfa(userId) {
+  const db = getDb();
+
+  db.transaction(() => {
+    db.prepare(
+      `UPDATE users SET mfa_secret = NULL, mfa_pending_secret = NULL, mfa_last_step = NULL,
+         mfa_enabled_at = NULL, updated_at = datetime('now') WHERE id = ?`
+    ).run(userId);
+    db.prepare('DELETE FROM mfa_recovery_codes WHERE user_id = ?').run(userId);
+  })();
+}
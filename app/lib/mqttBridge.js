@@ -0,0 +1,178 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import mqtt from 'mqtt';
+import { MAX_TELEMETRY_BATCH, getDeviceSigningKey, ingestTelemetry } from './telemetry.js';
+import { PayloadDecodeError, decodeTelemetryPayload, verifyTelemetryPayload } from './telemetryCodec.js';
+
+// MQTT → telemetry store bridge. Subscribes to the configured topic
+// patterns, takes the device id from the pattern's first `+` level,
+// checks the payload is signed with that device's key, decodes it and
+// ingests it like the HTTP endpoint does. Payloads that aren't signed by
+// a registered device or can't be decoded go to a JSON-lines dead-letter
+// log instead.
+
+export const DEFAULT_TOPICS = ['voltup/tcu/+/telemetry'];
+const DEFAULT_DEAD_LETTER_PATH = path.join(process.cwd(), 'data', 'mqtt-dead-letter.jsonl');
+
+/**
+ * Match a topic against a subscription pattern (`+` and `#` wildcards).
+ * Returns the levels matched by `+`, in order, or null if it doesn't match.
+ */
+export function matchTopic(pattern, topic) {
+  const patternLevels = pattern.split('/');
+  const topicLevels = topic.split('/');
+  const captured = [];
+
+  for (let i = 0; i < patternLevels.length; i++) {
+    if (patternLevels[i] === '#') return captured;
+    if (i >= topicLevels.length) return null;
+    if (patternLevels[i] === '+') captured.push(topicLevels[i]);
+    else if (patternLevels[i] !== topicLevels[i]) return null;
+  }
+  return patternLevels.length === topicLevels.length ? captured : null;
+}
+
+/**
+ * Delay before reconnect attempt `attempt` (0-based): exponential from
+ * `min` up to `max`, with ±20% jitter so a fleet of bridges doesn't
+ * reconnect in lockstep after a broker restart.
+ */
+export function backoffDelay(attempt, { min = 1000, max = 60000 } = {}) {
+  const delay = Math.min(max, min * 2 ** attempt);
+  return Math.round(delay * (0.8 + Math.random() * 0.4));
+}
+
+/**
+ * Append a rejected message to the dead-letter log, payload base64-encoded
+ */
+export function writeDeadLetter(file, { topic, payload, error }) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.appendFileSync(
+    file,
+    JSON.stringify({ at: new Date().toISOString(), topic, error, payload: payload.toString('base64') }) + '\n'
+  );
+}
+
+/**
+ * Handle one MQTT message. Returns the ingest result, or
+ * `{ deadLetter: reason }` when the message was dead-lettered.
+ */
+export function handleTelemetryMessage(topic, payload, { topics = DEFAULT_TOPICS, deadLetterPath = DEFAULT_DEAD_LETTER_PATH } = {}) {
+  const deadLetter = (error) => {
+    writeDeadLetter(deadLetterPath, { topic, payload, error });
+    return { deadLetter: error };
+  };
+
+  const deviceId = topics.map((pattern) => matchTopic(pattern, topic)?.[0]).find(Boolean);
+  if (!deviceId) return deadLetter('Topic does not identify a device');
+
+  // Anyone who can publish to the broker can pick a topic, so the device
+  // has to prove who it is with its key
+  const signingKey = getDeviceSigningKey(deviceId);
+  if (!signingKey) return deadLetter(`Unknown or decommissioned device: ${deviceId}`);
+  const body = verifyTelemetryPayload(payload, signingKey);
+  if (!body) return deadLetter(`Payload is not signed with the key of ${deviceId}`);
+
+  let decoded;
+  try {
+    decoded = decodeTelemetryPayload(body);
+  } catch (err) {
+    if (err instanceof PayloadDecodeError) return deadLetter(err.message);
+    throw err;
+  }
+
+  if (decoded.records.length === 0) return deadLetter('Payload has no records');
+  if (decoded.records.length > MAX_TELEMETRY_BATCH) {
+    return deadLetter(`At most ${MAX_TELEMETRY_BATCH} records per message`);
+  }
+  if (decoded.firmwareVersion !== undefined && !(typeof decoded.firmwareVersion === 'string' && decoded.firmwareVersion.length <= 32)) {
+    return deadLetter('firmwareVersion must be a string of at most 32 characters');
+  }
+
+  const result = ingestTelemetry(deviceId, decoded.records, { firmwareVersion: decoded.firmwareVersion });
+  if (!result) return deadLetter(`Unknown or decommissioned device: ${deviceId}`);
+
+  if (result.rejected.length) {
+    writeDeadLetter(deadLetterPath, {
+      topic,
+      payload,
+      error: result.rejected.map(({ index, error }) => `record ${index}: ${error}`).join('; '),
+    });
+  }
+  return result;
+}
+
+/**
+ * Connect to the broker and bridge messages until stop() is called.
+ * Reconnects with exponential backoff rather than mqtt.js's fixed period.
+ * Options: { url, topics, username, password, clientId, deadLetterPath,
+ * backoff: { min, max }, logger }
+ */
+export function startMqttBridge({
+  url = 'mqtt://localhost:1883',
+  topics = DEFAULT_TOPICS,
+  username,
+  password,
+  clientId = `voltup-bridge-${process.pid}`,
+  deadLetterPath = DEFAULT_DEAD_LETTER_PATH,
+  backoff,
+  logger = console,
+} = {}) {
+  const client = mqtt.connect(url, {
+    clientId,
+    username,
+    password,
+    // Persistent session so QoS 1 messages queued while we were away are delivered
+    clean: false,
+    reconnectPeriod: 0,
+  });
+  let attempt = 0;
+  let reconnectTimer = null;
+  let stopped = false;
+
+  client.on('connect', () => {
+    attempt = 0;
+    logger.info(`[mqtt-bridge] connected to ${url}`);
+    client.subscribe(topics, { qos: 1 }, (err) => {
+      if (err) logger.error(`[mqtt-bridge] subscribe failed: ${err.message}`);
+      else logger.info(`[mqtt-bridge] subscribed to ${topics.join(', ')}`);
+    });
+  });
+
+  client.on('message', (topic, payload) => {
+    try {
+      const result = handleTelemetryMessage(topic, payload, { topics, deadLetterPath });
+      if (result.deadLetter) {
+        logger.warn(`[mqtt-bridge] dead-lettered ${topic}: ${result.deadLetter}`);
+      } else {
+        logger.info(
+          `[mqtt-bridge] ${topic}: ${result.accepted} accepted, ${result.duplicates} duplicate, ${result.rejected.length} rejected`
+        );
+      }
+    } catch (err) {
+      logger.error(`[mqtt-bridge] failed to store ${topic}: ${err.message}`);
+    }
+  });
+
+  client.on('error', (err) => logger.error(`[mqtt-bridge] ${err.message}`));
+
+  client.on('close', () => {
+    if (stopped || reconnectTimer) return;
+
+    const delay = backoffDelay(attempt++, backoff);
+    logger.warn(`[mqtt-bridge] disconnected, reconnecting in ${Math.round(delay / 1000)}s`);
+    reconnectTimer = setTimeout(() => {
+      reconnectTimer = null;
+      client.reconnect();
+    }, delay);
+  });
+
+  return {
+    client,
+    stop() {
+      stopped = true;
+      clearTimeout(reconnectTimer);
+      return client.endAsync();
+    },
+  };
+}
@@ -0,0 +1,30 @@
+import crypto from 'node:crypto';
+
+// Salted scrypt password hashing
+
+const KEY_LENGTH = 64;
+const SALT_BYTES = 16;
+
+/**
+ * Hash a password with a random salt.
+ * Output format: scrypt$<salt hex>$<hash hex>
+ */
+export function hashPassword(password) {
+  const salt = crypto.randomBytes(SALT_BYTES);
+  const hash = crypto.scryptSync(password, salt, KEY_LENGTH);
+  return `scrypt$${salt.toString('hex')}$${hash.toString('hex')}`;
+}
+
+/**
+ * Check a password against a stored hash in constant time
+ */
+export function verifyPassword(password, stored) {
+  if (!password || !stored) return false;
+
+  const [scheme, saltHex, hashHex] = stored.split('$');
+  if (scheme !== 'scrypt' || !saltHex || !hashHex) return false;
+
+  const expected = Buffer.from(hashHex, 'hex');
+  const actual = crypto.scryptSync(password, Buffer.from(saltHex, 'hex'), expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+}
@@ -0,0 +1,115 @@
+import crypto from 'node:crypto';
+import { getDb } from './db.js';
+import { findUserByEmail, findUserById, setUserPassword } from './users.js';
+import { getMailer } from './mailer.js';
+import { authSecret } from './authSecret.js';
+
+// Self-service password reset. The emailed link carries a signed token
+// rather than anything stored: the user id, an expiry and a fingerprint
+// of the current password hash, HMAC-signed with the session secret. The
+// fingerprint makes the link single-use - once the password changes it no
+// longer matches - and an expired or tampered token fails the signature
+// or expiry check. Accounts linked to the company identity provider
+// can't be reset: a local password would let them sign in around it.
+
+export const RESET_TOKEN_MINUTES = Number(process.env.PASSWORD_RESET_MINUTES || 30);
+
+// A reset email is sent at most this often per account
+const RESEND_SECONDS = 60;
+
+function sign(payload) {
+  return crypto.createHmac('sha256', authSecret()).update(`password-reset.${payload}`).digest('base64url');
+}
+
+function passwordFingerprint(userId) {
+  const row = getDb().prepare('SELECT password_hash FROM users WHERE id = ?').get(userId);
+  return row ? crypto.createHash('sha256').update(row.password_hash).digest('base64url').slice(0, 16) : null;
+}
+
+// Whether the account signs in through the company identity provider
+function isSsoLinked(userId) {
+  return Boolean(getDb().prepare('SELECT sso_subject FROM users WHERE id = ?').get(userId)?.sso_subject);
+}
+
+/**
+ * A reset token for the user, valid for RESET_TOKEN_MINUTES
+ */
+export function createResetToken(userId, now = Date.now()) {
+  const payload = Buffer.from(
+    JSON.stringify({ uid: String(userId), exp: now + RESET_TOKEN_MINUTES * 60 * 1000, pwd: passwordFingerprint(userId) })
+  ).toString('base64url');
+  return `${payload}.${sign(payload)}`;
+}
+
+/**
+ * The enabled user a reset token is for, or null when the token is
+ * malformed, tampered with, expired or already used, or the account has
+ * since been linked to the identity provider
+ */
+export function verifyResetToken(token, now = Date.now()) {
+  const [payload, signature] = String(token || '').split('.');
+  if (!payload || !signature) return null;
+
+  const expected = Buffer.from(sign(payload));
+  const actual = Buffer.from(signature);
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) return null;
+
+  let claims;
+  try {
+    claims = JSON.parse(Buffer.from(payload, 'base64url').toString());
+  } catch {
+    return null;
+  }
+  if (!(claims.exp > now) || claims.pwd !== passwordFingerprint(claims.uid)) return null;
+
+  const user = findUserById(claims.uid);
+  return user?.enabled && !isSsoLinked(user.id) ? user : null;
+}
+
+/**
+ * Email a reset link to the account with this address, if there is an
+ * enabled one that isn't linked to the identity provider and it wasn't
+ * sent a link in the last minute. Callers tell
+ * the user the same thing either way, so the form doesn't reveal which
+ * addresses have accounts. Returns whether an email was sent.
+ */
+export async function requestPasswordReset(email, baseUrl) {
+  const user = findUserByEmail(email);
+  if (!user?.enabled || isSsoLinked(user.id)) return false;
+
+  const claimed = getDb()
+    .prepare(
+      `UPDATE users SET password_reset_sent_at = datetime('now')
+       WHERE id = ? AND (password_reset_sent_at IS NULL OR password_reset_sent_at <= datetime('now', ?))`
+    )
+    .run(user.id, `-${RESEND_SECONDS} seconds`);
+  if (!claimed.changes) return false;
+
+  const link = new URL('/login/reset', baseUrl);
+  link.searchParams.set('token', createResetToken(user.id));
+
+  await getMailer().send({
+    to: [user.email],
+    subject: 'Reset your Draive password',
+    text: [
+      `Hi ${user.name},`,
+      `Someone asked to reset the password for your Draive account (${user.email}). To choose a new password, open this link within ${RESET_TOKEN_MINUTES} minutes:`,
+      link.toString(),
+      "If it wasn't you, ignore this email. Your password stays the same.",
+    ].join('\n\n'),
+  });
+  return true;
+}
+
+/**
+ * Set a new password with a reset token. Returns the user, or null when
+ * the token isn't valid. The password must already have passed
+ * validatePassword().
+ */
+export function resetPassword(token, password) {
+  const user = verifyResetToken(token);
+  if (!user) return null;
+
+  setUserPassword(user.id, password);
+  return findUserById(user.id);
+}
@@ -0,0 +1,74 @@
+import { createHmac, randomUUID, timingSafeEqual } from 'node:crypto';
+
+// Payment gateway adapters. Billing (app/lib/billing.js) talks to a
+// gateway only through this interface:
+//
+//   createCheckout({ paymentId, invoiceNumber, amount, customer })
+//     → { gatewayPaymentId, checkoutUrl }
+//   parseWebhook(rawBody, headers)
+//     → { gatewayPaymentId, status: 'succeeded' | 'failed', reference }
+//       or null when the request isn't a genuine event from the gateway
+//   isConfigured()
+//     → whether its credentials are set, so it can be offered
+//
+// A real provider is added as another entry in ADAPTERS. The mock one
+// settles payments from a local checkout page, for development and tests.
+
+// Anyone holding the mock secret can mark invoices paid, so a production
+// server only offers the mock gateway when PAYMENT_MOCK_SECRET is set
+// (for a staging or demo deployment), never with the built-in key
+function mockSecret() {
+  if (process.env.PAYMENT_MOCK_SECRET) return process.env.PAYMENT_MOCK_SECRET;
+  return process.env.NODE_ENV === 'production' ? null : 'draive-mock-gateway';
+}
+
+function mockSignature(rawBody) {
+  return createHmac('sha256', mockSecret()).update(rawBody).digest('hex');
+}
+
+/**
+ * Sign a mock gateway event the way the mock provider would. Used by the
+ * local checkout page to post its webhook.
+ */
+export function signMockWebhook(event) {
+  const rawBody = JSON.stringify(event);
+  return { rawBody, headers: { 'x-mock-signature': mockSignature(rawBody) } };
+}
+
+const mockGateway = {
+  label: 'Mock gateway',
+
+  isConfigured() {
+    return Boolean(mockSecret());
+  },
+
+  createCheckout({ paymentId }) {
+    return { gatewayPaymentId: `mock_${randomUUID()}`, checkoutUrl: `/customer-plans/checkout/${paymentId}` };
+  },
+
+  parseWebhook(rawBody, headers) {
+    const signature = Buffer.from(String(headers['x-mock-signature'] || ''), 'hex');
+    const expected = Buffer.from(mockSignature(rawBody), 'hex');
+    if (signature.length !== expected.length || !timingSafeEqual(signature, expected)) return null;
+
+    let event;
+    try {
+      event = JSON.parse(rawBody);
+    } catch {
+      return null;
+    }
+    if (!event.gatewayPaymentId || !['succeeded', 'failed'].includes(event.status)) return null;
+
+    return { gatewayPaymentId: event.gatewayPaymentId, status: event.status, reference: event.reference ?? null };
+  },
+};
+
+const ADAPTERS = { mock: mockGateway };
+
+/**
+ * The configured gateway (PAYMENT_GATEWAY, default `mock`) or a named one.
+ * Returns null for an unknown name or a gateway missing its credentials.
+ */
+export function getPaymentGateway(name = process.env.PAYMENT_GATEWAY || 'mock') {
+  return ADAPTERS[name]?.isConfigured() ? { name, ...ADAPTERS[name] } : null;
+}
@@ -0,0 +1,250 @@
+import { PassThrough } from 'node:stream';
+import { getDb, LOCAL_TIME_OFFSET, toSqlTimestamp } from './db.js';
+import { findUserById } from './users.js';
+import { getMailer } from './mailer.js';
+import { nextCronRun, validateCron } from './cron.js';
+import { REPORT_FORMATS, buildReport, describeScope, renderReport, renderReportText } from './reports.js';
+
+// Scheduled email reports. A subscription mails a named report to a list
+// of recipients on a cron schedule (app/lib/cron.js), with the report
+// attached and its smaller tables in the body. The report is always built
+// as the subscriber, as they are when it's sent: recipients, who need not
+// be users at all, only ever get what the subscriber can see, and nothing
+// once the subscriber has been disabled.
+
+export const SUBSCRIPTION_REPORTS = {
+  dashboard: 'Dashboard KPIs',
+  swaps: 'Battery swap summary',
+  'overdue-work-orders': 'Overdue work orders',
+};
+
+const MAX_RECIPIENTS = 20;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Minutes between checks for due subscriptions in the server process; 0 turns them off
+const SCHEDULER_INTERVAL_MINUTES = Number(process.env.REPORT_SCHEDULER_INTERVAL_MINUTES ?? 1);
+
+function toSubscription(row) {
+  if (!row) return null;
+
+  return {
+    id: String(row.id),
+    userId: String(row.user_id),
+    name: row.name,
+    report: row.report,
+    reportLabel: SUBSCRIPTION_REPORTS[row.report] || row.report,
+    format: row.format,
+    schedule: row.schedule,
+    recipients: JSON.parse(row.recipients),
+    enabled: row.enabled === 1,
+    nextRunAt: row.next_run_at,
+    lastRunAt: row.last_run_at,
+    lastStatus: row.last_status,
+    lastError: row.last_error,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+function localToday() {
+  return getDb().prepare("SELECT date('now', ?) AS today").get(LOCAL_TIME_OFFSET).today;
+}
+
+// A run time as stored, keeping null for a schedule that never fires
+// (toSqlTimestamp would turn it into now)
+function toSqlTime(date) {
+  return date ? toSqlTimestamp(date) : null;
+}
+
+/**
+ * The user's own subscriptions
+ */
+export function listSubscriptions(user) {
+  return getDb()
+    .prepare('SELECT * FROM report_subscriptions WHERE user_id = ? ORDER BY name COLLATE NOCASE, id')
+    .all(user.id)
+    .map(toSubscription);
+}
+
+export function getSubscription(id) {
+  return toSubscription(getDb().prepare('SELECT * FROM report_subscriptions WHERE id = ?').get(id));
+}
+
+/**
+ * Recipients trimmed, lower-cased and without repeats. Anything but a
+ * list is passed through for validation to reject.
+ */
+export function normalizeRecipients(recipients) {
+  if (!Array.isArray(recipients)) return recipients;
+  return [...new Set(recipients.map((email) => String(email).trim().toLowerCase()).filter(Boolean))];
+}
+
+export function validateSubscription(input, existing = null) {
+  if ((!existing || 'name' in input) && (!input.name || input.name.length > 120)) {
+    return 'Name is required (at most 120 characters)';
+  }
+  if ((!existing || 'report' in input) && !SUBSCRIPTION_REPORTS[input.report]) {
+    return `Report must be one of: ${Object.keys(SUBSCRIPTION_REPORTS).join(', ')}`;
+  }
+  if ((!existing || 'format' in input) && !REPORT_FORMATS[input.format]) {
+    return `Format must be one of: ${Object.keys(REPORT_FORMATS).join(', ')}`;
+  }
+  if (!existing || 'schedule' in input) {
+    const scheduleError = validateCron(input.schedule);
+    if (scheduleError) return scheduleError;
+  }
+  if (!existing || 'recipients' in input) {
+    if (!Array.isArray(input.recipients) || !input.recipients.length || input.recipients.length > MAX_RECIPIENTS) {
+      return `Recipients must be a list of 1 to ${MAX_RECIPIENTS} email addresses`;
+    }
+    const invalid = input.recipients.find((email) => typeof email !== 'string' || !EMAIL_PATTERN.test(email));
+    if (invalid !== undefined) return `${invalid} is not an email address`;
+  }
+  return null;
+}
+
+export function createSubscription({ name, report, format, schedule, recipients }, user) {
+  const result = getDb()
+    .prepare(
+      `INSERT INTO report_subscriptions (user_id, name, report, format, schedule, recipients, next_run_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`
+    )
+    .run(user.id, name, report, format, schedule, JSON.stringify(recipients), toSqlTime(nextCronRun(schedule)));
+  return getSubscription(result.lastInsertRowid);
+}
+
+/**
+ * Update a subscription, or pause/resume it with `enabled`. The next run
+ * is worked out again from now; paused subscriptions have none.
+ */
+export function updateSubscription(id, fields) {
+  const db = getDb();
+  const columns = { name: 'name', report: 'report', format: 'format', schedule: 'schedule' };
+  const sets = [];
+  const params = [];
+
+  for (const [field, column] of Object.entries(columns)) {
+    if (field in fields) {
+      sets.push(`${column} = ?`);
+      params.push(fields[field]);
+    }
+  }
+  if ('recipients' in fields) {
+    sets.push('recipients = ?');
+    params.push(JSON.stringify(fields.recipients));
+  }
+  if ('enabled' in fields) {
+    sets.push('enabled = ?');
+    params.push(fields.enabled ? 1 : 0);
+  }
+
+  if (sets.length) {
+    db.transaction(() => {
+      db.prepare(`UPDATE report_subscriptions SET ${sets.join(', ')}, updated_at = datetime('now') WHERE id = ?`).run(...params, id);
+      const row = db.prepare('SELECT schedule, enabled FROM report_subscriptions WHERE id = ?').get(id);
+      db.prepare('UPDATE report_subscriptions SET next_run_at = ? WHERE id = ?')
+        .run(row.enabled ? toSqlTime(nextCronRun(row.schedule)) : null, id);
+    })();
+  }
+  return getSubscription(id);
+}
+
+export function deleteSubscription(id) {
+  getDb().prepare('DELETE FROM report_subscriptions WHERE id = ?').run(id);
+}
+
+async function renderToBuffer(report, format, user) {
+  const output = new PassThrough();
+  const chunks = [];
+  output.on('data', (chunk) => chunks.push(chunk));
+  await renderReport(report, format, output, user);
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Build and mail a subscription's report now, recording how it went.
+ * Returns the subscription; a failure is recorded on it rather than thrown.
+ */
+export async function deliverSubscription(id, logger = console) {
+  const db = getDb();
+  const subscription = getSubscription(id);
+
+  try {
+    const user = findUserById(subscription.userId);
+    if (!user?.enabled) throw new Error("The subscriber's account is disabled");
+
+    const report = buildReport(user, subscription.report, {});
+    const today = localToday();
+    const { extension, contentType } = REPORT_FORMATS[subscription.format];
+    const content = await renderToBuffer(report, subscription.format, user);
+
+    await getMailer().send({
+      to: subscription.recipients,
+      subject: `${subscription.name} - ${today}`,
+      text: [
+        `${report.title} for ${today}, scope: ${describeScope(user)}.`,
+        renderReportText(report),
+        `Sent on a schedule set up by ${user.name}. Ask them to change or stop it.`,
+      ].join('\n\n'),
+      attachments: [{ filename: `${subscription.report}-${today}.${extension}`, content, contentType }],
+    });
+
+    db.prepare(
+      `UPDATE report_subscriptions SET last_run_at = datetime('now'), last_status = 'sent', last_error = NULL WHERE id = ?`
+    ).run(id);
+  } catch (err) {
+    logger.error(`[reports] subscription ${id} failed:`, err);
+    db.prepare(
+      `UPDATE report_subscriptions SET last_run_at = datetime('now'), last_status = 'failed', last_error = ? WHERE id = ?`
+    ).run(err.message || 'Delivery failed', id);
+  }
+  return getSubscription(id);
+}
+
+/**
+ * Send every enabled subscription that has come due. Each is moved on to
+ * its next run before sending, so one that fails waits for its next turn
+ * rather than being retried every pass. Returns how many were sent.
+ */
+export async function runReportSubscriptions(now = new Date(), logger = console) {
+  const db = getDb();
+  const due = db
+    .prepare('SELECT id, schedule FROM report_subscriptions WHERE enabled = 1 AND next_run_at <= ? ORDER BY next_run_at, id')
+    .all(toSqlTime(now));
+
+  let sent = 0;
+  for (const row of due) {
+    db.prepare('UPDATE report_subscriptions SET next_run_at = ? WHERE id = ?').run(toSqlTime(nextCronRun(row.schedule, now)), row.id);
+    const subscription = await deliverSubscription(row.id, logger);
+    if (subscription.lastStatus === 'sent') sent++;
+  }
+  return sent;
+}
+
+/**
+ * Check for due subscriptions every REPORT_SCHEDULER_INTERVAL_MINUTES in
+ * this process (started from instrumentation.js). Cached on globalThis so
+ * dev-mode reloads don't start a second timer; a pass still sending when
+ * the next is due is left to finish.
+ */
+export function startReportScheduler(logger = console) {
+  if (!(SCHEDULER_INTERVAL_MINUTES > 0) || globalThis.__draiveReportTimer) return;
+
+  let running = false;
+  const runPass = async () => {
+    if (running) return;
+    running = true;
+    try {
+      const sent = await runReportSubscriptions(new Date(), logger);
+      if (sent) logger.info(`[reports] sent ${sent} scheduled report${sent === 1 ? '' : 's'}`);
+    } catch (err) {
+      logger.error('[reports] scheduled reports failed:', err);
+    } finally {
+      running = false;
+    }
+  };
+
+  globalThis.__draiveReportTimer = setInterval(runPass, SCHEDULER_INTERVAL_MINUTES * 60 * 1000);
+  globalThis.__draiveReportTimer.unref();
+  runPass();
+}
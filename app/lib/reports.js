@@ -0,0 +1,551 @@
+import { once } from 'node:events';
+import { finished } from 'node:stream/promises';
+import ExcelJS from 'exceljs';
+import PDFDocument from 'pdfkit';
+import { LOCAL_TIME_OFFSET } from './db.js';
+import { getAssetAvailability, getWorkOrderStats } from './dashboard.js';
+import { getSwapMetrics, getSwapTrend } from './swaps.js';
+import { listVehicles } from './vehicles.js';
+import { listBatteries } from './batteries.js';
+import { listStations } from './stations.js';
+import { listDevices } from './tcu.js';
+import { listWorkOrders } from './workOrders.js';
+import { listAudit } from './audit.js';
+import { ROLES } from '../utils/auth.js';
+
+// Reports behind the Export buttons (the dashboard, and the asset and
+// work order lists with the filters the page has applied) and the
+// scheduled email reports (app/lib/reportSubscriptions.js). Rows come from
+// the same scoped list functions the pages use (scopeWhere() is the
+// server side of filterDataByUserAccess()), so an export never holds
+// more than its user could see. A report is one or more sections, each
+// a table read a page at a time, rendered as CSV, XLSX or PDF. Reports
+// with `roles` are only built for those roles.
+
+export const REPORT_FORMATS = {
+  csv: { label: 'CSV', extension: 'csv', contentType: 'text/csv; charset=utf-8' },
+  xlsx: { label: 'Excel', extension: 'xlsx', contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' },
+  pdf: { label: 'PDF', extension: 'pdf', contentType: 'application/pdf' },
+};
+
+// Rows read from the database per page while rendering
+const FETCH_PAGE_SIZE = 500;
+
+function text(value) {
+  return typeof value === 'string' && value.trim() ? value.trim() : undefined;
+}
+
+function flag(value) {
+  return value === true || value === 'true';
+}
+
+// "2026-10-19 04:30:00" (UTC, as stored) → "2026-10-19 10:00" local time
+function localTimestamp(timestamp) {
+  if (!timestamp) return null;
+  const [, sign, hours, minutes] = LOCAL_TIME_OFFSET.match(/^([+-])(\d{2}):(\d{2})$/);
+  const offset = (sign === '-' ? -1 : 1) * (Number(hours) * 60 + Number(minutes)) * 60000;
+  return new Date(Date.parse(`${timestamp.replace(' ', 'T')}Z`) + offset).toISOString().slice(0, 16).replace('T', ' ');
+}
+
+function localNow() {
+  return localTimestamp(new Date().toISOString().slice(0, 19).replace('T', ' '));
+}
+
+function daysBetween(from, to) {
+  return Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / 86400000);
+}
+
+/**
+ * A section read from a paginated list function returning { <rows>, total }
+ */
+function listSection(title, columns, list) {
+  return {
+    title,
+    columns,
+    count: list(1, 1).total,
+    fetchPage: (page, pageSize) => list(page, pageSize).rows,
+  };
+}
+
+// A two-column Metric / Value table from [label, value] pairs
+function summarySection(title, entries) {
+  return staticSection(
+    title,
+    [{ label: 'Metric', key: 'metric', width: 2 }, { label: 'Value', key: 'value' }],
+    entries.map(([metric, value]) => ({ metric, value }))
+  );
+}
+
+function staticSection(title, columns, rows) {
+  return {
+    title,
+    columns,
+    count: rows.length,
+    fetchPage: (page, pageSize) => rows.slice((page - 1) * pageSize, page * pageSize),
+  };
+}
+
+const WORK_ORDER_COLUMNS = [
+  { label: 'Code', key: 'id' },
+  { label: 'Title', key: 'title', width: 2 },
+  { label: 'Asset', value: (row) => `${row.assetType} ${row.assetRef}` },
+  { label: 'Priority', key: 'priority' },
+  { label: 'Status', key: 'status' },
+  { label: 'Assignee', key: 'assigneeName' },
+  { label: 'Due', key: 'dueDate' },
+  { label: 'Overdue', value: (row) => (row.overdue ? 'Yes' : 'No') },
+  { label: 'Hub', key: 'hub' },
+  { label: 'Raised', value: (row) => localTimestamp(row.createdAt) },
+];
+
+// "status: open → in_progress; hub: HUB-1 → HUB-2"
+function describeChanges(changes) {
+  if (!changes) return null;
+  const value = (v) => (v === null ? '—' : typeof v === 'object' ? JSON.stringify(v) : String(v));
+  return Object.entries(changes)
+    .map(([field, { from, to }]) => `${field}: ${value(from)} → ${value(to)}`)
+    .join('; ');
+}
+
+function assetStatus(row) {
+  if (row.retiredAt || row.decommissionedAt) return 'retired';
+  return row.maintenanceSince ? 'maintenance' : 'active';
+}
+
+const REPORTS = {
+  dashboard: {
+    title: 'Dashboard',
+    filters: () => ({}),
+    sections(user) {
+      const availability = getAssetAvailability(user);
+      const workOrders = getWorkOrderStats(user);
+
+      return [
+        summarySection('Summary', [
+          ['Available assets', availability.available],
+          ['Total assets (vehicles and slots)', availability.total],
+          ['Availability (%)', availability.total ? Math.round((availability.available / availability.total) * 100) : null],
+          ['Available vehicles', availability.vehicles.available],
+          ['Active vehicles', availability.vehicles.total],
+          ...Object.entries(availability.slots).map(([status, count]) => [`Station slots ${status}`, count]),
+          ['Open work orders', workOrders.open],
+          ['Work orders raised today', workOrders.today],
+        ]),
+        listSection('Open work orders', WORK_ORDER_COLUMNS, (page, pageSize) => {
+          const result = listWorkOrders(user, { status: 'open', page, pageSize });
+          return { rows: result.workOrders, total: result.total };
+        }),
+      ];
+    },
+  },
+
+  vehicles: {
+    title: 'Vehicles',
+    filters: (raw) => ({ q: text(raw.q), status: text(raw.status), hub: text(raw.hub), includeRetired: flag(raw.includeRetired) }),
+    sections: (user, filters) => [
+      listSection(
+        'Vehicles',
+        [
+          { label: 'Asset ID', key: 'id' },
+          { label: 'Registration', key: 'registrationNumber' },
+          { label: 'VIN', key: 'vin', width: 1.5 },
+          { label: 'Model', key: 'model' },
+          { label: 'Status', value: (row) => (row.retiredAt ? 'retired' : row.status) },
+          { label: 'Odometer (km)', key: 'odometerKm' },
+          { label: 'Battery', key: 'batterySerial' },
+          { label: 'Hub', key: 'hub' },
+          { label: 'Area', key: 'area' },
+        ],
+        (page, pageSize) => {
+          const result = listVehicles(user, { ...filters, page, pageSize });
+          return { rows: result.vehicles, total: result.total };
+        }
+      ),
+    ],
+  },
+
+  batteries: {
+    title: 'Battery inventory',
+    filters: (raw) => ({ q: text(raw.q), lifecycleState: text(raw.lifecycleState), locationType: text(raw.locationType) }),
+    sections: (user, filters) => [
+      listSection(
+        'Batteries',
+        [
+          { label: 'Serial', key: 'serial' },
+          { label: 'Chemistry', key: 'chemistry' },
+          { label: 'Capacity (kWh)', key: 'ratedCapacityKwh' },
+          { label: 'Health (%)', key: 'stateOfHealth' },
+          { label: 'Cycles', key: 'cycleCount' },
+          { label: 'Lifecycle', key: 'lifecycleState' },
+          { label: 'Location', value: (row) => [row.locationType, row.locationRef].filter(Boolean).join(' '), width: 1.5 },
+          { label: 'Hub', key: 'hub' },
+          { label: 'Area', key: 'area' },
+        ],
+        (page, pageSize) => {
+          const result = listBatteries(user, { ...filters, page, pageSize });
+          return { rows: result.batteries, total: result.total };
+        }
+      ),
+    ],
+  },
+
+  stations: {
+    title: 'Charging stations',
+    filters: (raw) => ({ q: text(raw.q), hub: text(raw.hub), slotStatus: text(raw.slotStatus), includeRetired: flag(raw.includeRetired) }),
+    sections: (user, filters) => [
+      listSection(
+        'Stations',
+        [
+          { label: 'Code', key: 'code' },
+          { label: 'Name', key: 'name', width: 1.5 },
+          { label: 'Status', value: assetStatus },
+          { label: 'Power (kW)', key: 'powerKw' },
+          { label: 'Hours', value: (row) => `${row.opensAt}–${row.closesAt}` },
+          { label: 'Free Slots', value: (row) => row.slotSummary.free },
+          { label: 'Charging', value: (row) => row.slotSummary.charging },
+          { label: 'Faulted', value: (row) => row.slotSummary.faulted },
+          { label: 'Offline', value: (row) => row.slotSummary.offline },
+          { label: 'Energy (kWh)', key: 'energyDeliveredKwh' },
+          { label: 'Hub', key: 'hub' },
+        ],
+        (page, pageSize) => {
+          const result = listStations(user, { ...filters, page, pageSize });
+          return { rows: result.stations, total: result.total };
+        }
+      ),
+    ],
+  },
+
+  tcu: {
+    title: 'TCU devices',
+    filters: (raw) => ({ q: text(raw.q), state: text(raw.state), hub: text(raw.hub), includeDecommissioned: flag(raw.includeDecommissioned) }),
+    sections: (user, filters) => [
+      listSection(
+        'Devices',
+        [
+          { label: 'Device ID', key: 'deviceId', width: 1.5 },
+          { label: 'Vehicle', key: 'vehicle' },
+          { label: 'Firmware', key: 'firmwareVersion' },
+          { label: 'Status', value: (row) => (row.decommissionedAt ? 'decommissioned' : assetStatus(row)) },
+          { label: 'Online', value: (row) => (row.online ? 'Yes' : 'No') },
+          { label: 'Last Seen', value: (row) => localTimestamp(row.lastSeenAt) },
+          { label: 'Hub', key: 'hub' },
+          { label: 'Area', key: 'area' },
+        ],
+        (page, pageSize) => {
+          const result = listDevices(user, { ...filters, page, pageSize });
+          return { rows: result.devices, total: result.total };
+        }
+      ),
+    ],
+  },
+
+  'work-orders': {
+    title: 'Work orders',
+    filters: (raw, user) => ({
+      q: text(raw.q),
+      status: text(raw.status),
+      priority: text(raw.priority),
+      assetType: text(raw.assetType),
+      hub: text(raw.hub),
+      assigneeId: flag(raw.mine) ? user.id : undefined,
+      overdue: flag(raw.overdue),
+    }),
+    sections: (user, filters) => [
+      listSection('Work orders', WORK_ORDER_COLUMNS, (page, pageSize) => {
+        const result = listWorkOrders(user, { ...filters, page, pageSize });
+        return { rows: result.workOrders, total: result.total };
+      }),
+    ],
+  },
+
+  swaps: {
+    title: 'Battery swap summary',
+    filters: () => ({}),
+    sections(user) {
+      const metrics = getSwapMetrics(user);
+      const trend = getSwapTrend(user, 7);
+      const level = metrics.breakdownBy === 'area' ? 'Area' : 'Circle';
+
+      return [
+        summarySection('Summary', [
+          ['Swaps today', metrics.today],
+          ['Swaps yesterday', metrics.yesterday],
+          ['Change on yesterday (%)', metrics.growth === null ? null : Math.round(metrics.growth * 10) / 10],
+          ['Daily average, last 7 days', metrics.weeklyAverage],
+          ['Daily target', metrics.target],
+          ['Target achievement (%)', metrics.targetAchievement],
+        ]),
+        staticSection(
+          `Today by ${level.toLowerCase()}`,
+          [
+            { label: level, key: 'name', width: 2 },
+            { label: 'Swaps', key: 'swaps' },
+            { label: 'Target', key: 'target' },
+            { label: 'Achievement (%)', key: 'achievement' },
+          ],
+          metrics.breakdown
+        ),
+        staticSection(
+          'Last 7 days',
+          [
+            { label: 'Date', key: 'date' },
+            { label: 'Swaps', key: 'total' },
+            { label: 'Week Before', key: 'previous' },
+          ],
+          trend.points
+        ),
+      ];
+    },
+  },
+
+  'overdue-work-orders': {
+    title: 'Overdue work orders',
+    filters: (raw) => ({ hub: text(raw.hub), priority: text(raw.priority) }),
+    sections(user, filters) {
+      const today = localNow().slice(0, 10);
+      const columns = WORK_ORDER_COLUMNS.filter((column) => column.label !== 'Overdue');
+      columns.splice(columns.findIndex((column) => column.key === 'dueDate') + 1, 0, {
+        label: 'Days Overdue',
+        value: (row) => daysBetween(row.dueDate, today),
+      });
+
+      return [
+        listSection('Overdue work orders', columns, (page, pageSize) => {
+          const result = listWorkOrders(user, { ...filters, overdue: true, page, pageSize });
+          return { rows: result.workOrders, total: result.total };
+        }),
+      ];
+    },
+  },
+
+  audit: {
+    title: 'Audit log',
+    roles: [ROLES.SUPER_ADMIN, ROLES.REGIONAL_HEAD],
+    filters: (raw) => ({
+      action: text(raw.action),
+      entityType: text(raw.entityType),
+      entityId: text(raw.entityId),
+      actor: text(raw.actor),
+      from: text(raw.from),
+      to: text(raw.to),
+    }),
+    sections: (user, filters) => [
+      listSection(
+        'Audit log',
+        [
+          { label: 'Time', value: (row) => localTimestamp(row.createdAt) },
+          { label: 'Action', key: 'action' },
+          { label: 'Record', value: (row) => (row.entityType ? `${row.entityType} ${row.entityId}` : null), width: 1.5 },
+          { label: 'Actor', value: (row) => row.actorName || row.actorEmail },
+          { label: 'Email', key: 'actorEmail', width: 1.5 },
+          { label: 'Role', key: 'actorRole' },
+          { label: 'Actor Scope', key: 'actorScope' },
+          { label: 'Changes', value: (row) => describeChanges(row.changes), width: 4 },
+          { label: 'IP', key: 'ip' },
+        ],
+        (page, pageSize) => {
+          const result = listAudit(user, { ...filters, page, pageSize });
+          return { rows: result.entries, total: result.total };
+        }
+      ),
+    ],
+  },
+};
+
+export const REPORT_NAMES = Object.keys(REPORTS);
+
+export function canRunReport(user, name) {
+  return !REPORTS[name].roles || REPORTS[name].roles.includes(user.role);
+}
+
+/**
+ * Just the filters a report understands, from whatever the page sent
+ */
+export function reportFilters(name, raw, user) {
+  return Object.fromEntries(
+    Object.entries(REPORTS[name].filters(raw || {}, user)).filter(([, value]) => value !== undefined && value !== false)
+  );
+}
+
+/**
+ * A report for the user with filters from reportFilters(). Sections are
+ * counted now and read when rendered.
+ */
+export function buildReport(user, name, filters) {
+  if (!canRunReport(user, name)) throw new Error('This report is not available to you');
+
+  const sections = REPORTS[name].sections(user, filters);
+  return {
+    name,
+    title: REPORTS[name].title,
+    filters,
+    sections,
+    rowCount: sections.reduce((sum, section) => sum + section.count, 0),
+  };
+}
+
+// Each page of a section's rows as arrays of cell values, yielding to the
+// event loop between pages so big exports don't stall requests
+function rowCells(section, row) {
+  return section.columns.map((column) => (column.value ? column.value(row) : row[column.key]) ?? null);
+}
+
+async function* sectionRows(section) {
+  for (let page = 1; ; page++) {
+    const rows = section.fetchPage(page, FETCH_PAGE_SIZE);
+    yield rows.map((row) => rowCells(section, row));
+    if (rows.length < FETCH_PAGE_SIZE) return;
+    await new Promise((resolve) => setImmediate(resolve));
+  }
+}
+
+async function write(output, chunk) {
+  if (!output.write(chunk)) await once(output, 'drain');
+}
+
+// Quote fields that need it, and defuse values a spreadsheet would run as a formula
+function csvField(value) {
+  if (value === null) return '';
+  let field = String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(field)) field = `'${field}`;
+  return /[",\r\n]/.test(field) ? `"${field.replaceAll('"', '""')}"` : field;
+}
+
+async function renderCsv(report, output) {
+  // Byte order mark so Excel reads the file as UTF-8
+  await write(output, '﻿');
+
+  for (const [index, section] of report.sections.entries()) {
+    if (report.sections.length > 1) await write(output, `${index ? '\r\n' : ''}${csvField(section.title)}\r\n`);
+    await write(output, `${section.columns.map((column) => csvField(column.label)).join(',')}\r\n`);
+    for await (const rows of sectionRows(section)) {
+      if (rows.length) await write(output, rows.map((cells) => `${cells.map(csvField).join(',')}\r\n`).join(''));
+    }
+  }
+  output.end();
+}
+
+async function renderXlsx(report, output) {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: output, useStyles: true });
+  workbook.creator = 'Draive';
+
+  for (const section of report.sections) {
+    const sheet = workbook.addWorksheet(section.title.replace(/[[\]:*?/\\]/g, ' ').slice(0, 31), {
+      views: [{ state: 'frozen', ySplit: 1 }],
+    });
+    sheet.columns = section.columns.map((column) => ({ header: column.label, width: Math.round(14 * (column.width || 1)) }));
+    sheet.getRow(1).font = { bold: true };
+    sheet.getRow(1).commit();
+
+    for await (const rows of sectionRows(section)) {
+      for (const cells of rows) sheet.addRow(cells).commit();
+    }
+    sheet.commit();
+  }
+  await workbook.commit();
+}
+
+const PDF_MARGIN = 36;
+const PDF_ROW_HEIGHT = 14;
+
+/**
+ * The user's scope as "west / mumbai / andheri", or "All regions"
+ */
+export function describeScope(user) {
+  const parts = [user.region, user.circle, user.area].filter(Boolean);
+  return parts.length ? parts.join(' / ') : 'All regions';
+}
+
+async function renderPdf(report, output, user) {
+  const generatedAt = localNow();
+  const doc = new PDFDocument({ size: 'A4', layout: 'landscape', margin: PDF_MARGIN, info: { Title: report.title } });
+  doc.pipe(output);
+  const width = doc.page.width - PDF_MARGIN * 2;
+  const bottom = doc.page.height - PDF_MARGIN;
+
+  doc.font('Helvetica-Bold').fontSize(16).text(report.title);
+  doc.font('Helvetica').fontSize(9).fillColor('#555555');
+  doc.text(`Generated ${generatedAt} for ${user.name} · Scope: ${describeScope(user)}`);
+  const filters = Object.entries(report.filters).map(([key, value]) => (value === true ? key : `${key}: ${value}`));
+  if (filters.length) doc.text(`Filters: ${filters.join(', ')}`);
+  doc.fillColor('#000000');
+
+  for (const section of report.sections) {
+    const weights = section.columns.map((column) => column.width || 1);
+    const unit = width / weights.reduce((sum, weight) => sum + weight, 0);
+    const xs = weights.reduce((acc, weight, i) => [...acc, acc[i] + weight * unit], [PDF_MARGIN]);
+
+    const drawRow = (cells, font) => {
+      if (doc.y + PDF_ROW_HEIGHT > bottom) doc.addPage();
+      const y = doc.y;
+      doc.font(font).fontSize(8);
+      cells.forEach((cell, i) => {
+        doc.text(cell === null ? '' : String(cell), xs[i] + 2, y, {
+          width: weights[i] * unit - 4,
+          height: PDF_ROW_HEIGHT - 4,
+          ellipsis: true,
+          lineBreak: false,
+        });
+      });
+      doc.x = PDF_MARGIN;
+      doc.y = y + PDF_ROW_HEIGHT;
+    };
+    const drawHeader = () => {
+      drawRow(section.columns.map((column) => column.label), 'Helvetica-Bold');
+      doc.moveTo(PDF_MARGIN, doc.y - 3).lineTo(PDF_MARGIN + width, doc.y - 3).stroke();
+    };
+
+    doc.moveDown(1.5);
+    if (doc.y + PDF_ROW_HEIGHT * 3 > bottom) doc.addPage();
+    doc.font('Helvetica-Bold').fontSize(11).text(`${section.title} (${section.count})`, PDF_MARGIN, doc.y);
+    doc.moveDown(0.5);
+    drawHeader();
+
+    for await (const rows of sectionRows(section)) {
+      for (const cells of rows) {
+        if (doc.y + PDF_ROW_HEIGHT > bottom) {
+          doc.addPage();
+          drawHeader();
+        }
+        drawRow(cells, 'Helvetica');
+      }
+    }
+    if (!section.count) drawRow(['No rows'], 'Helvetica');
+  }
+
+  doc.end();
+}
+
+/**
+ * Render a report from buildReport() into a writable stream. Resolves
+ * once everything has been written.
+ */
+export async function renderReport(report, format, output, user) {
+  const done = finished(output);
+  if (format === 'csv') await renderCsv(report, output);
+  if (format === 'xlsx') await renderXlsx(report, output);
+  if (format === 'pdf') await renderPdf(report, output, user);
+  await done;
+}
+
+/**
+ * A plain-text rendering for an email body: sections of up to `maxRows`
+ * rows as aligned tables, larger ones as a row count
+ */
+export function renderReportText(report, { maxRows = 20 } = {}) {
+  return report.sections
+    .map((section) => {
+      if (section.count > maxRows) return `${section.title}: ${section.count} rows, see the attachment`;
+      if (!section.count) return `${section.title}: none`;
+
+      const table = [
+        section.columns.map((column) => column.label),
+        ...section.fetchPage(1, maxRows).map((row) => rowCells(section, row).map((cell) => (cell === null ? '' : String(cell)))),
+      ];
+      const widths = section.columns.map((_, i) => Math.max(...table.map((cells) => cells[i].length)));
+      const lines = table.map((cells) => cells.map((cell, i) => cell.padEnd(widths[i])).join('  ').trimEnd());
+      return [section.title, ...lines].join('\n');
+    })
+    .join('\n\n');
+}
@@ -0,0 +1,66 @@
+import { NextResponse } from 'next/server';
+import { redirect } from 'next/navigation';
+import { auth } from '@/app/api/auth/[...nextauth]/route';
+import { canAccessRoute } from '@/app/utils/permissions';
+
+// Session helpers for route handlers and server components.
+// Every server entry point resolves the user through here rather than
+// trusting client-side checks.
+
+/**
+ * Get the signed-in user from the session, or null
+ */
+export async function getCurrentUser() {
+  const session = await auth();
+  return session?.user ?? null;
+}
+
+/**
+ * Resolve the signed-in user and check their role (any role if none given).
+ * Returns `{ user }` on success or `{ error }` holding a 401/403 response.
+ */
+export async function requireRole(...roles) {
+  const user = await getCurrentUser();
+
+  if (!user) {
+    return { error: NextResponse.json({ error: 'Unauthorized' }, { status: 401 }) };
+  }
+
+  if (roles.length && !roles.includes(user.role)) {
+    return { error: NextResponse.json({ error: 'Forbidden' }, { status: 403 }) };
+  }
+
+  return { user };
+}
+
+/**
+ * Server component counterpart of requireRole(): redirects to the login
+ * page without a session, or to the 403 page when the role isn't allowed.
+ */
+export async function requirePageRole(...roles) {
+  const user = await getCurrentUser();
+
+  if (!user) {
+    redirect('/login');
+  }
+
+  if (roles.length && !roles.includes(user.role)) {
+    redirect('/forbidden');
+  }
+
+  return user;
+}
+
+/**
+ * Check the route permission manifest from a server component.
+ * proxy.js already does this per request; pages repeat it as defence in depth.
+ */
+export async function requireRouteAccess(pathname) {
+  const user = await requirePageRole();
+
+  if (!canAccessRoute(user, pathname)) {
+    redirect('/forbidden');
+  }
+
+  return user;
+}
@@ -0,0 +1,159 @@
+import crypto from 'node:crypto';
+import { getDb } from './db.js';
+import { getHierarchyMap } from './hierarchy.js';
+import { createUser, findUserByEmail, findUserById, updateUser, validateUserScope } from './users.js';
+import { ROLES } from '../utils/auth.js';
+
+// Single sign-on with the company identity provider (IdP) over OpenID
+// Connect. The IdP says who someone is and, through their groups, what
+// they may see: group membership maps to a role and a region/circle/area
+// scope, and the local account is created or brought in line with it at
+// every SSO sign-in. Groups are matched by name, after OIDC_GROUP_PREFIX:
+//
+//   draive-super-admins, draive-regional-heads, draive-circle-heads,
+//   draive-area-heads                      the role (the broadest one wins)
+//   draive-region-<code>, draive-circle-<code>, draive-area-<code>
+//                                          the scope
+//
+// An IdP that sends the scope as plain `region`, `circle` and `area`
+// attributes works too. Only the narrowest level the role needs is
+// required; the levels above it are filled in from the hierarchy.
+
+export const SSO_PROVIDER_ID = 'oidc';
+
+const GROUPS_CLAIM = process.env.OIDC_GROUPS_CLAIM || 'groups';
+const GROUP_PREFIX = process.env.OIDC_GROUP_PREFIX ?? 'draive-';
+
+// Broadest first
+const ROLE_GROUPS = [
+  [ROLES.SUPER_ADMIN, 'super-admins'],
+  [ROLES.REGIONAL_HEAD, 'regional-heads'],
+  [ROLES.CIRCLE_HEAD, 'circle-heads'],
+  [ROLES.AREA_HEAD, 'area-heads'],
+];
+
+// The scope levels each role is pinned to
+const ROLE_LEVELS = {
+  [ROLES.SUPER_ADMIN]: [],
+  [ROLES.REGIONAL_HEAD]: ['region'],
+  [ROLES.CIRCLE_HEAD]: ['region', 'circle'],
+  [ROLES.AREA_HEAD]: ['region', 'circle', 'area'],
+};
+
+/**
+ * The NextAuth provider for the company IdP, or null when OIDC_ISSUER
+ * isn't set
+ */
+export function ssoProvider() {
+  if (!process.env.OIDC_ISSUER) return null;
+
+  return {
+    id: SSO_PROVIDER_ID,
+    name: 'Company account',
+    type: 'oidc',
+    issuer: process.env.OIDC_ISSUER,
+    clientId: process.env.OIDC_CLIENT_ID,
+    clientSecret: process.env.OIDC_CLIENT_SECRET,
+    authorization: { params: { scope: process.env.OIDC_SCOPE || 'openid profile email' } },
+    checks: ['pkce', 'state', 'nonce'],
+  };
+}
+
+function groupsOf(profile) {
+  const groups = profile[GROUPS_CLAIM];
+  if (Array.isArray(groups)) return groups.map(String);
+  return typeof groups === 'string' ? groups.split(',').map((group) => group.trim()) : [];
+}
+
+const ROLE_GROUP_NAMES = new Set(ROLE_GROUPS.map(([, name]) => `${GROUP_PREFIX}${name}`));
+
+// The codes in `level-<code>` groups (draive-area-heads is a role, not an
+// area called "heads"), or the attribute of that name
+function scopeValues(profile, groups, level) {
+  const prefix = `${GROUP_PREFIX}${level}-`;
+  const values = groups
+    .filter((group) => group.startsWith(prefix) && !ROLE_GROUP_NAMES.has(group))
+    .map((group) => group.slice(prefix.length));
+  if (!values.length && profile[level]) values.push(String(profile[level]));
+  return [...new Set(values.map((value) => value.toLowerCase()))];
+}
+
+/**
+ * Map an IdP profile to `{ role, region, circle, area }`, or
+ * `{ error }` with the reason it can't be: 'sso_no_role' when no group
+ * grants a role, 'sso_scope' when the scope is missing, ambiguous or not
+ * in the hierarchy.
+ */
+export function mapSsoClaims(profile) {
+  const groups = groupsOf(profile);
+  const role = ROLE_GROUPS.find(([, name]) => groups.includes(`${GROUP_PREFIX}${name}`))?.[0];
+  if (!role) return { error: 'sso_no_role' };
+
+  const levels = ROLE_LEVELS[role];
+  const scope = { region: null, circle: null, area: null };
+  for (const level of levels) {
+    const values = scopeValues(profile, groups, level);
+    if (values.length > 1) return { error: 'sso_scope' };
+    scope[level] = values[0] ?? null;
+  }
+
+  // Fill in the parents of the narrowest level from the hierarchy
+  const hierarchy = getHierarchyMap();
+  if (scope.area && !scope.circle) scope.circle = hierarchy.areas[scope.area] ?? null;
+  if (scope.circle && !scope.region) scope.region = hierarchy.circles[scope.circle] ?? null;
+
+  const claims = { role, ...scope };
+  return validateUserScope(claims) ? { error: 'sso_scope' } : claims;
+}
+
+/**
+ * Whether the IdP reports signing the user in with more than one factor
+ * (the RFC 8176 `mfa` authentication method)
+ */
+export function usedSecondFactor(profile) {
+  return Array.isArray(profile?.amr) && profile.amr.includes('mfa');
+}
+
+/**
+ * Find or create the local account for an SSO sign-in and update its
+ * name, role and scope from the IdP. The account is tied to the IdP
+ * subject the first time, by email; after that the email must keep
+ * belonging to that subject. Returns `{ user, before }` (`before` is
+ * null for a new account) or `{ error }`: 'sso_no_email', 'sso_no_role',
+ * 'sso_scope', 'sso_conflict' or 'disabled'.
+ */
+export function provisionSsoUser(profile) {
+  const email = profile.email?.toLowerCase();
+  if (!email || profile.email_verified === false) return { error: 'sso_no_email' };
+
+  const claims = mapSsoClaims(profile);
+  if (claims.error) return claims;
+
+  const db = getDb();
+  const subject = String(profile.sub);
+  const name = profile.name || email;
+
+  return db.transaction(() => {
+    const before = findUserByEmail(email);
+    const linked = db.prepare('SELECT id FROM users WHERE sso_subject = ?').get(subject);
+
+    if (!before) {
+      if (linked) return { error: 'sso_conflict' };
+      // The account signs in through the IdP; its local password is
+      // random and never shown
+      const created = createUser({ email, name, ...claims, password: crypto.randomBytes(24).toString('base64url') });
+      db.prepare('UPDATE users SET sso_subject = ? WHERE id = ?').run(subject, created.id);
+      return { user: created, before: null };
+    }
+
+    const { sso_subject: boundTo } = db.prepare('SELECT sso_subject FROM users WHERE id = ?').get(before.id);
+    if ((boundTo && boundTo !== subject) || (linked && String(linked.id) !== before.id)) {
+      return { error: 'sso_conflict' };
+    }
+    if (!before.enabled) return { error: 'disabled' };
+
+    if (!boundTo) db.prepare('UPDATE users SET sso_subject = ? WHERE id = ?').run(subject, before.id);
+    updateUser(before.id, { name, ...claims });
+    return { user: findUserById(before.id), before };
+  })();
+}
@@ -0,0 +1,439 @@
+import { getDb } from './db.js';
+import { scopeWhere } from './access.js';
+import { resolveHubScope } from './hierarchy.js';
+import { publishEvent } from './liveEvents.js';
+
+// Charging station registry: site details plus a slot inventory, each
+// slot with its connector, power rating and live status
+
+export const SLOT_STATUSES = ['free', 'charging', 'faulted', 'offline'];
+export const CONNECTOR_TYPES = ['swap_dock', 'ccs2', 'type2', 'bharat_ac001', 'bharat_dc001'];
+
+const TIME_PATTERN = /^(([01]\d|2[0-3]):[0-5]\d|24:00)$/;
+const SLOT_LABEL_PATTERN = /^[A-Z0-9-]{1,8}$/;
+const MAX_SLOTS = 50;
+
+function toSlot(row) {
+  return {
+    label: row.label,
+    connectorType: row.connector_type,
+    powerKw: row.power_kw,
+    status: row.status,
+    statusChangedAt: row.status_changed_at,
+  };
+}
+
+function toStation(row, slots = []) {
+  if (!row) return null;
+
+  const slotSummary = Object.fromEntries(SLOT_STATUSES.map((status) => [status, 0]));
+  for (const slot of slots) slotSummary[slot.status]++;
+
+  return {
+    code: row.code,
+    name: row.name,
+    address: row.address,
+    latitude: row.latitude,
+    longitude: row.longitude,
+    powerKw: row.power_kw,
+    opensAt: row.opens_at,
+    closesAt: row.closes_at,
+    energyDeliveredKwh: row.energy_delivered_kwh,
+    hub: row.hub,
+    region: row.region,
+    circle: row.circle,
+    area: row.area,
+    retiredAt: row.retired_at,
+    maintenanceSince: row.maintenance_since,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+    slots,
+    slotSummary,
+  };
+}
+
+function slotsByStation(db, stationIds) {
+  const slots = new Map(stationIds.map((id) => [id, []]));
+  if (!stationIds.length) return slots;
+
+  const rows = db
+    .prepare(
+      `SELECT * FROM station_slots WHERE station_id IN (${stationIds.map(() => '?').join(', ')})
+       ORDER BY station_id, length(label), label`
+    )
+    .all(...stationIds);
+  for (const row of rows) slots.get(row.station_id).push(toSlot(row));
+  return slots;
+}
+
+/**
+ * List stations in the user's scope, each with its slots.
+ * Supports free-text search (code, name, address), region/circle/area
+ * and hub filters, a "has a slot in this status" filter and pagination.
+ */
+export function listStations(
+  user,
+  { q, region, circle, area, hub, slotStatus, includeRetired = false, page = 1, pageSize = 20 } = {}
+) {
+  const scope = scopeWhere(user, 's');
+  const where = [scope.sql];
+  const params = [...scope.params];
+
+  if (!includeRetired) {
+    where.push('s.retired_at IS NULL');
+  }
+  for (const [column, value] of Object.entries({ region, circle, area, hub })) {
+    if (value) {
+      where.push(`s.${column} = ?`);
+      params.push(value);
+    }
+  }
+  if (slotStatus) {
+    where.push('EXISTS (SELECT 1 FROM station_slots ss WHERE ss.station_id = s.id AND ss.status = ?)');
+    params.push(slotStatus);
+  }
+  if (q) {
+    where.push('(s.code LIKE ? OR s.name LIKE ? OR s.address LIKE ?)');
+    const like = `%${q}%`;
+    params.push(like, like, like);
+  }
+
+  const db = getDb();
+  const sql = where.join(' AND ');
+  const total = db.prepare(`SELECT COUNT(*) AS count FROM stations s WHERE ${sql}`).get(...params).count;
+  const rows = db
+    .prepare(`SELECT s.* FROM stations s WHERE ${sql} ORDER BY s.code LIMIT ? OFFSET ?`)
+    .all(...params, pageSize, (page - 1) * pageSize);
+  const slots = slotsByStation(db, rows.map((row) => row.id));
+
+  return { stations: rows.map((row) => toStation(row, slots.get(row.id))), total, page, pageSize };
+}
+
+export function getStation(code) {
+  const db = getDb();
+  const row = db.prepare('SELECT * FROM stations WHERE code = ?').get(code);
+  if (!row) return null;
+  return toStation(row, slotsByStation(db, [row.id]).get(row.id));
+}
+
+/**
+ * Look up a slot by its `STATION/SLOT` reference (e.g. `CS-001/2`),
+ * the form batteries use for their station location.
+ * Returns `{ station, slot }` or null.
+ */
+export function findStationSlot(slotRef) {
+  const [code, label, ...rest] = (slotRef || '').toUpperCase().split('/');
+  if (!code || !label || rest.length) return null;
+
+  const station = getStation(code);
+  const slot = station?.slots.find((candidate) => candidate.label === label);
+  return slot ? { station, slot } : null;
+}
+
+/**
+ * Next free CS-NNN station code
+ */
+function nextStationCode() {
+  const row = getDb().prepare('SELECT MAX(CAST(substr(code, 4) AS INTEGER)) AS seq FROM stations').get();
+  return `CS-${String((row.seq || 0) + 1).padStart(3, '0')}`;
+}
+
+/**
+ * Validate a slot's connector, power and (when given) label.
+ * Returns an error message, or null when valid.
+ */
+export function validateSlot(input, station = null) {
+  if ('label' in input) {
+    if (!SLOT_LABEL_PATTERN.test(input.label || '')) {
+      return 'Slot label must be 1-8 uppercase letters, digits or dashes';
+    }
+    if (station?.slots.some((slot) => slot.label === input.label)) {
+      return `Slot ${input.label} already exists`;
+    }
+  }
+  if ('connectorType' in input && !CONNECTOR_TYPES.includes(input.connectorType)) {
+    return `Connector must be one of: ${CONNECTOR_TYPES.join(', ')}`;
+  }
+  if ('powerKw' in input && !(input.powerKw > 0)) {
+    return 'Slot power must be a positive number of kW';
+  }
+  if ('status' in input && !SLOT_STATUSES.includes(input.status)) {
+    return `Slot status must be one of: ${SLOT_STATUSES.join(', ')}`;
+  }
+
+  return null;
+}
+
+/**
+ * Validate station fields, plus the initial slots when creating.
+ * Returns an error message, or null when valid.
+ */
+export function validateStation(input, existing = null) {
+  if ((!existing || 'name' in input) && !input.name) {
+    return 'Name is required';
+  }
+  if ((!existing || 'hub' in input) && !resolveHubScope(input.hub)) {
+    return `Unknown hub: ${input.hub || ''}`;
+  }
+  if ((!existing || 'latitude' in input) && !(input.latitude >= -90 && input.latitude <= 90)) {
+    return 'Latitude must be between -90 and 90';
+  }
+  if ((!existing || 'longitude' in input) && !(input.longitude >= -180 && input.longitude <= 180)) {
+    return 'Longitude must be between -180 and 180';
+  }
+  if ((!existing || 'powerKw' in input) && !(input.powerKw > 0)) {
+    return 'Power rating must be a positive number of kW';
+  }
+  if ('energyDeliveredKwh' in input && !(input.energyDeliveredKwh >= 0)) {
+    return 'Energy delivered must be a non-negative number of kWh';
+  }
+  if (existing && 'energyDeliveredKwh' in input && input.energyDeliveredKwh < existing.energyDeliveredKwh) {
+    return `Energy delivered cannot go backwards (currently ${existing.energyDeliveredKwh} kWh)`;
+  }
+
+  const opensAt = input.opensAt ?? existing?.opensAt;
+  const closesAt = input.closesAt ?? existing?.closesAt;
+  if (!TIME_PATTERN.test(opensAt || '') || !TIME_PATTERN.test(closesAt || '')) {
+    return 'Operating hours must be HH:MM (use 00:00 to 24:00 for round the clock)';
+  }
+  if (opensAt === closesAt) {
+    return 'Opening and closing times must differ';
+  }
+
+  if (!existing) {
+    if (!Array.isArray(input.slots) || input.slots.length === 0) {
+      return 'Add at least one slot';
+    }
+    if (input.slots.length > MAX_SLOTS) {
+      return `A station can have at most ${MAX_SLOTS} slots`;
+    }
+    for (const slot of input.slots) {
+      const slotError = validateSlot(slot);
+      if (slotError) return slotError;
+    }
+  }
+
+  return null;
+}
+
+function insertSlot(db, stationId, { label, connectorType, powerKw }) {
+  db.prepare('INSERT INTO station_slots (station_id, label, connector_type, power_kw) VALUES (?, ?, ?, ?)').run(
+    stationId,
+    label,
+    connectorType,
+    powerKw
+  );
+}
+
+/**
+ * Register a station with its slots, numbered 1..n
+ */
+export function createStation({ name, address, latitude, longitude, powerKw, opensAt, closesAt, hub, slots }) {
+  const db = getDb();
+  const scope = resolveHubScope(hub);
+  const code = nextStationCode();
+
+  db.transaction(() => {
+    const result = db
+      .prepare(
+        `INSERT INTO stations
+           (code, name, address, latitude, longitude, power_kw, opens_at, closes_at, hub, region, circle, area)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`
+      )
+      .run(code, name, address || null, latitude, longitude, powerKw, opensAt, closesAt, hub, scope.region, scope.circle, scope.area);
+
+    slots.forEach((slot, i) => insertSlot(db, result.lastInsertRowid, { ...slot, label: String(i + 1) }));
+  })();
+
+  const station = getStation(code);
+  publishEvent('asset.status', station, { kind: 'station', id: code, status: 'active' });
+  return station;
+}
+
+/**
+ * Update the given fields. Moving a station to another hub
+ * re-derives its region/circle/area.
+ */
+export function updateStation(code, fields) {
+  const columns = {
+    name: 'name',
+    address: 'address',
+    latitude: 'latitude',
+    longitude: 'longitude',
+    powerKw: 'power_kw',
+    opensAt: 'opens_at',
+    closesAt: 'closes_at',
+    energyDeliveredKwh: 'energy_delivered_kwh',
+  };
+  const sets = [];
+  const params = [];
+
+  for (const [field, column] of Object.entries(columns)) {
+    if (field in fields) {
+      sets.push(`${column} = ?`);
+      params.push(fields[field] ?? null);
+    }
+  }
+  if (fields.hub) {
+    const scope = resolveHubScope(fields.hub);
+    sets.push('hub = ?', 'region = ?', 'circle = ?', 'area = ?');
+    params.push(fields.hub, scope.region, scope.circle, scope.area);
+  }
+
+  if (sets.length) {
+    getDb()
+      .prepare(`UPDATE stations SET ${sets.join(', ')}, updated_at = datetime('now') WHERE code = ?`)
+      .run(...params, code);
+  }
+  return getStation(code);
+}
+
+/**
+ * Count the batteries currently sitting in a station's slots
+ * (or in one slot when `label` is given)
+ */
+export function countDockedBatteries(code, label) {
+  const sql = label
+    ? "SELECT COUNT(*) AS count FROM batteries WHERE location_type = 'station' AND location_ref = ?"
+    : "SELECT COUNT(*) AS count FROM batteries WHERE location_type = 'station' AND location_ref LIKE ?";
+  return getDb().prepare(sql).get(label ? `${code}/${label}` : `${code}/%`).count;
+}
+
+/**
+ * Retire a station. Its slots go offline; move any batteries out first.
+ */
+export function retireStation(code) {
+  const db = getDb();
+
+  db.transaction(() => {
+    db.prepare("UPDATE stations SET retired_at = datetime('now'), updated_at = datetime('now') WHERE code = ?").run(code);
+    db.prepare(
+      `UPDATE station_slots SET status = 'offline', status_changed_at = datetime('now')
+       WHERE status != 'offline' AND station_id = (SELECT id FROM stations WHERE code = ?)`
+    ).run(code);
+  })();
+
+  const station = getStation(code);
+  publishEvent('asset.status', station, { kind: 'station', id: code, status: 'retired' });
+  return station;
+}
+
+/**
+ * Take a station out of service for maintenance, or bring it back.
+ * Its slots keep their status; swaps are refused while it is down.
+ */
+export function setStationMaintenance(code, inMaintenance) {
+  getDb()
+    .prepare(
+      `UPDATE stations SET maintenance_since = ${inMaintenance ? "COALESCE(maintenance_since, datetime('now'))" : 'NULL'},
+         updated_at = datetime('now')
+       WHERE code = ?`
+    )
+    .run(code);
+
+  const station = getStation(code);
+  publishEvent('asset.status', station, { kind: 'station', id: code, status: inMaintenance ? 'maintenance' : 'active' });
+  return station;
+}
+
+/**
+ * Add a slot, labelled with the next free number unless one is given
+ */
+export function addSlot(code, { label, connectorType, powerKw }) {
+  const db = getDb();
+  const station = db.prepare('SELECT id FROM stations WHERE code = ?').get(code);
+  const nextLabel =
+    label ||
+    String(
+      db.prepare("SELECT COALESCE(MAX(CAST(label AS INTEGER)), 0) + 1 AS next FROM station_slots WHERE station_id = ?").get(station.id).next
+    );
+
+  insertSlot(db, station.id, { label: nextLabel, connectorType, powerKw });
+  db.prepare("UPDATE stations SET updated_at = datetime('now') WHERE id = ?").run(station.id);
+
+  const updated = getStation(code);
+  publishEvent('asset.status', updated, { kind: 'slot', id: `${code}/${nextLabel}`, status: 'free' });
+  return updated;
+}
+
+/**
+ * Update a slot's connector, power or live status
+ */
+export function updateSlot(code, label, fields) {
+  const sets = [];
+  const params = [];
+
+  if ('connectorType' in fields) {
+    sets.push('connector_type = ?');
+    params.push(fields.connectorType);
+  }
+  if ('powerKw' in fields) {
+    sets.push('power_kw = ?');
+    params.push(fields.powerKw);
+  }
+  if ('status' in fields) {
+    sets.push("status = ?, status_changed_at = CASE WHEN status = ? THEN status_changed_at ELSE datetime('now') END");
+    params.push(fields.status, fields.status);
+  }
+
+  if (sets.length) {
+    getDb()
+      .prepare(
+        `UPDATE station_slots SET ${sets.join(', ')}
+         WHERE label = ? AND station_id = (SELECT id FROM stations WHERE code = ?)`
+      )
+      .run(...params, label, code);
+  }
+
+  const station = getStation(code);
+  if ('status' in fields) {
+    publishEvent('asset.status', station, { kind: 'slot', id: `${code}/${label}`, status: fields.status });
+  }
+  return station;
+}
+
+export function removeSlot(code, label) {
+  getDb()
+    .prepare('DELETE FROM station_slots WHERE label = ? AND station_id = (SELECT id FROM stations WHERE code = ?)')
+    .run(label, code);
+
+  const station = getStation(code);
+  publishEvent('asset.status', station, { kind: 'slot', id: `${code}/${label}`, status: 'removed' });
+  return station;
+}
+
+/**
+ * Keep a slot's status in step with the batteries docked in it:
+ * charging while any pack is there, free once it's empty.
+ * Faulted and offline slots are left alone.
+ */
+export function syncSlotOccupancy(slotRef) {
+  const found = findStationSlot(slotRef);
+  if (!found || !['free', 'charging'].includes(found.slot.status)) return;
+
+  const status = countDockedBatteries(found.station.code, found.slot.label) ? 'charging' : 'free';
+  if (status !== found.slot.status) {
+    updateSlot(found.station.code, found.slot.label, { status });
+  }
+}
+
+/**
+ * Slot counts across in-service stations (not retired or under
+ * maintenance) in the user's scope, by status
+ */
+export function getSlotStatusCounts(user) {
+  const scope = scopeWhere(user, 's');
+  const counts = Object.fromEntries(SLOT_STATUSES.map((status) => [status, 0]));
+
+  const rows = getDb()
+    .prepare(
+      `SELECT ss.status, COUNT(*) AS count FROM station_slots ss
+       JOIN stations s ON s.id = ss.station_id
+       WHERE ${scope.sql} AND s.retired_at IS NULL AND s.maintenance_since IS NULL
+       GROUP BY ss.status`
+    )
+    .all(...scope.params);
+  for (const row of rows) counts[row.status] = row.count;
+
+  return counts;
+}
@@ -0,0 +1,440 @@
+import { getDb, LOCAL_TIME_OFFSET, toSqlTimestamp } from './db.js';
+import { scopeWhere } from './access.js';
+import { getHierarchyMap } from './hierarchy.js';
+import { getVehicle } from './vehicles.js';
+import { getBattery, resolveLocation, transferBattery } from './batteries.js';
+import { countDockedBatteries, getStation } from './stations.js';
+import { publishEvent } from './liveEvents.js';
+import { ROLES, hasAreaAccess, hasCircleAccess, isInUserScope, isSuperAdmin } from '../utils/auth.js';
+
+// Battery swap ledger: one row per swap at a station, plus the
+// configurable per-circle daily targets the dashboard measures against
+
+// How far ahead of the server clock a station's timestamp may be
+const CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+function toSwap(row) {
+  return {
+    id: String(row.id),
+    eventId: row.event_id,
+    station: row.station,
+    slot: row.slot,
+    batteryOut: row.battery_out,
+    batteryIn: row.battery_in,
+    vehicle: row.vehicle,
+    operator: row.operator,
+    hub: row.hub,
+    region: row.region,
+    circle: row.circle,
+    area: row.area,
+    swappedAt: row.swapped_at,
+    recordedBy: row.recorded_by,
+  };
+}
+
+/**
+ * List swaps in the user's scope, newest first.
+ * Supports free-text search (vehicle, battery serials, station),
+ * a station filter, a local-date range and pagination.
+ */
+export function listSwaps(user, { q, station, from, to, page = 1, pageSize = 20 } = {}) {
+  const scope = scopeWhere(user);
+  const where = [scope.sql];
+  const params = [...scope.params];
+
+  if (station) {
+    where.push('station = ?');
+    params.push(station);
+  }
+  if (from) {
+    where.push('date(swapped_at, ?) >= ?');
+    params.push(LOCAL_TIME_OFFSET, from);
+  }
+  if (to) {
+    where.push('date(swapped_at, ?) <= ?');
+    params.push(LOCAL_TIME_OFFSET, to);
+  }
+  if (q) {
+    where.push('(vehicle LIKE ? OR battery_out LIKE ? OR battery_in LIKE ? OR station LIKE ?)');
+    const like = `%${q}%`;
+    params.push(like, like, like, like);
+  }
+
+  const db = getDb();
+  const sql = where.join(' AND ');
+  const total = db.prepare(`SELECT COUNT(*) AS count FROM swap_events WHERE ${sql}`).get(...params).count;
+  const rows = db
+    .prepare(`SELECT * FROM swap_events WHERE ${sql} ORDER BY swapped_at DESC, id DESC LIMIT ? OFFSET ?`)
+    .all(...params, pageSize, (page - 1) * pageSize);
+
+  return { swaps: rows.map(toSwap), total, page, pageSize };
+}
+
+export function hasSwapEvent(eventId) {
+  return Boolean(getDb().prepare('SELECT 1 FROM swap_events WHERE event_id = ?').get(eventId));
+}
+
+/**
+ * Validate a swap event. The station and slot must be registered, the
+ * station active and the slot in service and empty (or holding only the
+ * incoming pack). Both packs must be in the battery inventory: the
+ * outgoing one can't be retired or fitted to another vehicle, the
+ * incoming one must be ready (in service or charging) and not fitted to
+ * any vehicle, and the vehicle can't be carrying some third pack.
+ * Returns an error message, or null when valid.
+ */
+export function validateSwap(input) {
+  if (input.eventId !== undefined && !/^[\w.:-]{1,64}$/.test(input.eventId)) {
+    return 'Event id must be 1-64 letters, digits, dots, colons, dashes or underscores';
+  }
+  if (!input.operator) return 'Operator is required';
+
+  const station = input.station && getStation(input.station);
+  if (!station || station.retiredAt) return `Unknown or retired station: ${input.station || ''}`;
+  if (station.maintenanceSince) return `Station ${station.code} is under maintenance`;
+  const slot = station.slots.find((candidate) => candidate.label === input.slot);
+  if (!slot) return `Station ${station.code} has no slot ${input.slot || ''}`;
+  if (!['free', 'charging'].includes(slot.status)) return `Slot ${station.code}/${slot.label} is ${slot.status}`;
+
+  const swappedAt = toSqlTimestamp(input.swappedAt);
+  if (!swappedAt) return 'Swap time must be an ISO 8601 timestamp';
+  if (new Date(`${swappedAt}Z`).getTime() > Date.now() + CLOCK_SKEW_MS) {
+    return 'Swap time is in the future';
+  }
+
+  const vehicle = getVehicle(input.vehicle);
+  if (!vehicle || vehicle.retiredAt) return `Unknown or retired vehicle: ${input.vehicle || ''}`;
+
+  if (!input.batteryOut || !input.batteryIn) return 'Both the outgoing and incoming battery are required';
+  if (input.batteryOut === input.batteryIn) return 'Outgoing and incoming battery must differ';
+
+  const batteryOut = getBattery(input.batteryOut);
+  if (!batteryOut) return `Unknown battery: ${input.batteryOut}`;
+  if (batteryOut.lifecycleState === 'retired') return `Battery ${batteryOut.serial} is retired`;
+
+  const batteryIn = getBattery(input.batteryIn);
+  if (!batteryIn) return `Unknown battery: ${input.batteryIn}`;
+  if (!['in_service', 'charging'].includes(batteryIn.lifecycleState)) {
+    return `Battery ${batteryIn.serial} is ${batteryIn.lifecycleState.replace('_', ' ')} and can't be issued`;
+  }
+  if (batteryIn.locationType === 'vehicle') {
+    return `Battery ${batteryIn.serial} is already fitted to ${batteryIn.locationRef}`;
+  }
+
+  if (vehicle.batterySerial && vehicle.batterySerial !== batteryOut.serial) {
+    return `${vehicle.id} has battery ${vehicle.batterySerial} installed, not ${batteryOut.serial}`;
+  }
+  if (batteryOut.locationType === 'vehicle' && batteryOut.locationRef !== vehicle.id) {
+    return `Battery ${batteryOut.serial} is fitted to ${batteryOut.locationRef}, not ${vehicle.id}`;
+  }
+
+  // The outgoing pack docks in the slot; the incoming one may be leaving it
+  const slotRef = `${station.code}/${slot.label}`;
+  const incomingDocked = batteryIn.locationType === 'station' && batteryIn.locationRef === slotRef;
+  if (countDockedBatteries(station.code, slot.label) > (incomingDocked ? 1 : 0)) {
+    return `Slot ${slotRef} already holds a battery`;
+  }
+
+  return null;
+}
+
+/**
+ * Check that the station, the vehicle and both packs of a validated swap
+ * are all within the user's scope: recording it moves the packs and
+ * refits the vehicle, not just the station's ledger.
+ * Returns an error message, or null when all are in scope.
+ */
+export function validateSwapScope(input, user) {
+  if (!isInUserScope(getStation(input.station), user)) return 'Station is outside your scope';
+  if (!isInUserScope(getVehicle(input.vehicle), user)) return `Vehicle ${input.vehicle} is outside your scope`;
+  for (const serial of [input.batteryOut, input.batteryIn]) {
+    if (!isInUserScope(getBattery(serial), user)) return `Battery ${serial} is outside your scope`;
+  }
+
+  return null;
+}
+
+/**
+ * Record a validated swap and move both packs in the inventory: the
+ * outgoing one onto the station slot to charge, the incoming one into
+ * the vehicle. Events carrying an `eventId` that was already recorded
+ * are skipped, so station controllers can safely retry.
+ * Returns `{ swap }` or `{ duplicate: true }`. Call validateSwap() first.
+ */
+export function recordSwap(input, actor) {
+  const db = getDb();
+  const station = getStation(input.station);
+  const slotRef = `${station.code}/${input.slot}`;
+
+  return db.transaction(() => {
+    if (input.eventId && hasSwapEvent(input.eventId)) {
+      return { duplicate: true };
+    }
+
+    const result = db
+      .prepare(
+        `INSERT INTO swap_events
+           (event_id, station, slot, battery_out, battery_in, vehicle, operator, hub, region, circle, area, swapped_at, recorded_by)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`
+      )
+      .run(
+        input.eventId ?? null,
+        input.station,
+        input.slot,
+        input.batteryOut,
+        input.batteryIn,
+        input.vehicle,
+        input.operator,
+        station.hub,
+        station.region,
+        station.circle,
+        station.area,
+        toSqlTimestamp(input.swappedAt),
+        actor?.name ?? null
+      );
+
+    transferBattery(
+      input.batteryOut,
+      {
+        location: resolveLocation({ locationType: 'station', locationRef: slotRef }),
+        lifecycleState: 'charging',
+        note: `Swapped out of ${input.vehicle}`,
+      },
+      actor
+    );
+    transferBattery(
+      input.batteryIn,
+      {
+        location: resolveLocation({ locationType: 'vehicle', locationRef: input.vehicle }),
+        lifecycleState: 'in_service',
+        note: `Swapped in at ${slotRef}`,
+      },
+      actor
+    );
+
+    const swap = toSwap(db.prepare('SELECT * FROM swap_events WHERE id = ?').get(result.lastInsertRowid));
+    publishEvent('swap.recorded', station, swap);
+    return { swap };
+  })();
+}
+
+/**
+ * Check if a user may set the daily swap target for a circle:
+ * super admins for any circle, regional heads for circles in their region
+ */
+export function canSetSwapTarget(user, circle, hierarchy = getHierarchyMap()) {
+  if (isSuperAdmin(user)) return circle in hierarchy.circles;
+  return user?.role === ROLES.REGIONAL_HEAD && hasCircleAccess(user, circle, hierarchy);
+}
+
+/**
+ * Daily swap targets for every circle in the user's scope.
+ * `dailyTarget` is null where none has been configured.
+ */
+export function listSwapTargets(user, hierarchy = getHierarchyMap()) {
+  const targets = new Map(
+    getDb()
+      .prepare('SELECT circle, daily_target FROM swap_targets')
+      .all()
+      .map((row) => [row.circle, row.daily_target])
+  );
+
+  return Object.keys(hierarchy.circles)
+    .filter((circle) => hasCircleAccess(user, circle, hierarchy))
+    .map((circle) => ({
+      circle,
+      name: hierarchy.names.circle[circle] || circle,
+      region: hierarchy.circles[circle],
+      dailyTarget: targets.get(circle) ?? null,
+    }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Set a circle's daily swap target; null clears it
+ */
+export function setSwapTarget(circle, dailyTarget, actor) {
+  const db = getDb();
+
+  if (dailyTarget === null) {
+    db.prepare('DELETE FROM swap_targets WHERE circle = ?').run(circle);
+    return;
+  }
+
+  db.prepare(
+    `INSERT INTO swap_targets (circle, daily_target, updated_by) VALUES (?, ?, ?)
+     ON CONFLICT (circle) DO UPDATE SET
+       daily_target = excluded.daily_target, updated_by = excluded.updated_by, updated_at = datetime('now')`
+  ).run(circle, dailyTarget, actor?.name ?? null);
+}
+
+// Combined daily target of the circles in scope. Targets are set per
+// circle, so an area head, who sees only part of one, has none.
+function scopeTarget(user, hierarchy) {
+  if (user.role === ROLES.AREA_HEAD) return null;
+  return listSwapTargets(user, hierarchy).reduce((sum, row) => sum + (row.dailyTarget || 0), 0) || null;
+}
+
+// Circle and area heads see swaps broken down by area, everyone else by circle
+function breakdownLevel(user) {
+  return user.role === ROLES.CIRCLE_HEAD || user.role === ROLES.AREA_HEAD ? 'area' : 'circle';
+}
+
+/**
+ * Swap metrics for the battery dashboard, computed from the ledger for the
+ * user's scope. Targets are the configured per-circle daily targets (none
+ * for area heads).
+ */
+export function getSwapMetrics(user) {
+  const db = getDb();
+  const scope = scopeWhere(user);
+  const hierarchy = getHierarchyMap();
+  const groupBy = breakdownLevel(user);
+  const byArea = groupBy === 'area';
+
+  const countForDay = (daysAgo) =>
+    db
+      .prepare(
+        `SELECT COUNT(*) AS count FROM swap_events
+         WHERE ${scope.sql} AND date(swapped_at, ?) = date('now', ?, ?)`
+      )
+      .get(...scope.params, LOCAL_TIME_OFFSET, LOCAL_TIME_OFFSET, `-${daysAgo} days`).count;
+
+  const today = countForDay(0);
+  const yesterday = countForDay(1);
+
+  const lastWeek = db
+    .prepare(
+      `SELECT COUNT(*) AS count FROM swap_events
+       WHERE ${scope.sql}
+         AND date(swapped_at, ?) BETWEEN date('now', ?, '-7 days') AND date('now', ?, '-1 days')`
+    )
+    .get(...scope.params, LOCAL_TIME_OFFSET, LOCAL_TIME_OFFSET, LOCAL_TIME_OFFSET).count;
+
+  const todayByGroup = new Map(
+    db
+      .prepare(
+        `SELECT ${groupBy} AS code, COUNT(*) AS swaps FROM swap_events
+         WHERE ${scope.sql} AND date(swapped_at, ?) = date('now', ?)
+         GROUP BY ${groupBy}`
+      )
+      .all(...scope.params, LOCAL_TIME_OFFSET, LOCAL_TIME_OFFSET)
+      .map((row) => [row.code, row.swaps])
+  );
+
+  const targets = new Map(listSwapTargets(user, hierarchy).map((row) => [row.circle, row.dailyTarget]));
+  const groups = byArea
+    ? Object.keys(hierarchy.areas).filter((area) => hasAreaAccess(user, area, hierarchy))
+    : [...targets.keys()];
+  // Swaps recorded against nodes since removed from the hierarchy still count
+  const codes = new Set([...groups, ...todayByGroup.keys()]);
+
+  const breakdown = [...codes]
+    .map((code) => {
+      const swaps = todayByGroup.get(code) || 0;
+      const target = byArea ? null : targets.get(code) ?? null;
+      return {
+        code,
+        name: hierarchy.names[groupBy][code] || code,
+        swaps,
+        target,
+        achievement: target ? Math.round((swaps / target) * 100) : null,
+      };
+    })
+    .sort((a, b) => b.swaps - a.swaps || a.name.localeCompare(b.name));
+
+  const target = scopeTarget(user, hierarchy);
+
+  return {
+    today,
+    yesterday,
+    growth: yesterday ? ((today - yesterday) / yesterday) * 100 : null,
+    weeklyAverage: Math.round(lastWeek / 7),
+    target,
+    targetAchievement: target ? Math.round((today / target) * 100) : null,
+    breakdownBy: groupBy,
+    breakdown,
+  };
+}
+
+export const TREND_WINDOWS = [7, 30, 90];
+
+// Smaller circles/areas beyond this many are folded into one "Other" series
+const MAX_TREND_SERIES = 6;
+
+function shiftDay(day, offset) {
+  const date = new Date(`${day}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + offset);
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Daily swap counts over the last `days` local days (today included),
+ * broken down by circle or area like getSwapMetrics(), alongside the
+ * totals for the preceding period of the same length and the combined
+ * daily target of the circles in scope (none for area heads).
+ */
+export function getSwapTrend(user, days) {
+  const db = getDb();
+  const scope = scopeWhere(user);
+  const hierarchy = getHierarchyMap();
+  const groupBy = breakdownLevel(user);
+
+  const today = db.prepare("SELECT date('now', ?) AS day").get(LOCAL_TIME_OFFSET).day;
+  const firstDay = shiftDay(today, 1 - days * 2);
+
+  const rows = db
+    .prepare(
+      `SELECT date(swapped_at, ?) AS day, ${groupBy} AS code, COUNT(*) AS swaps FROM swap_events
+       WHERE ${scope.sql} AND date(swapped_at, ?) BETWEEN ? AND ?
+       GROUP BY day, code`
+    )
+    .all(LOCAL_TIME_OFFSET, ...scope.params, LOCAL_TIME_OFFSET, firstDay, today);
+
+  const currentStart = shiftDay(today, 1 - days);
+  const groupTotals = new Map();
+  for (const row of rows) {
+    if (row.day >= currentStart) {
+      groupTotals.set(row.code, (groupTotals.get(row.code) || 0) + row.swaps);
+    }
+  }
+
+  const ranked = [...groupTotals.entries()].sort((a, b) => b[1] - a[1]).map(([code]) => code);
+  const shown = ranked.length > MAX_TREND_SERIES ? ranked.slice(0, MAX_TREND_SERIES - 1) : ranked;
+  const series = shown.map((code) => ({ code, name: hierarchy.names[groupBy][code] || code }));
+  if (shown.length < ranked.length) series.push({ code: 'other', name: 'Other' });
+
+  const seriesFor = (code) => (shown.includes(code) ? code : 'other');
+  const points = Array.from({ length: days }, (_, i) => ({
+    date: shiftDay(currentStart, i),
+    previousDate: shiftDay(firstDay, i),
+    total: 0,
+    previous: 0,
+    byGroup: {},
+  }));
+  const pointIndex = new Map(points.map((point, i) => [point.date, i]));
+  const previousIndex = new Map(points.map((point, i) => [point.previousDate, i]));
+
+  for (const row of rows) {
+    if (pointIndex.has(row.day)) {
+      const point = points[pointIndex.get(row.day)];
+      const code = seriesFor(row.code);
+      point.total += row.swaps;
+      point.byGroup[code] = (point.byGroup[code] || 0) + row.swaps;
+    } else {
+      points[previousIndex.get(row.day)].previous += row.swaps;
+    }
+  }
+
+  const target = scopeTarget(user, hierarchy);
+
+  return {
+    days,
+    groupBy,
+    series,
+    points,
+    target,
+    total: points.reduce((sum, point) => sum + point.total, 0),
+    previousTotal: points.reduce((sum, point) => sum + point.previous, 0),
+  };
+}
@@ -0,0 +1,258 @@
+import { createHash, randomBytes } from 'crypto';
+import { getDb, toSqlTimestamp } from './db.js';
+import { scopeWhere } from './access.js';
+import { resolveHubScope } from './hierarchy.js';
+import { getVehicle } from './vehicles.js';
+
+// TCU (telematics control unit) registry. Each device is identified by
+// its IMEI or vendor id, optionally paired with one vehicle, and
+// authenticates telemetry uploads with its own API key. The telemetry
+// itself lives in telemetry.js.
+
+// A device counts as online if it reported within this many minutes
+export const ONLINE_WINDOW_MINUTES = Number(process.env.TCU_ONLINE_WINDOW_MINUTES) || 10;
+
+const DEVICE_ID_PATTERN = /^[A-Za-z0-9_-]{6,32}$/;
+const API_KEY_PREFIX = 'tcu_';
+
+function onlineSince() {
+  return toSqlTimestamp(Date.now() - ONLINE_WINDOW_MINUTES * 60 * 1000);
+}
+
+function toDevice(row) {
+  if (!row) return null;
+
+  return {
+    deviceId: row.device_id,
+    vehicle: row.vehicle,
+    firmwareVersion: row.firmware_version,
+    apiKeyHint: row.api_key_hint,
+    hub: row.hub,
+    region: row.region,
+    circle: row.circle,
+    area: row.area,
+    lastSeenAt: row.last_seen_at,
+    online: !row.decommissioned_at && !!row.last_seen_at && row.last_seen_at >= onlineSince(),
+    decommissionedAt: row.decommissioned_at,
+    maintenanceSince: row.maintenance_since,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+function hashApiKey(apiKey) {
+  return createHash('sha256').update(apiKey).digest('hex');
+}
+
+function generateApiKey() {
+  const apiKey = API_KEY_PREFIX + randomBytes(24).toString('base64url');
+  return { apiKey, hash: hashApiKey(apiKey), hint: apiKey.slice(-4) };
+}
+
+/**
+ * List devices in the user's scope.
+ * Supports free-text search (device id, vehicle, firmware),
+ * online/offline and hub filters, and pagination.
+ */
+export function listDevices(user, { q, state, hub, includeDecommissioned = false, page = 1, pageSize = 20 } = {}) {
+  const scope = scopeWhere(user);
+  const where = [scope.sql];
+  const params = [...scope.params];
+
+  if (!includeDecommissioned) {
+    where.push('decommissioned_at IS NULL');
+  }
+  if (state === 'online') {
+    where.push('last_seen_at >= ?');
+    params.push(onlineSince());
+  } else if (state === 'offline') {
+    where.push('(last_seen_at IS NULL OR last_seen_at < ?)');
+    params.push(onlineSince());
+  }
+  if (hub) {
+    where.push('hub = ?');
+    params.push(hub);
+  }
+  if (q) {
+    where.push('(device_id LIKE ? OR vehicle LIKE ? OR firmware_version LIKE ?)');
+    const like = `%${q}%`;
+    params.push(like, like, like);
+  }
+
+  const db = getDb();
+  const sql = where.join(' AND ');
+  const total = db.prepare(`SELECT COUNT(*) AS count FROM tcu_devices WHERE ${sql}`).get(...params).count;
+  const rows = db
+    .prepare(`SELECT * FROM tcu_devices WHERE ${sql} ORDER BY device_id LIMIT ? OFFSET ?`)
+    .all(...params, pageSize, (page - 1) * pageSize);
+
+  return { devices: rows.map(toDevice), total, page, pageSize };
+}
+
+export function getDevice(deviceId) {
+  return toDevice(getDb().prepare('SELECT * FROM tcu_devices WHERE device_id = ?').get(deviceId));
+}
+
+export function getPairedDevice(vehicle) {
+  return toDevice(
+    getDb().prepare('SELECT * FROM tcu_devices WHERE vehicle = ? AND decommissioned_at IS NULL').get(vehicle)
+  );
+}
+
+/**
+ * Resolve the device an API key belongs to, or null.
+ * Decommissioned devices no longer authenticate.
+ */
+export function authenticateDevice(apiKey) {
+  if (!apiKey?.startsWith(API_KEY_PREFIX)) return null;
+
+  const row = getDb().prepare('SELECT * FROM tcu_devices WHERE api_key_hash = ?').get(hashApiKey(apiKey));
+  if (!row || row.decommissioned_at) return null;
+  return toDevice(row);
+}
+
+/**
+ * Validate device fields. Pass the existing device when editing.
+ * A paired device takes its hub from the vehicle, so `hub` is only
+ * required for unpaired devices.
+ * Returns an error message, or null when valid.
+ */
+export function validateDevice(input, existing = null) {
+  if (!existing) {
+    if (!DEVICE_ID_PATTERN.test(input.deviceId || '')) {
+      return 'Device id must be the IMEI or 6-32 letters, digits, dashes or underscores';
+    }
+    if (getDevice(input.deviceId)) return `Device ${input.deviceId} is already registered`;
+  }
+
+  if (input.vehicle) {
+    const vehicle = getVehicle(input.vehicle);
+    if (!vehicle || vehicle.retiredAt) return `Unknown or retired vehicle: ${input.vehicle}`;
+
+    const paired = getPairedDevice(input.vehicle);
+    if (paired && paired.deviceId !== existing?.deviceId) {
+      return `${input.vehicle} is already paired with TCU ${paired.deviceId}`;
+    }
+  } else if ((!existing || 'hub' in input) && !resolveHubScope(input.hub)) {
+    return `Unknown hub: ${input.hub || ''}`;
+  }
+
+  if (input.firmwareVersion && input.firmwareVersion.length > 32) {
+    return 'Firmware version must be at most 32 characters';
+  }
+
+  return null;
+}
+
+/**
+ * Hub a device belongs to: its vehicle's when paired, otherwise the given hub
+ */
+export function resolveDeviceHub({ vehicle, hub }) {
+  return vehicle ? getVehicle(vehicle).hub : hub;
+}
+
+/**
+ * Register a device. Returns `{ device, apiKey }`; the key is only
+ * ever shown here and on rotation, the database keeps its hash.
+ */
+export function createDevice({ deviceId, vehicle, firmwareVersion, hub }) {
+  const resolvedHub = resolveDeviceHub({ vehicle, hub });
+  const scope = resolveHubScope(resolvedHub);
+  const key = generateApiKey();
+
+  getDb()
+    .prepare(
+      `INSERT INTO tcu_devices
+         (device_id, vehicle, firmware_version, api_key_hash, api_key_hint, hub, region, circle, area)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`
+    )
+    .run(
+      deviceId,
+      vehicle || null,
+      firmwareVersion || null,
+      key.hash,
+      key.hint,
+      resolvedHub,
+      scope.region,
+      scope.circle,
+      scope.area
+    );
+
+  return { device: getDevice(deviceId), apiKey: key.apiKey };
+}
+
+/**
+ * Update pairing, firmware version or hub. Pairing with a vehicle moves
+ * the device to the vehicle's hub; unpairing keeps it where it was
+ * unless a hub is given.
+ */
+export function updateDevice(deviceId, fields) {
+  const sets = [];
+  const params = [];
+
+  if ('vehicle' in fields) {
+    sets.push('vehicle = ?');
+    params.push(fields.vehicle || null);
+  }
+  if ('firmwareVersion' in fields) {
+    sets.push('firmware_version = ?');
+    params.push(fields.firmwareVersion || null);
+  }
+
+  const hub = fields.vehicle ? resolveDeviceHub(fields) : fields.hub;
+  if (hub) {
+    const scope = resolveHubScope(hub);
+    sets.push('hub = ?', 'region = ?', 'circle = ?', 'area = ?');
+    params.push(hub, scope.region, scope.circle, scope.area);
+  }
+
+  if (sets.length) {
+    getDb()
+      .prepare(`UPDATE tcu_devices SET ${sets.join(', ')}, updated_at = datetime('now') WHERE device_id = ?`)
+      .run(...params, deviceId);
+  }
+  return getDevice(deviceId);
+}
+
+/**
+ * Flag a device as under maintenance, or clear the flag. It keeps
+ * authenticating so its telemetry can be checked during the job.
+ */
+export function setDeviceMaintenance(deviceId, inMaintenance) {
+  getDb()
+    .prepare(
+      `UPDATE tcu_devices SET maintenance_since = ${inMaintenance ? "COALESCE(maintenance_since, datetime('now'))" : 'NULL'},
+         updated_at = datetime('now')
+       WHERE device_id = ?`
+    )
+    .run(deviceId);
+  return getDevice(deviceId);
+}
+
+/**
+ * Issue a new API key, invalidating the old one immediately.
+ * Returns the new key.
+ */
+export function rotateApiKey(deviceId) {
+  const key = generateApiKey();
+  getDb()
+    .prepare(
+      "UPDATE tcu_devices SET api_key_hash = ?, api_key_hint = ?, updated_at = datetime('now') WHERE device_id = ?"
+    )
+    .run(key.hash, key.hint, deviceId);
+  return key.apiKey;
+}
+
+/**
+ * Decommission a device: it is unpaired, stops authenticating and is
+ * hidden from the default list. Its telemetry is kept.
+ */
+export function decommissionDevice(deviceId) {
+  getDb()
+    .prepare(
+      `UPDATE tcu_devices SET vehicle = NULL, decommissioned_at = datetime('now'), updated_at = datetime('now')
+       WHERE device_id = ?`
+    )
+    .run(deviceId);
+  return getDevice(deviceId);
+}
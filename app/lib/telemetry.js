@@ -0,0 +1,153 @@
+import { getDb, toSqlTimestamp } from './db.js';
+
+// TCU telemetry store. Kept free of Next.js imports so the MQTT bridge
+// (scripts/mqtt-bridge.mjs) can feed it from a plain Node process, the
+// same way the HTTP ingest route does.
+
+export const MAX_TELEMETRY_BATCH = 500;
+
+// How far ahead of the server clock a device's timestamp may be
+const CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+// Telemetry fields: [input name, column, min, max]
+const MEASUREMENTS = [
+  ['latitude', 'latitude', -90, 90],
+  ['longitude', 'longitude', -180, 180],
+  ['speedKmh', 'speed_kmh', 0, 300],
+  ['soc', 'soc', 0, 100],
+  ['packVoltage', 'pack_voltage', 0, 1000],
+  ['packCurrent', 'pack_current', -1000, 1000],
+  ['packTempC', 'pack_temp_c', -40, 150],
+];
+
+export function toTelemetry(row) {
+  if (!row) return null;
+
+  return {
+    vehicle: row.vehicle,
+    recordedAt: row.recorded_at,
+    latitude: row.latitude,
+    longitude: row.longitude,
+    speedKmh: row.speed_kmh,
+    soc: row.soc,
+    packVoltage: row.pack_voltage,
+    packCurrent: row.pack_current,
+    packTempC: row.pack_temp_c,
+    ignition: row.ignition === null ? null : row.ignition === 1,
+    receivedAt: row.received_at,
+  };
+}
+
+/**
+ * Most recent telemetry for a device, newest first
+ */
+export function listTelemetry(deviceId, { limit = 50 } = {}) {
+  const rows = getDb()
+    .prepare(
+      `SELECT t.* FROM tcu_telemetry t
+       JOIN tcu_devices d ON d.id = t.device_id
+       WHERE d.device_id = ?
+       ORDER BY t.recorded_at DESC LIMIT ?`
+    )
+    .all(deviceId, limit);
+  return rows.map(toTelemetry);
+}
+
+/**
+ * Validate one telemetry record. Every field except `recordedAt` is
+ * optional, but a record must carry at least one measurement and
+ * latitude/longitude come as a pair.
+ * Returns an error message, or null when valid.
+ */
+export function validateTelemetry(record) {
+  if (!record || typeof record !== 'object') return 'Record must be an object';
+
+  const recordedAt = toSqlTimestamp(record.recordedAt);
+  if (!record.recordedAt || !recordedAt) return 'recordedAt must be an ISO 8601 timestamp';
+  if (new Date(`${recordedAt}Z`).getTime() > Date.now() + CLOCK_SKEW_MS) {
+    return 'recordedAt is in the future';
+  }
+
+  for (const [field, , min, max] of MEASUREMENTS) {
+    const value = record[field];
+    if (value === undefined || value === null) continue;
+    if (typeof value !== 'number' || !Number.isFinite(value) || value < min || value > max) {
+      return `${field} must be a number between ${min} and ${max}`;
+    }
+  }
+
+  if ((record.latitude == null) !== (record.longitude == null)) {
+    return 'latitude and longitude must be sent together';
+  }
+  if (record.ignition !== undefined && record.ignition !== null && typeof record.ignition !== 'boolean') {
+    return 'ignition must be true or false';
+  }
+  if (![...MEASUREMENTS.map(([field]) => field), 'ignition'].some((field) => record[field] != null)) {
+    return 'Record has no measurements';
+  }
+
+  return null;
+}
+
+/**
+ * The key an active device signs its MQTT telemetry with (see
+ * telemetryCodec.js), or null for unknown and decommissioned devices.
+ * It is the stored hash of the device's API key, so rotating the key
+ * changes it too.
+ */
+export function getDeviceSigningKey(deviceId) {
+  const row = getDb()
+    .prepare('SELECT api_key_hash, decommissioned_at FROM tcu_devices WHERE device_id = ?')
+    .get(deviceId);
+  if (!row || row.decommissioned_at) return null;
+  return Buffer.from(row.api_key_hash, 'hex');
+}
+
+/**
+ * Store a batch of telemetry for a device and mark it seen. Records
+ * are validated one by one; a record with the same `recordedAt` as one
+ * already stored counts as a duplicate, so devices can resend safely.
+ * Returns `{ accepted, duplicates, rejected: [{ index, error }] }`,
+ * or null if the device is unknown or decommissioned.
+ */
+export function ingestTelemetry(deviceId, records, { firmwareVersion } = {}) {
+  const db = getDb();
+  const device = db
+    .prepare('SELECT id, vehicle FROM tcu_devices WHERE device_id = ? AND decommissioned_at IS NULL')
+    .get(deviceId);
+  if (!device) return null;
+
+  const insert = db.prepare(
+    `INSERT OR IGNORE INTO tcu_telemetry
+       (device_id, vehicle, recorded_at, ${MEASUREMENTS.map(([, column]) => column).join(', ')}, ignition)
+     VALUES (?, ?, ?, ${MEASUREMENTS.map(() => '?').join(', ')}, ?)`
+  );
+  const result = { accepted: 0, duplicates: 0, rejected: [] };
+
+  db.transaction(() => {
+    records.forEach((record, index) => {
+      const validationError = validateTelemetry(record);
+      if (validationError) {
+        result.rejected.push({ index, error: validationError });
+        return;
+      }
+
+      const { changes } = insert.run(
+        device.id,
+        device.vehicle,
+        toSqlTimestamp(record.recordedAt),
+        ...MEASUREMENTS.map(([field]) => record[field] ?? null),
+        typeof record.ignition === 'boolean' ? Number(record.ignition) : null
+      );
+      if (changes) result.accepted++;
+      else result.duplicates++;
+    });
+
+    db.prepare(
+      `UPDATE tcu_devices SET last_seen_at = datetime('now'), firmware_version = COALESCE(?, firmware_version)
+       WHERE id = ?`
+    ).run(firmwareVersion || null, device.id);
+  })();
+
+  return result;
+}
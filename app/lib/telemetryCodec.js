@@ -0,0 +1,162 @@
+import { createHash, createHmac, timingSafeEqual } from 'crypto';
+
+// Decoding of TCU telemetry payloads received over MQTT.
+//
+// JSON payloads take the same shape as the HTTP ingest body
+// ({ firmwareVersion?, records: [...] }), a bare array of records, or a
+// single record object.
+//
+// Compact binary payloads (format version 1, big-endian) are a 2-byte
+// header - version (0x01) and record count - followed by 21-byte records:
+//
+//   offset  type    field                          "absent" value
+//   0       uint32  recordedAt, unix seconds
+//   4       int32   latitude × 1e6                 0x7fffffff
+//   8       int32   longitude × 1e6                0x7fffffff
+//   12      uint16  speed, km/h × 10               0xffff
+//   14      uint8   state of charge, %             0xff
+//   15      uint16  pack voltage, V × 10           0xffff
+//   17      int16   pack current, A × 10           0x7fff
+//   19      int8    pack temperature, °C           0x7f
+//   20      uint8   flags: bit 0 ignition on, bit 1 ignition reported
+//
+// Either kind is signed by the device: the message is the payload
+// followed by a 32-byte HMAC-SHA256 of it, keyed with the SHA-256 of the
+// device's API key (which is what the registry keeps, see tcu.js).
+
+export const BINARY_FORMAT_VERSION = 1;
+export const SIGNATURE_SIZE = 32;
+const HEADER_SIZE = 2;
+const RECORD_SIZE = 21;
+
+const ABSENT = {
+  int32: 0x7fffffff,
+  uint16: 0xffff,
+  uint8: 0xff,
+  int16: 0x7fff,
+  int8: 0x7f,
+};
+
+export class PayloadDecodeError extends Error {}
+
+function scaled(value, absent, factor) {
+  return value === absent ? null : value / factor;
+}
+
+function decodeJson(payload) {
+  let parsed;
+  try {
+    parsed = JSON.parse(payload.toString('utf8'));
+  } catch (err) {
+    throw new PayloadDecodeError(`Invalid JSON: ${err.message}`);
+  }
+
+  if (Array.isArray(parsed)) return { records: parsed };
+  if (parsed && Array.isArray(parsed.records)) {
+    return { firmwareVersion: parsed.firmwareVersion, records: parsed.records };
+  }
+  if (parsed && typeof parsed === 'object' && 'recordedAt' in parsed) return { records: [parsed] };
+  throw new PayloadDecodeError('JSON payload must be a record, an array of records or { records: [...] }');
+}
+
+function decodeBinary(payload) {
+  const version = payload.readUInt8(0);
+  if (version !== BINARY_FORMAT_VERSION) {
+    throw new PayloadDecodeError(`Unsupported binary format version ${version}`);
+  }
+  if (payload.length < HEADER_SIZE) throw new PayloadDecodeError('Binary payload is missing its header');
+
+  const count = payload.readUInt8(1);
+  if (payload.length !== HEADER_SIZE + count * RECORD_SIZE) {
+    throw new PayloadDecodeError(
+      `Binary payload declares ${count} records (${HEADER_SIZE + count * RECORD_SIZE} bytes) but is ${payload.length} bytes`
+    );
+  }
+
+  const records = [];
+  for (let i = 0; i < count; i++) {
+    const offset = HEADER_SIZE + i * RECORD_SIZE;
+    const flags = payload.readUInt8(offset + 20);
+
+    records.push({
+      recordedAt: new Date(payload.readUInt32BE(offset) * 1000).toISOString(),
+      latitude: scaled(payload.readInt32BE(offset + 4), ABSENT.int32, 1e6),
+      longitude: scaled(payload.readInt32BE(offset + 8), ABSENT.int32, 1e6),
+      speedKmh: scaled(payload.readUInt16BE(offset + 12), ABSENT.uint16, 10),
+      soc: scaled(payload.readUInt8(offset + 14), ABSENT.uint8, 1),
+      packVoltage: scaled(payload.readUInt16BE(offset + 15), ABSENT.uint16, 10),
+      packCurrent: scaled(payload.readInt16BE(offset + 17), ABSENT.int16, 10),
+      packTempC: scaled(payload.readInt8(offset + 19), ABSENT.int8, 1),
+      ignition: flags & 0b10 ? Boolean(flags & 0b01) : null,
+    });
+  }
+  return { records };
+}
+
+/**
+ * Decode an MQTT telemetry payload into `{ firmwareVersion?, records }`.
+ * JSON is recognised by its first non-blank character; anything else is
+ * read as the compact binary format. Throws PayloadDecodeError.
+ */
+export function decodeTelemetryPayload(payload) {
+  if (!payload?.length) throw new PayloadDecodeError('Empty payload');
+
+  const first = payload.toString('utf8', 0, Math.min(payload.length, 16)).trimStart()[0];
+  return first === '{' || first === '[' ? decodeJson(payload) : decodeBinary(payload);
+}
+
+/**
+ * Encode records in the compact binary format, the inverse of
+ * decodeTelemetryPayload(). Used by the TCU simulator.
+ */
+export function encodeTelemetryBinary(records) {
+  if (records.length > 255) throw new RangeError('At most 255 records per binary payload');
+
+  const payload = Buffer.alloc(HEADER_SIZE + records.length * RECORD_SIZE);
+  payload.writeUInt8(BINARY_FORMAT_VERSION, 0);
+  payload.writeUInt8(records.length, 1);
+
+  const field = (value, factor, absent) => (value == null ? absent : Math.round(value * factor));
+
+  records.forEach((record, i) => {
+    const offset = HEADER_SIZE + i * RECORD_SIZE;
+    payload.writeUInt32BE(Math.floor(new Date(record.recordedAt).getTime() / 1000), offset);
+    payload.writeInt32BE(field(record.latitude, 1e6, ABSENT.int32), offset + 4);
+    payload.writeInt32BE(field(record.longitude, 1e6, ABSENT.int32), offset + 8);
+    payload.writeUInt16BE(field(record.speedKmh, 10, ABSENT.uint16), offset + 12);
+    payload.writeUInt8(field(record.soc, 1, ABSENT.uint8), offset + 14);
+    payload.writeUInt16BE(field(record.packVoltage, 10, ABSENT.uint16), offset + 15);
+    payload.writeInt16BE(field(record.packCurrent, 10, ABSENT.int16), offset + 17);
+    payload.writeInt8(field(record.packTempC, 1, ABSENT.int8), offset + 19);
+    payload.writeUInt8(record.ignition == null ? 0 : 0b10 | Number(record.ignition), offset + 20);
+  });
+  return payload;
+}
+
+/**
+ * The key a device signs its messages with, derived from its API key
+ */
+export function telemetrySigningKey(apiKey) {
+  return createHash('sha256').update(apiKey).digest();
+}
+
+/**
+ * Append the signature to a payload. Used by the TCU simulator.
+ */
+export function signTelemetryPayload(payload, signingKey) {
+  const body = Buffer.from(payload);
+  return Buffer.concat([body, createHmac('sha256', signingKey).update(body).digest()]);
+}
+
+/**
+ * Check a signed message against the device's signing key. Returns the
+ * payload without its signature, or null when the signature is missing
+ * or doesn't match.
+ */
+export function verifyTelemetryPayload(message, signingKey) {
+  if (message.length <= SIGNATURE_SIZE) return null;
+
+  const payload = message.subarray(0, message.length - SIGNATURE_SIZE);
+  const expected = createHmac('sha256', signingKey).update(payload).digest();
+  return timingSafeEqual(expected, message.subarray(message.length - SIGNATURE_SIZE)) ? payload : null;
+}
@@ -0,0 +1,196 @@
+import crypto from 'node:crypto';
+import { getDb } from './db.js';
+import { hashPassword, verifyPassword } from './password.js';
+import { getHierarchyMap } from './hierarchy.js';
+import { ROLES } from '../utils/auth.js';
+
+// User repository backed by the SQLite store
+
+function toUser(row) {
+  if (!row) return null;
+
+  return {
+    id: String(row.id),
+    email: row.email,
+    name: row.name,
+    role: row.role,
+    region: row.region,
+    circle: row.circle,
+    area: row.area,
+    enabled: row.enabled === 1,
+    mfaEnabled: Boolean(row.mfa_enabled_at),
+    mustChangePassword: row.must_change_password === 1,
+  };
+}
+
+export function findUserByEmail(email) {
+  const row = getDb().prepare('SELECT * FROM users WHERE email = ?').get(email);
+  return toUser(row);
+}
+
+export function findUserById(id) {
+  const row = getDb().prepare('SELECT * FROM users WHERE id = ?').get(id);
+  return toUser(row);
+}
+
+export function listUsers({ role, enabled } = {}) {
+  const where = [];
+  const params = [];
+
+  if (role) {
+    where.push('role = ?');
+    params.push(role);
+  }
+  if (enabled !== undefined) {
+    where.push('enabled = ?');
+    params.push(enabled ? 1 : 0);
+  }
+
+  const sql = `SELECT * FROM users ${where.length ? `WHERE ${where.join(' AND ')}` : ''} ORDER BY role, region, circle, area, name`;
+  return getDb().prepare(sql).all(...params).map(toUser);
+}
+
+/**
+ * Validate a user's role and scope.
+ * A circle must belong to the region and an area to the circle.
+ * Returns an error message, or null when valid.
+ */
+export function validateUserScope({ role, region, circle, area }) {
+  const hierarchy = getHierarchyMap();
+
+  if (!Object.values(ROLES).includes(role)) {
+    return `Unknown role: ${role}`;
+  }
+
+  if (role === ROLES.SUPER_ADMIN) {
+    return region || circle || area ? 'Super admins cannot be scoped to a region, circle or area' : null;
+  }
+
+  if (!hierarchy.regions.includes(region)) {
+    return 'A valid region is required';
+  }
+
+  if (role === ROLES.REGIONAL_HEAD) {
+    return circle || area ? 'Regional heads cannot be scoped to a circle or area' : null;
+  }
+
+  if (!circle || hierarchy.circles[circle] !== region) {
+    return `Circle "${circle || ''}" does not belong to region "${region}"`;
+  }
+
+  if (role === ROLES.CIRCLE_HEAD) {
+    return area ? 'Circle heads cannot be scoped to an area' : null;
+  }
+
+  if (!area || hierarchy.areas[area] !== circle) {
+    return `Area "${area || ''}" does not belong to circle "${circle}"`;
+  }
+
+  return null;
+}
+
+/**
+ * Create a user, hashing the given plaintext password
+ */
+export function createUser({
+  email,
+  password,
+  name,
+  role,
+  region = null,
+  circle = null,
+  area = null,
+  enabled = true,
+  mustChangePassword = false,
+}) {
+  const result = getDb()
+    .prepare(
+      `INSERT INTO users (email, password_hash, name, role, region, circle, area, enabled, must_change_password)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`
+    )
+    .run(email, hashPassword(password), name, role, region, circle, area, enabled ? 1 : 0, mustChangePassword ? 1 : 0);
+
+  return findUserById(result.lastInsertRowid);
+}
+
+/**
+ * Update profile, role and scope fields. Only the keys present in
+ * `fields` are changed; pass `password` to reset the password and
+ * `mustChangePassword` to set whether it has to be changed at next sign-in.
+ */
+export function updateUser(id, fields) {
+  const columns = ['email', 'name', 'role', 'region', 'circle', 'area'];
+  const sets = [];
+  const params = [];
+
+  for (const column of columns) {
+    if (column in fields) {
+      sets.push(`${column} = ?`);
+      params.push(fields[column] ?? null);
+    }
+  }
+  if ('enabled' in fields) {
+    sets.push('enabled = ?');
+    params.push(fields.enabled ? 1 : 0);
+  }
+  if ('mustChangePassword' in fields) {
+    sets.push('must_change_password = ?');
+    params.push(fields.mustChangePassword ? 1 : 0);
+  }
+  if (fields.password) {
+    sets.push('password_hash = ?');
+    params.push(hashPassword(fields.password));
+  }
+
+  if (sets.length) {
+    getDb()
+      .prepare(`UPDATE users SET ${sets.join(', ')}, updated_at = datetime('now') WHERE id = ?`)
+      .run(...params, id);
+  }
+  return findUserById(id);
+}
+
+export function setUserEnabled(id, enabled) {
+  getDb()
+    .prepare("UPDATE users SET enabled = ?, updated_at = datetime('now') WHERE id = ?")
+    .run(enabled ? 1 : 0, id);
+  return findUserById(id);
+}
+
+/**
+ * Set a new password chosen by the user themselves, which clears the
+ * must-change flag
+ */
+export function setUserPassword(id, password) {
+  getDb()
+    .prepare("UPDATE users SET password_hash = ?, must_change_password = 0, updated_at = datetime('now') WHERE id = ?")
+    .run(hashPassword(password), id);
+}
+
+// Checked against when the email is unknown, so that takes as long as a
+// wrong password and the response time doesn't tell which accounts exist
+let dummyHash = null;
+
+/**
+ * Verify credentials. Returns the user on success, or null if the
+ * email is unknown, the password is wrong or the account is disabled.
+ */
+export function authenticateUser(email, password) {
+  const row = getDb().prepare('SELECT * FROM users WHERE email = ?').get(email);
+
+  if (!row) {
+    dummyHash ??= hashPassword(crypto.randomUUID());
+    verifyPassword(password, dummyHash);
+    return null;
+  }
+
+  if (!verifyPassword(password, row.password_hash)) {
+    return null;
+  }
+
+  if (row.enabled !== 1) {
+    return null;
+  }
+
+  return toUser(row);
+}
@@ -0,0 +1,222 @@
+import { getDb } from './db.js';
+import { scopeWhere } from './access.js';
+import { resolveHubScope } from './hierarchy.js';
+import { publishEvent } from './liveEvents.js';
+
+// Vehicle registry
+
+// Operational statuses, drawn from the StatusBadge vocabulary
+export const VEHICLE_STATUSES = ['available', 'inuse', 'maintenance'];
+
+const VIN_PATTERN = /^[A-HJ-NPR-Z0-9]{17}$/;
+const REGISTRATION_PATTERN = /^[A-Z]{2}\d{1,2}[A-Z]{0,3}\d{4}$/;
+
+function toVehicle(row) {
+  if (!row) return null;
+
+  return {
+    id: row.asset_id,
+    vin: row.vin,
+    registrationNumber: row.registration_number,
+    model: row.model,
+    hub: row.hub,
+    region: row.region,
+    circle: row.circle,
+    area: row.area,
+    status: row.status,
+    odometerKm: row.odometer_km,
+    batterySerial: row.battery_serial,
+    retiredAt: row.retired_at,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+export function normalizeRegistration(value) {
+  return value?.replace(/[\s-]/g, '').toUpperCase();
+}
+
+/**
+ * List vehicles in the user's scope.
+ * Supports free-text search (asset id, VIN, registration, model),
+ * status/hub filters and pagination.
+ */
+export function listVehicles(user, { q, status, hub, includeRetired = false, page = 1, pageSize = 20 } = {}) {
+  const scope = scopeWhere(user);
+  const where = [scope.sql];
+  const params = [...scope.params];
+
+  if (!includeRetired) {
+    where.push('retired_at IS NULL');
+  }
+  if (status) {
+    where.push('status = ?');
+    params.push(status);
+  }
+  if (hub) {
+    where.push('hub = ?');
+    params.push(hub);
+  }
+  if (q) {
+    where.push('(asset_id LIKE ? OR vin LIKE ? OR registration_number LIKE ? OR model LIKE ?)');
+    const like = `%${q}%`;
+    params.push(like, like, like, like);
+  }
+
+  const db = getDb();
+  const sql = where.join(' AND ');
+  const total = db.prepare(`SELECT COUNT(*) AS count FROM vehicles WHERE ${sql}`).get(...params).count;
+  const rows = db
+    .prepare(`SELECT * FROM vehicles WHERE ${sql} ORDER BY asset_id LIMIT ? OFFSET ?`)
+    .all(...params, pageSize, (page - 1) * pageSize);
+
+  return { vehicles: rows.map(toVehicle), total, page, pageSize };
+}
+
+export function getVehicle(assetId) {
+  return toVehicle(getDb().prepare('SELECT * FROM vehicles WHERE asset_id = ?').get(assetId));
+}
+
+/**
+ * Next free EV-YYYY-NNN asset id for the current year
+ */
+function nextAssetId() {
+  const year = new Date().getFullYear();
+  const row = getDb()
+    .prepare("SELECT MAX(CAST(substr(asset_id, 9) AS INTEGER)) AS seq FROM vehicles WHERE asset_id LIKE ?")
+    .get(`EV-${year}-%`);
+
+  return `EV-${year}-${String((row.seq || 0) + 1).padStart(3, '0')}`;
+}
+
+/**
+ * Validate vehicle fields. Pass the existing vehicle when editing so
+ * unchanged unique fields don't clash with themselves.
+ * Returns an error message, or null when valid.
+ */
+export function validateVehicle(input, existing = null) {
+  const db = getDb();
+
+  if (!existing || 'vin' in input) {
+    if (!VIN_PATTERN.test(input.vin || '')) {
+      return 'VIN must be 17 characters (letters except I, O, Q, and digits)';
+    }
+    const clash = db.prepare('SELECT asset_id FROM vehicles WHERE vin = ?').get(input.vin);
+    if (clash && clash.asset_id !== existing?.id) return `VIN already registered to ${clash.asset_id}`;
+  }
+
+  if (!existing || 'registrationNumber' in input) {
+    if (!REGISTRATION_PATTERN.test(input.registrationNumber || '')) {
+      return 'Registration number must look like MH01AB1234';
+    }
+    const clash = db.prepare('SELECT asset_id FROM vehicles WHERE registration_number = ?').get(input.registrationNumber);
+    if (clash && clash.asset_id !== existing?.id) return `Registration number already registered to ${clash.asset_id}`;
+  }
+
+  if ((!existing || 'model' in input) && !input.model) {
+    return 'Model is required';
+  }
+
+  if ((!existing || 'hub' in input) && !resolveHubScope(input.hub)) {
+    return `Unknown hub: ${input.hub || ''}`;
+  }
+
+  if ('status' in input && !VEHICLE_STATUSES.includes(input.status)) {
+    return `Status must be one of: ${VEHICLE_STATUSES.join(', ')}`;
+  }
+
+  if ('odometerKm' in input && !(Number.isInteger(input.odometerKm) && input.odometerKm >= 0)) {
+    return 'Odometer must be a whole number of kilometres';
+  }
+  if (existing && 'odometerKm' in input && input.odometerKm < existing.odometerKm) {
+    return `Odometer cannot go backwards (currently ${existing.odometerKm} km)`;
+  }
+
+  return null;
+}
+
+export function createVehicle({ vin, registrationNumber, model, hub, status = 'available', odometerKm = 0 }) {
+  const scope = resolveHubScope(hub);
+  const assetId = nextAssetId();
+
+  getDb()
+    .prepare(
+      `INSERT INTO vehicles (asset_id, vin, registration_number, model, hub, region, circle, area, status, odometer_km)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`
+    )
+    .run(assetId, vin, registrationNumber, model, hub, scope.region, scope.circle, scope.area, status, odometerKm);
+
+  const vehicle = getVehicle(assetId);
+  publishEvent('asset.status', vehicle, { kind: 'vehicle', id: assetId, status });
+  return vehicle;
+}
+
+/**
+ * Update the given fields. Moving a vehicle to another hub
+ * re-derives its region/circle/area, and its paired TCU's and installed
+ * battery's. Which battery is installed is maintained by battery
+ * transfers (app/lib/batteries.js), not here.
+ */
+export function updateVehicle(assetId, fields) {
+  const columns = {
+    vin: 'vin',
+    registrationNumber: 'registration_number',
+    model: 'model',
+    status: 'status',
+    odometerKm: 'odometer_km',
+  };
+  const sets = [];
+  const params = [];
+
+  for (const [field, column] of Object.entries(columns)) {
+    if (field in fields) {
+      sets.push(`${column} = ?`);
+      params.push(fields[field] ?? null);
+    }
+  }
+  const scope = fields.hub && resolveHubScope(fields.hub);
+  if (scope) {
+    sets.push('hub = ?', 'region = ?', 'circle = ?', 'area = ?');
+    params.push(fields.hub, scope.region, scope.circle, scope.area);
+  }
+
+  const db = getDb();
+  db.transaction(() => {
+    if (sets.length) {
+      db.prepare(`UPDATE vehicles SET ${sets.join(', ')}, updated_at = datetime('now') WHERE asset_id = ?`)
+        .run(...params, assetId);
+    }
+    if (scope) {
+      // A paired TCU and the installed battery travel with their vehicle
+      db.prepare(
+        `UPDATE tcu_devices SET hub = ?, region = ?, circle = ?, area = ?, updated_at = datetime('now')
+         WHERE vehicle = ?`
+      ).run(fields.hub, scope.region, scope.circle, scope.area, assetId);
+      db.prepare(
+        `UPDATE batteries SET hub = ?, region = ?, circle = ?, area = ?, updated_at = datetime('now')
+         WHERE location_type = 'vehicle' AND location_ref = ?`
+      ).run(fields.hub, scope.region, scope.circle, scope.area, assetId);
+    }
+  })();
+
+  const vehicle = getVehicle(assetId);
+  if ('status' in fields || scope) {
+    publishEvent('asset.status', vehicle, { kind: 'vehicle', id: assetId, status: vehicle.status });
+  }
+  return vehicle;
+}
+
+/**
+ * Retire a vehicle. Retired vehicles are kept for history but hidden
+ * from the default list and can no longer be edited.
+ * Remove its battery and unpair its TCU first.
+ */
+export function retireVehicle(assetId) {
+  getDb()
+    .prepare("UPDATE vehicles SET retired_at = datetime('now'), updated_at = datetime('now') WHERE asset_id = ?")
+    .run(assetId);
+
+  const vehicle = getVehicle(assetId);
+  publishEvent('asset.status', vehicle, { kind: 'vehicle', id: assetId, status: 'retired' });
+  return vehicle;
+}
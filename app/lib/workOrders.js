@@ -0,0 +1,654 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import { randomUUID } from 'node:crypto';
+import { getDb, LOCAL_TIME_OFFSET } from './db.js';
+import { scopeWhere } from './access.js';
+import { resolveHubScope } from './hierarchy.js';
+import { publishEvent } from './liveEvents.js';
+import { findUserById, listUsers } from './users.js';
+import { getVehicle, updateVehicle } from './vehicles.js';
+import { getBattery, transferBattery } from './batteries.js';
+import { getStation, setStationMaintenance } from './stations.js';
+import { getDevice, setDeviceMaintenance } from './tcu.js';
+import { isInUserScope } from '../utils/auth.js';
+
+// Work orders: a job against one asset with a priority, assignee, due
+// date, checklist, comment/activity thread and file attachments.
+// Scope comes from the asset's hub when the order is raised. While work
+// is under way the asset is held in its maintenance status.
+
+// Statuses, drawn from the StatusBadge vocabulary
+export const WORK_ORDER_STATUSES = ['pending', 'in-progress', 'completed', 'cancelled'];
+export const PRIORITIES = ['high', 'medium', 'low'];
+export const ASSET_TYPES = ['vehicle', 'battery', 'station', 'tcu'];
+
+// Allowed status changes. Completed and cancelled orders are final.
+export const STATUS_TRANSITIONS = {
+  pending: ['in-progress', 'cancelled'],
+  'in-progress': ['pending', 'completed', 'cancelled'],
+  completed: [],
+  cancelled: [],
+};
+
+const OPEN_STATUSES = ['pending', 'in-progress'];
+
+export const MAX_ATTACHMENT_BYTES = (Number(process.env.WORK_ORDER_MAX_ATTACHMENT_MB) || 8) * 1024 * 1024;
+const MAX_ATTACHMENTS = 20;
+const MAX_CHECKLIST_ITEMS = 50;
+const ATTACHMENT_DIR = process.env.WORK_ORDER_ATTACHMENT_DIR || path.join(process.cwd(), 'data', 'attachments');
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// How to find each kind of asset, and whether it is out of service for good
+const ASSET_LOOKUPS = {
+  vehicle: (ref) => {
+    const vehicle = getVehicle(ref);
+    return vehicle && { hub: vehicle.hub, retired: Boolean(vehicle.retiredAt) };
+  },
+  battery: (ref) => {
+    const battery = getBattery(ref);
+    return battery && { hub: battery.hub, retired: battery.lifecycleState === 'retired' };
+  },
+  station: (ref) => {
+    const station = getStation(ref);
+    return station && { hub: station.hub, retired: Boolean(station.retiredAt) };
+  },
+  tcu: (ref) => {
+    const device = getDevice(ref);
+    return device && { hub: device.hub, retired: Boolean(device.decommissionedAt) };
+  },
+};
+
+// Taking an asset out of service while it is worked on, and putting it back.
+// `leave` only undoes a maintenance status this module set.
+const ASSET_MAINTENANCE = {
+  vehicle: {
+    enter: (ref) => updateVehicle(ref, { status: 'maintenance' }),
+    leave: (ref) => {
+      if (getVehicle(ref).status === 'maintenance') updateVehicle(ref, { status: 'available' });
+    },
+  },
+  battery: {
+    enter: (ref, actor, code) => {
+      const battery = getBattery(ref);
+      if (!['in_service', 'charging'].includes(battery.lifecycleState)) return;
+      transferBattery(ref, { location: batteryLocation(battery), lifecycleState: 'maintenance', note: code }, actor);
+    },
+    leave: (ref, actor, code) => {
+      const battery = getBattery(ref);
+      if (battery.lifecycleState !== 'maintenance') return;
+      transferBattery(ref, { location: batteryLocation(battery), lifecycleState: 'in_service', note: code }, actor);
+    },
+  },
+  station: {
+    enter: (ref) => setStationMaintenance(ref, true),
+    leave: (ref) => setStationMaintenance(ref, false),
+  },
+  tcu: {
+    enter: (ref) => setDeviceMaintenance(ref, true),
+    leave: (ref) => setDeviceMaintenance(ref, false),
+  },
+};
+
+function batteryLocation(battery) {
+  return { locationType: battery.locationType, locationRef: battery.locationRef, hub: battery.hub };
+}
+
+const SELECT_WORK_ORDER = `
+  SELECT wo.*, u.name AS assignee_name, mp.name AS plan_name FROM work_orders wo
+  LEFT JOIN users u ON u.id = wo.assignee_id
+  LEFT JOIN maintenance_plans mp ON mp.id = wo.plan_id`;
+
+function localToday() {
+  return getDb().prepare("SELECT date('now', ?) AS today").get(LOCAL_TIME_OFFSET).today;
+}
+
+function toWorkOrder(row, today = localToday()) {
+  if (!row) return null;
+
+  return {
+    id: row.code,
+    title: row.title,
+    description: row.description,
+    assetType: row.asset_type,
+    assetRef: row.asset_ref,
+    priority: row.priority,
+    status: row.status,
+    nextStatuses: STATUS_TRANSITIONS[row.status],
+    assigneeId: row.assignee_id === null ? null : String(row.assignee_id),
+    assigneeName: row.assignee_name,
+    dueDate: row.due_date,
+    planId: row.plan_id === null ? null : String(row.plan_id),
+    planName: row.plan_name,
+    overdue: Boolean(row.due_date) && row.due_date < today && OPEN_STATUSES.includes(row.status),
+    hub: row.hub,
+    region: row.region,
+    circle: row.circle,
+    area: row.area,
+    createdBy: row.created_by,
+    startedAt: row.started_at,
+    completedAt: row.completed_at,
+    cancelledAt: row.cancelled_at,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+function toChecklistItem(row) {
+  return {
+    id: String(row.id),
+    label: row.label,
+    done: row.done_at !== null,
+    doneAt: row.done_at,
+    doneBy: row.done_by,
+  };
+}
+
+function toComment(row) {
+  return {
+    id: String(row.id),
+    kind: row.kind,
+    body: row.body,
+    authorName: row.author_name,
+    createdAt: row.created_at,
+  };
+}
+
+function toAttachment(row) {
+  return {
+    id: String(row.id),
+    fileName: row.file_name,
+    contentType: row.content_type,
+    sizeBytes: row.size_bytes,
+    uploadedBy: row.uploaded_by,
+    createdAt: row.created_at,
+  };
+}
+
+function nextWorkOrderCode() {
+  const row = getDb().prepare('SELECT MAX(CAST(substr(code, 4) AS INTEGER)) AS seq FROM work_orders').get();
+  return `WO-${String((row.seq || 0) + 1).padStart(3, '0')}`;
+}
+
+function workOrderId(code) {
+  return getDb().prepare('SELECT id FROM work_orders WHERE code = ?').get(code).id;
+}
+
+function touch(db, id) {
+  db.prepare("UPDATE work_orders SET updated_at = datetime('now') WHERE id = ?").run(id);
+}
+
+function recordActivity(db, id, kind, body, actor) {
+  db.prepare('INSERT INTO work_order_comments (work_order_id, kind, body, author_id, author_name) VALUES (?, ?, ?, ?, ?)')
+    .run(id, kind, body, actor?.id ?? null, actor?.name ?? null);
+}
+
+/**
+ * List work orders in the user's scope, newest first.
+ * Supports free-text search (code, title, asset), status (or `open` for
+ * pending + in progress), priority, asset type, assignee and hub filters,
+ * an overdue-only toggle and pagination.
+ */
+export function listWorkOrders(
+  user,
+  { q, status, priority, assetType, assigneeId, hub, overdue = false, page = 1, pageSize = 20 } = {}
+) {
+  const scope = scopeWhere(user, 'wo');
+  const where = [scope.sql];
+  const params = [...scope.params];
+  const today = localToday();
+
+  if (status === 'open' || overdue) {
+    where.push(`wo.status IN (${OPEN_STATUSES.map(() => '?').join(', ')})`);
+    params.push(...OPEN_STATUSES);
+  }
+  if (status && status !== 'open') {
+    where.push('wo.status = ?');
+    params.push(status);
+  }
+  if (overdue) {
+    where.push('wo.due_date < ?');
+    params.push(today);
+  }
+  for (const [column, value] of Object.entries({ priority, asset_type: assetType, assignee_id: assigneeId, hub })) {
+    if (value) {
+      where.push(`wo.${column} = ?`);
+      params.push(value);
+    }
+  }
+  if (q) {
+    where.push('(wo.code LIKE ? OR wo.title LIKE ? OR wo.asset_ref LIKE ?)');
+    const like = `%${q}%`;
+    params.push(like, like, like);
+  }
+
+  const db = getDb();
+  const sql = where.join(' AND ');
+  const total = db.prepare(`SELECT COUNT(*) AS count FROM work_orders wo WHERE ${sql}`).get(...params).count;
+  const rows = db
+    .prepare(`${SELECT_WORK_ORDER} WHERE ${sql} ORDER BY wo.created_at DESC, wo.id DESC LIMIT ? OFFSET ?`)
+    .all(...params, pageSize, (page - 1) * pageSize);
+
+  return { workOrders: rows.map((row) => toWorkOrder(row, today)), total, page, pageSize };
+}
+
+export function getWorkOrder(code) {
+  return toWorkOrder(getDb().prepare(`${SELECT_WORK_ORDER} WHERE wo.code = ?`).get(code));
+}
+
+export function getChecklist(code) {
+  return getDb()
+    .prepare(
+      `SELECT c.* FROM work_order_checklist c JOIN work_orders wo ON wo.id = c.work_order_id
+       WHERE wo.code = ? ORDER BY c.position`
+    )
+    .all(code)
+    .map(toChecklistItem);
+}
+
+/**
+ * Comments and activity (creation, status changes, assignment), oldest first
+ */
+export function getComments(code) {
+  return getDb()
+    .prepare(
+      `SELECT c.* FROM work_order_comments c JOIN work_orders wo ON wo.id = c.work_order_id
+       WHERE wo.code = ? ORDER BY c.created_at, c.id`
+    )
+    .all(code)
+    .map(toComment);
+}
+
+export function getAttachments(code) {
+  return getDb()
+    .prepare(
+      `SELECT a.* FROM work_order_attachments a JOIN work_orders wo ON wo.id = a.work_order_id
+       WHERE wo.code = ? ORDER BY a.created_at, a.id`
+    )
+    .all(code)
+    .map(toAttachment);
+}
+
+/**
+ * Look up the asset a work order is raised against.
+ * Returns `{ hub, retired }`, or null if there is no such asset.
+ */
+export function resolveAsset(assetType, assetRef) {
+  const lookup = ASSET_LOOKUPS[assetType];
+  return lookup && assetRef ? lookup(assetRef) : null;
+}
+
+/**
+ * Enabled users whose scope covers a work order's scope, for the assignee picker
+ */
+export function listAssignees(scope) {
+  return listUsers({ enabled: true })
+    .filter((user) => isInUserScope(scope, user))
+    .map(({ id, name, role }) => ({ id, name, role }));
+}
+
+function validateChecklistLabel(label) {
+  if (!label || label.length > 200) return 'Checklist items must be 1-200 characters';
+  return null;
+}
+
+/**
+ * Validate a status change, given the order's assignee after the change.
+ * Returns an error message, or null when allowed.
+ */
+function validateStatusChange(workOrder, status, assigneeId) {
+  if (!WORK_ORDER_STATUSES.includes(status)) {
+    return `Status must be one of: ${WORK_ORDER_STATUSES.join(', ')}`;
+  }
+  if (status === workOrder.status) return null;
+
+  if (!STATUS_TRANSITIONS[workOrder.status].includes(status)) {
+    return `A ${workOrder.status} work order cannot be moved to ${status}`;
+  }
+  if (status === 'in-progress' && !assigneeId) {
+    return 'Assign the work order before starting it';
+  }
+  if (status === 'in-progress' && workOrder.assetType === 'battery') {
+    const battery = getBattery(workOrder.assetRef);
+    if (battery.locationType === 'vehicle') {
+      return `Remove ${battery.serial} from vehicle ${battery.locationRef} before starting work on it`;
+    }
+  }
+  if (status === 'completed') {
+    const open = getChecklist(workOrder.id).filter((item) => !item.done).length;
+    if (open) return `Tick off the remaining ${open} checklist item${open === 1 ? '' : 's'} first`;
+  }
+  return null;
+}
+
+/**
+ * Validate work order fields. Pass the existing order when editing; the
+ * asset can only be set when raising one.
+ * Returns an error message, or null when valid.
+ */
+export function validateWorkOrder(input, existing = null) {
+  let scope = existing;
+
+  if (!existing) {
+    if (!ASSET_TYPES.includes(input.assetType)) {
+      return `Asset type must be one of: ${ASSET_TYPES.join(', ')}`;
+    }
+    const asset = resolveAsset(input.assetType, input.assetRef);
+    if (!asset || asset.retired) return `Unknown or retired ${input.assetType}: ${input.assetRef || ''}`;
+    scope = resolveHubScope(asset.hub);
+  }
+
+  if ((!existing || 'title' in input) && (!input.title || input.title.length > 120)) {
+    return 'Title is required (at most 120 characters)';
+  }
+  if (input.description && input.description.length > 2000) {
+    return 'Description must be at most 2000 characters';
+  }
+  if ((!existing || 'priority' in input) && !PRIORITIES.includes(input.priority)) {
+    return `Priority must be one of: ${PRIORITIES.join(', ')}`;
+  }
+  if (input.dueDate && (!DATE_PATTERN.test(input.dueDate) || Number.isNaN(Date.parse(input.dueDate)))) {
+    return 'Due date must be a YYYY-MM-DD date';
+  }
+
+  if (input.assigneeId) {
+    const assignee = findUserById(input.assigneeId);
+    if (!assignee || !assignee.enabled) return 'Unknown or disabled assignee';
+    if (!isInUserScope(scope, assignee)) return `${assignee.name} cannot see work orders at this hub`;
+  }
+
+  if (!existing && input.checklist) {
+    if (!Array.isArray(input.checklist) || input.checklist.length > MAX_CHECKLIST_ITEMS) {
+      return `Checklist must be a list of at most ${MAX_CHECKLIST_ITEMS} items`;
+    }
+    for (const label of input.checklist) {
+      const labelError = validateChecklistLabel(label);
+      if (labelError) return labelError;
+    }
+  }
+
+  if (existing && 'status' in input) {
+    const assigneeId = 'assigneeId' in input ? input.assigneeId : existing.assigneeId;
+    return validateStatusChange(existing, input.status, assigneeId);
+  }
+
+  return null;
+}
+
+/**
+ * Raise a work order against an asset, with its initial checklist.
+ * `planId` links orders raised by the maintenance scheduler to their plan.
+ * Call validateWorkOrder() first.
+ */
+export function createWorkOrder(
+  { assetType, assetRef, title, description, priority, assigneeId, dueDate, checklist = [], planId = null },
+  actor
+) {
+  const db = getDb();
+  const scope = resolveHubScope(resolveAsset(assetType, assetRef).hub);
+  const code = nextWorkOrderCode();
+
+  db.transaction(() => {
+    const result = db
+      .prepare(
+        `INSERT INTO work_orders
+           (code, title, description, asset_type, asset_ref, priority, assignee_id, due_date, plan_id, hub, region, circle, area, created_by)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`
+      )
+      .run(
+        code,
+        title,
+        description || null,
+        assetType,
+        assetRef,
+        priority,
+        assigneeId || null,
+        dueDate || null,
+        planId,
+        scope.hub,
+        scope.region,
+        scope.circle,
+        scope.area,
+        actor?.name ?? null
+      );
+
+    const insertItem = db.prepare('INSERT INTO work_order_checklist (work_order_id, position, label) VALUES (?, ?, ?)');
+    checklist.forEach((label, i) => insertItem.run(result.lastInsertRowid, i + 1, label));
+    recordActivity(db, result.lastInsertRowid, 'created', '', actor);
+  })();
+
+  const workOrder = getWorkOrder(code);
+  publishEvent('workorder.created', workOrder, workOrder);
+  return workOrder;
+}
+
+/**
+ * Whether another order on the same asset is being worked on
+ */
+function assetStillInWork(db, workOrder) {
+  return Boolean(
+    db
+      .prepare(
+        `SELECT 1 FROM work_orders
+         WHERE asset_type = ? AND asset_ref = ? AND status = 'in-progress' AND code != ?`
+      )
+      .get(workOrder.assetType, workOrder.assetRef, workOrder.id)
+  );
+}
+
+/**
+ * Update details, assignee or status. Status changes and reassignment
+ * are recorded in the activity thread. Starting work puts the asset into
+ * maintenance; completing or cancelling a started order puts it back in
+ * service unless another order on it is still in progress. Call validateWorkOrder() first.
+ */
+export function updateWorkOrder(code, fields, actor) {
+  const db = getDb();
+  const existing = getWorkOrder(code);
+  const columns = {
+    title: 'title',
+    description: 'description',
+    priority: 'priority',
+    assigneeId: 'assignee_id',
+    dueDate: 'due_date',
+  };
+  const sets = [];
+  const params = [];
+
+  for (const [field, column] of Object.entries(columns)) {
+    if (field in fields) {
+      sets.push(`${column} = ?`);
+      params.push(fields[field] || null);
+    }
+  }
+
+  const statusChanged = 'status' in fields && fields.status !== existing.status;
+  if (statusChanged) {
+    sets.push('status = ?');
+    params.push(fields.status);
+    if (fields.status === 'in-progress') sets.push("started_at = COALESCE(started_at, datetime('now'))");
+    if (fields.status === 'completed') sets.push("completed_at = datetime('now')");
+    if (fields.status === 'cancelled') sets.push("cancelled_at = datetime('now')");
+  }
+  const reassigned = 'assigneeId' in fields && (fields.assigneeId || null) !== existing.assigneeId;
+
+  if (sets.length) {
+    db.transaction(() => {
+      db.prepare(`UPDATE work_orders SET ${sets.join(', ')}, updated_at = datetime('now') WHERE code = ?`)
+        .run(...params, code);
+
+      const id = workOrderId(code);
+      if (reassigned) {
+        recordActivity(db, id, 'assigned', fields.assigneeId ? findUserById(fields.assigneeId).name : '', actor);
+      }
+      if (statusChanged) recordActivity(db, id, 'status', fields.status, actor);
+
+      const maintenance = ASSET_MAINTENANCE[existing.assetType];
+      if (statusChanged && fields.status === 'in-progress') {
+        maintenance.enter(existing.assetRef, actor, code);
+      }
+      const closedAfterStarting = ['completed', 'cancelled'].includes(fields.status) && existing.startedAt;
+      if (statusChanged && closedAfterStarting && !assetStillInWork(db, existing)) {
+        maintenance.leave(existing.assetRef, actor, code);
+      }
+    })();
+  }
+
+  const workOrder = getWorkOrder(code);
+  publishEvent('workorder.updated', workOrder, workOrder);
+  return workOrder;
+}
+
+/**
+ * Validate a checklist item being added (pass the order) or relabelled.
+ * Returns an error message, or null when valid.
+ */
+export function validateChecklistItem(input, workOrder = null) {
+  if (workOrder && getChecklist(workOrder.id).length >= MAX_CHECKLIST_ITEMS) {
+    return `A checklist can have at most ${MAX_CHECKLIST_ITEMS} items`;
+  }
+  if ('label' in input) return validateChecklistLabel(input.label);
+  return null;
+}
+
+export function addChecklistItem(code, label) {
+  const db = getDb();
+  const id = workOrderId(code);
+
+  db.transaction(() => {
+    const { next } = db
+      .prepare('SELECT COALESCE(MAX(position), 0) + 1 AS next FROM work_order_checklist WHERE work_order_id = ?')
+      .get(id);
+    db.prepare('INSERT INTO work_order_checklist (work_order_id, position, label) VALUES (?, ?, ?)').run(id, next, label);
+    touch(db, id);
+  })();
+
+  return getChecklist(code);
+}
+
+/**
+ * Relabel a checklist item or tick it off (recording who did)
+ */
+export function updateChecklistItem(code, itemId, { label, done }, actor) {
+  const db = getDb();
+  const id = workOrderId(code);
+
+  db.transaction(() => {
+    if (label !== undefined) {
+      db.prepare('UPDATE work_order_checklist SET label = ? WHERE id = ? AND work_order_id = ?').run(label, itemId, id);
+    }
+    if (done === true) {
+      db.prepare(
+        `UPDATE work_order_checklist SET done_at = datetime('now'), done_by = ?
+         WHERE id = ? AND work_order_id = ? AND done_at IS NULL`
+      ).run(actor?.name ?? null, itemId, id);
+    } else if (done === false) {
+      db.prepare('UPDATE work_order_checklist SET done_at = NULL, done_by = NULL WHERE id = ? AND work_order_id = ?')
+        .run(itemId, id);
+    }
+    touch(db, id);
+  })();
+
+  return getChecklist(code);
+}
+
+export function removeChecklistItem(code, itemId) {
+  const db = getDb();
+  const id = workOrderId(code);
+
+  db.transaction(() => {
+    db.prepare('DELETE FROM work_order_checklist WHERE id = ? AND work_order_id = ?').run(itemId, id);
+    touch(db, id);
+  })();
+
+  return getChecklist(code);
+}
+
+/**
+ * Returns an error message, or null when valid
+ */
+export function validateComment(body) {
+  if (!body || body.length > 2000) return 'Comment must be 1-2000 characters';
+  return null;
+}
+
+export function addComment(code, body, actor) {
+  const db = getDb();
+  const id = workOrderId(code);
+
+  db.transaction(() => {
+    recordActivity(db, id, 'comment', body, actor);
+    touch(db, id);
+  })();
+
+  return getComments(code);
+}
+
+/**
+ * Validate an upload for a work order. Returns an error message, or null when valid.
+ */
+export function validateAttachment(workOrder, { fileName, sizeBytes }) {
+  if (!fileName || fileName.length > 200) return 'File name must be 1-200 characters';
+  if (!sizeBytes) return 'File is empty';
+  if (sizeBytes > MAX_ATTACHMENT_BYTES) {
+    return `Files can be at most ${Math.round(MAX_ATTACHMENT_BYTES / 1024 / 1024)} MB`;
+  }
+  if (getAttachments(workOrder.id).length >= MAX_ATTACHMENTS) {
+    return `A work order can have at most ${MAX_ATTACHMENTS} attachments`;
+  }
+  return null;
+}
+
+/**
+ * Store an uploaded file under ATTACHMENT_DIR (env WORK_ORDER_ATTACHMENT_DIR)
+ * and attach it. Call validateAttachment() first.
+ */
+export function addAttachment(code, { fileName, contentType, data }, actor) {
+  const db = getDb();
+  const id = workOrderId(code);
+  const storageKey = randomUUID();
+
+  fs.mkdirSync(ATTACHMENT_DIR, { recursive: true });
+  fs.writeFileSync(path.join(ATTACHMENT_DIR, storageKey), data);
+
+  db.transaction(() => {
+    db.prepare(
+      `INSERT INTO work_order_attachments (work_order_id, file_name, content_type, size_bytes, storage_key, uploaded_by)
+       VALUES (?, ?, ?, ?, ?, ?)`
+    ).run(id, fileName, contentType || 'application/octet-stream', data.length, storageKey, actor?.name ?? null);
+    touch(db, id);
+  })();
+
+  return getAttachments(code);
+}
+
+/**
+ * An attachment with its file contents, or null
+ */
+export function readAttachment(code, attachmentId) {
+  const row = getDb()
+    .prepare(
+      `SELECT a.* FROM work_order_attachments a JOIN work_orders wo ON wo.id = a.work_order_id
+       WHERE wo.code = ? AND a.id = ?`
+    )
+    .get(code, attachmentId);
+  if (!row) return null;
+
+  return { ...toAttachment(row), data: fs.readFileSync(path.join(ATTACHMENT_DIR, row.storage_key)) };
+}
+
+export function removeAttachment(code, attachmentId) {
+  const db = getDb();
+  const id = workOrderId(code);
+  const row = db.prepare('SELECT storage_key FROM work_order_attachments WHERE id = ? AND work_order_id = ?').get(attachmentId, id);
+
+  if (row) {
+    db.transaction(() => {
+      db.prepare('DELETE FROM work_order_attachments WHERE id = ?').run(attachmentId);
+      touch(db, id);
+    })();
+    fs.rmSync(path.join(ATTACHMENT_DIR, row.storage_key), { force: true });
+  }
+
+  return getAttachments(code);
+}
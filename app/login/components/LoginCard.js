@@ -0,0 +1,32 @@
+/**
+ * Logo, card and footer shared by the login page and the forgot/reset
+ * password pages
+ */
+export default function LoginCard({ title, subtitle, children }) {
+  return (
+    <div className="min-h-screen flex items-center justify-center p-3 sm:p-4 md:p-6 bg-gray-50">
+      <div className="w-full max-w-md">
+        {/* Logo */}
+        <div className="text-center mb-6 sm:mb-8">
+          <div className="w-12 h-12 sm:w-16 sm:h-16 bg-gradient-to-br from-emerald-600 to-emerald-500 rounded-xl flex items-center justify-center mx-auto mb-3 sm:mb-4 shadow-lg">
+            <span className="text-white font-bold text-xl sm:text-2xl">D</span>
+          </div>
+          <h1 className="text-2xl sm:text-3xl font-bold text-gray-900 mb-1 sm:mb-2">Draive</h1>
+          <p className="text-gray-600 text-sm sm:text-base">Voltup Enterprise Dashboard</p>
+        </div>
+
+        {/* Card */}
+        <div className="bg-white rounded-xl sm:rounded-2xl shadow-xl border border-gray-200 p-5 sm:p-6 md:p-8">
+          <h2 className="text-xl sm:text-2xl font-bold text-gray-900 mb-1 sm:mb-2">{title}</h2>
+          <p className="text-gray-600 text-xs sm:text-sm mb-4 sm:mb-6">{subtitle}</p>
+          {children}
+        </div>
+
+        {/* Footer */}
+        <p className="text-center text-xs sm:text-sm text-gray-500 mt-4 sm:mt-6">
+          © 2024 Draive. All rights reserved.
+        </p>
+      </div>
+    </div>
+  );
+}
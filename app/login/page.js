@@ -1,24 +1,89 @@
 'use client';
 
 import { useState, useEffect, Suspense } from 'react';
-import { signIn } from 'next-auth/react';
+import Link from 'next/link';
+import { getProviders, signIn } from 'next-auth/react';
 import { useRouter, useSearchParams } from 'next/navigation';
+import LoginCard from './components/LoginCard';
+
+function formatWait(seconds) {
+  if (seconds < 60) return `${seconds} second${seconds === 1 ? '' : 's'}`;
+  const minutes = Math.ceil(seconds / 60);
+  return `${minutes} minute${minutes === 1 ? '' : 's'}`;
+}
+
+// The message for a refused sign-in, from the "<reason>:<value>" code the
+// credentials provider sends back
+function refusalMessage(code) {
+  const [reason, value] = (code || '').split(':');
+  const count = Number(value) || 0;
+
+  switch (reason) {
+    case 'account_locked':
+      return `This account is locked after too many failed sign-in attempts. Try again in ${formatWait(count)}, or ask an administrator to unlock it.`;
+    case 'ip_locked':
+      return `Too many failed sign-in attempts from your network. Try again in ${formatWait(count)}.`;
+    case 'throttled':
+      return 'Too many sign-in attempts. Please wait before trying again.';
+    case 'invalid':
+    case 'mfa_invalid': {
+      const message = reason === 'invalid' ? 'Invalid email or password' : 'Invalid authentication code';
+      return count > 0 && count <= 2
+        ? `${message}. ${count} more failed attempt${count === 1 ? '' : 's'} will temporarily lock this account.`
+        : message;
+    }
+    default:
+      return 'Invalid email or password';
+  }
+}
+
+// Why a company account sign-in was turned away, from the code the
+// signIn callback adds to the redirect
+const SSO_MESSAGES = {
+  sso_no_role: "Your company account isn't in any Draive group. Ask your administrator for access.",
+  sso_scope: "Your company account's Draive groups don't match a region, circle or area. Ask your administrator to check them.",
+  sso_no_email: "Your company account doesn't have a verified email address.",
+  sso_conflict: 'This email address belongs to a different company account. Ask an administrator for help.',
+  disabled: 'This account has been deactivated.',
+};
 
 function LoginForm() {
   const router = useRouter();
   const searchParams = useSearchParams();
   const [email, setEmail] = useState('');
   const [password, setPassword] = useState('');
+  // Accounts with two-factor authentication get a second step for the code
+  const [step, setStep] = useState('password');
+  const [code, setCode] = useState('');
   const [error, setError] = useState('');
   const [loading, setLoading] = useState(false);
+  const [waitSeconds, setWaitSeconds] = useState(0);
+  // The company identity provider, when single sign-on is set up
+  const [ssoProvider, setSsoProvider] = useState(null);
 
   useEffect(() => {
     const errorParam = searchParams.get('error');
     if (errorParam === 'SessionExpired') {
       setError('Your session has expired. Please login again.');
+    } else if (errorParam === 'AccessDenied') {
+      setError(SSO_MESSAGES[searchParams.get('code')] || 'You are not allowed to sign in.');
+    } else if (errorParam && errorParam !== 'CredentialsSignin') {
+      setError('Signing in with your company account failed. Please try again.');
     }
   }, [searchParams]);
 
+  useEffect(() => {
+    getProviders()
+      .then((providers) => setSsoProvider(Object.values(providers || {}).find((provider) => provider.type === 'oidc') || null))
+      .catch(() => setSsoProvider(null));
+  }, []);
+
+  useEffect(() => {
+    if (waitSeconds <= 0) return undefined;
+    const timer = setTimeout(() => setWaitSeconds((seconds) => seconds - 1), 1000);
+    return () => clearTimeout(timer);
+  }, [waitSeconds]);
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     setError('');
@@ -28,13 +93,19 @@ function LoginForm() {
       const result = await signIn('credentials', {
         email,
         password,
+        ...(step === 'code' && { code }),
         redirect: false,
       });
 
-      if (result?.error) {
+      if (result?.code?.startsWith('mfa_required:')) {
+        setStep('code');
+      } else if (result?.error) {
         setError(result.error === 'CredentialsSignin' 
-          ? 'Invalid email or password' 
+          ? refusalMessage(result.code) 
           : result.error);
+        if (result.code?.startsWith('throttled:')) {
+          setWaitSeconds(Number(result.code.split(':')[1]) || 0);
+        }
       } else if (result?.ok) {
         const callbackUrl = searchParams.get('callbackUrl') || '/';
         router.push(callbackUrl);
@@ -48,30 +119,55 @@ function LoginForm() {
     }
   };
 
+  const notice = searchParams.get('reset') === '1' ? 'Your password has been changed. Sign in with your new password.' : '';
+
+  const backToPassword = () => {
+    setStep('password');
+    setPassword('');
+    setCode('');
+    setError('');
+  };
+
   return (
-    <div className="min-h-screen flex items-center justify-center p-3 sm:p-4 md:p-6 bg-gray-50">
-      <div className="w-full max-w-md">
-        {/* Logo */}
-        <div className="text-center mb-6 sm:mb-8">
-          <div className="w-12 h-12 sm:w-16 sm:h-16 bg-gradient-to-br from-emerald-600 to-emerald-500 rounded-xl flex items-center justify-center mx-auto mb-3 sm:mb-4 shadow-lg">
-            <span className="text-white font-bold text-xl sm:text-2xl">D</span>
-          </div>
-          <h1 className="text-2xl sm:text-3xl font-bold text-gray-900 mb-1 sm:mb-2">Draive</h1>
-          <p className="text-gray-600 text-sm sm:text-base">Voltup Enterprise Dashboard</p>
+    <LoginCard
+      title={step === 'code' ? 'Two-Factor Authentication' : 'Welcome Back'}
+      subtitle={
+        step === 'code'
+          ? 'Enter the 6-digit code from your authenticator app, or one of your recovery codes'
+          : 'Sign in to access your dashboard'
+      }
+    >
+      {notice && !error && (
+        <div className="mb-3 sm:mb-4 p-2.5 sm:p-3 bg-emerald-50 border border-emerald-200 rounded-lg">
+          <p className="text-xs sm:text-sm text-emerald-800">{notice}</p>
         </div>
+      )}
 
-        {/* Login Card */}
-        <div className="bg-white rounded-xl sm:rounded-2xl shadow-xl border border-gray-200 p-5 sm:p-6 md:p-8">
-          <h2 className="text-xl sm:text-2xl font-bold text-gray-900 mb-1 sm:mb-2">Welcome Back</h2>
-          <p className="text-gray-600 text-xs sm:text-sm mb-4 sm:mb-6">Sign in to access your dashboard</p>
-
-          {error && (
-            <div className="mb-3 sm:mb-4 p-2.5 sm:p-3 bg-red-50 border border-red-200 rounded-lg">
-              <p className="text-xs sm:text-sm text-red-800">{error}</p>
-            </div>
-          )}
+      {error && (
+        <div className="mb-3 sm:mb-4 p-2.5 sm:p-3 bg-red-50 border border-red-200 rounded-lg">
+          <p className="text-xs sm:text-sm text-red-800">{error}</p>
+        </div>
+      )}
 
-          <form onSubmit={handleSubmit} className="space-y-4 sm:space-y-5">
+      <form onSubmit={handleSubmit} className="space-y-4 sm:space-y-5">
+        {step === 'code' ? (
+          <div>
+            <label htmlFor="code" className="block text-xs sm:text-sm font-medium text-gray-700 mb-1.5 sm:mb-2">
+              Authentication Code
+            </label>
+            <input
+              id="code"
+              value={code}
+              onChange={(e) => setCode(e.target.value)}
+              required
+              autoFocus
+              autoComplete="one-time-code"
+              className="w-full px-3 sm:px-4 py-2.5 sm:py-3 text-sm sm:text-base font-mono tracking-widest border border-gray-300 rounded-lg focus:ring-2 focus:ring-emerald-500 focus:border-emerald-500 transition-colors"
+              placeholder="123456"
+            />
+          </div>
+        ) : (
+          <>
             <div>
               <label htmlFor="email" className="block text-xs sm:text-sm font-medium text-gray-700 mb-1.5 sm:mb-2">
                 Email Address
@@ -88,9 +184,14 @@ function LoginForm() {
             </div>
 
             <div>
-              <label htmlFor="password" className="block text-xs sm:text-sm font-medium text-gray-700 mb-1.5 sm:mb-2">
-                Password
-              </label>
+              <div className="flex items-center justify-between mb-1.5 sm:mb-2">
+                <label htmlFor="password" className="block text-xs sm:text-sm font-medium text-gray-700">
+                  Password
+                </label>
+                <Link href="/login/forgot" className="text-xs sm:text-sm text-emerald-600 hover:text-emerald-700 font-medium">
+                  Forgot password?
+                </Link>
+              </div>
               <input
                 id="password"
                 type="password"
@@ -101,43 +202,71 @@ function LoginForm() {
                 placeholder="Enter your password"
               />
             </div>
+          </>
+        )}
 
-            <button
-              type="submit"
-              disabled={loading}
-              className="w-full bg-emerald-600 text-white py-2.5 sm:py-3 rounded-lg text-sm sm:text-base font-semibold hover:bg-emerald-700 focus:outline-none focus:ring-2 focus:ring-emerald-500 focus:ring-offset-2 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
-            >
-              {loading ? 'Signing in...' : 'Sign In'}
-            </button>
-          </form>
-
-          {/* Demo Credentials */}
-          <div className="mt-4 sm:mt-6 pt-4 sm:pt-6 border-t border-gray-200">
-            <p className="text-xs text-gray-500 mb-2 sm:mb-3">Demo Credentials:</p>
-            <div className="space-y-1.5 sm:space-y-2 text-xs">
-              <div className="flex flex-col xs:flex-row xs:items-center xs:justify-between gap-1 xs:gap-0 p-2 bg-gray-50 rounded">
-                <span className="text-gray-700 font-medium">Regional Head (West):</span>
-                <span className="text-gray-600 break-all xs:break-normal">regional.west@voltup.com</span>
-              </div>
-              <div className="flex flex-col xs:flex-row xs:items-center xs:justify-between gap-1 xs:gap-0 p-2 bg-gray-50 rounded">
-                <span className="text-gray-700 font-medium">Circle Head:</span>
-                <span className="text-gray-600 break-all xs:break-normal">circle.mumbai@voltup.com</span>
-              </div>
-              <div className="flex flex-col xs:flex-row xs:items-center xs:justify-between gap-1 xs:gap-0 p-2 bg-gray-50 rounded">
-                <span className="text-gray-700 font-medium">Area Head:</span>
-                <span className="text-gray-600 break-all xs:break-normal">area.andheri@voltup.com</span>
-              </div>
-              <p className="text-gray-500 mt-2">Password: password123</p>
-            </div>
+        <button
+          type="submit"
+          disabled={loading || waitSeconds > 0}
+          className="w-full bg-emerald-600 text-white py-2.5 sm:py-3 rounded-lg text-sm sm:text-base font-semibold hover:bg-emerald-700 focus:outline-none focus:ring-2 focus:ring-emerald-500 focus:ring-offset-2 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          {loading
+            ? 'Signing in...'
+            : waitSeconds > 0
+              ? `Try again in ${waitSeconds}s`
+              : step === 'code' ? 'Verify' : 'Sign In'}
+        </button>
+        {step === 'code' && (
+          <button
+            type="button"
+            onClick={backToPassword}
+            className="w-full text-xs sm:text-sm text-emerald-600 hover:text-emerald-700 font-medium"
+          >
+            Use a different account
+          </button>
+        )}
+      </form>
+
+      {ssoProvider && step === 'password' && (
+        <>
+          <div className="flex items-center gap-3 my-4 sm:my-5">
+            <div className="flex-1 border-t border-gray-200" />
+            <span className="text-xs text-gray-500">or</span>
+            <div className="flex-1 border-t border-gray-200" />
           </div>
-        </div>
+          <button
+            type="button"
+            onClick={() => signIn(ssoProvider.id, { redirectTo: searchParams.get('callbackUrl') || '/' })}
+            className="w-full flex items-center justify-center gap-2 bg-white text-gray-700 py-2.5 sm:py-3 border border-gray-300 rounded-lg text-sm sm:text-base font-semibold hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-emerald-500 focus:ring-offset-2 transition-colors"
+          >
+            <svg className="w-4 h-4 sm:w-5 sm:h-5 text-gray-500" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 21V5a2 2 0 00-2-2H7a2 2 0 00-2 2v16m14 0h2m-2 0h-5m-9 0H3m2 0h5M9 7h1m-1 4h1m4-4h1m-1 4h1m-5 10v-5a1 1 0 011-1h2a1 1 0 011 1v5m-4 0h4" />
+            </svg>
+            Sign in with company account
+          </button>
+        </>
+      )}
 
-        {/* Footer */}
-        <p className="text-center text-xs sm:text-sm text-gray-500 mt-4 sm:mt-6">
-          © 2024 Draive. All rights reserved.
-        </p>
+      {/* Demo Credentials */}
+      <div className="mt-4 sm:mt-6 pt-4 sm:pt-6 border-t border-gray-200">
+        <p className="text-xs text-gray-500 mb-2 sm:mb-3">Demo Credentials:</p>
+        <div className="space-y-1.5 sm:space-y-2 text-xs">
+          <div className="flex flex-col xs:flex-row xs:items-center xs:justify-between gap-1 xs:gap-0 p-2 bg-gray-50 rounded">
+            <span className="text-gray-700 font-medium">Regional Head (West):</span>
+            <span className="text-gray-600 break-all xs:break-normal">regional.west@voltup.com</span>
+          </div>
+          <div className="flex flex-col xs:flex-row xs:items-center xs:justify-between gap-1 xs:gap-0 p-2 bg-gray-50 rounded">
+            <span className="text-gray-700 font-medium">Circle Head:</span>
+            <span className="text-gray-600 break-all xs:break-normal">circle.mumbai@voltup.com</span>
+          </div>
+          <div className="flex flex-col xs:flex-row xs:items-center xs:justify-between gap-1 xs:gap-0 p-2 bg-gray-50 rounded">
+            <span className="text-gray-700 font-medium">Area Head:</span>
+            <span className="text-gray-600 break-all xs:break-normal">area.andheri@voltup.com</span>
+          </div>
+          <p className="text-gray-500 mt-2">Password: as set by <code>npm run db:seed</code></p>
+        </div>
       </div>
-    </div>
+    </LoginCard>
   );
 }
 
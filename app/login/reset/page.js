@@ -0,0 +1,131 @@
+'use client';
+
+import { Suspense, useEffect, useState } from 'react';
+import Link from 'next/link';
+import { useRouter, useSearchParams } from 'next/navigation';
+import LoginCard from '../components/LoginCard';
+import PasswordRules from '@/app/components/PasswordRules';
+
+const inputClass =
+  'w-full px-3 sm:px-4 py-2.5 sm:py-3 text-sm sm:text-base border border-gray-300 rounded-lg focus:ring-2 focus:ring-emerald-500 focus:border-emerald-500 transition-colors';
+const labelClass = 'block text-xs sm:text-sm font-medium text-gray-700 mb-1.5 sm:mb-2';
+
+function ResetPasswordForm() {
+  const router = useRouter();
+  const token = useSearchParams().get('token') || '';
+  const [email, setEmail] = useState(null);
+  const [password, setPassword] = useState('');
+  const [confirmation, setConfirmation] = useState('');
+  const [error, setError] = useState('');
+  const [linkError, setLinkError] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    fetch(`/api/password/reset?token=${encodeURIComponent(token)}`)
+      .then(async (res) => {
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || 'This reset link is invalid');
+        setEmail(data.email);
+      })
+      .catch((err) => setLinkError(err.message));
+  }, [token]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    if (password !== confirmation) {
+      setError('The passwords do not match');
+      return;
+    }
+
+    setLoading(true);
+    try {
+      const res = await fetch('/api/password/reset', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ token, password }),
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Failed to reset the password');
+      router.push('/login?reset=1');
+    } catch (err) {
+      setError(err.message);
+      setLoading(false);
+    }
+  };
+
+  if (linkError) {
+    return (
+      <LoginCard title="Reset Password" subtitle="Choose a new password">
+        <div className="p-2.5 sm:p-3 bg-red-50 border border-red-200 rounded-lg">
+          <p className="text-xs sm:text-sm text-red-800">{linkError}</p>
+        </div>
+        <Link href="/login/forgot" className="block mt-4 sm:mt-6 text-center text-xs sm:text-sm text-emerald-600 hover:text-emerald-700 font-medium">
+          Send a new link
+        </Link>
+      </LoginCard>
+    );
+  }
+
+  return (
+    <LoginCard title="Reset Password" subtitle={email ? `Choose a new password for ${email}` : 'Checking your link...'}>
+      {error && (
+        <div className="mb-3 sm:mb-4 p-2.5 sm:p-3 bg-red-50 border border-red-200 rounded-lg">
+          <p className="text-xs sm:text-sm text-red-800">{error}</p>
+        </div>
+      )}
+
+      {email && (
+        <form onSubmit={handleSubmit} className="space-y-4 sm:space-y-5">
+          <div>
+            <label htmlFor="password" className={labelClass}>New Password</label>
+            <input
+              id="password"
+              type="password"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              required
+              autoFocus
+              autoComplete="new-password"
+              className={inputClass}
+            />
+            <PasswordRules password={password} email={email} />
+          </div>
+
+          <div>
+            <label htmlFor="confirmation" className={labelClass}>Confirm New Password</label>
+            <input
+              id="confirmation"
+              type="password"
+              value={confirmation}
+              onChange={(e) => setConfirmation(e.target.value)}
+              required
+              autoComplete="new-password"
+              className={inputClass}
+            />
+          </div>
+
+          <button
+            type="submit"
+            disabled={loading}
+            className="w-full bg-emerald-600 text-white py-2.5 sm:py-3 rounded-lg text-sm sm:text-base font-semibold hover:bg-emerald-700 focus:outline-none focus:ring-2 focus:ring-emerald-500 focus:ring-offset-2 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {loading ? 'Saving...' : 'Set New Password'}
+          </button>
+        </form>
+      )}
+    </LoginCard>
+  );
+}
+
+export default function ResetPasswordPage() {
+  return (
+    <Suspense fallback={
+      <div className="min-h-screen flex items-center justify-center bg-gray-50">
+        <div className="text-gray-600 text-sm sm:text-base">Loading...</div>
+      </div>
+    }>
+      <ResetPasswordForm />
+    </Suspense>
+  );
+}
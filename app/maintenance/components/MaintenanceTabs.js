@@ -0,0 +1,36 @@
+'use client';
+
+import Link from 'next/link';
+import { usePathname } from 'next/navigation';
+
+const TABS = [
+  { href: '/maintenance', label: 'Calendar' },
+  { href: '/maintenance/plans', label: 'Plans' },
+];
+
+export default function MaintenanceTabs() {
+  const pathname = usePathname();
+
+  // Plans and their sub-pages highlight "Plans"; everything else is the calendar
+  const active = pathname?.startsWith('/maintenance/plans') ? '/maintenance/plans' : '/maintenance';
+
+  return (
+    <div className="border-b border-gray-200 bg-white">
+      <div className="flex space-x-0.5 sm:space-x-1 overflow-x-auto scrollbar-hide px-2 sm:px-4">
+        {TABS.map((tab) => (
+          <Link
+            key={tab.href}
+            href={tab.href}
+            className={`px-2.5 sm:px-3 md:px-4 py-2 sm:py-2.5 md:py-3 text-xs sm:text-sm font-medium border-b-2 transition-all whitespace-nowrap ${
+              active === tab.href
+                ? 'border-emerald-600 text-emerald-600 bg-emerald-50/50'
+                : 'border-transparent text-gray-600 hover:text-gray-900 hover:border-gray-300 hover:bg-gray-50/50'
+            }`}
+          >
+            {tab.label}
+          </Link>
+        ))}
+      </div>
+    </div>
+  );
+}
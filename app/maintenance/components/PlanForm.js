@@ -0,0 +1,168 @@
+'use client';
+
+import { useState } from 'react';
+import { ASSET_TYPE_OPTIONS, PRIORITY_OPTIONS } from '@/app/work-orders/components/workOrderOptions';
+import { TRIGGER_OPTIONS, triggersFor } from './maintenanceOptions';
+
+const inputClass =
+  'w-full px-3 sm:px-4 py-2.5 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-emerald-500 focus:border-emerald-500 transition-colors';
+const labelClass = 'block text-xs sm:text-sm font-medium text-gray-700 mb-1.5';
+
+/**
+ * Create/edit form for a maintenance plan. The asset class and trigger
+ * can only be chosen when creating one.
+ */
+export default function PlanForm({ initialPlan, onSubmit, onCancel, submitLabel }) {
+  const editing = Boolean(initialPlan);
+  const [form, setForm] = useState({
+    name: initialPlan?.name || '',
+    assetType: initialPlan?.assetType || 'vehicle',
+    trigger: initialPlan?.trigger || 'interval',
+    every: initialPlan?.every ?? '',
+    lead: initialPlan?.lead ?? 0,
+    priority: initialPlan?.priority || 'medium',
+    checklist: initialPlan?.checklist.join('\n') || '',
+  });
+  const [error, setError] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  const triggers = triggersFor(form.assetType);
+  const unit = TRIGGER_OPTIONS.find((option) => option.value === form.trigger)?.unit;
+
+  const update = (field, value) => setForm((prev) => ({ ...prev, [field]: value }));
+
+  // Only calendar intervals apply to every asset class
+  const changeAssetType = (assetType) =>
+    setForm((prev) => ({
+      ...prev,
+      assetType,
+      trigger: triggersFor(assetType).some((option) => option.value === prev.trigger) ? prev.trigger : 'interval',
+    }));
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setSaving(true);
+
+    const details = {
+      name: form.name,
+      every: Number(form.every),
+      lead: Number(form.lead),
+      priority: form.priority,
+      checklist: form.checklist.split('\n').map((line) => line.trim()).filter(Boolean),
+    };
+    const payload = editing ? details : { ...details, assetType: form.assetType, trigger: form.trigger };
+
+    try {
+      await onSubmit(payload);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4 max-w-2xl">
+      {error && (
+        <div className="p-3 bg-red-50 border border-red-200 rounded-lg">
+          <p className="text-sm text-red-800">{error}</p>
+        </div>
+      )}
+
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+        <div className="sm:col-span-2">
+          <label htmlFor="name" className={labelClass}>Name</label>
+          <input
+            id="name"
+            value={form.name}
+            onChange={(e) => update('name', e.target.value)}
+            required
+            maxLength={120}
+            placeholder="Brake and tyre service"
+            className={inputClass}
+          />
+        </div>
+        {!editing && (
+          <>
+            <div>
+              <label htmlFor="assetType" className={labelClass}>Asset Class</label>
+              <select id="assetType" value={form.assetType} onChange={(e) => changeAssetType(e.target.value)} className={inputClass}>
+                {ASSET_TYPE_OPTIONS.map((option) => (
+                  <option key={option.value} value={option.value}>{option.label}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label htmlFor="trigger" className={labelClass}>Triggered By</label>
+              <select id="trigger" value={form.trigger} onChange={(e) => update('trigger', e.target.value)} className={inputClass}>
+                {triggers.map((option) => (
+                  <option key={option.value} value={option.value}>{option.label}</option>
+                ))}
+              </select>
+            </div>
+          </>
+        )}
+        <div>
+          <label htmlFor="every" className={labelClass}>Every ({unit})</label>
+          <input
+            id="every"
+            type="number"
+            min={1}
+            step={form.trigger === 'interval' ? 1 : 'any'}
+            value={form.every}
+            onChange={(e) => update('every', e.target.value)}
+            required
+            className={inputClass}
+          />
+        </div>
+        <div>
+          <label htmlFor="lead" className={labelClass}>Raise Ahead By ({unit})</label>
+          <input
+            id="lead"
+            type="number"
+            min={0}
+            step="any"
+            value={form.lead}
+            onChange={(e) => update('lead', e.target.value)}
+            className={inputClass}
+          />
+        </div>
+        <div>
+          <label htmlFor="priority" className={labelClass}>Work Order Priority</label>
+          <select id="priority" value={form.priority} onChange={(e) => update('priority', e.target.value)} className={inputClass}>
+            {PRIORITY_OPTIONS.map((option) => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+        </div>
+        <div className="sm:col-span-2">
+          <label htmlFor="checklist" className={labelClass}>Checklist (one item per line)</label>
+          <textarea
+            id="checklist"
+            value={form.checklist}
+            onChange={(e) => update('checklist', e.target.value)}
+            rows={5}
+            placeholder={'Inspect brake pads\nCheck tyre pressure'}
+            className={inputClass}
+          />
+        </div>
+      </div>
+
+      <div className="flex items-center gap-3">
+        <button
+          type="submit"
+          disabled={saving}
+          className="px-5 py-2.5 bg-emerald-600 text-white rounded-lg text-sm font-semibold hover:bg-emerald-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          {saving ? 'Saving...' : submitLabel}
+        </button>
+        {onCancel && (
+          <button type="button" onClick={onCancel} className="px-4 py-2.5 text-sm text-gray-600 hover:text-gray-900">
+            Cancel
+          </button>
+        )}
+      </div>
+    </form>
+  );
+}
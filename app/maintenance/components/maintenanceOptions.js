@@ -0,0 +1,28 @@
+// Option lists and display helpers for maintenance plans and the calendar
+
+export const TRIGGER_OPTIONS = [
+  { value: 'interval', label: 'Calendar interval', unit: 'days', assetTypes: ['vehicle', 'battery', 'station', 'tcu'] },
+  { value: 'odometer', label: 'Odometer', unit: 'km', assetTypes: ['vehicle'] },
+  { value: 'cycles', label: 'Cycle count', unit: 'cycles', assetTypes: ['battery'] },
+  { value: 'throughput', label: 'Energy throughput', unit: 'kWh', assetTypes: ['station'] },
+];
+
+export function triggersFor(assetType) {
+  return TRIGGER_OPTIONS.filter((option) => option.assetTypes.includes(assetType));
+}
+
+/**
+ * "Every 10,000 km (raised 500 km ahead)"
+ */
+export function describeSchedule(plan) {
+  const lead = plan.lead ? ` (raised ${plan.lead.toLocaleString()} ${plan.unit} ahead)` : '';
+  return `Every ${plan.every.toLocaleString()} ${plan.unit}${lead}`;
+}
+
+/**
+ * YYYY-MM-DD for a Date, in local time
+ */
+export function toDateKey(date) {
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
@@ -0,0 +1,270 @@
+'use client';
+
+import { useEffect, useMemo, useRef, useState } from 'react';
+import Link from 'next/link';
+import { useLiveEvents } from '@/app/hooks/useLiveEvents';
+import PriorityBadge from '@/app/work-orders/components/PriorityBadge';
+import { assetHref, assetTypeLabel } from '@/app/work-orders/components/workOrderOptions';
+import { toDateKey } from './components/maintenanceOptions';
+
+const REFRESH_DEBOUNCE_MS = 1000;
+const WEEKDAYS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+// Items listed in a day cell before it collapses to "+N more"
+const CELL_ITEMS = 3;
+
+// Six Monday-first weeks covering the month `month` falls in
+function monthGrid(month) {
+  const first = new Date(month.getFullYear(), month.getMonth(), 1);
+  const start = new Date(first);
+  start.setDate(1 - ((first.getDay() + 6) % 7));
+
+  return Array.from({ length: 42 }, (_, i) => {
+    const day = new Date(start);
+    day.setDate(start.getDate() + i);
+    return day;
+  });
+}
+
+function itemClass(item) {
+  if (item.kind === 'forecast') return 'bg-gray-50 text-gray-600 border border-dashed border-gray-300';
+  if (item.overdue) return 'bg-red-50 text-red-700 border border-red-200';
+  if (item.status === 'in-progress') return 'bg-blue-50 text-blue-700 border border-blue-200';
+  return 'bg-emerald-50 text-emerald-700 border border-emerald-200';
+}
+
+function ScheduleItem({ item, compact }) {
+  const label = compact ? item.assetRef : `${item.assetRef} · ${item.title}`;
+  const className = `block truncate rounded px-1.5 py-0.5 text-xs ${itemClass(item)}`;
+
+  return item.kind === 'work-order' ? (
+    <Link href={`/work-orders/${item.workOrderId}`} title={`${item.workOrderId}: ${item.title}`} className={`${className} hover:opacity-80`}>
+      {label}
+    </Link>
+  ) : (
+    <span title={`Forecast: ${item.title}`} className={className}>
+      {label}
+    </span>
+  );
+}
+
+export default function MaintenanceCalendarPage() {
+  const [month, setMonth] = useState(() => new Date(new Date().getFullYear(), new Date().getMonth(), 1));
+  const [selected, setSelected] = useState(() => toDateKey(new Date()));
+  const [calendar, setCalendar] = useState(null);
+  const [error, setError] = useState('');
+  const [refreshKey, setRefreshKey] = useState(0);
+  const refreshTimer = useRef(null);
+
+  const days = useMemo(() => monthGrid(month), [month]);
+  const from = toDateKey(days[0]);
+  const to = toDateKey(days[days.length - 1]);
+
+  useEffect(() => {
+    fetch(`/api/maintenance/calendar?from=${from}&to=${to}`)
+      .then(async (res) => {
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || 'Failed to load the schedule');
+        setCalendar(data);
+        setError('');
+      })
+      .catch((err) => setError(err.message));
+  }, [from, to, refreshKey]);
+
+  // Work orders raised, started or closed elsewhere move the schedule
+  useLiveEvents(['workorder.created', 'workorder.updated'], () => {
+    clearTimeout(refreshTimer.current);
+    refreshTimer.current = setTimeout(() => setRefreshKey((key) => key + 1), REFRESH_DEBOUNCE_MS);
+  });
+
+  useEffect(() => () => clearTimeout(refreshTimer.current), []);
+
+  const byDate = useMemo(() => {
+    const map = {};
+    for (const item of calendar?.scheduled || []) (map[item.date] ||= []).push(item);
+    return map;
+  }, [calendar]);
+
+  const shiftMonth = (delta) => setMonth((prev) => new Date(prev.getFullYear(), prev.getMonth() + delta, 1));
+  const goToToday = () => {
+    const now = new Date();
+    setMonth(new Date(now.getFullYear(), now.getMonth(), 1));
+    setSelected(toDateKey(now));
+  };
+
+  const today = calendar?.today || toDateKey(new Date());
+  const agenda = byDate[selected] || [];
+
+  return (
+    <div>
+      <div className="flex items-center justify-between gap-3 mb-4">
+        <h2 className="text-base sm:text-lg font-semibold text-gray-900">
+          {month.toLocaleDateString(undefined, { month: 'long', year: 'numeric' })}
+        </h2>
+        <div className="flex items-center gap-2">
+          <button
+            onClick={() => shiftMonth(-1)}
+            aria-label="Previous month"
+            className="px-3 py-1.5 text-sm text-gray-700 bg-white border border-gray-300 rounded-lg hover:bg-gray-50 transition-colors"
+          >
+            ←
+          </button>
+          <button
+            onClick={goToToday}
+            className="px-3 py-1.5 text-sm font-medium text-gray-700 bg-white border border-gray-300 rounded-lg hover:bg-gray-50 transition-colors"
+          >
+            Today
+          </button>
+          <button
+            onClick={() => shiftMonth(1)}
+            aria-label="Next month"
+            className="px-3 py-1.5 text-sm text-gray-700 bg-white border border-gray-300 rounded-lg hover:bg-gray-50 transition-colors"
+          >
+            →
+          </button>
+        </div>
+      </div>
+
+      {error && (
+        <div className="mb-4 p-3 bg-red-50 border border-red-200 rounded-lg">
+          <p className="text-sm text-red-800">{error}</p>
+        </div>
+      )}
+
+      <div className="grid grid-cols-7 border-t border-l border-gray-200 text-xs">
+        {WEEKDAYS.map((weekday) => (
+          <div key={weekday} className="px-2 py-1.5 font-medium text-gray-500 uppercase tracking-wide border-r border-b border-gray-200 bg-gray-50">
+            {weekday}
+          </div>
+        ))}
+        {days.map((day) => {
+          const key = toDateKey(day);
+          const items = byDate[key] || [];
+          const inMonth = day.getMonth() === month.getMonth();
+
+          return (
+            <div
+              key={key}
+              onClick={() => setSelected(key)}
+              className={`min-h-16 sm:min-h-24 p-1 sm:p-1.5 border-r border-b border-gray-200 cursor-pointer transition-colors ${
+                selected === key ? 'bg-emerald-50/60' : inMonth ? 'bg-white hover:bg-gray-50' : 'bg-gray-50/60 hover:bg-gray-50'
+              }`}
+            >
+              <div
+                className={`mb-1 w-6 h-6 flex items-center justify-center rounded-full ${
+                  key === today ? 'bg-emerald-600 text-white font-semibold' : inMonth ? 'text-gray-700' : 'text-gray-400'
+                }`}
+              >
+                {day.getDate()}
+              </div>
+              <div className="hidden sm:block space-y-0.5">
+                {items.slice(0, CELL_ITEMS).map((item, i) => (
+                  <ScheduleItem key={i} item={item} compact />
+                ))}
+                {items.length > CELL_ITEMS && <p className="text-gray-500 px-1.5">+{items.length - CELL_ITEMS} more</p>}
+              </div>
+              {items.length > 0 && (
+                <span className="sm:hidden inline-block w-1.5 h-1.5 rounded-full bg-emerald-500" aria-label={`${items.length} scheduled`} />
+              )}
+            </div>
+          );
+        })}
+      </div>
+
+      <div className="flex flex-wrap gap-3 mt-3 text-xs text-gray-500">
+        <span className="flex items-center gap-1.5"><span className="w-3 h-3 rounded bg-emerald-50 border border-emerald-200" />Pending</span>
+        <span className="flex items-center gap-1.5"><span className="w-3 h-3 rounded bg-blue-50 border border-blue-200" />In progress</span>
+        <span className="flex items-center gap-1.5"><span className="w-3 h-3 rounded bg-red-50 border border-red-200" />Overdue</span>
+        <span className="flex items-center gap-1.5"><span className="w-3 h-3 rounded bg-gray-50 border border-dashed border-gray-300" />Forecast</span>
+      </div>
+
+      <h3 className="text-sm sm:text-base font-semibold text-gray-900 mt-6 sm:mt-8 mb-3">
+        {new Date(`${selected}T00:00:00`).toLocaleDateString(undefined, { weekday: 'long', day: 'numeric', month: 'long' })}
+      </h3>
+      {agenda.length ? (
+        <ul className="divide-y divide-gray-100 border border-gray-200 rounded-lg">
+          {agenda.map((item, i) => (
+            <li key={i} className="flex flex-col sm:flex-row sm:items-center gap-2 sm:gap-4 px-3 py-2.5 text-sm">
+              <span className="sm:w-28 font-mono text-xs text-gray-500">
+                {item.kind === 'work-order' ? item.workOrderId : 'Forecast'}
+              </span>
+              <span className="flex-1 text-gray-900">
+                {item.kind === 'work-order' ? (
+                  <Link href={`/work-orders/${item.workOrderId}`} className="hover:text-emerald-700">{item.title}</Link>
+                ) : (
+                  item.title
+                )}
+              </span>
+              <span className="text-gray-600">
+                {assetTypeLabel(item.assetType)}{' '}
+                <Link href={assetHref(item.assetType, item.assetRef)} className="font-mono text-emerald-600 hover:text-emerald-700">
+                  {item.assetRef}
+                </Link>
+              </span>
+              <PriorityBadge priority={item.priority} />
+            </li>
+          ))}
+        </ul>
+      ) : (
+        <p className="text-sm text-gray-500">Nothing scheduled.</p>
+      )}
+
+      <h3 className="text-sm sm:text-base font-semibold text-gray-900 mt-6 sm:mt-8 mb-1">Due by usage</h3>
+      <p className="text-xs sm:text-sm text-gray-500 mb-3">Odometer, cycle and energy plans fall due on readings rather than dates.</p>
+      {calendar?.usage.length ? (
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-xs font-medium text-gray-500 uppercase tracking-wide border-b border-gray-200">
+                <th className="py-2 pr-4">Asset</th>
+                <th className="py-2 pr-4">Plan</th>
+                <th className="py-2 pr-4">Reading</th>
+                <th className="py-2 pr-4 hidden sm:table-cell">Progress</th>
+                <th className="py-2">Work Order</th>
+              </tr>
+            </thead>
+            <tbody>
+              {calendar.usage.map((row) => {
+                const progress = Math.min(100, Math.round(((row.reading ?? 0) / row.dueReading) * 100));
+
+                return (
+                  <tr key={`${row.planId}:${row.assetRef}`} className="border-b border-gray-100">
+                    <td className="py-3 pr-4">
+                      <Link href={assetHref(row.assetType, row.assetRef)} className="font-mono text-emerald-600 hover:text-emerald-700">
+                        {row.assetRef}
+                      </Link>
+                    </td>
+                    <td className="py-3 pr-4 text-gray-900">
+                      <Link href={`/maintenance/plans/${row.planId}`} className="hover:text-emerald-700">{row.planName}</Link>
+                    </td>
+                    <td className="py-3 pr-4 text-gray-600 whitespace-nowrap">
+                      {(row.reading ?? 0).toLocaleString()} / {row.dueReading.toLocaleString()} {row.unit}
+                    </td>
+                    <td className="py-3 pr-4 hidden sm:table-cell">
+                      <div className="w-32 h-2 bg-gray-100 rounded-full overflow-hidden">
+                        <div
+                          className={`h-full rounded-full ${progress >= 100 ? 'bg-red-500' : progress >= 90 ? 'bg-yellow-500' : 'bg-emerald-500'}`}
+                          style={{ width: `${progress}%` }}
+                        />
+                      </div>
+                    </td>
+                    <td className="py-3">
+                      {row.workOrderId ? (
+                        <Link href={`/work-orders/${row.workOrderId}`} className="font-mono text-xs text-emerald-600 hover:text-emerald-700">
+                          {row.workOrderId}
+                        </Link>
+                      ) : (
+                        <span className="text-gray-400">—</span>
+                      )}
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      ) : (
+        <p className="text-sm text-gray-500">{calendar ? 'No usage-based plans apply to assets in your scope.' : 'Loading...'}</p>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,31 @@
+'use client';
+
+import Link from 'next/link';
+import { useRouter } from 'next/navigation';
+import PlanForm from '../../components/PlanForm';
+
+export default function NewMaintenancePlanPage() {
+  const router = useRouter();
+
+  const createPlan = async (form) => {
+    const res = await fetch('/api/maintenance/plans', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(form),
+    });
+    const data = await res.json();
+    if (!res.ok) throw new Error(data.error || 'Failed to create plan');
+
+    router.push(`/maintenance/plans/${data.plan.id}`);
+  };
+
+  return (
+    <div>
+      <Link href="/maintenance/plans" className="text-sm text-emerald-600 hover:text-emerald-700 font-medium">
+        ← Back to plans
+      </Link>
+      <h2 className="text-base sm:text-lg md:text-xl font-semibold text-gray-900 mt-3 mb-4 sm:mb-6">New Maintenance Plan</h2>
+      <PlanForm onSubmit={createPlan} submitLabel="Create Plan" />
+    </div>
+  );
+}
@@ -0,0 +1,127 @@
+'use client';
+
+import { useEffect, useState } from 'react';
+import Link from 'next/link';
+import { useRouter } from 'next/navigation';
+import { useSession } from 'next-auth/react';
+import StatusBadge from '@/app/components/StatusBadge';
+import { isSuperAdmin } from '@/app/utils/auth';
+import PriorityBadge from '@/app/work-orders/components/PriorityBadge';
+import { assetTypeLabel } from '@/app/work-orders/components/workOrderOptions';
+import { TRIGGER_OPTIONS, describeSchedule } from '../components/maintenanceOptions';
+
+export default function MaintenancePlansPage() {
+  const router = useRouter();
+  const { data: session } = useSession();
+  const canManage = isSuperAdmin(session?.user);
+  const [plans, setPlans] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [running, setRunning] = useState(false);
+  const [notice, setNotice] = useState('');
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    fetch('/api/maintenance/plans')
+      .then((res) => (res.ok ? res.json() : Promise.reject(new Error('Failed to load plans'))))
+      .then((data) => setPlans(data.plans))
+      .catch((err) => setError(err.message))
+      .finally(() => setLoading(false));
+  }, []);
+
+  const runScheduler = async () => {
+    setError('');
+    setNotice('');
+    setRunning(true);
+    try {
+      const res = await fetch('/api/maintenance/run', { method: 'POST' });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Scheduler run failed');
+
+      setNotice(data.created.length ? `Raised ${data.created.join(', ')}` : 'Nothing is due right now');
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setRunning(false);
+    }
+  };
+
+  return (
+    <div>
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3 mb-4 sm:mb-6">
+        <p className="text-xs sm:text-sm text-gray-500">
+          Plans raise work orders automatically as each asset comes due. Starting the work order puts the asset into maintenance.
+        </p>
+        {canManage && (
+          <div className="flex items-center gap-2">
+            <button
+              onClick={runScheduler}
+              disabled={running}
+              className="px-4 py-2 text-sm font-medium text-gray-700 bg-white border border-gray-300 rounded-lg hover:bg-gray-50 transition-colors whitespace-nowrap disabled:opacity-50"
+            >
+              {running ? 'Running...' : 'Run Scheduler Now'}
+            </button>
+            <Link
+              href="/maintenance/plans/new"
+              className="px-4 py-2 text-sm font-medium text-white bg-emerald-600 rounded-lg hover:bg-emerald-700 transition-colors whitespace-nowrap text-center"
+            >
+              New Plan
+            </Link>
+          </div>
+        )}
+      </div>
+
+      {error && (
+        <div className="mb-4 p-3 bg-red-50 border border-red-200 rounded-lg">
+          <p className="text-sm text-red-800">{error}</p>
+        </div>
+      )}
+      {notice && (
+        <div className="mb-4 p-3 bg-emerald-50 border border-emerald-200 rounded-lg">
+          <p className="text-sm text-emerald-800">{notice}</p>
+        </div>
+      )}
+
+      {loading ? (
+        <p className="text-sm text-gray-500 py-8 text-center">Loading...</p>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-xs font-medium text-gray-500 uppercase tracking-wide border-b border-gray-200">
+                <th className="py-2 pr-4">Plan</th>
+                <th className="py-2 pr-4">Asset Class</th>
+                <th className="py-2 pr-4 hidden md:table-cell">Trigger</th>
+                <th className="py-2 pr-4">Schedule</th>
+                <th className="py-2 pr-4 hidden sm:table-cell">Priority</th>
+                <th className="py-2">Status</th>
+              </tr>
+            </thead>
+            <tbody>
+              {plans.map((plan) => (
+                <tr
+                  key={plan.id}
+                  onClick={() => router.push(`/maintenance/plans/${plan.id}`)}
+                  className="border-b border-gray-100 hover:bg-emerald-50/50 cursor-pointer transition-colors"
+                >
+                  <td className="py-3 pr-4 font-semibold text-gray-900">{plan.name}</td>
+                  <td className="py-3 pr-4 text-gray-600">{assetTypeLabel(plan.assetType)}</td>
+                  <td className="py-3 pr-4 hidden md:table-cell text-gray-600">
+                    {TRIGGER_OPTIONS.find((option) => option.value === plan.trigger)?.label}
+                  </td>
+                  <td className="py-3 pr-4 text-gray-600">{describeSchedule(plan)}</td>
+                  <td className="py-3 pr-4 hidden sm:table-cell">
+                    <PriorityBadge priority={plan.priority} />
+                  </td>
+                  <td className="py-3">
+                    <StatusBadge status={plan.active ? 'active' : 'inactive'} size="sm" />
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {plans.length === 0 && <p className="text-sm text-gray-500 py-8 text-center">No maintenance plans yet.</p>}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,254 @@
+'use client';
+
+import { useEffect, useMemo, useState } from 'react';
+import Link from 'next/link';
+import { useSession } from 'next-auth/react';
+import AssetMap from '@/app/components/AssetMap';
+import StatusBadge, { getStatusColor } from '@/app/components/StatusBadge';
+import { useHierarchy } from '@/app/hooks/useHierarchy';
+import { hasAreaAccess, hasCircleAccess, hasRegionAccess } from '@/app/utils/auth';
+import { VEHICLE_STATUS_OPTIONS } from '@/app/assets/vehicles/components/VehicleForm';
+import { SLOT_STATUS_OPTIONS, formatHours, stationStatus } from '@/app/assets/charging-stations/components/stationOptions';
+
+const selectClass =
+  'px-3 py-2 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-emerald-500 focus:border-emerald-500';
+
+function Detail({ label, children }) {
+  return (
+    <div>
+      <dt className="text-xs font-medium text-gray-500 uppercase tracking-wide">{label}</dt>
+      <dd className="mt-1 text-sm text-gray-900">{children || '—'}</dd>
+    </div>
+  );
+}
+
+function VehicleDetails({ vehicle, hierarchy }) {
+  return (
+    <>
+      <div className="flex items-center justify-between gap-3 mb-4">
+        <h2 className="text-lg font-bold text-gray-900">{vehicle.id}</h2>
+        <StatusBadge status={vehicle.status} size="sm" />
+      </div>
+      <dl className="grid grid-cols-2 gap-4">
+        <Detail label="Registration">{vehicle.registrationNumber}</Detail>
+        <Detail label="Model">{vehicle.model}</Detail>
+        <Detail label="Hub">{hierarchy.names.hub[vehicle.hub] || vehicle.hub}</Detail>
+        <Detail label="Battery">{vehicle.batterySerial}</Detail>
+        <Detail label="State of Charge">{vehicle.soc != null && `${vehicle.soc}%`}</Detail>
+        <Detail label="Speed">{vehicle.speedKmh != null && `${vehicle.speedKmh} km/h`}</Detail>
+        <Detail label="Ignition">{vehicle.ignition != null && (vehicle.ignition ? 'On' : 'Off')}</Detail>
+        <Detail label="Position At">{vehicle.positionAt}</Detail>
+      </dl>
+      <Link
+        href={`/assets/vehicles/${vehicle.id}`}
+        className="block mt-6 px-4 py-2 text-sm font-medium text-center text-white bg-emerald-600 rounded-lg hover:bg-emerald-700 transition-colors"
+      >
+        Open Vehicle
+      </Link>
+    </>
+  );
+}
+
+function StationDetails({ station, hierarchy }) {
+  return (
+    <>
+      <div className="flex items-center justify-between gap-3 mb-1">
+        <h2 className="text-lg font-bold text-gray-900">{station.code}</h2>
+        <StatusBadge status={stationStatus(station)} size="sm" />
+      </div>
+      <p className="text-sm text-gray-600 mb-4">{station.name}</p>
+      <dl className="grid grid-cols-2 gap-4">
+        <Detail label="Hub">{hierarchy.names.hub[station.hub] || station.hub}</Detail>
+        <Detail label="Hours">{formatHours(station)}</Detail>
+        <Detail label="Power">{station.powerKw} kW</Detail>
+        <Detail label="Slots">
+          {SLOT_STATUS_OPTIONS.map((option) => `${station.slotSummary[option.value] || 0} ${option.label.toLowerCase()}`).join(', ')}
+        </Detail>
+        <div className="col-span-2">
+          <Detail label="Address">{station.address}</Detail>
+        </div>
+      </dl>
+      <Link
+        href={`/assets/charging-stations/${station.code}`}
+        className="block mt-6 px-4 py-2 text-sm font-medium text-center text-white bg-emerald-600 rounded-lg hover:bg-emerald-700 transition-colors"
+      >
+        Open Station
+      </Link>
+    </>
+  );
+}
+
+export default function FleetMapPage() {
+  const { data: session } = useSession();
+  const { hierarchy } = useHierarchy();
+  const [filters, setFilters] = useState({ region: '', circle: '', area: '' });
+  const [layers, setLayers] = useState({ vehicles: true, stations: true });
+  const [assets, setAssets] = useState({ vehicles: [], stations: [], unlocated: 0 });
+  const [selected, setSelected] = useState(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    const query = new URLSearchParams();
+    for (const [field, value] of Object.entries(filters)) {
+      if (value) query.set(field, value);
+    }
+
+    fetch(`/api/map?${query}`)
+      .then((res) => (res.ok ? res.json() : Promise.reject(new Error('Failed to load map assets'))))
+      .then((data) => {
+        setAssets(data);
+        setError('');
+      })
+      .catch((err) => setError(err.message));
+  }, [filters]);
+
+  const markers = useMemo(() => {
+    const vehicleMarkers = layers.vehicles
+      ? assets.vehicles.map((vehicle) => ({
+          id: `vehicle:${vehicle.id}`,
+          latitude: vehicle.latitude,
+          longitude: vehicle.longitude,
+          color: getStatusColor(vehicle.status),
+          title: `${vehicle.id} · ${vehicle.registrationNumber}`,
+          asset: { type: 'vehicle', data: vehicle },
+        }))
+      : [];
+    const stationMarkers = layers.stations
+      ? assets.stations.map((station) => ({
+          id: `station:${station.code}`,
+          latitude: station.latitude,
+          longitude: station.longitude,
+          color: getStatusColor(stationStatus(station)),
+          shape: 'square',
+          title: `${station.code} · ${station.name} (${station.slotSummary.free}/${station.slots.length} free)`,
+          asset: { type: 'station', data: station },
+        }))
+      : [];
+    return [...vehicleMarkers, ...stationMarkers];
+  }, [assets, layers]);
+
+  // Parent changes clear the narrower filters beneath them
+  const updateFilter = (field, value) =>
+    setFilters((prev) => {
+      if (field === 'region') return { region: value, circle: '', area: '' };
+      if (field === 'circle') return { ...prev, circle: value, area: '' };
+      return { ...prev, area: value };
+    });
+
+  const user = session?.user;
+  const regions = hierarchy.regions.filter((region) => hasRegionAccess(user, region));
+  const circles = Object.keys(hierarchy.circles).filter(
+    (circle) => (!filters.region || hierarchy.circles[circle] === filters.region) && hasCircleAccess(user, circle, hierarchy)
+  );
+  const areas = Object.keys(hierarchy.areas).filter(
+    (area) =>
+      (!filters.circle || hierarchy.areas[area] === filters.circle) &&
+      (!filters.region || hierarchy.circles[hierarchy.areas[area]] === filters.region) &&
+      hasAreaAccess(user, area, hierarchy)
+  );
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <div className="p-3 sm:p-4 md:p-6 lg:p-8">
+        <div className="mb-3 sm:mb-4 md:mb-6">
+          <h1 className="text-xl sm:text-2xl md:text-3xl font-bold text-gray-900 mb-1 sm:mb-2">Live Map</h1>
+          <p className="text-gray-600 text-xs sm:text-sm md:text-base">Vehicle positions and charging stations</p>
+        </div>
+
+        <div className="bg-white rounded-lg sm:rounded-xl shadow-sm border border-gray-200 p-3 sm:p-4 md:p-6">
+          <div className="flex flex-wrap items-center gap-2 mb-4">
+            <select value={filters.region} onChange={(e) => updateFilter('region', e.target.value)} className={selectClass}>
+              <option value="">All regions</option>
+              {regions.map((region) => (
+                <option key={region} value={region}>{hierarchy.names.region[region] || region}</option>
+              ))}
+            </select>
+            <select value={filters.circle} onChange={(e) => updateFilter('circle', e.target.value)} className={selectClass}>
+              <option value="">All circles</option>
+              {circles.map((circle) => (
+                <option key={circle} value={circle}>{hierarchy.names.circle[circle] || circle}</option>
+              ))}
+            </select>
+            <select value={filters.area} onChange={(e) => updateFilter('area', e.target.value)} className={selectClass}>
+              <option value="">All areas</option>
+              {areas.map((area) => (
+                <option key={area} value={area}>{hierarchy.names.area[area] || area}</option>
+              ))}
+            </select>
+            {[
+              ['vehicles', 'Vehicles'],
+              ['stations', 'Stations'],
+            ].map(([layer, label]) => (
+              <label key={layer} className="flex items-center gap-1.5 text-xs sm:text-sm text-gray-600 ml-2">
+                <input
+                  type="checkbox"
+                  checked={layers[layer]}
+                  onChange={(e) => setLayers((prev) => ({ ...prev, [layer]: e.target.checked }))}
+                  className="rounded border-gray-300 text-emerald-600 focus:ring-emerald-500"
+                />
+                {label}
+              </label>
+            ))}
+          </div>
+
+          {error && (
+            <div className="mb-4 p-3 bg-red-50 border border-red-200 rounded-lg">
+              <p className="text-sm text-red-800">{error}</p>
+            </div>
+          )}
+
+          <div className="relative">
+            <AssetMap
+              markers={markers}
+              onMarkerClick={(marker) => setSelected(marker.asset)}
+              cluster
+              fitKey={JSON.stringify(filters)}
+              className="h-[32rem]"
+            />
+
+            {selected && (
+              <aside className="absolute top-0 right-0 bottom-0 z-[1000] w-full sm:w-80 bg-white border-l border-gray-200 shadow-lg rounded-r-lg p-4 overflow-y-auto">
+                <button
+                  onClick={() => setSelected(null)}
+                  className="absolute top-3 right-3 p-1 rounded-lg text-gray-500 hover:bg-gray-100 hover:text-gray-900"
+                  aria-label="Close details"
+                >
+                  <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+                  </svg>
+                </button>
+                <div className="pr-8">
+                  {selected.type === 'vehicle' ? (
+                    <VehicleDetails vehicle={selected.data} hierarchy={hierarchy} />
+                  ) : (
+                    <StationDetails station={selected.data} hierarchy={hierarchy} />
+                  )}
+                </div>
+              </aside>
+            )}
+          </div>
+
+          <div className="flex flex-wrap items-center gap-x-4 gap-y-2 mt-3 text-xs text-gray-600">
+            {VEHICLE_STATUS_OPTIONS.map((option) => (
+              <span key={option.value} className="flex items-center gap-1.5">
+                <span className="w-3 h-3 rounded-full" style={{ backgroundColor: getStatusColor(option.value) }}></span>
+                {option.label}
+              </span>
+            ))}
+            {SLOT_STATUS_OPTIONS.map((option) => (
+              <span key={option.value} className="flex items-center gap-1.5">
+                <span className="w-3 h-3 rounded-sm" style={{ backgroundColor: getStatusColor(option.value) }}></span>
+                Station {option.label.toLowerCase()}
+              </span>
+            ))}
+            <span className="ml-auto">
+              {assets.vehicles.length} vehicle{assets.vehicles.length === 1 ? '' : 's'}, {assets.stations.length} station
+              {assets.stations.length === 1 ? '' : 's'}
+              {assets.unlocated > 0 && ` · ${assets.unlocated} without a reported position`}
+            </span>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -1,15 +1,26 @@
 'use client';
 
-import { useEffect } from 'react';
+import { useEffect, useRef, useState } from 'react';
 import { useSession } from 'next-auth/react';
 import { useRouter } from 'next/navigation';
+import Link from 'next/link';
 import KPICard from './components/KPICard';
 import StatusBadge from './components/StatusBadge';
 import RoleBadge from './components/RoleBadge';
+import ExportButton from './components/ExportButton';
+import PriorityBadge from './work-orders/components/PriorityBadge';
+import { useLiveEvents } from './hooks/useLiveEvents';
+
+// Bursts of live events (a swap moves two packs and a slot) refresh the KPIs once
+const REFRESH_DEBOUNCE_MS = 1000;
 
 export default function Home() {
   const { data: session, status } = useSession();
   const router = useRouter();
+  const [availability, setAvailability] = useState(null);
+  const [workOrders, setWorkOrders] = useState(null);
+  const [refreshKey, setRefreshKey] = useState(0);
+  const refreshTimer = useRef(null);
 
   // Redirect to login if not authenticated
   useEffect(() => {
@@ -18,6 +29,29 @@ export default function Home() {
     }
   }, [status, router]);
 
+  // Live KPIs for the user's scope
+  useEffect(() => {
+    if (status !== 'authenticated') return;
+
+    fetch('/api/dashboard')
+      .then((res) => (res.ok ? res.json() : null))
+      .then((data) => {
+        if (!data) return;
+        setAvailability(data.availability);
+        setWorkOrders(data.workOrders);
+      })
+      .catch(() => {});
+  }, [status, refreshKey]);
+
+  // Push updates: asset, swap and work order changes refresh the KPIs
+  // and the recent work orders
+  const live = useLiveEvents(['asset.status', 'swap.recorded', 'workorder.created', 'workorder.updated'], () => {
+    clearTimeout(refreshTimer.current);
+    refreshTimer.current = setTimeout(() => setRefreshKey((key) => key + 1), REFRESH_DEBOUNCE_MS);
+  });
+
+  useEffect(() => () => clearTimeout(refreshTimer.current), []);
+
   // Show loading state while checking authentication
   if (status === 'loading') {
     return (
@@ -37,14 +71,22 @@ export default function Home() {
   // Dummy data for dashboard
   const kpiData = [
     { title: 'Total Assets', value: '1,247', change: '+12% from last month', icon: '🚗', trend: 'up' },
-    { title: 'Active Work Orders', value: '43', change: '+5 new today', icon: '📋', trend: 'up' },
-    { title: 'Available Assets', value: '892', change: '68% availability', icon: '✅', trend: 'up' },
-  ];
-
-  const recentWorkOrders = [
-    { id: 'WO-001', asset: 'EV-2024-001', status: 'pending', priority: 'High' },
-    { id: 'WO-002', asset: 'EV-2024-045', status: 'in-progress', priority: 'Medium' },
-    { id: 'WO-003', asset: 'EV-2024-089', status: 'completed', priority: 'Low' },
+    {
+      title: 'Active Work Orders',
+      value: workOrders ? workOrders.open.toLocaleString() : '—',
+      change: workOrders ? `+${workOrders.today} new today` : null,
+      icon: '📋',
+      trend: 'up',
+    },
+    {
+      title: 'Available Assets',
+      value: availability ? availability.available.toLocaleString() : '—',
+      change: availability?.total
+        ? `${Math.round((availability.available / availability.total) * 100)}% availability`
+        : 'No assets registered',
+      icon: '✅',
+      trend: 'up',
+    },
   ];
 
   const recentAssets = [
@@ -62,17 +104,18 @@ export default function Home() {
             <div>
               <h1 className="text-2xl sm:text-3xl font-bold text-gray-900">Dashboard</h1>
               <p className="text-gray-600 text-sm sm:text-base mt-1">Monitor your assets and work orders</p>
-              <div className="mt-3">
+              <div className="mt-3 flex items-center gap-3">
                 <RoleBadge />
+                {live && (
+                  <span className="flex items-center gap-1.5 text-xs font-medium text-emerald-700">
+                    <span className="w-2 h-2 rounded-full bg-emerald-500 animate-pulse"></span>
+                    Live
+                  </span>
+                )}
               </div>
             </div>
-            <div className="hidden sm:flex items-center space-x-2">
-              <button className="px-4 py-2 text-sm font-medium text-gray-700 bg-white border border-gray-300 rounded-lg hover:bg-gray-50 transition-colors">
-                <svg className="w-4 h-4 inline mr-1.5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 10v6m0 0l-3-3m3 3l3-3m2 8H7a2 2 0 01-2-2V5a2 2 0 012-2h5.586a1 1 0 01.707.293l5.414 5.414a1 1 0 01.293.707V19a2 2 0 01-2 2z" />
-                </svg>
-                Export
-              </button>
+            <div className="hidden sm:block">
+              <ExportButton report="dashboard" />
             </div>
           </div>
         </div>
@@ -100,34 +143,35 @@ export default function Home() {
                 <h2 className="text-lg sm:text-xl font-semibold text-gray-900">Recent Work Orders</h2>
                 <p className="text-xs text-gray-500 mt-1">Latest activity and updates</p>
               </div>
-              <a href="/work-orders" className="text-sm text-emerald-600 hover:text-emerald-700 font-medium flex items-center">
+              <Link href="/work-orders" className="text-sm text-emerald-600 hover:text-emerald-700 font-medium flex items-center">
                 View All
                 <svg className="w-4 h-4 ml-1" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                   <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 5l7 7-7 7" />
                 </svg>
-              </a>
+              </Link>
             </div>
             <div className="space-y-3">
-              {recentWorkOrders.map((order) => (
-                <div key={order.id} className="border border-gray-100 rounded-lg p-3 hover:border-emerald-200 hover:bg-emerald-50/50 transition-colors">
+              {workOrders?.recent.map((order) => (
+                <Link
+                  key={order.id}
+                  href={`/work-orders/${order.id}`}
+                  className="block border border-gray-100 rounded-lg p-3 hover:border-emerald-200 hover:bg-emerald-50/50 transition-colors"
+                >
                   <div className="flex items-start justify-between mb-2">
-                    <div className="flex-1">
+                    <div className="flex-1 min-w-0">
                       <h3 className="font-semibold text-gray-900 text-sm">{order.id}</h3>
-                      <p className="text-xs text-gray-600 mt-0.5">Asset: {order.asset}</p>
+                      <p className="text-xs text-gray-600 mt-0.5 truncate">{order.title} · Asset: {order.assetRef}</p>
                     </div>
                     <StatusBadge status={order.status} size="sm" />
                   </div>
                   <div className="mt-2 flex items-center">
-                    <span className={`text-xs px-2 py-0.5 rounded font-medium ${
-                      order.priority === 'High' ? 'bg-red-50 text-red-700 border border-red-200' :
-                      order.priority === 'Medium' ? 'bg-yellow-50 text-yellow-700 border border-yellow-200' :
-                      'bg-gray-50 text-gray-700 border border-gray-200'
-                    }`}>
-                      {order.priority} Priority
-                    </span>
+                    <PriorityBadge priority={order.priority} />
                   </div>
-                </div>
+                </Link>
               ))}
+              {workOrders?.recent.length === 0 && (
+                <p className="text-sm text-gray-500 py-4 text-center">No work orders yet.</p>
+              )}
             </div>
           </div>
 
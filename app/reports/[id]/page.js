@@ -0,0 +1,209 @@
+'use client';
+
+import { use, useEffect, useState } from 'react';
+import Link from 'next/link';
+import { useRouter } from 'next/navigation';
+import StatusBadge from '@/app/components/StatusBadge';
+import SubscriptionForm from '../components/SubscriptionForm';
+import { describeSchedule, formatLabel, formatTime, reportLabel } from '../components/reportOptions';
+
+function Detail({ label, value }) {
+  return (
+    <div>
+      <dt className="text-xs font-medium text-gray-500 uppercase tracking-wide">{label}</dt>
+      <dd className="mt-1 text-sm text-gray-900">{value ?? '—'}</dd>
+    </div>
+  );
+}
+
+export default function ReportSubscriptionPage({ params }) {
+  const { id } = use(params);
+  const router = useRouter();
+  const [subscription, setSubscription] = useState(null);
+  const [editing, setEditing] = useState(false);
+  const [sending, setSending] = useState(false);
+  const [notice, setNotice] = useState('');
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    fetch(`/api/report-subscriptions/${id}`)
+      .then(async (res) => {
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || 'Failed to load subscription');
+        setSubscription(data.subscription);
+      })
+      .catch((err) => setError(err.message));
+  }, [id]);
+
+  const patchSubscription = async (fields) => {
+    const res = await fetch(`/api/report-subscriptions/${id}`, {
+      method: 'PATCH',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(fields),
+    });
+    const data = await res.json();
+    if (!res.ok) throw new Error(data.error || 'Failed to save subscription');
+
+    setSubscription(data.subscription);
+    setEditing(false);
+  };
+
+  const toggleEnabled = async () => {
+    setError('');
+    setNotice('');
+    try {
+      await patchSubscription({ enabled: !subscription.enabled });
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const sendNow = async () => {
+    setError('');
+    setNotice('');
+    setSending(true);
+    try {
+      const res = await fetch(`/api/report-subscriptions/${id}/send`, { method: 'POST' });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Failed to send report');
+
+      setSubscription(data.subscription);
+      if (data.subscription.lastStatus === 'sent') {
+        setNotice(`Sent to ${data.subscription.recipients.join(', ')}`);
+      } else {
+        setError(`Sending failed: ${data.subscription.lastError}`);
+      }
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSending(false);
+    }
+  };
+
+  const deleteSubscription = async () => {
+    if (!window.confirm(`Delete "${subscription.name}"? Its recipients will stop getting this report.`)) return;
+
+    setError('');
+    const res = await fetch(`/api/report-subscriptions/${id}`, { method: 'DELETE' });
+    if (!res.ok) {
+      const data = await res.json().catch(() => ({}));
+      setError(data.error || 'Failed to delete subscription');
+      return;
+    }
+    router.push('/reports');
+  };
+
+  return (
+    <div>
+      <Link href="/reports" className="text-sm text-emerald-600 hover:text-emerald-700 font-medium">
+        ← Back to reports
+      </Link>
+
+      {error && (
+        <div className="mt-4 p-3 bg-red-50 border border-red-200 rounded-lg">
+          <p className="text-sm text-red-800">{error}</p>
+        </div>
+      )}
+      {notice && (
+        <div className="mt-4 p-3 bg-emerald-50 border border-emerald-200 rounded-lg">
+          <p className="text-sm text-emerald-800">{notice}</p>
+        </div>
+      )}
+
+      {subscription && (
+        <>
+          <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3 mt-3 mb-4 sm:mb-6">
+            <div className="flex items-center gap-3">
+              <h2 className="text-base sm:text-lg md:text-xl font-semibold text-gray-900">{subscription.name}</h2>
+              <StatusBadge status={subscription.enabled ? 'active' : 'inactive'} size="sm" />
+            </div>
+            {!editing && (
+              <div className="flex flex-wrap items-center gap-2">
+                <button
+                  onClick={sendNow}
+                  disabled={sending}
+                  className="px-4 py-2 text-sm font-medium text-gray-700 bg-white border border-gray-300 rounded-lg hover:bg-gray-50 transition-colors disabled:opacity-50"
+                >
+                  {sending ? 'Sending...' : 'Send Now'}
+                </button>
+                <button
+                  onClick={() => setEditing(true)}
+                  className="px-4 py-2 text-sm font-medium text-gray-700 bg-white border border-gray-300 rounded-lg hover:bg-gray-50 transition-colors"
+                >
+                  Edit
+                </button>
+                <button
+                  onClick={toggleEnabled}
+                  className={`px-4 py-2 text-sm font-medium rounded-lg transition-colors ${
+                    subscription.enabled
+                      ? 'text-red-700 bg-red-50 border border-red-200 hover:bg-red-100'
+                      : 'text-white bg-emerald-600 hover:bg-emerald-700'
+                  }`}
+                >
+                  {subscription.enabled ? 'Pause' : 'Resume'}
+                </button>
+                <button
+                  onClick={deleteSubscription}
+                  className="px-4 py-2 text-sm font-medium text-red-700 hover:text-red-800 transition-colors"
+                >
+                  Delete
+                </button>
+              </div>
+            )}
+          </div>
+
+          {editing ? (
+            <SubscriptionForm
+              initialSubscription={subscription}
+              onSubmit={patchSubscription}
+              onCancel={() => setEditing(false)}
+              submitLabel="Save Changes"
+            />
+          ) : (
+            <>
+              <dl className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-4 sm:gap-6">
+                <Detail label="Report" value={reportLabel(subscription.report)} />
+                <Detail label="Attachment" value={formatLabel(subscription.format)} />
+                <Detail
+                  label="Schedule"
+                  value={
+                    <>
+                      {describeSchedule(subscription.schedule)}
+                      <span className="block text-xs text-gray-500 font-mono">{subscription.schedule} (IST)</span>
+                    </>
+                  }
+                />
+                <Detail label="Next Run" value={subscription.enabled ? formatTime(subscription.nextRunAt) : 'Paused'} />
+                <Detail
+                  label="Last Run"
+                  value={
+                    subscription.lastRunAt && (
+                      <>
+                        {formatTime(subscription.lastRunAt)}
+                        <span className={`ml-2 text-xs font-medium ${subscription.lastStatus === 'sent' ? 'text-emerald-700' : 'text-red-700'}`}>
+                          {subscription.lastStatus === 'sent' ? 'Sent' : 'Failed'}
+                        </span>
+                      </>
+                    )
+                  }
+                />
+                <Detail label="Created" value={formatTime(subscription.createdAt)} />
+              </dl>
+
+              {subscription.lastStatus === 'failed' && subscription.lastError && (
+                <p className="mt-4 text-sm text-red-700">Last error: {subscription.lastError}</p>
+              )}
+
+              <h3 className="text-sm sm:text-base font-semibold text-gray-900 mt-6 sm:mt-8 mb-3">Recipients</h3>
+              <ul className="space-y-1 text-sm text-gray-700">
+                {subscription.recipients.map((email) => (
+                  <li key={email}>{email}</li>
+                ))}
+              </ul>
+            </>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,144 @@
+'use client';
+
+import { useState } from 'react';
+import { FORMAT_OPTIONS, REPORT_OPTIONS, SCHEDULE_PRESETS } from './reportOptions';
+
+const inputClass =
+  'w-full px-3 sm:px-4 py-2.5 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-emerald-500 focus:border-emerald-500 transition-colors';
+const labelClass = 'block text-xs sm:text-sm font-medium text-gray-700 mb-1.5';
+
+const CUSTOM = 'custom';
+
+/**
+ * Create/edit form for a report subscription
+ */
+export default function SubscriptionForm({ initialSubscription, onSubmit, onCancel, submitLabel }) {
+  const schedule = initialSubscription?.schedule || SCHEDULE_PRESETS[0].value;
+  const [form, setForm] = useState({
+    name: initialSubscription?.name || '',
+    report: initialSubscription?.report || 'dashboard',
+    format: initialSubscription?.format || 'pdf',
+    preset: SCHEDULE_PRESETS.some((preset) => preset.value === schedule) ? schedule : CUSTOM,
+    schedule,
+    recipients: initialSubscription?.recipients.join('\n') || '',
+  });
+  const [error, setError] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  const update = (field, value) => setForm((prev) => ({ ...prev, [field]: value }));
+
+  const changePreset = (preset) =>
+    setForm((prev) => ({ ...prev, preset, schedule: preset === CUSTOM ? prev.schedule : preset }));
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setSaving(true);
+
+    try {
+      await onSubmit({
+        name: form.name,
+        report: form.report,
+        format: form.format,
+        schedule: form.schedule,
+        recipients: form.recipients.split(/[\s,;]+/).filter(Boolean),
+      });
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4 max-w-2xl">
+      {error && (
+        <div className="p-3 bg-red-50 border border-red-200 rounded-lg">
+          <p className="text-sm text-red-800">{error}</p>
+        </div>
+      )}
+
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+        <div className="sm:col-span-2">
+          <label htmlFor="name" className={labelClass}>Name</label>
+          <input
+            id="name"
+            value={form.name}
+            onChange={(e) => update('name', e.target.value)}
+            required
+            maxLength={120}
+            placeholder="Daily swap summary"
+            className={inputClass}
+          />
+        </div>
+        <div>
+          <label htmlFor="report" className={labelClass}>Report</label>
+          <select id="report" value={form.report} onChange={(e) => update('report', e.target.value)} className={inputClass}>
+            {REPORT_OPTIONS.map((option) => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label htmlFor="format" className={labelClass}>Attachment</label>
+          <select id="format" value={form.format} onChange={(e) => update('format', e.target.value)} className={inputClass}>
+            {FORMAT_OPTIONS.map((option) => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label htmlFor="preset" className={labelClass}>Schedule</label>
+          <select id="preset" value={form.preset} onChange={(e) => changePreset(e.target.value)} className={inputClass}>
+            {SCHEDULE_PRESETS.map((preset) => (
+              <option key={preset.value} value={preset.value}>{preset.label}</option>
+            ))}
+            <option value={CUSTOM}>Custom (cron)</option>
+          </select>
+        </div>
+        {form.preset === CUSTOM && (
+          <div>
+            <label htmlFor="schedule" className={labelClass}>Cron Expression</label>
+            <input
+              id="schedule"
+              value={form.schedule}
+              onChange={(e) => update('schedule', e.target.value)}
+              required
+              placeholder="30 7 * * 1-6"
+              className={`${inputClass} font-mono`}
+            />
+            <p className="mt-1 text-xs text-gray-500">Minute, hour, day of month, month, day of week (0 is Sunday)</p>
+          </div>
+        )}
+        <div className="sm:col-span-2">
+          <label htmlFor="recipients" className={labelClass}>Recipients (one email per line)</label>
+          <textarea
+            id="recipients"
+            value={form.recipients}
+            onChange={(e) => update('recipients', e.target.value)}
+            required
+            rows={4}
+            placeholder={'ops.west@voltup.com\nfleet.manager@voltup.com'}
+            className={inputClass}
+          />
+          <p className="mt-1 text-xs text-gray-500">Recipients get the report as you would see it, limited to your scope.</p>
+        </div>
+      </div>
+
+      <div className="flex items-center gap-3">
+        <button
+          type="submit"
+          disabled={saving}
+          className="px-5 py-2.5 bg-emerald-600 text-white rounded-lg text-sm font-semibold hover:bg-emerald-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          {saving ? 'Saving...' : submitLabel}
+        </button>
+        {onCancel && (
+          <button type="button" onClick={onCancel} className="px-4 py-2.5 text-sm text-gray-600 hover:text-gray-900">
+            Cancel
+          </button>
+        )}
+      </div>
+    </form>
+  );
+}
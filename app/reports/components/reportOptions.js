@@ -0,0 +1,43 @@
+// Option lists and display helpers for scheduled report subscriptions
+
+export const REPORT_OPTIONS = [
+  { value: 'dashboard', label: 'Dashboard KPIs' },
+  { value: 'swaps', label: 'Battery swap summary' },
+  { value: 'overdue-work-orders', label: 'Overdue work orders' },
+];
+
+export const FORMAT_OPTIONS = [
+  { value: 'pdf', label: 'PDF' },
+  { value: 'xlsx', label: 'Excel (XLSX)' },
+  { value: 'csv', label: 'CSV' },
+];
+
+// Common schedules; anything else is entered as a cron expression
+export const SCHEDULE_PRESETS = [
+  { value: '0 8 * * *', label: 'Daily at 08:00' },
+  { value: '0 8 * * 1-5', label: 'Weekdays at 08:00' },
+  { value: '0 8 * * 1', label: 'Mondays at 08:00' },
+  { value: '0 8 1 * *', label: 'Monthly on the 1st at 08:00' },
+];
+
+export function reportLabel(value) {
+  return REPORT_OPTIONS.find((option) => option.value === value)?.label || value;
+}
+
+export function formatLabel(value) {
+  return FORMAT_OPTIONS.find((option) => option.value === value)?.label || value;
+}
+
+/**
+ * "Daily at 08:00" for a preset, otherwise the cron expression itself
+ */
+export function describeSchedule(schedule) {
+  return SCHEDULE_PRESETS.find((preset) => preset.value === schedule)?.label || `Cron: ${schedule}`;
+}
+
+/**
+ * A UTC SQLite timestamp in the browser's local time
+ */
+export function formatTime(timestamp) {
+  return timestamp ? new Date(`${timestamp.replace(' ', 'T')}Z`).toLocaleString() : null;
+}
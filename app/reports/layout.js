@@ -0,0 +1,17 @@
+export default function ReportsLayout({ children }) {
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <div className="p-3 sm:p-4 md:p-6 lg:p-8">
+        <div className="mb-3 sm:mb-4 md:mb-6">
+          <h1 className="text-xl sm:text-2xl md:text-3xl font-bold text-gray-900 mb-1 sm:mb-2">Scheduled Reports</h1>
+          <p className="text-gray-600 text-xs sm:text-sm md:text-base">Reports emailed on a schedule, covering what you can see</p>
+        </div>
+        <div className="bg-white rounded-lg sm:rounded-xl shadow-sm border border-gray-200 overflow-hidden">
+          <div className="p-3 sm:p-4 md:p-6">
+            {children}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
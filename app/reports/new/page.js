@@ -0,0 +1,31 @@
+'use client';
+
+import Link from 'next/link';
+import { useRouter } from 'next/navigation';
+import SubscriptionForm from '../components/SubscriptionForm';
+
+export default function NewReportSubscriptionPage() {
+  const router = useRouter();
+
+  const createSubscription = async (form) => {
+    const res = await fetch('/api/report-subscriptions', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(form),
+    });
+    const data = await res.json();
+    if (!res.ok) throw new Error(data.error || 'Failed to create subscription');
+
+    router.push(`/reports/${data.subscription.id}`);
+  };
+
+  return (
+    <div>
+      <Link href="/reports" className="text-sm text-emerald-600 hover:text-emerald-700 font-medium">
+        ← Back to reports
+      </Link>
+      <h2 className="text-base sm:text-lg md:text-xl font-semibold text-gray-900 mt-3 mb-4 sm:mb-6">New Report Subscription</h2>
+      <SubscriptionForm onSubmit={createSubscription} submitLabel="Create Subscription" />
+    </div>
+  );
+}
@@ -0,0 +1,89 @@
+'use client';
+
+import { useEffect, useState } from 'react';
+import Link from 'next/link';
+import { useRouter } from 'next/navigation';
+import StatusBadge from '@/app/components/StatusBadge';
+import { describeSchedule, formatTime, reportLabel } from './components/reportOptions';
+
+export default function ReportSubscriptionsPage() {
+  const router = useRouter();
+  const [subscriptions, setSubscriptions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    fetch('/api/report-subscriptions')
+      .then((res) => (res.ok ? res.json() : Promise.reject(new Error('Failed to load subscriptions'))))
+      .then((data) => setSubscriptions(data.subscriptions))
+      .catch((err) => setError(err.message))
+      .finally(() => setLoading(false));
+  }, []);
+
+  return (
+    <div>
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3 mb-4 sm:mb-6">
+        <p className="text-xs sm:text-sm text-gray-500">
+          Each subscription emails a report to its recipients on schedule, with the full report attached. Times are in IST.
+        </p>
+        <Link
+          href="/reports/new"
+          className="px-4 py-2 text-sm font-medium text-white bg-emerald-600 rounded-lg hover:bg-emerald-700 transition-colors whitespace-nowrap text-center"
+        >
+          New Subscription
+        </Link>
+      </div>
+
+      {error && (
+        <div className="mb-4 p-3 bg-red-50 border border-red-200 rounded-lg">
+          <p className="text-sm text-red-800">{error}</p>
+        </div>
+      )}
+
+      {loading ? (
+        <p className="text-sm text-gray-500 py-8 text-center">Loading...</p>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-xs font-medium text-gray-500 uppercase tracking-wide border-b border-gray-200">
+                <th className="py-2 pr-4">Name</th>
+                <th className="py-2 pr-4">Report</th>
+                <th className="py-2 pr-4 hidden md:table-cell">Schedule</th>
+                <th className="py-2 pr-4 hidden lg:table-cell">Recipients</th>
+                <th className="py-2 pr-4 hidden sm:table-cell">Next Run</th>
+                <th className="py-2">Status</th>
+              </tr>
+            </thead>
+            <tbody>
+              {subscriptions.map((subscription) => (
+                <tr
+                  key={subscription.id}
+                  onClick={() => router.push(`/reports/${subscription.id}`)}
+                  className="border-b border-gray-100 hover:bg-emerald-50/50 cursor-pointer transition-colors"
+                >
+                  <td className="py-3 pr-4 font-semibold text-gray-900">{subscription.name}</td>
+                  <td className="py-3 pr-4 text-gray-600">{reportLabel(subscription.report)}</td>
+                  <td className="py-3 pr-4 hidden md:table-cell text-gray-600">{describeSchedule(subscription.schedule)}</td>
+                  <td className="py-3 pr-4 hidden lg:table-cell text-gray-600">
+                    {subscription.recipients.length === 1 ? subscription.recipients[0] : `${subscription.recipients.length} recipients`}
+                  </td>
+                  <td className="py-3 pr-4 hidden sm:table-cell text-gray-600">{formatTime(subscription.nextRunAt) || '—'}</td>
+                  <td className="py-3">
+                    <div className="flex items-center gap-2">
+                      <StatusBadge status={subscription.enabled ? 'active' : 'inactive'} size="sm" />
+                      {subscription.lastStatus === 'failed' && (
+                        <span className="text-xs font-medium text-red-700">Last send failed</span>
+                      )}
+                    </div>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {subscriptions.length === 0 && <p className="text-sm text-gray-500 py-8 text-center">No report subscriptions yet.</p>}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -1,11 +1,14 @@
 // Role-based access control utilities
 
 export const ROLES = {
+  SUPER_ADMIN: 'super_admin',
   REGIONAL_HEAD: 'regional_head',
   CIRCLE_HEAD: 'circle_head',
   AREA_HEAD: 'area_head',
 };
 
+// Initial regions; the live region → circle → area → hub tree
+// is stored in the database (app/lib/hierarchy.js)
 export const REGIONS = {
   WEST: 'west',
   EAST: 'east',
@@ -13,12 +16,22 @@ export const REGIONS = {
   SOUTH: 'south',
 };
 
+/**
+ * Check if user is a super admin (sees and manages everything)
+ */
+export function isSuperAdmin(user) {
+  return user?.role === ROLES.SUPER_ADMIN;
+}
+
 /**
  * Check if user has access to a specific region
  */
 export function hasRegionAccess(user, region) {
   if (!user || !user.role) return false;
 
+  // Super admin can see everything
+  if (isSuperAdmin(user)) return true;
+
   // Regional head can only see their region
   if (user.role === ROLES.REGIONAL_HEAD) {
     return user.region === region;
@@ -38,14 +51,19 @@ export function hasRegionAccess(user, region) {
 }
 
 /**
- * Check if user has access to a specific circle
+ * Check if user has access to a specific circle.
+ * `hierarchy` is the child → parent lookup from `getHierarchyMap()`
+ * (or `/api/hierarchy`); without it only exact scope matches pass.
  */
-export function hasCircleAccess(user, circle) {
+export function hasCircleAccess(user, circle, hierarchy) {
   if (!user || !user.role) return false;
 
-  // Regional head can see all circles in their region
+  // Super admin can see everything
+  if (isSuperAdmin(user)) return true;
+
+  // Regional head can see the circles that belong to their region
   if (user.role === ROLES.REGIONAL_HEAD) {
-    return true; // They can see all circles in their region
+    return Boolean(hierarchy) && hierarchy.circles[circle] === user.region;
   }
 
   // Circle head can only see their circle
@@ -64,17 +82,20 @@ export function hasCircleAccess(user, circle) {
 /**
  * Check if user has access to a specific area
  */
-export function hasAreaAccess(user, area) {
+export function hasAreaAccess(user, area, hierarchy) {
   if (!user || !user.role) return false;
 
-  // Regional head can see all areas in their region
+  // Super admin can see everything
+  if (isSuperAdmin(user)) return true;
+
+  // Regional head can see the areas under their region's circles
   if (user.role === ROLES.REGIONAL_HEAD) {
-    return true;
+    return Boolean(hierarchy) && hasCircleAccess(user, hierarchy.areas[area], hierarchy);
   }
 
-  // Circle head can see all areas in their circle
+  // Circle head can see the areas that belong to their circle
   if (user.role === ROLES.CIRCLE_HEAD) {
-    return true;
+    return Boolean(hierarchy) && hierarchy.areas[area] === user.circle;
   }
 
   // Area head can only see their area
@@ -85,6 +106,36 @@ export function hasAreaAccess(user, area) {
   return false;
 }
 
+/**
+ * Check if user has access to a specific hub
+ */
+export function hasHubAccess(user, hub, hierarchy) {
+  if (!user || !user.role) return false;
+
+  // Super admin can see everything
+  if (isSuperAdmin(user)) return true;
+
+  return Boolean(hierarchy) && hasAreaAccess(user, hierarchy.hubs[hub], hierarchy);
+}
+
+/**
+ * Get a human-readable label for a role
+ */
+export function getRoleLabel(role) {
+  switch (role) {
+    case ROLES.SUPER_ADMIN:
+      return 'Super Admin';
+    case ROLES.REGIONAL_HEAD:
+      return 'Regional Head';
+    case ROLES.CIRCLE_HEAD:
+      return 'Circle Head';
+    case ROLES.AREA_HEAD:
+      return 'Area Head';
+    default:
+      return role;
+  }
+}
+
 /**
  * Get user's accessible scope description
  */
@@ -92,6 +143,8 @@ export function getUserScope(user) {
   if (!user || !user.role) return 'No access';
 
   switch (user.role) {
+    case ROLES.SUPER_ADMIN:
+      return 'All regions';
     case ROLES.REGIONAL_HEAD:
       return `Region: ${user.region?.toUpperCase() || 'N/A'}`;
     case ROLES.CIRCLE_HEAD:
@@ -104,33 +157,48 @@ export function getUserScope(user) {
 }
 
 /**
- * Filter data based on user's role and scope
+ * Get the field values a record must match to be in the user's scope.
+ * Returns {} for super admins (everything) and null for no access.
  */
-export function filterDataByUserAccess(data, user) {
-  if (!user || !user.role) return [];
+export function getScopeFilter(user) {
+  if (!user || !user.role) return null;
 
   switch (user.role) {
+    case ROLES.SUPER_ADMIN:
+      return {};
+
     case ROLES.REGIONAL_HEAD:
       // Regional head sees all data in their region
-      return data.filter((item) => item.region === user.region);
-    
+      return { region: user.region };
+
     case ROLES.CIRCLE_HEAD:
       // Circle head sees all data in their circle
-      return data.filter(
-        (item) => item.region === user.region && item.circle === user.circle
-      );
-    
+      return { region: user.region, circle: user.circle };
+
     case ROLES.AREA_HEAD:
       // Area head sees only their area data
-      return data.filter(
-        (item) =>
-          item.region === user.region &&
-          item.circle === user.circle &&
-          item.area === user.area
-      );
-    
+      return { region: user.region, circle: user.circle, area: user.area };
+
     default:
-      return [];
+      return null;
   }
 }
 
+/**
+ * Check if a single record (with region/circle/area fields) is in the user's scope
+ */
+export function isInUserScope(item, user) {
+  const filter = getScopeFilter(user);
+  if (!filter || !item) return false;
+
+  return Object.entries(filter).every(([field, value]) => item[field] === value);
+}
+
+/**
+ * Filter data based on user's role and scope
+ */
+export function filterDataByUserAccess(data, user) {
+  if (!getScopeFilter(user)) return [];
+
+  return data.filter((item) => isInUserScope(item, user));
+}
@@ -0,0 +1,60 @@
+// Password strength rules, shared by the forms (to show what's missing as
+// the user types) and the API routes that set passwords
+
+export const PASSWORD_MIN_LENGTH = 10;
+const PASSWORD_MAX_LENGTH = 128;
+
+// Too well known to allow, whatever else they contain
+const COMMON_PASSWORDS = new Set([
+  'password', 'password1', 'password12', 'password123', 'password1234', 'passw0rd', 'qwerty', 'qwerty123',
+  'letmein', 'welcome', 'welcome1', 'welcome123', 'admin', 'admin123', 'administrator', 'iloveyou',
+  '123456', '1234567890', '0987654321', 'changeme', 'draive', 'voltup',
+]);
+
+const CHARACTER_CLASSES = [/[a-z]/, /[A-Z]/, /\d/, /[^a-zA-Z\d]/];
+
+/**
+ * The strength rules, each with a label for the checklist shown by
+ * password forms, a test of the password and the error when it fails
+ */
+export const PASSWORD_RULES = [
+  {
+    label: `At least ${PASSWORD_MIN_LENGTH} characters`,
+    test: (password) => password.length >= PASSWORD_MIN_LENGTH,
+    error: `Passwords need at least ${PASSWORD_MIN_LENGTH} characters`,
+  },
+  {
+    label: 'Three of: lowercase, uppercase, digits, symbols',
+    test: (password) => CHARACTER_CLASSES.filter((pattern) => pattern.test(password)).length >= 3,
+    error: 'Passwords need three of: lowercase letters, uppercase letters, digits and symbols',
+  },
+  {
+    label: 'Not a common password or your email address',
+    test: (password, { email } = {}) => {
+      const lower = password.toLowerCase();
+      const mailbox = email?.split('@')[0].toLowerCase();
+      return (
+        !COMMON_PASSWORDS.has(lower.replace(/[^a-z\d]+$/, '')) &&
+        !COMMON_PASSWORDS.has(lower) &&
+        !(mailbox && mailbox.length >= 3 && lower.includes(mailbox))
+      );
+    },
+    error: 'That password is too common or contains your email address',
+  },
+];
+
+/**
+ * Check a new password against the strength rules.
+ * Returns an error message, or null when it's strong enough.
+ */
+export function validatePassword(password, { email } = {}) {
+  if (typeof password !== 'string' || !password) {
+    return 'A password is required';
+  }
+  if (password.length > PASSWORD_MAX_LENGTH) {
+    return `Passwords can be at most ${PASSWORD_MAX_LENGTH} characters`;
+  }
+
+  const failed = PASSWORD_RULES.find((rule) => !rule.test(password, { email }));
+  return failed ? failed.error : null;
+}
@@ -0,0 +1,75 @@
+// Route permission manifest, shared by proxy.js (enforcement) and the
+// navigation components (hiding links the user can't open)
+
+import { ROLES } from './auth';
+
+const ALL_ROLES = Object.values(ROLES);
+
+/**
+ * Route prefix → roles allowed to open it. The longest matching prefix
+ * wins, so a sub-route can be narrower than its parent. Routes not listed
+ * here are open to every signed-in user.
+ */
+export const ROUTE_PERMISSIONS = [
+  { prefix: '/admin', roles: [ROLES.SUPER_ADMIN] },
+  { prefix: '/admin/audit', roles: [ROLES.SUPER_ADMIN, ROLES.REGIONAL_HEAD] },
+  { prefix: '/assets', roles: ALL_ROLES },
+  { prefix: '/assets/batteries', roles: [ROLES.SUPER_ADMIN, ROLES.REGIONAL_HEAD, ROLES.CIRCLE_HEAD] },
+  { prefix: '/assets/batteries/inventory', roles: ALL_ROLES },
+  { prefix: '/work-orders', roles: ALL_ROLES },
+  { prefix: '/maintenance', roles: ALL_ROLES },
+  { prefix: '/customer-plans', roles: ALL_ROLES },
+];
+
+/**
+ * Sensitive routes (pages and their APIs) that need a session signed in
+ * with a second factor - the `mfa` claim
+ */
+export const MFA_ROUTES = ['/admin', '/api/admin'];
+
+// Account settings stay open to sessions held back by the checks below,
+// so the user can set up two-factor authentication or change their password
+const ACCOUNT_ROUTES = ['/account', '/api/account'];
+
+function matchesPrefix(pathname, prefix) {
+  return pathname === prefix || pathname.startsWith(prefix + '/');
+}
+
+/**
+ * Find the manifest entry governing a path, or null if none applies
+ */
+export function getRoutePermission(pathname) {
+  return ROUTE_PERMISSIONS
+    .filter((entry) => matchesPrefix(pathname, entry.prefix))
+    .reduce((best, entry) => (!best || entry.prefix.length > best.prefix.length ? entry : best), null);
+}
+
+/**
+ * Check if user may open a route
+ */
+export function canAccessRoute(user, pathname) {
+  if (!user || !user.role) return false;
+
+  const permission = getRoutePermission(pathname);
+  return !permission || permission.roles.includes(user.role);
+}
+
+/**
+ * Check if the user must sign in with a second factor before opening a
+ * route: always for roles that require two-factor authentication, and on
+ * MFA_ROUTES for everyone
+ */
+export function needsSecondFactor(user, pathname) {
+  if (!user || user.mfa || ACCOUNT_ROUTES.some((prefix) => matchesPrefix(pathname, prefix))) {
+    return false;
+  }
+  return Boolean(user.mfaRequired) || MFA_ROUTES.some((prefix) => matchesPrefix(pathname, prefix));
+}
+
+/**
+ * Check if the user has to change their password before opening a route
+ * (the "must change at next sign-in" flag)
+ */
+export function needsPasswordChange(user, pathname) {
+  return Boolean(user?.mustChangePassword) && !ACCOUNT_ROUTES.some((prefix) => matchesPrefix(pathname, prefix));
+}
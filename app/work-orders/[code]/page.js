@@ -0,0 +1,368 @@
+'use client';
+
+import { use, useEffect, useState } from 'react';
+import Link from 'next/link';
+import StatusBadge from '@/app/components/StatusBadge';
+import { useHierarchy } from '@/app/hooks/useHierarchy';
+import PriorityBadge from '../components/PriorityBadge';
+import WorkOrderForm from '../components/WorkOrderForm';
+import { TRANSITION_LABELS, assetHref, assetTypeLabel, formatDueDate } from '../components/workOrderOptions';
+
+const inputClass =
+  'w-full px-3 py-2 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-emerald-500 focus:border-emerald-500';
+
+function Detail({ label, value, mono }) {
+  return (
+    <div>
+      <dt className="text-xs font-medium text-gray-500 uppercase tracking-wide">{label}</dt>
+      <dd className={`mt-1 text-sm text-gray-900 ${mono ? 'font-mono' : ''}`}>{value ?? '—'}</dd>
+    </div>
+  );
+}
+
+function formatTimestamp(value) {
+  return value ? new Date(`${value}Z`).toLocaleString() : null;
+}
+
+function formatSize(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+// How each kind of activity entry reads in the thread
+function activityText(entry) {
+  switch (entry.kind) {
+    case 'created':
+      return 'raised this work order';
+    case 'status':
+      return `changed the status to ${entry.body}`;
+    case 'assigned':
+      return entry.body ? `assigned this to ${entry.body}` : 'removed the assignee';
+    default:
+      return null;
+  }
+}
+
+function Section({ title, children }) {
+  return (
+    <section className="mt-6 sm:mt-8">
+      <h3 className="text-sm sm:text-base font-semibold text-gray-900 mb-3">{title}</h3>
+      {children}
+    </section>
+  );
+}
+
+export default function WorkOrderDetailPage({ params }) {
+  const { code } = use(params);
+  const { hierarchy } = useHierarchy();
+  const [record, setRecord] = useState(null);
+  const [reloadKey, setReloadKey] = useState(0);
+  const [editing, setEditing] = useState(false);
+  const [newItem, setNewItem] = useState('');
+  const [comment, setComment] = useState('');
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    fetch(`/api/work-orders/${code}`)
+      .then(async (res) => {
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || 'Failed to load work order');
+        setRecord(data);
+      })
+      .catch((err) => setError(err.message));
+  }, [code, reloadKey]);
+
+  // Send a request and merge the returned collection into the record;
+  // pass `reload` when the change also shows up elsewhere (activity, status)
+  const send = async (path, options, { reload = false } = {}) => {
+    setError('');
+    setBusy(true);
+    try {
+      const res = await fetch(`/api/work-orders/${code}${path}`, options);
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Request failed');
+
+      setRecord((prev) => ({ ...prev, ...data }));
+      if (reload) setReloadKey((key) => key + 1);
+      return true;
+    } catch (err) {
+      setError(err.message);
+      return false;
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const jsonRequest = (method, body) => ({
+    method,
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+  });
+
+  const saveWorkOrder = async (form) => {
+    const res = await fetch(`/api/work-orders/${code}`, jsonRequest('PATCH', form));
+    const data = await res.json();
+    if (!res.ok) throw new Error(data.error || 'Failed to save work order');
+
+    setEditing(false);
+    setReloadKey((key) => key + 1);
+  };
+
+  const changeStatus = (status) => {
+    if (status === 'cancelled' && !confirm(`Cancel ${code}? Cancelled work orders can no longer be edited.`)) return;
+    send('', jsonRequest('PATCH', { status }), { reload: true });
+  };
+
+  const addItem = async (e) => {
+    e.preventDefault();
+    if (await send('/checklist', jsonRequest('POST', { label: newItem }))) setNewItem('');
+  };
+
+  const postComment = async (e) => {
+    e.preventDefault();
+    if (await send('/comments', jsonRequest('POST', { body: comment }))) setComment('');
+  };
+
+  const upload = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    const body = new FormData();
+    body.append('file', file);
+    send('/attachments', { method: 'POST', body });
+  };
+
+  const removeAttachment = (attachment) => {
+    if (!confirm(`Delete ${attachment.fileName}?`)) return;
+    send(`/attachments/${attachment.id}`, { method: 'DELETE' });
+  };
+
+  const workOrder = record?.workOrder;
+  const open = Boolean(workOrder?.nextStatuses.length);
+
+  return (
+    <div>
+      <Link href="/work-orders" className="text-sm text-emerald-600 hover:text-emerald-700 font-medium">
+        ← Back to work orders
+      </Link>
+
+      {error && (
+        <div className="mt-4 p-3 bg-red-50 border border-red-200 rounded-lg">
+          <p className="text-sm text-red-800">{error}</p>
+        </div>
+      )}
+
+      {workOrder && (
+        <>
+          <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3 mt-3 mb-4 sm:mb-6">
+            <div>
+              <div className="flex flex-wrap items-center gap-3">
+                <h2 className="text-base sm:text-lg md:text-xl font-semibold text-gray-900">{workOrder.id}</h2>
+                <StatusBadge status={workOrder.status} size="sm" />
+                <PriorityBadge priority={workOrder.priority} />
+              </div>
+              <p className="text-xs sm:text-sm text-gray-500 mt-0.5">{workOrder.title}</p>
+            </div>
+            {open && !editing && (
+              <div className="flex flex-wrap items-center gap-2">
+                {workOrder.nextStatuses.map((status) => (
+                  <button
+                    key={status}
+                    onClick={() => changeStatus(status)}
+                    disabled={busy}
+                    className={`px-4 py-2 text-sm font-medium rounded-lg transition-colors disabled:opacity-50 ${
+                      status === 'cancelled'
+                        ? 'text-red-700 bg-red-50 border border-red-200 hover:bg-red-100'
+                        : status === 'pending'
+                          ? 'text-gray-700 bg-white border border-gray-300 hover:bg-gray-50'
+                          : 'text-white bg-emerald-600 hover:bg-emerald-700'
+                    }`}
+                  >
+                    {TRANSITION_LABELS[status]}
+                  </button>
+                ))}
+                <button
+                  onClick={() => setEditing(true)}
+                  className="px-4 py-2 text-sm font-medium text-gray-700 bg-white border border-gray-300 rounded-lg hover:bg-gray-50 transition-colors"
+                >
+                  Edit
+                </button>
+              </div>
+            )}
+          </div>
+
+          {editing ? (
+            <WorkOrderForm
+              initialWorkOrder={workOrder}
+              onSubmit={saveWorkOrder}
+              onCancel={() => setEditing(false)}
+              submitLabel="Save Changes"
+            />
+          ) : (
+            <>
+              <dl className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-4 sm:gap-6">
+                <Detail
+                  label={assetTypeLabel(workOrder.assetType)}
+                  value={
+                    <Link href={assetHref(workOrder.assetType, workOrder.assetRef)} className="text-emerald-600 hover:text-emerald-700">
+                      {workOrder.assetRef}
+                    </Link>
+                  }
+                  mono
+                />
+                <Detail label="Assignee" value={workOrder.assigneeName || 'Unassigned'} />
+                <Detail
+                  label="Due"
+                  value={
+                    <span className={workOrder.overdue ? 'text-red-600 font-medium' : ''}>
+                      {formatDueDate(workOrder.dueDate)}
+                      {workOrder.overdue && ' (overdue)'}
+                    </span>
+                  }
+                />
+                <Detail label="Hub" value={hierarchy.names.hub[workOrder.hub] || workOrder.hub} />
+                <Detail label="Raised By" value={workOrder.createdBy} />
+                {workOrder.planId && (
+                  <Detail
+                    label="Maintenance Plan"
+                    value={
+                      <Link href={`/maintenance/plans/${workOrder.planId}`} className="text-emerald-600 hover:text-emerald-700">
+                        {workOrder.planName}
+                      </Link>
+                    }
+                  />
+                )}
+                <Detail label="Raised" value={formatTimestamp(workOrder.createdAt)} />
+                {workOrder.startedAt && <Detail label="Started" value={formatTimestamp(workOrder.startedAt)} />}
+                {workOrder.completedAt && <Detail label="Completed" value={formatTimestamp(workOrder.completedAt)} />}
+                {workOrder.cancelledAt && <Detail label="Cancelled" value={formatTimestamp(workOrder.cancelledAt)} />}
+              </dl>
+              {workOrder.description && (
+                <p className="mt-4 sm:mt-6 text-sm text-gray-700 whitespace-pre-line">{workOrder.description}</p>
+              )}
+            </>
+          )}
+
+          <Section title={`Checklist (${record.checklist.filter((item) => item.done).length}/${record.checklist.length})`}>
+            <ul className="space-y-2">
+              {record.checklist.map((item) => (
+                <li key={item.id} className="flex items-center gap-3 text-sm">
+                  <input
+                    type="checkbox"
+                    checked={item.done}
+                    disabled={!open || busy}
+                    onChange={(e) => send(`/checklist/${item.id}`, jsonRequest('PATCH', { done: e.target.checked }))}
+                    className="rounded border-gray-300 text-emerald-600 focus:ring-emerald-500"
+                  />
+                  <span className={`flex-1 ${item.done ? 'text-gray-400 line-through' : 'text-gray-800'}`}>{item.label}</span>
+                  {item.done && <span className="text-xs text-gray-400">{item.doneBy}</span>}
+                  {open && (
+                    <button
+                      onClick={() => send(`/checklist/${item.id}`, { method: 'DELETE' })}
+                      disabled={busy}
+                      className="text-xs text-gray-400 hover:text-red-600"
+                    >
+                      Remove
+                    </button>
+                  )}
+                </li>
+              ))}
+            </ul>
+            {record.checklist.length === 0 && <p className="text-sm text-gray-500">No checklist items.</p>}
+            {open && (
+              <form onSubmit={addItem} className="flex gap-2 mt-3 max-w-xl">
+                <input
+                  value={newItem}
+                  onChange={(e) => setNewItem(e.target.value)}
+                  placeholder="Add a checklist item"
+                  required
+                  maxLength={200}
+                  className={inputClass}
+                />
+                <button
+                  type="submit"
+                  disabled={busy}
+                  className="px-4 py-2 text-sm font-medium text-gray-700 bg-white border border-gray-300 rounded-lg hover:bg-gray-50 disabled:opacity-50"
+                >
+                  Add
+                </button>
+              </form>
+            )}
+          </Section>
+
+          <Section title="Attachments">
+            <ul className="divide-y divide-gray-100">
+              {record.attachments.map((attachment) => (
+                <li key={attachment.id} className="flex items-center gap-3 py-2 text-sm">
+                  <a
+                    href={`/api/work-orders/${code}/attachments/${attachment.id}`}
+                    className="flex-1 truncate text-emerald-600 hover:text-emerald-700"
+                  >
+                    {attachment.fileName}
+                  </a>
+                  <span className="text-xs text-gray-400 whitespace-nowrap">
+                    {formatSize(attachment.sizeBytes)} · {attachment.uploadedBy}
+                  </span>
+                  {open && (
+                    <button
+                      onClick={() => removeAttachment(attachment)}
+                      disabled={busy}
+                      className="text-xs text-gray-400 hover:text-red-600"
+                    >
+                      Delete
+                    </button>
+                  )}
+                </li>
+              ))}
+            </ul>
+            {record.attachments.length === 0 && <p className="text-sm text-gray-500">No attachments.</p>}
+            {open && (
+              <label className="inline-block mt-3 px-4 py-2 text-sm font-medium text-gray-700 bg-white border border-gray-300 rounded-lg hover:bg-gray-50 cursor-pointer">
+                Upload File
+                <input type="file" onChange={upload} disabled={busy} className="hidden" />
+              </label>
+            )}
+          </Section>
+
+          <Section title="Activity">
+            <ol className="space-y-3">
+              {record.comments.map((entry) => (
+                <li key={entry.id} className="text-sm">
+                  <div className="flex items-baseline gap-2">
+                    <span className="font-medium text-gray-900">{entry.authorName || 'System'}</span>
+                    {activityText(entry) && <span className="text-gray-600">{activityText(entry)}</span>}
+                    <span className="text-xs text-gray-400">{formatTimestamp(entry.createdAt)}</span>
+                  </div>
+                  {entry.kind === 'comment' && (
+                    <p className="mt-1 p-3 bg-gray-50 rounded-lg text-gray-800 whitespace-pre-line">{entry.body}</p>
+                  )}
+                </li>
+              ))}
+            </ol>
+            <form onSubmit={postComment} className="mt-4 max-w-2xl space-y-2">
+              <textarea
+                value={comment}
+                onChange={(e) => setComment(e.target.value)}
+                placeholder="Add a comment"
+                rows={3}
+                required
+                maxLength={2000}
+                className={inputClass}
+              />
+              <button
+                type="submit"
+                disabled={busy}
+                className="px-4 py-2 text-sm font-semibold text-white bg-emerald-600 rounded-lg hover:bg-emerald-700 transition-colors disabled:opacity-50"
+              >
+                Comment
+              </button>
+            </form>
+          </Section>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,11 @@
+import { PRIORITY_OPTIONS } from './workOrderOptions';
+
+export default function PriorityBadge({ priority }) {
+  const option = PRIORITY_OPTIONS.find((candidate) => candidate.value === priority) || PRIORITY_OPTIONS[2];
+
+  return (
+    <span className={`text-xs px-2 py-0.5 rounded font-medium whitespace-nowrap ${option.className}`}>
+      {option.label} Priority
+    </span>
+  );
+}
@@ -0,0 +1,176 @@
+'use client';
+
+import { useEffect, useState } from 'react';
+import { ASSET_TYPE_OPTIONS, PRIORITY_OPTIONS } from './workOrderOptions';
+
+const inputClass =
+  'w-full px-3 sm:px-4 py-2.5 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-emerald-500 focus:border-emerald-500 transition-colors';
+const labelClass = 'block text-xs sm:text-sm font-medium text-gray-700 mb-1.5';
+
+// Wait for the asset reference to settle before looking up assignees
+const ASSIGNEE_LOOKUP_DELAY_MS = 400;
+
+/**
+ * Create/edit form for a work order. The asset can only be chosen when
+ * raising one; assignee options are the users who can see that asset.
+ */
+export default function WorkOrderForm({ initialWorkOrder, onSubmit, onCancel, submitLabel }) {
+  const editing = Boolean(initialWorkOrder);
+  const [form, setForm] = useState({
+    assetType: initialWorkOrder?.assetType || 'vehicle',
+    assetRef: initialWorkOrder?.assetRef || '',
+    title: initialWorkOrder?.title || '',
+    description: initialWorkOrder?.description || '',
+    priority: initialWorkOrder?.priority || 'medium',
+    assigneeId: initialWorkOrder?.assigneeId || '',
+    dueDate: initialWorkOrder?.dueDate || '',
+    checklist: '',
+  });
+  const [assignees, setAssignees] = useState({ key: null, users: [] });
+  const [error, setError] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  const assetType = form.assetType;
+  const assetRef = form.assetRef.trim();
+  const assetKey = `${assetType}:${assetRef}`;
+
+  useEffect(() => {
+    if (!assetRef) return;
+
+    const timer = setTimeout(() => {
+      fetch(`/api/work-orders/assignees?${new URLSearchParams({ assetType, assetRef })}`)
+        .then((res) => (res.ok ? res.json() : { assignees: [] }))
+        .then((data) => setAssignees({ key: `${assetType}:${assetRef}`, users: data.assignees }))
+        .catch(() => {});
+    }, ASSIGNEE_LOOKUP_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [assetType, assetRef]);
+
+  const assigneeOptions = assignees.key === assetKey ? assignees.users : [];
+  const selectedType = ASSET_TYPE_OPTIONS.find((option) => option.value === form.assetType);
+
+  const update = (field, value) => setForm((prev) => ({ ...prev, [field]: value }));
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setSaving(true);
+
+    const { title, description, priority, assigneeId, dueDate } = form;
+    const details = { title, description, priority, assigneeId, dueDate };
+    const checklist = form.checklist.split('\n').map((line) => line.trim()).filter(Boolean);
+    const payload = editing ? details : { ...details, assetType, assetRef, checklist };
+
+    try {
+      await onSubmit(payload);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4 max-w-2xl">
+      {error && (
+        <div className="p-3 bg-red-50 border border-red-200 rounded-lg">
+          <p className="text-sm text-red-800">{error}</p>
+        </div>
+      )}
+
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+        {!editing && (
+          <>
+            <div>
+              <label htmlFor="assetType" className={labelClass}>Asset Type</label>
+              <select id="assetType" value={form.assetType} onChange={(e) => update('assetType', e.target.value)} className={inputClass}>
+                {ASSET_TYPE_OPTIONS.map((option) => (
+                  <option key={option.value} value={option.value}>{option.label}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label htmlFor="assetRef" className={labelClass}>Asset</label>
+              <input
+                id="assetRef"
+                value={form.assetRef}
+                onChange={(e) => update('assetRef', e.target.value)}
+                required
+                placeholder={selectedType?.placeholder}
+                className={`${inputClass} font-mono`}
+              />
+            </div>
+          </>
+        )}
+        <div className="sm:col-span-2">
+          <label htmlFor="title" className={labelClass}>Title</label>
+          <input id="title" value={form.title} onChange={(e) => update('title', e.target.value)} required maxLength={120} className={inputClass} />
+        </div>
+        <div className="sm:col-span-2">
+          <label htmlFor="description" className={labelClass}>Description</label>
+          <textarea
+            id="description"
+            value={form.description}
+            onChange={(e) => update('description', e.target.value)}
+            rows={3}
+            maxLength={2000}
+            className={inputClass}
+          />
+        </div>
+        <div>
+          <label htmlFor="priority" className={labelClass}>Priority</label>
+          <select id="priority" value={form.priority} onChange={(e) => update('priority', e.target.value)} className={inputClass}>
+            {PRIORITY_OPTIONS.map((option) => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label htmlFor="dueDate" className={labelClass}>Due Date</label>
+          <input id="dueDate" type="date" value={form.dueDate} onChange={(e) => update('dueDate', e.target.value)} className={inputClass} />
+        </div>
+        <div className="sm:col-span-2">
+          <label htmlFor="assigneeId" className={labelClass}>Assignee</label>
+          <select id="assigneeId" value={form.assigneeId} onChange={(e) => update('assigneeId', e.target.value)} className={inputClass}>
+            <option value="">Unassigned</option>
+            {/* Keep the current assignee selectable while the options load */}
+            {form.assigneeId && !assigneeOptions.some((user) => user.id === form.assigneeId) && (
+              <option value={form.assigneeId}>{initialWorkOrder?.assigneeName || 'Current assignee'}</option>
+            )}
+            {assigneeOptions.map((user) => (
+              <option key={user.id} value={user.id}>{user.name}</option>
+            ))}
+          </select>
+        </div>
+        {!editing && (
+          <div className="sm:col-span-2">
+            <label htmlFor="checklist" className={labelClass}>Checklist (one item per line)</label>
+            <textarea
+              id="checklist"
+              value={form.checklist}
+              onChange={(e) => update('checklist', e.target.value)}
+              rows={4}
+              placeholder={'Inspect brake pads\nCheck tyre pressure'}
+              className={inputClass}
+            />
+          </div>
+        )}
+      </div>
+
+      <div className="flex items-center gap-3">
+        <button
+          type="submit"
+          disabled={saving}
+          className="px-5 py-2.5 bg-emerald-600 text-white rounded-lg text-sm font-semibold hover:bg-emerald-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          {saving ? 'Saving...' : submitLabel}
+        </button>
+        {onCancel && (
+          <button type="button" onClick={onCancel} className="px-4 py-2.5 text-sm text-gray-600 hover:text-gray-900">
+            Cancel
+          </button>
+        )}
+      </div>
+    </form>
+  );
+}
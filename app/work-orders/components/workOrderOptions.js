@@ -0,0 +1,42 @@
+// Option lists and display helpers for work order forms and lists
+
+export const WORK_ORDER_STATUS_OPTIONS = [
+  { value: 'pending', label: 'Pending' },
+  { value: 'in-progress', label: 'In Progress' },
+  { value: 'completed', label: 'Completed' },
+  { value: 'cancelled', label: 'Cancelled' },
+];
+
+export const PRIORITY_OPTIONS = [
+  { value: 'high', label: 'High', className: 'bg-red-50 text-red-700 border border-red-200' },
+  { value: 'medium', label: 'Medium', className: 'bg-yellow-50 text-yellow-700 border border-yellow-200' },
+  { value: 'low', label: 'Low', className: 'bg-gray-50 text-gray-700 border border-gray-200' },
+];
+
+export const ASSET_TYPE_OPTIONS = [
+  { value: 'vehicle', label: 'Vehicle', placeholder: 'EV-2026-001', path: '/assets/vehicles' },
+  { value: 'battery', label: 'Battery', placeholder: 'Battery serial', path: '/assets/batteries/inventory' },
+  { value: 'station', label: 'Charging Station', placeholder: 'CS-001', path: '/assets/charging-stations' },
+  { value: 'tcu', label: 'TCU', placeholder: 'IMEI / device id', path: '/assets/tcu' },
+];
+
+// Label for the button that moves a work order into a status
+export const TRANSITION_LABELS = {
+  'in-progress': 'Start Work',
+  pending: 'Put On Hold',
+  completed: 'Mark Completed',
+  cancelled: 'Cancel',
+};
+
+export function assetTypeLabel(value) {
+  return ASSET_TYPE_OPTIONS.find((option) => option.value === value)?.label || value;
+}
+
+export function assetHref(assetType, assetRef) {
+  const option = ASSET_TYPE_OPTIONS.find((candidate) => candidate.value === assetType);
+  return option ? `${option.path}/${encodeURIComponent(assetRef)}` : null;
+}
+
+export function formatDueDate(dueDate) {
+  return dueDate ? new Date(`${dueDate}T00:00:00`).toLocaleDateString() : '—';
+}
@@ -0,0 +1,31 @@
+'use client';
+
+import Link from 'next/link';
+import { useRouter } from 'next/navigation';
+import WorkOrderForm from '../components/WorkOrderForm';
+
+export default function NewWorkOrderPage() {
+  const router = useRouter();
+
+  const createWorkOrder = async (form) => {
+    const res = await fetch('/api/work-orders', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(form),
+    });
+    const data = await res.json();
+    if (!res.ok) throw new Error(data.error || 'Failed to create work order');
+
+    router.push(`/work-orders/${data.workOrder.id}`);
+  };
+
+  return (
+    <div>
+      <Link href="/work-orders" className="text-sm text-emerald-600 hover:text-emerald-700 font-medium">
+        ← Back to work orders
+      </Link>
+      <h2 className="text-base sm:text-lg md:text-xl font-semibold text-gray-900 mt-3 mb-4 sm:mb-6">New Work Order</h2>
+      <WorkOrderForm onSubmit={createWorkOrder} submitLabel="Raise Work Order" />
+    </div>
+  );
+}
@@ -0,0 +1,205 @@
+'use client';
+
+import { useEffect, useState } from 'react';
+import Link from 'next/link';
+import { useRouter } from 'next/navigation';
+import { useSession } from 'next-auth/react';
+import ExportButton from '@/app/components/ExportButton';
+import StatusBadge from '@/app/components/StatusBadge';
+import { useHierarchy } from '@/app/hooks/useHierarchy';
+import { hasHubAccess } from '@/app/utils/auth';
+import PriorityBadge from './components/PriorityBadge';
+import {
+  ASSET_TYPE_OPTIONS,
+  PRIORITY_OPTIONS,
+  WORK_ORDER_STATUS_OPTIONS,
+  assetTypeLabel,
+  formatDueDate,
+} from './components/workOrderOptions';
+
+const PAGE_SIZE = 20;
+const selectClass =
+  'px-3 py-2 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-emerald-500 focus:border-emerald-500';
+
+export default function WorkOrdersPage() {
+  const router = useRouter();
+  const { data: session } = useSession();
+  const { hierarchy } = useHierarchy();
+  const [filters, setFilters] = useState({
+    q: '',
+    status: 'open',
+    priority: '',
+    assetType: '',
+    hub: '',
+    mine: false,
+    overdue: false,
+    page: 1,
+  });
+  const [search, setSearch] = useState('');
+  const [result, setResult] = useState({ workOrders: [], total: 0 });
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    const query = new URLSearchParams({ page: filters.page, pageSize: PAGE_SIZE });
+    for (const field of ['q', 'status', 'priority', 'assetType', 'hub']) {
+      if (filters[field]) query.set(field, filters[field]);
+    }
+    if (filters.mine) query.set('assignee', 'me');
+    if (filters.overdue) query.set('overdue', 'true');
+
+    fetch(`/api/work-orders?${query}`)
+      .then((res) => (res.ok ? res.json() : Promise.reject(new Error('Failed to load work orders'))))
+      .then((data) => setResult(data))
+      .catch((err) => setError(err.message))
+      .finally(() => setLoading(false));
+  }, [filters]);
+
+  const updateFilter = (field, value) => setFilters((prev) => ({ ...prev, [field]: value, page: 1 }));
+  const totalPages = Math.max(1, Math.ceil(result.total / PAGE_SIZE));
+  const hubs = Object.keys(hierarchy.hubs).filter((hub) => hasHubAccess(session?.user, hub, hierarchy));
+
+  return (
+    <div>
+      <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-3 mb-4 sm:mb-6">
+        <form
+          onSubmit={(e) => {
+            e.preventDefault();
+            updateFilter('q', search.trim());
+          }}
+          className="flex flex-1 flex-wrap items-center gap-2"
+        >
+          <input
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+            placeholder="Search code, title, asset"
+            className="flex-1 min-w-[12rem] px-3 py-2 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-emerald-500 focus:border-emerald-500"
+          />
+          <select value={filters.status} onChange={(e) => updateFilter('status', e.target.value)} className={selectClass}>
+            <option value="open">Open</option>
+            <option value="">All statuses</option>
+            {WORK_ORDER_STATUS_OPTIONS.map((option) => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+          <select value={filters.priority} onChange={(e) => updateFilter('priority', e.target.value)} className={selectClass}>
+            <option value="">Any priority</option>
+            {PRIORITY_OPTIONS.map((option) => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+          <select value={filters.assetType} onChange={(e) => updateFilter('assetType', e.target.value)} className={selectClass}>
+            <option value="">All assets</option>
+            {ASSET_TYPE_OPTIONS.map((option) => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+          <select value={filters.hub} onChange={(e) => updateFilter('hub', e.target.value)} className={selectClass}>
+            <option value="">All hubs</option>
+            {hubs.map((hub) => (
+              <option key={hub} value={hub}>{hierarchy.names.hub[hub] || hub}</option>
+            ))}
+          </select>
+          {[
+            ['mine', 'Assigned to me'],
+            ['overdue', 'Overdue'],
+          ].map(([field, label]) => (
+            <label key={field} className="flex items-center gap-1.5 text-xs sm:text-sm text-gray-600">
+              <input
+                type="checkbox"
+                checked={filters[field]}
+                onChange={(e) => updateFilter(field, e.target.checked)}
+                className="rounded border-gray-300 text-emerald-600 focus:ring-emerald-500"
+              />
+              {label}
+            </label>
+          ))}
+        </form>
+        <div className="flex items-center gap-2">
+          <ExportButton report="work-orders" filters={filters} />
+          <Link
+            href="/work-orders/new"
+            className="px-4 py-2 text-sm font-medium text-white bg-emerald-600 rounded-lg hover:bg-emerald-700 transition-colors whitespace-nowrap text-center"
+          >
+            New Work Order
+          </Link>
+        </div>
+      </div>
+
+      {error && (
+        <div className="mb-4 p-3 bg-red-50 border border-red-200 rounded-lg">
+          <p className="text-sm text-red-800">{error}</p>
+        </div>
+      )}
+
+      {loading ? (
+        <p className="text-sm text-gray-500 py-8 text-center">Loading...</p>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-xs font-medium text-gray-500 uppercase tracking-wide border-b border-gray-200">
+                <th className="py-2 pr-4">Work Order</th>
+                <th className="py-2 pr-4">Title</th>
+                <th className="py-2 pr-4 hidden md:table-cell">Asset</th>
+                <th className="py-2 pr-4 hidden sm:table-cell">Priority</th>
+                <th className="py-2 pr-4 hidden lg:table-cell">Assignee</th>
+                <th className="py-2 pr-4 hidden md:table-cell">Due</th>
+                <th className="py-2">Status</th>
+              </tr>
+            </thead>
+            <tbody>
+              {result.workOrders.map((order) => (
+                <tr
+                  key={order.id}
+                  onClick={() => router.push(`/work-orders/${order.id}`)}
+                  className="border-b border-gray-100 hover:bg-emerald-50/50 cursor-pointer transition-colors"
+                >
+                  <td className="py-3 pr-4 font-semibold text-gray-900">{order.id}</td>
+                  <td className="py-3 pr-4 text-gray-700">{order.title}</td>
+                  <td className="py-3 pr-4 hidden md:table-cell text-gray-600">
+                    {assetTypeLabel(order.assetType)} <span className="font-mono text-xs">{order.assetRef}</span>
+                  </td>
+                  <td className="py-3 pr-4 hidden sm:table-cell">
+                    <PriorityBadge priority={order.priority} />
+                  </td>
+                  <td className="py-3 pr-4 hidden lg:table-cell text-gray-600">{order.assigneeName || 'Unassigned'}</td>
+                  <td className={`py-3 pr-4 hidden md:table-cell ${order.overdue ? 'text-red-600 font-medium' : 'text-gray-600'}`}>
+                    {formatDueDate(order.dueDate)}
+                  </td>
+                  <td className="py-3">
+                    <StatusBadge status={order.status} size="sm" />
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {result.workOrders.length === 0 && (
+            <p className="text-sm text-gray-500 py-8 text-center">No work orders found.</p>
+          )}
+        </div>
+      )}
+
+      <div className="flex items-center justify-between mt-4 text-xs sm:text-sm text-gray-600">
+        <span>{result.total} work order{result.total === 1 ? '' : 's'}</span>
+        <div className="flex items-center gap-2">
+          <button
+            onClick={() => setFilters((prev) => ({ ...prev, page: prev.page - 1 }))}
+            disabled={filters.page <= 1}
+            className="px-3 py-1.5 border border-gray-300 rounded-lg hover:bg-gray-50 disabled:opacity-40 disabled:cursor-not-allowed"
+          >
+            Previous
+          </button>
+          <span>Page {filters.page} of {totalPages}</span>
+          <button
+            onClick={() => setFilters((prev) => ({ ...prev, page: prev.page + 1 }))}
+            disabled={filters.page >= totalPages}
+            className="px-3 py-1.5 border border-gray-300 rounded-lg hover:bg-gray-50 disabled:opacity-40 disabled:cursor-not-allowed"
+          >
+            Next
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
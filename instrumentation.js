@@ -0,0 +1,28 @@
+// Next.js server startup hook
+
+export async function register() {
+  // Background jobs need the database, so only the Node.js runtime runs them
+  if (process.env.NEXT_RUNTIME === 'nodejs') {
+    // A running server must know its clients' addresses and have its own
+    // session secret (not `next build`)
+    if (process.env.NEXT_PHASE !== 'phase-production-build') {
+      const { checkTrustProxy } = await import('@/app/lib/audit');
+      checkTrustProxy();
+
+      const { checkAuthSecret } = await import('@/app/lib/authSecret');
+      checkAuthSecret();
+    }
+
+    const { startMaintenanceScheduler } = await import('@/app/lib/maintenance');
+    startMaintenanceScheduler();
+
+    const { startBillingScheduler } = await import('@/app/lib/billing');
+    startBillingScheduler();
+
+    const { startExportWorker } = await import('@/app/lib/exports');
+    startExportWorker();
+
+    const { startReportScheduler } = await import('@/app/lib/reportSubscriptions');
+    startReportScheduler();
+  }
+}
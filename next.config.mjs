@@ -1,6 +1,9 @@
 /** @type {import('next').NextConfig} */
 const nextConfig = {
-  /* config options here */
+  // pdfkit reads its font metrics from its own package directory at
+  // runtime; exceljs and nodemailer are loaded from node_modules rather
+  // than bundled
+  serverExternalPackages: ['pdfkit', 'exceljs', 'nodemailer'],
 };
 
 export default nextConfig;
@@ -0,0 +1,78 @@
+import { NextResponse } from 'next/server';
+import { auth } from '@/app/api/auth/[...nextauth]/route';
+import { canAccessRoute, needsPasswordChange, needsSecondFactor } from '@/app/utils/permissions';
+
+export const proxy = auth(function proxyHandler(req) {
+  const user = req.auth?.user;
+  const { pathname } = req.nextUrl;
+
+  // API routes enforce their own role and scope checks; only the
+  // password change and two-factor requirements are checked here
+  if (pathname.startsWith('/api/')) {
+    if (needsPasswordChange(user, pathname)) {
+      return NextResponse.json({ error: 'You must change your password first' }, { status: 403 });
+    }
+    if (needsSecondFactor(user, pathname)) {
+      return NextResponse.json({ error: 'Two-factor authentication required' }, { status: 403 });
+    }
+    return NextResponse.next();
+  }
+
+  // Allow access to login page
+  if (pathname.startsWith('/login')) {
+    // If already logged in, redirect to dashboard
+    if (user) {
+      return NextResponse.redirect(new URL('/', req.url));
+    }
+    return NextResponse.next();
+  }
+
+  // Protect all other routes - redirect to login if no session.
+  // NextAuth drops sessions older than their 24 hour maxAge, so an
+  // expired session lands here too.
+  if (!user) {
+    const loginUrl = new URL('/login', req.url);
+    loginUrl.searchParams.set('callbackUrl', pathname);
+    return NextResponse.redirect(loginUrl);
+  }
+
+  // Users flagged to change their password do that before anything else
+  if (needsPasswordChange(user, pathname)) {
+    return NextResponse.redirect(new URL('/account/password?required=1', req.url));
+  }
+
+  // Sessions signed in without a second factor are sent to set one up
+  // (and sign in again) before opening sensitive routes, or any route
+  // when their role requires it. Company account sessions enter a code
+  // from an authenticator enrolled here instead, or are told the identity
+  // provider has to ask for one.
+  if (needsSecondFactor(user, pathname)) {
+    const setupUrl = new URL(user.sso ? '/account/verify' : '/account/security', req.url);
+    setupUrl.searchParams.set('required', user.mfaRequired ? 'role' : 'route');
+    if (user.sso) setupUrl.searchParams.set('callbackUrl', pathname);
+    return NextResponse.redirect(setupUrl);
+  }
+
+  // Check the route permission manifest before rendering
+  if (!canAccessRoute(user, pathname)) {
+    return NextResponse.rewrite(new URL('/forbidden', req.url), { status: 403 });
+  }
+
+  return NextResponse.next();
+});
+
+export default proxy;
+
+export const config = {
+  matcher: [
+    /*
+     * Match all request paths except for the ones starting with:
+     * - api/auth (NextAuth API routes - handled separately)
+     * - _next/static (static files)
+     * - _next/image (image optimization files)
+     * - favicon.ico (favicon file)
+     * - public files (images, etc.)
+     */
+    '/((?!api/auth|_next/static|_next/image|favicon.ico|.*\\.(?:svg|png|jpg|jpeg|gif|webp)).*)',
+  ],
+};
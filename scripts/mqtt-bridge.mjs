@@ -0,0 +1,34 @@
+// Bridge TCU telemetry published over MQTT into the telemetry store.
+//
+// Usage: npm run mqtt:bridge
+//   MQTT_URL               broker URL (default mqtt://localhost:1883)
+//   MQTT_TOPICS            comma-separated subscription patterns; the first `+`
+//                          level is the device id (default voltup/tcu/+/telemetry)
+//   MQTT_USERNAME, MQTT_PASSWORD, MQTT_CLIENT_ID
+//   MQTT_DEAD_LETTER_PATH  JSON-lines log of undecodable payloads
+//                          (default data/mqtt-dead-letter.jsonl)
+//   MQTT_BACKOFF_MIN_MS, MQTT_BACKOFF_MAX_MS  reconnect backoff bounds (default 1s, 60s)
+//
+// For local testing, run `npm run mqtt:broker` and `npm run mqtt:simulate`.
+
+import { DEFAULT_TOPICS, startMqttBridge } from '../app/lib/mqttBridge.js';
+
+const bridge = startMqttBridge({
+  url: process.env.MQTT_URL,
+  topics: process.env.MQTT_TOPICS ? process.env.MQTT_TOPICS.split(',').map((topic) => topic.trim()) : DEFAULT_TOPICS,
+  username: process.env.MQTT_USERNAME,
+  password: process.env.MQTT_PASSWORD,
+  clientId: process.env.MQTT_CLIENT_ID,
+  deadLetterPath: process.env.MQTT_DEAD_LETTER_PATH,
+  backoff: {
+    min: Number(process.env.MQTT_BACKOFF_MIN_MS) || undefined,
+    max: Number(process.env.MQTT_BACKOFF_MAX_MS) || undefined,
+  },
+});
+
+for (const signal of ['SIGINT', 'SIGTERM']) {
+  process.on(signal, async () => {
+    await bridge.stop();
+    process.exit(0);
+  });
+}
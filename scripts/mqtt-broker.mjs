@@ -0,0 +1,68 @@
+// In-process MQTT broker standing in for Mosquitto during local development.
+//
+// TCUs sign in with their device id as the username and their API key as
+// the password (checked against the device registry), and may only
+// publish to topics naming their own device id. They can't subscribe.
+// The bridge signs in with MQTT_USERNAME / MQTT_PASSWORD when those are
+// set; otherwise anonymous clients may subscribe, but never publish.
+//
+// Usage: npm run mqtt:broker   (MQTT_PORT, default 1883)
+
+import crypto from 'node:crypto';
+import net from 'node:net';
+import { Aedes } from 'aedes';
+import { getDeviceSigningKey } from '../app/lib/telemetry.js';
+import { telemetrySigningKey } from '../app/lib/telemetryCodec.js';
+
+const port = Number(process.env.MQTT_PORT) || 1883;
+const bridgeUsername = process.env.MQTT_USERNAME;
+const bridgePassword = process.env.MQTT_PASSWORD;
+
+// The registry keeps the hash of each API key, which is also the device's
+// signing key
+function deviceKeyMatches(deviceId, apiKey) {
+  const expected = getDeviceSigningKey(deviceId);
+  return Boolean(expected && apiKey) && crypto.timingSafeEqual(expected, telemetrySigningKey(apiKey));
+}
+
+function refused(message) {
+  return Object.assign(new Error(message), { returnCode: 4 });
+}
+
+const broker = await Aedes.createBroker({
+  authenticate(client, username, password, done) {
+    if (bridgeUsername && username === bridgeUsername) {
+      return password?.toString() === bridgePassword ? done(null, true) : done(refused('Bad username or password'), false);
+    }
+    if (username) {
+      if (!deviceKeyMatches(username, password?.toString())) return done(refused('Bad username or password'), false);
+      client.deviceId = username;
+      return done(null, true);
+    }
+    return bridgeUsername ? done(refused('Sign in as the bridge or a device'), false) : done(null, true);
+  },
+  authorizePublish(client, packet, done) {
+    if (!client) return done(null);
+    if (!client.deviceId || !packet.topic.split('/').includes(client.deviceId)) {
+      return done(new Error(`Not allowed to publish to ${packet.topic}`));
+    }
+    done(null);
+  },
+  authorizeSubscribe(client, subscription, done) {
+    if (client.deviceId) return done(new Error('Devices cannot subscribe'));
+    done(null, subscription);
+  },
+});
+const server = net.createServer(broker.handle);
+
+broker.on('client', (client) => console.log(`connected     ${client.id}${client.deviceId ? ` (${client.deviceId})` : ''}`));
+broker.on('clientDisconnect', (client) => console.log(`disconnected  ${client.id}`));
+
+server.listen(port, () => console.log(`MQTT broker listening on port ${port}`));
+
+for (const signal of ['SIGINT', 'SIGTERM']) {
+  process.on(signal, () => {
+    server.close();
+    broker.close(() => process.exit(0));
+  });
+}
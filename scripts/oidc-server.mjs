@@ -0,0 +1,227 @@
+// Local OpenID Connect provider standing in for the company identity
+// provider during development. Its sign-in page lists test users to pick
+// from (no passwords); each carries the groups that map to a Draive role
+// and scope (see app/lib/sso.js). Keys, codes and tokens live in memory
+// and go when it stops.
+//
+// Usage: npm run oidc:server   (OIDC_PORT, default 4010; OIDC_USERS, a JSON
+// file with an array of { sub, email, name, groups, amr } to replace the
+// built-in users)
+//
+// Point the app at it with:
+//   OIDC_ISSUER=http://localhost:4010 OIDC_CLIENT_ID=draive OIDC_CLIENT_SECRET=draive-secret
+
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import http from 'node:http';
+
+const port = Number(process.env.OIDC_PORT) || 4010;
+const issuer = `http://localhost:${port}`;
+const clientId = process.env.OIDC_CLIENT_ID || 'draive';
+const clientSecret = process.env.OIDC_CLIENT_SECRET || 'draive-secret';
+
+const users = process.env.OIDC_USERS
+  ? JSON.parse(fs.readFileSync(process.env.OIDC_USERS, 'utf8'))
+  : [
+      { sub: 'sso-admin', email: 'it.admin@voltup.com', name: 'IT Admin', groups: ['draive-super-admins'], amr: ['pwd', 'otp', 'mfa'] },
+      { sub: 'sso-west', email: 'sso.west@voltup.com', name: 'West Operations Lead', groups: ['draive-regional-heads', 'draive-region-west'], amr: ['pwd'] },
+      { sub: 'sso-mumbai', email: 'sso.mumbai@voltup.com', name: 'Mumbai Circle Lead', groups: ['draive-circle-heads', 'draive-circle-mumbai'], amr: ['pwd'] },
+      { sub: 'sso-andheri', email: 'sso.andheri@voltup.com', name: 'Andheri Area Lead', groups: ['draive-area-heads', 'draive-area-andheri'], amr: ['pwd'] },
+      { sub: 'sso-contractor', email: 'contractor@voltup.com', name: 'Contractor (no Draive group)', groups: ['contractors'], amr: ['pwd'] },
+    ];
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const keyId = crypto.randomUUID();
+const jwk = { ...publicKey.export({ format: 'jwk' }), kid: keyId, use: 'sig', alg: 'RS256' };
+
+// Authorization codes and access tokens, each used by one request
+const codes = new Map();
+const accessTokens = new Map();
+
+function base64url(value) {
+  return Buffer.from(typeof value === 'string' ? value : JSON.stringify(value)).toString('base64url');
+}
+
+function signJwt(claims) {
+  const input = `${base64url({ alg: 'RS256', typ: 'JWT', kid: keyId })}.${base64url(claims)}`;
+  return `${input}.${crypto.sign('sha256', Buffer.from(input), privateKey).toString('base64url')}`;
+}
+
+function userClaims(user) {
+  return { sub: user.sub, email: user.email, email_verified: true, name: user.name, groups: user.groups };
+}
+
+function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, (char) => `&#${char.charCodeAt(0)};`);
+}
+
+function send(res, status, body, headers = {}) {
+  const json = typeof body !== 'string';
+  res.writeHead(status, {
+    'Content-Type': json ? 'application/json' : 'text/html; charset=utf-8',
+    'Cache-Control': 'no-store',
+    ...headers,
+  });
+  res.end(json ? JSON.stringify(body) : body);
+}
+
+function readForm(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', (chunk) => chunks.push(chunk));
+    req.on('end', () => resolve(new URLSearchParams(Buffer.concat(chunks).toString())));
+    req.on('error', reject);
+  });
+}
+
+// client_secret_basic or client_secret_post
+function clientAuthenticated(req, form) {
+  const basic = req.headers.authorization?.match(/^Basic (.+)$/)?.[1];
+  const [id, secret] = basic
+    ? Buffer.from(basic, 'base64').toString().split(':').map(decodeURIComponent)
+    : [form.get('client_id'), form.get('client_secret')];
+  return id === clientId && secret === clientSecret;
+}
+
+function signInPage(params) {
+  const hidden = [...params].map(([name, value]) => `<input type="hidden" name="${escapeHtml(name)}" value="${escapeHtml(value)}">`).join('');
+  const buttons = users
+    .map(
+      (user) => `<button name="sub" value="${escapeHtml(user.sub)}">
+        <strong>${escapeHtml(user.name)}</strong><br>${escapeHtml(user.email)}<br><small>${escapeHtml(user.groups.join(', '))}</small>
+      </button>`
+    )
+    .join('');
+
+  return `<!doctype html><html><head><title>Mock identity provider</title><style>
+    body { font-family: sans-serif; max-width: 28rem; margin: 3rem auto; color: #111827; }
+    button { display: block; width: 100%; text-align: left; margin: 0.5rem 0; padding: 0.75rem; border: 1px solid #d1d5db; border-radius: 0.5rem; background: #fff; cursor: pointer; }
+    button:hover { border-color: #059669; background: #ecfdf5; }
+    small { color: #6b7280; }
+  </style></head><body>
+    <h1>Mock identity provider</h1>
+    <p>Sign in to Draive as:</p>
+    <form method="post" action="/authorize">${hidden}${buttons}</form>
+  </body></html>`;
+}
+
+async function authorize(req, res, url) {
+  const params = req.method === 'POST' ? await readForm(req) : url.searchParams;
+  const redirectUri = params.get('redirect_uri');
+
+  if (params.get('client_id') !== clientId || !redirectUri) {
+    return send(res, 400, { error: 'invalid_request', error_description: 'Unknown client or missing redirect_uri' });
+  }
+  if (params.get('response_type') !== 'code' || !params.get('scope')?.split(' ').includes('openid')) {
+    return send(res, 400, { error: 'invalid_request', error_description: 'Only the openid code flow is supported' });
+  }
+
+  const user = users.find((candidate) => candidate.sub === params.get('sub'));
+  if (!user) return send(res, 200, signInPage(params));
+
+  const code = crypto.randomBytes(16).toString('base64url');
+  codes.set(code, {
+    user,
+    redirectUri,
+    nonce: params.get('nonce'),
+    codeChallenge: params.get('code_challenge'),
+    expiresAt: Date.now() + 60 * 1000,
+  });
+
+  const callback = new URL(redirectUri);
+  callback.searchParams.set('code', code);
+  if (params.get('state')) callback.searchParams.set('state', params.get('state'));
+  callback.searchParams.set('iss', issuer);
+  console.log(`signed in ${user.email}`);
+  res.writeHead(302, { Location: callback.toString() });
+  res.end();
+}
+
+async function token(req, res) {
+  const form = await readForm(req);
+  if (!clientAuthenticated(req, form)) {
+    return send(res, 401, { error: 'invalid_client' });
+  }
+
+  const grant = codes.get(form.get('code'));
+  codes.delete(form.get('code'));
+  if (
+    form.get('grant_type') !== 'authorization_code' ||
+    !grant ||
+    grant.expiresAt < Date.now() ||
+    grant.redirectUri !== form.get('redirect_uri')
+  ) {
+    return send(res, 400, { error: 'invalid_grant' });
+  }
+  if (grant.codeChallenge) {
+    const verifier = crypto.createHash('sha256').update(form.get('code_verifier') || '').digest('base64url');
+    if (verifier !== grant.codeChallenge) return send(res, 400, { error: 'invalid_grant', error_description: 'PKCE check failed' });
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  const accessToken = crypto.randomBytes(24).toString('base64url');
+  accessTokens.set(accessToken, grant.user);
+
+  send(res, 200, {
+    access_token: accessToken,
+    token_type: 'Bearer',
+    expires_in: 3600,
+    id_token: signJwt({
+      iss: issuer,
+      aud: clientId,
+      iat: now,
+      exp: now + 300,
+      auth_time: now,
+      amr: grant.user.amr,
+      ...(grant.nonce && { nonce: grant.nonce }),
+      ...userClaims(grant.user),
+    }),
+  });
+}
+
+const server = http.createServer(async (req, res) => {
+  const url = new URL(req.url, issuer);
+
+  try {
+    switch (url.pathname) {
+      case '/.well-known/openid-configuration':
+        return send(res, 200, {
+          issuer,
+          authorization_endpoint: `${issuer}/authorize`,
+          token_endpoint: `${issuer}/token`,
+          userinfo_endpoint: `${issuer}/userinfo`,
+          jwks_uri: `${issuer}/jwks`,
+          response_types_supported: ['code'],
+          subject_types_supported: ['public'],
+          id_token_signing_alg_values_supported: ['RS256'],
+          scopes_supported: ['openid', 'profile', 'email', 'groups'],
+          token_endpoint_auth_methods_supported: ['client_secret_basic', 'client_secret_post'],
+          code_challenge_methods_supported: ['S256'],
+          claims_supported: ['sub', 'email', 'email_verified', 'name', 'groups', 'amr'],
+        });
+      case '/jwks':
+        return send(res, 200, { keys: [jwk] });
+      case '/authorize':
+        return await authorize(req, res, url);
+      case '/token':
+        return req.method === 'POST' ? await token(req, res) : send(res, 405, { error: 'invalid_request' });
+      case '/userinfo': {
+        const user = accessTokens.get(req.headers.authorization?.replace(/^Bearer /, ''));
+        return user ? send(res, 200, userClaims(user)) : send(res, 401, { error: 'invalid_token' });
+      }
+      default:
+        return send(res, 404, { error: 'not_found' });
+    }
+  } catch (err) {
+    console.error('OIDC server error:', err.message);
+    send(res, 500, { error: 'server_error' });
+  }
+});
+
+server.listen(port, () => {
+  console.log(`Mock OIDC provider at ${issuer} (client ${clientId}), users: ${users.map((user) => user.email).join(', ')}`);
+});
+
+for (const signal of ['SIGINT', 'SIGTERM']) {
+  process.on(signal, () => server.close(() => process.exit(0)));
+}
@@ -0,0 +1,56 @@
+// Seed the organisational hierarchy (region → circle → area → hub).
+//
+// Usage: npm run db:seed
+// Existing nodes (matched by type and code) are left untouched.
+
+import { createNode, findNode } from '../app/lib/hierarchy.js';
+
+const tree = [
+  ['west', 'West', [
+    ['mumbai', 'Mumbai', [
+      ['andheri', 'Andheri', [['andheri-hub', 'Mumbai Hub']]],
+      ['bandra', 'Bandra', [['bandra-hub', 'Bandra Hub']]],
+      ['thane', 'Thane', []],
+    ]],
+    ['pune', 'Pune', [
+      ['hinjewadi', 'Hinjewadi', [['hinjewadi-hub', 'Pune Hub']]],
+    ]],
+    ['ahmedabad', 'Ahmedabad', []],
+  ]],
+  ['north', 'North', [
+    ['delhi', 'Delhi', [
+      ['dwarka', 'Dwarka', [['dwarka-hub', 'Delhi Hub']]],
+      ['saket', 'Saket', []],
+    ]],
+    ['jaipur', 'Jaipur', []],
+  ]],
+  ['east', 'East', [
+    ['kolkata', 'Kolkata', []],
+    ['bhubaneswar', 'Bhubaneswar', []],
+  ]],
+  ['south', 'South', [
+    ['bangalore', 'Bangalore', [
+      ['koramangala', 'Koramangala', [['koramangala-hub', 'Bangalore Hub']]],
+      ['whitefield', 'Whitefield', []],
+    ]],
+    ['chennai', 'Chennai', []],
+    ['hyderabad', 'Hyderabad', []],
+  ]],
+];
+
+const CHILD_TYPE = { region: 'circle', circle: 'area', area: 'hub' };
+
+function seed(type, entries, parentId) {
+  for (const [code, name, children = []] of entries) {
+    let node = findNode(type, code);
+    if (node) {
+      console.log(`skip    ${type} ${code} (already exists)`);
+    } else {
+      node = createNode({ type, code, name, parentId });
+      console.log(`created ${type} ${code}`);
+    }
+    seed(CHILD_TYPE[type], children, node.id);
+  }
+}
+
+seed('region', tree, null);
@@ -0,0 +1,32 @@
+// Seed the user store with the super admin and the initial region, circle and area heads.
+//
+// Usage: SEED_PASSWORD=... npm run db:seed
+// Without SEED_PASSWORD a random password is generated per user and printed once.
+// Existing accounts (matched by email) are left untouched. Seeded accounts
+// must choose their own password the first time they sign in.
+
+import crypto from 'node:crypto';
+import { createUser, findUserByEmail } from '../app/lib/users.js';
+
+const heads = [
+  { email: 'admin@voltup.com', name: 'Super Admin', role: 'super_admin' },
+  { email: 'regional.west@voltup.com', name: 'West Regional Head', role: 'regional_head', region: 'west' },
+  { email: 'regional.east@voltup.com', name: 'East Regional Head', role: 'regional_head', region: 'east' },
+  { email: 'regional.north@voltup.com', name: 'North Regional Head', role: 'regional_head', region: 'north' },
+  { email: 'regional.south@voltup.com', name: 'South Regional Head', role: 'regional_head', region: 'south' },
+  { email: 'circle.mumbai@voltup.com', name: 'Mumbai Circle Head', role: 'circle_head', region: 'west', circle: 'mumbai' },
+  { email: 'circle.delhi@voltup.com', name: 'Delhi Circle Head', role: 'circle_head', region: 'north', circle: 'delhi' },
+  { email: 'area.andheri@voltup.com', name: 'Andheri Area Head', role: 'area_head', region: 'west', circle: 'mumbai', area: 'andheri' },
+  { email: 'area.bandra@voltup.com', name: 'Bandra Area Head', role: 'area_head', region: 'west', circle: 'mumbai', area: 'bandra' },
+];
+
+for (const head of heads) {
+  if (findUserByEmail(head.email)) {
+    console.log(`skip    ${head.email} (already exists)`);
+    continue;
+  }
+
+  const password = process.env.SEED_PASSWORD || crypto.randomBytes(9).toString('base64url');
+  createUser({ ...head, password, mustChangePassword: true });
+  console.log(`created ${head.email}${process.env.SEED_PASSWORD ? '' : `  password: ${password}`}`);
+}
@@ -0,0 +1,44 @@
+// Local SMTP server standing in for a real mail relay during development.
+// Accepts every message (any or no login) and saves it as a .eml file
+// you can open in a mail client.
+//
+// Usage: npm run smtp:server   (SMTP_PORT, default 2525; MAIL_DIR, default data/mail)
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { SMTPServer } from 'smtp-server';
+
+const port = Number(process.env.SMTP_PORT) || 2525;
+const mailDir = process.env.MAIL_DIR || path.join(process.cwd(), 'data', 'mail');
+fs.mkdirSync(mailDir, { recursive: true });
+
+let received = 0;
+
+const server = new SMTPServer({
+  authOptional: true,
+  disabledCommands: ['STARTTLS'],
+  onAuth(auth, session, callback) {
+    callback(null, { user: auth.username });
+  },
+  onData(stream, session, callback) {
+    const file = path.join(mailDir, `${new Date().toISOString().replace(/[:.]/g, '-')}-${++received}.eml`);
+    const chunks = [];
+    stream.on('data', (chunk) => chunks.push(chunk));
+    stream.on('end', () => {
+      const message = Buffer.concat(chunks);
+      fs.writeFileSync(file, message);
+
+      const subject = message.toString('utf8').match(/^Subject: (.*)$/m)?.[1] ?? '(no subject)';
+      const to = session.envelope.rcptTo.map((rcpt) => rcpt.address).join(', ');
+      console.log(`received  ${subject} → ${to} (${path.relative(process.cwd(), file)})`);
+      callback();
+    });
+  },
+});
+
+server.on('error', (err) => console.error('SMTP server error:', err.message));
+server.listen(port, () => console.log(`SMTP server listening on port ${port}, saving mail to ${mailDir}`));
+
+for (const signal of ['SIGINT', 'SIGTERM']) {
+  process.on(signal, () => server.close(() => process.exit(0)));
+}
@@ -0,0 +1,55 @@
+// Publish sample telemetry for one TCU, alternating JSON and compact
+// binary payloads, to exercise the MQTT bridge. It signs in to the broker
+// and signs each payload with the device's API key, as a real TCU does.
+//
+// Usage: npm run mqtt:simulate -- <deviceId> <apiKey> [count]
+//   MQTT_URL    broker URL (default mqtt://localhost:1883)
+//   MQTT_TOPIC  topic template, {deviceId} is substituted
+//               (default voltup/tcu/{deviceId}/telemetry)
+
+import mqtt from 'mqtt';
+import { encodeTelemetryBinary, signTelemetryPayload, telemetrySigningKey } from '../app/lib/telemetryCodec.js';
+
+const [deviceId, apiKey, countArg = '10'] = process.argv.slice(2);
+if (!deviceId || !apiKey) {
+  console.error('Usage: npm run mqtt:simulate -- <deviceId> <apiKey> [count]');
+  process.exit(1);
+}
+
+const count = Number(countArg);
+const topic = (process.env.MQTT_TOPIC || 'voltup/tcu/{deviceId}/telemetry').replace('{deviceId}', deviceId);
+const signingKey = telemetrySigningKey(apiKey);
+const client = await mqtt.connectAsync(process.env.MQTT_URL || 'mqtt://localhost:1883', {
+  username: deviceId,
+  password: apiKey,
+});
+
+// A short drive around Andheri, one record per message
+let latitude = 19.1136;
+let longitude = 72.8697;
+let soc = 90;
+
+for (let i = 0; i < count; i++) {
+  latitude += (Math.random() - 0.5) * 0.002;
+  longitude += (Math.random() - 0.5) * 0.002;
+  soc = Math.max(5, soc - Math.random());
+
+  const record = {
+    recordedAt: new Date(Date.now() - (count - i) * 1000).toISOString(),
+    latitude: Number(latitude.toFixed(6)),
+    longitude: Number(longitude.toFixed(6)),
+    speedKmh: Number((20 + Math.random() * 25).toFixed(1)),
+    soc: Math.round(soc),
+    packVoltage: Number((50 + soc / 20).toFixed(1)),
+    packCurrent: Number((-10 - Math.random() * 20).toFixed(1)),
+    packTempC: Math.round(28 + Math.random() * 6),
+    ignition: true,
+  };
+
+  const binary = i % 2 === 1;
+  const payload = binary ? encodeTelemetryBinary([record]) : JSON.stringify({ firmwareVersion: 'sim-1.0', records: [record] });
+  await client.publishAsync(topic, signTelemetryPayload(payload, signingKey), { qos: 1 });
+  console.log(`${binary ? 'binary' : 'json  '}  ${topic}  soc=${record.soc}`);
+}
+
+await client.endAsync();
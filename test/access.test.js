@@ -0,0 +1,74 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { seedHierarchy } from './helpers.js';
+import { signInAs } from './session.js';
+import { GET as listUsersRoute } from '../app/api/admin/users/route.js';
+import { GET as listVehiclesRoute, POST as createVehicleRoute } from '../app/api/vehicles/route.js';
+import { GET as getVehicleRoute, PATCH as updateVehicleRoute } from '../app/api/vehicles/[id]/route.js';
+import { createVehicle, getVehicle } from '../app/lib/vehicles.js';
+
+seedHierarchy();
+
+const andheriHead = { id: '0', role: 'area_head', region: 'west', circle: 'mumbai', area: 'andheri' };
+
+const andheriVehicle = createVehicle({ vin: 'MA1SCAPETEST00001', registrationNumber: 'MH02SC0001', model: 'Test Scooter', hub: 'andheri-hub' });
+const bandraVehicle = createVehicle({ vin: 'MA1SCAPETEST00002', registrationNumber: 'MH02SC0002', model: 'Test Scooter', hub: 'bandra-hub' });
+
+function call(handler, method, body, params = {}) {
+  const request = new Request('http://localhost/api', {
+    method,
+    body: body === undefined ? undefined : JSON.stringify(body),
+  });
+  return handler(request, { params: Promise.resolve(params) });
+}
+
+test('APIs refuse requests without a session', async () => {
+  signInAs(null);
+
+  assert.equal((await call(listVehiclesRoute, 'GET')).status, 401);
+  assert.equal((await call(getVehicleRoute, 'GET', undefined, { id: andheriVehicle.id })).status, 401);
+});
+
+test("lists only hold records in the user's scope", async () => {
+  signInAs(andheriHead);
+
+  const { vehicles } = await (await call(listVehiclesRoute, 'GET')).json();
+
+  assert.deepEqual(vehicles.map((vehicle) => vehicle.id), [andheriVehicle.id]);
+});
+
+test("records outside the user's scope are refused, not just hidden", async () => {
+  signInAs(andheriHead);
+
+  assert.equal((await call(getVehicleRoute, 'GET', undefined, { id: andheriVehicle.id })).status, 200);
+  assert.equal((await call(getVehicleRoute, 'GET', undefined, { id: bandraVehicle.id })).status, 403);
+  assert.equal((await call(getVehicleRoute, 'GET', undefined, { id: 'no-such-vehicle' })).status, 404);
+
+  const response = await call(updateVehicleRoute, 'PATCH', { model: 'Renamed' }, { id: bandraVehicle.id });
+  assert.equal(response.status, 403);
+  assert.equal(getVehicle(bandraVehicle.id).model, 'Test Scooter');
+});
+
+test("records can not be created or moved outside the user's scope", async () => {
+  signInAs(andheriHead);
+
+  const created = await call(createVehicleRoute, 'POST', {
+    vin: 'MA1SCAPETEST00003',
+    registrationNumber: 'MH02SC0003',
+    model: 'Test Scooter',
+    hub: 'dwarka-hub',
+  });
+  assert.equal(created.status, 403);
+
+  const moved = await call(updateVehicleRoute, 'PATCH', { hub: 'dwarka-hub' }, { id: andheriVehicle.id });
+  assert.equal(moved.status, 403);
+  assert.equal(getVehicle(andheriVehicle.id).hub, 'andheri-hub');
+});
+
+test('role-restricted APIs refuse other roles', async () => {
+  signInAs(andheriHead);
+  assert.equal((await call(listUsersRoute, 'GET')).status, 403);
+
+  signInAs({ id: '0', role: 'super_admin' });
+  assert.equal((await call(listUsersRoute, 'GET')).status, 200);
+});
@@ -0,0 +1,150 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { seedHierarchy, localDate } from './helpers.js';
+import { signInAs } from './session.js';
+import { POST as createUserRoute } from '../app/api/admin/users/route.js';
+import { DELETE as deactivateUserRoute, PATCH as updateUserRoute } from '../app/api/admin/users/[id]/route.js';
+import { POST as recordPaymentRoute } from '../app/api/billing/invoices/[id]/payments/route.js';
+import { POST as createNodeRoute } from '../app/api/hierarchy/route.js';
+import { DELETE as deleteNodeRoute, PATCH as updateNodeRoute } from '../app/api/hierarchy/[id]/route.js';
+import { checkTrustProxy, clientIp, listAudit } from '../app/lib/audit.js';
+import { listInvoices, runBilling } from '../app/lib/billing.js';
+import { createCustomerPlan } from '../app/lib/customerPlans.js';
+import { createCustomer, createSubscription } from '../app/lib/customers.js';
+import { findNode } from '../app/lib/hierarchy.js';
+import { createUser } from '../app/lib/users.js';
+
+seedHierarchy();
+
+const admin = createUser({ email: 'admin@example.com', password: 'unused', name: 'Admin', role: 'super_admin' });
+const regionalHead = { id: '0', role: 'regional_head', region: 'west' };
+
+function call(handler, method, body, params = {}) {
+  const request = new Request('http://localhost/api', {
+    method,
+    headers: { 'user-agent': 'audit-test' },
+    body: body === undefined ? undefined : JSON.stringify(body),
+  });
+  return handler(request, { params: Promise.resolve(params) }).then(async (response) => ({
+    status: response.status,
+    body: response.status === 204 ? null : await response.json(),
+  }));
+}
+
+function auditEntries(entityType, entityId) {
+  return listAudit(admin, { entityType, entityId }).entries.filter((entry) => entry.entityId === entityId).reverse();
+}
+
+test('creating, editing and deactivating a user is audited', async () => {
+  signInAs(admin);
+
+  const created = await call(createUserRoute, 'POST', {
+    email: 'pune.head@example.com',
+    password: 'Rotating-Scooter-42',
+    name: 'Pune Head',
+    role: 'circle_head',
+    region: 'west',
+    circle: 'pune',
+  });
+  assert.equal(created.status, 201);
+  const { id } = created.body.user;
+
+  await call(updateUserRoute, 'PATCH', { name: 'Pune Circle Head', password: 'Another-Scooter-43' }, { id });
+  await call(deactivateUserRoute, 'DELETE', undefined, { id });
+
+  const [create, update, remove] = auditEntries('user', id);
+  assert.equal(create.action, 'create');
+  assert.equal(create.actorEmail, 'admin@example.com');
+  assert.equal(create.circle, 'pune');
+  assert.deepEqual(create.changes.role, { from: null, to: 'circle_head' });
+  assert.equal(update.action, 'update');
+  assert.deepEqual(update.changes.name, { from: 'Pune Head', to: 'Pune Circle Head' });
+  assert.deepEqual(update.changes.password, { from: null, to: '[redacted]' });
+  assert.equal(remove.action, 'delete');
+  assert.deepEqual(remove.changes.enabled, { from: true, to: false });
+});
+
+test('a payment recorded by hand is audited against its invoice scope', async () => {
+  const plan = createCustomerPlan({
+    name: 'Swap Basic',
+    kind: 'swap',
+    monthlyFee: 999,
+    swapQuota: 60,
+    perSwapPrice: 25,
+    deposit: 2000,
+    validityDays: 90,
+  });
+  const customer = createCustomer({ name: 'Test Rider', type: 'individual', phone: '9876500001', hub: 'bandra-hub' });
+  createSubscription(customer.id, { planId: plan.id, startsOn: localDate(0) });
+  runBilling();
+  const invoice = listInvoices(admin, { customer: customer.id, kind: 'deposit' }).invoices[0];
+  signInAs(admin);
+
+  const result = await call(recordPaymentRoute, 'POST', { amount: 500, method: 'cash', reference: 'RCPT-1' }, {
+    id: invoice.id,
+  });
+  assert.equal(result.status, 201);
+
+  const [entry] = listAudit(regionalHead, { entityType: 'payment' }).entries;
+  assert.equal(entry.action, 'create');
+  assert.equal(entry.area, 'bandra');
+  assert.equal(entry.userAgent, 'audit-test');
+  assert.deepEqual(entry.changes.amount, { from: null, to: 500 });
+  assert.deepEqual(entry.changes.invoiceId, { from: null, to: invoice.id });
+  assert.deepEqual(entry.changes.reference, { from: null, to: 'RCPT-1' });
+});
+
+test('hierarchy changes are audited', async () => {
+  signInAs(admin);
+
+  const created = await call(createNodeRoute, 'POST', {
+    type: 'hub',
+    code: 'versova-hub',
+    name: 'Versova',
+    parentId: findNode('area', 'andheri').id,
+  });
+  const { id } = created.body.node;
+  await call(updateNodeRoute, 'PATCH', { name: 'Versova Hub', parentId: findNode('area', 'bandra').id }, { id });
+  await call(deleteNodeRoute, 'DELETE', undefined, { id });
+
+  const [create, update, remove] = auditEntries('hierarchy_node', id);
+  assert.equal(create.action, 'create');
+  assert.deepEqual(create.changes.code, { from: null, to: 'versova-hub' });
+  assert.deepEqual(update.changes.name, { from: 'Versova', to: 'Versova Hub' });
+  assert.deepEqual(update.changes.parentId, { from: findNode('area', 'andheri').id, to: findNode('area', 'bandra').id });
+  assert.equal(remove.action, 'delete');
+  assert.deepEqual(remove.changes.name, { from: 'Versova Hub', to: null });
+});
+
+test('forwarded addresses are only trusted as far as the proxies in front', (t) => {
+  t.after(() => delete process.env.TRUST_PROXY);
+  const headers = new Headers({ 'x-forwarded-for': '6.6.6.6, 203.0.113.7, 10.0.0.2', 'x-real-ip': '10.0.0.2' });
+
+  // Next.js's server fills in the peer address when no proxy is in front
+  assert.equal(clientIp(new Headers({ 'x-forwarded-for': '198.51.100.4' })), '198.51.100.4');
+  assert.equal(clientIp(new Headers()), null);
+
+  process.env.TRUST_PROXY = '1';
+  assert.equal(clientIp(headers), '10.0.0.2');
+  assert.equal(clientIp(new Headers({ 'x-real-ip': '203.0.113.9' })), '203.0.113.9');
+
+  process.env.TRUST_PROXY = '2';
+  assert.equal(clientIp(headers), '203.0.113.7');
+});
+
+test('a production server needs TRUST_PROXY', (t) => {
+  const { NODE_ENV } = process.env;
+  t.after(() => {
+    if (NODE_ENV === undefined) delete process.env.NODE_ENV;
+    else process.env.NODE_ENV = NODE_ENV;
+    delete process.env.TRUST_PROXY;
+  });
+
+  assert.doesNotThrow(() => checkTrustProxy());
+
+  process.env.NODE_ENV = 'production';
+  assert.throws(() => checkTrustProxy(), /TRUST_PROXY must be set in production/);
+
+  process.env.TRUST_PROXY = '1';
+  assert.doesNotThrow(() => checkTrustProxy());
+});
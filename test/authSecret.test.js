@@ -0,0 +1,29 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { authSecret, checkAuthSecret } from '../app/lib/authSecret.js';
+
+function restoreEnv(t, ...names) {
+  const saved = Object.fromEntries(names.map((name) => [name, process.env[name]]));
+  t.after(() => {
+    for (const [name, value] of Object.entries(saved)) {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    }
+  });
+}
+
+test('a production server needs NEXTAUTH_SECRET', (t) => {
+  restoreEnv(t, 'NODE_ENV', 'NEXTAUTH_SECRET');
+  delete process.env.NEXTAUTH_SECRET;
+
+  assert.doesNotThrow(() => checkAuthSecret());
+  assert.ok(authSecret());
+
+  process.env.NODE_ENV = 'production';
+  assert.throws(() => checkAuthSecret(), /NEXTAUTH_SECRET must be set in production/);
+  assert.equal(authSecret(), undefined);
+
+  process.env.NEXTAUTH_SECRET = 'a-long-random-production-secret';
+  assert.doesNotThrow(() => checkAuthSecret());
+  assert.equal(authSecret(), 'a-long-random-production-secret');
+});
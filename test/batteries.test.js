@@ -0,0 +1,96 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { seedHierarchy } from './helpers.js';
+import { signInAs } from './session.js';
+import { POST as transferRoute } from '../app/api/batteries/[serial]/transfer/route.js';
+import {
+  createBattery,
+  getBattery,
+  getCustodyHistory,
+  resolveLocation,
+  transferBattery,
+  validateBattery,
+  validateTransfer,
+} from '../app/lib/batteries.js';
+import { createVehicle, getVehicle } from '../app/lib/vehicles.js';
+
+seedHierarchy();
+
+const actor = { id: '1', name: 'Ops' };
+const mumbaiHead = { id: '2', name: 'Mumbai Head', role: 'circle_head', region: 'west', circle: 'mumbai' };
+
+const firstVehicle = createVehicle({ vin: 'MA1BATTERYTEST001', registrationNumber: 'MH02BT0001', model: 'Test Scooter', hub: 'andheri-hub' });
+const secondVehicle = createVehicle({ vin: 'MA1BATTERYTEST002', registrationNumber: 'MH02BT0002', model: 'Test Scooter', hub: 'andheri-hub' });
+
+function newBattery(serial) {
+  return createBattery({ serial, chemistry: 'LFP', ratedCapacityKwh: 2.5, hub: 'andheri-hub' }, actor);
+}
+
+function transfer(serial, body) {
+  return transferRoute(new Request('http://localhost/api', { method: 'POST', body: JSON.stringify(body) }), {
+    params: Promise.resolve({ serial }),
+  });
+}
+
+test('a new battery starts in service in its hub warehouse', () => {
+  const battery = newBattery('PK-NEW-1');
+
+  assert.deepEqual(
+    { lifecycleState: battery.lifecycleState, locationType: battery.locationType, locationRef: battery.locationRef },
+    { lifecycleState: 'in_service', locationType: 'warehouse', locationRef: 'andheri-hub' }
+  );
+  assert.equal(battery.area, 'andheri');
+  assert.deepEqual(getCustodyHistory('PK-NEW-1').map((entry) => entry.event), ['registered']);
+});
+
+test('the custody history follows the battery in and out of vehicles, newest first', () => {
+  newBattery('PK-CUSTODY-1');
+  const install = resolveLocation({ locationType: 'vehicle', locationRef: firstVehicle.id });
+  transferBattery('PK-CUSTODY-1', { location: install, lifecycleState: 'in_service' }, actor);
+  assert.equal(getVehicle(firstVehicle.id).batterySerial, 'PK-CUSTODY-1');
+
+  const warehouse = resolveLocation({ locationType: 'warehouse', locationRef: 'bandra-hub' });
+  transferBattery('PK-CUSTODY-1', { location: warehouse, lifecycleState: 'quarantined', note: 'Swollen cell' }, actor);
+  transferBattery('PK-CUSTODY-1', { location: warehouse, lifecycleState: 'retired' }, actor);
+
+  assert.equal(getVehicle(firstVehicle.id).batterySerial, null);
+  const battery = getBattery('PK-CUSTODY-1');
+  assert.equal(battery.area, 'bandra');
+
+  const history = getCustodyHistory('PK-CUSTODY-1');
+  assert.deepEqual(history.map((entry) => entry.event), ['retired', 'moved', 'installed', 'registered']);
+  assert.equal(history[1].note, 'Swollen cell');
+  assert.equal(history[1].actorName, 'Ops');
+});
+
+test('the lifecycle rules refuse impossible moves', () => {
+  const battery = newBattery('PK-RULES-1');
+  const warehouse = resolveLocation({ locationType: 'warehouse', locationRef: 'andheri-hub' });
+  const vehicle = resolveLocation({ locationType: 'vehicle', locationRef: secondVehicle.id });
+
+  assert.match(validateTransfer(battery, { location: vehicle, lifecycleState: 'quarantined' }), /Only in-service/);
+  assert.match(validateTransfer(battery, { location: warehouse, lifecycleState: 'charging' }), /only charge at a station/);
+  assert.equal(validateTransfer(battery, { location: vehicle, lifecycleState: 'in_service' }), null);
+
+  newBattery('PK-RULES-2');
+  transferBattery('PK-RULES-2', { location: vehicle, lifecycleState: 'in_service' }, actor);
+  assert.match(validateTransfer(battery, { location: vehicle, lifecycleState: 'in_service' }), /already has battery PK-RULES-2/);
+
+  const retired = transferBattery('PK-RULES-1', { location: warehouse, lifecycleState: 'retired' }, actor);
+  assert.match(validateTransfer(retired, { location: warehouse, lifecycleState: 'in_service' }), /Retired batteries/);
+
+  assert.match(validateBattery({ cycleCount: 10 }, { ...battery, cycleCount: 20 }), /cannot go backwards/);
+});
+
+test("a battery can not be moved out of the user's scope", async () => {
+  newBattery('PK-SCOPE-1');
+  signInAs(mumbaiHead);
+
+  const refused = await transfer('PK-SCOPE-1', { locationType: 'warehouse', locationRef: 'dwarka-hub' });
+  assert.equal(refused.status, 403);
+  assert.equal(getBattery('PK-SCOPE-1').locationRef, 'andheri-hub');
+
+  const moved = await transfer('PK-SCOPE-1', { locationType: 'warehouse', locationRef: 'bandra-hub' });
+  assert.equal(moved.status, 200);
+  assert.equal(getBattery('PK-SCOPE-1').locationRef, 'bandra-hub');
+});
@@ -0,0 +1,142 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { seedHierarchy, localDate } from './helpers.js';
+import { signInAs } from './session.js';
+import { POST as mockCheckoutRoute } from '../app/api/billing/checkout/mock/[paymentId]/route.js';
+import { POST as webhookRoute } from '../app/api/billing/webhooks/[gateway]/route.js';
+import { listAudit } from '../app/lib/audit.js';
+import { createCustomerPlan } from '../app/lib/customerPlans.js';
+import { createCustomer, createSubscription } from '../app/lib/customers.js';
+import { getGatewayPayment, getInvoice, handleGatewayWebhook, listInvoices, recordPayment, runBilling, startCheckout } from '../app/lib/billing.js';
+import { getPaymentGateway, signMockWebhook } from '../app/lib/paymentGateway.js';
+
+seedHierarchy();
+
+const admin = { id: '1', name: 'Admin', role: 'super_admin' };
+
+const plan = createCustomerPlan({
+  name: 'Swap Basic',
+  kind: 'swap',
+  monthlyFee: 999,
+  swapQuota: 60,
+  perSwapPrice: 25,
+  deposit: 2000,
+  validityDays: 90,
+});
+
+let phones = 0;
+function newDepositInvoice() {
+  phones += 1;
+  const customer = createCustomer({ name: 'Test Rider', type: 'individual', phone: `98765${String(phones).padStart(5, '0')}`, hub: 'andheri-hub' });
+  createSubscription(customer.id, { planId: plan.id, startsOn: localDate(0) });
+  runBilling();
+  return listInvoices(admin, { customer: customer.id, kind: 'deposit' }).invoices[0];
+}
+
+function settle(paymentId, status = 'succeeded') {
+  const { rawBody, headers } = signMockWebhook({ gatewayPaymentId: getGatewayPayment(paymentId).gatewayPaymentId, status, reference: 'REF' });
+  return handleGatewayWebhook('mock', rawBody, headers).payment;
+}
+
+function paymentAudit(paymentId) {
+  return listAudit(admin, { entityType: 'payment', entityId: paymentId }).entries.filter((entry) => entry.entityId === paymentId);
+}
+
+test('starting checkout again hands out the open one', () => {
+  const invoice = newDepositInvoice();
+
+  const first = startCheckout(invoice, admin);
+  const second = startCheckout(getInvoice(invoice.id), admin);
+
+  assert.equal(first.created, true);
+  assert.deepEqual(second, { ...first, created: false });
+});
+
+test('a checkout for a stale balance is closed and a new one started', () => {
+  const invoice = newDepositInvoice();
+  const first = startCheckout(invoice, admin);
+  recordPayment(invoice, { amount: 500, method: 'cash' }, admin);
+
+  const second = startCheckout(getInvoice(invoice.id), admin);
+
+  assert.notEqual(second.paymentId, first.paymentId);
+  assert.equal(getGatewayPayment(first.paymentId).status, 'failed');
+  assert.equal(getGatewayPayment(second.paymentId).amount, invoice.balance - 500);
+});
+
+test('a gateway payment is credited only up to the balance still due', () => {
+  const invoice = newDepositInvoice();
+  const checkout = startCheckout(invoice, admin);
+  recordPayment(invoice, { amount: 500, method: 'cash' }, admin);
+
+  const payment = settle(checkout.paymentId);
+
+  assert.equal(payment.status, 'succeeded');
+  assert.equal(payment.amount, invoice.balance - 500);
+  assert.equal(getInvoice(invoice.id).balance, 0);
+});
+
+test('a gateway payment for an invoice already settled is refused', () => {
+  const invoice = newDepositInvoice();
+  const checkout = startCheckout(invoice, admin);
+  recordPayment(invoice, { amount: invoice.balance, method: 'cash' }, admin);
+
+  assert.equal(settle(checkout.paymentId).status, 'failed');
+  assert.equal(getInvoice(invoice.id).paid, invoice.total);
+});
+
+test('a payment settled by the webhook is audited once, as the gateway', async () => {
+  const invoice = newDepositInvoice();
+  const checkout = startCheckout(invoice, admin);
+  const { rawBody, headers } = signMockWebhook({
+    gatewayPaymentId: getGatewayPayment(checkout.paymentId).gatewayPaymentId,
+    status: 'succeeded',
+    reference: 'REF',
+  });
+
+  // The gateway delivers the event twice
+  for (let i = 0; i < 2; i++) {
+    const response = await webhookRoute(
+      new Request('http://localhost/api/billing/webhooks/mock', { method: 'POST', body: rawBody, headers }),
+      { params: Promise.resolve({ gateway: 'mock' }) }
+    );
+    assert.equal(response.status, 200);
+  }
+
+  const entries = paymentAudit(checkout.paymentId);
+  assert.equal(entries.length, 1);
+  assert.equal(entries[0].actorName, 'Payment gateway');
+  assert.deepEqual(entries[0].changes.status, { from: 'pending', to: 'succeeded' });
+  assert.equal(entries[0].area, 'andheri');
+});
+
+test('a payment completed on the mock checkout page is audited', async () => {
+  const invoice = newDepositInvoice();
+  const checkout = startCheckout(invoice, admin);
+  signInAs(admin);
+
+  const response = await mockCheckoutRoute(
+    new Request('http://localhost/api/billing/checkout/mock', { method: 'POST', body: JSON.stringify({ outcome: 'failed' }) }),
+    { params: Promise.resolve({ paymentId: checkout.paymentId }) }
+  );
+
+  assert.equal((await response.json()).payment.status, 'failed');
+  const [entry] = paymentAudit(checkout.paymentId);
+  assert.equal(entry.actorName, 'Payment gateway');
+  assert.deepEqual(entry.changes.status, { from: 'pending', to: 'failed' });
+});
+
+test('the mock gateway needs its own secret in production', (t) => {
+  const { NODE_ENV } = process.env;
+  t.after(() => {
+    if (NODE_ENV === undefined) delete process.env.NODE_ENV;
+    else process.env.NODE_ENV = NODE_ENV;
+    delete process.env.PAYMENT_MOCK_SECRET;
+  });
+
+  process.env.NODE_ENV = 'production';
+  assert.equal(getPaymentGateway('mock'), null);
+
+  process.env.PAYMENT_MOCK_SECRET = 'staging-secret';
+  assert.equal(getPaymentGateway('mock').name, 'mock');
+});
@@ -0,0 +1,44 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { seedHierarchy, localDate } from './helpers.js';
+import { createCustomerPlan } from '../app/lib/customerPlans.js';
+import { cancelSubscription, createCustomer, createSubscription, subscriptionCycles } from '../app/lib/customers.js';
+
+seedHierarchy();
+
+const plan = createCustomerPlan({
+  name: 'Swap Basic',
+  kind: 'swap',
+  monthlyFee: 999,
+  swapQuota: 60,
+  perSwapPrice: 25,
+  deposit: 2000,
+  validityDays: 90,
+});
+
+function newCustomer(phone) {
+  return createCustomer({ name: 'Test Rider', type: 'individual', phone, hub: 'andheri-hub' });
+}
+
+test('cancelling a scheduled subscription leaves it without cycles', () => {
+  const customer = newCustomer('9876500001');
+  const subscription = createSubscription(customer.id, { planId: plan.id, startsOn: localDate(10) });
+
+  const cancelled = cancelSubscription(customer.id, subscription.id);
+
+  assert.equal(cancelled.status, 'cancelled');
+  assert.equal(cancelled.endsOn, localDate(9));
+  assert.deepEqual(subscriptionCycles(cancelled), []);
+});
+
+test('cancelling an active subscription ends it today', () => {
+  const customer = newCustomer('9876500002');
+  const subscription = createSubscription(customer.id, { planId: plan.id, startsOn: localDate(-5) });
+
+  const cancelled = cancelSubscription(customer.id, subscription.id);
+
+  assert.equal(cancelled.status, 'cancelled');
+  assert.equal(cancelled.startsOn, localDate(-5));
+  assert.equal(cancelled.endsOn, localDate(0));
+  assert.equal(subscriptionCycles(cancelled).length, 1);
+});
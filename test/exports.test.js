@@ -0,0 +1,97 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { setTimeout } from 'node:timers/promises';
+import { seedHierarchy } from './helpers.js';
+import { signInAs } from './session.js';
+import { createUser } from '../app/lib/users.js';
+import { createVehicle } from '../app/lib/vehicles.js';
+
+// Exports of more than two rows go to the background queue
+process.env.EXPORT_INLINE_MAX_ROWS = '2';
+const { POST: exportRoute } = await import('../app/api/exports/route.js');
+const { GET: downloadRoute } = await import('../app/api/exports/[id]/download/route.js');
+const { getExport } = await import('../app/lib/exports.js');
+
+seedHierarchy();
+
+// Jobs run as their user as stored, so these have to be real accounts
+const admin = createUser({ email: 'admin@example.com', password: 'unused', name: 'Admin', role: 'super_admin' });
+const andheriHead = createUser({
+  email: 'andheri@example.com',
+  password: 'unused',
+  name: 'Andheri Head',
+  role: 'area_head',
+  region: 'west',
+  circle: 'mumbai',
+  area: 'andheri',
+});
+
+createVehicle({ vin: 'MA1EXPTEST0000001', registrationNumber: 'MH02EX0001', model: 'City Scooter', hub: 'andheri-hub' });
+createVehicle({ vin: 'MA1EXPTEST0000002', registrationNumber: 'MH02EX0002', model: 'Cargo Scooter', hub: 'andheri-hub' });
+createVehicle({ vin: 'MA1EXPTEST0000003', registrationNumber: 'MH02EX0003', model: 'City Scooter', hub: 'bandra-hub' });
+
+async function exportReport(body) {
+  const response = await exportRoute(new Request('http://localhost/api/exports', { method: 'POST', body: JSON.stringify(body) }));
+  return { status: response.status, body: await response.json() };
+}
+
+function download(id) {
+  return downloadRoute(new Request(`http://localhost/api/exports/${id}/download`), { params: Promise.resolve({ id }) });
+}
+
+test("an export holds only the rows in the user's scope that match the page's filters", async () => {
+  signInAs(andheriHead);
+
+  const { status, body } = await exportReport({ report: 'vehicles', format: 'csv', filters: { q: 'City' } });
+  assert.equal(status, 201);
+  assert.equal(body.export.status, 'done');
+  assert.equal(body.export.rowCount, 1);
+
+  const response = await download(body.export.id);
+  assert.equal(response.headers.get('content-type'), 'text/csv; charset=utf-8');
+  const csv = await response.text();
+  assert.match(csv, /MH02EX0001/);
+  assert.doesNotMatch(csv, /MH02EX0002|MH02EX0003/);
+});
+
+test('spreadsheets and PDFs come out in their formats', async () => {
+  signInAs(andheriHead);
+
+  for (const [format, signature] of [['xlsx', 'PK'], ['pdf', '%PDF']]) {
+    const { body } = await exportReport({ report: 'vehicles', format });
+    const bytes = Buffer.from(await (await download(body.export.id)).arrayBuffer());
+    assert.equal(bytes.subarray(0, signature.length).toString(), signature, format);
+  }
+});
+
+test('large exports run in the background and can be downloaded once done', async () => {
+  signInAs(admin);
+
+  const { body } = await exportReport({ report: 'vehicles', format: 'csv' });
+  assert.ok(['queued', 'running'].includes(body.export.status));
+  assert.equal(body.export.downloadUrl, null);
+
+  let job = getExport(body.export.id);
+  for (let tries = 0; job.status !== 'done' && tries < 50; tries++) {
+    await setTimeout(20);
+    job = getExport(body.export.id);
+  }
+  assert.equal(job.status, 'done');
+  assert.equal(job.rowCount, 3);
+  assert.equal((await download(job.id)).status, 200);
+});
+
+test('exports can only be downloaded by the user who asked for them', async () => {
+  signInAs(andheriHead);
+  const { body } = await exportReport({ report: 'vehicles', format: 'csv' });
+
+  signInAs({ ...andheriHead, id: admin.id });
+  assert.equal((await download(body.export.id)).status, 404);
+});
+
+test('reports limited to some roles can not be exported by others', async () => {
+  signInAs(andheriHead);
+
+  assert.equal((await exportReport({ report: 'audit', format: 'csv' })).status, 403);
+  assert.equal((await exportReport({ report: 'vehicles', format: 'docx' })).status, 400);
+});
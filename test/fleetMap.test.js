@@ -0,0 +1,73 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { seedHierarchy } from './helpers.js';
+import { getMapAssets } from '../app/lib/fleetMap.js';
+import { createStation } from '../app/lib/stations.js';
+import { createDevice } from '../app/lib/tcu.js';
+import { ingestTelemetry } from '../app/lib/telemetry.js';
+import { createVehicle } from '../app/lib/vehicles.js';
+
+seedHierarchy();
+
+const westHead = { id: '1', role: 'regional_head', region: 'west' };
+
+function newVehicle(vin, registrationNumber, hub) {
+  return createVehicle({ vin, registrationNumber, model: 'Test Scooter', hub });
+}
+
+const tracked = newVehicle('MA1MAPTEST0000001', 'MH02MP0001', 'andheri-hub');
+const silent = newVehicle('MA1MAPTEST0000002', 'MH02MP0002', 'bandra-hub');
+const northern = newVehicle('MA1MAPTEST0000003', 'DL03MP0003', 'dwarka-hub');
+
+createDevice({ deviceId: 'TCU-MAP-1', vehicle: tracked.id });
+createDevice({ deviceId: 'TCU-MAP-3', vehicle: northern.id });
+
+const minutesAgo = (minutes) => new Date(Date.now() - minutes * 60 * 1000).toISOString();
+ingestTelemetry('TCU-MAP-1', [
+  { recordedAt: minutesAgo(30), latitude: 19.1, longitude: 72.8, soc: 90 },
+  { recordedAt: minutesAgo(10), latitude: 19.12, longitude: 72.85, soc: 70, ignition: true },
+  // A later record without a fix doesn't move the marker
+  { recordedAt: minutesAgo(5), soc: 65 },
+]);
+ingestTelemetry('TCU-MAP-3', [{ recordedAt: minutesAgo(5), latitude: 28.6, longitude: 77.0, soc: 50 }]);
+
+const station = createStation({
+  name: 'Andheri Swap Point',
+  latitude: 19.11,
+  longitude: 72.84,
+  powerKw: 30,
+  opensAt: '06:00',
+  closesAt: '23:00',
+  hub: 'andheri-hub',
+  slots: [{ connectorType: 'swap_dock', powerKw: 3 }],
+});
+
+test('vehicles are plotted at their latest reported position', () => {
+  const { vehicles } = getMapAssets(westHead);
+
+  assert.deepEqual(vehicles.map((vehicle) => vehicle.id), [tracked.id]);
+  const [vehicle] = vehicles;
+  assert.deepEqual([vehicle.latitude, vehicle.longitude], [19.12, 72.85]);
+  assert.equal(vehicle.soc, 70);
+  assert.equal(vehicle.ignition, true);
+});
+
+test('vehicles that never reported a position are counted, not plotted', () => {
+  const { vehicles, unlocated } = getMapAssets(westHead);
+
+  assert.ok(!vehicles.some((vehicle) => vehicle.id === silent.id));
+  assert.equal(unlocated, 1);
+});
+
+test("the map keeps to the user's scope and narrows to the chosen area", () => {
+  const west = getMapAssets(westHead);
+  assert.ok(!west.vehicles.some((vehicle) => vehicle.id === northern.id));
+  assert.deepEqual(west.stations.map((found) => found.code), [station.code]);
+
+  const bandra = getMapAssets(westHead, { area: 'bandra' });
+  assert.deepEqual([bandra.vehicles.length, bandra.stations.length, bandra.unlocated], [0, 0, 1]);
+
+  // Filters can't reach outside the user's scope
+  const north = getMapAssets(westHead, { region: 'north' });
+  assert.deepEqual([north.vehicles.length, north.stations.length], [0, 0]);
+});
@@ -0,0 +1,48 @@
+import { getDb, LOCAL_TIME_OFFSET } from '../app/lib/db.js';
+import { createNode, findNode } from '../app/lib/hierarchy.js';
+
+// Shared fixtures for the tests
+
+// region → circle → area → hub, a smaller copy of scripts/seed-hierarchy.mjs
+const TREE = [
+  ['west', [
+    ['mumbai', [
+      ['andheri', ['andheri-hub']],
+      ['bandra', ['bandra-hub']],
+    ]],
+    ['pune', [
+      ['hinjewadi', ['hinjewadi-hub']],
+    ]],
+  ]],
+  ['north', [
+    ['delhi', [
+      ['dwarka', ['dwarka-hub']],
+    ]],
+  ]],
+];
+
+/**
+ * Create the test hierarchy (once per database)
+ */
+export function seedHierarchy() {
+  if (findNode('region', 'west')) return;
+
+  const add = (type, code, parentId) => createNode({ type, code, name: code, parentId }).id;
+  for (const [region, circles] of TREE) {
+    const regionId = add('region', region, null);
+    for (const [circle, areas] of circles) {
+      const circleId = add('circle', circle, regionId);
+      for (const [area, hubs] of areas) {
+        const areaId = add('area', area, circleId);
+        for (const hub of hubs) add('hub', hub, areaId);
+      }
+    }
+  }
+}
+
+/**
+ * Today's date (YYYY-MM-DD) in local time, offset by `days`
+ */
+export function localDate(days = 0) {
+  return getDb().prepare("SELECT date('now', ?, ?) AS day").get(LOCAL_TIME_OFFSET, `${days} days`).day;
+}
@@ -0,0 +1,62 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { seedHierarchy } from './helpers.js';
+import { createNode, deleteNode, findNode, updateNode } from '../app/lib/hierarchy.js';
+import { createVehicle, getVehicle } from '../app/lib/vehicles.js';
+import { createCustomer, getCustomer } from '../app/lib/customers.js';
+
+seedHierarchy();
+
+let vins = 0;
+function newVehicle(hub) {
+  vins += 1;
+  return createVehicle({
+    vin: `MA1TEST0000000${String(vins).padStart(3, '0')}`,
+    registrationNumber: `MH02TE${String(vins).padStart(4, '0')}`,
+    model: 'Test Scooter',
+    hub,
+  });
+}
+
+test('moving a hub re-scopes the records under it', () => {
+  const hub = createNode({ type: 'hub', code: 'moving-hub', name: 'Moving Hub', parentId: findNode('area', 'andheri').id });
+  const vehicle = newVehicle('moving-hub');
+  const customer = createCustomer({ name: 'Hub Rider', type: 'individual', phone: '9876511111', hub: 'moving-hub' });
+
+  assert.equal(updateNode(hub.id, { parentId: findNode('area', 'dwarka').id }), null);
+
+  const scope = { hub: 'moving-hub', area: 'dwarka', circle: 'delhi', region: 'north' };
+  assert.deepEqual(pickScope(getVehicle(vehicle.id)), scope);
+  assert.deepEqual(pickScope(getCustomer(customer.id)), scope);
+});
+
+test('moving an area re-scopes its hubs\' records and leaves other areas alone', () => {
+  const area = createNode({ type: 'area', code: 'moving-area', name: 'Moving Area', parentId: findNode('circle', 'mumbai').id });
+  createNode({ type: 'hub', code: 'moving-area-hub', name: 'Moving Area Hub', parentId: area.id });
+  const moved = newVehicle('moving-area-hub');
+  const untouched = newVehicle('bandra-hub');
+
+  assert.equal(updateNode(area.id, { parentId: findNode('circle', 'pune').id }), null);
+
+  assert.deepEqual(pickScope(getVehicle(moved.id)), { hub: 'moving-area-hub', area: 'moving-area', circle: 'pune', region: 'west' });
+  assert.deepEqual(pickScope(getVehicle(untouched.id)), { hub: 'bandra-hub', area: 'bandra', circle: 'mumbai', region: 'west' });
+});
+
+test('a hub with records under it cannot be deleted', () => {
+  const hub = createNode({ type: 'hub', code: 'busy-hub', name: 'Busy Hub', parentId: findNode('area', 'bandra').id });
+  newVehicle('busy-hub');
+
+  assert.match(deleteNode(hub.id), /vehicles \(1\)/);
+  assert.ok(findNode('hub', 'busy-hub'));
+});
+
+test('an empty hub can be deleted', () => {
+  const hub = createNode({ type: 'hub', code: 'empty-hub', name: 'Empty Hub', parentId: findNode('area', 'bandra').id });
+
+  assert.equal(deleteNode(hub.id), null);
+  assert.equal(findNode('hub', 'empty-hub'), null);
+});
+
+function pickScope(record) {
+  return { hub: record.hub, area: record.area, circle: record.circle, region: record.region };
+}
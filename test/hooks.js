@@ -0,0 +1,27 @@
+import path from 'node:path';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+
+// Module resolution the Next.js bundler normally provides: the `@/`
+// alias from jsconfig.json, extensionless relative imports and `next/*`
+// entry points.
+// The NextAuth route is swapped for test/session.js.
+
+const ROOT = path.dirname(path.dirname(fileURLToPath(import.meta.url)));
+const AUTH_ROUTE = '@/app/api/auth/[...nextauth]/route';
+
+export async function resolve(specifier, context, nextResolve) {
+  if (specifier === AUTH_ROUTE) {
+    return nextResolve(pathToFileURL(path.join(ROOT, 'test/session.js')).href, context);
+  }
+  if (specifier.startsWith('@/')) {
+    const file = path.join(ROOT, specifier.slice(2));
+    return nextResolve(pathToFileURL(file.endsWith('.js') ? file : `${file}.js`).href, context);
+  }
+  if (specifier.startsWith('.') && !path.extname(specifier)) {
+    return nextResolve(`${specifier}.js`, context);
+  }
+  if (/^next\/[\w-]+$/.test(specifier)) {
+    return nextResolve(`${specifier}.js`, context);
+  }
+  return nextResolve(specifier, context);
+}
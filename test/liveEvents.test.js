@@ -0,0 +1,70 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { seedHierarchy } from './helpers.js';
+import { signInAs } from './session.js';
+import { GET as eventsRoute } from '../app/api/events/route.js';
+import { latestEventId, listEventsSince } from '../app/lib/liveEvents.js';
+import { createStation, updateSlot } from '../app/lib/stations.js';
+
+seedHierarchy();
+
+const mumbaiHead = { id: '1', role: 'circle_head', region: 'west', circle: 'mumbai' };
+const bandraHead = { id: '2', role: 'area_head', region: 'west', circle: 'mumbai', area: 'bandra' };
+
+function newStation(hub) {
+  return createStation({
+    name: `${hub} station`,
+    latitude: 19.1,
+    longitude: 72.8,
+    powerKw: 30,
+    opensAt: '06:00',
+    closesAt: '23:00',
+    hub,
+    slots: [{ connectorType: 'swap_dock', powerKw: 3 }],
+  });
+}
+
+const andheri = newStation('andheri-hub');
+
+test('changes reach the users whose scope covers them, oldest first', () => {
+  const start = latestEventId();
+  updateSlot(andheri.code, '1', { status: 'faulted' });
+  updateSlot(andheri.code, '1', { status: 'free' });
+
+  const events = listEventsSince(mumbaiHead, start);
+  assert.deepEqual(
+    events.map((event) => [event.type, event.data.id, event.data.status]),
+    [['asset.status', `${andheri.code}/1`, 'faulted'], ['asset.status', `${andheri.code}/1`, 'free']]
+  );
+  assert.deepEqual(listEventsSince(bandraHead, start), []);
+
+  assert.deepEqual(listEventsSince(mumbaiHead, events[0].id).map((event) => event.id), [events[1].id]);
+});
+
+test('the stream sends new events in scope and resumes from Last-Event-ID', async (t) => {
+  t.mock.timers.enable({ apis: ['setInterval', 'setTimeout'] });
+  signInAs(mumbaiHead);
+
+  const resumeFrom = latestEventId();
+  updateSlot(andheri.code, '1', { status: 'offline' });
+  newStation('bandra-hub');
+  newStation('dwarka-hub');
+
+  const abort = new AbortController();
+  const response = await eventsRoute(
+    new Request('http://localhost/api/events', { headers: { 'last-event-id': String(resumeFrom) }, signal: abort.signal })
+  );
+  assert.equal(response.headers.get('content-type'), 'text/event-stream');
+
+  const reader = response.body.getReader();
+  const read = async () => new TextDecoder().decode((await reader.read()).value);
+  assert.equal(await read(), 'retry: 5000\n\n');
+
+  t.mock.timers.tick(2000);
+  const messages = [await read(), await read()];
+  abort.abort();
+
+  assert.match(messages[0], new RegExp(`^id: ${resumeFrom + 1}\nevent: asset.status\ndata: .*"${andheri.code}/1".*"offline"`));
+  assert.match(messages[1], /"kind":"station".*"status":"active"/);
+  assert.equal((await reader.read()).done, true);
+});
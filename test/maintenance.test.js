@@ -0,0 +1,33 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { seedHierarchy } from './helpers.js';
+import { signInAs } from './session.js';
+import { POST as runSchedulerRoute } from '../app/api/maintenance/run/route.js';
+import { listAudit } from '../app/lib/audit.js';
+import { createPlan } from '../app/lib/maintenance.js';
+import { createUser } from '../app/lib/users.js';
+import { createVehicle } from '../app/lib/vehicles.js';
+import { getWorkOrder } from '../app/lib/workOrders.js';
+
+seedHierarchy();
+
+const admin = createUser({ email: 'admin@example.com', password: 'unused', name: 'Admin', role: 'super_admin' });
+
+createPlan({ name: 'Brake check', assetType: 'vehicle', trigger: 'odometer', every: 1000, lead: 100, priority: 'medium' }, admin);
+createVehicle({ vin: 'MA1PLANTEST000001', registrationNumber: 'MH02PM0001', model: 'Test Scooter', hub: 'andheri-hub', odometerKm: 950 });
+
+test('a scheduler pass run by hand is attributed to the admin and audited', async () => {
+  signInAs(admin);
+
+  const response = await runSchedulerRoute(new Request('http://localhost/api/maintenance/run', { method: 'POST' }));
+  const { created } = await response.json();
+
+  assert.equal(created.length, 1);
+  assert.equal(getWorkOrder(created[0]).createdBy, 'Admin');
+
+  const [workOrderEntry] = listAudit(admin, { entityType: 'work_order' }).entries;
+  assert.equal(workOrderEntry.actorName, 'Admin');
+  const [runEntry] = listAudit(admin, { entityType: 'maintenance_run' }).entries;
+  assert.equal(runEntry.actorName, 'Admin');
+  assert.deepEqual(runEntry.changes.created, { from: null, to: created });
+});
@@ -0,0 +1,114 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { NextRequest } from 'next/server';
+import { signInAs } from './session.js';
+import { proxy } from '../proxy.js';
+import { DELETE as disableMfaRoute } from '../app/api/account/mfa/route.js';
+import { POST as recoveryCodesRoute } from '../app/api/account/mfa/recovery-codes/route.js';
+import { listAudit } from '../app/lib/audit.js';
+import { getDb } from '../app/lib/db.js';
+import { generateTotpSecret } from '../app/lib/totp.js';
+import { getMfaStatus, regenerateRecoveryCodes } from '../app/lib/mfa.js';
+import { createUser } from '../app/lib/users.js';
+
+const ssoHead = {
+  id: 1,
+  email: 'sso.west@voltup.com',
+  role: 'REGIONAL_HEAD',
+  region: 'west',
+  mfa: false,
+  mfaRequired: false,
+  sso: true,
+  mustChangePassword: false,
+};
+
+function open(pathname) {
+  return proxy(new NextRequest(`http://localhost${pathname}`));
+}
+
+test('a company account session without a second factor is sent to confirm a code, not to enrol', async () => {
+  signInAs(ssoHead);
+  const response = await open('/admin/users');
+
+  assert.equal(response.status, 307);
+  const location = new URL(response.headers.get('location'));
+  assert.equal(location.pathname, '/account/verify');
+  assert.equal(location.searchParams.get('callbackUrl'), '/admin/users');
+  assert.equal(location.searchParams.get('required'), 'route');
+});
+
+test('the verify page itself stays open to the company account session', async () => {
+  signInAs(ssoHead);
+  const response = await open('/account/verify');
+
+  assert.equal(response.headers.get('location'), null);
+  assert.equal(response.headers.get('x-middleware-next'), '1');
+});
+
+test('admin APIs refuse the company account session until it has a second factor', async () => {
+  signInAs(ssoHead);
+  assert.equal((await open('/api/admin/users')).status, 403);
+
+  signInAs({ ...ssoHead, mfa: true });
+  assert.equal((await open('/api/admin/users')).headers.get('x-middleware-next'), '1');
+});
+
+test('a password session without a second factor is still sent to set one up', async () => {
+  signInAs({ ...ssoHead, email: 'west@voltup.com', sso: false });
+  const response = await open('/admin/users');
+
+  assert.equal(new URL(response.headers.get('location')).pathname, '/account/security');
+});
+
+const admin = { id: '0', role: 'super_admin' };
+
+// A user with two-factor on, returning their recovery codes (which are
+// accepted wherever a current code is)
+function enrolledUser(email) {
+  const user = createUser({ email, password: 'unused', name: 'Enrolled', role: 'area_head' });
+  getDb()
+    .prepare("UPDATE users SET mfa_secret = ?, mfa_enabled_at = datetime('now') WHERE id = ?")
+    .run(generateTotpSecret(), user.id);
+  return { user, recoveryCodes: regenerateRecoveryCodes(user.id) };
+}
+
+function sendCode(handler, method, code) {
+  return handler(new Request('http://localhost/api/account/mfa', { method, body: JSON.stringify({ code }) }));
+}
+
+test('wrong codes count towards the lockout when turning two-factor off', async () => {
+  const { user, recoveryCodes } = enrolledUser('disable.mfa@example.com');
+  signInAs(user);
+
+  assert.equal((await sendCode(disableMfaRoute, 'DELETE', '000000')).status, 400);
+  assert.equal((await sendCode(disableMfaRoute, 'DELETE', '000000')).status, 400);
+  assert.equal((await sendCode(disableMfaRoute, 'DELETE', '000000')).status, 400);
+
+  // Past the free attempts, not even a right code gets through until the wait is over
+  assert.equal((await sendCode(disableMfaRoute, 'DELETE', recoveryCodes[0])).status, 429);
+  assert.equal(getMfaStatus(user).enabled, true);
+});
+
+test('wrong codes count towards the lockout when replacing recovery codes', async () => {
+  const { user, recoveryCodes } = enrolledUser('regenerate.mfa@example.com');
+  signInAs(user);
+
+  assert.equal((await sendCode(recoveryCodesRoute, 'POST', '000000')).status, 400);
+  assert.equal((await sendCode(recoveryCodesRoute, 'POST', '000000')).status, 400);
+  assert.equal((await sendCode(recoveryCodesRoute, 'POST', '000000')).status, 400);
+  assert.equal((await sendCode(recoveryCodesRoute, 'POST', recoveryCodes[0])).status, 429);
+});
+
+test('replacing recovery codes is audited', async () => {
+  const { user, recoveryCodes } = enrolledUser('audited.mfa@example.com');
+  signInAs(user);
+
+  const response = await sendCode(recoveryCodesRoute, 'POST', recoveryCodes[0]);
+  assert.equal(response.status, 200);
+
+  const [entry] = listAudit(admin, { entityType: 'user', entityId: String(user.id) }).entries;
+  assert.equal(entry.action, 'update');
+  assert.equal(entry.actorId, String(user.id));
+  assert.deepEqual(entry.changes.recoveryCodes, { from: null, to: '[redacted]' });
+  assert.deepEqual(entry.changes.recoveryCodesLeft, { from: recoveryCodes.length - 1, to: recoveryCodes.length });
+});
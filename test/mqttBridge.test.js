@@ -0,0 +1,36 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import path from 'node:path';
+import { seedHierarchy } from './helpers.js';
+import { handleTelemetryMessage } from '../app/lib/mqttBridge.js';
+import { createDevice } from '../app/lib/tcu.js';
+import { signTelemetryPayload, telemetrySigningKey } from '../app/lib/telemetryCodec.js';
+
+seedHierarchy();
+
+const { apiKey } = createDevice({ deviceId: 'TCU-MQTT-1', hub: 'andheri-hub' });
+const topic = 'voltup/tcu/TCU-MQTT-1/telemetry';
+// Next to the test database, so it goes when the run ends
+const deadLetterPath = path.join(path.dirname(process.env.DATABASE_PATH), 'dead-letter.jsonl');
+
+function payload(soc) {
+  return Buffer.from(JSON.stringify({ records: [{ recordedAt: new Date(Date.now() - soc * 1000).toISOString(), soc }] }));
+}
+
+test("a payload signed with the device's key is ingested", () => {
+  const result = handleTelemetryMessage(topic, signTelemetryPayload(payload(80), telemetrySigningKey(apiKey)), { deadLetterPath });
+
+  assert.equal(result.accepted, 1);
+});
+
+test('unsigned payloads and payloads signed with another key are dead-lettered', () => {
+  const forged = [payload(70), signTelemetryPayload(payload(60), telemetrySigningKey('tcu_someone-elses-key'))];
+
+  for (const message of forged) {
+    assert.deepEqual(handleTelemetryMessage(topic, message, { deadLetterPath }), {
+      deadLetter: 'Payload is not signed with the key of TCU-MQTT-1',
+    });
+  }
+  assert.equal(fs.readFileSync(deadLetterPath, 'utf8').trim().split('\n').length, 2);
+});
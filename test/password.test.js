@@ -0,0 +1,84 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { setTimeout } from 'node:timers/promises';
+import { POST as forgotRoute } from '../app/api/password/forgot/route.js';
+import { POST as resetRoute } from '../app/api/password/reset/route.js';
+import { getDb } from '../app/lib/db.js';
+import { createResetToken } from '../app/lib/passwordReset.js';
+import { createUser } from '../app/lib/users.js';
+
+createUser({ email: 'rider.ops@example.com', password: 'unused', name: 'Rider Ops', role: 'area_head' });
+
+// Mail goes to a list instead of a transport (getMailer() keeps its mailer here)
+const sent = [];
+globalThis.__draiveMailer = { send: async (message) => sent.push(message) };
+
+function forgot(email) {
+  return forgotRoute(
+    // Under Next.js the request URL is built from the Host header
+    new Request('http://attacker.example/api/password/forgot', { method: 'POST', body: JSON.stringify({ email }) })
+  );
+}
+
+test('reset links are not sent without APP_URL', async (t) => {
+  t.mock.method(console, 'error', () => {});
+
+  const response = await forgot('rider.ops@example.com');
+
+  assert.equal(response.status, 503);
+  assert.equal(sent.length, 0);
+});
+
+test("reset links point at APP_URL, whatever the request's host", async (t) => {
+  process.env.APP_URL = 'https://draive.example.com';
+  t.after(() => delete process.env.APP_URL);
+
+  const response = await forgot('rider.ops@example.com');
+
+  assert.equal(response.status, 200);
+  assert.equal(sent.length, 1);
+  assert.match(sent[0].text, /https:\/\/draive\.example\.com\/login\/reset\?token=/);
+  assert.doesNotMatch(sent[0].text, /attacker/);
+});
+
+test('the answer does not wait for the mail server', async (t) => {
+  process.env.APP_URL = 'https://draive.example.com';
+  t.after(() => delete process.env.APP_URL);
+  createUser({ email: 'slow.mail@example.com', password: 'unused', name: 'Slow Mail', role: 'area_head' });
+
+  // A slow mail server
+  let delivered = false;
+  t.mock.method(globalThis.__draiveMailer, 'send', async () => {
+    await setTimeout(50);
+    delivered = true;
+  });
+
+  const response = await forgot('slow.mail@example.com');
+
+  assert.equal(response.status, 200);
+  assert.equal(globalThis.__draiveMailer.send.mock.callCount(), 1);
+  assert.equal(delivered, false);
+});
+
+test('company accounts can not reset their password', async (t) => {
+  process.env.APP_URL = 'https://draive.example.com';
+  t.after(() => delete process.env.APP_URL);
+  const user = createUser({ email: 'sso.ops@example.com', password: 'unused', name: 'SSO Ops', role: 'area_head' });
+  const token = createResetToken(user.id);
+  getDb().prepare('UPDATE users SET sso_subject = ? WHERE id = ?').run('idp-sso-ops', user.id);
+  const sentBefore = sent.length;
+
+  const response = await forgot('sso.ops@example.com');
+
+  assert.equal(response.status, 200);
+  assert.equal(sent.length, sentBefore);
+
+  // Nor use a link sent before the account was linked
+  const reset = await resetRoute(
+    new Request('http://localhost/api/password/reset', {
+      method: 'POST',
+      body: JSON.stringify({ token, password: 'A-new-password-2024!' }),
+    })
+  );
+  assert.equal(reset.status, 400);
+});
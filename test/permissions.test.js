@@ -0,0 +1,56 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { NextRequest } from 'next/server';
+import { signInAs } from './session.js';
+import { proxy } from '../proxy.js';
+import { canAccessRoute } from '../app/utils/permissions.js';
+
+const admin = { id: '1', role: 'super_admin', mfa: true };
+const regionalHead = { id: '2', role: 'regional_head', region: 'west', mfa: true };
+const areaHead = { id: '3', role: 'area_head', region: 'west', circle: 'mumbai', area: 'andheri', mfa: true };
+
+function open(pathname) {
+  return proxy(new NextRequest(`http://localhost${pathname}`));
+}
+
+test('the longest matching prefix in the manifest decides', () => {
+  assert.equal(canAccessRoute(regionalHead, '/admin/users'), false);
+  assert.equal(canAccessRoute(regionalHead, '/admin/audit'), true);
+  assert.equal(canAccessRoute(areaHead, '/assets/batteries'), false);
+  assert.equal(canAccessRoute(areaHead, '/assets/batteries/inventory/PK-1'), true);
+  assert.equal(canAccessRoute(admin, '/admin/users'), true);
+});
+
+test('routes missing from the manifest are open to any signed-in user, and no route to anyone else', () => {
+  assert.equal(canAccessRoute(areaHead, '/'), true);
+  assert.equal(canAccessRoute(null, '/'), false);
+  assert.equal(canAccessRoute({ id: '4' }, '/'), false);
+});
+
+test('a prefix only matches whole path segments', () => {
+  assert.equal(canAccessRoute(areaHead, '/administrators'), true);
+});
+
+test('pages the role may not open show the forbidden page with a 403', async () => {
+  signInAs(areaHead);
+  const response = await open('/assets/batteries');
+
+  assert.equal(response.status, 403);
+  assert.equal(new URL(response.headers.get('x-middleware-rewrite')).pathname, '/forbidden');
+});
+
+test('pages the role may open render as usual', async () => {
+  signInAs(areaHead);
+  const response = await open('/assets/batteries/inventory');
+
+  assert.equal(response.headers.get('x-middleware-next'), '1');
+});
+
+test('signed-out visitors are sent to sign in and brought back afterwards', async () => {
+  signInAs(null);
+  const response = await open('/work-orders');
+
+  const location = new URL(response.headers.get('location'));
+  assert.equal(location.pathname, '/login');
+  assert.equal(location.searchParams.get('callbackUrl'), '/work-orders');
+});
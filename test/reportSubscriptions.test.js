@@ -0,0 +1,185 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { localDate, seedHierarchy } from './helpers.js';
+import { signInAs } from './session.js';
+import { POST as subscribeRoute } from '../app/api/report-subscriptions/route.js';
+import { POST as sendRoute } from '../app/api/report-subscriptions/[id]/send/route.js';
+import { nextCronRun, validateCron } from '../app/lib/cron.js';
+import { getDb } from '../app/lib/db.js';
+import { deliverSubscription, getSubscription, runReportSubscriptions } from '../app/lib/reportSubscriptions.js';
+import { createUser, setUserEnabled } from '../app/lib/users.js';
+import { createVehicle } from '../app/lib/vehicles.js';
+import { createWorkOrder } from '../app/lib/workOrders.js';
+
+seedHierarchy();
+
+// Mail goes to a list instead of a transport (getMailer() keeps its mailer here)
+const sent = [];
+globalThis.__draiveMailer = { send: async (message) => sent.push(message) };
+
+const quiet = { error() {}, info() {} };
+
+// Reports are built as the subscriber as stored, so these have to be real accounts
+const andheriHead = createUser({
+  email: 'andheri@example.com',
+  password: 'unused',
+  name: 'Andheri Head',
+  role: 'area_head',
+  region: 'west',
+  circle: 'mumbai',
+  area: 'andheri',
+});
+const bandraHead = createUser({
+  email: 'bandra@example.com',
+  password: 'unused',
+  name: 'Bandra Head',
+  role: 'area_head',
+  region: 'west',
+  circle: 'mumbai',
+  area: 'bandra',
+});
+
+const andheriVehicle = createVehicle({ vin: 'MA1SUBTEST0000001', registrationNumber: 'MH02SB0001', model: 'Test Scooter', hub: 'andheri-hub' });
+const bandraVehicle = createVehicle({ vin: 'MA1SUBTEST0000002', registrationNumber: 'MH02SB0002', model: 'Test Scooter', hub: 'bandra-hub' });
+for (const [vehicle, title] of [[andheriVehicle, 'Andheri brake check'], [bandraVehicle, 'Bandra brake check']]) {
+  createWorkOrder({ assetType: 'vehicle', assetRef: vehicle.id, title, priority: 'high', dueDate: localDate(-3) }, null);
+}
+
+const subscription = {
+  name: 'Morning overdue list',
+  report: 'overdue-work-orders',
+  format: 'csv',
+  schedule: '0 8 * * 1-5',
+  recipients: ['Ops@Example.com', 'ops@example.com ', 'outside@partner.example'],
+};
+
+async function subscribe(body) {
+  const response = await subscribeRoute(
+    new Request('http://localhost/api/report-subscriptions', { method: 'POST', body: JSON.stringify(body) })
+  );
+  return { status: response.status, body: await response.json() };
+}
+
+async function send(id) {
+  const response = await sendRoute(new Request(`http://localhost/api/report-subscriptions/${id}/send`, { method: 'POST' }), {
+    params: Promise.resolve({ id }),
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+test('schedules run at their next matching local time', () => {
+  // LOCAL_TIME_OFFSET is +05:30 by default: 2026-10-19T00:00Z is 05:30 on a Monday
+  const after = new Date('2026-10-19T00:00:00Z');
+
+  assert.equal(nextCronRun('0 8 * * 1', after).toISOString(), '2026-10-19T02:30:00.000Z');
+  assert.equal(nextCronRun('*/15 * * * *', after).toISOString(), '2026-10-19T00:15:00.000Z');
+  assert.equal(nextCronRun('0 9 * * 6,0', after).toISOString(), '2026-10-24T03:30:00.000Z');
+  assert.equal(nextCronRun('@monthly', after).toISOString(), '2026-10-31T18:30:00.000Z');
+  // Either day field matches when both are restricted
+  assert.equal(nextCronRun('0 0 25 * 3', after).toISOString(), '2026-10-20T18:30:00.000Z');
+});
+
+test('schedules that are not cron expressions or never run are refused', () => {
+  assert.equal(validateCron('0 8 * * 1'), null);
+  assert.match(validateCron('every monday'), /cron expression/);
+  assert.match(validateCron('60 8 * * *'), /cron expression/);
+  assert.match(validateCron('0 8 30 2 *'), /never runs/);
+  assert.equal(nextCronRun('0 8 30 2 *'), null);
+});
+
+test('subscriptions need a known report, a valid schedule and 1 to 20 recipients', async () => {
+  signInAs(andheriHead);
+
+  assert.equal((await subscribe({ ...subscription, report: 'vehicles' })).status, 400);
+  assert.equal((await subscribe({ ...subscription, schedule: '0 25 * * *' })).status, 400);
+  assert.equal((await subscribe({ ...subscription, recipients: [] })).status, 400);
+  assert.equal((await subscribe({ ...subscription, recipients: ['not-an-email'] })).status, 400);
+  const tooMany = Array.from({ length: 21 }, (_, i) => `person${i}@example.com`);
+  assert.equal((await subscribe({ ...subscription, recipients: tooMany })).status, 400);
+
+  const { status, body } = await subscribe(subscription);
+  assert.equal(status, 201);
+  assert.deepEqual(body.subscription.recipients, ['ops@example.com', 'outside@partner.example']);
+  assert.ok(body.subscription.nextRunAt);
+});
+
+test('a report mailed to anyone holds only what the subscriber can see', async () => {
+  signInAs(andheriHead);
+  const { body } = await subscribe(subscription);
+  sent.length = 0;
+
+  const { status, body: result } = await send(body.subscription.id);
+
+  assert.equal(status, 200);
+  assert.equal(result.subscription.lastStatus, 'sent');
+  assert.equal(sent.length, 1);
+  assert.deepEqual(sent[0].to, ['ops@example.com', 'outside@partner.example']);
+  assert.match(sent[0].text, /Andheri brake check/);
+  assert.doesNotMatch(sent[0].text, /Bandra brake check/);
+
+  const [attachment] = sent[0].attachments;
+  assert.match(attachment.filename, /^overdue-work-orders-\d{4}-\d{2}-\d{2}\.csv$/);
+  const csv = attachment.content.toString();
+  assert.match(csv, /Andheri brake check/);
+  assert.doesNotMatch(csv, /Bandra brake check/);
+});
+
+test('only the subscriber can send their subscription', async () => {
+  signInAs(andheriHead);
+  const { body } = await subscribe(subscription);
+  sent.length = 0;
+
+  signInAs(bandraHead);
+  assert.equal((await send(body.subscription.id)).status, 404);
+  assert.equal(sent.length, 0);
+});
+
+test("nothing is sent once the subscriber's account is disabled", async () => {
+  const formerHead = createUser({
+    email: 'former@example.com',
+    password: 'unused',
+    name: 'Former Head',
+    role: 'area_head',
+    region: 'west',
+    circle: 'mumbai',
+    area: 'andheri',
+  });
+  signInAs(formerHead);
+  const { body } = await subscribe(subscription);
+  setUserEnabled(formerHead.id, false);
+  sent.length = 0;
+
+  const delivered = await deliverSubscription(body.subscription.id, quiet);
+
+  assert.equal(sent.length, 0);
+  assert.equal(delivered.lastStatus, 'failed');
+  assert.match(delivered.lastError, /disabled/);
+});
+
+test('the scheduler sends due subscriptions once and moves them to their next run', async () => {
+  signInAs(bandraHead);
+  const { body: due } = await subscribe({ ...subscription, name: 'Due', recipients: ['due@example.com'] });
+  const { body: later } = await subscribe({ ...subscription, name: 'Later', recipients: ['later@example.com'] });
+  const { body: paused } = await subscribe({ ...subscription, name: 'Paused', recipients: ['paused@example.com'] });
+
+  const db = getDb();
+  // Only the bandra subscriptions take part; the earlier tests' are pushed out of the way
+  db.prepare("UPDATE report_subscriptions SET next_run_at = '2999-01-01 00:00:00' WHERE user_id != ?").run(bandraHead.id);
+  db.prepare("UPDATE report_subscriptions SET next_run_at = '2026-10-19 02:00:00' WHERE id IN (?, ?)").run(
+    due.subscription.id,
+    paused.subscription.id
+  );
+  db.prepare('UPDATE report_subscriptions SET enabled = 0 WHERE id = ?').run(paused.subscription.id);
+  db.prepare("UPDATE report_subscriptions SET next_run_at = '2026-10-19 04:00:00' WHERE id = ?").run(later.subscription.id);
+  sent.length = 0;
+
+  const now = new Date('2026-10-19T03:00:00Z');
+  assert.equal(await runReportSubscriptions(now, quiet), 1);
+  assert.deepEqual(sent.map((message) => message.to), [['due@example.com']]);
+  assert.match(sent[0].text, /Bandra brake check/);
+  assert.equal(getSubscription(due.subscription.id).nextRunAt, '2026-10-20 02:30:00');
+
+  // A second pass at the same time finds nothing left to send
+  assert.equal(await runReportSubscriptions(now, quiet), 0);
+  assert.equal(sent.length, 1);
+});
@@ -0,0 +1,25 @@
+// Stands in for the NextAuth route module (see test/hooks.js), so route
+// handlers can be called as whichever user a test signs in as
+
+let session = null;
+
+/**
+ * Make `user` the signed-in user for the following requests (null to sign out)
+ */
+export function signInAs(user) {
+  session = user ? { user } : null;
+}
+
+/**
+ * The signed-in session, or, like NextAuth's auth(), wrap a handler (as
+ * proxy.js does) so it sees the session as `req.auth`
+ */
+export function auth(handler) {
+  if (typeof handler === 'function') {
+    return (req, ctx) => {
+      req.auth = session;
+      return handler(req, ctx);
+    };
+  }
+  return Promise.resolve(session);
+}
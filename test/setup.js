@@ -0,0 +1,17 @@
+// Loaded before every test file (`node --test --import ./test/setup.js`):
+// each file gets its own empty database and export directory, removed
+// when it finishes, and app modules resolve as they do under Next.js
+// (test/hooks.js).
+
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { register } from 'node:module';
+
+register('./hooks.js', import.meta.url);
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'draive-test-'));
+process.env.DATABASE_PATH = path.join(dir, 'draive.db');
+process.env.EXPORT_DIR = path.join(dir, 'exports');
+
+process.on('exit', () => fs.rmSync(dir, { recursive: true, force: true }));
@@ -0,0 +1,95 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { seedHierarchy } from './helpers.js';
+import { signInAs } from './session.js';
+import { POST as createStationRoute } from '../app/api/stations/route.js';
+import { getAssetAvailability } from '../app/lib/dashboard.js';
+import { createStation, listStations, retireStation, setStationMaintenance, updateSlot } from '../app/lib/stations.js';
+
+seedHierarchy();
+
+const mumbaiHead = { id: '1', name: 'Mumbai Head', role: 'circle_head', region: 'west', circle: 'mumbai' };
+const puneHead = { id: '2', name: 'Pune Head', role: 'circle_head', region: 'west', circle: 'pune' };
+
+const dock = { connectorType: 'swap_dock', powerKw: 3 };
+
+function newStation(hub, slots = 2) {
+  return createStation({
+    name: `${hub} station`,
+    latitude: 19.1,
+    longitude: 72.8,
+    powerKw: 30,
+    opensAt: '06:00',
+    closesAt: '23:00',
+    hub,
+    slots: Array.from({ length: slots }, () => dock),
+  });
+}
+
+function create(body) {
+  return createStationRoute(new Request('http://localhost/api/stations', { method: 'POST', body: JSON.stringify(body) }));
+}
+
+test('a new station gets a code and numbered free slots', async () => {
+  signInAs(mumbaiHead);
+  const response = await create({
+    name: 'Bandra Swap Point',
+    latitude: 19.06,
+    longitude: 72.83,
+    powerKw: 30,
+    hub: 'bandra-hub',
+    slots: [dock, dock, { connectorType: 'ccs2', powerKw: 60 }],
+  });
+
+  assert.equal(response.status, 201);
+  const { station } = await response.json();
+  assert.match(station.code, /^CS-\d+$/);
+  assert.equal(station.area, 'bandra');
+  assert.deepEqual(station.slots.map((slot) => [slot.label, slot.status]), [['1', 'free'], ['2', 'free'], ['3', 'free']]);
+  assert.equal(station.opensAt, '00:00');
+  assert.equal(station.closesAt, '24:00');
+});
+
+test('stations need slots, sane coordinates and a hub in scope', async () => {
+  signInAs(mumbaiHead);
+  const input = { name: 'Test Point', latitude: 19.06, longitude: 72.83, powerKw: 30, hub: 'bandra-hub', slots: [dock] };
+
+  assert.equal((await create({ ...input, slots: [] })).status, 400);
+  assert.equal((await create({ ...input, latitude: 120 })).status, 400);
+  assert.equal((await create({ ...input, hub: 'hinjewadi-hub' })).status, 403);
+});
+
+test('free slots count towards the available assets, while their station is in service', () => {
+  const station = newStation('hinjewadi-hub', 3);
+  const spare = newStation('hinjewadi-hub', 1);
+  const available = () => getAssetAvailability(puneHead);
+
+  assert.deepEqual(available().slots, { free: 4, charging: 0, faulted: 0, offline: 0 });
+  assert.deepEqual([available().available, available().total], [4, 4]);
+
+  updateSlot(station.code, '1', { status: 'charging' });
+  updateSlot(station.code, '2', { status: 'faulted' });
+  assert.deepEqual(available().slots, { free: 2, charging: 1, faulted: 1, offline: 0 });
+  assert.deepEqual([available().available, available().total], [2, 4]);
+
+  setStationMaintenance(spare.code, true);
+  assert.deepEqual([available().available, available().total], [1, 3]);
+
+  retireStation(station.code);
+  assert.deepEqual([available().available, available().total], [0, 0]);
+});
+
+test('stations can be found by the status of their slots, leaving out retired ones', () => {
+  const station = newStation('dwarka-hub');
+  const admin = { id: '3', role: 'super_admin' };
+  updateSlot(station.code, '2', { status: 'offline' });
+
+  const codes = (filters) => listStations(admin, filters).stations.map((found) => found.code);
+  assert.ok(codes({ slotStatus: 'offline' }).includes(station.code));
+  assert.ok(!codes({ slotStatus: 'faulted' }).includes(station.code));
+  assert.deepEqual(codes({ hub: 'dwarka-hub' }), [station.code]);
+
+  retireStation(station.code);
+  assert.deepEqual(codes({ hub: 'dwarka-hub' }), []);
+  assert.deepEqual(codes({ hub: 'dwarka-hub', includeRetired: true }), [station.code]);
+});
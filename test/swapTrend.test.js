@@ -0,0 +1,71 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { seedHierarchy, localDate } from './helpers.js';
+import { signInAs } from './session.js';
+import { GET as trendRoute } from '../app/api/swaps/trend/route.js';
+import { getDb } from '../app/lib/db.js';
+import { resolveHubScope } from '../app/lib/hierarchy.js';
+import { getSwapTrend } from '../app/lib/swaps.js';
+
+seedHierarchy();
+
+const westHead = { id: '1', role: 'regional_head', region: 'west' };
+const mumbaiHead = { id: '2', role: 'circle_head', region: 'west', circle: 'mumbai' };
+
+// Swaps go straight into the ledger, so they can be backdated
+const addSwaps = getDb().transaction((hub, daysAgo, count) => {
+  const { region, circle, area } = resolveHubScope(hub);
+  const insert = getDb().prepare(
+    `INSERT INTO swap_events (station, slot, battery_out, battery_in, vehicle, operator, hub, region, circle, area, swapped_at)
+     VALUES ('CS-TREND', '1', 'PK-OUT', 'PK-IN', 'VH-1', 'Operator', ?, ?, ?, ?, datetime('now', ?))`
+  );
+  for (let i = 0; i < count; i++) insert.run(hub, region, circle, area, `-${daysAgo} days`);
+});
+
+addSwaps('andheri-hub', 0, 2);
+addSwaps('bandra-hub', 0, 1);
+addSwaps('hinjewadi-hub', 3, 1);
+addSwaps('andheri-hub', 8, 4);
+addSwaps('dwarka-hub', 0, 5);
+
+test('the trend counts each day of the window in scope, oldest first', () => {
+  const trend = getSwapTrend(westHead, 7);
+
+  assert.equal(trend.points.length, 7);
+  assert.equal(trend.points[0].date, localDate(-6));
+  assert.equal(trend.points[6].date, localDate(0));
+  assert.deepEqual(trend.points.map((point) => point.total), [0, 0, 0, 1, 0, 0, 3]);
+  assert.equal(trend.total, 4);
+});
+
+test('the trend compares against the period before it', () => {
+  const trend = getSwapTrend(westHead, 7);
+
+  assert.equal(trend.previousTotal, 4);
+  assert.equal(trend.points[5].previousDate, localDate(-8));
+  assert.equal(trend.points[5].previous, 4);
+});
+
+test('the trend is broken down by circle for regional heads and by area for circle heads', () => {
+  const regional = getSwapTrend(westHead, 7);
+  assert.equal(regional.groupBy, 'circle');
+  assert.deepEqual(regional.series.map((series) => series.code), ['mumbai', 'pune']);
+  assert.deepEqual(regional.points[6].byGroup, { mumbai: 3 });
+
+  const circle = getSwapTrend(mumbaiHead, 7);
+  assert.equal(circle.groupBy, 'area');
+  assert.deepEqual(circle.series.map((series) => series.code), ['andheri', 'bandra']);
+  assert.deepEqual(circle.points[6].byGroup, { andheri: 2, bandra: 1 });
+  assert.equal(circle.total, 3);
+});
+
+test('the trend endpoint only offers the 7, 30 and 90 day windows', async () => {
+  signInAs(westHead);
+  const get = (days) => trendRoute(new Request(`http://localhost/api/swaps/trend?days=${days}`));
+
+  assert.equal((await get(14)).status, 400);
+
+  const response = await get(30);
+  assert.equal(response.status, 200);
+  assert.equal((await response.json()).points.length, 30);
+});
@@ -0,0 +1,112 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { seedHierarchy } from './helpers.js';
+import { signInAs } from './session.js';
+import { POST } from '../app/api/swaps/route.js';
+import { createBattery, getBattery, resolveLocation, transferBattery } from '../app/lib/batteries.js';
+import { createStation, updateSlot } from '../app/lib/stations.js';
+import { getSwapMetrics, getSwapTrend, setSwapTarget } from '../app/lib/swaps.js';
+import { createVehicle } from '../app/lib/vehicles.js';
+
+seedHierarchy();
+
+const circleHead = { id: '2', name: 'Mumbai Head', role: 'circle_head', region: 'west', circle: 'mumbai', area: null };
+const areaHead = { id: '1', name: 'Andheri Head', role: 'area_head', region: 'west', circle: 'mumbai', area: 'andheri' };
+
+const station = createStation({
+  name: 'Andheri Swap Point',
+  latitude: 19.1197,
+  longitude: 72.8468,
+  powerKw: 30,
+  opensAt: '06:00',
+  closesAt: '23:00',
+  hub: 'andheri-hub',
+  slots: [{ connectorType: 'swap_dock', powerKw: 3 }, { connectorType: 'swap_dock', powerKw: 3 }],
+});
+const vehicle = createVehicle({ vin: 'MA1SWAPTEST000001', registrationNumber: 'MH02SW0001', model: 'Test Scooter', hub: 'andheri-hub' });
+
+const otherVehicle = createVehicle({ vin: 'MA1SWAPTEST000002', registrationNumber: 'MH02SW0002', model: 'Test Scooter', hub: 'andheri-hub' });
+const emptyVehicle = createVehicle({ vin: 'MA1SWAPTEST000003', registrationNumber: 'MH02SW0003', model: 'Test Scooter', hub: 'andheri-hub' });
+
+for (const [serial, hub] of [
+  ['PK-OUT-1', 'andheri-hub'],
+  ['PK-IN-1', 'andheri-hub'],
+  ['PK-OTHER', 'andheri-hub'],
+  ['PK-SPARE', 'andheri-hub'],
+  ['PK-BANDRA', 'bandra-hub'],
+]) {
+  createBattery({ serial, chemistry: 'LFP', ratedCapacityKwh: 2.5, hub }, areaHead);
+}
+for (const [serial, fittedTo] of [['PK-OUT-1', vehicle], ['PK-OTHER', otherVehicle]]) {
+  transferBattery(serial, {
+    location: resolveLocation({ locationType: 'vehicle', locationRef: fittedTo.id }),
+    lifecycleState: 'in_service',
+  }, areaHead);
+}
+
+function ingest(event) {
+  const request = new Request('http://localhost/api/swaps', {
+    method: 'POST',
+    body: JSON.stringify({ events: [{ station: station.code, slot: '1', vehicle: vehicle.id, swappedAt: new Date().toISOString(), ...event }] }),
+  });
+  return POST(request).then((response) => response.json());
+}
+
+test('a swap issuing a battery from another area is rejected', async () => {
+  signInAs(areaHead);
+
+  const result = await ingest({ batteryOut: 'PK-OUT-1', batteryIn: 'PK-BANDRA' });
+
+  assert.equal(result.accepted, 0);
+  assert.equal(result.rejected[0].error, 'Battery PK-BANDRA is outside your scope');
+  assert.equal(getBattery('PK-BANDRA').locationRef, 'bandra-hub');
+  assert.equal(getBattery('PK-OUT-1').locationRef, vehicle.id);
+});
+
+test('a swap within the area is recorded', async () => {
+  signInAs(areaHead);
+
+  const result = await ingest({ batteryOut: 'PK-OUT-1', batteryIn: 'PK-IN-1' });
+
+  assert.deepEqual(result, { accepted: 1, duplicates: 0, rejected: [] });
+  assert.equal(getBattery('PK-IN-1').locationRef, vehicle.id);
+});
+
+test("an area head isn't measured against their circle's target", () => {
+  setSwapTarget('mumbai', 400, circleHead);
+
+  assert.equal(getSwapMetrics(circleHead).target, 400);
+  assert.equal(getSwapTrend(circleHead, 7).target, 400);
+
+  const metrics = getSwapMetrics(areaHead);
+  assert.equal(metrics.today, 1);
+  assert.equal(metrics.target, null);
+  assert.equal(metrics.targetAchievement, null);
+  assert.equal(getSwapTrend(areaHead, 7).target, null);
+});
+
+test("a pack fitted to another vehicle can't be swapped out of this one", async () => {
+  signInAs(areaHead);
+
+  const result = await ingest({ vehicle: emptyVehicle.id, slot: '2', batteryOut: 'PK-OTHER', batteryIn: 'PK-SPARE' });
+
+  assert.equal(result.accepted, 0);
+  assert.equal(result.rejected[0].error, `Battery PK-OTHER is fitted to ${otherVehicle.id}, not ${emptyVehicle.id}`);
+  assert.equal(getBattery('PK-OTHER').locationRef, otherVehicle.id);
+});
+
+test('the outgoing pack needs an empty slot that is in service', async () => {
+  signInAs(areaHead);
+
+  // Slot 1 holds PK-OUT-1 from the swap above
+  let result = await ingest({ batteryOut: 'PK-IN-1', batteryIn: 'PK-SPARE' });
+  assert.equal(result.rejected[0].error, `Slot ${station.code}/1 already holds a battery`);
+
+  updateSlot(station.code, '2', { status: 'faulted' });
+  result = await ingest({ slot: '2', batteryOut: 'PK-IN-1', batteryIn: 'PK-SPARE' });
+  assert.equal(result.rejected[0].error, `Slot ${station.code}/2 is faulted`);
+
+  updateSlot(station.code, '2', { status: 'free' });
+  result = await ingest({ slot: '2', batteryOut: 'PK-IN-1', batteryIn: 'PK-SPARE' });
+  assert.equal(result.accepted, 1);
+});
@@ -0,0 +1,34 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { seedHierarchy } from './helpers.js';
+import { POST } from '../app/api/tcu/telemetry/route.js';
+import { createDevice } from '../app/lib/tcu.js';
+
+seedHierarchy();
+
+const { apiKey } = createDevice({ deviceId: 'TCU-TEST-1', hub: 'andheri-hub' });
+
+function upload(body) {
+  return POST(
+    new Request('http://localhost/api/tcu/telemetry', {
+      method: 'POST',
+      headers: { Authorization: `Bearer ${apiKey}` },
+      body,
+    })
+  );
+}
+
+test('a body that is not a JSON object is rejected with 400', async () => {
+  for (const body of ['null', '42', '"records"', '[]']) {
+    const response = await upload(body);
+    assert.equal(response.status, 400, body);
+    assert.deepEqual(await response.json(), { error: 'Body must be a JSON object' });
+  }
+});
+
+test('a record batch from the device is accepted', async () => {
+  const response = await upload(JSON.stringify({ deviceId: 'TCU-TEST-1', records: [{ recordedAt: new Date().toISOString(), soc: 80 }] }));
+
+  assert.equal(response.status, 200);
+  assert.equal((await response.json()).accepted, 1);
+});
@@ -0,0 +1,40 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'node:crypto';
+import { signInAs } from './session.js';
+import { PATCH as updateUserRoute } from '../app/api/admin/users/[id]/route.js';
+import { authenticateUser, createUser, setUserEnabled } from '../app/lib/users.js';
+import { ROLES } from '../app/utils/auth.js';
+
+const user = createUser({ email: 'ops@example.com', password: 'Correct-Horse-42', name: 'Ops', role: ROLES.SUPER_ADMIN });
+
+test('the right password signs in, a wrong one or a disabled account does not', () => {
+  assert.equal(authenticateUser('ops@example.com', 'Correct-Horse-42').id, user.id);
+  assert.equal(authenticateUser('ops@example.com', 'wrong'), null);
+
+  setUserEnabled(user.id, false);
+  assert.equal(authenticateUser('ops@example.com', 'Correct-Horse-42'), null);
+  setUserEnabled(user.id, true);
+});
+
+test('an unknown email still runs a password check', (t) => {
+  const scrypt = t.mock.method(crypto, 'scryptSync');
+
+  assert.equal(authenticateUser('nobody@example.com', 'Correct-Horse-42'), null);
+  assert.equal(authenticateUser('ops@example.com', 'wrong'), null);
+
+  // One hash for the stand-in, then one check per sign-in
+  assert.equal(scrypt.mock.callCount(), 3);
+});
+
+test('an admin edit cannot blank out the name or email', async () => {
+  signInAs(user);
+  for (const body of [{ name: '  ' }, { email: '' }]) {
+    const response = await updateUserRoute(
+      new Request('http://localhost/api/admin/users', { method: 'PATCH', body: JSON.stringify(body) }),
+      { params: Promise.resolve({ id: user.id }) }
+    );
+    assert.equal(response.status, 400, JSON.stringify(body));
+    assert.deepEqual(await response.json(), { error: 'Name and email cannot be empty' });
+  }
+});
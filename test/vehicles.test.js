@@ -0,0 +1,28 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { seedHierarchy } from './helpers.js';
+import { createBattery, getBattery, resolveLocation, transferBattery } from '../app/lib/batteries.js';
+import { createVehicle, getVehicle, updateVehicle } from '../app/lib/vehicles.js';
+
+seedHierarchy();
+
+const actor = { id: '1', name: 'Ops' };
+
+test('moving a vehicle to another hub takes its installed battery along', () => {
+  const vehicle = createVehicle({ vin: 'MA1MOVETEST000001', registrationNumber: 'MH02MV0001', model: 'Test Scooter', hub: 'andheri-hub' });
+  createBattery({ serial: 'PK-MOVE-1', chemistry: 'LFP', ratedCapacityKwh: 2.5, hub: 'andheri-hub' }, actor);
+  transferBattery('PK-MOVE-1', {
+    location: resolveLocation({ locationType: 'vehicle', locationRef: vehicle.id }),
+    lifecycleState: 'in_service',
+  }, actor);
+
+  updateVehicle(vehicle.id, { hub: 'dwarka-hub' });
+
+  assert.equal(getVehicle(vehicle.id).region, 'north');
+  const battery = getBattery('PK-MOVE-1');
+  assert.deepEqual(
+    { hub: battery.hub, region: battery.region, circle: battery.circle, area: battery.area },
+    { hub: 'dwarka-hub', region: 'north', circle: 'delhi', area: 'dwarka' }
+  );
+  assert.equal(battery.locationRef, vehicle.id);
+});
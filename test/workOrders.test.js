@@ -0,0 +1,133 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { seedHierarchy } from './helpers.js';
+import { signInAs } from './session.js';
+import { GET as listRoute, POST as createRoute } from '../app/api/work-orders/route.js';
+import { GET as getRoute, PATCH as updateRoute } from '../app/api/work-orders/[code]/route.js';
+import { PATCH as updateItemRoute } from '../app/api/work-orders/[code]/checklist/[itemId]/route.js';
+import { createUser } from '../app/lib/users.js';
+import { createVehicle, getVehicle } from '../app/lib/vehicles.js';
+
+seedHierarchy();
+
+const mumbaiHead = { id: '0', name: 'Mumbai Head', role: 'circle_head', region: 'west', circle: 'mumbai' };
+const technician = createUser({
+  email: 'tech.andheri@example.com',
+  password: 'unused',
+  name: 'Andheri Tech',
+  role: 'area_head',
+  region: 'west',
+  circle: 'mumbai',
+  area: 'andheri',
+});
+const puneTechnician = createUser({
+  email: 'tech.pune@example.com',
+  password: 'unused',
+  name: 'Pune Tech',
+  role: 'area_head',
+  region: 'west',
+  circle: 'pune',
+  area: 'hinjewadi',
+});
+
+const andheriVehicle = createVehicle({ vin: 'MA1WRKTEST0000001', registrationNumber: 'MH02WO0001', model: 'Test Scooter', hub: 'andheri-hub' });
+const puneVehicle = createVehicle({ vin: 'MA1WRKTEST0000002', registrationNumber: 'MH12WO0002', model: 'Test Scooter', hub: 'hinjewadi-hub' });
+
+async function call(handler, method, body, params = {}, url = 'http://localhost/api/work-orders') {
+  const request = new Request(url, { method, body: body === undefined ? undefined : JSON.stringify(body) });
+  const response = await handler(request, { params: Promise.resolve(params) });
+  return { status: response.status, body: await response.json() };
+}
+
+function raise(fields = {}) {
+  return call(createRoute, 'POST', {
+    assetType: 'vehicle',
+    assetRef: andheriVehicle.id,
+    title: 'Brake pads worn',
+    priority: 'high',
+    ...fields,
+  });
+}
+
+const update = (code, body) => call(updateRoute, 'PATCH', body, { code });
+
+test('work orders are raised against an asset in scope, with their checklist', async () => {
+  signInAs(mumbaiHead);
+
+  const { status, body } = await raise({ checklist: ['Replace pads', ' ', 'Test ride'] });
+  assert.equal(status, 201);
+  assert.equal(body.workOrder.status, 'pending');
+  assert.equal(body.workOrder.area, 'andheri');
+
+  const { body: detail } = await call(getRoute, 'GET', undefined, { code: body.workOrder.id });
+  assert.deepEqual(detail.checklist.map((item) => item.label), ['Replace pads', 'Test ride']);
+  assert.deepEqual(detail.comments.map((comment) => comment.kind), ['created']);
+
+  assert.equal((await raise({ assetRef: puneVehicle.id })).status, 403);
+  assert.equal((await raise({ assetRef: 'no-such-vehicle' })).status, 400);
+  assert.equal((await raise({ priority: 'urgent' })).status, 400);
+});
+
+test('work orders can only be assigned to users who can see them', async () => {
+  signInAs(mumbaiHead);
+  const { body } = await raise();
+
+  const refused = await update(body.workOrder.id, { assigneeId: puneTechnician.id });
+  assert.equal(refused.status, 400);
+  assert.match(refused.body.error, /Pune Tech cannot see work orders at this hub/);
+
+  const assigned = await update(body.workOrder.id, { assigneeId: technician.id });
+  assert.equal(assigned.body.workOrder.assigneeName, 'Andheri Tech');
+});
+
+test('status changes follow the allowed transitions', async () => {
+  signInAs(mumbaiHead);
+  const { body } = await raise();
+  const code = body.workOrder.id;
+
+  assert.match((await update(code, { status: 'completed' })).body.error, /pending work order cannot be moved to completed/);
+  assert.match((await update(code, { status: 'in-progress' })).body.error, /Assign the work order before starting it/);
+
+  const started = await update(code, { status: 'in-progress', assigneeId: technician.id });
+  assert.equal(started.body.workOrder.status, 'in-progress');
+  assert.deepEqual(started.body.workOrder.nextStatuses, ['pending', 'completed', 'cancelled']);
+
+  assert.equal((await update(code, { status: 'cancelled' })).status, 200);
+  const final = await update(code, { status: 'pending' });
+  assert.equal(final.status, 409);
+});
+
+test('working on a vehicle takes it out of service until the checklist is done and the order completed', async () => {
+  signInAs(mumbaiHead);
+  const { body } = await raise({ checklist: ['Replace pads'] });
+  const code = body.workOrder.id;
+
+  await update(code, { status: 'in-progress', assigneeId: technician.id });
+  assert.equal(getVehicle(andheriVehicle.id).status, 'maintenance');
+
+  const early = await update(code, { status: 'completed' });
+  assert.match(early.body.error, /Tick off the remaining 1 checklist item first/);
+
+  const { body: detail } = await call(getRoute, 'GET', undefined, { code });
+  await call(updateItemRoute, 'PATCH', { done: true }, { code, itemId: detail.checklist[0].id });
+
+  const completed = await update(code, { status: 'completed' });
+  assert.equal(completed.body.workOrder.status, 'completed');
+  assert.ok(completed.body.workOrder.completedAt);
+  assert.equal(getVehicle(andheriVehicle.id).status, 'available');
+});
+
+test("lists filter by status and priority within the user's scope", async () => {
+  signInAs({ id: '0', role: 'super_admin' });
+  const pune = await raise({ assetRef: puneVehicle.id, priority: 'low', title: 'Mirror loose' });
+  assert.equal(pune.status, 201);
+
+  signInAs(mumbaiHead);
+  const list = async (query) =>
+    (await call(listRoute, 'GET', undefined, {}, `http://localhost/api/work-orders?${query}`)).body.workOrders;
+
+  assert.ok(!(await list('')).some((workOrder) => workOrder.id === pune.body.workOrder.id));
+  assert.ok((await list('status=pending')).every((workOrder) => workOrder.status === 'pending'));
+  assert.deepEqual(await list('priority=low'), []);
+  assert.deepEqual((await list('status=completed')).map((workOrder) => workOrder.title), ['Brake pads worn']);
+});